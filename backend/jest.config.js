@@ -57,8 +57,10 @@ export default {
     {
       displayName: 'unit',
       testMatch: [
+        '<rootDir>/tests/config/**/*.test.js',
         '<rootDir>/tests/controllers/**/*.test.js',
         '<rootDir>/tests/middleware/**/*.test.js',
+        '<rootDir>/tests/models/**/*.test.js',
         '<rootDir>/tests/services/**/*.test.js',
         '<rootDir>/tests/utils/**/*.test.js',
         '<rootDir>/tests/routes/**/*.test.js'
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+import Database from '../src/config/database.js';
+import MusicNFT from '../src/models/MusicNFT.js';
+
+async function backfillNFTIndexes() {
+  try {
+    console.log('Backfilling NFT token indexes...');
+
+    await Database.connect();
+    const result = await MusicNFT.backfillTokenIndex();
+
+    console.log(`Scanned ${result.scanned} NFT records`);
+    console.log(`Indexed: ${result.indexed}, skipped (no tokenId): ${result.skipped}`);
+  } catch (error) {
+    console.error('Backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await Database.disconnect();
+  }
+}
+
+backfillNFTIndexes();
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+import Database from '../src/config/database.js';
+import MusicNFT from '../src/models/MusicNFT.js';
+import Playlist from '../src/models/Playlist.js';
+import User from '../src/models/User.js';
+
+const SOURCES = [
+  { name: 'NFTs', set: 'nfts', model: MusicNFT },
+  { name: 'playlists', set: 'playlists', model: Playlist },
+  { name: 'users', set: 'users', model: User }
+];
+
+async function rebuildSearchIndex() {
+  try {
+    console.log('Rebuilding search indexes...');
+
+    await Database.connect();
+
+    for (const { name, set, model } of SOURCES) {
+      const ids = await Database.smembers(set);
+      let indexed = 0;
+
+      for (const id of ids) {
+        const record = await model.findById(id);
+        if (!record) continue;
+        await record.indexSearch();
+        indexed++;
+      }
+
+      console.log(`Indexed ${indexed} of ${ids.length} ${name}`);
+    }
+  } catch (error) {
+    console.error('Search index rebuild failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await Database.disconnect();
+  }
+}
+
+rebuildSearchIndex();
@@ -1,86 +1,58 @@
 /**
- * Redis Database Configuration
- * Handles Redis connection and data management
+ * Database Configuration
+ * Key-value/set store facade over a pluggable storage adapter (Redis, file or memory)
  */
 
-import Redis from 'ioredis';
-import NodeCache from 'node-cache';
-import fs from 'fs/promises';
-import path from 'path';
+import { createStorageAdapter, STORAGE_ADAPTERS } from './storage/index.js';
 import logger from '../utils/logger.js';
 
 class Database {
   constructor() {
-    this.redis = null;
-    this.cache = new NodeCache({ stdTTL: 600 }); // 10 minutes default TTL
-    this.isConnected = false;
-    this.dataDir = path.join(process.cwd(), 'data');
+    this.adapterType = (process.env.STORAGE_ADAPTER || 'redis').toLowerCase();
+    if (!STORAGE_ADAPTERS.includes(this.adapterType)) {
+      logger.warn(`Unknown STORAGE_ADAPTER "${this.adapterType}", using redis`);
+      this.adapterType = 'redis';
+    }
+
+    // Until connect() succeeds against Redis, serve from the local fallback
+    this.adapter = createStorageAdapter(this.adapterType === 'memory' ? 'memory' : 'file');
+  }
+
+  get isConnected() {
+    return this.adapter.name === 'redis' && this.adapter.isReady();
   }
 
   /**
-   * Connect to Redis database
+   * Connect the configured adapter; Redis falls back to file storage when unreachable
    */
   async connect() {
-    try {
-      // Ensure data directory exists
-      await this.ensureDataDirectory();
-
-      // Redis configuration
-      const redisConfig = {
-        host: process.env.REDIS_HOST || 'localhost',
-        port: process.env.REDIS_PORT || 6379,
-        password: process.env.REDIS_PASSWORD || undefined,
-        db: process.env.REDIS_DB || 0,
-        retryDelayOnFailover: 100,
-        maxRetriesPerRequest: 3,
-        lazyConnect: true
-      };
-
-      this.redis = new Redis(redisConfig);
-
-      // Event listeners
-      this.redis.on('connect', () => {
-        logger.info('Redis connection established');
-        this.isConnected = true;
-      });
-
-      this.redis.on('error', (error) => {
-        logger.error('Redis connection error:', error);
-        this.isConnected = false;
-      });
-
-      this.redis.on('close', () => {
-        logger.warn('Redis connection closed');
-        this.isConnected = false;
-      });
+    if (this.adapterType !== 'redis') {
+      await this.adapter.connect();
+      logger.info(`Using ${this.adapter.name} storage adapter`);
+      return;
+    }
 
-      // Try to connect
-      await this.redis.connect();
-      
-      // Test connection
-      await this.redis.ping();
+    try {
+      const redisAdapter = createStorageAdapter('redis');
+      await redisAdapter.connect();
+      await this.adapter.disconnect();
+      this.adapter = redisAdapter;
       logger.info('Redis database connected successfully');
-
     } catch (error) {
       logger.warn('Redis connection failed, falling back to file storage:', error.message);
-      // Fallback to file-based storage if Redis is not available
-      this.isConnected = false;
+      await this.adapter.connect();
     }
   }
 
   /**
-   * Disconnect from Redis
+   * Disconnect the active adapter
    */
   async disconnect() {
     try {
-      if (this.redis) {
-        await this.redis.quit();
-        this.redis = null;
-      }
-      this.isConnected = false;
-      logger.info('Redis database disconnected');
+      await this.adapter.disconnect();
+      logger.info(`${this.adapter.name} storage disconnected`);
     } catch (error) {
-      logger.error('Error disconnecting from Redis:', error);
+      logger.error('Error disconnecting storage:', error);
     }
   }
 
@@ -96,8 +68,8 @@ class Database {
    */
   async getHealthStatus() {
     try {
-      if (this.redis && this.isConnected) {
-        await this.redis.ping();
+      if (this.isConnected) {
+        await this.adapter.ping();
         return {
           status: 'healthy',
           type: 'redis',
@@ -106,15 +78,15 @@ class Database {
       } else {
         return {
           status: 'healthy',
-          type: 'file_storage',
+          type: this.adapter.name === 'memory' ? 'memory_storage' : 'file_storage',
           connected: false,
-          message: 'Using file-based storage fallback'
+          message: `Using ${this.adapter.name} storage`
         };
       }
     } catch (error) {
       return {
         status: 'unhealthy',
-        type: 'redis',
+        type: this.adapter.name,
         connected: false,
         error: error.message
       };
@@ -122,32 +94,11 @@ class Database {
   }
 
   /**
-   * Ensure data directory exists
+   * Set data, optionally expiring after ttl seconds
    */
-  async ensureDataDirectory() {
+  async set(key, value, ttl = null) {
     try {
-      await fs.access(this.dataDir);
-    } catch {
-      await fs.mkdir(this.dataDir, { recursive: true });
-      logger.info(`Created data directory: ${this.dataDir}`);
-    }
-  }
-
-  /**
-   * Set data with TTL
-   */
-  async set(key, value, ttl = 3600) {
-    try {
-      const serializedValue = JSON.stringify(value);
-      
-      if (this.redis && this.isConnected) {
-        await this.redis.setex(key, ttl, serializedValue);
-      } else {
-        // Fallback to memory cache
-        this.cache.set(key, value, ttl);
-        // Also save to file for persistence
-        await this.saveToFile(key, value);
-      }
+      await this.adapter.set(key, value, ttl);
     } catch (error) {
       logger.error(`Error setting key ${key}:`, error);
       throw error;
@@ -159,21 +110,7 @@ class Database {
    */
   async get(key) {
     try {
-      if (this.redis && this.isConnected) {
-        const value = await this.redis.get(key);
-        return value ? JSON.parse(value) : null;
-      } else {
-        // Try memory cache first
-        let value = this.cache.get(key);
-        if (value === undefined) {
-          // Try file storage
-          value = await this.loadFromFile(key);
-          if (value) {
-            this.cache.set(key, value);
-          }
-        }
-        return value || null;
-      }
+      return await this.adapter.get(key);
     } catch (error) {
       logger.error(`Error getting key ${key}:`, error);
       return null;
@@ -185,14 +122,10 @@ class Database {
    */
   async del(key) {
     try {
-      if (this.redis && this.isConnected) {
-        await this.redis.del(key);
-      } else {
-        this.cache.del(key);
-        await this.deleteFile(key);
-      }
+      return await this.adapter.del(key);
     } catch (error) {
       logger.error(`Error deleting key ${key}:`, error);
+      return 0;
     }
   }
 
@@ -201,11 +134,7 @@ class Database {
    */
   async exists(key) {
     try {
-      if (this.redis && this.isConnected) {
-        return await this.redis.exists(key) === 1;
-      } else {
-        return this.cache.has(key) || await this.fileExists(key);
-      }
+      return await this.adapter.exists(key);
     } catch (error) {
       logger.error(`Error checking existence of key ${key}:`, error);
       return false;
@@ -217,34 +146,43 @@ class Database {
    */
   async keys(pattern = '*') {
     try {
-      if (this.redis && this.isConnected) {
-        return await this.redis.keys(pattern);
-      } else {
-        // For file storage, list files in data directory
-        const files = await fs.readdir(this.dataDir);
-        return files
-          .filter(file => file.endsWith('.json'))
-          .map(file => file.replace('.json', ''));
-      }
+      return await this.adapter.keys(pattern);
     } catch (error) {
       logger.error(`Error getting keys with pattern ${pattern}:`, error);
       return [];
     }
   }
 
+  /**
+   * Set a key's time to live in seconds
+   */
+  async expire(key, seconds) {
+    try {
+      return await this.adapter.expire(key, seconds);
+    } catch (error) {
+      logger.error(`Error setting expiry on key ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Remaining time to live in seconds (-1 without expiry, -2 if missing)
+   */
+  async ttl(key) {
+    try {
+      return await this.adapter.ttl(key);
+    } catch (error) {
+      logger.error(`Error getting ttl of key ${key}:`, error);
+      return -2;
+    }
+  }
+
   /**
    * Increment counter
    */
   async incr(key, amount = 1) {
     try {
-      if (this.redis && this.isConnected) {
-        return await this.redis.incrby(key, amount);
-      } else {
-        const current = await this.get(key) || 0;
-        const newValue = current + amount;
-        await this.set(key, newValue);
-        return newValue;
-      }
+      return await this.adapter.incr(key, amount);
     } catch (error) {
       logger.error(`Error incrementing key ${key}:`, error);
       return 0;
@@ -256,14 +194,7 @@ class Database {
    */
   async sadd(key, ...members) {
     try {
-      if (this.redis && this.isConnected) {
-        return await this.redis.sadd(key, ...members);
-      } else {
-        const set = new Set(await this.get(key) || []);
-        members.forEach(member => set.add(member));
-        await this.set(key, Array.from(set));
-        return members.length;
-      }
+      return await this.adapter.sadd(key, ...members);
     } catch (error) {
       logger.error(`Error adding to set ${key}:`, error);
       return 0;
@@ -275,11 +206,7 @@ class Database {
    */
   async smembers(key) {
     try {
-      if (this.redis && this.isConnected) {
-        return await this.redis.smembers(key);
-      } else {
-        return await this.get(key) || [];
-      }
+      return await this.adapter.smembers(key);
     } catch (error) {
       logger.error(`Error getting set members ${key}:`, error);
       return [];
@@ -287,78 +214,46 @@ class Database {
   }
 
   /**
-   * Remove from set
+   * Check set membership
    */
-  async srem(key, ...members) {
+  async sismember(key, member) {
     try {
-      if (this.redis && this.isConnected) {
-        return await this.redis.srem(key, ...members);
-      } else {
-        const set = new Set(await this.get(key) || []);
-        let removedCount = 0;
-        members.forEach(member => {
-          if (set.has(member)) {
-            set.delete(member);
-            removedCount++;
-          }
-        });
-        await this.set(key, Array.from(set));
-        return removedCount;
-      }
+      return await this.adapter.sismember(key, member);
     } catch (error) {
-      logger.error(`Error removing from set ${key}:`, error);
-      return 0;
-    }
-  }
-
-  /**
-   * Save data to file (fallback storage)
-   */
-  async saveToFile(key, value) {
-    try {
-      const filePath = path.join(this.dataDir, `${key}.json`);
-      await fs.writeFile(filePath, JSON.stringify(value, null, 2));
-    } catch (error) {
-      logger.error(`Error saving to file ${key}:`, error);
+      logger.error(`Error checking set membership ${key}:`, error);
+      return false;
     }
   }
 
   /**
-   * Load data from file
+   * Count set members
    */
-  async loadFromFile(key) {
+  async scard(key) {
     try {
-      const filePath = path.join(this.dataDir, `${key}.json`);
-      const data = await fs.readFile(filePath, 'utf8');
-      return JSON.parse(data);
+      return await this.adapter.scard(key);
     } catch (error) {
-      return null;
+      logger.error(`Error counting set members ${key}:`, error);
+      return 0;
     }
   }
 
   /**
-   * Delete file
+   * Remove from set
    */
-  async deleteFile(key) {
+  async srem(key, ...members) {
     try {
-      const filePath = path.join(this.dataDir, `${key}.json`);
-      await fs.unlink(filePath);
+      return await this.adapter.srem(key, ...members);
     } catch (error) {
-      // File doesn't exist, ignore
+      logger.error(`Error removing from set ${key}:`, error);
+      return 0;
     }
   }
 
   /**
-   * Check if file exists
+   * Start a transaction: queue set/del/expire/incr/sadd/srem, then await exec()
    */
-  async fileExists(key) {
-    try {
-      const filePath = path.join(this.dataDir, `${key}.json`);
-      await fs.access(filePath);
-      return true;
-    } catch {
-      return false;
-    }
+  multi() {
+    return this.adapter.multi();
   }
 
   /**
@@ -366,22 +261,11 @@ class Database {
    */
   async clear() {
     try {
-      if (this.redis && this.isConnected) {
-        await this.redis.flushdb();
-      } else {
-        this.cache.flushAll();
-        // Clear file storage
-        const files = await fs.readdir(this.dataDir);
-        await Promise.all(
-          files
-            .filter(file => file.endsWith('.json'))
-            .map(file => fs.unlink(path.join(this.dataDir, file)))
-        );
-      }
+      await this.adapter.flush();
     } catch (error) {
       logger.error('Error clearing database:', error);
     }
   }
 }
 
-export default new Database();
\ No newline at end of file
+export default new Database();
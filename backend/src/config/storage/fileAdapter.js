@@ -0,0 +1,130 @@
+/**
+ * File Storage Adapter
+ * In-memory engine persisted as one JSON file per key (local demo mode)
+ *
+ * Files are written as { __storage: 1, type, value, expiresAt }. Files from the
+ * earlier fallback hold the bare value; those load as plain values and are
+ * promoted to sets the first time a set command touches them.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import MemoryAdapter from './memoryAdapter.js';
+import logger from '../../utils/logger.js';
+
+const FORMAT_VERSION = 1;
+
+export default class FileAdapter extends MemoryAdapter {
+  constructor({ dataDir = path.join(process.cwd(), 'data') } = {}) {
+    super('file');
+    this.dataDir = dataDir;
+    this.loading = null;
+    this.dirty = new Set();
+    this.writes = new Map();
+  }
+
+  async connect() {
+    await this.ready();
+  }
+
+  async disconnect() {
+    await this.commit();
+    await Promise.all(this.writes.values());
+  }
+
+  /**
+   * Load every key file once, on first use
+   */
+  ready() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  }
+
+  async load() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const files = (await fs.readdir(this.dataDir)).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      const key = file.slice(0, -'.json'.length);
+      try {
+        const entry = this.decode(JSON.parse(await fs.readFile(this.filePath(key), 'utf8')));
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+          this.touch(key);
+          continue;
+        }
+        this.entries.set(key, entry);
+      } catch (error) {
+        logger.warn(`Skipping unreadable storage file ${file}: ${error.message}`);
+      }
+    }
+
+    // Remove files whose keys expired while the process was down
+    await this.commit();
+    logger.info(`File storage loaded ${this.entries.size} keys from ${this.dataDir}`);
+  }
+
+  decode(data) {
+    if (data && typeof data === 'object' && !Array.isArray(data) && data.__storage === FORMAT_VERSION) {
+      return {
+        type: data.type,
+        value: data.type === 'set' ? new Set(data.value) : data.value,
+        expiresAt: data.expiresAt
+      };
+    }
+    return { type: 'value', value: data, expiresAt: null };
+  }
+
+  encode(entry) {
+    return {
+      __storage: FORMAT_VERSION,
+      type: entry.type,
+      value: entry.type === 'set' ? Array.from(entry.value) : entry.value,
+      expiresAt: entry.expiresAt
+    };
+  }
+
+  filePath(key) {
+    return path.join(this.dataDir, `${key}.json`);
+  }
+
+  touch(key) {
+    this.dirty.add(key);
+  }
+
+  /**
+   * Persist touched keys; writes to the same key are chained so the file
+   * always ends up holding the latest state
+   */
+  async commit() {
+    const keys = Array.from(this.dirty);
+    this.dirty.clear();
+
+    await Promise.all(keys.map(key => {
+      const previous = this.writes.get(key) || Promise.resolve();
+      const write = previous.then(() => this.persist(key));
+      this.writes.set(key, write);
+      return write.finally(() => {
+        if (this.writes.get(key) === write) {
+          this.writes.delete(key);
+        }
+      });
+    }));
+  }
+
+  async persist(key) {
+    const entry = this.entries.get(key);
+    try {
+      if (entry) {
+        await fs.writeFile(this.filePath(key), JSON.stringify(this.encode(entry), null, 2));
+      } else {
+        await fs.unlink(this.filePath(key));
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error persisting storage key ${key}:`, error);
+      }
+    }
+  }
+}
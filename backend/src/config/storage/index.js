@@ -0,0 +1,29 @@
+/**
+ * Storage adapter factory
+ * STORAGE_ADAPTER selects the backend: redis (default), file or memory
+ */
+
+import path from 'path';
+import RedisAdapter from './redisAdapter.js';
+import FileAdapter from './fileAdapter.js';
+import MemoryAdapter from './memoryAdapter.js';
+
+export const STORAGE_ADAPTERS = ['redis', 'file', 'memory'];
+
+export const createStorageAdapter = (type = 'redis', options = {}) => {
+  switch (type) {
+    case 'redis':
+      return new RedisAdapter(options.redis);
+    case 'file':
+      return new FileAdapter({
+        dataDir: options.dataDir || process.env.STORAGE_DATA_DIR || path.join(process.cwd(), 'data')
+      });
+    case 'memory':
+      return new MemoryAdapter();
+    default:
+      throw new Error(`Unknown storage adapter "${type}" (expected one of: ${STORAGE_ADAPTERS.join(', ')})`);
+  }
+};
+
+export { default as StorageAdapter, Transaction } from './storageAdapter.js';
+export { RedisAdapter, FileAdapter, MemoryAdapter };
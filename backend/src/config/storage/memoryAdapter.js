@@ -0,0 +1,269 @@
+/**
+ * In-memory Storage Adapter
+ * Process-local store with Redis semantics; also the engine behind the file adapter
+ */
+
+import StorageAdapter, { createStorageError, globToRegExp } from './storageAdapter.js';
+
+const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+export default class MemoryAdapter extends StorageAdapter {
+  constructor(name = 'memory') {
+    super(name);
+    // key -> { type: 'value' | 'set', value, expiresAt }
+    this.entries = new Map();
+  }
+
+  /**
+   * Hook for persistent subclasses; called for every key a write touches
+   */
+  touch(key) {}
+
+  async commit() {}
+
+  async ready() {}
+
+  // Entry helpers (synchronous so a transaction runs without interleaving)
+
+  readEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.touch(key);
+      return null;
+    }
+    return entry;
+  }
+
+  readSet(key, create = false) {
+    const entry = this.readEntry(key);
+    if (!entry) {
+      if (!create) return null;
+      const created = { type: 'set', value: new Set(), expiresAt: null };
+      this.entries.set(key, created);
+      return created;
+    }
+    if (entry.type !== 'set') {
+      // Legacy file data stored sets as plain JSON arrays
+      if (Array.isArray(entry.value)) {
+        entry.type = 'set';
+        entry.value = new Set(entry.value.map(String));
+        return entry;
+      }
+      throw createStorageError('WRONGTYPE', `Operation against a key holding the wrong kind of value: ${key}`);
+    }
+    return entry;
+  }
+
+  applySet(key, value, ttl = null) {
+    this.entries.set(key, {
+      type: 'value',
+      value: clone(value),
+      expiresAt: ttl ? Date.now() + ttl * 1000 : null
+    });
+    this.touch(key);
+    return 'OK';
+  }
+
+  applyDel(...keys) {
+    let removed = 0;
+    for (const key of keys) {
+      if (this.readEntry(key)) {
+        this.entries.delete(key);
+        this.touch(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  applyExpire(key, seconds) {
+    const entry = this.readEntry(key);
+    if (!entry) return false;
+    entry.expiresAt = Date.now() + seconds * 1000;
+    this.touch(key);
+    return true;
+  }
+
+  applyIncr(key, amount = 1) {
+    const entry = this.readEntry(key);
+    if (entry && entry.type === 'set') {
+      throw createStorageError('WRONGTYPE', `Operation against a key holding the wrong kind of value: ${key}`);
+    }
+    const current = entry ? Number(entry.value) : 0;
+    if (!Number.isInteger(current)) {
+      throw createStorageError('ERR', `value is not an integer: ${key}`);
+    }
+    const next = current + amount;
+    this.entries.set(key, { type: 'value', value: next, expiresAt: entry ? entry.expiresAt : null });
+    this.touch(key);
+    return next;
+  }
+
+  applySadd(key, ...members) {
+    const entry = this.readSet(key, true);
+    let added = 0;
+    for (const member of members.map(String)) {
+      if (!entry.value.has(member)) {
+        entry.value.add(member);
+        added++;
+      }
+    }
+    this.touch(key);
+    return added;
+  }
+
+  applySrem(key, ...members) {
+    const entry = this.readSet(key);
+    if (!entry) return 0;
+    let removed = 0;
+    for (const member of members.map(String)) {
+      if (entry.value.delete(member)) removed++;
+    }
+    // Redis drops empty sets
+    if (entry.value.size === 0) {
+      this.entries.delete(key);
+    }
+    this.touch(key);
+    return removed;
+  }
+
+  // Public interface
+
+  async get(key) {
+    await this.ready();
+    const entry = this.readEntry(key);
+    if (!entry) return null;
+    if (entry.type === 'set') {
+      throw createStorageError('WRONGTYPE', `Operation against a key holding the wrong kind of value: ${key}`);
+    }
+    return clone(entry.value);
+  }
+
+  async set(key, value, ttl = null) {
+    await this.ready();
+    const result = this.applySet(key, value, ttl);
+    await this.commit();
+    return result;
+  }
+
+  async del(...keys) {
+    await this.ready();
+    const result = this.applyDel(...keys);
+    await this.commit();
+    return result;
+  }
+
+  async exists(key) {
+    await this.ready();
+    return this.readEntry(key) !== null;
+  }
+
+  async keys(pattern = '*') {
+    await this.ready();
+    const matcher = globToRegExp(pattern);
+    return Array.from(this.entries.keys()).filter(key => matcher.test(key) && this.readEntry(key));
+  }
+
+  async incr(key, amount = 1) {
+    await this.ready();
+    const result = this.applyIncr(key, amount);
+    await this.commit();
+    return result;
+  }
+
+  async expire(key, seconds) {
+    await this.ready();
+    const result = this.applyExpire(key, seconds);
+    await this.commit();
+    return result;
+  }
+
+  async ttl(key) {
+    await this.ready();
+    const entry = this.readEntry(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  async sadd(key, ...members) {
+    await this.ready();
+    const result = this.applySadd(key, ...members);
+    await this.commit();
+    return result;
+  }
+
+  async srem(key, ...members) {
+    await this.ready();
+    const result = this.applySrem(key, ...members);
+    await this.commit();
+    return result;
+  }
+
+  async smembers(key) {
+    await this.ready();
+    const entry = this.readSet(key);
+    return entry ? Array.from(entry.value) : [];
+  }
+
+  async sismember(key, member) {
+    await this.ready();
+    const entry = this.readSet(key);
+    return entry ? entry.value.has(String(member)) : false;
+  }
+
+  async scard(key) {
+    await this.ready();
+    const entry = this.readSet(key);
+    return entry ? entry.value.size : 0;
+  }
+
+  /**
+   * Apply all commands or none: touched entries are restored if any command fails
+   */
+  async execTransaction(commands) {
+    await this.ready();
+
+    const snapshot = new Map();
+    for (const [, key] of commands) {
+      if (!snapshot.has(key)) {
+        const entry = this.entries.get(key);
+        snapshot.set(key, entry
+          ? { ...entry, value: entry.value instanceof Set ? new Set(entry.value) : clone(entry.value) }
+          : null);
+      }
+    }
+
+    const handlers = {
+      set: (key, value, ttl) => this.applySet(key, value, ttl),
+      del: (key) => this.applyDel(key),
+      expire: (key, seconds) => this.applyExpire(key, seconds),
+      incr: (key, amount) => this.applyIncr(key, amount),
+      sadd: (key, ...members) => this.applySadd(key, ...members),
+      srem: (key, ...members) => this.applySrem(key, ...members)
+    };
+
+    try {
+      const results = commands.map(([command, ...args]) => handlers[command](...args));
+      await this.commit();
+      return results;
+    } catch (error) {
+      for (const [key, entry] of snapshot) {
+        if (entry) this.entries.set(key, entry);
+        else this.entries.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  async flush() {
+    await this.ready();
+    for (const key of this.entries.keys()) {
+      this.touch(key);
+    }
+    this.entries.clear();
+    await this.commit();
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Redis Storage Adapter
+ * Production backend on ioredis; values are stored as JSON strings
+ */
+
+import Redis from 'ioredis';
+import StorageAdapter from './storageAdapter.js';
+import logger from '../../utils/logger.js';
+
+const serialize = (value) => JSON.stringify(value === undefined ? null : value);
+const deserialize = (value) => (value === null || value === undefined ? null : JSON.parse(value));
+
+export default class RedisAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('redis');
+    this.options = {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: process.env.REDIS_PORT || 6379,
+      password: process.env.REDIS_PASSWORD || undefined,
+      db: process.env.REDIS_DB || 0,
+      retryDelayOnFailover: 100,
+      maxRetriesPerRequest: 3,
+      lazyConnect: true,
+      ...options
+    };
+    this.redis = null;
+    this.isConnected = false;
+  }
+
+  async connect() {
+    this.redis = new Redis(this.options);
+
+    this.redis.on('connect', () => {
+      logger.info('Redis connection established');
+      this.isConnected = true;
+    });
+
+    this.redis.on('error', (error) => {
+      logger.error('Redis connection error:', error);
+      this.isConnected = false;
+    });
+
+    this.redis.on('close', () => {
+      logger.warn('Redis connection closed');
+      this.isConnected = false;
+    });
+
+    try {
+      await this.redis.connect();
+      await this.redis.ping();
+      this.isConnected = true;
+    } catch (error) {
+      this.redis.disconnect();
+      this.redis = null;
+      this.isConnected = false;
+      throw error;
+    }
+  }
+
+  async disconnect() {
+    if (this.redis) {
+      await this.redis.quit();
+      this.redis = null;
+    }
+    this.isConnected = false;
+  }
+
+  isReady() {
+    return this.isConnected;
+  }
+
+  async ping() {
+    return this.redis.ping();
+  }
+
+  async get(key) {
+    return deserialize(await this.redis.get(key));
+  }
+
+  async set(key, value, ttl = null) {
+    if (ttl) {
+      return this.redis.setex(key, ttl, serialize(value));
+    }
+    return this.redis.set(key, serialize(value));
+  }
+
+  async del(...keys) {
+    return keys.length ? this.redis.del(...keys) : 0;
+  }
+
+  async exists(key) {
+    return (await this.redis.exists(key)) === 1;
+  }
+
+  /**
+   * SCAN instead of KEYS so large keyspaces do not block the server
+   */
+  async keys(pattern = '*') {
+    const keys = new Set();
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.redis.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+      batch.forEach(key => keys.add(key));
+      cursor = next;
+    } while (cursor !== '0');
+    return Array.from(keys);
+  }
+
+  async incr(key, amount = 1) {
+    return this.redis.incrby(key, amount);
+  }
+
+  async expire(key, seconds) {
+    return (await this.redis.expire(key, seconds)) === 1;
+  }
+
+  async ttl(key) {
+    return this.redis.ttl(key);
+  }
+
+  async sadd(key, ...members) {
+    return members.length ? this.redis.sadd(key, ...members.map(String)) : 0;
+  }
+
+  async srem(key, ...members) {
+    return members.length ? this.redis.srem(key, ...members.map(String)) : 0;
+  }
+
+  async smembers(key) {
+    return this.redis.smembers(key);
+  }
+
+  async sismember(key, member) {
+    return (await this.redis.sismember(key, String(member))) === 1;
+  }
+
+  async scard(key) {
+    return this.redis.scard(key);
+  }
+
+  /**
+   * Run queued commands in MULTI/EXEC. Redis does not roll back, so a command
+   * error (e.g. WRONGTYPE) surfaces after the other commands were applied.
+   */
+  async execTransaction(commands) {
+    const multi = this.redis.multi();
+
+    for (const [command, key, ...args] of commands) {
+      switch (command) {
+        case 'set': {
+          const [value, ttl] = args;
+          if (ttl) multi.setex(key, ttl, serialize(value));
+          else multi.set(key, serialize(value));
+          break;
+        }
+        case 'del':
+          multi.del(key);
+          break;
+        case 'expire':
+          multi.expire(key, args[0]);
+          break;
+        case 'incr':
+          multi.incrby(key, args[0] ?? 1);
+          break;
+        case 'sadd':
+          multi.sadd(key, ...args.map(String));
+          break;
+        case 'srem':
+          multi.srem(key, ...args.map(String));
+          break;
+        default:
+          throw new Error(`Unsupported transaction command: ${command}`);
+      }
+    }
+
+    const replies = await multi.exec();
+    const failed = replies.find(([error]) => error);
+    if (failed) {
+      throw failed[0];
+    }
+
+    return replies.map(([, result], index) => {
+      const [command] = commands[index];
+      return command === 'expire' ? result === 1 : result;
+    });
+  }
+
+  async flush() {
+    await this.redis.flushdb();
+  }
+}
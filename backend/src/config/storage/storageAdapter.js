@@ -0,0 +1,106 @@
+/**
+ * Storage Adapter Interface
+ * Contract shared by the Redis, file and in-memory backends behind Database
+ *
+ * Semantics follow Redis: values are JSON-serialized, set members are strings,
+ * ttl() returns -2 for a missing key and -1 for a key without expiry, and
+ * reading a set with get() (or a value with set commands) is a WRONGTYPE error.
+ */
+
+// Commands allowed inside a transaction
+export const TRANSACTION_COMMANDS = ['set', 'del', 'expire', 'incr', 'sadd', 'srem'];
+
+/**
+ * Build a storage error carrying a Redis-style code
+ */
+export const createStorageError = (code, message) => {
+  const error = new Error(`${code} ${message}`);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Convert a Redis glob pattern (*, ?, [abc]) into a RegExp
+ */
+export const globToRegExp = (pattern = '*') => {
+  let source = '';
+  for (const char of pattern) {
+    if (char === '*') source += '.*';
+    else if (char === '?') source += '.';
+    else if (char === '[' || char === ']') source += char;
+    else source += char.replace(/[.+^${}()|\\/-]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Queued multi-key write, applied atomically by the adapter on exec()
+ */
+export class Transaction {
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.commands = [];
+
+    for (const command of TRANSACTION_COMMANDS) {
+      this[command] = (...args) => {
+        this.commands.push([command, ...args]);
+        return this;
+      };
+    }
+  }
+
+  get length() {
+    return this.commands.length;
+  }
+
+  async exec() {
+    if (this.commands.length === 0) return [];
+    return this.adapter.execTransaction(this.commands);
+  }
+}
+
+export default class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async connect() {}
+
+  async disconnect() {}
+
+  isReady() {
+    return true;
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.name} storage adapter does not implement ${method}()`);
+  }
+
+  // Values
+  async get(key) { this.notImplemented('get'); }
+  async set(key, value, ttl = null) { this.notImplemented('set'); }
+  async del(...keys) { this.notImplemented('del'); }
+  async exists(key) { this.notImplemented('exists'); }
+  async keys(pattern = '*') { this.notImplemented('keys'); }
+  async incr(key, amount = 1) { this.notImplemented('incr'); }
+
+  // Expiry
+  async expire(key, seconds) { this.notImplemented('expire'); }
+  async ttl(key) { this.notImplemented('ttl'); }
+
+  // Sets
+  async sadd(key, ...members) { this.notImplemented('sadd'); }
+  async srem(key, ...members) { this.notImplemented('srem'); }
+  async smembers(key) { this.notImplemented('smembers'); }
+  async sismember(key, member) { this.notImplemented('sismember'); }
+  async scard(key) { this.notImplemented('scard'); }
+
+  // Transactions
+  multi() {
+    return new Transaction(this);
+  }
+
+  async execTransaction(commands) { this.notImplemented('execTransaction'); }
+
+  async flush() { this.notImplemented('flush'); }
+}
@@ -0,0 +1,100 @@
+/**
+ * 内置 Forte Actions 工作流模板
+ * 使用与用户模板相同的步骤 DSL：生成音乐 → 生成封面 → 上传IPFS → 铸造（可选）
+ */
+
+const builtinTemplate = ({ id, name, description, prompt, genre, mood, duration }) => ({
+  id,
+  name,
+  description,
+  builtin: true,
+  visibility: 'public',
+  version: 1,
+  definition: {
+    parameters: [
+      { name: 'title', type: 'string', required: true, maxLength: 100, description: '作品标题' },
+      { name: 'artist', type: 'string', required: true, maxLength: 100, description: '艺术家' },
+      { name: 'prompt', type: 'string', default: prompt, maxLength: 500, description: 'AI生成提示词' },
+      { name: 'autoMint', type: 'boolean', default: true, description: '是否自动铸造' }
+    ],
+    steps: [
+      {
+        id: 'music',
+        action: 'generate',
+        options: { prompt: '{{params.prompt}}', duration, genre, mood }
+      },
+      {
+        id: 'cover',
+        action: 'generate_cover',
+        options: {
+          prompt: `Album cover for "{{params.title}}" by {{params.artist}}, ${genre} music, ${mood} mood`,
+          style: 'digital art'
+        }
+      },
+      {
+        id: 'ipfs',
+        action: 'upload',
+        options: {
+          title: '{{params.title}}',
+          artist: '{{params.artist}}',
+          description: `基于${genre}模板生成的AI音乐作品`,
+          genre,
+          mood
+        }
+      },
+      {
+        id: 'nft',
+        action: 'mint',
+        when: { ref: 'params.autoMint', op: 'eq', value: true }
+      }
+    ]
+  }
+});
+
+export const BUILTIN_TEMPLATES = [
+  builtinTemplate({
+    id: 'electronic-ambient',
+    name: '电子环境音乐',
+    description: '生成平静的电子环境音乐',
+    prompt: '一首平静的电子环境音乐，带有深沉的低音和梦幻的合成器',
+    genre: '电子音乐',
+    mood: '平静',
+    duration: 30
+  }),
+  builtinTemplate({
+    id: 'classical-piano',
+    name: '古典钢琴',
+    description: '生成优雅的古典钢琴曲',
+    prompt: '一首优雅的古典钢琴曲，旋律优美，节奏舒缓',
+    genre: '古典音乐',
+    mood: '优雅',
+    duration: 45
+  }),
+  builtinTemplate({
+    id: 'jazz-smooth',
+    name: '流畅爵士',
+    description: '生成流畅的爵士乐',
+    prompt: '一首流畅的爵士乐，带有萨克斯风独奏和轻柔的鼓点',
+    genre: '爵士乐',
+    mood: '流畅',
+    duration: 60
+  }),
+  builtinTemplate({
+    id: 'rock-energetic',
+    name: '活力摇滚',
+    description: '生成充满活力的摇滚乐',
+    prompt: '一首充满活力的摇滚乐，强劲的吉他和鼓点',
+    genre: '摇滚乐',
+    mood: '活力',
+    duration: 30
+  }),
+  builtinTemplate({
+    id: 'cinematic-epic',
+    name: '史诗电影配乐',
+    description: '生成史诗般的电影配乐',
+    prompt: '一首史诗般的电影配乐，宏大的管弦乐和戏剧性的旋律',
+    genre: '电影配乐',
+    mood: '史诗',
+    duration: 90
+  })
+];
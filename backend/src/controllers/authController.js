@@ -7,6 +7,7 @@ import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import { validationResult } from 'express-validator';
 import User from '../models/User.js';
+import walletAuthService from '../services/walletAuthService.js';
 import logger from '../utils/logger.js';
 
 class AuthController {
@@ -175,6 +176,27 @@ class AuthController {
     }
   }
 
+  /**
+   * Issue an account-proof nonce for Flow wallet login
+   */
+  getWalletNonce = async (req, res) => {
+    try {
+      const challenge = await walletAuthService.issueNonce();
+
+      res.json({
+        success: true,
+        data: challenge
+      });
+
+    } catch (error) {
+      logger.error('Wallet nonce error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error while issuing nonce'
+      });
+    }
+  }
+
   /**
    * Login/Register with Flow wallet
    */
@@ -189,11 +211,21 @@ class AuthController {
         });
       }
 
-      const { flowAddress, signature, message } = req.body;
+      const { flowAddress, accountProof } = req.body;
 
-      // TODO: Verify Flow signature
-      // This would require Flow SDK integration for signature verification
-      // For now, we'll proceed with address-based authentication
+      // Prove control of the wallet before logging in or creating an account
+      try {
+        await walletAuthService.verifyAccountProof(flowAddress, accountProof);
+      } catch (error) {
+        if (error.type !== 'AUTH_ERROR') throw error;
+
+        logger.warn(`Flow wallet proof rejected for ${flowAddress}: ${error.code}`);
+        return res.status(401).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
 
       // Find existing user with this Flow address
       let user = await User.findOne({ 'flowWallet.address': flowAddress });
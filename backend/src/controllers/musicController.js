@@ -5,12 +5,18 @@
 
 import aiService from '../services/aiService.js';
 import ipfsService from '../services/ipfsService.js';
+import musicSynthService from '../services/musicSynthService.js';
+import coverArtService from '../services/coverArtService.js';
+import generationHistoryService from '../services/generationHistoryService.js';
 
 class MusicController {
   /**
    * Generate music with AI and prepare for minting
+   * Kept in the signed-in user's generation history, minted or not
    */
   async generateAndPrepareMusic(req, res) {
+    const userId = req.user?.id || null;
+
     try {
       const {
         prompt,
@@ -19,7 +25,9 @@ class MusicController {
         genre = 'electronic',
         mood = 'upbeat',
         duration = 30,
-        royalties = []
+        royalties = [],
+        provider,
+        coverStyle
       } = req.body;
 
       // Validate input
@@ -37,23 +45,27 @@ class MusicController {
       
       let musicGeneration;
       if (isDevelopmentMode) {
-        // Return mock data for development
-        console.log('🔧 Development mode: Using mock music generation data');
+        // Synthesize the track offline for development
+        console.log('🔧 Development mode: Using offline synthesized music');
+        const rendered = await musicSynthService.renderToFile({ prompt, genre, mood, duration });
         musicGeneration = {
           success: true,
-          audioUrl: 'https://www.soundjay.com/misc/sounds/bell-ringing-05.wav', // Sample audio URL
+          audioUrl: rendered.url,
           duration: duration,
           title: title || `AI Generated - ${prompt.substring(0, 30)}`,
-          description: `Mock generated music based on: "${prompt}"`,
+          description: `Synthesized music based on: "${prompt}"`,
           metadata: {
-            model: 'mock-musicgen-v1.0',
+            predictionId: rendered.id,
+            model: 'flowtune-synth-v1',
+            provider: 'mock',
             prompt: prompt,
-            duration: duration
+            duration: duration,
+            format: rendered.format
           }
         };
       } else {
         // Step 1: Generate music with AI
-        musicGeneration = await aiService.generateMusicWithMusicGen(prompt, duration);
+        musicGeneration = await aiService.generateMusicWithMusicGen(prompt, duration, { genre, mood, provider });
         if (!musicGeneration.success) {
           throw new Error('Music generation failed');
         }
@@ -67,40 +79,34 @@ class MusicController {
         description = await aiService.generateMusicDescription(prompt, genre, mood);
       }
 
-      // Step 3: Generate cover art
-      let coverArt;
-      if (isDevelopmentMode) {
-        coverArt = {
-          success: true,
-          imageUrl: 'https://via.placeholder.com/512x512/6366f1/ffffff?text=AI+Music', // Placeholder image
-          description: `Mock cover art for ${prompt}`
-        };
-      } else {
-        coverArt = await aiService.generateCoverArt(prompt, 'abstract');
+      // Step 3: Generate cover art (development mode renders one locally at upload)
+      let coverArt = { success: true, imageUrl: null };
+      if (!isDevelopmentMode) {
+        coverArt = await aiService.generateCoverArt(prompt, coverStyle || 'abstract', { title, artist, genre, mood });
       }
 
       // Step 4: Upload to IPFS
-      const audioFilename = `${(title || 'AI_Music').replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}.mp3`;
+      const audioFilename = `${(title || 'AI_Music').replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}.${musicGeneration.metadata.format || 'mp3'}`;
       const audioUpload = await ipfsService.uploadAudioFromUrl(
         musicGeneration.audioUrl,
         audioFilename
       );
 
+      // Without a usable cover image one is rendered from the genre, mood and waveform
       let coverUpload = null;
-      if (coverArt.imageUrl) {
-        try {
-          const coverFilename = `cover_${audioFilename.replace('.mp3', '.jpg')}`;
-          const axios = (await import('axios')).default;
-          const response = await axios.get(coverArt.imageUrl, {
-            responseType: 'arraybuffer',
-            timeout: 30000
-          });
-          
-          const imageBuffer = Buffer.from(response.data);
-          coverUpload = await ipfsService.uploadImage(imageBuffer, coverFilename);
-        } catch (error) {
-          console.warn('Cover image upload failed:', error.message);
-        }
+      try {
+        coverUpload = await coverArtService.uploadForMint({
+          coverImageUrl: coverArt.imageUrl,
+          title,
+          artist,
+          genre,
+          mood,
+          prompt,
+          style: coverStyle,
+          audioUrl: musicGeneration.audioUrl
+        }, audioFilename.replace(/\.\w+$/, ''));
+      } catch (error) {
+        console.warn('Cover image upload failed:', error.message);
       }
 
       // Step 5: Create NFT metadata
@@ -112,18 +118,36 @@ class MusicController {
         audioUrl: audioUpload.url,
         coverImageHash: coverUpload?.hash,
         coverImageUrl: coverUpload?.url,
+        coverThumbnails: coverUpload?.thumbnails,
         genre: genre,
         duration: duration,
         aiModel: musicGeneration.metadata.model,
+        aiProvider: musicGeneration.metadata.provider,
         prompt: prompt,
         royalties: royalties
       });
 
+      const historyEntry = userId ? await generationHistoryService.recordSafely(userId, {
+        title: nftMetadata.metadata.title,
+        prompt,
+        parameters: { genre, mood, duration },
+        provider: musicGeneration.metadata.provider,
+        model: musicGeneration.metadata.model,
+        predictionId: musicGeneration.metadata.predictionId,
+        source: 'music',
+        audioUrl: audioUpload.url,
+        audioHash: audioUpload.hash,
+        format: musicGeneration.metadata.format,
+        coverImageUrl: coverUpload?.url || coverArt.imageUrl,
+        coverImageHash: coverUpload?.hash
+      }) : null;
+
       // Prepare response for frontend
       const response = {
         success: true,
         music: {
           id: musicGeneration.metadata.predictionId,
+          historyId: historyEntry?.id || null,
           title: nftMetadata.metadata.title,
           artist: nftMetadata.metadata.artist,
           description: nftMetadata.metadata.description,
@@ -132,8 +156,9 @@ class MusicController {
           duration: duration,
           prompt: prompt,
           audioUrl: musicGeneration.audioUrl,
-          coverImageUrl: coverArt.imageUrl,
+          coverImageUrl: coverArt.imageUrl || coverUpload?.url || null,
           aiModel: musicGeneration.metadata.model,
+          aiProvider: musicGeneration.metadata.provider,
           generatedAt: new Date().toISOString()
         },
         ipfs: {
@@ -188,6 +213,7 @@ class MusicController {
         description,
         genre,
         coverImageBuffer,
+        coverStyle,
         royalties = []
       } = req.body;
 
@@ -209,19 +235,21 @@ class MusicController {
       const audioFilename = `${title.replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}.mp3`;
       const audioUpload = await ipfsService.uploadAudio(audioData, audioFilename);
 
-      // Step 2: Upload cover image if provided
+      // Step 2: Upload the cover image, or render one when none is provided
       let coverUpload = null;
-      if (coverImageBuffer) {
-        try {
-          const coverData = Buffer.isBuffer(coverImageBuffer)
+      try {
+        coverUpload = await coverArtService.uploadForMint({
+          coverImageBuffer: coverImageBuffer && (Buffer.isBuffer(coverImageBuffer)
             ? coverImageBuffer
-            : Buffer.from(coverImageBuffer, 'base64');
-          
-          const coverFilename = `cover_${audioFilename.replace('.mp3', '.jpg')}`;
-          coverUpload = await ipfsService.uploadImage(coverData, coverFilename);
-        } catch (error) {
-          console.warn('Cover image upload failed:', error.message);
-        }
+            : Buffer.from(coverImageBuffer, 'base64')),
+          title,
+          artist,
+          genre,
+          style: coverStyle,
+          audio: audioData
+        }, audioFilename.replace(/\.\w+$/, ''));
+      } catch (error) {
+        console.warn('Cover image upload failed:', error.message);
       }
 
       // Step 3: Create NFT metadata
@@ -233,6 +261,7 @@ class MusicController {
         audioUrl: audioUpload.url,
         coverImageHash: coverUpload?.hash,
         coverImageUrl: coverUpload?.url,
+        coverThumbnails: coverUpload?.thumbnails,
         genre: genre || 'Unknown',
         royalties: royalties
       });
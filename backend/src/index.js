@@ -27,6 +27,8 @@ import userRoutes from './routes/user.js';
 import flowProxyRoutes from './routes/flowProxy.js';
 import notificationRoutes from './routes/notifications.js';
 import activityRoutes from './routes/activity.js';
+import searchRoutes from './routes/search.js';
+import generationRoutes from './routes/generations.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
@@ -35,6 +37,11 @@ import securityMiddleware from './middleware/security.js';
 import { securityMonitorMiddleware } from './middleware/securityMonitor.js';
 import logger from './utils/logger.js';
 import websocketService from './services/websocketService.js';
+import auctionService from './services/auctionService.js';
+import royaltyPayoutService from './services/royaltyPayoutService.js';
+import workflowEngine from './services/workflowEngine.js';
+import workflowProgressService from './services/workflowProgressService.js';
+import workflowBatchService from './services/workflowBatchService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -105,7 +112,8 @@ app.get('/', (req, res) => {
       upload: '/api/upload',
       flowProxy: '/api/flow-proxy',
       notifications: '/api/notifications',
-      activity: '/api/activity'
+      activity: '/api/activity',
+      generations: '/api/generations'
     }
   });
 });
@@ -139,6 +147,8 @@ app.use('/api/user', userRoutes);
 app.use('/api/flow-proxy', flowProxyRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/activity', activityRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/generations', generationRoutes);
 
 // Static file serving for uploads
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
@@ -161,6 +171,10 @@ const startServer = async () => {
     await Database.connect();
     logger.info('Database connected successfully');
 
+    // Background worker for durable workflow jobs
+    workflowEngine.start();
+    await workflowBatchService.recover();
+
     // Start server
     const server = app.listen(PORT, () => {
       logger.info(`🚀 FlowTune Backend API running on port ${PORT}`);
@@ -176,6 +190,15 @@ const startServer = async () => {
     
     // Make websocketService available globally for other modules
     global.websocketService = websocketService;
+
+    // Push workflow step transitions to their owners
+    workflowProgressService.attach();
+
+    // Settle auctions as they end
+    auctionService.startSettlementLoop();
+
+    // Pay accrued royalties out on chain
+    royaltyPayoutService.startPayoutLoop();
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -185,12 +208,14 @@ const startServer = async () => {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Received SIGINT, shutting down gracefully...');
+  await workflowEngine.stop();
   await Database.disconnect();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down gracefully...');
+  await workflowEngine.stop();
   await Database.disconnect();
   process.exit(0);
 });
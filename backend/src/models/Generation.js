@@ -0,0 +1,155 @@
+/**
+ * Generation Model for Redis-based storage
+ * A user's generated track, kept whether or not it is ever minted, so it can
+ * be found again, favorited and promoted into the mint flow later
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import Database from '../config/database.js';
+import logger from '../utils/logger.js';
+import { saveIndexedRecord, deleteIndexedRecord } from './indexedRecord.js';
+
+// 'completed' generations can be promoted; 'minting' ones are in a workflow
+export const GENERATION_RECORD_STATUSES = ['completed', 'failed', 'minting', 'minted'];
+
+class Generation {
+  constructor(data = {}) {
+    this.id = data.id || `gen_${uuidv4()}`;
+    this.userId = data.userId || null;
+    this.title = data.title || '';
+    this.prompt = data.prompt || '';
+
+    // Parameters the track was generated with: { genre, mood, duration, bpm, key, instruments }
+    this.parameters = data.parameters || {};
+    this.provider = data.provider || '';
+    this.model = data.model || '';
+    this.predictionId = data.predictionId || null;
+    this.source = data.source || 'ai'; // endpoint that produced it: 'ai', 'music'
+
+    this.audio = data.audio || { url: '', format: 'mp3', ipfsHash: '' };
+    this.cover = data.cover || { url: '', ipfsHash: '' };
+
+    this.status = data.status || 'completed';
+    this.error = data.error || null;
+    this.favorite = data.favorite || false;
+    this.tags = data.tags || [];
+
+    // Set once promoted into the mint flow
+    this.workflowId = data.workflowId || null;
+    this.nftId = data.nftId || null;
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Save generation and its indexes
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date().toISOString();
+
+      const previousData = await Database.get(`generation:${this.id}`);
+      const previousEntries = previousData ? new Generation(previousData).getIndexEntries() : undefined;
+
+      await saveIndexedRecord({
+        key: `generation:${this.id}`,
+        id: this.id,
+        data: this.toObject(),
+        entries: this.getIndexEntries(),
+        previousEntries
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error saving generation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Index sets this generation belongs to
+   */
+  getIndexEntries() {
+    const sets = [`user:${this.userId}:generations`];
+
+    if (this.favorite) {
+      sets.push(`user:${this.userId}:generations:favorites`);
+    }
+
+    return { sets, lookups: [] };
+  }
+
+  /**
+   * Convert to plain object
+   */
+  toObject() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      title: this.title,
+      prompt: this.prompt,
+      parameters: this.parameters,
+      provider: this.provider,
+      model: this.model,
+      predictionId: this.predictionId,
+      source: this.source,
+      audio: this.audio,
+      cover: this.cover,
+      status: this.status,
+      error: this.error,
+      favorite: this.favorite,
+      tags: this.tags,
+      workflowId: this.workflowId,
+      nftId: this.nftId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Find generation by ID
+   */
+  static async findById(id) {
+    try {
+      const generationData = await Database.get(`generation:${id}`);
+      return generationData ? new Generation(generationData) : null;
+    } catch (error) {
+      logger.error(`Error finding generation by ID ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Find a user's generations, newest first
+   */
+  static async findByUser(userId, { favoritesOnly = false } = {}) {
+    const ids = await Database.smembers(favoritesOnly ? `user:${userId}:generations:favorites` : `user:${userId}:generations`);
+    const generations = await Promise.all(ids.map(id => Generation.findById(id)));
+    return generations
+      .filter(generation => generation !== null)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Delete generation and its index membership
+   */
+  static async deleteById(id) {
+    try {
+      const generation = await Generation.findById(id);
+      if (!generation) return false;
+
+      await deleteIndexedRecord({
+        key: `generation:${id}`,
+        id,
+        entries: generation.getIndexEntries()
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting generation ${id}:`, error);
+      return false;
+    }
+  }
+}
+
+export default Generation;
@@ -0,0 +1,172 @@
+/**
+ * LedgerTransaction Model for Redis-based storage
+ * One posting to the royalty ledger: a set of debit and credit entries in
+ * integer units (see utils/fixedPoint.js) that sum to zero. Transactions are
+ * written once and never changed; corrections are posted as new transactions.
+ * Each save also moves the cached per-account balance counters, which the
+ * ledger service reconciles against balances summed from the entries.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import Database from '../config/database.js';
+import logger from '../utils/logger.js';
+import { saveIndexedRecord } from './indexedRecord.js';
+
+export const ENTRY_DIRECTIONS = ['debit', 'credit'];
+
+class LedgerTransaction {
+  constructor(data = {}) {
+    this.id = data.id || `ltx_${uuidv4()}`;
+    this.type = data.type || '';
+
+    // [{ account, direction: 'debit' | 'credit', amount (units), role }]
+    this.entries = data.entries || [];
+
+    // What the transaction is for: the track, and the event it records (e.g. the play session)
+    this.trackId = data.trackId || null;
+    this.reference = data.reference || null;
+    this.idempotencyKey = data.idempotencyKey || null;
+    this.metadata = data.metadata || {};
+
+    this.postedAt = data.postedAt || new Date().toISOString();
+  }
+
+  /**
+   * Signed change per account: credits add to a balance, debits subtract
+   */
+  getBalanceChanges() {
+    const changes = new Map();
+    for (const entry of this.entries) {
+      const signed = entry.direction === 'credit' ? entry.amount : -entry.amount;
+      changes.set(entry.account, (changes.get(entry.account) || 0) + signed);
+    }
+    return changes;
+  }
+
+  /**
+   * Debits equal credits
+   */
+  isBalanced() {
+    let net = 0;
+    for (const change of this.getBalanceChanges().values()) {
+      net += change;
+    }
+    return net === 0;
+  }
+
+  /**
+   * Write the transaction, its indexes and the balance counters of its accounts.
+   * Only new transactions can be saved.
+   */
+  async save() {
+    try {
+      if (await Database.exists(`ledger:transaction:${this.id}`)) {
+        const error = new Error(`Ledger transaction ${this.id} is already posted and cannot be changed`);
+        error.type = 'VALIDATION_ERROR';
+        error.code = 'LEDGER_IMMUTABLE';
+        throw error;
+      }
+
+      await saveIndexedRecord({
+        key: `ledger:transaction:${this.id}`,
+        id: this.id,
+        data: this.toObject(),
+        entries: this.getIndexEntries(),
+        increments: [...this.getBalanceChanges()].map(([account, change]) => [`ledger:balance:${account}`, change])
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error saving ledger transaction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Index sets this transaction belongs to
+   */
+  getIndexEntries() {
+    const sets = ['ledger:transactions'];
+
+    for (const account of new Set(this.entries.map(entry => entry.account))) {
+      sets.push(`ledger:account:${account}:transactions`);
+    }
+    if (this.trackId) {
+      sets.push(`ledger:track:${this.trackId}:transactions`);
+    }
+
+    const lookups = this.idempotencyKey ? [`ledger:idempotency:${this.idempotencyKey}`] : [];
+    return { sets, lookups };
+  }
+
+  /**
+   * Convert to plain object
+   */
+  toObject() {
+    return {
+      id: this.id,
+      type: this.type,
+      entries: this.entries,
+      trackId: this.trackId,
+      reference: this.reference,
+      idempotencyKey: this.idempotencyKey,
+      metadata: this.metadata,
+      postedAt: this.postedAt
+    };
+  }
+
+  /**
+   * Find transaction by ID
+   */
+  static async findById(id) {
+    try {
+      const transactionData = await Database.get(`ledger:transaction:${id}`);
+      return transactionData ? new LedgerTransaction(transactionData) : null;
+    } catch (error) {
+      logger.error(`Error finding ledger transaction by ID ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the transaction posted under an idempotency key
+   */
+  static async findByIdempotencyKey(idempotencyKey) {
+    const id = await Database.get(`ledger:idempotency:${idempotencyKey}`);
+    return id ? LedgerTransaction.findById(id) : null;
+  }
+
+  /**
+   * Transactions in an index set, oldest first
+   */
+  static async findBySet(setKey) {
+    const ids = await Database.smembers(setKey);
+    const transactions = await Promise.all(ids.map(id => LedgerTransaction.findById(id)));
+    return transactions
+      .filter(transaction => transaction !== null)
+      .sort((a, b) => a.postedAt.localeCompare(b.postedAt) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Every transaction touching an account, oldest first
+   */
+  static async findByAccount(account) {
+    return LedgerTransaction.findBySet(`ledger:account:${account}:transactions`);
+  }
+
+  /**
+   * Every transaction for a track, oldest first
+   */
+  static async findByTrack(trackId) {
+    return LedgerTransaction.findBySet(`ledger:track:${trackId}:transactions`);
+  }
+
+  /**
+   * The whole ledger, oldest first
+   */
+  static async findAll() {
+    return LedgerTransaction.findBySet('ledger:transactions');
+  }
+}
+
+export default LedgerTransaction;
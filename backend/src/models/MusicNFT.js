@@ -6,6 +6,9 @@
 import { v4 as uuidv4 } from 'uuid';
 import Database from '../config/database.js';
 import logger from '../utils/logger.js';
+import searchService from '../services/searchService.js';
+import { saveIndexedRecord, deleteIndexedRecord } from './indexedRecord.js';
+import { normalizeRoyaltyConfig } from '../utils/royaltySplits.js';
 
 class MusicNFT {
   constructor(data = {}) {
@@ -27,11 +30,16 @@ class MusicNFT {
       tags: []
     };
     
-    // AI generation data
+    // AI generation data; parentId and operation link derived tracks
+    // (variation, extension, regeneration) to the track they came from
     this.aiGeneration = data.aiGeneration || {
       prompt: '',
       model: '',
+      provider: '',
       parameters: {},
+      parentId: null,
+      rootId: null,
+      operation: 'generate',
       generatedAt: null,
       processingTime: 0,
       version: '1.0'
@@ -74,14 +82,20 @@ class MusicNFT {
       currency: 'FLOW',
       isForSale: false,
       saleType: 'fixed', // 'fixed', 'auction'
+      auctionStatus: null, // 'active', 'settled', 'ended', 'cancelled'
       auctionEndTime: null,
+      reservePrice: '0',
+      minIncrement: '0',
       highestBid: '0',
+      highestBidder: null,
       bidders: [],
+      offers: [],
       salesHistory: []
     };
     
-    // Royalties
-    this.royalties = data.royalties || {
+    // Royalties: secondary-sale rate and the recipients sharing the track's earnings
+    // (see utils/royaltySplits.js); early records stored a bare recipient list
+    this.royalties = Array.isArray(data.royalties) ? normalizeRoyaltyConfig(data.royalties) : data.royalties || {
       percentage: 10,
       recipients: []
     };
@@ -229,7 +243,9 @@ class MusicNFT {
         price: this.market.price,
         currency: this.market.currency,
         isForSale: this.market.isForSale,
-        saleType: this.market.saleType
+        saleType: this.market.saleType,
+        auctionEndTime: this.market.auctionEndTime,
+        highestBid: this.market.highestBid
       },
       analytics: this.analytics,
       status: this.status,
@@ -242,36 +258,25 @@ class MusicNFT {
   }
 
   /**
-   * Save NFT to database
+   * Save NFT and its indexes in one transaction, dropping stale index entries
    */
   async save() {
     try {
       this.updatedAt = new Date().toISOString();
-      
-      const nftData = this.toObject();
-      await Database.set(`nft:${this.id}`, nftData);
-      
-      // Index by creator and owner
-      await Database.sadd(`user:${this.creator}:nfts:created`, this.id);
-      await Database.sadd(`user:${this.owner}:nfts:owned`, this.id);
-      
-      // Index by category and tags
-      await Database.sadd(`nfts:category:${this.category}`, this.id);
-      for (const tag of this.tags) {
-        await Database.sadd(`nfts:tag:${tag}`, this.id);
-      }
-      
-      // Index by status and visibility
-      await Database.sadd(`nfts:status:${this.status}`, this.id);
-      await Database.sadd(`nfts:visibility:${this.visibility}`, this.id);
-      
-      // Add to main NFTs set
-      await Database.sadd('nfts', this.id);
-      
-      // Featured NFTs
-      if (this.isFeatured) {
-        await Database.sadd('nfts:featured', this.id);
-      }
+
+      const previousData = await Database.get(`nft:${this.id}`);
+      const previousEntries = previousData ? new MusicNFT(previousData).getIndexEntries() : undefined;
+
+      await saveIndexedRecord({
+        key: `nft:${this.id}`,
+        id: this.id,
+        data: this.toObject(),
+        entries: this.getIndexEntries(),
+        previousEntries
+      });
+
+      // Full-text search index (derived; rebuildable with scripts/rebuildSearchIndex.js)
+      await this.indexSearch();
 
       logger.info(`NFT saved: ${this.title} (${this.id})`);
       return this;
@@ -281,6 +286,98 @@ class MusicNFT {
     }
   }
 
+  /**
+   * Index sets this NFT belongs to and lookup keys pointing at it
+   */
+  getIndexEntries() {
+    const sets = [
+      'nfts',
+      // Index by creator and owner
+      `user:${this.creator}:nfts:created`,
+      `user:${this.owner}:nfts:owned`,
+      // Index by category and tags
+      `nfts:category:${this.category}`,
+      ...this.tags.map(tag => `nfts:tag:${tag}`),
+      // Index by status and visibility
+      `nfts:status:${this.status}`,
+      `nfts:visibility:${this.visibility}`
+    ];
+
+    if (this.isFeatured) {
+      sets.push('nfts:featured');
+    }
+
+    // Index derived tracks under the track they came from
+    if (this.aiGeneration?.parentId) {
+      sets.push(`nfts:parent:${this.aiGeneration.parentId}`);
+    }
+
+    const tokenEntries = this.getTokenIndexEntries();
+    return {
+      sets: [...new Set([...sets, ...tokenEntries.sets])],
+      lookups: tokenEntries.lookups
+    };
+  }
+
+  /**
+   * On-chain token index entries (tokenId, and contract address when known)
+   */
+  getTokenIndexEntries() {
+    const { tokenId, contractAddress } = this.blockchain || {};
+    if (tokenId === undefined || tokenId === null || tokenId === '') {
+      return { sets: [], lookups: [] };
+    }
+
+    if (!contractAddress) {
+      return { sets: [`nfts:token:${tokenId}`], lookups: [] };
+    }
+
+    return {
+      sets: [`nfts:token:${tokenId}`, `nfts:contract:${contractAddress}`],
+      lookups: [`nft:token:${contractAddress}:${tokenId}`]
+    };
+  }
+
+  /**
+   * Write the on-chain token index entries for this NFT
+   */
+  async saveTokenIndex() {
+    const { sets, lookups } = this.getTokenIndexEntries();
+    const transaction = Database.multi();
+
+    sets.forEach(setKey => transaction.sadd(setKey, this.id));
+    lookups.forEach(lookupKey => transaction.set(lookupKey, this.id));
+
+    await transaction.exec();
+  }
+
+  /**
+   * Update the full-text search index (title > tags > description)
+   */
+  async indexSearch() {
+    if (!this.isActive) {
+      await searchService.removeDocument('nft', this.id);
+      return;
+    }
+
+    await searchService.indexDocument('nft', this.id, {
+      fields: [
+        { value: this.title, weight: 10 },
+        { value: [...this.tags, ...(this.music.tags || [])], weight: 5 },
+        { value: [this.music.genre, this.music.mood], weight: 4 },
+        { value: this.music.instruments || [], weight: 2 },
+        { value: this.description, weight: 1 }
+      ],
+      facets: {
+        genre: this.music.genre || null,
+        mood: this.music.mood || null,
+        price: this.market.isForSale ? this.market.price : null,
+        isForSale: !!this.market.isForSale,
+        visibility: this.visibility
+      }
+    });
+  }
+
   /**
    * Convert to plain object
    */
@@ -325,6 +422,143 @@ class MusicNFT {
     }
   }
 
+  /**
+   * Find NFT by on-chain tokenId, optionally scoped to a contract
+   */
+  static async findByTokenId(tokenId, contractAddress = null) {
+    try {
+      if (contractAddress) {
+        const nftId = await Database.get(`nft:token:${contractAddress}:${tokenId}`);
+        return nftId ? await MusicNFT.findById(nftId) : null;
+      }
+
+      const nftIds = await Database.smembers(`nfts:token:${tokenId}`);
+      for (const nftId of nftIds) {
+        const nft = await MusicNFT.findById(nftId);
+        if (nft && String(nft.blockchain.tokenId) === String(tokenId)) return nft;
+      }
+      return null;
+    } catch (error) {
+      logger.error(`Error finding NFT by token ID ${tokenId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the smallest indexed candidate set for a query
+   */
+  static async getCandidateIds(query) {
+    if (query.id) return [query.id];
+    if (query['blockchain.tokenId'] !== undefined) {
+      const contractAddress = query['blockchain.contractAddress'];
+      if (contractAddress) {
+        const nftId = await Database.get(`nft:token:${contractAddress}:${query['blockchain.tokenId']}`);
+        return nftId ? [nftId] : [];
+      }
+      return await Database.smembers(`nfts:token:${query['blockchain.tokenId']}`);
+    }
+    if (query['blockchain.contractAddress']) {
+      return await Database.smembers(`nfts:contract:${query['blockchain.contractAddress']}`);
+    }
+    if (query['aiGeneration.parentId']) {
+      return await Database.smembers(`nfts:parent:${query['aiGeneration.parentId']}`);
+    }
+    if (query.owner) return await Database.smembers(`user:${query.owner}:nfts:owned`);
+    if (query.creator) return await Database.smembers(`user:${query.creator}:nfts:created`);
+    if (query.tags) return await Database.smembers(`nfts:tag:${query.tags}`);
+    if (query.category) return await Database.smembers(`nfts:category:${query.category}`);
+    if (query.status) return await Database.smembers(`nfts:status:${query.status}`);
+    if (query.visibility) return await Database.smembers(`nfts:visibility:${query.visibility}`);
+    if (query.isFeatured === true) return await Database.smembers('nfts:featured');
+    return await Database.smembers('nfts');
+  }
+
+  /**
+   * Check a record against dotted-path equality conditions
+   */
+  static matchesQuery(nft, query) {
+    return Object.entries(query).every(([path, expected]) => {
+      const actual = path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), nft);
+      if (Array.isArray(actual)) {
+        return actual.some(item => String(item) === String(expected));
+      }
+      if (typeof expected === 'boolean') {
+        return actual === expected;
+      }
+      return actual !== undefined && actual !== null && String(actual) === String(expected);
+    });
+  }
+
+  /**
+   * Find NFTs matching a query, e.g. { 'blockchain.tokenId': 12, owner: '0x..' } or { $or: [...] }
+   */
+  static async find(query = {}, limit = 20, offset = 0) {
+    try {
+      if (query.$or) {
+        const results = new Map();
+        for (const condition of query.$or) {
+          const matches = await MusicNFT.find(condition, Number.MAX_SAFE_INTEGER, 0);
+          matches.forEach(nft => results.set(nft.id, nft));
+        }
+        return Array.from(results.values()).slice(offset, offset + limit);
+      }
+
+      const candidateIds = await MusicNFT.getCandidateIds(query);
+      const matches = [];
+
+      for (const nftId of candidateIds) {
+        const nft = await MusicNFT.findById(nftId);
+        if (nft && MusicNFT.matchesQuery(nft, query)) {
+          matches.push(nft);
+          if (matches.length >= offset + limit) break;
+        }
+      }
+
+      return matches.slice(offset, offset + limit);
+    } catch (error) {
+      logger.error('Error in find:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Find the first NFT matching a query
+   */
+  static async findOne(query = {}) {
+    const [nft] = await MusicNFT.find(query, 1, 0);
+    return nft || null;
+  }
+
+  /**
+   * Rebuild the token indexes from every stored nft:<id> record
+   */
+  static async backfillTokenIndex() {
+    const keys = await Database.keys('nft:*');
+    const recordKeys = keys.filter(key => /^nft:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(key));
+    const result = { scanned: recordKeys.length, indexed: 0, skipped: 0 };
+
+    for (const key of recordKeys) {
+      const nftData = await Database.get(key);
+      if (!nftData) {
+        result.skipped++;
+        continue;
+      }
+
+      const nft = new MusicNFT(nftData);
+      const { tokenId } = nft.blockchain || {};
+      if (tokenId === undefined || tokenId === null || tokenId === '') {
+        result.skipped++;
+        continue;
+      }
+
+      await nft.saveTokenIndex();
+      result.indexed++;
+    }
+
+    logger.info(`NFT token index backfill: ${result.indexed} indexed, ${result.skipped} skipped of ${result.scanned}`);
+    return result;
+  }
+
   /**
    * Find NFTs by creator
    */
@@ -420,31 +654,48 @@ class MusicNFT {
     }
   }
 
+  /**
+   * Find the tracks derived from an NFT (variations, extensions, regenerations)
+   */
+  static async findDerivatives(parentId) {
+    try {
+      const nftIds = await Database.smembers(`nfts:parent:${parentId}`);
+      const nfts = await Promise.all(nftIds.map(id => MusicNFT.findById(id)));
+
+      return nfts
+        .filter(nft => nft !== null && nft.aiGeneration?.parentId === parentId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    } catch (error) {
+      logger.error(`Error finding derivatives of NFT ${parentId}:`, error);
+      return [];
+    }
+  }
+
   /**
    * Search NFTs
    */
-  static async search(query, limit = 20) {
+  static async search(query, limit = 20, { filters = {}, offset = 0 } = {}) {
+    const { hits } = await MusicNFT.searchIndex(query, { filters, limit, offset });
+    return hits;
+  }
+
+  /**
+   * Ranked search returning hydrated NFTs with scores, totals and facets
+   */
+  static async searchIndex(query, { filters = {}, limit = 20, offset = 0 } = {}) {
     try {
-      const nftIds = await Database.smembers('nfts');
-      const nfts = await Promise.all(
-        nftIds.map(id => MusicNFT.findById(id))
-      );
-      
-      const searchTerm = query.toLowerCase();
-      const filteredNFTs = nfts.filter(nft => {
-        if (!nft || !nft.isActive) return false;
-        return (
-          nft.title.toLowerCase().includes(searchTerm) ||
-          nft.description.toLowerCase().includes(searchTerm) ||
-          nft.music.genre.toLowerCase().includes(searchTerm) ||
-          nft.tags.some(tag => tag.toLowerCase().includes(searchTerm))
-        );
-      });
-      
-      return filteredNFTs.slice(0, limit);
+      const result = await searchService.search('nft', query, { filters, limit, offset });
+      const nfts = await Promise.all(result.hits.map(hit => MusicNFT.findById(hit.id)));
+
+      return {
+        hits: nfts.filter(nft => nft && nft.isActive),
+        scores: Object.fromEntries(result.hits.map(hit => [hit.id, hit.score])),
+        total: result.total,
+        facets: result.facets
+      };
     } catch (error) {
       logger.error('Error searching NFTs:', error);
-      return [];
+      return { hits: [], scores: {}, total: 0, facets: {} };
     }
   }
 
@@ -532,27 +783,14 @@ class MusicNFT {
       const nft = await MusicNFT.findById(id);
       if (!nft) return false;
 
-      // Remove from indexes
-      await Database.srem(`user:${nft.creator}:nfts:created`, id);
-      await Database.srem(`user:${nft.owner}:nfts:owned`, id);
-      await Database.srem(`nfts:category:${nft.category}`, id);
-      await Database.srem(`nfts:status:${nft.status}`, id);
-      await Database.srem(`nfts:visibility:${nft.visibility}`, id);
-      await Database.srem('nfts:featured', id);
-      
-      for (const tag of nft.tags) {
-        await Database.srem(`nfts:tag:${tag}`, id);
-      }
-      
-      // Remove from main set
-      await Database.srem('nfts', id);
-      
-      // Delete NFT data
-      await Database.del(`nft:${id}`);
-      
-      // Clean up related data
-      await Database.del(`nft:${id}:likes`);
-      await Database.del(`nft:${id}:listeners`);
+      // Remove record, index membership and related data in one transaction
+      await deleteIndexedRecord({
+        key: `nft:${id}`,
+        id,
+        entries: nft.getIndexEntries(),
+        relatedKeys: [`nft:${id}:likes`, `nft:${id}:listeners`]
+      });
+      await searchService.removeDocument('nft', id);
 
       logger.info(`NFT deleted: ${nft.title} (${id})`);
       return true;
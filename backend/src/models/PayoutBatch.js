@@ -0,0 +1,171 @@
+/**
+ * PayoutBatch Model for Redis-based storage
+ * Ledger balances collected for one on-chain royalty payout. Each payout moves
+ * one account's balance to one Flow address and is tracked on its own, from
+ * pending through confirmed or failed; failed payouts are resubmitted under
+ * the same payout id, which the RoyaltyDistributor contract settles only once.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import Database from '../config/database.js';
+import logger from '../utils/logger.js';
+import { saveIndexedRecord } from './indexedRecord.js';
+
+export const PAYOUT_BATCH_STATUSES = ['pending', 'confirmed', 'partially_failed', 'failed'];
+// reversed: given up after its last attempt, the amount returned to the account
+// unknown: given up without knowing whether it was paid, the amount held for review
+export const PAYOUT_STATUSES = ['pending', 'confirmed', 'failed', 'reversed', 'unknown'];
+
+class PayoutBatch {
+  constructor(data = {}) {
+    this.id = data.id || `payout_batch_${uuidv4()}`;
+    this.status = data.status || 'pending';
+    this.createdBy = data.createdBy || 'scheduler';
+
+    // Smallest balance collected, in units
+    this.threshold = data.threshold || 0;
+
+    // [{ id, account, recipient (Flow address), amount (units), status, attempts, transactionId, error, confirmedAt, reversedAt }]
+    this.payouts = (data.payouts || []).map(payout => ({
+      id: `payout_${uuidv4()}`,
+      status: 'pending',
+      attempts: 0,
+      transactionId: null,
+      error: null,
+      confirmedAt: null,
+      reversedAt: null,
+      ...payout
+    }));
+
+    // Every submission of the batch: [{ transactionId, payoutIds, success, error, isMock, submittedAt }]
+    this.submissions = data.submissions || [];
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+    this.settledAt = data.settledAt || null;
+  }
+
+  getTotal() {
+    return this.payouts.reduce((sum, payout) => sum + payout.amount, 0);
+  }
+
+  getPayout(payoutId) {
+    return this.payouts.find(payout => payout.id === payoutId) || null;
+  }
+
+  /**
+   * Status once no payout is pending
+   */
+  getOutcome() {
+    if (this.payouts.some(payout => payout.status === 'pending')) return 'pending';
+
+    const failed = this.payouts.filter(payout => ['failed', 'reversed', 'unknown'].includes(payout.status)).length;
+    if (failed === 0) return 'confirmed';
+    return failed === this.payouts.length ? 'failed' : 'partially_failed';
+  }
+
+  /**
+   * Save batch and its indexes in one transaction
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date().toISOString();
+
+      const previousData = await Database.get(`payout_batch:${this.id}`);
+      const previousEntries = previousData ? new PayoutBatch(previousData).getIndexEntries() : undefined;
+
+      await saveIndexedRecord({
+        key: `payout_batch:${this.id}`,
+        id: this.id,
+        data: this.toObject(),
+        entries: this.getIndexEntries(),
+        previousEntries
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error saving payout batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Index sets this batch belongs to
+   */
+  getIndexEntries() {
+    const sets = [
+      'payout_batches',
+      `payout_batches:status:${this.status}`
+    ];
+
+    for (const account of new Set(this.payouts.map(payout => payout.account))) {
+      sets.push(`payout_batches:account:${account}`);
+    }
+
+    return { sets, lookups: [] };
+  }
+
+  /**
+   * Convert to plain object
+   */
+  toObject() {
+    return {
+      id: this.id,
+      status: this.status,
+      createdBy: this.createdBy,
+      threshold: this.threshold,
+      payouts: this.payouts,
+      submissions: this.submissions,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      settledAt: this.settledAt
+    };
+  }
+
+  /**
+   * Find batch by ID
+   */
+  static async findById(id) {
+    try {
+      const batchData = await Database.get(`payout_batch:${id}`);
+      return batchData ? new PayoutBatch(batchData) : null;
+    } catch (error) {
+      logger.error(`Error finding payout batch by ID ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Batches in an index set, newest first
+   */
+  static async findBySet(setKey) {
+    const ids = await Database.smembers(setKey);
+    const batches = await Promise.all(ids.map(id => PayoutBatch.findById(id)));
+    return batches
+      .filter(batch => batch !== null)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Find batches in a status
+   */
+  static async findByStatus(status) {
+    return PayoutBatch.findBySet(`payout_batches:status:${status}`);
+  }
+
+  /**
+   * Find batches paying an account
+   */
+  static async findByAccount(account) {
+    return PayoutBatch.findBySet(`payout_batches:account:${account}`);
+  }
+
+  /**
+   * Every batch, newest first
+   */
+  static async findAll() {
+    return PayoutBatch.findBySet('payout_batches');
+  }
+}
+
+export default PayoutBatch;
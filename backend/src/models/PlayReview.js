@@ -0,0 +1,146 @@
+/**
+ * PlayReview Model for Redis-based storage
+ * A play the fraud checks held back from counting: flagged plays wait in the
+ * review queue as pending, voided plays are kept for audit. Approving one
+ * counts the play and pays its royalties after all; the play session is kept
+ * on the review for that.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import Database from '../config/database.js';
+import logger from '../utils/logger.js';
+import { saveIndexedRecord } from './indexedRecord.js';
+
+// pending: flagged, awaiting review; voided: scored past the void threshold
+export const PLAY_REVIEW_STATUSES = ['pending', 'voided', 'approved', 'rejected'];
+
+class PlayReview {
+  constructor(data = {}) {
+    this.id = data.id || `play_review_${uuidv4()}`;
+    this.status = data.status || 'pending';
+
+    // { sessionId, userId, trackId, playlistId, tier, ipAddress, userAgent, startTime, duration, listened, totalDuration }
+    this.session = data.session || {};
+    this.artistId = data.artistId || null;
+
+    // Fraud score 0-100 and the signals behind it: [{ signal, score, detail }]
+    this.score = data.score || 0;
+    this.signals = data.signals || [];
+
+    this.reviewedBy = data.reviewedBy || null;
+    this.reviewedAt = data.reviewedAt || null;
+    this.note = data.note || '';
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Save review and its indexes in one transaction
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date().toISOString();
+
+      const previousData = await Database.get(`play_review:${this.id}`);
+      const previousEntries = previousData ? new PlayReview(previousData).getIndexEntries() : undefined;
+
+      await saveIndexedRecord({
+        key: `play_review:${this.id}`,
+        id: this.id,
+        data: this.toObject(),
+        entries: this.getIndexEntries(),
+        previousEntries
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error saving play review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Index sets this review belongs to
+   */
+  getIndexEntries() {
+    const sets = [
+      'play_reviews',
+      `play_reviews:status:${this.status}`
+    ];
+
+    if (this.session.userId) {
+      sets.push(`user:${this.session.userId}:play_reviews`);
+    }
+
+    const lookups = this.session.sessionId ? [`play_review:session:${this.session.sessionId}`] : [];
+    return { sets, lookups };
+  }
+
+  /**
+   * Convert to plain object
+   */
+  toObject() {
+    return {
+      id: this.id,
+      status: this.status,
+      session: this.session,
+      artistId: this.artistId,
+      score: this.score,
+      signals: this.signals,
+      reviewedBy: this.reviewedBy,
+      reviewedAt: this.reviewedAt,
+      note: this.note,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Find review by ID
+   */
+  static async findById(id) {
+    try {
+      const reviewData = await Database.get(`play_review:${id}`);
+      return reviewData ? new PlayReview(reviewData) : null;
+    } catch (error) {
+      logger.error(`Error finding play review by ID ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the review of a play session
+   */
+  static async findBySession(sessionId) {
+    const id = await Database.get(`play_review:session:${sessionId}`);
+    return id ? PlayReview.findById(id) : null;
+  }
+
+  /**
+   * Reviews in an index set, oldest first (the queue order)
+   */
+  static async findBySet(setKey) {
+    const ids = await Database.smembers(setKey);
+    const reviews = await Promise.all(ids.map(id => PlayReview.findById(id)));
+    return reviews
+      .filter(review => review !== null)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Find reviews in a status
+   */
+  static async findByStatus(status) {
+    return PlayReview.findBySet(`play_reviews:status:${status}`);
+  }
+
+  /**
+   * Find a listener's reviews
+   */
+  static async findByUser(userId) {
+    return PlayReview.findBySet(`user:${userId}:play_reviews`);
+  }
+}
+
+export default PlayReview;
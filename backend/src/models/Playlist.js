@@ -6,6 +6,8 @@
 import { v4 as uuidv4 } from 'uuid';
 import Database from '../config/database.js';
 import logger from '../utils/logger.js';
+import searchService from '../services/searchService.js';
+import { saveIndexedRecord, deleteIndexedRecord } from './indexedRecord.js';
 
 class Playlist {
   constructor(data = {}) {
@@ -266,34 +268,25 @@ class Playlist {
   }
 
   /**
-   * Save playlist to database
+   * Save playlist and its indexes in one transaction, dropping stale index entries
    */
   async save() {
     try {
       this.updatedAt = new Date().toISOString();
-      
-      const playlistData = this.toObject();
-      await Database.set(`playlist:${this.id}`, playlistData);
-      
-      // Index by owner
-      await Database.sadd(`user:${this.owner}:playlists`, this.id);
-      
-      // Index by category and tags
-      await Database.sadd(`playlists:category:${this.category}`, this.id);
-      for (const tag of this.tags) {
-        await Database.sadd(`playlists:tag:${tag}`, this.id);
-      }
-      
-      // Index by visibility
-      await Database.sadd(`playlists:visibility:${this.visibility}`, this.id);
-      
-      // Add to main playlists set
-      await Database.sadd('playlists', this.id);
-      
-      // Featured playlists
-      if (this.isFeatured) {
-        await Database.sadd('playlists:featured', this.id);
-      }
+
+      const previousData = await Database.get(`playlist:${this.id}`);
+      const previousEntries = previousData ? new Playlist(previousData).getIndexEntries() : undefined;
+
+      await saveIndexedRecord({
+        key: `playlist:${this.id}`,
+        id: this.id,
+        data: this.toObject(),
+        entries: this.getIndexEntries(),
+        previousEntries
+      });
+
+      // Full-text search index (derived; rebuildable with scripts/rebuildSearchIndex.js)
+      await this.indexSearch();
 
       logger.info(`Playlist saved: ${this.name} (${this.id})`);
       return this;
@@ -303,6 +296,52 @@ class Playlist {
     }
   }
 
+  /**
+   * Index sets this playlist belongs to
+   */
+  getIndexEntries() {
+    const sets = [
+      'playlists',
+      // Index by owner
+      `user:${this.owner}:playlists`,
+      // Index by category and tags
+      `playlists:category:${this.category}`,
+      ...this.tags.map(tag => `playlists:tag:${tag}`),
+      // Index by visibility
+      `playlists:visibility:${this.visibility}`
+    ];
+
+    if (this.isFeatured) {
+      sets.push('playlists:featured');
+    }
+
+    return { sets: [...new Set(sets)], lookups: [] };
+  }
+
+  /**
+   * Update the full-text search index (name > tags > description)
+   */
+  async indexSearch() {
+    if (!this.isActive) {
+      await searchService.removeDocument('playlist', this.id);
+      return;
+    }
+
+    await searchService.indexDocument('playlist', this.id, {
+      fields: [
+        { value: this.name, weight: 10 },
+        { value: this.tags, weight: 5 },
+        { value: [this.genre, this.mood], weight: 4 },
+        { value: this.description, weight: 1 }
+      ],
+      facets: {
+        genre: this.genre || null,
+        mood: this.mood || null,
+        visibility: this.visibility
+      }
+    });
+  }
+
   /**
    * Convert to plain object
    */
@@ -427,27 +466,28 @@ class Playlist {
   /**
    * Search playlists
    */
-  static async search(query, limit = 20) {
+  static async search(query, limit = 20, { filters = {}, offset = 0 } = {}) {
+    const { hits } = await Playlist.searchIndex(query, { filters, limit, offset });
+    return hits;
+  }
+
+  /**
+   * Ranked search returning hydrated playlists with scores, totals and facets
+   */
+  static async searchIndex(query, { filters = {}, limit = 20, offset = 0 } = {}) {
     try {
-      const playlistIds = await Database.smembers('playlists');
-      const playlists = await Promise.all(
-        playlistIds.map(id => Playlist.findById(id))
-      );
-      
-      const searchTerm = query.toLowerCase();
-      const filteredPlaylists = playlists.filter(playlist => {
-        if (!playlist || !playlist.isActive) return false;
-        return (
-          playlist.name.toLowerCase().includes(searchTerm) ||
-          playlist.description.toLowerCase().includes(searchTerm) ||
-          playlist.tags.some(tag => tag.toLowerCase().includes(searchTerm))
-        );
-      });
-      
-      return filteredPlaylists.slice(0, limit);
+      const result = await searchService.search('playlist', query, { filters, limit, offset });
+      const playlists = await Promise.all(result.hits.map(hit => Playlist.findById(hit.id)));
+
+      return {
+        hits: playlists.filter(playlist => playlist && playlist.isActive),
+        scores: Object.fromEntries(result.hits.map(hit => [hit.id, hit.score])),
+        total: result.total,
+        facets: result.facets
+      };
     } catch (error) {
       logger.error('Error searching playlists:', error);
-      return [];
+      return { hits: [], scores: {}, total: 0, facets: {} };
     }
   }
 
@@ -587,26 +627,14 @@ class Playlist {
       const playlist = await Playlist.findById(id);
       if (!playlist) return false;
 
-      // Remove from indexes
-      await Database.srem(`user:${playlist.owner}:playlists`, id);
-      await Database.srem(`playlists:category:${playlist.category}`, id);
-      await Database.srem(`playlists:visibility:${playlist.visibility}`, id);
-      await Database.srem('playlists:featured', id);
-      
-      for (const tag of playlist.tags) {
-        await Database.srem(`playlists:tag:${tag}`, id);
-      }
-      
-      // Remove from main set
-      await Database.srem('playlists', id);
-      
-      // Delete playlist data
-      await Database.del(`playlist:${id}`);
-      
-      // Clean up related data
-      await Database.del(`playlist:${id}:likes`);
-      await Database.del(`playlist:${id}:followers`);
-      await Database.del(`playlist:${id}:listeners`);
+      // Remove record, index membership and related data in one transaction
+      await deleteIndexedRecord({
+        key: `playlist:${id}`,
+        id,
+        entries: playlist.getIndexEntries(),
+        relatedKeys: [`playlist:${id}:likes`, `playlist:${id}:followers`, `playlist:${id}:listeners`]
+      });
+      await searchService.removeDocument('playlist', id);
 
       logger.info(`Playlist deleted: ${playlist.name} (${id})`);
       return true;
@@ -0,0 +1,123 @@
+/**
+ * SavedPrompt Model for Redis-based storage
+ * An entry in a user's personal prompt library: a prompt and the parameters
+ * to generate it with, reusable across generations
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import Database from '../config/database.js';
+import logger from '../utils/logger.js';
+import { saveIndexedRecord, deleteIndexedRecord } from './indexedRecord.js';
+
+class SavedPrompt {
+  constructor(data = {}) {
+    this.id = data.id || `prm_${uuidv4()}`;
+    this.userId = data.userId || null;
+    this.title = data.title || '';
+    this.prompt = data.prompt || '';
+    this.parameters = data.parameters || {};
+    this.tags = data.tags || [];
+
+    this.useCount = data.useCount || 0;
+    this.lastUsedAt = data.lastUsedAt || null;
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Save prompt and its indexes
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date().toISOString();
+
+      const previousData = await Database.get(`saved_prompt:${this.id}`);
+      const previousEntries = previousData ? new SavedPrompt(previousData).getIndexEntries() : undefined;
+
+      await saveIndexedRecord({
+        key: `saved_prompt:${this.id}`,
+        id: this.id,
+        data: this.toObject(),
+        entries: this.getIndexEntries(),
+        previousEntries
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error saving prompt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Index sets this prompt belongs to
+   */
+  getIndexEntries() {
+    return { sets: [`user:${this.userId}:prompts`], lookups: [] };
+  }
+
+  /**
+   * Convert to plain object
+   */
+  toObject() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      title: this.title,
+      prompt: this.prompt,
+      parameters: this.parameters,
+      tags: this.tags,
+      useCount: this.useCount,
+      lastUsedAt: this.lastUsedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Find prompt by ID
+   */
+  static async findById(id) {
+    try {
+      const promptData = await Database.get(`saved_prompt:${id}`);
+      return promptData ? new SavedPrompt(promptData) : null;
+    } catch (error) {
+      logger.error(`Error finding prompt by ID ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Find a user's saved prompts, most used first
+   */
+  static async findByUser(userId) {
+    const ids = await Database.smembers(`user:${userId}:prompts`);
+    const prompts = await Promise.all(ids.map(id => SavedPrompt.findById(id)));
+    return prompts
+      .filter(prompt => prompt !== null)
+      .sort((a, b) => b.useCount - a.useCount || b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Delete prompt and its index membership
+   */
+  static async deleteById(id) {
+    try {
+      const prompt = await SavedPrompt.findById(id);
+      if (!prompt) return false;
+
+      await deleteIndexedRecord({
+        key: `saved_prompt:${id}`,
+        id,
+        entries: prompt.getIndexEntries()
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting prompt ${id}:`, error);
+      return false;
+    }
+  }
+}
+
+export default SavedPrompt;
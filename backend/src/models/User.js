@@ -7,6 +7,8 @@ import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
 import Database from '../config/database.js';
 import logger from '../utils/logger.js';
+import searchService from '../services/searchService.js';
+import { saveIndexedRecord, deleteIndexedRecord } from './indexedRecord.js';
 
 class User {
   constructor(data = {}) {
@@ -122,29 +124,26 @@ class User {
   }
 
   /**
-   * Save user to database
+   * Save user and its lookup keys in one transaction, dropping stale entries
    */
   async save() {
     try {
       await this.hashPassword();
       this.updatedAt = new Date().toISOString();
-      
-      const userData = this.toObject();
-      await Database.set(`user:${this.id}`, userData);
-      
-      // Index by email and username for quick lookup
-      if (this.email) {
-        await Database.set(`user:email:${this.email.toLowerCase()}`, this.id);
-      }
-      if (this.username) {
-        await Database.set(`user:username:${this.username.toLowerCase()}`, this.id);
-      }
-      if (this.flowWallet.address) {
-        await Database.set(`user:flow:${this.flowWallet.address}`, this.id);
-      }
 
-      // Add to users set
-      await Database.sadd('users', this.id);
+      const previousData = await Database.get(`user:${this.id}`);
+      const previousEntries = previousData ? new User(previousData).getIndexEntries() : undefined;
+
+      await saveIndexedRecord({
+        key: `user:${this.id}`,
+        id: this.id,
+        data: this.toObject(),
+        entries: this.getIndexEntries(),
+        previousEntries
+      });
+
+      // Full-text search index (derived; rebuildable with scripts/rebuildSearchIndex.js)
+      await this.indexSearch();
 
       logger.info(`User saved: ${this.username} (${this.id})`);
       return this;
@@ -154,6 +153,47 @@ class User {
     }
   }
 
+  /**
+   * Users set membership and email/username/wallet lookup keys
+   */
+  getIndexEntries() {
+    const lookups = [];
+
+    // Index by email and username for quick lookup
+    if (this.email) {
+      lookups.push(`user:email:${this.email.toLowerCase()}`);
+    }
+    if (this.username) {
+      lookups.push(`user:username:${this.username.toLowerCase()}`);
+    }
+    if (this.flowWallet?.address) {
+      lookups.push(`user:flow:${this.flowWallet.address}`);
+    }
+
+    return { sets: ['users'], lookups };
+  }
+
+  /**
+   * Update the full-text search index (username > display name > bio)
+   */
+  async indexSearch() {
+    if (!this.isActive) {
+      await searchService.removeDocument('user', this.id);
+      return;
+    }
+
+    await searchService.indexDocument('user', this.id, {
+      fields: [
+        { value: this.username, weight: 10 },
+        { value: this.profile.displayName, weight: 8 },
+        { value: this.profile.bio, weight: 1 }
+      ],
+      facets: {
+        role: this.role
+      }
+    });
+  }
+
   /**
    * Convert to plain object
    */
@@ -325,22 +365,13 @@ class User {
       const user = await User.findById(id);
       if (!user) return false;
 
-      // Remove from indexes
-      if (user.email) {
-        await Database.del(`user:email:${user.email.toLowerCase()}`);
-      }
-      if (user.username) {
-        await Database.del(`user:username:${user.username.toLowerCase()}`);
-      }
-      if (user.flowWallet.address) {
-        await Database.del(`user:flow:${user.flowWallet.address}`);
-      }
-
-      // Remove from users set
-      await Database.sadd('users', id); // Remove from set
-      
-      // Delete user data
-      await Database.del(`user:${id}`);
+      // Remove record and lookup keys in one transaction
+      await deleteIndexedRecord({
+        key: `user:${id}`,
+        id,
+        entries: user.getIndexEntries()
+      });
+      await searchService.removeDocument('user', id);
 
       logger.info(`User deleted: ${user.username} (${id})`);
       return true;
@@ -353,27 +384,28 @@ class User {
   /**
    * Search users
    */
-  static async search(query, limit = 20) {
+  static async search(query, limit = 20, { filters = {}, offset = 0 } = {}) {
+    const { hits } = await User.searchIndex(query, { filters, limit, offset });
+    return hits;
+  }
+
+  /**
+   * Ranked search returning hydrated users with scores, totals and facets
+   */
+  static async searchIndex(query, { filters = {}, limit = 20, offset = 0 } = {}) {
     try {
-      const userIds = await Database.smembers('users');
-      const users = await Promise.all(
-        userIds.map(id => User.findById(id))
-      );
-      
-      const searchTerm = query.toLowerCase();
-      const filteredUsers = users.filter(user => {
-        if (!user) return false;
-        return (
-          user.username.toLowerCase().includes(searchTerm) ||
-          user.email.toLowerCase().includes(searchTerm) ||
-          user.profile.displayName.toLowerCase().includes(searchTerm)
-        );
-      });
-      
-      return filteredUsers.slice(0, limit);
+      const result = await searchService.search('user', query, { filters, limit, offset });
+      const users = await Promise.all(result.hits.map(hit => User.findById(hit.id)));
+
+      return {
+        hits: users.filter(Boolean),
+        scores: Object.fromEntries(result.hits.map(hit => [hit.id, hit.score])),
+        total: result.total,
+        facets: result.facets
+      };
     } catch (error) {
       logger.error('Error searching users:', error);
-      return [];
+      return { hits: [], scores: {}, total: 0, facets: {} };
     }
   }
 }
@@ -0,0 +1,167 @@
+/**
+ * WorkflowBatch Model for Redis-based storage
+ * A group of workflows submitted together and run through a concurrency pool.
+ * Items wait as pending until a pool slot frees up, then track the workflow
+ * job they were submitted as.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import Database from '../config/database.js';
+import logger from '../utils/logger.js';
+import { saveIndexedRecord } from './indexedRecord.js';
+
+export const BATCH_STATUSES = ['running', 'completed', 'partially_failed', 'failed', 'cancelled'];
+// pending: waiting for a pool slot; submitted: workflow job queued or running
+export const BATCH_ITEM_STATUSES = ['pending', 'submitted', 'completed', 'failed', 'cancelled'];
+export const FINISHED_ITEM_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class WorkflowBatch {
+  constructor(data = {}) {
+    this.id = data.id || `batch_${uuidv4()}`;
+    this.userId = data.userId || null;
+    this.concurrency = data.concurrency || 1;
+    this.status = data.status || 'running';
+
+    this.items = (data.items || []).map((item, index) => ({
+      index,
+      status: 'pending',
+      workflowId: null,
+      error: null,
+      code: null,
+      ...item
+    }));
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+    this.completedAt = data.completedAt || null;
+    this.cancelledAt = data.cancelledAt || null;
+  }
+
+  getItemByWorkflow(workflowId) {
+    return this.items.find(item => item.workflowId === workflowId) || null;
+  }
+
+  getInFlight() {
+    return this.items.filter(item => item.status === 'submitted');
+  }
+
+  getPending() {
+    return this.items.filter(item => item.status === 'pending');
+  }
+
+  isSettled() {
+    return this.items.every(item => FINISHED_ITEM_STATUSES.includes(item.status));
+  }
+
+  /**
+   * Final status once every item has finished
+   */
+  getOutcome() {
+    if (this.cancelledAt) return 'cancelled';
+
+    const failed = this.items.filter(item => item.status === 'failed').length;
+    if (failed === 0) return 'completed';
+    return failed === this.items.length ? 'failed' : 'partially_failed';
+  }
+
+  /**
+   * Save batch and its indexes in one transaction
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date().toISOString();
+
+      const previousData = await Database.get(`workflow_batch:${this.id}`);
+      const previousEntries = previousData ? new WorkflowBatch(previousData).getIndexEntries() : undefined;
+
+      await saveIndexedRecord({
+        key: `workflow_batch:${this.id}`,
+        id: this.id,
+        data: this.toObject(),
+        entries: this.getIndexEntries(),
+        previousEntries
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error saving workflow batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Index sets this batch belongs to
+   */
+  getIndexEntries() {
+    const sets = [
+      'workflow_batches',
+      `workflow_batches:status:${this.status}`
+    ];
+
+    if (this.userId) {
+      sets.push(`user:${this.userId}:workflow_batches`);
+    }
+
+    return { sets, lookups: [] };
+  }
+
+  /**
+   * Convert to plain object
+   */
+  toObject() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      concurrency: this.concurrency,
+      status: this.status,
+      items: this.items,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      completedAt: this.completedAt,
+      cancelledAt: this.cancelledAt
+    };
+  }
+
+  /**
+   * Find batch by ID
+   */
+  static async findById(id) {
+    try {
+      const batchData = await Database.get(`workflow_batch:${id}`);
+      return batchData ? new WorkflowBatch(batchData) : null;
+    } catch (error) {
+      logger.error(`Error finding workflow batch by ID ${id}:`, error);
+      return null;
+    }
+  }
+
+  static async findByIds(ids) {
+    const batches = await Promise.all(ids.map(id => WorkflowBatch.findById(id)));
+    return batches.filter(batch => batch !== null);
+  }
+
+  /**
+   * Find batches in a status
+   */
+  static async findByStatus(status) {
+    const ids = await Database.smembers(`workflow_batches:status:${status}`);
+    return WorkflowBatch.findByIds(ids);
+  }
+
+  /**
+   * Find a user's batches, newest first
+   */
+  static async findByUser(userId, limit = 20, offset = 0) {
+    try {
+      const ids = await Database.smembers(`user:${userId}:workflow_batches`);
+      const batches = await WorkflowBatch.findByIds(ids);
+      batches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return batches.slice(offset, offset + limit);
+    } catch (error) {
+      logger.error(`Error finding workflow batches for user ${userId}:`, error);
+      return [];
+    }
+  }
+}
+
+export default WorkflowBatch;
@@ -0,0 +1,207 @@
+/**
+ * WorkflowJob Model for Redis-based storage
+ * Durable record of a multi-step workflow: per-step state, attempts and results
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import Database from '../config/database.js';
+import logger from '../utils/logger.js';
+import { saveIndexedRecord, deleteIndexedRecord } from './indexedRecord.js';
+
+export const WORKFLOW_STATUSES = ['queued', 'running', 'retrying', 'completed', 'failed', 'cancelled'];
+export const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+export const STEP_STATUSES = ['pending', 'running', 'completed', 'skipped', 'failed'];
+
+class WorkflowJob {
+  constructor(data = {}) {
+    this.id = data.id || `workflow_${uuidv4()}`;
+    this.type = data.type || '';
+    this.userId = data.userId || null;
+    this.params = data.params || {};
+    this.batchId = data.batchId || null;
+
+    this.status = data.status || 'queued';
+    this.steps = (data.steps || []).map(step => ({
+      status: 'pending',
+      attempts: 0,
+      result: null,
+      error: null,
+      startedAt: null,
+      completedAt: null,
+      failedAt: null,
+      ...step
+    }));
+    this.currentStep = data.currentStep || null;
+    this.maxAttempts = data.maxAttempts || 3;
+
+    // Scheduling: next eligible run time and the worker lease while running
+    this.nextRunAt = data.nextRunAt || new Date().toISOString();
+    this.lockedUntil = data.lockedUntil || null;
+
+    this.result = data.result || null;
+    this.error = data.error || null;
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+    this.startedAt = data.startedAt || null;
+    this.completedAt = data.completedAt || null;
+    this.failedAt = data.failedAt || null;
+    this.cancelledAt = data.cancelledAt || null;
+  }
+
+  getStep(name) {
+    return this.steps.find(step => step.name === name) || null;
+  }
+
+  /**
+   * Percentage of steps that are done (completed or skipped)
+   */
+  getProgress() {
+    if (this.steps.length === 0) return this.status === 'completed' ? 100 : 0;
+    const done = this.steps.filter(step => step.status === 'completed' || step.status === 'skipped').length;
+    return Math.round((done / this.steps.length) * 100);
+  }
+
+  /**
+   * Results of finished steps keyed by step name
+   */
+  getStepResults() {
+    return Object.fromEntries(
+      this.steps
+        .filter(step => step.status === 'completed')
+        .map(step => [step.name, step.result])
+    );
+  }
+
+  /**
+   * Save job and its indexes in one transaction
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date().toISOString();
+
+      const previousData = await Database.get(`workflow:${this.id}`);
+      const previousEntries = previousData ? new WorkflowJob(previousData).getIndexEntries() : undefined;
+
+      await saveIndexedRecord({
+        key: `workflow:${this.id}`,
+        id: this.id,
+        data: this.toObject(),
+        entries: this.getIndexEntries(),
+        previousEntries
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error saving workflow job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Index sets this job belongs to
+   */
+  getIndexEntries() {
+    const sets = [
+      'workflows',
+      `workflows:status:${this.status}`,
+      `workflows:type:${this.type}`
+    ];
+
+    if (this.userId) {
+      sets.push(`user:${this.userId}:workflows`);
+    }
+
+    return { sets, lookups: [] };
+  }
+
+  /**
+   * Convert to plain object
+   */
+  toObject() {
+    return {
+      id: this.id,
+      type: this.type,
+      userId: this.userId,
+      params: this.params,
+      batchId: this.batchId,
+      status: this.status,
+      steps: this.steps,
+      currentStep: this.currentStep,
+      maxAttempts: this.maxAttempts,
+      nextRunAt: this.nextRunAt,
+      lockedUntil: this.lockedUntil,
+      result: this.result,
+      error: this.error,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      failedAt: this.failedAt,
+      cancelledAt: this.cancelledAt
+    };
+  }
+
+  /**
+   * Find job by ID
+   */
+  static async findById(id) {
+    try {
+      const jobData = await Database.get(`workflow:${id}`);
+      return jobData ? new WorkflowJob(jobData) : null;
+    } catch (error) {
+      logger.error(`Error finding workflow job by ID ${id}:`, error);
+      return null;
+    }
+  }
+
+  static async findByIds(ids) {
+    const jobs = await Promise.all(ids.map(id => WorkflowJob.findById(id)));
+    return jobs.filter(job => job !== null);
+  }
+
+  /**
+   * Find jobs in a status
+   */
+  static async findByStatus(status) {
+    const ids = await Database.smembers(`workflows:status:${status}`);
+    return WorkflowJob.findByIds(ids);
+  }
+
+  /**
+   * Find a user's jobs, newest first
+   */
+  static async findByUser(userId, limit = 20, offset = 0) {
+    try {
+      const ids = await Database.smembers(`user:${userId}:workflows`);
+      const jobs = await WorkflowJob.findByIds(ids);
+      jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return jobs.slice(offset, offset + limit);
+    } catch (error) {
+      logger.error(`Error finding workflow jobs for user ${userId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete job
+   */
+  static async deleteById(id) {
+    try {
+      const job = await WorkflowJob.findById(id);
+      if (!job) return false;
+
+      await deleteIndexedRecord({
+        key: `workflow:${id}`,
+        id,
+        entries: job.getIndexEntries()
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting workflow job ${id}:`, error);
+      return false;
+    }
+  }
+}
+
+export default WorkflowJob;
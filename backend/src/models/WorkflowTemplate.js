@@ -0,0 +1,179 @@
+/**
+ * WorkflowTemplate Model for Redis-based storage
+ * User-defined Forte Actions templates; every saved change creates a new version
+ * and earlier versions stay readable as snapshots
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import Database from '../config/database.js';
+import logger from '../utils/logger.js';
+import { saveIndexedRecord, deleteIndexedRecord } from './indexedRecord.js';
+
+class WorkflowTemplate {
+  constructor(data = {}) {
+    this.id = data.id || `tpl_${uuidv4()}`;
+    this.ownerId = data.ownerId || null;
+    this.name = data.name || '';
+    this.description = data.description || '';
+    this.visibility = data.visibility || 'private'; // 'private', 'public'
+    this.builtin = data.builtin || false;
+
+    // DSL definition: { parameters: [...], steps: [...] }
+    this.definition = data.definition || { parameters: [], steps: [] };
+    this.version = data.version || 1;
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Replace editable fields and move to the next version
+   */
+  revise({ name, description, visibility, definition }) {
+    if (name !== undefined) this.name = name;
+    if (description !== undefined) this.description = description;
+    if (visibility !== undefined) this.visibility = visibility;
+    if (definition !== undefined) this.definition = definition;
+    this.version += 1;
+  }
+
+  /**
+   * Save template, its indexes and a snapshot of the current version
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date().toISOString();
+
+      const previousData = await Database.get(`workflow_template:${this.id}`);
+      const previousEntries = previousData ? new WorkflowTemplate(previousData).getIndexEntries() : undefined;
+
+      // Snapshot first so the current version is always readable
+      await Database.set(`workflow_template:${this.id}:v${this.version}`, this.toObject());
+      await saveIndexedRecord({
+        key: `workflow_template:${this.id}`,
+        id: this.id,
+        data: this.toObject(),
+        entries: this.getIndexEntries(),
+        previousEntries
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error saving workflow template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Index sets this template belongs to
+   */
+  getIndexEntries() {
+    const sets = ['workflow_templates'];
+
+    if (this.ownerId) {
+      sets.push(`user:${this.ownerId}:workflow_templates`);
+    }
+    if (this.visibility === 'public') {
+      sets.push('workflow_templates:public');
+    }
+
+    return { sets, lookups: [] };
+  }
+
+  /**
+   * Whether a user may run or read this template
+   */
+  canAccess(userId) {
+    return this.builtin || this.visibility === 'public' || (userId && this.ownerId === userId);
+  }
+
+  /**
+   * Convert to plain object
+   */
+  toObject() {
+    return {
+      id: this.id,
+      ownerId: this.ownerId,
+      name: this.name,
+      description: this.description,
+      visibility: this.visibility,
+      builtin: this.builtin,
+      definition: this.definition,
+      version: this.version,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Find template by ID
+   */
+  static async findById(id) {
+    try {
+      const templateData = await Database.get(`workflow_template:${id}`);
+      return templateData ? new WorkflowTemplate(templateData) : null;
+    } catch (error) {
+      logger.error(`Error finding workflow template by ID ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Find a specific version of a template
+   */
+  static async findVersion(id, version) {
+    try {
+      const templateData = await Database.get(`workflow_template:${id}:v${version}`);
+      return templateData ? new WorkflowTemplate(templateData) : null;
+    } catch (error) {
+      logger.error(`Error finding workflow template ${id} v${version}:`, error);
+      return null;
+    }
+  }
+
+  static async findByIds(ids) {
+    const templates = await Promise.all(ids.map(id => WorkflowTemplate.findById(id)));
+    return templates
+      .filter(template => template !== null)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Find templates owned by a user, most recently updated first
+   */
+  static async findByOwner(ownerId) {
+    const ids = await Database.smembers(`user:${ownerId}:workflow_templates`);
+    return WorkflowTemplate.findByIds(ids);
+  }
+
+  /**
+   * Find templates shared publicly
+   */
+  static async findPublic() {
+    const ids = await Database.smembers('workflow_templates:public');
+    return WorkflowTemplate.findByIds(ids);
+  }
+
+  /**
+   * Delete template and all version snapshots
+   */
+  static async deleteById(id) {
+    try {
+      const template = await WorkflowTemplate.findById(id);
+      if (!template) return false;
+
+      await deleteIndexedRecord({
+        key: `workflow_template:${id}`,
+        id,
+        entries: template.getIndexEntries(),
+        relatedKeys: Array.from({ length: template.version }, (_, i) => `workflow_template:${id}:v${i + 1}`)
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting workflow template ${id}:`, error);
+      return false;
+    }
+  }
+}
+
+export default WorkflowTemplate;
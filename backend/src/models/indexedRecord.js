@@ -0,0 +1,85 @@
+/**
+ * Indexed record persistence shared by the models
+ * Writes a record and its secondary indexes in one storage transaction,
+ * diffing old and new index membership so stale entries are removed.
+ *
+ * Index entries have two shapes:
+ *   sets    - set keys the record id is a member of (e.g. nfts:category:music)
+ *   lookups - keys whose value is the record id (e.g. user:email:a@b.c)
+ */
+
+import Database from '../config/database.js';
+
+const EMPTY_ENTRIES = { sets: [], lookups: [] };
+
+/**
+ * Entries present before but not after
+ */
+export const diffIndexEntries = (previous = EMPTY_ENTRIES, next = EMPTY_ENTRIES) => ({
+  staleSets: previous.sets.filter(key => !next.sets.includes(key)),
+  staleLookups: previous.lookups.filter(key => !next.lookups.includes(key))
+});
+
+/**
+ * Only drop lookup keys that still point at this record; another record
+ * may have claimed the key (e.g. a username) since
+ */
+const ownedLookups = async (keys, id) => {
+  const owned = [];
+  for (const key of keys) {
+    if (await Database.get(key) === id) {
+      owned.push(key);
+    }
+  }
+  return owned;
+};
+
+/**
+ * Save a record and move its index membership from previousEntries to entries
+ * increments are [key, amount] counters adjusted in the same transaction
+ */
+export const saveIndexedRecord = async ({ key, id, data, entries, previousEntries = EMPTY_ENTRIES, increments = [] }) => {
+  const { staleSets, staleLookups } = diffIndexEntries(previousEntries, entries);
+  const transaction = Database.multi();
+
+  transaction.set(key, data);
+
+  for (const setKey of staleSets) {
+    transaction.srem(setKey, id);
+  }
+  for (const lookupKey of await ownedLookups(staleLookups, id)) {
+    transaction.del(lookupKey);
+  }
+
+  for (const setKey of entries.sets) {
+    transaction.sadd(setKey, id);
+  }
+  for (const lookupKey of entries.lookups) {
+    transaction.set(lookupKey, id);
+  }
+  for (const [counterKey, amount] of increments) {
+    transaction.incr(counterKey, amount);
+  }
+
+  return transaction.exec();
+};
+
+/**
+ * Delete a record, its index membership and any related keys
+ */
+export const deleteIndexedRecord = async ({ key, id, entries, relatedKeys = [] }) => {
+  const transaction = Database.multi();
+
+  for (const setKey of entries.sets) {
+    transaction.srem(setKey, id);
+  }
+  for (const lookupKey of await ownedLookups(entries.lookups, id)) {
+    transaction.del(lookupKey);
+  }
+  for (const relatedKey of relatedKeys) {
+    transaction.del(relatedKey);
+  }
+  transaction.del(key);
+
+  return transaction.exec();
+};
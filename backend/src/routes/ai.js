@@ -4,31 +4,100 @@
  */
 
 import express from 'express';
-import aiService from '../services/aiService.js';
+import aiService, { GENERATION_PARAMETERS } from '../services/aiService.js';
 import ipfsService from '../services/ipfsService.js';
+import audioAnalysisService from '../services/audioAnalysisService.js';
+import coverArtService, { COVER_SIZE, THUMBNAIL_SIZES, COVER_FORMATS } from '../services/coverArtService.js';
+import generationLineageService from '../services/generationLineageService.js';
+import generationHistoryService from '../services/generationHistoryService.js';
+import MusicNFT from '../models/MusicNFT.js';
+import { COVER_STYLES, COVER_STYLE_ALIASES, DEFAULT_COVER_STYLE } from '../utils/coverArt.js';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
 import { aiRateLimiter } from '../middleware/rateLimiter.js';
 import securityMiddleware from '../middleware/security.js';
 
 const router = express.Router();
 
+// Analysis error types and their HTTP status codes
+const analysisErrorStatus = {
+  VALIDATION_ERROR: 400,
+  PERMISSION_ERROR: 403,
+  NOT_FOUND: 404,
+  IPFS_ERROR: 502
+};
+
+// Generation error types and their HTTP status codes
+const generationErrorStatus = {
+  VALIDATION_ERROR: 400,
+  NOT_FOUND: 404,
+  AI_ERROR: 502
+};
+
+// Lineage error types (variations, extensions, regenerations) and their HTTP status codes
+const lineageErrorStatus = {
+  VALIDATION_ERROR: 400,
+  PERMISSION_ERROR: 403,
+  NOT_FOUND: 404,
+  AI_ERROR: 502
+};
+
+const sendLineageError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(lineageErrorStatus[error.type] || 500).json({
+    error: true,
+    code: error.code,
+    message: error.message || fallbackMessage,
+    ...(error.details ? { details: error.details } : {})
+  });
+};
+
+// An optional replacement prompt must still be a usable prompt
+const invalidPrompt = (prompt) => prompt !== undefined && (typeof prompt !== 'string' || prompt.trim().length < 3);
+
+const pickParameterOverrides = (body) => Object.fromEntries(
+  GENERATION_PARAMETERS
+    .filter(field => body[field] !== undefined && body[field] !== null && body[field] !== '')
+    .map(field => [field, body[field]])
+);
+
 /**
  * POST /api/ai/generate
  * Generate music using AI
+ * Signed-in users' generations are kept in their history (/api/generations);
+ * they may also generate from a saved prompt with promptId
  */
 router.post('/generate', 
+  optionalAuth,
   securityMiddleware.rateLimiters.aiGeneration,
   securityMiddleware.validateInput(securityMiddleware.validationRules.userInput),
   async (req, res) => {
+  const userId = req.user?.id || null;
+  let prompt = req.body.prompt;
+  let parameters = null;
+
   try {
     const {
-      prompt,
-      duration = 30,
-      genre = 'electronic',
-      mood = 'upbeat',
       title,
-      artist
+      artist,
+      provider,
+      promptId,
+      coverStyle
     } = req.body;
 
+    // A saved prompt supplies the prompt and default parameters
+    let savedParameters = {};
+    if (promptId) {
+      if (!userId) {
+        return res.status(401).json({
+          error: true,
+          message: 'Sign in to generate from a saved prompt'
+        });
+      }
+      const saved = await generationHistoryService.usePrompt(userId, promptId);
+      prompt = prompt || saved.prompt;
+      savedParameters = saved.parameters;
+    }
+
     // Validate input
     if (!prompt || prompt.trim().length < 3) {
       return res.status(400).json({
@@ -37,21 +106,36 @@ router.post('/generate',
       });
     }
 
-    // Validate generation parameters
-    aiService.validateGenerationParams({ prompt, duration, genre });
+    // Parameters read from the prompt; saved, then explicit request fields take precedence
+    const { interpreted, parameters: requested } = aiService.interpretPrompt(prompt, { ...savedParameters, ...pickParameterOverrides(req.body) });
+    const { genre, mood, duration, bpm, key, instruments } = aiService.validateGenerationParams({ prompt, ...requested });
+    parameters = { genre, mood, duration, bpm, key, instruments };
 
     console.log(`🎵 Starting AI music generation for: "${prompt}"`);
 
     // Generate music
-    const generationResult = await aiService.generateMusicWithMusicGen(
+    const generationResult = await aiService.generateMusic({
       prompt,
-      duration
-    );
+      duration,
+      genre,
+      mood,
+      bpm,
+      key,
+      provider
+    });
 
     if (!generationResult.success) {
       throw new Error('AI music generation failed');
     }
 
+    // Analyze the generated audio; generation still succeeds without it
+    let analysis = null;
+    try {
+      analysis = await audioAnalysisService.analyzeUrl(generationResult.audioUrl);
+    } catch (error) {
+      console.warn('Generated audio analysis failed:', error.message);
+    }
+
     // Generate description
     const description = await aiService.generateMusicDescription(
       prompt,
@@ -59,27 +143,55 @@ router.post('/generate',
       mood
     );
 
-    // Generate cover art
-    const coverArt = await aiService.generateCoverArt(prompt, 'abstract');
+    const trackTitle = title || `AI Generated ${genre.charAt(0).toUpperCase() + genre.slice(1)}`;
+
+    // Generate cover art; the local renderer draws the analyzed waveform
+    const coverArt = await aiService.generateCoverArt(prompt, coverStyle || 'abstract', {
+      title: trackTitle,
+      artist,
+      genre,
+      mood,
+      waveform: analysis?.waveform
+    });
+    const historyEntry = userId ? await generationHistoryService.recordSafely(userId, {
+      title: trackTitle,
+      prompt,
+      parameters,
+      provider: generationResult.metadata.provider,
+      model: generationResult.metadata.model,
+      predictionId: generationResult.metadata.predictionId,
+      source: 'ai',
+      audioUrl: generationResult.audioUrl,
+      format: generationResult.metadata.format,
+      coverImageUrl: coverArt.imageUrl
+    }) : null;
 
     // Prepare response
     const response = {
       success: true,
       generation: {
         id: generationResult.metadata.predictionId,
+        historyId: historyEntry?.id || null,
         audioUrl: generationResult.audioUrl,
         coverImageUrl: coverArt.imageUrl,
         metadata: {
-          title: title || `AI Generated ${genre.charAt(0).toUpperCase() + genre.slice(1)}`,
+          title: trackTitle,
           artist: artist || 'AI Composer',
           description: description,
           genre: genre,
           mood: mood,
-          duration: duration,
+          duration: analysis?.duration || duration,
+          bpm: analysis?.tempo ? Math.round(analysis.tempo.bpm) : null,
+          key: analysis?.key ? analysis.key.name : null,
           prompt: prompt,
           aiModel: generationResult.metadata.model,
+          aiProvider: generationResult.metadata.provider,
+          fallbackFrom: generationResult.metadata.fallbackFrom || null,
           generatedAt: new Date().toISOString()
-        }
+        },
+        parameters,
+        interpreted,
+        analysis
       },
       message: 'Music generated successfully'
     };
@@ -89,10 +201,181 @@ router.post('/generate',
 
   } catch (error) {
     console.error('AI generation error:', error);
-    res.status(500).json({
+    // Failed provider runs stay visible in the history; bad requests are not recorded
+    if (userId && parameters && error.type !== 'VALIDATION_ERROR') {
+      await generationHistoryService.recordSafely(userId, {
+        title: req.body.title,
+        prompt,
+        parameters,
+        provider: error.provider || req.body.provider,
+        source: 'ai',
+        status: 'failed',
+        error: error.message
+      });
+    }
+    res.status(generationErrorStatus[error.type] || 500).json({
+      error: true,
+      code: error.code,
+      message: error.message || 'AI music generation failed',
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+});
+
+/**
+ * POST /api/ai/interpret
+ * Preview the parameters a prompt would generate with, so they can be adjusted first
+ */
+router.post('/interpret', (req, res) => {
+  const { prompt } = req.body;
+  if (!prompt || typeof prompt !== 'string') {
+    return res.status(400).json({
       error: true,
-      message: error.message || 'AI music generation failed'
+      message: 'Prompt is required'
+    });
+  }
+
+  const { interpreted, parameters } = aiService.interpretPrompt(prompt, pickParameterOverrides(req.body));
+
+  let issue = null;
+  try {
+    Object.assign(parameters, aiService.validateGenerationParams({ prompt, ...parameters }));
+    delete parameters.prompt;
+  } catch (error) {
+    issue = { code: error.code, message: error.message };
+  }
+
+  res.json({
+    success: true,
+    interpreted,
+    parameters,
+    valid: !issue,
+    issue
+  });
+});
+
+/**
+ * POST /api/ai/tracks/:trackId/variations
+ * Generate `count` variations of a track, saved as drafts linked to it
+ */
+router.post('/tracks/:trackId/variations',
+  authenticateToken,
+  securityMiddleware.rateLimiters.aiGeneration,
+  async (req, res) => {
+  try {
+    const { count = 2, prompt, provider } = req.body;
+    if (invalidPrompt(prompt)) {
+      return res.status(400).json({ error: true, message: 'Prompt must be at least 3 characters long' });
+    }
+
+    const variations = await generationLineageService.createVariations(req.params.trackId, {
+      count: Number(count),
+      prompt,
+      provider,
+      user: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      parentId: req.params.trackId,
+      tracks: variations.map(nft => nft.toObject())
+    });
+  } catch (error) {
+    sendLineageError(res, error, 'Variation generation failed');
+  }
+});
+
+/**
+ * POST /api/ai/tracks/:trackId/extend
+ * Continue a track's audio for `duration` more seconds
+ */
+router.post('/tracks/:trackId/extend',
+  authenticateToken,
+  securityMiddleware.rateLimiters.aiGeneration,
+  async (req, res) => {
+  try {
+    const { duration = 15, prompt, provider } = req.body;
+    if (invalidPrompt(prompt)) {
+      return res.status(400).json({ error: true, message: 'Prompt must be at least 3 characters long' });
+    }
+
+    const extension = await generationLineageService.extendTrack(req.params.trackId, {
+      duration: Number(duration),
+      prompt,
+      provider,
+      user: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      parentId: req.params.trackId,
+      track: extension.toObject()
+    });
+  } catch (error) {
+    sendLineageError(res, error, 'Track extension failed');
+  }
+});
+
+/**
+ * POST /api/ai/tracks/:trackId/regenerate
+ * Regenerate a track following a reference melody: uploaded audio (base64
+ * audioData) or, when none is given, the track's own audio
+ */
+router.post('/tracks/:trackId/regenerate',
+  authenticateToken,
+  securityMiddleware.rateLimiters.aiGeneration,
+  async (req, res) => {
+  try {
+    const { prompt, audioData, mimeType, provider } = req.body;
+    if (invalidPrompt(prompt)) {
+      return res.status(400).json({ error: true, message: 'Prompt must be at least 3 characters long' });
+    }
+
+    const regeneration = await generationLineageService.regenerate(req.params.trackId, {
+      prompt,
+      reference: audioData ? { audio: Buffer.from(audioData, 'base64'), mimeType } : null,
+      provider,
+      user: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      parentId: req.params.trackId,
+      track: regeneration.toObject()
+    });
+  } catch (error) {
+    sendLineageError(res, error, 'Track regeneration failed');
+  }
+});
+
+/**
+ * GET /api/ai/tracks/:trackId/lineage
+ * A track's ancestors (root first) and the tracks derived from it
+ */
+router.get('/tracks/:trackId/lineage', authenticateToken, async (req, res) => {
+  try {
+    const { track, ancestors, derivatives } = await generationLineageService.getLineage(req.params.trackId, req.user);
+
+    const summarize = (nft) => ({
+      id: nft.id,
+      title: nft.title,
+      status: nft.status,
+      audioUrl: nft.files.audio.url,
+      parentId: nft.aiGeneration?.parentId || null,
+      operation: nft.aiGeneration?.operation || 'generate',
+      parameters: nft.aiGeneration?.parameters || {},
+      createdAt: nft.createdAt
+    });
+
+    res.json({
+      success: true,
+      track: summarize(track),
+      rootId: track.aiGeneration?.rootId || track.id,
+      ancestors: ancestors.map(summarize),
+      derivatives: derivatives.map(summarize)
     });
+  } catch (error) {
+    sendLineageError(res, error, 'Failed to load track lineage');
   }
 });
 
@@ -122,29 +405,21 @@ router.post('/upload-to-ipfs', async (req, res) => {
     const audioFilename = `${metadata.title.replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}.mp3`;
     const audioUpload = await ipfsService.uploadAudioFromUrl(audioUrl, audioFilename);
 
+    // Upload the given cover, or render one from the genre, mood and audio waveform
     let coverUpload = null;
-    if (coverImageUrl) {
-      try {
-        // Upload cover image to IPFS
-        const coverFilename = `cover_${metadata.title.replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}.jpg`;
-        
-        // Download and upload cover image
-        const axios = (await import('axios')).default;
-        const response = await axios.get(coverImageUrl, {
-          responseType: 'arraybuffer',
-          timeout: 30000
-        });
-        
-        const imageBuffer = Buffer.from(response.data);
-        coverUpload = await ipfsService.uploadImage(imageBuffer, coverFilename);
-      } catch (error) {
-        console.warn('Cover image upload failed, using placeholder:', error.message);
-        coverUpload = {
-          success: true,
-          hash: 'QmPlaceholder',
-          url: 'https://picsum.photos/512/512?random=' + Date.now()
-        };
-      }
+    try {
+      coverUpload = await coverArtService.uploadForMint({
+        coverImageUrl,
+        title: metadata.title,
+        artist: metadata.artist,
+        genre: metadata.genre,
+        mood: metadata.mood,
+        prompt: metadata.prompt,
+        style: metadata.coverStyle,
+        audioUrl
+      }, `${metadata.title.replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}`);
+    } catch (error) {
+      console.warn('Cover art upload failed:', error.message);
     }
 
     // Create NFT metadata
@@ -156,10 +431,13 @@ router.post('/upload-to-ipfs', async (req, res) => {
       audioUrl: audioUpload.url,
       coverImageHash: coverUpload?.hash,
       coverImageUrl: coverUpload?.url,
+      coverThumbnails: coverUpload?.thumbnails,
       genre: metadata.genre,
       duration: metadata.duration,
       aiModel: metadata.aiModel,
+      aiProvider: metadata.aiProvider,
       prompt: metadata.prompt,
+      lineage: metadata.lineage,
       royalties: royalties
     });
 
@@ -174,7 +452,8 @@ router.post('/upload-to-ipfs', async (req, res) => {
         cover: coverUpload ? {
           hash: coverUpload.hash,
           url: coverUpload.url,
-          size: coverUpload.size
+          size: coverUpload.size,
+          thumbnails: coverUpload.thumbnails
         } : null,
         metadata: {
           hash: nftMetadata.metadataHash,
@@ -197,6 +476,97 @@ router.post('/upload-to-ipfs', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/ai/cover-styles
+ * Style presets for locally rendered cover art and the sizes it is rendered at
+ */
+router.get('/cover-styles', (req, res) => {
+  res.json({
+    success: true,
+    styles: Object.entries(COVER_STYLES).map(([id, style]) => ({ id, ...style })),
+    aliases: COVER_STYLE_ALIASES,
+    defaultStyle: DEFAULT_COVER_STYLE,
+    sizes: { cover: COVER_SIZE, thumbnails: THUMBNAIL_SIZES }
+  });
+});
+
+/**
+ * POST /api/ai/cover-art
+ * Render cover art locally from title, genre, mood and waveform (peak values 0-1).
+ * With trackId, the track's stored details and analyzed waveform are used.
+ */
+router.post('/cover-art',
+  optionalAuth,
+  securityMiddleware.rateLimiters.aiGeneration,
+  async (req, res) => {
+  try {
+    const { trackId, style, seed, format = 'png' } = req.body;
+
+    if (style !== undefined && !COVER_STYLES[style] && !COVER_STYLE_ALIASES[style]) {
+      return res.status(400).json({
+        error: true,
+        code: 'INVALID_COVER_STYLE',
+        message: `Cover style must be one of: ${Object.keys(COVER_STYLES).join(', ')}`
+      });
+    }
+    if (!COVER_FORMATS[format]) {
+      return res.status(400).json({
+        error: true,
+        code: 'INVALID_COVER_FORMAT',
+        message: `Cover format must be one of: ${Object.keys(COVER_FORMATS).join(', ')}`
+      });
+    }
+
+    let request = {
+      title: req.body.title,
+      artist: req.body.artist,
+      prompt: req.body.prompt,
+      genre: req.body.genre,
+      mood: req.body.mood,
+      waveform: req.body.waveform
+    };
+
+    if (trackId) {
+      const track = await MusicNFT.findById(trackId);
+      if (!track || !track.isActive || !generationLineageService.canView(track, req.user)) {
+        return res.status(404).json({ error: true, code: 'TRACK_NOT_FOUND', message: 'Track not found' });
+      }
+      // Request fields override the stored ones
+      request = {
+        title: request.title ?? track.title,
+        artist: request.artist,
+        prompt: request.prompt ?? track.aiGeneration?.prompt,
+        genre: request.genre ?? track.music?.genre,
+        mood: request.mood ?? track.music?.mood,
+        waveform: request.waveform ?? track.music?.waveform
+      };
+    }
+
+    const waveform = Array.isArray(request.waveform?.peaks) ? request.waveform.peaks : request.waveform;
+    if (waveform !== undefined && (!Array.isArray(waveform) || waveform.length > 10000 || waveform.some(peak => typeof peak !== 'number'))) {
+      return res.status(400).json({
+        error: true,
+        code: 'INVALID_WAVEFORM',
+        message: 'Waveform must be an array of at most 10000 peak values'
+      });
+    }
+
+    const cover = await coverArtService.renderToFile({ ...request, waveform, style, seed, format });
+
+    res.json({
+      success: true,
+      cover
+    });
+
+  } catch (error) {
+    console.error('Cover art rendering error:', error);
+    res.status(500).json({
+      error: true,
+      message: error.message || 'Cover art rendering failed'
+    });
+  }
+});
+
 /**
  * GET /api/ai/models
  * Get available AI models
@@ -223,6 +593,17 @@ router.get('/models', (req, res) => {
   });
 });
 
+/**
+ * GET /api/ai/providers
+ * Enabled music generation providers and their capabilities
+ */
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    ...aiService.listProviders()
+  });
+});
+
 /**
  * GET /api/ai/genres
  * Get supported music genres
@@ -251,37 +632,44 @@ router.get('/genres', (req, res) => {
 
 /**
  * POST /api/ai/analyze
- * Analyze uploaded audio file
+ * Analyze uploaded audio (base64 audioData) or a stored track (trackId)
+ * Track analysis is saved to the track's music metadata, so only the track's
+ * owner or creator may request it
  */
-router.post('/analyze', async (req, res) => {
+router.post('/analyze', securityMiddleware.rateLimiters.upload, authenticateToken, async (req, res) => {
   try {
-    const { audioData } = req.body;
+    const { audioData, trackId, resolution } = req.body;
     
-    if (!audioData) {
+    if (!audioData && !trackId) {
       return res.status(400).json({
         error: true,
-        message: 'Audio data is required'
+        message: 'Audio data or track ID is required'
       });
     }
 
-    // Convert base64 to buffer
-    const audioBuffer = Buffer.from(audioData, 'base64');
-    
-    // Analyze audio
-    const analysis = await aiService.analyzeAudio(audioBuffer);
+    let analysis;
+    if (trackId) {
+      analysis = await audioAnalysisService.requestTrackAnalysis(trackId, req.user, { resolution });
+    } else {
+      // Convert base64 to buffer
+      const audioBuffer = Buffer.from(audioData, 'base64');
+      analysis = await aiService.analyzeAudio(audioBuffer, { resolution });
+    }
     
     res.json({
       success: true,
+      trackId: trackId || null,
       analysis: analysis
     });
 
   } catch (error) {
     console.error('Audio analysis error:', error);
-    res.status(500).json({
+    res.status(analysisErrorStatus[error.type] || 500).json({
       error: true,
+      code: error.code,
       message: error.message || 'Audio analysis failed'
     });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -4,14 +4,56 @@
  */
 
 import express from 'express';
+import fs from 'fs';
 import rateLimit from 'express-rate-limit';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, optionalAuth, requireRole } from '../middleware/auth.js';
 import AudioStreamingService from '../services/audioStreamingService.js';
+import playFraudService from '../services/playFraudService.js';
+import hlsPackagingService from '../services/hlsPackagingService.js';
+import MusicNFT from '../models/MusicNFT.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 const audioService = new AudioStreamingService();
 
+// 流媒体错误类型对应的HTTP状态码
+const streamErrorStatus = {
+  VALIDATION_ERROR: 400,
+  AUTH_ERROR: 401,
+  PERMISSION_ERROR: 403,
+  NOT_FOUND: 404,
+  IPFS_ERROR: 502
+};
+
+const sendStreamError = (res, error, message) => {
+  if (streamErrorStatus[error.type]) {
+    return res.status(streamErrorStatus[error.type]).json({ error: error.message, code: error.code });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+};
+
+/**
+ * 校验 HLS 请求的播放会话，返回会话等级对应的质量配置
+ * 同一会话参数会附加到播放列表中的每个子URI上
+ */
+const authorizeHls = async (req) => {
+  const { trackId } = req.params;
+  const { session: sessionId, token } = req.query;
+
+  const { session } = await audioService.authorizeStream({
+    trackId,
+    sessionId,
+    token,
+    userId: req.user?.id || null
+  });
+
+  const params = new URLSearchParams({ session: sessionId });
+  if (token) params.set('token', token);
+
+  return { config: audioService.getStreamingQuality(session.tier), query: `?${params.toString()}` };
+};
+
 // 播放限流 - 防止恶意刷播放量
 const playLimiter = rateLimit({
   windowMs: 60 * 1000, // 1分钟
@@ -24,23 +66,29 @@ const playLimiter = rateLimit({
  */
 router.post('/play/start', playLimiter, authenticateToken, async (req, res) => {
   try {
-    const { trackId } = req.body;
+    const { trackId, playlistId } = req.body;
     const userId = req.user.id;
     
     if (!trackId) {
       return res.status(400).json({ error: 'Track ID is required' });
     }
 
+    const tier = req.user.tier || 'free';
     const sessionId = `${userId}_${trackId}_${Date.now()}`;
-    const result = await audioService.startPlayback(userId, trackId, sessionId);
+    const result = await audioService.startPlayback(userId, trackId, sessionId, tier, {
+      playlistId: playlistId || null,
+      ipAddress: req.ip || null,
+      userAgent: req.get('user-agent') || null
+    });
     
-    // 生成流媒体URL
-    const streamInfo = audioService.generateStreamUrl(trackId, userId, req.user.tier || 'free');
+    // 生成流媒体URL（与播放会话绑定）
+    const streamInfo = audioService.generateStreamUrl(trackId, userId, tier, result.sessionId);
     
     res.json({
       success: true,
       sessionId: result.sessionId,
       streamUrl: streamInfo.streamUrl,
+      hlsUrl: streamInfo.hlsUrl,
       config: streamInfo.config
     });
   } catch (error) {
@@ -153,44 +201,228 @@ router.get('/earnings/artist/:artistId', authenticateToken, async (req, res) =>
   }
 });
 
+/**
+ * 反作弊审核队列：被标记或作废的播放，默认列出待审核的（仅管理员）
+ */
+router.get('/fraud/reviews', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const reviews = await playFraudService.listReviews(req.query.status || 'pending');
+
+    res.json({
+      success: true,
+      reviews: reviews.map(review => review.toObject())
+    });
+  } catch (error) {
+    sendStreamError(res, error, 'Failed to get play reviews');
+  }
+});
+
+/**
+ * 获取单条播放审核（仅管理员）
+ */
+router.get('/fraud/reviews/:reviewId', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const review = await playFraudService.getReview(req.params.reviewId);
+
+    res.json({
+      success: true,
+      review: review.toObject()
+    });
+  } catch (error) {
+    sendStreamError(res, error, 'Failed to get play review');
+  }
+});
+
+/**
+ * 审核播放：action 为 approve（计为有效播放并分润）或 reject（仅管理员）
+ */
+router.post('/fraud/reviews/:reviewId', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const { action, note } = req.body;
+    const review = await audioService.reviewFlaggedPlay(req.params.reviewId, req.user.id, { action, note: note || '' });
+
+    res.json({
+      success: true,
+      review: review.toObject()
+    });
+  } catch (error) {
+    sendStreamError(res, error, 'Failed to review play');
+  }
+});
+
 /**
  * 音频流媒体端点
+ * 支持 HTTP Range 请求（206 部分内容），免费等级只返回预览时长对应的字节
  */
-router.get('/stream/:trackId', async (req, res) => {
+router.get('/stream/:trackId', optionalAuth, async (req, res) => {
   try {
     const { trackId } = req.params;
-    const { quality = 'free', session } = req.query;
+    const { quality = 'free', session, token } = req.query;
     
-    // 验证会话
-    if (!session) {
-      return res.status(400).json({ error: 'Session ID is required' });
-    }
-    
-    // 获取质量配置
-    const config = audioService.getStreamingQuality(quality);
-    
-    // 在实际应用中，这里会：
-    // 1. 验证用户权限
-    // 2. 从存储中获取音频文件
-    // 3. 根据质量配置转码
-    // 4. 流式传输音频数据
-    
-    // 模拟音频流响应
+    // 验证会话归属与音质等级
+    const { config } = await audioService.authorizeStream({
+      trackId,
+      sessionId: session,
+      token,
+      userId: req.user?.id || null,
+      quality
+    });
+
+    const file = await audioService.resolveAudioFile(trackId);
+    const playableBytes = audioService.getPlayableBytes(file, config);
+
     res.set({
-      'Content-Type': 'audio/mpeg',
+      'Content-Type': file.mimeType,
       'Accept-Ranges': 'bytes',
-      'Cache-Control': 'no-cache',
+      'Cache-Control': 'private, no-cache',
       'X-Audio-Quality': config.bitrate,
-      'X-Audio-Format': config.format
+      'X-Audio-Format': file.format
     });
+    if (config.maxDuration) {
+      res.set('X-Preview-Duration', config.maxDuration);
+    }
+
+    // 解析 Range 请求头
+    let start = 0;
+    let end = playableBytes - 1;
+    const ranges = req.headers.range ? req.range(playableBytes, { combine: true }) : null;
+
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${playableBytes}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+
+    if (Array.isArray(ranges) && ranges.type === 'bytes') {
+      // 多段请求只返回第一段
+      ({ start, end } = ranges[0]);
+      res.status(206);
+      res.set('Content-Range', `bytes ${start}-${end}/${playableBytes}`);
+    }
+
+    res.set('Content-Length', end - start + 1);
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = fs.createReadStream(file.path, { start, end });
+    stream.on('error', (error) => {
+      logger.error('Error reading audio file:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to stream audio' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    req.on('close', () => stream.destroy());
+    stream.pipe(res);
     
-    // 模拟流媒体数据
-    const mockAudioData = Buffer.from('Mock audio stream data for track ' + trackId);
-    res.send(mockAudioData);
-    
   } catch (error) {
-    logger.error('Error streaming audio:', error);
-    res.status(500).json({ error: 'Failed to stream audio' });
+    sendStreamError(res, error, 'Failed to stream audio');
+  }
+});
+
+/**
+ * HLS 主播放列表
+ * 只列出会话等级可用的渲染版本；尚未打包时触发打包并返回 202
+ */
+router.get('/hls/:trackId/master.m3u8', optionalAuth, async (req, res) => {
+  try {
+    const { trackId } = req.params;
+    const { config, query } = await authorizeHls(req);
+
+    const manifest = await hlsPackagingService.getManifest(trackId);
+    if (!manifest || manifest.status !== 'ready') {
+      if (!manifest || manifest.status === 'failed') {
+        hlsPackagingService.queuePackaging(trackId).catch(() => {});
+      }
+      res.set('Retry-After', hlsPackagingService.segmentDuration);
+      return res.status(202).json({ status: 'processing', message: 'HLS renditions are being prepared' });
+    }
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(hlsPackagingService.buildMasterPlaylist(manifest, config, query));
+  } catch (error) {
+    sendStreamError(res, error, 'Failed to get master playlist');
+  }
+});
+
+/**
+ * HLS 媒体播放列表（免费等级截断到预览时长）
+ */
+router.get('/hls/:trackId/:rendition/index.m3u8', optionalAuth, async (req, res) => {
+  try {
+    const { trackId, rendition } = req.params;
+    const { config, query } = await authorizeHls(req);
+
+    const manifest = await hlsPackagingService.getReadyManifest(trackId);
+    const playlist = hlsPackagingService.buildMediaPlaylist(manifest, rendition, config, query);
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'private, no-cache'
+    });
+    if (config.maxDuration) {
+      res.set('X-Preview-Duration', config.maxDuration);
+    }
+    res.send(playlist);
+  } catch (error) {
+    sendStreamError(res, error, 'Failed to get media playlist');
+  }
+});
+
+/**
+ * HLS 分片
+ */
+router.get('/hls/:trackId/:rendition/:segment', optionalAuth, async (req, res) => {
+  try {
+    const { trackId, rendition, segment } = req.params;
+    const { config } = await authorizeHls(req);
+
+    const segmentPath = await hlsPackagingService.resolveSegment(trackId, rendition, segment, config);
+
+    res.set({
+      'Content-Type': 'video/mp2t',
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.sendFile(segmentPath, (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Error sending HLS segment:', error);
+        res.status(500).json({ error: 'Failed to send segment' });
+      }
+    });
+  } catch (error) {
+    sendStreamError(res, error, 'Failed to get segment');
+  }
+});
+
+/**
+ * 重新打包 HLS 渲染版本（音轨所有者、创作者或管理员）
+ */
+router.post('/hls/:trackId/package', authenticateToken, async (req, res) => {
+  try {
+    const { trackId } = req.params;
+    const nft = await MusicNFT.findById(trackId);
+    if (!nft) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    const userAddress = req.user.flowWallet?.address || req.user.address;
+    const canPackage = req.user.role === 'admin' ||
+      (userAddress && (nft.owner === userAddress || nft.creator === userAddress));
+    if (!canPackage) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    hlsPackagingService.queuePackaging(trackId).catch(() => {});
+
+    res.status(202).json({ success: true, trackId, status: 'processing' });
+  } catch (error) {
+    logger.error('Error queueing HLS packaging:', error);
+    res.status(500).json({ error: 'Failed to queue packaging' });
   }
 });
 
@@ -305,9 +537,10 @@ router.get('/status', async (req, res) => {
         playback_tracking: true,
         royalty_distribution: true,
         quality_streaming: true,
+        adaptive_streaming: true,
         analytics: true
       },
-      supported_formats: ['mp3', 'flac'],
+      supported_formats: ['mp3', 'flac', 'hls'],
       quality_tiers: ['free', 'premium', 'hifi']
     });
   } catch (error) {
@@ -51,15 +51,17 @@ const flowWalletAuthValidation = [
     .matches(/^0x[a-fA-F0-9]{16}$/)
     .withMessage('Please provide a valid Flow address'),
   
-  body('signature')
-    .optional()
-    .isString()
-    .withMessage('Signature must be a string'),
+  body('accountProof')
+    .isObject()
+    .withMessage('Account proof is required'),
   
-  body('message')
-    .optional()
-    .isString()
-    .withMessage('Message must be a string')
+  body('accountProof.nonce')
+    .matches(/^[a-fA-F0-9]{64}$/)
+    .withMessage('Account proof nonce must be a 32-byte hex string'),
+  
+  body('accountProof.signatures')
+    .isArray({ min: 1 })
+    .withMessage('Account proof must include at least one signature')
 ];
 
 const updateProfileValidation = [
@@ -136,9 +138,16 @@ router.post('/login',
   authController.login
 );
 
+/**
+ * @route   POST /api/auth/wallet/nonce
+ * @desc    Issue a single-use nonce for FCL account proof
+ * @access  Public
+ */
+router.post('/wallet/nonce', authController.getWalletNonce);
+
 /**
  * @route   POST /api/auth/wallet
- * @desc    Login/Register with Flow wallet
+ * @desc    Login/Register with Flow wallet (requires a signed account proof)
  * @access  Public
  */
 router.post('/wallet', flowWalletAuthValidation, authController.flowWalletAuth);
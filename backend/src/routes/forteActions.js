@@ -5,11 +5,39 @@
 
 import express from 'express';
 import forteActionsService from '../services/forteActionsService.js';
-import { authenticateToken } from '../middleware/auth.js';
+import workflowTemplateService from '../services/workflowTemplateService.js';
+import workflowBatchService from '../services/workflowBatchService.js';
+import quotaService from '../services/quotaService.js';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
 import rateLimit from 'express-rate-limit';
 
 const router = express.Router();
 
+// 工作流错误类型对应的HTTP状态码
+const workflowErrorStatus = {
+  VALIDATION_ERROR: 400,
+  PERMISSION_ERROR: 403,
+  NOT_FOUND: 404,
+  RATE_LIMIT: 429
+};
+
+const sendWorkflowError = (res, error, code, message) => {
+  if (workflowErrorStatus[error.type]) {
+    return res.status(workflowErrorStatus[error.type]).json({
+      success: false,
+      error: error.code,
+      message: error.message,
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: code,
+    message
+  });
+};
+
 // Forte Actions 限流配置
 const forteActionsLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1小时
@@ -23,7 +51,7 @@ const forteActionsLimiter = rateLimit({
 
 /**
  * POST /api/forte-actions/execute
- * 执行Forte Actions工作流
+ * 提交Forte Actions工作流，由后台任务执行；通过 /status/:workflowId 查询进度
  */
 router.post('/execute', authenticateToken, forteActionsLimiter, async (req, res) => {
   try {
@@ -31,7 +59,8 @@ router.post('/execute', authenticateToken, forteActionsLimiter, async (req, res)
       prompt,
       metadata,
       royalties,
-      autoMint = true
+      autoMint = true,
+      provider
     } = req.body;
 
     // 验证必需参数
@@ -43,21 +72,8 @@ router.post('/execute', authenticateToken, forteActionsLimiter, async (req, res)
       });
     }
 
-    // 设置默认版税（如果未提供）
-    const defaultRoyalties = royalties || [
-      {
-        recipient: req.user.address,
-        percentage: 0.8,
-        description: '艺术家版税'
-      },
-      {
-        recipient: process.env.PLATFORM_ADDRESS || '0x1234567890abcdef',
-        percentage: 0.2,
-        description: '平台版税'
-      }
-    ];
-
-    // 执行工作流
+
+    // 提交工作流
     const result = await forteActionsService.executeWorkflow({
       userId: req.user.id,
       prompt,
@@ -65,22 +81,23 @@ router.post('/execute', authenticateToken, forteActionsLimiter, async (req, res)
         ...metadata,
         description: metadata.description || `AI生成的${metadata.genre || '音乐'}作品`
       },
-      royalties: defaultRoyalties,
-      autoMint
+      royalties: royalties || forteActionsService.defaultRoyalties(req.user),
+      autoMint,
+      provider
     });
 
-    res.json({
+    res.status(202).json({
       success: true,
       data: result,
-      message: 'Forte Actions工作流执行成功'
+      message: 'Forte Actions工作流已提交'
     });
 
   } catch (error) {
     console.error('Forte Actions execution error:', error);
-    res.status(500).json({
+    res.status(workflowErrorStatus[error.type] || 500).json({
       success: false,
-      error: 'WORKFLOW_ERROR',
-      message: error.message || 'Forte Actions工作流执行失败'
+      error: error.code || 'WORKFLOW_ERROR',
+      message: error.message || 'Forte Actions工作流提交失败'
     });
   }
 });
@@ -93,7 +110,7 @@ router.get('/status/:workflowId', authenticateToken, async (req, res) => {
   try {
     const { workflowId } = req.params;
 
-    const status = await forteActionsService.getWorkflowStatus(workflowId);
+    const status = await forteActionsService.getWorkflowStatus(workflowId, req.user.id);
 
     res.json({
       success: true,
@@ -102,126 +119,172 @@ router.get('/status/:workflowId', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get workflow status error:', error);
+    sendWorkflowError(res, error, 'STATUS_ERROR', '获取工作流状态失败');
+  }
+});
+
+/**
+ * POST /api/forte-actions/resume/:workflowId
+ * 从失败的步骤恢复工作流，已完成的步骤不会重复执行
+ */
+router.post('/resume/:workflowId', authenticateToken, async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+
+    const status = await forteActionsService.resumeWorkflow(workflowId, req.user.id);
+
+    res.status(202).json({
+      success: true,
+      data: status,
+      message: '工作流已恢复'
+    });
+
+  } catch (error) {
+    sendWorkflowError(res, error, 'RESUME_ERROR', '恢复工作流失败');
+  }
+});
+
+/**
+ * GET /api/forte-actions/workflows
+ * 获取当前用户的工作流列表
+ */
+router.get('/workflows', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const workflows = await forteActionsService.listWorkflows(req.user.id, limit, offset);
+
+    res.json({
+      success: true,
+      data: { workflows },
+      message: '工作流列表获取成功'
+    });
+
+  } catch (error) {
+    console.error('List workflows error:', error);
     res.status(500).json({
       success: false,
-      error: 'STATUS_ERROR',
-      message: '获取工作流状态失败'
+      error: 'LIST_ERROR',
+      message: '获取工作流列表失败'
     });
   }
 });
 
 /**
  * POST /api/forte-actions/batch
- * 批量执行工作流
+ * 批量提交工作流：按并发池逐个提交，返回可轮询的批次ID
  */
 router.post('/batch', authenticateToken, async (req, res) => {
   try {
-    const { workflows } = req.body;
+    const { workflows, concurrency } = req.body;
 
-    if (!Array.isArray(workflows) || workflows.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'VALIDATION_ERROR',
-        message: 'workflows必须是非空数组'
-      });
-    }
+    const items = Array.isArray(workflows)
+      ? workflows.map(workflow => ({
+        ...workflow,
+        royalties: workflow?.royalties || forteActionsService.defaultRoyalties(req.user)
+      }))
+      : workflows;
 
-    if (workflows.length > 10) {
-      return res.status(400).json({
-        success: false,
-        error: 'VALIDATION_ERROR',
-        message: '批量工作流数量不能超过10个'
-      });
-    }
+    const batch = await workflowBatchService.createBatch(req.user.id, items, { concurrency });
+
+    res.status(202).json({
+      success: true,
+      data: batch,
+      message: '批量工作流已提交'
+    });
+
+  } catch (error) {
+    sendWorkflowError(res, error, 'BATCH_ERROR', '批量工作流执行失败');
+  }
+});
 
-    // 为每个工作流添加用户ID
-    const batchParams = workflows.map(workflow => ({
-      ...workflow,
-      userId: req.user.id
-    }));
+/**
+ * GET /api/forte-actions/batches
+ * 获取当前用户的批次列表
+ */
+router.get('/batches', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
 
-    const result = await forteActionsService.executeBatchWorkflow(batchParams);
+    const batches = await workflowBatchService.listBatches(req.user.id, limit, offset);
 
     res.json({
       success: true,
-      data: result,
-      message: '批量工作流执行完成'
+      data: { batches },
+      message: '批次列表获取成功'
     });
 
   } catch (error) {
-    console.error('Batch workflow error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'BATCH_ERROR',
-      message: '批量工作流执行失败'
+    sendWorkflowError(res, error, 'LIST_ERROR', '获取批次列表失败');
+  }
+});
+
+/**
+ * GET /api/forte-actions/batch/:batchId
+ * 批次汇总状态：每项进度、各状态计数与失败明细
+ */
+router.get('/batch/:batchId', authenticateToken, async (req, res) => {
+  try {
+    const batch = await workflowBatchService.getBatchStatus(req.params.batchId, req.user.id);
+
+    res.json({
+      success: true,
+      data: batch,
+      message: '批次状态获取成功'
+    });
+
+  } catch (error) {
+    sendWorkflowError(res, error, 'BATCH_STATUS_ERROR', '获取批次状态失败');
+  }
+});
+
+/**
+ * POST /api/forte-actions/batch/:batchId/cancel
+ * 取消批次中剩余的工作流
+ */
+router.post('/batch/:batchId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const batch = await workflowBatchService.cancelBatch(req.params.batchId, req.user.id);
+
+    res.json({
+      success: true,
+      data: batch,
+      message: '批次已取消'
+    });
+
+  } catch (error) {
+    sendWorkflowError(res, error, 'CANCEL_ERROR', '取消批次失败');
+  }
+});
+
+/**
+ * GET /api/forte-actions/quota
+ * 当前用户今日的生成/铸造配额使用情况
+ */
+router.get('/quota', authenticateToken, async (req, res) => {
+  try {
+    const quota = await quotaService.getUsage(req.user.id);
+
+    res.json({
+      success: true,
+      data: quota,
+      message: '配额获取成功'
     });
+
+  } catch (error) {
+    sendWorkflowError(res, error, 'QUOTA_ERROR', '获取配额失败');
   }
 });
 
 /**
  * GET /api/forte-actions/templates
- * 获取工作流模板
+ * 获取工作流模板：内置模板、自己的模板与公开模板
  */
-router.get('/templates', async (req, res) => {
+router.get('/templates', optionalAuth, async (req, res) => {
   try {
-    const templates = [
-      {
-        id: 'electronic-ambient',
-        name: '电子环境音乐',
-        description: '生成平静的电子环境音乐',
-        prompt: '一首平静的电子环境音乐，带有深沉的低音和梦幻的合成器',
-        metadata: {
-          genre: '电子音乐',
-          mood: '平静',
-          duration: 30
-        }
-      },
-      {
-        id: 'classical-piano',
-        name: '古典钢琴',
-        description: '生成优雅的古典钢琴曲',
-        prompt: '一首优雅的古典钢琴曲，旋律优美，节奏舒缓',
-        metadata: {
-          genre: '古典音乐',
-          mood: '优雅',
-          duration: 45
-        }
-      },
-      {
-        id: 'jazz-smooth',
-        name: '流畅爵士',
-        description: '生成流畅的爵士乐',
-        prompt: '一首流畅的爵士乐，带有萨克斯风独奏和轻柔的鼓点',
-        metadata: {
-          genre: '爵士乐',
-          mood: '流畅',
-          duration: 60
-        }
-      },
-      {
-        id: 'rock-energetic',
-        name: '活力摇滚',
-        description: '生成充满活力的摇滚乐',
-        prompt: '一首充满活力的摇滚乐，强劲的吉他和鼓点',
-        metadata: {
-          genre: '摇滚乐',
-          mood: '活力',
-          duration: 30
-        }
-      },
-      {
-        id: 'cinematic-epic',
-        name: '史诗电影配乐',
-        description: '生成史诗般的电影配乐',
-        prompt: '一首史诗般的电影配乐，宏大的管弦乐和戏剧性的旋律',
-        metadata: {
-          genre: '电影配乐',
-          mood: '史诗',
-          duration: 90
-        }
-      }
-    ];
+    const templates = await workflowTemplateService.listTemplates(req.user?.id);
 
     res.json({
       success: true,
@@ -230,120 +293,185 @@ router.get('/templates', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get templates error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'TEMPLATES_ERROR',
-      message: '获取工作流模板失败'
+    sendWorkflowError(res, error, 'TEMPLATES_ERROR', '获取工作流模板失败');
+  }
+});
+
+/**
+ * GET /api/forte-actions/templates/schema
+ * 模板 DSL 描述：可用动作及其选项、参数类型、条件运算符
+ */
+router.get('/templates/schema', (req, res) => {
+  res.json({
+    success: true,
+    data: workflowTemplateService.getSchema(),
+    message: '模板DSL获取成功'
+  });
+});
+
+/**
+ * GET /api/forte-actions/templates/:templateId
+ * 获取模板定义（?version= 获取历史版本）
+ */
+router.get('/templates/:templateId', optionalAuth, async (req, res) => {
+  try {
+    const template = await workflowTemplateService.getTemplate(
+      req.params.templateId,
+      req.user?.id,
+      req.query.version
+    );
+
+    res.json({
+      success: true,
+      data: {
+        template: {
+          ...workflowTemplateService.summarize(template),
+          definition: template.definition
+        }
+      },
+      message: '工作流模板获取成功'
+    });
+
+  } catch (error) {
+    sendWorkflowError(res, error, 'TEMPLATES_ERROR', '获取工作流模板失败');
+  }
+});
+
+/**
+ * GET /api/forte-actions/templates/:templateId/versions
+ * 获取模板的版本历史
+ */
+router.get('/templates/:templateId/versions', optionalAuth, async (req, res) => {
+  try {
+    const versions = await workflowTemplateService.listVersions(req.params.templateId, req.user?.id);
+
+    res.json({
+      success: true,
+      data: { versions },
+      message: '模板版本获取成功'
     });
+
+  } catch (error) {
+    sendWorkflowError(res, error, 'TEMPLATES_ERROR', '获取模板版本失败');
+  }
+});
+
+/**
+ * POST /api/forte-actions/templates
+ * 创建自定义模板
+ */
+router.post('/templates', authenticateToken, async (req, res) => {
+  try {
+    const { name, description, visibility, definition } = req.body;
+
+    const template = await workflowTemplateService.createTemplate(req.user.id, {
+      name,
+      description,
+      visibility,
+      definition
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { template },
+      message: '工作流模板创建成功'
+    });
+
+  } catch (error) {
+    sendWorkflowError(res, error, 'TEMPLATE_SAVE_ERROR', '创建工作流模板失败');
+  }
+});
+
+/**
+ * PUT /api/forte-actions/templates/:templateId
+ * 修改自定义模板（生成新版本）
+ */
+router.put('/templates/:templateId', authenticateToken, async (req, res) => {
+  try {
+    const { name, description, visibility, definition } = req.body;
+
+    const template = await workflowTemplateService.updateTemplate(req.params.templateId, req.user.id, {
+      name,
+      description,
+      visibility,
+      definition
+    });
+
+    res.json({
+      success: true,
+      data: { template },
+      message: '工作流模板更新成功'
+    });
+
+  } catch (error) {
+    sendWorkflowError(res, error, 'TEMPLATE_SAVE_ERROR', '更新工作流模板失败');
+  }
+});
+
+/**
+ * DELETE /api/forte-actions/templates/:templateId
+ * 删除自定义模板
+ */
+router.delete('/templates/:templateId', authenticateToken, async (req, res) => {
+  try {
+    await workflowTemplateService.deleteTemplate(req.params.templateId, req.user.id);
+
+    res.json({
+      success: true,
+      message: '工作流模板已删除'
+    });
+
+  } catch (error) {
+    sendWorkflowError(res, error, 'TEMPLATE_DELETE_ERROR', '删除工作流模板失败');
   }
 });
 
 /**
  * POST /api/forte-actions/quick-generate
- * 快速生成（使用模板）
+ * 按模板提交工作流；params 为模板参数，title/artist/customPrompt/autoMint 为常用参数的简写
  */
 router.post('/quick-generate', authenticateToken, forteActionsLimiter, async (req, res) => {
   try {
     const {
       templateId,
+      version,
+      params = {},
       title,
       artist,
       customPrompt,
-      autoMint = true
+      autoMint,
+      royalties
     } = req.body;
 
-    if (!templateId || !title || !artist) {
+    if (!templateId) {
       return res.status(400).json({
         success: false,
         error: 'VALIDATION_ERROR',
-        message: '缺少必需参数：templateId, title, artist'
+        message: '缺少必需参数：templateId'
       });
     }
 
-    // 获取模板
-    const templates = {
-      'electronic-ambient': {
-        prompt: '一首平静的电子环境音乐，带有深沉的低音和梦幻的合成器',
-        genre: '电子音乐',
-        mood: '平静',
-        duration: 30
-      },
-      'classical-piano': {
-        prompt: '一首优雅的古典钢琴曲，旋律优美，节奏舒缓',
-        genre: '古典音乐',
-        mood: '优雅',
-        duration: 45
-      },
-      'jazz-smooth': {
-        prompt: '一首流畅的爵士乐，带有萨克斯风独奏和轻柔的鼓点',
-        genre: '爵士乐',
-        mood: '流畅',
-        duration: 60
-      },
-      'rock-energetic': {
-        prompt: '一首充满活力的摇滚乐，强劲的吉他和鼓点',
-        genre: '摇滚乐',
-        mood: '活力',
-        duration: 30
-      },
-      'cinematic-epic': {
-        prompt: '一首史诗般的电影配乐，宏大的管弦乐和戏剧性的旋律',
-        genre: '电影配乐',
-        mood: '史诗',
-        duration: 90
-      }
-    };
-
-    const template = templates[templateId];
-    if (!template) {
-      return res.status(400).json({
-        success: false,
-        error: 'VALIDATION_ERROR',
-        message: '无效的模板ID'
-      });
+    const shorthand = { title, artist, prompt: customPrompt, autoMint };
+    const values = { ...params };
+    for (const [name, value] of Object.entries(shorthand)) {
+      if (value !== undefined && values[name] === undefined) values[name] = value;
     }
 
-    // 执行快速生成工作流
-    const result = await forteActionsService.executeWorkflow({
+    const result = await workflowTemplateService.runTemplate(templateId, {
       userId: req.user.id,
-      prompt: customPrompt || template.prompt,
-      metadata: {
-        title,
-        artist,
-        genre: template.genre,
-        mood: template.mood,
-        duration: template.duration,
-        description: `基于${template.genre}模板生成的AI音乐作品`
-      },
-      royalties: [
-        {
-          recipient: req.user.address,
-          percentage: 0.8,
-          description: '艺术家版税'
-        },
-        {
-          recipient: process.env.PLATFORM_ADDRESS || '0x1234567890abcdef',
-          percentage: 0.2,
-          description: '平台版税'
-        }
-      ],
-      autoMint
+      version,
+      params: values,
+      royalties: royalties || forteActionsService.defaultRoyalties(req.user)
     });
 
-    res.json({
+    res.status(202).json({
       success: true,
       data: result,
-      message: '快速生成工作流执行成功'
+      message: '快速生成工作流已提交'
     });
 
   } catch (error) {
-    console.error('Quick generate error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'QUICK_GENERATE_ERROR',
-      message: error.message || '快速生成失败'
-    });
+    sendWorkflowError(res, error, 'QUICK_GENERATE_ERROR', '快速生成失败');
   }
 });
 
@@ -0,0 +1,196 @@
+/**
+ * Generation History Routes
+ * A signed-in user's generated tracks and personal prompt library
+ */
+
+import express from 'express';
+import generationHistoryService from '../services/generationHistoryService.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// History error types and their HTTP status codes
+const historyErrorStatus = {
+  VALIDATION_ERROR: 400,
+  PERMISSION_ERROR: 403,
+  NOT_FOUND: 404,
+  RATE_LIMIT: 429
+};
+
+const sendHistoryError = (res, error, message) => {
+  if (historyErrorStatus[error.type]) {
+    return res.status(historyErrorStatus[error.type]).json({
+      success: false,
+      error: error.code,
+      message: error.message,
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'HISTORY_ERROR',
+    message
+  });
+};
+
+const parsePage = (query, defaultLimit) => ({
+  limit: Math.min(parseInt(query.limit) || defaultLimit, 100),
+  offset: Math.max(parseInt(query.offset) || 0, 0)
+});
+
+router.use(authenticateToken);
+
+/**
+ * GET /api/generations/prompts
+ * Saved prompts, most used first; filter with q (text) and tag
+ */
+router.get('/prompts', async (req, res) => {
+  try {
+    const { q, tag } = req.query;
+    const page = await generationHistoryService.listPrompts(req.user.id, { q, tag, ...parsePage(req.query, 50) });
+
+    res.json({
+      success: true,
+      data: { ...page, items: page.items.map(saved => saved.toObject()) }
+    });
+  } catch (error) {
+    sendHistoryError(res, error, 'Failed to load prompt library');
+  }
+});
+
+/**
+ * POST /api/generations/prompts
+ * Save a prompt ({ prompt, title, parameters, tags }) or copy one from a generation ({ generationId })
+ */
+router.post('/prompts', async (req, res) => {
+  try {
+    const { title, prompt, parameters, tags, generationId } = req.body;
+    const saved = await generationHistoryService.savePrompt(req.user.id, { title, prompt, parameters, tags, generationId });
+
+    res.status(201).json({ success: true, data: saved.toObject() });
+  } catch (error) {
+    sendHistoryError(res, error, 'Failed to save prompt');
+  }
+});
+
+/**
+ * PATCH /api/generations/prompts/:promptId
+ */
+router.patch('/prompts/:promptId', async (req, res) => {
+  try {
+    const { title, prompt, parameters, tags } = req.body;
+    const saved = await generationHistoryService.updatePrompt(req.user.id, req.params.promptId, { title, prompt, parameters, tags });
+
+    res.json({ success: true, data: saved.toObject() });
+  } catch (error) {
+    sendHistoryError(res, error, 'Failed to update prompt');
+  }
+});
+
+/**
+ * DELETE /api/generations/prompts/:promptId
+ */
+router.delete('/prompts/:promptId', async (req, res) => {
+  try {
+    await generationHistoryService.deletePrompt(req.user.id, req.params.promptId);
+    res.json({ success: true, message: 'Prompt deleted' });
+  } catch (error) {
+    sendHistoryError(res, error, 'Failed to delete prompt');
+  }
+});
+
+/**
+ * GET /api/generations
+ * Generation history, newest first; filter with q (text), genre, mood,
+ * provider, status, tag, favorite=true and from/to (ISO dates)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { q, genre, mood, provider, status, tag, favorite, from, to } = req.query;
+    const page = await generationHistoryService.list(req.user.id, {
+      q,
+      genre,
+      mood,
+      provider,
+      status,
+      tag,
+      favorite: favorite === 'true',
+      from,
+      to,
+      ...parsePage(req.query, 20)
+    });
+
+    res.json({
+      success: true,
+      data: { ...page, items: page.items.map(generation => generation.toObject()) }
+    });
+  } catch (error) {
+    sendHistoryError(res, error, 'Failed to load generation history');
+  }
+});
+
+/**
+ * GET /api/generations/:generationId
+ */
+router.get('/:generationId', async (req, res) => {
+  try {
+    const generation = await generationHistoryService.getOwned(req.user.id, req.params.generationId);
+    res.json({ success: true, data: generation.toObject() });
+  } catch (error) {
+    sendHistoryError(res, error, 'Failed to load generation');
+  }
+});
+
+/**
+ * PATCH /api/generations/:generationId
+ * Update title, tags or favorite
+ */
+router.patch('/:generationId', async (req, res) => {
+  try {
+    const { title, tags, favorite } = req.body;
+    const generation = await generationHistoryService.update(req.user.id, req.params.generationId, { title, tags, favorite });
+
+    res.json({ success: true, data: generation.toObject() });
+  } catch (error) {
+    sendHistoryError(res, error, 'Failed to update generation');
+  }
+});
+
+/**
+ * DELETE /api/generations/:generationId
+ */
+router.delete('/:generationId', async (req, res) => {
+  try {
+    await generationHistoryService.remove(req.user.id, req.params.generationId);
+    res.json({ success: true, message: 'Generation deleted' });
+  } catch (error) {
+    sendHistoryError(res, error, 'Failed to delete generation');
+  }
+});
+
+/**
+ * POST /api/generations/:generationId/mint
+ * Submit a past generation to the mint workflow without generating again;
+ * follow it with /api/forte-actions/status/:workflowId
+ */
+router.post('/:generationId/mint', async (req, res) => {
+  try {
+    const { metadata, royalties, autoMint = true } = req.body;
+    const { generation, workflow } = await generationHistoryService.promoteToMint(req.user, req.params.generationId, {
+      metadata,
+      royalties,
+      autoMint: autoMint !== false
+    });
+
+    res.status(202).json({
+      success: true,
+      data: { generation: generation.toObject(), workflow },
+      message: 'Mint workflow submitted'
+    });
+  } catch (error) {
+    sendHistoryError(res, error, 'Failed to submit mint workflow');
+  }
+});
+
+export default router;
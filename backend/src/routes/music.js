@@ -6,14 +6,15 @@
 import express from 'express';
 import musicController from '../controllers/musicController.js';
 import { aiRateLimiter } from '../middleware/rateLimiter.js';
+import { optionalAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
 /**
  * POST /api/music/generate
- * Generate music with AI and prepare for minting
+ * Generate music with AI and prepare for minting; signed-in users' tracks are kept in their history
  */
-router.post('/generate', aiRateLimiter, musicController.generateAndPrepareMusic);
+router.post('/generate', optionalAuth, aiRateLimiter, musicController.generateAndPrepareMusic);
 
 /**
  * POST /api/music/upload
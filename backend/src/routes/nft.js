@@ -8,6 +8,13 @@ import { body, param, validationResult } from 'express-validator';
 import { authenticateToken } from '../middleware/auth.js';
 import ipfsService from '../services/ipfsService.js';
 import MusicNFT from '../models/MusicNFT.js';
+import marketplaceService, { toUnits } from '../services/marketplaceService.js';
+import auctionService from '../services/auctionService.js';
+import offerService from '../services/offerService.js';
+import hlsPackagingService from '../services/hlsPackagingService.js';
+import audioAnalysisService from '../services/audioAnalysisService.js';
+import coverArtService from '../services/coverArtService.js';
+import { onChainRoyalties, validateRoyaltyConfig } from '../utils/royaltySplits.js';
 import logger from '../utils/logger.js';
 import securityMiddleware from '../middleware/security.js';
 
@@ -31,11 +38,11 @@ router.post('/mint', [
   body('description').optional(),
   body('audioHash').notEmpty().withMessage('Audio IPFS hash is required'),
   body('metadataHash').notEmpty().withMessage('Metadata IPFS hash is required'),
-  body('royalties').optional().isArray().withMessage('Royalties must be an array'),
-  body('royalties.*.recipient').optional().isString(),
-  body('royalties.*.percentage').optional().isNumeric().custom(value => {
-    if (value < 0 || value > 50) {
-      throw new Error('Royalty percentage must be between 0 and 50');
+  body('royalties').optional().custom(value => {
+    // A recipient list or { percentage, recipients }; recipients must add up to 100%
+    const { isValid, errors } = validateRoyaltyConfig(value);
+    if (!isValid) {
+      throw new Error(errors.join('; '));
     }
     return true;
   })
@@ -54,11 +61,17 @@ router.post('/mint', [
       title,
       description,
       audioHash,
-      coverImageHash,
+      coverImageUrl,
+      coverStyle,
+      artist,
+      genre,
+      mood,
       metadataHash,
       royalties = []
     } = req.body;
+    let { coverImageHash } = req.body;
 
+    const royaltyConfig = validateRoyaltyConfig(royalties).config;
     const user = req.user;
     const recipientAddress = user.flowWallet?.address || user.address || process.env.FLOW_ADDRESS;
 
@@ -71,6 +84,24 @@ router.post('/mint', [
 
     logger.info(`🎨 Minting NFT: ${title} for user ${user.username}`);
 
+    // Without a cover hash, upload the given cover or render one from the track
+    if (!coverImageHash) {
+      try {
+        const coverUpload = await coverArtService.uploadForMint({
+          coverImageUrl,
+          title,
+          artist: artist || user.username,
+          genre,
+          mood,
+          style: coverStyle,
+          audioUrl: `https://gateway.pinata.cloud/ipfs/${audioHash}`
+        }, `${title.replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}`);
+        coverImageHash = coverUpload.hash;
+      } catch (error) {
+        logger.warn(`Cover art upload failed for ${title}: ${error.message}`);
+      }
+    }
+
     // Prepare minting parameters
     const mintParams = {
       recipient: recipientAddress,
@@ -79,9 +110,9 @@ router.post('/mint', [
       audioHash,
       coverImageHash: coverImageHash || '',
       metadataHash,
-      royalties: royalties.map(r => ({
-        recipient: r.recipient || recipientAddress,
-        percentage: r.percentage || 0
+      royalties: onChainRoyalties(royaltyConfig).map(r => ({
+        recipient: r.recipient,
+        percentage: r.percentage
       }))
     };
 
@@ -125,13 +156,17 @@ router.post('/mint', [
         mintedAt: new Date(),
         network: 'flow'
       },
-      royalties: royalties,
+      royalties: royaltyConfig,
       status: 'minted'
     });
 
     // Save the NFT record
     await nftRecord.save();
 
+    // Package HLS renditions and analyze the audio in the background
+    hlsPackagingService.queuePackaging(nftRecord.id).catch(() => {});
+    audioAnalysisService.queueAnalysis(nftRecord.id).catch(() => {});
+
     logger.info(`✅ NFT minted successfully: Token ID ${mintResult.tokenId}`);
 
     res.json({
@@ -439,9 +474,7 @@ router.get('/:tokenId', [
     const { tokenId } = req.params;
 
     // Get NFT from database by tokenId
-    // Since we don't have a direct findByTokenId method, we'll need to search through all NFTs
-    // For now, let's use findById with tokenId as the ID (this is a simplified approach)
-    const nft = await MusicNFT.findById(tokenId);
+    const nft = await MusicNFT.findByTokenId(tokenId);
     
     if (!nft) {
       return res.status(404).json({
@@ -515,6 +548,14 @@ router.post('/:tokenId/list', [
       });
     }
 
+    // Running auctions must settle or be cancelled first
+    if (auctionService.isAuctionActive(nft)) {
+      return res.status(400).json({
+        success: false,
+        message: 'NFT is currently on auction'
+      });
+    }
+
     // List NFT for sale
     const flowService = await getFlowService();
     const listResult = await flowService.listNFTForSale({
@@ -526,6 +567,7 @@ router.post('/:tokenId/list', [
 
     // Update NFT record
     nft.market.isForSale = true;
+    nft.market.saleType = 'fixed';
     nft.market.price = price.toString();
     nft.market.currency = currency;
     nft.market.listedAt = new Date();
@@ -556,12 +598,11 @@ router.post('/:tokenId/list', [
 });
 
 /**
- * @route   POST /api/nft/:tokenId/purchase
- * @desc    Purchase NFT from marketplace
+ * @route   GET /api/nft/:tokenId/purchase-quote
+ * @desc    Price breakdown of a fixed-price purchase: royalty cuts and seller proceeds
  * @access  Private
  */
-router.post('/:tokenId/purchase', [
-  securityMiddleware.rateLimiters.blockchain,
+router.get('/:tokenId/purchase-quote', [
   authenticateToken,
   param('tokenId').isNumeric().withMessage('Token ID must be a number')
 ], async (req, res) => {
@@ -574,20 +615,7 @@ router.post('/:tokenId/purchase', [
       });
     }
 
-    const { tokenId } = req.params;
-    const user = req.user;
-    const buyerAddress = user.flowWallet?.address || user.address;
-
-    if (!buyerAddress) {
-      return res.status(400).json({
-        success: false,
-        message: 'No Flow address found. Please connect your Flow wallet.'
-      });
-    }
-
-    // Find NFT
-    const nft = await MusicNFT.findOne({ 'blockchain.tokenId': tokenId });
-    
+    const nft = await MusicNFT.findOne({ 'blockchain.tokenId': req.params.tokenId });
     if (!nft) {
       return res.status(404).json({
         success: false,
@@ -595,94 +623,161 @@ router.post('/:tokenId/purchase', [
       });
     }
 
-    // Check if NFT is for sale
-    if (!nft.market.isForSale) {
+    if (!nft.market.isForSale || nft.market.saleType === 'auction') {
       return res.status(400).json({
         success: false,
-        message: 'NFT is not for sale'
+        message: 'NFT is not for sale at a fixed price'
       });
     }
 
-    // Check if buyer is not the owner
-    if (nft.owner === buyerAddress) {
+    res.json({
+      success: true,
+      data: {
+        tokenId: req.params.tokenId,
+        seller: nft.owner,
+        ...await marketplaceService.quotePurchase(nft)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Purchase quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to quote purchase',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/nft/:tokenId/purchase
+ * @desc    Purchase NFT from marketplace
+ *          expectedPrice / expectedRoyaltyTotal: the quote the buyer confirmed;
+ *          the purchase is refused if either has changed since
+ * @access  Private
+ */
+router.post('/:tokenId/purchase', [
+  securityMiddleware.rateLimiters.blockchain,
+  authenticateToken,
+  param('tokenId').isNumeric().withMessage('Token ID must be a number'),
+  body('expectedPrice').optional().isNumeric().withMessage('Expected price must be a number'),
+  body('expectedRoyaltyTotal').optional().isNumeric().withMessage('Expected royalty total must be a number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'You cannot purchase your own NFT'
+        errors: errors.array()
       });
     }
 
-    // Check buyer's balance
-    const accountInfo = await flowService.getAccountBalance(buyerAddress);
-    const nftPrice = parseFloat(nft.market.price);
-    const buyerBalance = parseFloat(accountInfo.balance);
+    const { tokenId } = req.params;
+    const user = req.user;
+    const buyerAddress = user.flowWallet?.address || user.address;
 
-    if (buyerBalance < nftPrice) {
+    if (!buyerAddress) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient balance to purchase this NFT'
+        message: 'No Flow address found. Please connect your Flow wallet.'
       });
     }
 
-    // Execute purchase transaction
-    const purchaseResult = await flowService.purchaseNFT({
-      tokenId,
-      price: nft.market.price,
-      seller: nft.owner,
-      buyer: buyerAddress,
-      currency: nft.market.currency || 'FLOW'
-    });
-
-    if (!purchaseResult.success) {
-      return res.status(500).json({
+    const listed = await MusicNFT.findOne({ 'blockchain.tokenId': tokenId });
+    
+    if (!listed) {
+      return res.status(404).json({
         success: false,
-        message: 'Purchase transaction failed',
-        error: purchaseResult.error
+        message: 'NFT not found'
       });
     }
 
-    // Update NFT ownership and market status
-    const previousOwner = nft.owner;
-    nft.owner = buyerAddress;
-    nft.market.isForSale = false;
-    nft.market.lastSalePrice = nft.market.price;
-    nft.market.lastSaleDate = new Date();
-    nft.market.price = '0';
-    nft.market.listedAt = null;
+    // Checks and transfer run under the NFT's market lock, so a concurrent
+    // purchase or offer acceptance cannot sell it a second time
+    const reply = (status, data) => ({ status, data });
+    const outcome = await marketplaceService.withLock(listed.id, async () => {
+      const nft = await MusicNFT.findById(listed.id);
+
+      // Check if NFT is for sale
+      if (!nft?.market.isForSale) {
+        return reply(400, {
+          success: false,
+          message: 'NFT is not for sale'
+        });
+      }
 
-    // Add to sales history
-    if (!nft.market.salesHistory) {
-      nft.market.salesHistory = [];
-    }
-    nft.market.salesHistory.push({
-      price: nft.market.lastSalePrice,
-      currency: nft.market.currency || 'FLOW',
-      seller: previousOwner,
-      buyer: buyerAddress,
-      date: new Date(),
-      transactionHash: purchaseResult.transactionHash
-    });
+      // Check if buyer is not the owner
+      if (nft.owner === buyerAddress) {
+        return reply(400, {
+          success: false,
+          message: 'You cannot purchase your own NFT'
+        });
+      }
 
-    // Update analytics
-    nft.analytics.totalEarnings = (parseFloat(nft.analytics.totalEarnings || '0') + nftPrice).toString();
+      // Auctioned NFTs can only be won through bidding
+      if (nft.market.saleType === 'auction') {
+        return reply(400, {
+          success: false,
+          message: 'NFT is on auction, place a bid instead'
+        });
+      }
 
-    await nft.save();
+      // Check buyer's balance
+      const flowService = await getFlowService();
+      const accountInfo = await flowService.getAccountBalance(buyerAddress);
+      const nftPrice = parseFloat(nft.market.price);
+      const buyerBalance = parseFloat(accountInfo.balance);
+
+      if (buyerBalance < nftPrice) {
+        return reply(400, {
+          success: false,
+          message: 'Insufficient balance to purchase this NFT'
+        });
+      }
 
-    logger.info(`💰 NFT ${tokenId} purchased by ${buyerAddress} for ${nft.market.lastSalePrice} ${nft.market.currency}`);
+      // Refuse if the price or royalty fees moved since the buyer confirmed them
+      const { expectedPrice, expectedRoyaltyTotal } = req.body;
+      if (expectedPrice !== undefined || expectedRoyaltyTotal !== undefined) {
+        const quote = await marketplaceService.quotePurchase(nft);
+        const changed = (expected, current) => expected !== undefined && toUnits(expected) !== toUnits(current);
+        if (changed(expectedPrice, quote.price) || changed(expectedRoyaltyTotal, quote.royaltyTotal)) {
+          return reply(409, {
+            success: false,
+            message: 'Price or royalty fees changed since they were quoted, please review them again',
+            data: quote
+          });
+        }
+      }
 
-    res.json({
-      success: true,
-      message: 'NFT purchased successfully',
-      data: {
-        tokenId,
-        transactionHash: purchaseResult.transactionHash,
-        price: nft.market.lastSalePrice,
-        currency: nft.market.currency || 'FLOW',
-        previousOwner,
-        newOwner: buyerAddress,
-        isMock: purchaseResult.isMock || false
+      // Execute purchase transaction and transfer ownership
+      let sale;
+      try {
+        sale = await marketplaceService.transferOwnership(nft, {
+          buyer: buyerAddress,
+          price: nft.market.price,
+          currency: nft.market.currency
+        });
+      } catch (error) {
+        if (error.type !== 'FLOW_ERROR') throw error;
+        return reply(500, {
+          success: false,
+          message: 'Purchase transaction failed',
+          error: error.message
+        });
       }
+
+      return reply(200, {
+        success: true,
+        message: 'NFT purchased successfully',
+        data: {
+          tokenId,
+          ...sale
+        }
+      });
     });
 
+    res.status(outcome.status).json(outcome.data);
+
   } catch (error) {
     logger.error('Purchase NFT error:', error);
     res.status(500).json({
@@ -741,6 +836,14 @@ router.post('/:tokenId/remove-from-sale', [
       });
     }
 
+    // Auctions are withdrawn through the auction cancel endpoint
+    if (auctionService.isAuctionActive(nft)) {
+      return res.status(400).json({
+        success: false,
+        message: 'NFT is on auction, cancel the auction instead'
+      });
+    }
+
     // Remove from marketplace
     const flowService = await getFlowService();
     const removeResult = await flowService.removeNFTFromSale({
@@ -775,6 +878,423 @@ router.post('/:tokenId/remove-from-sale', [
   }
 });
 
+// Map service error types to HTTP status codes
+const marketErrorStatus = {
+  VALIDATION_ERROR: 400,
+  PERMISSION_ERROR: 403,
+  NOT_FOUND: 404,
+  FLOW_ERROR: 502
+};
+
+/**
+ * Send a service error as a JSON response
+ */
+const sendMarketError = (res, error, message) => {
+  const status = marketErrorStatus[error.type];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * @route   GET /api/nft/:tokenId/auction
+ * @desc    Get auction status and bid history
+ * @access  Public
+ */
+router.get('/:tokenId/auction', [
+  param('tokenId').isNumeric().withMessage('Token ID must be a number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const nft = await MusicNFT.findOne({ 'blockchain.tokenId': req.params.tokenId });
+
+    if (!nft) {
+      return res.status(404).json({
+        success: false,
+        message: 'NFT not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: auctionService.getAuctionState(nft)
+    });
+
+  } catch (error) {
+    sendMarketError(res, error, 'Failed to get auction');
+  }
+});
+
+/**
+ * @route   POST /api/nft/:tokenId/auction
+ * @desc    Start an English auction for an NFT
+ * @access  Private
+ */
+router.post('/:tokenId/auction', [
+  securityMiddleware.rateLimiters.blockchain,
+  authenticateToken,
+  param('tokenId').isNumeric().withMessage('Token ID must be a number'),
+  body('startingPrice').isFloat({ gt: 0 }).withMessage('Starting price must be greater than 0'),
+  body('reservePrice').optional().isFloat({ min: 0 }).withMessage('Reserve price must be a positive number'),
+  body('minIncrement').optional().isFloat({ gt: 0 }).withMessage('Minimum increment must be greater than 0'),
+  body('duration').optional().isInt({ min: 300, max: 30 * 24 * 3600 }).withMessage('Duration must be between 5 minutes and 30 days'),
+  body('currency').optional().isIn(['FLOW', 'USDC']).withMessage('Currency must be FLOW or USDC')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const nft = await MusicNFT.findOne({ 'blockchain.tokenId': req.params.tokenId });
+
+    if (!nft) {
+      return res.status(404).json({
+        success: false,
+        message: 'NFT not found'
+      });
+    }
+
+    const { startingPrice, reservePrice, minIncrement, duration, currency } = req.body;
+    const sellerAddress = req.user.flowWallet?.address || req.user.address;
+
+    const auction = await auctionService.startAuction(nft.id, sellerAddress, {
+      startingPrice,
+      reservePrice,
+      minIncrement,
+      duration: duration ? parseInt(duration) : undefined,
+      currency
+    });
+
+    res.json({
+      success: true,
+      message: 'Auction started successfully',
+      data: auction
+    });
+
+  } catch (error) {
+    sendMarketError(res, error, 'Failed to start auction');
+  }
+});
+
+/**
+ * @route   POST /api/nft/:tokenId/bid
+ * @desc    Place a bid on an auctioned NFT
+ * @access  Private
+ */
+router.post('/:tokenId/bid', [
+  securityMiddleware.rateLimiters.blockchain,
+  authenticateToken,
+  param('tokenId').isNumeric().withMessage('Token ID must be a number'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Bid amount must be greater than 0')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const bidderAddress = req.user.flowWallet?.address || req.user.address;
+
+    if (!bidderAddress) {
+      return res.status(400).json({
+        success: false,
+        message: 'No Flow address found. Please connect your Flow wallet.'
+      });
+    }
+
+    const nft = await MusicNFT.findOne({ 'blockchain.tokenId': req.params.tokenId });
+
+    if (!nft) {
+      return res.status(404).json({
+        success: false,
+        message: 'NFT not found'
+      });
+    }
+
+    const result = await auctionService.placeBid(nft.id, {
+      bidder: bidderAddress,
+      userId: req.user.id,
+      amount: req.body.amount
+    });
+
+    res.json({
+      success: true,
+      message: result.extended ? 'Bid placed, auction extended' : 'Bid placed successfully',
+      data: result
+    });
+
+  } catch (error) {
+    sendMarketError(res, error, 'Failed to place bid');
+  }
+});
+
+/**
+ * @route   POST /api/nft/:tokenId/auction/settle
+ * @desc    Settle an auction after it has ended
+ * @access  Private
+ */
+router.post('/:tokenId/auction/settle', [
+  securityMiddleware.rateLimiters.blockchain,
+  authenticateToken,
+  param('tokenId').isNumeric().withMessage('Token ID must be a number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const nft = await MusicNFT.findOne({ 'blockchain.tokenId': req.params.tokenId });
+
+    if (!nft) {
+      return res.status(404).json({
+        success: false,
+        message: 'NFT not found'
+      });
+    }
+
+    const result = await auctionService.settleAuction(nft.id);
+
+    res.json({
+      success: true,
+      message: result.sale ? 'Auction settled successfully' : 'Auction closed',
+      data: result
+    });
+
+  } catch (error) {
+    sendMarketError(res, error, 'Failed to settle auction');
+  }
+});
+
+/**
+ * @route   POST /api/nft/:tokenId/auction/cancel
+ * @desc    Cancel an auction that has no bids
+ * @access  Private
+ */
+router.post('/:tokenId/auction/cancel', [
+  authenticateToken,
+  param('tokenId').isNumeric().withMessage('Token ID must be a number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const nft = await MusicNFT.findOne({ 'blockchain.tokenId': req.params.tokenId });
+
+    if (!nft) {
+      return res.status(404).json({
+        success: false,
+        message: 'NFT not found'
+      });
+    }
+
+    const sellerAddress = req.user.flowWallet?.address || req.user.address;
+    const auction = await auctionService.cancelAuction(nft.id, sellerAddress);
+
+    res.json({
+      success: true,
+      message: 'Auction cancelled successfully',
+      data: auction
+    });
+
+  } catch (error) {
+    sendMarketError(res, error, 'Failed to cancel auction');
+  }
+});
+
+/**
+ * @route   GET /api/nft/:tokenId/offers
+ * @desc    Get offer history alongside sales history
+ * @access  Public
+ */
+router.get('/:tokenId/offers', [
+  param('tokenId').isNumeric().withMessage('Token ID must be a number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const nft = await MusicNFT.findOne({ 'blockchain.tokenId': req.params.tokenId });
+
+    if (!nft) {
+      return res.status(404).json({
+        success: false,
+        message: 'NFT not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await offerService.getOffers(nft.id)
+    });
+
+  } catch (error) {
+    sendMarketError(res, error, 'Failed to get offers');
+  }
+});
+
+/**
+ * @route   POST /api/nft/:tokenId/offers
+ * @desc    Make an expiring offer on an NFT
+ * @access  Private
+ */
+router.post('/:tokenId/offers', [
+  securityMiddleware.rateLimiters.blockchain,
+  authenticateToken,
+  param('tokenId').isNumeric().withMessage('Token ID must be a number'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Offer amount must be greater than 0'),
+  body('currency').optional().isIn(['FLOW', 'USDC']).withMessage('Currency must be FLOW or USDC'),
+  body('expiresIn').optional().isInt({ min: 60 }).withMessage('Expiry must be at least 60 seconds')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const buyerAddress = req.user.flowWallet?.address || req.user.address;
+
+    if (!buyerAddress) {
+      return res.status(400).json({
+        success: false,
+        message: 'No Flow address found. Please connect your Flow wallet.'
+      });
+    }
+
+    const nft = await MusicNFT.findOne({ 'blockchain.tokenId': req.params.tokenId });
+
+    if (!nft) {
+      return res.status(404).json({
+        success: false,
+        message: 'NFT not found'
+      });
+    }
+
+    const { amount, currency, expiresIn } = req.body;
+    const offer = await offerService.makeOffer(nft.id, {
+      buyer: buyerAddress,
+      userId: req.user.id,
+      amount,
+      currency,
+      expiresIn
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer made successfully',
+      data: offer
+    });
+
+  } catch (error) {
+    sendMarketError(res, error, 'Failed to make offer');
+  }
+});
+
+/**
+ * @route   POST /api/nft/:tokenId/offers/:offerId/:action
+ * @desc    Accept, reject, counter or withdraw an offer
+ * @access  Private
+ */
+router.post('/:tokenId/offers/:offerId/:action', [
+  securityMiddleware.rateLimiters.blockchain,
+  authenticateToken,
+  param('tokenId').isNumeric().withMessage('Token ID must be a number'),
+  param('offerId').isUUID().withMessage('Invalid offer ID'),
+  param('action').isIn(['accept', 'reject', 'counter', 'withdraw']).withMessage('Unknown offer action'),
+  body('amount').if(param('action').equals('counter')).isFloat({ gt: 0 }).withMessage('Counter amount must be greater than 0'),
+  body('expiresIn').optional().isInt({ min: 60 }).withMessage('Expiry must be at least 60 seconds')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const nft = await MusicNFT.findOne({ 'blockchain.tokenId': req.params.tokenId });
+
+    if (!nft) {
+      return res.status(404).json({
+        success: false,
+        message: 'NFT not found'
+      });
+    }
+
+    const { offerId, action } = req.params;
+    const actor = req.user.flowWallet?.address || req.user.address;
+    let result;
+
+    if (action === 'accept') {
+      result = await offerService.acceptOffer(nft.id, offerId, actor);
+    } else if (action === 'reject') {
+      result = await offerService.rejectOffer(nft.id, offerId, actor);
+    } else if (action === 'counter') {
+      result = await offerService.counterOffer(nft.id, offerId, actor, req.body);
+    } else {
+      result = await offerService.withdrawOffer(nft.id, offerId, actor);
+    }
+
+    const messages = {
+      accept: 'Offer accepted successfully',
+      reject: 'Offer rejected successfully',
+      counter: 'Counter-offer sent successfully',
+      withdraw: 'Offer withdrawn successfully'
+    };
+
+    res.json({
+      success: true,
+      message: messages[action],
+      data: result
+    });
+
+  } catch (error) {
+    sendMarketError(res, error, 'Failed to update offer');
+  }
+});
+
 /**
  * @route   GET /api/nft/user-library
  * @desc    Get current user's NFT library
@@ -1,17 +1,27 @@
 /**
  * Royalties Routes
  * 处理版税分发、收益查询和分配记录的API路由
+ * 收益、分配记录与分析数据均来自版税账本（royaltyLedgerService）
  */
 
 import express from 'express';
 import rateLimit from 'express-rate-limit';
-import { authenticateToken } from '../middleware/auth.js';
-import AudioStreamingService from '../services/audioStreamingService.js';
-import quickNodeService from '../services/quickNodeService.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import royaltyLedgerService, {
+  accountsForUser,
+  createLedgerError,
+  isEarningEntry,
+  LEDGER_TRANSACTION_TYPES
+} from '../services/royaltyLedgerService.js';
+import royaltyPayoutService from '../services/royaltyPayoutService.js';
+import royaltySplitService, { createSplitError } from '../services/royaltySplitService.js';
+import MusicNFT from '../models/MusicNFT.js';
+import PayoutBatch, { PAYOUT_BATCH_STATUSES } from '../models/PayoutBatch.js';
+import { formatAmount, parseAmount, percentageOf } from '../utils/fixedPoint.js';
+import { validateCollaboratorShares, validateRoyaltyConfig } from '../utils/royaltySplits.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
-const audioService = new AudioStreamingService();
 
 // 限流中间件
 const royaltiesLimiter = rateLimit({
@@ -26,166 +36,227 @@ const royaltiesLimiter = rateLimit({
 
 router.use(royaltiesLimiter);
 
+// NFT的创建者与持有者记录的是钱包地址，也可能是用户ID
+const isCreatorOrOwner = (user, nft) => [user.id, user.flowWallet?.address, user.address]
+  .filter(Boolean)
+  .some(id => id === nft.creator || id === nft.owner);
+
+// 账本错误类型对应的HTTP状态码
+const royaltyErrorStatus = {
+  VALIDATION_ERROR: 400,
+  PERMISSION_ERROR: 403,
+  NOT_FOUND: 404
+};
+
+const sendRoyaltyError = (res, error, code, message) => {
+  if (royaltyErrorStatus[error.type]) {
+    return res.status(royaltyErrorStatus[error.type]).json({
+      success: false,
+      error: error.code,
+      message: error.message,
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: code,
+    message
+  });
+};
+
+// 收益类别：账本交易类型 -> 收益明细中的分类及其计数名称
+const EARNING_CATEGORIES = {
+  [LEDGER_TRANSACTION_TYPES.STREAM_PLAY]: { category: 'streaming', countLabel: 'plays' },
+  [LEDGER_TRANSACTION_TYPES.SECONDARY_SALE]: { category: 'secondary_sales', countLabel: 'sales' }
+};
+
+const CURRENCY = 'FLOW';
+
+// 版税拆分的响应格式：percentage 为二级市场版税率，recipients 为艺术家份额的分配
+const describeSplit = (split) => ({
+  source: split.source,
+  percentage: split.percentage,
+  recipients: split.shares.map(share => ({
+    recipient: share.recipient,
+    account: share.account,
+    role: share.role,
+    percentage: share.bps / 100,
+    description: share.description
+  }))
+});
+
+// 支付批次的响应格式：金额为FLOW字符串
+const describePayout = (payout) => ({
+  id: payout.id,
+  account: payout.account,
+  recipient: payout.recipient,
+  amount: formatAmount(payout.amount),
+  status: payout.status,
+  attempts: payout.attempts,
+  transaction_id: payout.transactionId,
+  error: payout.error,
+  confirmed_at: payout.confirmedAt,
+  reversed_at: payout.reversedAt
+});
+
+const describeBatch = (batch) => ({
+  id: batch.id,
+  status: batch.status,
+  created_by: batch.createdBy,
+  threshold: formatAmount(batch.threshold),
+  total_amount: formatAmount(batch.getTotal()),
+  currency: CURRENCY,
+  payouts: batch.payouts.map(describePayout),
+  submissions: batch.submissions.map(submission => ({
+    transaction_id: submission.transactionId,
+    payout_ids: submission.payoutIds,
+    success: submission.success,
+    error: submission.error,
+    is_mock: submission.isMock,
+    submitted_at: submission.submittedAt
+  })),
+  created_at: batch.createdAt,
+  settled_at: batch.settledAt
+});
+
 /**
  * GET /api/royalties/earnings
  * 获取用户收益统计
  */
 router.get('/earnings', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
     const { timeframe = '30d' } = req.query;
+    const since = royaltyLedgerService.resolveTimeframe(timeframe);
     
-    // 获取艺术家收益
-    const earnings = await audioService.getArtistEarnings(userId);
-    
-    // 模拟收益数据（在实际应用中应从数据库获取）
-    const mockEarnings = {
-      total: {
-        amount: 125.67,
-        currency: 'FLOW',
-        usd_value: 89.23
-      },
-      breakdown: {
-        streaming: {
-          amount: 85.45,
-          percentage: 68.0,
-          plays: 1247
-        },
-        sales: {
-          amount: 32.18,
-          percentage: 25.6,
-          transactions: 8
-        },
-        royalties: {
-          amount: 8.04,
-          percentage: 6.4,
-          secondary_sales: 3
-        }
-      },
-      recent_payments: [
-        {
-          date: '2024-01-15',
-          amount: 12.34,
-          type: 'streaming',
-          source: 'FlowTune Platform'
-        },
-        {
-          date: '2024-01-14',
-          amount: 25.00,
-          type: 'sale',
-          source: 'NFT Marketplace'
-        },
-        {
-          date: '2024-01-13',
-          amount: 3.45,
-          type: 'royalty',
-          source: 'Secondary Sale'
-        }
-      ],
-      timeframe,
-      last_updated: new Date().toISOString()
-    };
+    // 用户（按用户ID与钱包地址）的艺术家账户在时间范围内的入账
+    const summary = await royaltyLedgerService.summarizeAccount(accountsForUser(req.user), { since });
+
+    const breakdown = {};
+    for (const [type, { category, countLabel }] of Object.entries(EARNING_CATEGORIES)) {
+      const total = summary.byType[type] || { amount: 0, count: 0 };
+      breakdown[category] = {
+        amount: formatAmount(total.amount),
+        percentage: percentageOf(total.amount, summary.earned),
+        [countLabel]: total.count
+      };
+    }
+
+    const recentPayments = summary.entries
+      .filter(isEarningEntry)
+      .slice(0, 10)
+      .map(entry => ({
+        transaction_id: entry.transactionId,
+        date: entry.postedAt,
+        amount: formatAmount(entry.amount),
+        type: EARNING_CATEGORIES[entry.type]?.category || entry.type,
+        track_id: entry.trackId
+      }));
 
     res.json({
       success: true,
-      data: mockEarnings,
+      data: {
+        total: {
+          amount: formatAmount(summary.earned),
+          currency: CURRENCY
+        },
+        balance: {
+          amount: formatAmount(summary.balance),
+          currency: CURRENCY
+        },
+        // 已转入支付批次（上链支付中或已支付）的金额
+        paid_out: {
+          amount: formatAmount(summary.debited),
+          currency: CURRENCY
+        },
+        breakdown,
+        recent_payments: recentPayments,
+        timeframe,
+        last_updated: new Date().toISOString()
+      },
       message: '收益统计获取成功'
     });
 
   } catch (error) {
-    logger.error('Error getting user earnings:', error);
-    res.status(500).json({
-      success: false,
-      error: 'EARNINGS_ERROR',
-      message: '获取收益统计失败'
-    });
+    sendRoyaltyError(res, error, 'EARNINGS_ERROR', '获取收益统计失败');
   }
 });
 
 /**
  * GET /api/royalties/distributions/:nftId
- * 获取NFT版税分配记录
+ * 获取NFT版税分配记录（仅创建者、持有者或管理员可查看）
  */
 router.get('/distributions/:nftId', authenticateToken, async (req, res) => {
   try {
     const { nftId } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    
-    // 模拟版税分配记录
-    const mockDistributions = {
-      nft_id: nftId,
-      total_distributions: 15,
-      total_amount: 45.67,
-      distributions: [
-        {
-          id: 'dist_001',
-          transaction_hash: '0x1234567890abcdef',
-          block_number: 12345678,
-          timestamp: '2024-01-15T10:30:00Z',
-          total_amount: 10.00,
-          recipients: [
-            {
-              address: '0xartist123',
-              percentage: 80,
-              amount: 8.00,
-              description: '艺术家版税'
-            },
-            {
-              address: '0xplatform456',
-              percentage: 15,
-              amount: 1.50,
-              description: '平台版税'
-            },
-            {
-              address: '0xcollaborator789',
-              percentage: 5,
-              amount: 0.50,
-              description: '合作者版税'
-            }
-          ]
-        },
-        {
-          id: 'dist_002',
-          transaction_hash: '0xfedcba0987654321',
-          block_number: 12345679,
-          timestamp: '2024-01-14T15:45:00Z',
-          total_amount: 15.50,
-          recipients: [
-            {
-              address: '0xartist123',
-              percentage: 80,
-              amount: 12.40,
-              description: '艺术家版税'
-            },
-            {
-              address: '0xplatform456',
-              percentage: 20,
-              amount: 3.10,
-              description: '平台版税'
-            }
-          ]
-        }
-      ],
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total_pages: Math.ceil(15 / parseInt(limit))
-      }
-    };
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const nft = await MusicNFT.findById(nftId);
+    if (!nft) {
+      return res.status(404).json({
+        success: false,
+        error: 'NFT_NOT_FOUND',
+        message: 'NFT不存在'
+      });
+    }
+    const isAdmin = req.user.role === 'admin' || req.user.role === 'super_admin';
+    if (!isCreatorOrOwner(req.user, nft) && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        error: 'ACCESS_DENIED',
+        message: '无权查看该NFT的版税分配记录'
+      });
+    }
+
+    const transactions = await royaltyLedgerService.getTrackTransactions(nftId);
+    const totalAmount = transactions.reduce((sum, transaction) => sum + transaction.entries
+      .filter(entry => entry.direction === 'debit')
+      .reduce((debits, entry) => debits + entry.amount, 0), 0);
+
+    const distributions = transactions
+      .slice((page - 1) * limit, page * limit)
+      .map(transaction => {
+        const debited = transaction.entries
+          .filter(entry => entry.direction === 'debit')
+          .reduce((sum, entry) => sum + entry.amount, 0);
+        return {
+          id: transaction.id,
+          type: transaction.type,
+          reference: transaction.reference,
+          timestamp: transaction.postedAt,
+          total_amount: formatAmount(debited),
+          source: transaction.entries.filter(entry => entry.direction === 'debit').map(entry => entry.account),
+          recipients: transaction.entries
+            .filter(entry => entry.direction === 'credit')
+            .map(entry => ({
+              account: entry.account,
+              role: entry.role,
+              amount: formatAmount(entry.amount),
+              percentage: percentageOf(entry.amount, debited)
+            }))
+        };
+      });
 
     res.json({
       success: true,
-      data: mockDistributions,
+      data: {
+        nft_id: nftId,
+        total_distributions: transactions.length,
+        total_amount: formatAmount(totalAmount),
+        currency: CURRENCY,
+        distributions,
+        pagination: {
+          page,
+          limit,
+          total_pages: Math.ceil(transactions.length / limit)
+        }
+      },
       message: 'NFT版税分配记录获取成功'
     });
 
   } catch (error) {
-    logger.error('Error getting NFT distributions:', error);
-    res.status(500).json({
-      success: false,
-      error: 'DISTRIBUTIONS_ERROR',
-      message: '获取版税分配记录失败'
-    });
+    sendRoyaltyError(res, error, 'DISTRIBUTIONS_ERROR', '获取版税分配记录失败');
   }
 });
 
@@ -195,122 +266,319 @@ router.get('/distributions/:nftId', authenticateToken, async (req, res) => {
  */
 router.get('/analytics', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
     const { timeframe = '30d' } = req.query;
-    
-    // 模拟版税分析数据
-    const mockAnalytics = {
-      summary: {
-        total_earned: 234.56,
-        total_distributed: 187.65,
-        pending_distribution: 46.91,
-        active_nfts: 12
-      },
-      trends: {
-        daily_earnings: [
-          { date: '2024-01-15', amount: 12.34 },
-          { date: '2024-01-14', amount: 15.67 },
-          { date: '2024-01-13', amount: 8.90 },
-          { date: '2024-01-12', amount: 22.11 },
-          { date: '2024-01-11', amount: 18.45 }
-        ],
-        top_performing_nfts: [
-          {
-            nft_id: 'nft_001',
-            title: 'Cosmic Melody',
-            total_earned: 45.67,
-            play_count: 1234
-          },
-          {
-            nft_id: 'nft_002',
-            title: 'Digital Dreams',
-            total_earned: 38.92,
-            play_count: 987
-          }
-        ]
-      },
-      distribution_stats: {
-        artist_percentage: 75.5,
-        platform_percentage: 20.0,
-        collaborator_percentage: 4.5
-      },
-      timeframe,
-      generated_at: new Date().toISOString()
-    };
+    const since = royaltyLedgerService.resolveTimeframe(timeframe);
+
+    const accounts = accountsForUser(req.user);
+    const summary = await royaltyLedgerService.summarizeAccount(accounts, { since });
+
+    // 每首音轨在时间范围内的有效播放次数
+    const playsByTrack = {};
+    for (const entry of summary.entries) {
+      if (entry.direction === 'credit' && entry.type === LEDGER_TRANSACTION_TYPES.STREAM_PLAY) {
+        playsByTrack[entry.trackId] = (playsByTrack[entry.trackId] || 0) + 1;
+      }
+    }
+
+    // 按收益排序的音轨，附带标题
+    const topTracks = Object.entries(summary.byTrack)
+      .sort(([, a], [, b]) => b.amount - a.amount)
+      .slice(0, 10);
+    const topPerformingNfts = await Promise.all(topTracks.map(async ([trackId, total]) => {
+      const nft = await MusicNFT.findById(trackId);
+      return {
+        nft_id: trackId,
+        title: nft?.title || '',
+        total_earned: formatAmount(total.amount),
+        play_count: playsByTrack[trackId] || 0
+      };
+    }));
+
+    // 艺术家音轨的收入在各角色之间的分配比例
+    const roleTotals = {};
+    let distributedTotal = 0;
+    for (const trackId of Object.keys(summary.byTrack)) {
+      for (const transaction of await royaltyLedgerService.getTrackTransactions(trackId)) {
+        if (since && transaction.postedAt < since) continue;
+        const creditsArtist = transaction.entries.some(entry => accounts.includes(entry.account) && entry.direction === 'credit');
+        if (!creditsArtist) continue;
+        for (const entry of transaction.entries) {
+          // 二级销售中已在链上支付的部分会转入已结算账户，不属于收入分配
+          if (entry.direction !== 'credit' || entry.role === 'payout') continue;
+          roleTotals[entry.role] = (roleTotals[entry.role] || 0) + entry.amount;
+          distributedTotal += entry.amount;
+        }
+      }
+    }
 
     res.json({
       success: true,
-      data: mockAnalytics,
+      data: {
+        summary: {
+          total_earned: formatAmount(summary.earned),
+          total_distributed: formatAmount(summary.debited),
+          pending_distribution: formatAmount(summary.balance),
+          active_nfts: Object.keys(summary.byTrack).length,
+          currency: CURRENCY
+        },
+        trends: {
+          daily_earnings: Object.entries(summary.daily)
+            .sort(([a], [b]) => b.localeCompare(a))
+            .map(([date, amount]) => ({ date, amount: formatAmount(amount) })),
+          top_performing_nfts: topPerformingNfts
+        },
+        distribution_stats: {
+          artist_percentage: percentageOf(roleTotals.artist || 0, distributedTotal),
+          platform_percentage: percentageOf(roleTotals.platform || 0, distributedTotal),
+          curator_percentage: percentageOf(roleTotals.curator || 0, distributedTotal)
+        },
+        timeframe,
+        generated_at: new Date().toISOString()
+      },
       message: '版税分析数据获取成功'
     });
 
   } catch (error) {
-    logger.error('Error getting royalty analytics:', error);
-    res.status(500).json({
-      success: false,
-      error: 'ANALYTICS_ERROR',
-      message: '获取版税分析数据失败'
+    sendRoyaltyError(res, error, 'ANALYTICS_ERROR', '获取版税分析数据失败');
+  }
+});
+
+/**
+ * GET /api/royalties/splits/:nftId
+ * 获取音轨的版税拆分：配置的收款人优先，其次为合作者比例，最后为平台默认
+ */
+router.get('/splits/:nftId', authenticateToken, async (req, res) => {
+  try {
+    const { nft, split } = await royaltySplitService.getTrackSplit(req.params.nftId);
+
+    res.json({
+      success: true,
+      data: { nft_id: nft.id, ...describeSplit(split) },
+      message: '版税拆分获取成功'
     });
+  } catch (error) {
+    sendRoyaltyError(res, error, 'SPLITS_ERROR', '获取版税拆分失败');
+  }
+});
+
+/**
+ * PUT /api/royalties/splits/:nftId
+ * 修改音轨的版税拆分（仅创建者）：{ percentage, recipients, collaborators }
+ */
+router.put('/splits/:nftId', authenticateToken, async (req, res) => {
+  try {
+    const { percentage, recipients, collaborators } = req.body;
+    const { nft, split } = await royaltySplitService.updateSplit(req.user, req.params.nftId, { percentage, recipients, collaborators });
+
+    res.json({
+      success: true,
+      data: { nft_id: nft.id, ...describeSplit(split) },
+      message: '版税拆分已更新'
+    });
+  } catch (error) {
+    sendRoyaltyError(res, error, 'SPLITS_ERROR', '更新版税拆分失败');
+  }
+});
+
+/**
+ * POST /api/royalties/splits/preview
+ * 预览一笔播放收益的分配：已铸造的音轨传 nftId，铸造前可传 royalties 与 collaborators
+ * amount 为 FLOW 金额（默认为单次播放收益），playlistId 为播放来源歌单（其创建者获得策展分润）
+ */
+router.post('/splits/preview', authenticateToken, async (req, res) => {
+  try {
+    const { nftId, royalties, collaborators = [], amount, playlistId } = req.body;
+
+    let units;
+    try {
+      units = amount === undefined ? royaltyLedgerService.revenuePerPlay : parseAmount(amount);
+    } catch (error) {
+      throw createSplitError('VALIDATION_ERROR', 'INVALID_AMOUNT', error.message);
+    }
+    if (units <= 0) {
+      throw createSplitError('VALIDATION_ERROR', 'INVALID_AMOUNT', 'Amount must be greater than 0');
+    }
+
+    let track;
+    if (nftId) {
+      track = (await royaltySplitService.getTrackSplit(nftId)).nft;
+    } else {
+      const errors = [...validateRoyaltyConfig(royalties).errors, ...validateCollaboratorShares(collaborators).errors];
+      if (errors.length > 0) {
+        throw createSplitError('VALIDATION_ERROR', 'INVALID_ROYALTY_SPLIT', 'Invalid royalty split', errors);
+      }
+      track = {
+        creator: req.user.flowWallet?.address || req.user.address || req.user.id,
+        royalties,
+        collaborators
+      };
+    }
+
+    const preview = await royaltySplitService.previewStream(track, units, { playlistId });
+
+    res.json({
+      success: true,
+      data: { nft_id: nftId || null, currency: CURRENCY, ...preview },
+      message: '版税分配预览成功'
+    });
+  } catch (error) {
+    sendRoyaltyError(res, error, 'SPLITS_ERROR', '版税分配预览失败');
+  }
+});
+
+/**
+ * GET /api/royalties/ledger/reconcile
+ * 核对版税账本：每笔交易借贷平衡、账户余额缓存与分录汇总一致（仅管理员）
+ */
+router.get('/ledger/reconcile', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const report = await royaltyLedgerService.reconcile();
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        trialBalance: formatAmount(report.trialBalance),
+        discrepancies: report.discrepancies.map(({ account, derived, cached }) => ({
+          account,
+          derived: formatAmount(derived),
+          cached: formatAmount(cached)
+        }))
+      },
+      message: report.reconciled ? '版税账本核对一致' : '版税账本存在差异'
+    });
+  } catch (error) {
+    sendRoyaltyError(res, error, 'RECONCILE_ERROR', '核对版税账本失败');
   }
 });
 
 /**
  * POST /api/royalties/distribute
- * 手动触发版税分配
+ * 立即执行一次版税支付：汇总达到最低金额的账本余额生成支付批次并提交上链（仅管理员）
  */
-router.post('/distribute', authenticateToken, async (req, res) => {
+router.post('/distribute', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
   try {
-    const { nftId, amount, recipients } = req.body;
-    
-    if (!nftId || !amount || !recipients || !Array.isArray(recipients)) {
-      return res.status(400).json({
-        success: false,
-        error: 'VALIDATION_ERROR',
-        message: '缺少必需参数：nftId, amount, recipients'
-      });
+    let minimum;
+    if (req.body.minimum !== undefined) {
+      try {
+        minimum = parseAmount(req.body.minimum);
+      } catch (error) {
+        throw createLedgerError('VALIDATION_ERROR', 'INVALID_AMOUNT', error.message);
+      }
+      if (minimum <= 0) {
+        throw createLedgerError('VALIDATION_ERROR', 'INVALID_AMOUNT', 'Minimum payout must be greater than 0');
+      }
     }
 
-    // 验证版税百分比总和
-    const totalPercentage = recipients.reduce((sum, r) => sum + r.percentage, 0);
-    if (Math.abs(totalPercentage - 1.0) > 0.001) {
-      return res.status(400).json({
-        success: false,
-        error: 'VALIDATION_ERROR',
-        message: '版税百分比总和必须等于100%'
-      });
+    const { batch, skipped } = await royaltyPayoutService.runPayouts({ minimum, createdBy: req.user.id });
+
+    res.json({
+      success: true,
+      data: {
+        batch: batch ? describeBatch(batch) : null,
+        skipped: skipped.map(({ account, amount, reason }) => ({ account, amount: formatAmount(amount), reason }))
+      },
+      message: batch ? '版税支付批次已提交' : '没有达到最低支付金额的余额'
+    });
+  } catch (error) {
+    sendRoyaltyError(res, error, 'DISTRIBUTION_ERROR', '版税分配失败');
+  }
+});
+
+/**
+ * GET /api/royalties/payouts/me
+ * 获取当前用户收到的版税支付
+ */
+router.get('/payouts/me', authenticateToken, async (req, res) => {
+  try {
+    const payouts = await royaltyPayoutService.getPayoutsForAccounts(accountsForUser(req.user));
+
+    res.json({
+      success: true,
+      data: {
+        payouts: payouts.map(payout => ({
+          ...describePayout(payout),
+          batch_id: payout.batchId,
+          created_at: payout.createdAt
+        }))
+      },
+      message: '版税支付记录获取成功'
+    });
+  } catch (error) {
+    sendRoyaltyError(res, error, 'PAYOUTS_ERROR', '获取版税支付记录失败');
+  }
+});
+
+/**
+ * GET /api/royalties/payouts
+ * 获取版税支付批次列表（仅管理员）
+ */
+router.get('/payouts', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !PAYOUT_BATCH_STATUSES.includes(status)) {
+      throw createLedgerError('VALIDATION_ERROR', 'INVALID_STATUS', `Status must be one of: ${PAYOUT_BATCH_STATUSES.join(', ')}`);
     }
 
-    // 模拟版税分配处理
-    const distributionId = `dist_${Date.now()}`;
-    const mockResult = {
-      distribution_id: distributionId,
-      nft_id: nftId,
-      total_amount: amount,
-      status: 'completed',
-      transaction_hash: `0x${Math.random().toString(16).substr(2, 40)}`,
-      recipients: recipients.map(r => ({
-        ...r,
-        amount: amount * r.percentage,
-        status: 'paid'
-      })),
-      processed_at: new Date().toISOString()
-    };
-
-    logger.info(`Royalty distribution completed: ${distributionId}`, mockResult);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const batches = status ? await PayoutBatch.findByStatus(status) : await PayoutBatch.findAll();
+    const offset = (page - 1) * limit;
 
     res.json({
       success: true,
-      data: mockResult,
-      message: '版税分配成功'
+      data: {
+        batches: batches.slice(offset, offset + limit).map(describeBatch),
+        pagination: {
+          page,
+          limit,
+          total: batches.length,
+          pages: Math.ceil(batches.length / limit)
+        }
+      },
+      message: '版税支付批次获取成功'
     });
+  } catch (error) {
+    sendRoyaltyError(res, error, 'PAYOUTS_ERROR', '获取版税支付批次失败');
+  }
+});
 
+/**
+ * GET /api/royalties/payouts/:batchId
+ * 获取单个支付批次及每笔支付的状态（仅管理员）
+ */
+router.get('/payouts/:batchId', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.batchId);
+    if (!batch) {
+      throw createLedgerError('NOT_FOUND', 'PAYOUT_BATCH_NOT_FOUND', 'Payout batch not found');
+    }
+
+    res.json({
+      success: true,
+      data: describeBatch(batch),
+      message: '版税支付批次获取成功'
+    });
   } catch (error) {
-    logger.error('Error distributing royalties:', error);
-    res.status(500).json({
-      success: false,
-      error: 'DISTRIBUTION_ERROR',
-      message: '版税分配失败'
+    sendRoyaltyError(res, error, 'PAYOUTS_ERROR', '获取版税支付批次失败');
+  }
+});
+
+/**
+ * POST /api/royalties/payouts/:batchId/retry
+ * 重新提交批次中失败的支付；force 为 true 时忽略重试次数上限（仅管理员）
+ */
+router.post('/payouts/:batchId/retry', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const batch = await royaltyPayoutService.retryBatch(req.params.batchId, { force: req.body.force === true });
+
+    res.json({
+      success: true,
+      data: describeBatch(batch),
+      message: batch.status === 'confirmed' ? '版税支付已全部确认' : '失败的版税支付已重新提交'
     });
+  } catch (error) {
+    sendRoyaltyError(res, error, 'PAYOUT_RETRY_ERROR', '重试版税支付失败');
   }
 });
 
@@ -320,6 +588,8 @@ router.post('/distribute', authenticateToken, async (req, res) => {
  */
 router.get('/status', async (req, res) => {
   try {
+    const [lastBatch] = await PayoutBatch.findAll();
+
     res.json({
       success: true,
       service: 'Royalty Distribution Service',
@@ -330,8 +600,12 @@ router.get('/status', async (req, res) => {
         analytics: true,
         manual_distribution: true
       },
-      supported_currencies: ['FLOW', 'USDC'],
-      last_distribution: new Date().toISOString(),
+      supported_currencies: [CURRENCY],
+      payouts: {
+        minimum: formatAmount(royaltyPayoutService.minimumPayout),
+        interval_seconds: royaltyPayoutService.payoutInterval
+      },
+      last_distribution: lastBatch ? lastBatch.createdAt : null,
       version: '1.0.0'
     });
   } catch (error) {
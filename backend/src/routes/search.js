@@ -0,0 +1,103 @@
+/**
+ * Search Routes
+ * Unified full-text search across NFTs, playlists and users
+ */
+
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import MusicNFT from '../models/MusicNFT.js';
+import Playlist from '../models/Playlist.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const SEARCH_TYPES = ['nfts', 'playlists', 'users'];
+
+/**
+ * @route   GET /api/search
+ * @desc    Ranked search with prefix/fuzzy matching and genre, mood and price facets
+ * @access  Public
+ */
+router.get('/', [
+  query('q').optional().isString().isLength({ max: 200 }).withMessage('Query must be at most 200 characters'),
+  query('type').optional().isIn(['all', ...SEARCH_TYPES]).withMessage('Invalid search type'),
+  query('genre').optional().isString().trim(),
+  query('mood').optional().isString().trim(),
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('minPrice must be a positive number'),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('maxPrice must be a positive number'),
+  query('forSale').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { q = '', type = 'all', genre, mood, minPrice, maxPrice, forSale, page = 1, limit = 20 } = req.query;
+    const pageSize = parseInt(limit);
+    const offset = (parseInt(page) - 1) * pageSize;
+    const types = type === 'all' ? SEARCH_TYPES : [type];
+    const results = {};
+
+    if (types.includes('nfts')) {
+      const filters = { genre, mood, minPrice, maxPrice, visibility: 'public' };
+      if (forSale !== undefined) {
+        filters.isForSale = forSale === 'true' || forSale === true;
+      }
+
+      const { hits, scores, total, facets } = await MusicNFT.searchIndex(q, { filters, limit: pageSize, offset });
+      results.nfts = {
+        items: hits.map(nft => ({ ...nft.getPublicData(), score: scores[nft.id] })),
+        total,
+        facets
+      };
+    }
+
+    if (types.includes('playlists')) {
+      const filters = { genre, mood, visibility: 'public' };
+      const { hits, scores, total, facets } = await Playlist.searchIndex(q, { filters, limit: pageSize, offset });
+      results.playlists = {
+        items: hits.map(playlist => ({ ...playlist.getPublicData(), score: scores[playlist.id] })),
+        total,
+        facets
+      };
+    }
+
+    // Users have no genre/mood/price, skip them when those filters are set
+    if (types.includes('users') && !(genre || mood || minPrice || maxPrice)) {
+      const { hits, scores, total } = await User.searchIndex(q, { limit: pageSize, offset });
+      results.users = {
+        items: hits.map(user => ({ ...user.getPublicProfile(), score: scores[user.id] })),
+        total
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        results,
+        pagination: {
+          page: parseInt(page),
+          limit: pageSize
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Search failed',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -70,7 +70,7 @@ router.post('/share/link', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Track ID is required' });
     }
 
-    const shareData = socialService.generateShareLink(trackId, userId);
+    const shareData = await socialService.generateShareLink(trackId, userId);
     res.json(shareData);
   } catch (error) {
     console.error('Share link generation error:', error);
@@ -12,6 +12,7 @@ import sharp from 'sharp';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
 import securityMiddleware from '../middleware/security.js';
+import audioAnalysisService from '../services/audioAnalysisService.js';
 
 const router = express.Router();
 
@@ -88,14 +89,15 @@ router.post('/audio',
     }
 
     const { path: filePath, originalname, mimetype, size } = req.file;
-    const { title, artist, genre, description } = req.body;
+    const { title, artist, genre, description, waveformResolution } = req.body;
 
     console.log(`🎵 Processing audio upload: ${originalname}`);
 
-    // Validate audio file
-    const audioInfo = await getAudioInfo(filePath);
-    
-    if (!audioInfo.isValid) {
+    // Validate and analyze the original file (metadata, waveform, loudness, tempo, key)
+    let analysis;
+    try {
+      analysis = await audioAnalysisService.analyzeFile(filePath, { resolution: waveformResolution });
+    } catch (error) {
       await cleanupFile(filePath);
       return res.status(400).json({
         error: true,
@@ -109,9 +111,6 @@ router.post('/audio',
     // Read processed file
     const audioBuffer = await fs.readFile(processedPath);
 
-    // Generate waveform data
-    const waveformData = await generateWaveform(processedPath);
-
     // Cleanup temporary files
     await cleanupFile(filePath);
     if (processedPath !== filePath) {
@@ -124,11 +123,15 @@ router.post('/audio',
         filename: originalname,
         mimetype: mimetype,
         size: size,
-        duration: audioInfo.duration,
-        bitrate: audioInfo.bitrate,
-        sampleRate: audioInfo.sampleRate,
-        channels: audioInfo.channels,
-        waveform: waveformData,
+        duration: analysis.duration,
+        bitrate: analysis.bitrate,
+        sampleRate: analysis.sampleRate,
+        channels: analysis.channels,
+        waveform: analysis.waveform.peaks,
+        loudness: analysis.loudness,
+        bpm: analysis.tempo ? Math.round(analysis.tempo.bpm) : null,
+        key: analysis.key ? analysis.key.name : null,
+        analysis,
         buffer: audioBuffer.toString('base64')
       },
       metadata: {
@@ -140,7 +143,7 @@ router.post('/audio',
       message: 'Audio file processed successfully'
     };
 
-    console.log(`✅ Audio processed: ${originalname} (${audioInfo.duration}s)`);
+    console.log(`✅ Audio processed: ${originalname} (${analysis.duration}s)`);
     res.json(response);
 
   } catch (error) {
@@ -354,29 +357,12 @@ router.post('/batch', upload.array('files', 10), async (req, res) => {
 // Helper functions
 
 async function getAudioInfo(filePath) {
-  return new Promise((resolve) => {
-    ffmpeg.ffprobe(filePath, (err, metadata) => {
-      if (err) {
-        resolve({ isValid: false });
-        return;
-      }
-
-      const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
-      if (!audioStream) {
-        resolve({ isValid: false });
-        return;
-      }
-
-      resolve({
-        isValid: true,
-        duration: parseFloat(metadata.format.duration) || 0,
-        bitrate: parseInt(metadata.format.bit_rate) || 0,
-        sampleRate: parseInt(audioStream.sample_rate) || 0,
-        channels: parseInt(audioStream.channels) || 0,
-        codec: audioStream.codec_name
-      });
-    });
-  });
+  try {
+    const metadata = await audioAnalysisService.probe(filePath);
+    return { isValid: true, ...metadata };
+  } catch (error) {
+    return { isValid: false };
+  }
 }
 
 async function processAudioFile(inputPath, originalName) {
@@ -398,26 +384,6 @@ async function processAudioFile(inputPath, originalName) {
   });
 }
 
-async function generateWaveform(filePath) {
-  // Simple waveform generation - in production, use a proper audio analysis library
-  try {
-    const audioInfo = await getAudioInfo(filePath);
-    const duration = audioInfo.duration || 30;
-    const samples = Math.min(1000, duration * 10); // 10 samples per second, max 1000
-    
-    // Generate mock waveform data
-    const waveform = [];
-    for (let i = 0; i < samples; i++) {
-      waveform.push(Math.random() * 0.8 + 0.1); // Random values between 0.1 and 0.9
-    }
-    
-    return waveform;
-  } catch (error) {
-    console.warn('Waveform generation failed:', error.message);
-    return [];
-  }
-}
-
 async function cleanupFile(filePath) {
   try {
     await fs.unlink(filePath);
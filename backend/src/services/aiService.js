@@ -8,6 +8,18 @@ import FormData from 'form-data';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import audioAnalysisService from './audioAnalysisService.js';
+import coverArtService from './coverArtService.js';
+import { createMusicProviderRegistry, createProviderError, FINISHED_GENERATION_STATUSES } from './musicProviders/index.js';
+import {
+  parsePrompt,
+  parseKey,
+  normalizeGenre,
+  normalizeMood,
+  ALLOWED_GENRES,
+  MIN_BPM,
+  MAX_BPM
+} from '../utils/promptParser.js';
 
 // Handle import.meta for both ES modules and Jest environments
 let __filename, __dirname;
@@ -37,158 +49,163 @@ try {
   __dirname = '';
 }
 
+// Generation parameters a request may set explicitly instead of through the prompt
+export const GENERATION_PARAMETERS = ['genre', 'mood', 'duration', 'bpm', 'key', 'instruments'];
+
+const validationError = (code, message) => {
+  const error = new Error(message);
+  error.type = 'VALIDATION_ERROR';
+  error.code = code;
+  return error;
+};
+
 class AIService {
   constructor() {
-    this.replicateToken = process.env.REPLICATE_API_TOKEN;
     this.openaiKey = process.env.OPENAI_API_KEY;
+    this.providers = createMusicProviderRegistry();
+    this.pollInterval = parseInt(process.env.AI_POLL_INTERVAL_MS) || 2000;
+    this.generationTimeout = parseInt(process.env.AI_GENERATION_TIMEOUT_MS) || 120000;
   }
 
   /**
-   * Generate music using multiple AI services
+   * Generate music with the provider chosen for the request
+   * @param {Object} request
+   * @param {string} request.prompt
+   * @param {number} [request.duration] - Seconds
+   * @param {string} [request.genre]
+   * @param {string} [request.mood]
+   * @param {number} [request.bpm]
+   * @param {string} [request.key] - e.g. "A minor"
+   * @param {boolean} [request.stereo]
+   * @param {string} [request.format] - Output format, e.g. 'mp3'
+   * @param {number} [request.seed] - Variation seed
+   * @param {Object} [request.conditioning] - Audio to continue or follow, see musicProvider.js
+   * @param {string} [request.provider] - Provider name; chosen by capabilities when omitted
    */
-  async generateMusicWithMusicGen(prompt, duration = 30) {
+  async generateMusic({ prompt, duration = 30, genre, mood, bpm, key, stereo, format, seed, conditioning, provider: providerName } = {}) {
+    // Whatever the request leaves out is taken from the prompt itself
+    const interpreted = parsePrompt(prompt);
+    const request = {
+      prompt,
+      duration,
+      genre: normalizeGenre(genre) || genre || interpreted.genre || undefined,
+      mood: normalizeMood(mood) || mood || interpreted.mood || undefined,
+      bpm: bpm ?? interpreted.bpm ?? undefined,
+      key: key || interpreted.key?.name,
+      stereo,
+      format,
+      seed,
+      conditioning
+    };
+    const provider = this.providers.select({ ...request, provider: providerName });
+
+    console.log(`🎵 Generating music with ${provider.name} (${provider.model}): "${prompt}"`);
+
     try {
-      console.log(`🎵 Generating music with prompt: "${prompt}"`);
-      
-      // Check if we have real API keys
-      const hasReplicateKey = this.replicateToken && this.replicateToken !== 'your_replicate_api_token_here';
-      
-      if (hasReplicateKey) {
-        return await this.generateWithReplicate(prompt, duration);
-      } else {
-        // Use enhanced mock generation
-        return await this.generateMockMusic(prompt, duration);
-      }
+      return await this.runGeneration(provider, request);
     } catch (error) {
-      console.error('Music generation error:', error.message);
-      // Fallback to mock generation
-      return await this.generateMockMusic(prompt, duration);
+      // Fall back to mock only when AI_MOCK_FALLBACK is on, and say so in the result
+      const fallback = this.providers.fallback;
+      if (error.type !== 'AI_ERROR' || !fallback || fallback === provider) {
+        throw error;
+      }
+
+      console.warn(`⚠️ ${provider.name} generation failed, falling back to ${fallback.name}: ${error.message}`);
+      const result = await this.runGeneration(fallback, request);
+      result.metadata.fallbackFrom = provider.name;
+      result.metadata.fallbackReason = error.message;
+      return result;
     }
   }
 
   /**
-   * Generate music using Replicate API
+   * Generate music from a prompt (kept for existing callers)
    */
-  async generateWithReplicate(prompt, duration = 30) {
-    const response = await axios.post(
-      'https://api.replicate.com/v1/predictions',
-      {
-        version: "7a76a8258b23fae65c5a22debb8841d1d7e816b75c2f24218cd2bd8573787906",
-        input: {
-          prompt: prompt,
-          model_version: "stereo-large",
-          output_format: "mp3",
-          normalization_strategy: "peak",
-          duration: duration
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Token ${this.replicateToken}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    const predictionId = response.data.id;
-    console.log(`📊 Prediction created: ${predictionId}`);
-
-    // Poll for completion
-    return await this.pollPrediction(predictionId);
+  async generateMusicWithMusicGen(prompt, duration = 30, options = {}) {
+    return this.generateMusic({ ...options, prompt, duration });
   }
 
   /**
-   * Enhanced mock music generation for development
+   * Start a generation and poll it until it finishes; cancelled on timeout
    */
-  async generateMockMusic(prompt, duration = 30) {
-    console.log(`🔧 Development mode: Generating mock music for "${prompt}"`);
-    
-    // Simulate processing time
-    await new Promise(resolve => setTimeout(resolve, 2000 + Math.random() * 3000));
-    
-    // Generate different sample audio based on prompt keywords
-    const audioSamples = [
-      'https://www.soundjay.com/misc/sounds/bell-ringing-05.wav',
-      'https://www.soundjay.com/misc/sounds/fail-buzzer-02.wav',
-      'https://www.soundjay.com/misc/sounds/magic-chime-02.wav',
-      'https://www.soundjay.com/misc/sounds/small-bell-ringing-01.wav',
-      'https://www.soundjay.com/misc/sounds/wind-chime-01.wav'
-    ];
-    
-    // Select audio based on prompt content
-    let selectedAudio = audioSamples[0];
-    const lowerPrompt = prompt.toLowerCase();
-    
-    if (lowerPrompt.includes('electronic') || lowerPrompt.includes('techno')) {
-      selectedAudio = audioSamples[1];
-    } else if (lowerPrompt.includes('ambient') || lowerPrompt.includes('calm')) {
-      selectedAudio = audioSamples[2];
-    } else if (lowerPrompt.includes('classical') || lowerPrompt.includes('piano')) {
-      selectedAudio = audioSamples[3];
-    } else if (lowerPrompt.includes('nature') || lowerPrompt.includes('peaceful')) {
-      selectedAudio = audioSamples[4];
+  async runGeneration(provider, request) {
+    const deadline = Date.now() + this.generationTimeout;
+    let handle;
+
+    try {
+      handle = await provider.generate(request);
+    } catch (error) {
+      throw this.toGenerationError(provider, error);
     }
-    
+    console.log(`📊 Generation created: ${provider.name}/${handle.id}`);
+
+    while (!FINISHED_GENERATION_STATUSES.includes(handle.status)) {
+      if (Date.now() >= deadline) {
+        await this.cancelGeneration(provider.name, handle.id).catch(error => {
+          console.error(`Failed to cancel ${provider.name}/${handle.id}:`, error.message);
+        });
+        throw createProviderError('GENERATION_TIMEOUT', `AI generation timed out after ${this.generationTimeout}ms`, { provider: provider.name });
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      try {
+        handle = await provider.poll(handle.id);
+      } catch (error) {
+        // Transient polling errors are retried until the deadline
+        console.error(`Polling ${provider.name}/${handle.id} failed:`, error.message);
+      }
+    }
+
+    if (handle.status !== 'succeeded' || !handle.audioUrl) {
+      const reason = handle.status === 'cancelled' ? 'generation was cancelled' : (handle.error || 'no audio returned');
+      throw createProviderError('GENERATION_FAILED', `AI generation failed: ${reason}`, { provider: provider.name });
+    }
+
     return {
       success: true,
-      audioUrl: selectedAudio,
+      audioUrl: handle.audioUrl,
+      provider: provider.name,
+      model: provider.model,
       metadata: {
-        predictionId: `mock_${Date.now()}`,
-        model: 'musicgen-mock-v1.0',
-        duration: duration,
-        prompt: prompt,
+        ...handle.metadata,
+        predictionId: handle.id,
+        provider: provider.name,
+        model: provider.model,
+        duration: request.duration,
+        prompt: request.prompt,
+        genre: request.genre || handle.metadata?.genre || null,
         generatedAt: new Date().toISOString(),
-        mockGeneration: true
+        mockGeneration: provider.name === 'mock'
       }
     };
   }
 
   /**
-   * Poll Replicate prediction until completion
+   * Cancel a running generation
    */
-  async pollPrediction(predictionId, maxAttempts = 60) {
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      try {
-        const response = await axios.get(
-          `https://api.replicate.com/v1/predictions/${predictionId}`,
-          {
-            headers: {
-              'Authorization': `Token ${this.replicateToken}`
-            }
-          }
-        );
-
-        const prediction = response.data;
-        console.log(`📊 Prediction status: ${prediction.status}`);
-
-        if (prediction.status === 'succeeded') {
-          return {
-            success: true,
-            audioUrl: prediction.output,
-            metadata: {
-              predictionId,
-              model: 'musicgen-stereo-large',
-              duration: prediction.input?.duration || 30,
-              prompt: prediction.input?.prompt
-            }
-          };
-        }
-
-        if (prediction.status === 'failed') {
-          throw new Error(`AI generation failed: ${prediction.error}`);
-        }
-
-        // Wait before next poll
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      } catch (error) {
-        if (attempt === maxAttempts - 1) {
-          throw error;
-        }
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
+  async cancelGeneration(providerName, generationId) {
+    const provider = this.providers.get(providerName)
+      || (this.providers.fallback?.name === providerName ? this.providers.fallback : null);
+    if (!provider) {
+      throw createProviderError('UNKNOWN_PROVIDER', `Unknown music provider "${providerName}"`, { type: 'VALIDATION_ERROR' });
     }
+    return provider.cancel(generationId);
+  }
 
-    throw new Error('AI generation timeout');
+  /**
+   * Enabled providers with their capabilities
+   */
+  listProviders() {
+    return {
+      providers: this.providers.list().map(provider => provider.describe()),
+      fallback: this.providers.fallback?.name || null
+    };
+  }
+
+  toGenerationError(provider, error) {
+    if (error.type) return error;
+    const message = error.response?.data?.detail || error.message;
+    return createProviderError('GENERATION_FAILED', `AI generation failed: ${message}`, { provider: provider.name });
   }
 
   /**
@@ -233,22 +250,27 @@ class AIService {
   }
 
   /**
-   * Generate cover art using AI or smart placeholders
+   * Generate cover art with DALL-E when configured, otherwise render it locally
+   * @param {string} prompt
+   * @param {string} [style] - DALL-E style text; locally one of COVER_STYLES or an alias
+   * @param {Object} [details] - { title, artist, genre, mood, waveform, audioUrl } for the local renderer
    */
-  async generateCoverArt(prompt, style = 'abstract') {
-    try {
-      // Check if we have OpenAI API key for DALL-E
-      const hasOpenAIKey = this.openaiKey && this.openaiKey !== 'your_openai_api_key_here';
-      
-      if (hasOpenAIKey) {
+  async generateCoverArt(prompt, style = 'abstract', details = {}) {
+    const hasOpenAIKey = this.openaiKey && this.openaiKey !== 'your_openai_api_key_here';
+
+    if (hasOpenAIKey) {
+      try {
         return await this.generateWithDALLE(prompt, style);
-      } else {
-        return await this.generateSmartPlaceholder(prompt, style);
+      } catch (error) {
+        console.error('Cover art generation error, rendering locally:', error.message);
       }
+    }
+
+    try {
+      return await this.generateLocalCover(prompt, style, details);
     } catch (error) {
-      console.error('Cover art generation error:', error);
-      // Fallback to smart placeholder
-      return await this.generateSmartPlaceholder(prompt, style);
+      console.error('Local cover art rendering error:', error);
+      return { success: false, imageUrl: null, error: error.message };
     }
   }
 
@@ -293,104 +315,98 @@ class AIService {
   }
 
   /**
-   * Generate smart placeholder cover art
+   * Render cover art from the genre, mood and waveform into uploads/covers
    */
-  async generateSmartPlaceholder(prompt, style) {
-    console.log(`🎨 Generating smart placeholder cover for: "${prompt}"`);
-    
-    // Color schemes based on music genre/mood
-    const colorSchemes = {
-      electronic: ['6366f1', 'a855f7', '3b82f6'], // Purple/Blue
-      ambient: ['10b981', '06b6d4', '8b5cf6'], // Green/Cyan/Purple
-      classical: ['f59e0b', 'ef4444', '8b5cf6'], // Gold/Red/Purple
-      rock: ['ef4444', 'f97316', 'eab308'], // Red/Orange/Yellow
-      jazz: ['8b5cf6', 'ec4899', 'f59e0b'], // Purple/Pink/Orange
-      pop: ['ec4899', 'f97316', '10b981'], // Pink/Orange/Green
-      default: ['6366f1', 'a855f7', '3b82f6'] // Default purple/blue
-    };
-
-    // Determine color scheme based on prompt
-    const lowerPrompt = prompt.toLowerCase();
-    let colors = colorSchemes.default;
-    
-    for (const [genre, genreColors] of Object.entries(colorSchemes)) {
-      if (lowerPrompt.includes(genre)) {
-        colors = genreColors;
-        break;
-      }
-    }
+  async generateLocalCover(prompt, style, details = {}) {
+    const cover = await coverArtService.renderToFile({ prompt, style, ...details });
 
-    // Select random color from scheme
-    const selectedColor = colors[Math.floor(Math.random() * colors.length)];
-    
-    // Generate gradient placeholder with music-themed text
-    const musicEmojis = ['🎵', '🎶', '🎼', '🎹', '🎸', '🥁', '🎺', '🎷'];
-    const randomEmoji = musicEmojis[Math.floor(Math.random() * musicEmojis.length)];
-    
-    const imageUrl = `https://via.placeholder.com/512x512/${selectedColor}/ffffff?text=${encodeURIComponent(randomEmoji + ' AI Music')}`;
-    
     return {
       success: true,
-      imageUrl: imageUrl,
+      imageUrl: cover.url,
+      thumbnails: cover.thumbnails,
       metadata: {
         prompt,
-        style,
+        style: cover.style,
         generated: true,
-        model: 'smart-placeholder',
-        colorScheme: selectedColor,
-        emoji: randomEmoji
+        model: 'local-renderer',
+        format: cover.format,
+        palette: cover.palette
       }
     };
   }
 
   /**
-   * Analyze audio file and extract metadata
+   * Analyze audio file and extract metadata, waveform, loudness, tempo and key
    */
-  async analyzeAudio(audioBuffer) {
+  async analyzeAudio(audioBuffer, options = {}) {
     try {
-      // Basic audio analysis (duration, format, etc.)
-      // In a production environment, you might use libraries like:
-      // - node-ffmpeg for detailed audio analysis
-      // - music-metadata for extracting existing metadata
-      
-      return {
-        duration: 30, // Placeholder
-        format: 'mp3',
-        sampleRate: 44100,
-        bitrate: 320,
-        channels: 2,
-        size: audioBuffer.length
-      };
+      return await audioAnalysisService.analyzeBuffer(audioBuffer, options);
     } catch (error) {
       console.error('Audio analysis error:', error);
-      throw new Error(`Audio analysis failed: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * Validate generation parameters
+   * Structured parameters for a prompt: what the prompt says, with explicit
+   * request values taking precedence
+   * @param {string} prompt
+   * @param {Object} [overrides] - { genre, mood, duration, bpm, key, instruments }
+   * @returns {Object} { interpreted, parameters }
+   */
+  interpretPrompt(prompt, overrides = {}) {
+    const interpreted = parsePrompt(prompt);
+    const parameters = {
+      genre: overrides.genre || interpreted.genre || 'electronic',
+      mood: overrides.mood || interpreted.mood || 'upbeat',
+      duration: overrides.duration ?? interpreted.duration ?? 30,
+      bpm: overrides.bpm ?? interpreted.bpm,
+      key: overrides.key || interpreted.key?.name || null,
+      instruments: overrides.instruments || interpreted.instruments
+    };
+    return { interpreted, parameters };
+  }
+
+  /**
+   * Validate generation parameters; genres and moods may be given in English or Chinese
+   * @returns {Object} The parameters with canonical genre, mood and key
    */
   validateGenerationParams(params) {
-    const { prompt, duration, genre } = params;
+    const { prompt, duration, genre, mood, bpm, key } = params;
+    const normalized = { ...params };
     
     if (!prompt || prompt.trim().length < 3) {
-      throw new Error('Prompt must be at least 3 characters long');
+      throw validationError('INVALID_PROMPT', 'Prompt must be at least 3 characters long');
     }
     
     if (duration && (duration < 5 || duration > 60)) {
-      throw new Error('Duration must be between 5 and 60 seconds');
+      throw validationError('INVALID_DURATION', 'Duration must be between 5 and 60 seconds');
     }
     
-    const allowedGenres = [
-      'electronic', 'ambient', 'classical', 'jazz', 'rock', 
-      'pop', 'hip-hop', 'techno', 'house', 'experimental'
-    ];
-    
-    if (genre && !allowedGenres.includes(genre.toLowerCase())) {
-      throw new Error(`Genre must be one of: ${allowedGenres.join(', ')}`);
+    if (genre) {
+      normalized.genre = normalizeGenre(genre);
+      if (!normalized.genre) {
+        throw validationError('INVALID_GENRE', `Genre must be one of: ${ALLOWED_GENRES.join(', ')}`);
+      }
+    }
+
+    if (mood) {
+      normalized.mood = normalizeMood(mood) || mood;
+    }
+
+    if (bpm !== undefined && bpm !== null && !(bpm >= MIN_BPM && bpm <= MAX_BPM)) {
+      throw validationError('INVALID_BPM', `BPM must be between ${MIN_BPM} and ${MAX_BPM}`);
+    }
+
+    if (key) {
+      const parsedKey = parseKey(key);
+      if (!parsedKey) {
+        throw validationError('INVALID_KEY', 'Key must look like "C major", "F# minor" or "A小调"');
+      }
+      normalized.key = parsedKey.name;
     }
     
-    return true;
+    return normalized;
   }
 }
 
@@ -0,0 +1,394 @@
+/**
+ * Auction Service
+ * English auctions for MusicNFT listings: reserve prices, minimum increments,
+ * anti-sniping extensions and automatic settlement
+ */
+
+import Database from '../config/database.js';
+import MusicNFT from '../models/MusicNFT.js';
+import marketplaceService, { createMarketError, toUnits, fromUnits } from './marketplaceService.js';
+import websocketService from './websocketService.js';
+import logger from '../utils/logger.js';
+
+// 动态导入flowService以避免在.env加载前初始化
+const getFlowService = async () => {
+  const { default: flowService } = await import('../services/flowService.js');
+  return flowService;
+};
+
+const ACTIVE_AUCTIONS_KEY = 'auctions:active';
+
+class AuctionService {
+  constructor() {
+    this.defaultDuration = parseInt(process.env.AUCTION_DEFAULT_DURATION) || 24 * 3600; // seconds
+    this.extensionWindow = parseInt(process.env.AUCTION_EXTENSION_WINDOW) || 300;
+    this.extensionSeconds = parseInt(process.env.AUCTION_EXTENSION_SECONDS) || 300;
+    this.settlementInterval = parseInt(process.env.AUCTION_SETTLEMENT_INTERVAL) || 60;
+    this.defaultMinIncrement = process.env.AUCTION_MIN_INCREMENT || '1';
+    this.settlementTimer = null;
+  }
+
+  /**
+   * Load an NFT or fail with NOT_FOUND
+   */
+  async loadNFT(nftId) {
+    const nft = await MusicNFT.findById(nftId);
+    if (!nft) {
+      throw createMarketError('NOT_FOUND', 'NFT_NOT_FOUND', 'NFT not found');
+    }
+    return nft;
+  }
+
+  /**
+   * Check whether the NFT currently has a running auction
+   */
+  isAuctionActive(nft) {
+    return nft.market.saleType === 'auction' && nft.market.auctionStatus === 'active';
+  }
+
+  /**
+   * Public view of an auction (the reserve amount itself stays hidden)
+   */
+  getAuctionState(nft) {
+    const market = nft.market;
+    const bids = market.bidders || [];
+
+    return {
+      nftId: nft.id,
+      tokenId: nft.blockchain.tokenId,
+      status: market.auctionStatus || null,
+      seller: nft.owner,
+      currency: market.currency || 'FLOW',
+      startingPrice: market.startingPrice || market.price,
+      minIncrement: market.minIncrement || this.defaultMinIncrement,
+      highestBid: market.highestBid || '0',
+      highestBidder: market.highestBidder || null,
+      minimumNextBid: this.getMinimumBid(nft),
+      reserveMet: toUnits(market.highestBid) > 0 && toUnits(market.highestBid) >= toUnits(market.reservePrice),
+      startTime: market.auctionStartTime || null,
+      endTime: market.auctionEndTime || null,
+      extensions: market.auctionExtensions || 0,
+      bidCount: bids.length,
+      bids: bids.map(bid => ({
+        bidder: bid.bidder,
+        amount: bid.amount,
+        status: bid.status,
+        placedAt: bid.placedAt
+      }))
+    };
+  }
+
+  /**
+   * Lowest amount the next bid must reach
+   */
+  getMinimumBid(nft) {
+    const market = nft.market;
+    if (!market.highestBidder) {
+      return market.startingPrice || market.price;
+    }
+    return fromUnits(toUnits(market.highestBid) + toUnits(market.minIncrement || this.defaultMinIncrement));
+  }
+
+  /**
+   * Put an NFT up for auction
+   */
+  async startAuction(nftId, seller, options = {}) {
+    return marketplaceService.withLock(nftId, async () => {
+      const nft = await this.loadNFT(nftId);
+
+      if (nft.owner !== seller) {
+        throw createMarketError('PERMISSION_ERROR', 'NOT_OWNER', 'You do not own this NFT');
+      }
+      if (this.isAuctionActive(nft) || nft.market.isForSale) {
+        throw createMarketError('VALIDATION_ERROR', 'ALREADY_LISTED', 'NFT is already on sale');
+      }
+
+      const {
+        startingPrice,
+        reservePrice = '0',
+        minIncrement = this.defaultMinIncrement,
+        duration = this.defaultDuration,
+        currency = nft.market.currency || 'FLOW'
+      } = options;
+
+      if (toUnits(startingPrice) <= 0) {
+        throw createMarketError('VALIDATION_ERROR', 'INVALID_STARTING_PRICE', 'Starting price must be greater than 0');
+      }
+      if (toUnits(minIncrement) <= 0) {
+        throw createMarketError('VALIDATION_ERROR', 'INVALID_INCREMENT', 'Minimum increment must be greater than 0');
+      }
+
+      const flowService = await getFlowService();
+      const listResult = await flowService.listNFTForSale({
+        tokenId: nft.blockchain.tokenId,
+        price: startingPrice,
+        currency,
+        seller,
+        saleType: 'auction'
+      });
+
+      const now = Date.now();
+      nft.market = {
+        ...nft.market,
+        isForSale: true,
+        saleType: 'auction',
+        auctionStatus: 'active',
+        price: startingPrice.toString(),
+        startingPrice: startingPrice.toString(),
+        reservePrice: reservePrice.toString(),
+        minIncrement: minIncrement.toString(),
+        currency,
+        highestBid: '0',
+        highestBidder: null,
+        bidders: [],
+        auctionStartTime: new Date(now).toISOString(),
+        auctionEndTime: new Date(now + duration * 1000).toISOString(),
+        auctionExtensions: 0,
+        listedAt: new Date(now).toISOString(),
+        listingId: listResult.listingId
+      };
+
+      await nft.save();
+      await Database.sadd(ACTIVE_AUCTIONS_KEY, nft.id);
+
+      const state = this.getAuctionState(nft);
+      websocketService.sendMarketUpdate({ event: 'auction_started', ...state });
+      logger.info(`🔨 Auction started for NFT ${nft.id}, ends ${state.endTime}`);
+
+      return state;
+    });
+  }
+
+  /**
+   * Place a bid; outbid reservations are released and late bids extend the auction
+   */
+  async placeBid(nftId, { bidder, userId = null, amount }) {
+    return marketplaceService.withLock(nftId, async () => {
+      const nft = await this.loadNFT(nftId);
+      const market = nft.market;
+
+      if (!this.isAuctionActive(nft)) {
+        throw createMarketError('VALIDATION_ERROR', 'AUCTION_NOT_ACTIVE', 'NFT is not on auction');
+      }
+
+      const now = Date.now();
+      const endTime = new Date(market.auctionEndTime).getTime();
+      if (now >= endTime) {
+        throw createMarketError('VALIDATION_ERROR', 'AUCTION_ENDED', 'Auction has ended');
+      }
+      if (bidder === nft.owner) {
+        throw createMarketError('VALIDATION_ERROR', 'SELLER_BID', 'You cannot bid on your own NFT');
+      }
+
+      const minimumBid = this.getMinimumBid(nft);
+      if (toUnits(amount) < toUnits(minimumBid)) {
+        throw createMarketError('VALIDATION_ERROR', 'BID_TOO_LOW', `Bid must be at least ${minimumBid} ${market.currency || 'FLOW'}`);
+      }
+
+      const flowService = await getFlowService();
+      const accountInfo = await flowService.getAccountBalance(bidder);
+      if (toUnits(accountInfo.balance) < toUnits(amount)) {
+        throw createMarketError('VALIDATION_ERROR', 'INSUFFICIENT_BALANCE', 'Insufficient balance to place this bid');
+      }
+
+      // Release the reservation held for the previous highest bid
+      const outbid = (market.bidders || []).find(bid => bid.status === 'active');
+      if (outbid) {
+        outbid.status = 'released';
+        outbid.releasedAt = new Date(now).toISOString();
+      }
+
+      const bid = {
+        bidder,
+        userId,
+        amount: amount.toString(),
+        status: 'active',
+        placedAt: new Date(now).toISOString()
+      };
+      market.bidders = [...(market.bidders || []), bid];
+      market.highestBid = bid.amount;
+      market.highestBidder = bidder;
+
+      // Anti-sniping: late bids push the end time out
+      let extended = false;
+      if (endTime - now <= this.extensionWindow * 1000) {
+        market.auctionEndTime = new Date(Math.max(endTime, now + this.extensionSeconds * 1000)).toISOString();
+        market.auctionExtensions = (market.auctionExtensions || 0) + 1;
+        extended = true;
+      }
+
+      await nft.save();
+
+      const state = this.getAuctionState(nft);
+      websocketService.sendMarketUpdate({ event: 'auction_bid', extended, ...state });
+
+      if (outbid && outbid.userId && outbid.bidder !== bidder) {
+        websocketService.sendToUser(outbid.userId, {
+          type: 'auction_outbid',
+          data: { nftId: nft.id, title: nft.title, amount: outbid.amount, highestBid: bid.amount },
+          message: `You have been outbid on "${nft.title}"`
+        });
+      }
+
+      logger.info(`🔨 Bid of ${bid.amount} placed on NFT ${nft.id} by ${bidder}${extended ? ' (extended)' : ''}`);
+      return { bid, extended, auction: state };
+    });
+  }
+
+  /**
+   * Withdraw the listing startAuction put on chain
+   */
+  async removeListing(nft) {
+    const flowService = await getFlowService();
+    return flowService.removeNFTFromSale({
+      tokenId: nft.blockchain.tokenId,
+      owner: nft.owner
+    });
+  }
+
+  /**
+   * Settle an ended auction; the winner goes through the regular transfer path
+   */
+  async settleAuction(nftId) {
+    return marketplaceService.withLock(nftId, async () => {
+      const nft = await this.loadNFT(nftId);
+      const market = nft.market;
+
+      if (!this.isAuctionActive(nft)) {
+        await Database.srem(ACTIVE_AUCTIONS_KEY, nft.id);
+        return this.getAuctionState(nft);
+      }
+
+      if (Date.now() < new Date(market.auctionEndTime).getTime()) {
+        throw createMarketError('VALIDATION_ERROR', 'AUCTION_NOT_ENDED', 'Auction has not ended yet');
+      }
+
+      const winningBid = (market.bidders || []).find(bid => bid.status === 'active');
+      const reserveMet = winningBid && toUnits(winningBid.amount) >= toUnits(market.reservePrice);
+      let sale = null;
+
+      if (reserveMet) {
+        sale = await marketplaceService.transferOwnership(nft, {
+          buyer: winningBid.bidder,
+          price: winningBid.amount,
+          currency: market.currency,
+          saleType: 'auction'
+        });
+        winningBid.status = 'won';
+        market.auctionStatus = 'settled';
+      } else {
+        // Withdraw the on-chain listing first; a failure leaves the auction active for retry
+        await this.removeListing(nft);
+        if (winningBid) {
+          winningBid.status = 'released';
+          winningBid.releasedAt = new Date().toISOString();
+        }
+        market.isForSale = false;
+        market.listedAt = null;
+        market.auctionStatus = 'ended';
+      }
+
+      market.settledAt = new Date().toISOString();
+      await nft.save();
+      await Database.srem(ACTIVE_AUCTIONS_KEY, nft.id);
+
+      const state = this.getAuctionState(nft);
+      websocketService.sendMarketUpdate({
+        event: 'auction_settled',
+        sold: Boolean(sale),
+        transactionHash: sale ? sale.transactionHash : null,
+        ...state
+      });
+
+      logger.info(`🔨 Auction for NFT ${nft.id} ${sale ? `settled to ${sale.newOwner}` : 'ended without sale'}`);
+      return { ...state, sale };
+    });
+  }
+
+  /**
+   * Cancel an auction that has not received any bids
+   */
+  async cancelAuction(nftId, seller) {
+    return marketplaceService.withLock(nftId, async () => {
+      const nft = await this.loadNFT(nftId);
+
+      if (nft.owner !== seller) {
+        throw createMarketError('PERMISSION_ERROR', 'NOT_OWNER', 'You do not own this NFT');
+      }
+      if (!this.isAuctionActive(nft)) {
+        throw createMarketError('VALIDATION_ERROR', 'AUCTION_NOT_ACTIVE', 'NFT is not on auction');
+      }
+      if ((nft.market.bidders || []).length > 0) {
+        throw createMarketError('VALIDATION_ERROR', 'AUCTION_HAS_BIDS', 'Auctions with bids cannot be cancelled');
+      }
+
+      await this.removeListing(nft);
+      nft.market.isForSale = false;
+      nft.market.listedAt = null;
+      nft.market.auctionStatus = 'cancelled';
+      await nft.save();
+      await Database.srem(ACTIVE_AUCTIONS_KEY, nft.id);
+
+      const state = this.getAuctionState(nft);
+      websocketService.sendMarketUpdate({ event: 'auction_cancelled', ...state });
+      return state;
+    });
+  }
+
+  /**
+   * Settle every active auction whose end time has passed
+   */
+  async settleEndedAuctions() {
+    const nftIds = await Database.smembers(ACTIVE_AUCTIONS_KEY);
+    const results = [];
+
+    for (const nftId of nftIds) {
+      try {
+        const nft = await MusicNFT.findById(nftId);
+        if (!nft || !this.isAuctionActive(nft)) {
+          await Database.srem(ACTIVE_AUCTIONS_KEY, nftId);
+          continue;
+        }
+        if (Date.now() < new Date(nft.market.auctionEndTime).getTime()) {
+          continue;
+        }
+        results.push(await this.settleAuction(nftId));
+      } catch (error) {
+        // Leave the auction in the active set so the next sweep retries it
+        logger.error(`Auction settlement failed for NFT ${nftId}:`, error);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Periodically settle ended auctions and repost sale royalties that failed
+   */
+  startSettlementLoop() {
+    if (this.settlementTimer) return;
+
+    this.settlementTimer = setInterval(() => {
+      this.settleEndedAuctions()
+        .then(() => marketplaceService.retrySaleRoyalties())
+        .catch(error => {
+          logger.error('Auction settlement sweep failed:', error);
+        });
+    }, this.settlementInterval * 1000);
+    this.settlementTimer.unref();
+
+    logger.info(`Auction settlement loop started (every ${this.settlementInterval}s)`);
+  }
+
+  /**
+   * Stop the settlement loop
+   */
+  stopSettlementLoop() {
+    if (this.settlementTimer) {
+      clearInterval(this.settlementTimer);
+      this.settlementTimer = null;
+    }
+  }
+}
+
+export default new AuctionService();
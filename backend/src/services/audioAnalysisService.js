@@ -0,0 +1,300 @@
+/**
+ * Audio Analysis Service
+ * Probes container metadata with ffprobe and decodes audio through ffmpeg
+ * into the streaming feature extractor (waveform, loudness, tempo, key)
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import { v4 as uuidv4 } from 'uuid';
+import MusicNFT from '../models/MusicNFT.js';
+import AudioStreamingService from './audioStreamingService.js';
+import { AudioFeatureExtractor } from '../utils/audioFeatures.js';
+import logger from '../utils/logger.js';
+import { isLocalUploadUrl, resolveLocalUpload } from '../utils/localUploads.js';
+
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+const ANALYSIS_SAMPLE_RATE = 44100;
+const BYTES_PER_SAMPLE = 4;
+const MAX_WAVEFORM_POINTS = 10000;
+
+/**
+ * Analysis error carrying an errorHandler-compatible type
+ */
+export const createAnalysisError = (type, code, message) => {
+  const error = new Error(message);
+  error.type = type;
+  error.code = code;
+  return error;
+};
+
+class AudioAnalysisService {
+  constructor() {
+    this.audioService = new AudioStreamingService();
+    this.waveformPoints = parseInt(process.env.AUDIO_WAVEFORM_POINTS) || 800;
+    this.maxDownloadBytes = parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024;
+    this.queue = Promise.resolve();
+    this.pending = new Map();
+  }
+
+  /**
+   * Clamp a requested waveform resolution
+   */
+  resolveWaveformPoints(resolution) {
+    const points = parseInt(resolution) || this.waveformPoints;
+    return Math.min(MAX_WAVEFORM_POINTS, Math.max(1, points));
+  }
+
+  /**
+   * Read container and stream metadata
+   */
+  probe(filePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (err, metadata) => {
+        if (err) {
+          reject(createAnalysisError('VALIDATION_ERROR', 'INVALID_AUDIO', `Unreadable audio file: ${err.message}`));
+          return;
+        }
+
+        const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
+        if (!audioStream) {
+          reject(createAnalysisError('VALIDATION_ERROR', 'INVALID_AUDIO', 'File contains no audio stream'));
+          return;
+        }
+
+        resolve({
+          format: metadata.format.format_name ? metadata.format.format_name.split(',')[0] : null,
+          codec: audioStream.codec_name || null,
+          duration: parseFloat(audioStream.duration) || parseFloat(metadata.format.duration) || 0,
+          bitrate: Math.round((parseInt(metadata.format.bit_rate) || parseInt(audioStream.bit_rate) || 0) / 1000),
+          sampleRate: parseInt(audioStream.sample_rate) || 0,
+          channels: parseInt(audioStream.channels) || 0,
+          tags: metadata.format.tags || {}
+        });
+      });
+    });
+  }
+
+  /**
+   * Decode to interleaved 32-bit float PCM, feeding whole frames to onSamples
+   */
+  decode(filePath, { channels, sampleRate = ANALYSIS_SAMPLE_RATE }, onSamples) {
+    return new Promise((resolve, reject) => {
+      const frameBytes = BYTES_PER_SAMPLE * channels;
+      let remainder = Buffer.alloc(0);
+
+      // Settle only once both ffmpeg has exited cleanly and the output has drained
+      let pendingEvents = 2;
+      const settle = () => {
+        if (--pendingEvents === 0) resolve();
+      };
+
+      const command = ffmpeg(filePath)
+        .noVideo()
+        .audioChannels(channels)
+        .audioFrequency(sampleRate)
+        .format('f32le')
+        .on('end', settle)
+        .on('error', (err) => reject(createAnalysisError('VALIDATION_ERROR', 'DECODE_FAILED', `Audio decoding failed: ${err.message}`)));
+
+      const output = command.pipe();
+      output.on('data', (chunk) => {
+        const data = remainder.length > 0 ? Buffer.concat([remainder, chunk]) : chunk;
+        const usable = data.length - (data.length % frameBytes);
+        remainder = data.subarray(usable);
+        if (usable === 0) return;
+
+        // Copy into an aligned buffer; chunk offsets are not guaranteed to be 4-byte aligned
+        const samples = new Float32Array(usable / BYTES_PER_SAMPLE);
+        Buffer.from(samples.buffer).set(data.subarray(0, usable));
+        onSamples(samples);
+      });
+      output.on('end', settle);
+      output.on('error', reject);
+    });
+  }
+
+  /**
+   * Full analysis of a local audio file
+   */
+  async analyzeFile(filePath, { resolution } = {}) {
+    const startedAt = Date.now();
+    const [metadata, stat] = await Promise.all([this.probe(filePath), fsp.stat(filePath)]);
+
+    // Loudness is defined on the channel sum, so keep up to stereo rather than downmixing
+    const channels = Math.min(2, Math.max(1, metadata.channels));
+    const extractor = new AudioFeatureExtractor({
+      sampleRate: ANALYSIS_SAMPLE_RATE,
+      channels,
+      waveformPoints: this.resolveWaveformPoints(resolution)
+    });
+
+    await this.decode(filePath, { channels }, samples => extractor.push(samples));
+    const features = extractor.finish();
+
+    return {
+      duration: features.duration || metadata.duration,
+      format: metadata.format,
+      codec: metadata.codec,
+      sampleRate: metadata.sampleRate,
+      channels: metadata.channels,
+      bitrate: metadata.bitrate,
+      size: stat.size,
+      tags: metadata.tags,
+      waveform: features.waveform,
+      loudness: features.loudness,
+      tempo: features.tempo,
+      key: features.key,
+      analyzedAt: new Date().toISOString(),
+      processingTime: Date.now() - startedAt
+    };
+  }
+
+  /**
+   * Analyze an in-memory buffer through a temporary file
+   */
+  async analyzeBuffer(audioBuffer, options = {}) {
+    if (!Buffer.isBuffer(audioBuffer) || audioBuffer.length === 0) {
+      throw createAnalysisError('VALIDATION_ERROR', 'INVALID_AUDIO', 'Audio data is empty');
+    }
+
+    const tempPath = path.join(os.tmpdir(), `flowtune-analysis-${uuidv4()}`);
+    await fsp.writeFile(tempPath, audioBuffer);
+    try {
+      return await this.analyzeFile(tempPath, options);
+    } finally {
+      await fsp.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Download and analyze a remote audio file (e.g. an AI generation result)
+   */
+  async analyzeUrl(url, options = {}) {
+    // Offline generations are served from uploads/ and analyzed in place
+    if (isLocalUploadUrl(url)) {
+      let filePath;
+      try {
+        filePath = resolveLocalUpload(url);
+      } catch (error) {
+        throw createAnalysisError('VALIDATION_ERROR', 'AUDIO_FETCH_FAILED', `Failed to fetch audio: ${error.message}`);
+      }
+      return this.analyzeFile(filePath, options);
+    }
+
+    const tempPath = path.join(os.tmpdir(), `flowtune-analysis-${uuidv4()}`);
+
+    try {
+      const response = await axios.get(url, { responseType: 'stream', timeout: 60000 });
+      await new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(tempPath);
+        let received = 0;
+        response.data.on('data', (chunk) => {
+          received += chunk.length;
+          if (received > this.maxDownloadBytes) {
+            response.data.destroy(new Error('Audio file exceeds the maximum size'));
+          }
+        });
+        response.data.on('error', reject);
+        output.on('error', reject);
+        output.on('finish', resolve);
+        response.data.pipe(output);
+      });
+    } catch (error) {
+      await fsp.unlink(tempPath).catch(() => {});
+      throw createAnalysisError('VALIDATION_ERROR', 'AUDIO_FETCH_FAILED', `Failed to fetch audio: ${error.message}`);
+    }
+
+    try {
+      return await this.analyzeFile(tempPath, options);
+    } finally {
+      await fsp.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Analyze a track's audio and store the results in MusicNFT.music
+   */
+  async analyzeTrack(trackId, options = {}) {
+    const file = await this.audioService.resolveAudioFile(trackId);
+    const analysis = await this.analyzeFile(file.path, options);
+
+    const nft = await MusicNFT.findById(trackId);
+    if (!nft) {
+      throw createAnalysisError('NOT_FOUND', 'TRACK_NOT_FOUND', 'Track not found');
+    }
+
+    nft.music = {
+      ...nft.music,
+      duration: analysis.duration,
+      bpm: analysis.tempo ? Math.round(analysis.tempo.bpm) : nft.music.bpm,
+      key: analysis.key ? analysis.key.name : nft.music.key,
+      sampleRate: analysis.sampleRate,
+      channels: analysis.channels,
+      bitrate: analysis.bitrate,
+      loudness: analysis.loudness,
+      tempo: analysis.tempo,
+      tonality: analysis.key,
+      waveform: analysis.waveform,
+      analyzedAt: analysis.analyzedAt
+    };
+    await nft.save();
+
+    logger.info(`Audio analysis stored for track ${trackId}`);
+    return analysis;
+  }
+
+  /**
+   * Owners, creators and admins may analyze a stored track, since the
+   * results overwrite its music metadata
+   */
+  canAnalyze(nft, user) {
+    if (user?.role === 'admin') return true;
+    return [user?.id, user?.flowWallet?.address, user?.address]
+      .filter(Boolean)
+      .some(id => id === nft.owner || id === nft.creator);
+  }
+
+  /**
+   * Queue analysis of a stored track on behalf of a user
+   */
+  async requestTrackAnalysis(trackId, user, options = {}) {
+    const nft = await MusicNFT.findById(trackId);
+    if (!nft) {
+      throw createAnalysisError('NOT_FOUND', 'TRACK_NOT_FOUND', 'Track not found');
+    }
+    if (!this.canAnalyze(nft, user)) {
+      throw createAnalysisError('PERMISSION_ERROR', 'ANALYSIS_FORBIDDEN', 'Only the owner or creator can analyze this track');
+    }
+    return this.queueAnalysis(trackId, options);
+  }
+
+  /**
+   * Queue analysis of a track (one decode at a time); repeated requests share the pending job
+   */
+  queueAnalysis(trackId, options = {}) {
+    if (this.pending.has(trackId)) {
+      return this.pending.get(trackId);
+    }
+
+    const job = this.queue
+      .then(() => this.analyzeTrack(trackId, options))
+      .catch((error) => {
+        logger.error(`Audio analysis failed for track ${trackId}:`, error.message);
+        throw error;
+      })
+      .finally(() => this.pending.delete(trackId));
+
+    this.queue = job.catch(() => {});
+    this.pending.set(trackId, job);
+    return job;
+  }
+}
+
+export default new AudioAnalysisService();
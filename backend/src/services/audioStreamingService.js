@@ -3,37 +3,87 @@
  * 处理高级音频预览、播放计次统计和分润机制
  */
 
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
 import database from '../config/database.js';
+import MusicNFT from '../models/MusicNFT.js';
+import Playlist from '../models/Playlist.js';
+import playFraudService from './playFraudService.js';
+import royaltyLedgerService, { artistAccount, isEarningEntry } from './royaltyLedgerService.js';
+import royaltySplitService from './royaltySplitService.js';
+import { formatAmount } from '../utils/fixedPoint.js';
 import logger from '../utils/logger.js';
 
+// 质量等级顺序，用于校验请求的音质不超过会话等级
+const QUALITY_TIERS = ['free', 'premium', 'hifi'];
+
+const AUDIO_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  mpeg: 'audio/mpeg',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  aac: 'audio/aac',
+  m4a: 'audio/mp4'
+};
+
+/**
+ * 构造带错误类型的流媒体错误（errorHandler 可识别）
+ */
+export const createStreamError = (type, code, message) => {
+  const error = new Error(message);
+  error.type = type;
+  error.code = code;
+  return error;
+};
+
 class AudioStreamingService {
   constructor() {
     this.db = database;
     this.playCountThreshold = 30; // 30秒播放计为一次有效播放
-    this.royaltyRates = {
-      artist: 0.7,      // 艺术家70%
-      platform: 0.2,    // 平台20%
-      curator: 0.1       // 策展人10%
-    };
+    this.sessionTTL = 3600;
+    this.uploadsDir = path.join(process.cwd(), 'uploads');
+    this.cacheDir = path.join(this.uploadsDir, 'ipfs-cache');
+    this.ipfsGateway = process.env.IPFS_GATEWAY_URL || `https://${process.env.PINATA_GATEWAY || 'gateway.pinata.cloud'}/ipfs/`;
+    // 远程音频只从 IPFS 网关和允许的主机下载，并限制大小
+    this.allowedAudioHosts = new Set([
+      new URL(this.ipfsGateway).hostname,
+      ...(process.env.AUDIO_FETCH_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+    ]);
+    this.maxDownloadBytes = parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024;
+    this.pendingDownloads = new Map();
   }
 
   /**
    * 记录播放开始
+   * playlistId 为播放来源的歌单，其创建者作为策展人参与分润
+   * ipAddress、userAgent 供反作弊评分使用
    */
-  async startPlayback(userId, trackId, sessionId) {
+  async startPlayback(userId, trackId, sessionId, tier = 'free', { playlistId = null, ipAddress = null, userAgent = null } = {}) {
     try {
+      const startTime = Date.now();
       const playSession = {
         userId,
         trackId,
         sessionId,
-        startTime: Date.now(),
+        playlistId,
+        tier: QUALITY_TIERS.includes(tier) ? tier : 'free',
+        startTime,
         duration: 0,
+        // 实际收听时长（拖动进度不计入）及上次上报的位置和时间
+        listened: 0,
+        lastPosition: 0,
+        lastReportAt: startTime,
         isValid: false,
-        ipAddress: null,
-        userAgent: null
+        ipAddress,
+        userAgent
       };
 
-      await this.db.set(`play_session:${sessionId}`, JSON.stringify(playSession), 3600);
+      await this.db.set(`play_session:${sessionId}`, JSON.stringify(playSession), this.sessionTTL);
       
       logger.info(`Playback started for track ${trackId} by user ${userId}`);
       return { success: true, sessionId };
@@ -54,16 +104,27 @@ class AudioStreamingService {
       }
 
       const session = JSON.parse(sessionData);
+      const now = Date.now();
       session.duration = currentTime;
       session.totalDuration = totalDuration;
+      const listened = playFraudService.trackProgress(session, currentTime, now);
       
-      // 检查是否达到有效播放阈值
-      if (currentTime >= this.playCountThreshold && !session.isValid) {
-        session.isValid = true;
-        await this.recordValidPlay(session);
+      // 实际收听达到有效播放阈值时，计数前先做反作弊评分，可疑播放进入审核队列
+      if (listened >= this.playCountThreshold && !session.isValid && !session.fraudCheck) {
+        const trackInfo = await this.getTrackInfo(session.trackId);
+        const artistId = trackInfo?.artistId || null;
+        const assessment = await playFraudService.assessPlay(session, { artistId, now });
+
+        if (assessment.decision === 'allow') {
+          session.isValid = true;
+          await this.recordValidPlay(session);
+        } else {
+          const review = await playFraudService.holdPlay(session, assessment, { artistId });
+          session.fraudCheck = { decision: assessment.decision, score: assessment.score, reviewId: review.id };
+        }
       }
 
-      await this.db.set(`play_session:${sessionId}`, JSON.stringify(session), 3600);
+      await this.db.set(`play_session:${sessionId}`, JSON.stringify(session), this.sessionTTL);
       
       return { success: true, isValid: session.isValid };
     } catch (error) {
@@ -137,11 +198,12 @@ class AudioStreamingService {
   }
 
   /**
-   * 处理分润
+   * 处理分润：在版税账本中记一笔从收益池到艺术家、平台和策展人的复式分录
+   * 艺术家份额按音轨的版税拆分分配给各权利人
    */
   async processRoyalties(session) {
     try {
-      const { trackId } = session;
+      const { trackId, sessionId, userId } = session;
       
       // 获取音轨信息
       const trackInfo = await this.getTrackInfo(trackId);
@@ -150,19 +212,17 @@ class AudioStreamingService {
         return;
       }
 
-      const baseRevenue = 0.001; // 每次播放基础收益（示例值）
-      
-      // 计算分润
-      const royalties = {
-        artist: baseRevenue * this.royaltyRates.artist,
-        platform: baseRevenue * this.royaltyRates.platform,
-        curator: baseRevenue * this.royaltyRates.curator
-      };
-
-      // 记录分润
-      await this.recordRoyalties(trackId, trackInfo.artistId, royalties);
+      const curatorId = await this.getCuratorId(session);
+      const transaction = await royaltyLedgerService.recordStreamPlay({
+        sessionId,
+        trackId,
+        artistId: trackInfo.artistId,
+        artistShares: trackInfo.split.shares,
+        curatorId,
+        listenerId: userId
+      });
       
-      logger.info(`Royalties processed for track ${trackId}:`, royalties);
+      logger.info(`Royalties processed for track ${trackId}: ${transaction.id}`);
     } catch (error) {
       logger.error('Error processing royalties:', error);
       throw error;
@@ -170,35 +230,35 @@ class AudioStreamingService {
   }
 
   /**
-   * 记录分润信息
+   * 审核被拦截的播放：通过则补记有效播放并分润，驳回则不计
+   * 待审核的播放可通过或驳回，已作废的播放仍可通过
    */
-  async recordRoyalties(trackId, artistId, royalties) {
+  async reviewFlaggedPlay(reviewId, reviewer, { action, note = '' } = {}) {
     try {
-      const today = new Date().toISOString().split('T')[0];
-      
-      // 累计艺术家收益
-      await this.db.incr(`artist_earnings:${artistId}`, royalties.artist);
-      await this.db.incr(`artist_earnings:${artistId}:${today}`, royalties.artist);
-      
-      // 累计平台收益
-      await this.db.incr(`platform_earnings:${today}`, royalties.platform);
-      
-      // 记录详细分润记录
-      const royaltyRecord = {
-        trackId,
-        artistId,
-        timestamp: Date.now(),
-        date: today,
-        royalties
-      };
-      
-      await this.db.sadd(`royalty_records:${artistId}`, JSON.stringify(royaltyRecord));
+      const review = await playFraudService.getReviewForAction(reviewId, action);
+
+      if (action === 'approve') {
+        await this.recordValidPlay(review.session);
+        await this.processRoyalties(review.session);
+      }
+
+      return playFraudService.closeReview(review, action, { reviewedBy: reviewer, note });
     } catch (error) {
-      logger.error('Error recording royalties:', error);
+      logger.error('Error reviewing flagged play:', error);
       throw error;
     }
   }
 
+  /**
+   * 播放来源歌单的策展人；听众播放自己的歌单不计策展分润
+   */
+  async getCuratorId({ playlistId, userId }) {
+    if (!playlistId) return null;
+    const playlist = await Playlist.findById(playlistId);
+    if (!playlist || !playlist.owner || playlist.owner === userId) return null;
+    return playlist.owner;
+  }
+
   /**
    * 获取音轨播放统计
    */
@@ -242,23 +302,28 @@ class AudioStreamingService {
   }
 
   /**
-   * 获取艺术家收益统计
+   * 获取艺术家收益统计（来自版税账本）
    */
   async getArtistEarnings(artistId) {
     try {
-      const totalEarnings = await this.db.get(`artist_earnings:${artistId}`) || 0;
       const today = new Date().toISOString().split('T')[0];
-      const todayEarnings = await this.db.get(`artist_earnings:${artistId}:${today}`) || 0;
+      const summary = await royaltyLedgerService.summarizeAccount(artistAccount(artistId));
       
-      const royaltyRecords = await this.db.smembers(`royalty_records:${artistId}`);
-      const recentRecords = royaltyRecords
-        .map(data => JSON.parse(data))
-        .sort((a, b) => b.timestamp - a.timestamp)
-        .slice(0, 10);
+      const recentRecords = summary.entries
+        .filter(isEarningEntry)
+        .slice(0, 10)
+        .map(entry => ({
+          transactionId: entry.transactionId,
+          trackId: entry.trackId,
+          type: entry.type,
+          amount: formatAmount(entry.amount),
+          postedAt: entry.postedAt
+        }));
       
       return {
-        totalEarnings: parseFloat(totalEarnings),
-        todayEarnings: parseFloat(todayEarnings),
+        totalEarnings: formatAmount(summary.earned),
+        todayEarnings: formatAmount(summary.daily[today] || 0),
+        balance: formatAmount(summary.balance),
         recentRecords
       };
     } catch (error) {
@@ -268,19 +333,19 @@ class AudioStreamingService {
   }
 
   /**
-   * 获取音轨信息（模拟）
+   * 获取音轨信息：艺术家为 NFT 的创建者，split 为其版税拆分
    */
   async getTrackInfo(trackId) {
     try {
-      // 在实际应用中，这里会从数据库获取音轨信息
-      // 这里使用模拟数据
-      const mockTracks = {
-        'track_1': { artistId: 'artist_1', title: 'Sample Track 1', genre: 'Electronic' },
-        'track_2': { artistId: 'artist_2', title: 'Sample Track 2', genre: 'Hip Hop' },
-        'track_3': { artistId: 'artist_1', title: 'Sample Track 3', genre: 'Jazz' }
-      };
+      const nft = await MusicNFT.findById(trackId);
+      if (!nft) return null;
       
-      return mockTracks[trackId] || null;
+      return {
+        artistId: nft.creator,
+        title: nft.title,
+        genre: nft.music?.genre || '',
+        split: royaltySplitService.resolveSplit(nft)
+      };
     } catch (error) {
       logger.error('Error getting track info:', error);
       throw error;
@@ -295,17 +360,20 @@ class AudioStreamingService {
       free: {
         bitrate: 128,
         format: 'mp3',
-        maxDuration: 30 // 免费用户只能听30秒预览
+        maxDuration: 30, // 免费用户只能听30秒预览
+        renditions: ['aac_64', 'aac_128']
       },
       premium: {
         bitrate: 320,
         format: 'mp3',
-        maxDuration: null // 无限制
+        maxDuration: null, // 无限制
+        renditions: ['aac_64', 'aac_128', 'aac_256', 'aac_320']
       },
       hifi: {
         bitrate: 1411,
         format: 'flac',
-        maxDuration: null
+        maxDuration: null,
+        renditions: ['aac_64', 'aac_128', 'aac_256', 'aac_320']
       }
     };
     
@@ -313,18 +381,221 @@ class AudioStreamingService {
   }
 
   /**
-   * 生成流媒体URL
+   * 生成流媒体URL（渐进式下载与 HLS 主播放列表）
+   * <audio> 元素无法携带 Authorization 头，因此URL中附带与会话绑定的短期签名令牌
    */
-  generateStreamUrl(trackId, userId, quality = 'free') {
+  generateStreamUrl(trackId, userId, quality = 'free', sessionId = `${userId}_${trackId}_${Date.now()}`) {
     const config = this.getStreamingQuality(quality);
-    const sessionId = `${userId}_${trackId}_${Date.now()}`;
-    
+    const token = this.createStreamToken(sessionId, userId, trackId);
+    const params = new URLSearchParams({ quality, session: sessionId, token });
+
+    const hlsParams = new URLSearchParams({ session: sessionId, token });
+
     return {
-      streamUrl: `/api/audio/stream/${trackId}?quality=${quality}&session=${sessionId}`,
+      streamUrl: `/api/audio/stream/${trackId}?${params.toString()}`,
+      hlsUrl: `/api/audio/hls/${trackId}/master.m3u8?${hlsParams.toString()}`,
       sessionId,
       config
     };
   }
+
+  /**
+   * 签发流媒体令牌
+   */
+  createStreamToken(sessionId, userId, trackId) {
+    return jwt.sign(
+      { sid: sessionId, uid: userId, tid: trackId, purpose: 'audio_stream' },
+      process.env.JWT_SECRET || 'your-secret-key',
+      { expiresIn: this.sessionTTL }
+    );
+  }
+
+  /**
+   * 校验流请求：会话存在、属于调用者、音轨一致、请求音质不超过会话等级
+   * 调用者身份来自 Bearer 令牌（userId）或 URL 中的流媒体令牌
+   */
+  async authorizeStream({ trackId, sessionId, token, userId = null, quality = 'free' }) {
+    if (!sessionId) {
+      throw createStreamError('VALIDATION_ERROR', 'SESSION_REQUIRED', 'Session ID is required');
+    }
+
+    const sessionData = await this.db.get(`play_session:${sessionId}`);
+    if (!sessionData) {
+      throw createStreamError('NOT_FOUND', 'SESSION_NOT_FOUND', 'Play session not found or expired');
+    }
+    const session = JSON.parse(sessionData);
+
+    let callerId = userId;
+    if (!callerId && token) {
+      try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+        if (decoded.purpose === 'audio_stream' && decoded.sid === sessionId && decoded.tid === trackId) {
+          callerId = decoded.uid;
+        }
+      } catch (error) {
+        throw createStreamError('AUTH_ERROR', 'INVALID_STREAM_TOKEN', 'Invalid or expired stream token');
+      }
+    }
+
+    if (!callerId) {
+      throw createStreamError('AUTH_ERROR', 'STREAM_AUTH_REQUIRED', 'Stream token or access token required');
+    }
+    if (session.userId !== callerId) {
+      throw createStreamError('PERMISSION_ERROR', 'SESSION_FORBIDDEN', 'Play session belongs to another user');
+    }
+    if (session.trackId !== trackId) {
+      throw createStreamError('PERMISSION_ERROR', 'SESSION_TRACK_MISMATCH', 'Play session is for a different track');
+    }
+
+    const sessionTier = session.tier || 'free';
+    if (!QUALITY_TIERS.includes(quality)) {
+      throw createStreamError('VALIDATION_ERROR', 'INVALID_QUALITY', `Unknown quality tier: ${quality}`);
+    }
+    if (QUALITY_TIERS.indexOf(quality) > QUALITY_TIERS.indexOf(sessionTier)) {
+      throw createStreamError('PERMISSION_ERROR', 'QUALITY_NOT_ALLOWED', `Quality ${quality} requires a ${quality} subscription`);
+    }
+
+    return { session, config: this.getStreamingQuality(quality) };
+  }
+
+  /**
+   * 解析音轨音频文件：本地上传文件或 IPFS 缓存副本
+   */
+  async resolveAudioFile(trackId) {
+    const nft = await MusicNFT.findById(trackId);
+    if (!nft || !nft.isActive) {
+      throw createStreamError('NOT_FOUND', 'TRACK_NOT_FOUND', 'Track not found');
+    }
+
+    const audio = nft.files?.audio || {};
+    let filePath = null;
+
+    if (audio.url && audio.url.startsWith('/uploads/')) {
+      filePath = path.resolve(this.uploadsDir, `.${audio.url.slice('/uploads'.length)}`);
+      if (!filePath.startsWith(this.uploadsDir + path.sep)) {
+        throw createStreamError('VALIDATION_ERROR', 'INVALID_AUDIO_PATH', 'Invalid audio path');
+      }
+    } else if (audio.ipfsHash) {
+      filePath = await this.getCachedFile(audio.ipfsHash, `${this.ipfsGateway}${audio.ipfsHash}`);
+    } else if (audio.url && /^https?:\/\//.test(audio.url)) {
+      const cacheKey = crypto.createHash('sha256').update(audio.url).digest('hex');
+      filePath = await this.getCachedFile(cacheKey, audio.url);
+    }
+
+    if (!filePath) {
+      throw createStreamError('NOT_FOUND', 'AUDIO_NOT_FOUND', 'Track has no audio file');
+    }
+
+    let stat;
+    try {
+      stat = await fsp.stat(filePath);
+    } catch (error) {
+      throw createStreamError('NOT_FOUND', 'AUDIO_NOT_FOUND', 'Audio file not found');
+    }
+    if (stat.size === 0) {
+      throw createStreamError('NOT_FOUND', 'AUDIO_NOT_FOUND', 'Audio file is empty');
+    }
+
+    const format = (audio.format || path.extname(filePath).slice(1) || 'mp3').toLowerCase();
+    return {
+      path: filePath,
+      size: stat.size,
+      format,
+      mimeType: AUDIO_MIME_TYPES[format] || 'application/octet-stream',
+      duration: nft.music?.duration || 0
+    };
+  }
+
+  /**
+   * 返回缓存文件路径，未缓存时从网关下载（同一文件并发请求只下载一次）
+   */
+  async getCachedFile(cacheKey, url) {
+    const safeKey = cacheKey.replace(/[^a-zA-Z0-9]/g, '');
+    const cachePath = path.join(this.cacheDir, safeKey);
+
+    try {
+      await fsp.access(cachePath);
+      return cachePath;
+    } catch {
+      // 未缓存，继续下载
+    }
+
+    if (!this.pendingDownloads.has(cachePath)) {
+      const download = this.downloadToCache(url, cachePath)
+        .finally(() => this.pendingDownloads.delete(cachePath));
+      this.pendingDownloads.set(cachePath, download);
+    }
+
+    return this.pendingDownloads.get(cachePath);
+  }
+
+  /**
+   * 远程音频地址是否可下载：http(s) 且主机在允许列表内
+   */
+  isAllowedAudioUrl(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      return ['http:', 'https:'].includes(protocol) && this.allowedAudioHosts.has(hostname.toLowerCase());
+    } catch {
+      return false;
+    }
+  }
+
+  async downloadToCache(url, cachePath) {
+    if (!this.isAllowedAudioUrl(url)) {
+      throw createStreamError('VALIDATION_ERROR', 'AUDIO_HOST_NOT_ALLOWED', 'Audio URL host is not allowed');
+    }
+
+    await fsp.mkdir(this.cacheDir, { recursive: true });
+    const tempPath = `${cachePath}.${process.pid}.download`;
+
+    try {
+      const response = await axios.get(url, {
+        responseType: 'stream',
+        timeout: 60000,
+        // 重定向同样只能指向允许的主机
+        beforeRedirect: (options) => {
+          if (!this.allowedAudioHosts.has(String(options.hostname).toLowerCase())) {
+            throw new Error(`Redirect to ${options.hostname} is not allowed`);
+          }
+        }
+      });
+      await new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(tempPath);
+        let received = 0;
+        response.data.on('data', (chunk) => {
+          received += chunk.length;
+          if (received > this.maxDownloadBytes) {
+            response.data.destroy(new Error('Audio file exceeds the maximum size'));
+          }
+        });
+        response.data.on('error', reject);
+        output.on('error', reject);
+        output.on('finish', resolve);
+        response.data.pipe(output);
+      });
+      await fsp.rename(tempPath, cachePath);
+      logger.info(`Cached audio from ${url}`);
+      return cachePath;
+    } catch (error) {
+      await fsp.unlink(tempPath).catch(() => {});
+      logger.error(`Error caching audio from ${url}:`, error.message);
+      throw createStreamError('IPFS_ERROR', 'AUDIO_FETCH_FAILED', 'Failed to fetch audio file');
+    }
+  }
+
+  /**
+   * 计算可播放字节数：有预览时长限制的等级只返回对应比例的字节
+   */
+  getPlayableBytes(file, config) {
+    if (!config.maxDuration) return file.size;
+
+    const previewBytes = file.duration > 0
+      ? Math.floor(file.size * (config.maxDuration / file.duration))
+      : Math.floor(config.maxDuration * config.bitrate * 1000 / 8);
+
+    return Math.min(file.size, previewBytes);
+  }
 }
 
 export default AudioStreamingService;
\ No newline at end of file
@@ -0,0 +1,224 @@
+/**
+ * Cover Art Service
+ * Renders procedural cover art locally (no image API needed) at the standard
+ * 3000×3000 cover size plus thumbnails. PNG output goes through sharp; when
+ * sharp cannot be loaded the covers are delivered as SVG instead. Covers can
+ * be written under uploads/covers or uploaded straight to IPFS.
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import ipfsService from './ipfsService.js';
+import audioAnalysisService from './audioAnalysisService.js';
+import { renderCoverSvg } from '../utils/coverArt.js';
+import { hashSeed } from '../utils/musicSynth.js';
+import { isLocalUploadUrl, resolveLocalUpload } from '../utils/localUploads.js';
+import logger from '../utils/logger.js';
+
+export const COVER_SIZE = 3000;
+export const THUMBNAIL_SIZES = [600, 300];
+
+export const COVER_FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+// Waveform resolution analyzed for covers; the renderer resamples it to its bar count
+const COVER_WAVEFORM_POINTS = 192;
+
+class CoverArtService {
+  constructor() {
+    this.outputDir = path.join(process.cwd(), 'uploads', 'covers');
+    this.sharp = undefined;
+    this.pending = new Map();
+  }
+
+  /**
+   * Load sharp on first use; null when its native binary is unavailable
+   */
+  async loadSharp() {
+    if (this.sharp === undefined) {
+      try {
+        this.sharp = (await import('sharp')).default;
+      } catch (error) {
+        logger.warn(`sharp is unavailable, cover art will be rendered as SVG: ${error.message}`);
+        this.sharp = null;
+      }
+    }
+    return this.sharp;
+  }
+
+  /**
+   * Stable id for a request; equal requests render identical covers
+   */
+  getCoverId({ title = '', artist = '', prompt = '', genre, mood, style, seed, waveform } = {}, format) {
+    const cacheKey = JSON.stringify([title, artist, prompt, genre || null, mood || null, style || null, seed ?? null, waveform ? waveform.map(peak => Math.round(peak * 100)) : null, format]);
+    return `cover_${hashSeed(cacheKey).toString(16).padStart(8, '0')}`;
+  }
+
+  /**
+   * Peak values for the cover: given directly, or analyzed from the track's audio
+   * (a buffer or a URL). Analysis failures fall back to the renderer's seeded contour.
+   * @param {Object} source - { waveform, audio, audioUrl }
+   */
+  async resolveWaveform({ waveform, audio, audioUrl } = {}) {
+    if (Array.isArray(waveform)) return waveform;
+    if (Array.isArray(waveform?.peaks)) return waveform.peaks;
+    if (!audio && !audioUrl) return null;
+
+    try {
+      const options = { resolution: COVER_WAVEFORM_POINTS };
+      const analysis = audio
+        ? await audioAnalysisService.analyzeBuffer(audio, options)
+        : await audioAnalysisService.analyzeUrl(audioUrl, options);
+      return analysis.waveform?.peaks || null;
+    } catch (error) {
+      logger.warn(`Cover waveform analysis failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Render a cover and its thumbnails in memory
+   * @param {Object} request - { title, artist, prompt, genre, mood, style, seed, waveform, audio, audioUrl, format }
+   * @returns {Promise<Object>} { id, style, format, mimeType, palette, cover: { size, buffer }, thumbnails: [{ size, buffer }] }
+   */
+  async render(request = {}) {
+    const requested = request.format || 'png';
+    if (!COVER_FORMATS[requested]) {
+      throw new Error(`Unsupported cover format ${requested} (expected one of: ${Object.keys(COVER_FORMATS).join(', ')})`);
+    }
+
+    const sharp = requested === 'png' ? await this.loadSharp() : null;
+    const format = sharp ? 'png' : 'svg';
+    const waveform = await this.resolveWaveform(request);
+    const { svg, style, palette } = renderCoverSvg({ ...request, waveform }, { size: COVER_SIZE });
+
+    // The SVG is drawn at each target size, so thumbnails are rasterized natively rather than downscaled
+    const renderSize = (size) => {
+      const image = Buffer.from(size === COVER_SIZE ? svg : renderCoverSvg({ ...request, waveform }, { size }).svg);
+      if (!sharp) return image;
+      return sharp(image).resize(size, size).png({ compressionLevel: 9 }).toBuffer();
+    };
+
+    const cover = { size: COVER_SIZE, buffer: await renderSize(COVER_SIZE) };
+    const thumbnails = [];
+    for (const size of THUMBNAIL_SIZES) {
+      thumbnails.push({ size, buffer: await renderSize(size) });
+    }
+
+    return {
+      id: this.getCoverId({ ...request, waveform }, format),
+      style,
+      format,
+      mimeType: COVER_FORMATS[format],
+      palette,
+      cover,
+      thumbnails
+    };
+  }
+
+  /**
+   * Render a cover into uploads/covers, reusing an earlier render of the same request
+   * @returns {Promise<Object>} { id, url, format, style, palette, thumbnails: [{ size, url }] }
+   */
+  async renderToFile(request = {}) {
+    const key = JSON.stringify(request);
+    if (!this.pending.has(key)) {
+      const task = this.writeRender(request)
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, task);
+    }
+    return this.pending.get(key);
+  }
+
+  async writeRender(request) {
+    const rendered = await this.render(request);
+    await fsp.mkdir(this.outputDir, { recursive: true });
+
+    const write = async (suffix, buffer) => {
+      const filename = `${rendered.id}${suffix}.${rendered.format}`;
+      const filePath = path.join(this.outputDir, filename);
+      // Write then rename so readers never see a partial file
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fsp.writeFile(tempPath, buffer);
+      await fsp.rename(tempPath, filePath);
+      return `/uploads/covers/${filename}`;
+    };
+
+    const url = await write('', rendered.cover.buffer);
+    const thumbnails = [];
+    for (const thumbnail of rendered.thumbnails) {
+      thumbnails.push({ size: thumbnail.size, url: await write(`_${thumbnail.size}`, thumbnail.buffer) });
+    }
+
+    return { id: rendered.id, url, format: rendered.format, style: rendered.style, palette: rendered.palette, thumbnails };
+  }
+
+  /**
+   * Render a cover and upload it with its thumbnails through ipfsService.uploadImage
+   * @param {Object} request - As for render()
+   * @param {string} baseName - File name stem, e.g. the sanitized track title
+   * @returns {Promise<Object>} { hash, url, size, format, style, thumbnails: [{ size, hash, url }] }
+   */
+  async uploadCover(request, baseName = 'cover') {
+    const rendered = await this.render(request);
+
+    const coverUpload = await ipfsService.uploadImage(rendered.cover.buffer, `${baseName}_cover.${rendered.format}`);
+    const thumbnails = [];
+    for (const thumbnail of rendered.thumbnails) {
+      const upload = await ipfsService.uploadImage(thumbnail.buffer, `${baseName}_cover_${thumbnail.size}.${rendered.format}`);
+      thumbnails.push({ size: thumbnail.size, hash: upload.hash, url: upload.url });
+    }
+
+    logger.info(`Cover art uploaded for ${baseName}: ${coverUpload.hash} (${rendered.style}, ${rendered.format})`);
+    return {
+      hash: coverUpload.hash,
+      url: coverUpload.url,
+      size: coverUpload.size,
+      format: rendered.format,
+      style: rendered.style,
+      thumbnails
+    };
+  }
+
+  /**
+   * Read a cover image from uploads/ (e.g. a local render) or download it
+   */
+  async fetchImage(imageUrl) {
+    if (isLocalUploadUrl(imageUrl)) {
+      return fsp.readFile(resolveLocalUpload(imageUrl));
+    }
+
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: 30000
+    });
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Upload the cover for a mint: the given image when there is one, otherwise
+   * (or when the given image cannot be fetched) a cover rendered for the track
+   * @param {Object} request - { coverImageUrl, coverImageBuffer } plus the render() request
+   * @param {string} baseName - File name stem, e.g. the sanitized track title
+   * @returns {Promise<Object>} { hash, url, size, rendered, thumbnails }
+   */
+  async uploadForMint({ coverImageUrl, coverImageBuffer, ...request }, baseName = 'cover') {
+    if (coverImageBuffer || coverImageUrl) {
+      try {
+        const buffer = coverImageBuffer || await this.fetchImage(coverImageUrl);
+        const extension = coverImageUrl?.split(/[?#]/)[0].match(/\.(png|jpe?g|webp|gif|svg)$/i)?.[1].toLowerCase() || 'jpg';
+        const upload = await ipfsService.uploadImage(buffer, `${baseName}_cover.${extension}`);
+        return { hash: upload.hash, url: upload.url, size: upload.size, rendered: false, thumbnails: [] };
+      } catch (error) {
+        logger.warn(`Cover image upload failed for ${baseName}, rendering one instead: ${error.message}`);
+      }
+    }
+
+    return { ...await this.uploadCover(request, baseName), rendered: true };
+  }
+}
+
+export default new CoverArtService();
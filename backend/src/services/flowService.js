@@ -5,8 +5,16 @@
 
 import * as fcl from '@onflow/fcl';
 import * as t from '@onflow/types';
+import crypto from 'crypto';
 import logger from '../utils/logger.js';
 
+// Core token contracts per network
+const TOKEN_CONTRACTS = {
+  emulator: { FungibleToken: '0xee82856bf20e2aa6', FlowToken: '0x0ae53cb6e3f42a79' },
+  testnet: { FungibleToken: '0x9a0766d93b6608b7', FlowToken: '0x7e60df042a9c0868' },
+  mainnet: { FungibleToken: '0xf233dcee88fe0abe', FlowToken: '0x1654653399040a61' }
+};
+
 class FlowService {
   constructor() {
     this.isInitialized = false;
@@ -359,16 +367,18 @@ class FlowService {
 
   /**
    * Purchase NFT from marketplace
+   * royalties are the cuts paid out of the price ([{ recipient, amount, role, description }]),
+   * sellerProceeds what is left for the seller
    */
   async purchaseNFT(params) {
-    const { tokenId, price, seller, buyer, currency = 'FLOW' } = params;
+    const { tokenId, price, seller, buyer, currency = 'FLOW', royalties = [] } = params;
 
     try {
       if (!this.isConfigured()) {
         return this.mockPurchaseNFT(params);
       }
 
-      logger.info(`💰 Purchasing NFT ${tokenId} for ${price} ${currency}`);
+      logger.info(`💰 Purchasing NFT ${tokenId} for ${price} ${currency} (${royalties.length} royalty cuts)`);
 
       // This would implement the actual marketplace purchase transaction
       // For now, return mock result
@@ -384,7 +394,7 @@ class FlowService {
    * Mock NFT purchase
    */
   async mockPurchaseNFT(params) {
-    const { tokenId, price, seller, buyer, currency = 'FLOW' } = params;
+    const { tokenId, price, seller, buyer, currency = 'FLOW', royalties = [], sellerProceeds = price } = params;
     
     // Simulate transaction processing time
     await new Promise(resolve => setTimeout(resolve, 2000));
@@ -397,11 +407,189 @@ class FlowService {
       currency: currency,
       seller: seller,
       buyer: buyer,
+      royalties: royalties,
+      sellerProceeds: sellerProceeds,
       status: 'completed',
       isMock: true
     };
   }
 
+  /**
+   * Pay a batch of royalty payouts through the RoyaltyDistributor contract
+   * The contract skips payout IDs it has already settled, so a batch can be
+   * resubmitted after a failure without paying anyone twice. Unlike minting
+   * this never falls back to a mock once Flow is configured.
+   * @param {Object} params - { batchId, payouts: [{ id, recipient, amount (UFix64 string) }] }
+   * @returns {Promise<Object>} { success, transactionId, blockHeight, results: [{ payoutId, status, error }], error }
+   */
+  async submitRoyaltyPayouts(params) {
+    const { batchId, payouts } = params;
+
+    if (!this.isConfigured()) {
+      return this.mockSubmitRoyaltyPayouts(params);
+    }
+
+    logger.info(`💸 Submitting royalty payout batch ${batchId} (${payouts.length} payouts)`);
+
+    const tokens = TOKEN_CONTRACTS[this.network] || TOKEN_CONTRACTS.emulator;
+    const payoutTransaction = `
+      import FungibleToken from ${tokens.FungibleToken}
+      import FlowToken from ${tokens.FlowToken}
+      import RoyaltyDistributor from 0x${this.contractAddress.replace('0x', '')}
+
+      transaction(batchID: String, payoutIDs: [String], recipients: [Address], amounts: [UFix64]) {
+        let distributor: &RoyaltyDistributor.Distributor
+        let vault: &FlowToken.Vault
+
+        prepare(signer: AuthAccount) {
+          if signer.borrow<&RoyaltyDistributor.Distributor>(from: RoyaltyDistributor.DistributorStoragePath) == nil {
+            signer.save(<-RoyaltyDistributor.createDistributor(), to: RoyaltyDistributor.DistributorStoragePath)
+            signer.link<&RoyaltyDistributor.Distributor{RoyaltyDistributor.DistributorPublic}>(
+              RoyaltyDistributor.DistributorPublicPath,
+              target: RoyaltyDistributor.DistributorStoragePath
+            )
+          }
+
+          self.distributor = signer.borrow<&RoyaltyDistributor.Distributor>(from: RoyaltyDistributor.DistributorStoragePath)
+            ?? panic("Could not borrow the royalty distributor")
+
+          self.vault = signer.borrow<&FlowToken.Vault>(from: /storage/flowTokenVault)
+            ?? panic("Could not borrow the platform Flow vault")
+        }
+
+        execute {
+          var total = 0.0
+          for amount in amounts {
+            total = total + amount
+          }
+
+          let remainder <- self.distributor.distributePayouts(
+            batchID: batchID,
+            payoutIDs: payoutIDs,
+            recipients: recipients,
+            amounts: amounts,
+            payment: <-self.vault.withdraw(amount: total)
+          )
+          self.vault.deposit(from: <-remainder)
+        }
+      }
+    `;
+
+    const transactionId = await fcl.mutate({
+      cadence: payoutTransaction,
+      args: (arg, t) => [
+        arg(batchId, t.String),
+        arg(payouts.map(payout => payout.id), t.Array(t.String)),
+        arg(payouts.map(payout => payout.recipient), t.Array(t.Address)),
+        arg(payouts.map(payout => payout.amount), t.Array(t.UFix64))
+      ],
+      proposer: this.createAuthz(),
+      payer: this.createAuthz(),
+      authorizations: [this.createAuthz()],
+      limit: 9999
+    });
+
+    let transaction;
+    try {
+      transaction = await fcl.tx(transactionId).onceSealed();
+    } catch (error) {
+      // Sent but never seen sealed: the payouts may still have gone through
+      error.transactionId = transactionId;
+      throw error;
+    }
+    if (transaction.statusCode !== 0) {
+      logger.error(`Royalty payout batch ${batchId} failed: ${transaction.errorMessage}`);
+      return { success: false, transactionId, error: transaction.errorMessage || `Transaction failed with status: ${transaction.status}` };
+    }
+
+    // Each payout is reported by a PayoutSettled or PayoutSkipped event
+    const outcomes = new Map();
+    for (const event of transaction.events || []) {
+      if (event.type.endsWith('RoyaltyDistributor.PayoutSettled')) {
+        outcomes.set(event.data.payoutID, { status: 'confirmed', error: null });
+      } else if (event.type.endsWith('RoyaltyDistributor.PayoutSkipped')) {
+        outcomes.set(event.data.payoutID, event.data.reason === 'already settled'
+          ? { status: 'confirmed', error: null }
+          : { status: 'failed', error: event.data.reason });
+      }
+    }
+
+    logger.info(`✅ Royalty payout batch ${batchId} sealed: TX ${transactionId}`);
+
+    return {
+      success: true,
+      transactionId,
+      blockHeight: transaction.blockId,
+      results: payouts.map(payout => ({
+        payoutId: payout.id,
+        ...(outcomes.get(payout.id) || { status: 'failed', error: 'No payout event emitted' })
+      }))
+    };
+  }
+
+  /**
+   * Payout IDs the RoyaltyDistributor contract has already paid
+   * @param {Array<string>} payoutIds
+   * @returns {Promise<Array<string>>} The settled subset of payoutIds
+   */
+  async getSettledRoyaltyPayouts(payoutIds) {
+    // Without Flow nothing is ever paid on chain
+    if (!this.isConfigured()) {
+      return [];
+    }
+
+    const script = `
+      import RoyaltyDistributor from 0x${this.contractAddress.replace('0x', '')}
+
+      pub fun main(distributor: Address, payoutIDs: [String]): [String] {
+        let settled: [String] = []
+        let ref = getAccount(distributor)
+          .getCapability(RoyaltyDistributor.DistributorPublicPath)
+          .borrow<&RoyaltyDistributor.Distributor{RoyaltyDistributor.DistributorPublic}>()
+        if ref == nil {
+          return settled
+        }
+
+        for payoutID in payoutIDs {
+          if ref!.isPayoutSettled(payoutID: payoutID) {
+            settled.append(payoutID)
+          }
+        }
+        return settled
+      }
+    `;
+
+    return fcl.query({
+      cadence: script,
+      args: (arg, t) => [
+        arg(this.address, t.Address),
+        arg(payoutIds, t.Array(t.String))
+      ]
+    });
+  }
+
+  /**
+   * Mock royalty payout: every payout settles, under a transaction ID derived
+   * from the batch so resubmitting it gives the same ID
+   */
+  async mockSubmitRoyaltyPayouts(params) {
+    const { batchId, payouts } = params;
+
+    logger.info(`🎭 Mock royalty payout batch ${batchId} (${payouts.length} payouts)`);
+
+    const digest = crypto.createHash('sha256')
+      .update([batchId, ...payouts.map(payout => payout.id)].join(':'))
+      .digest('hex');
+
+    return {
+      success: true,
+      transactionId: `0x${digest}`,
+      blockHeight: null,
+      results: payouts.map(payout => ({ payoutId: payout.id, status: 'confirmed', error: null })),
+      isMock: true
+    };
+  }
+
   /**
    * Remove NFT from marketplace
    */
@@ -5,21 +5,86 @@
 
 import aiService from './aiService.js';
 import ipfsService from './ipfsService.js';
+import hlsPackagingService from './hlsPackagingService.js';
+import audioAnalysisService from './audioAnalysisService.js';
+import coverArtService from './coverArtService.js';
 import MusicNFT from '../models/MusicNFT.js';
 import User from '../models/User.js';
-import { v4 as uuidv4 } from 'uuid';
-import Database from '../config/database.js';
+import WorkflowJob from '../models/WorkflowJob.js';
+import workflowEngine, { createWorkflowError } from './workflowEngine.js';
+import quotaService from './quotaService.js';
+import royaltySplitService from './royaltySplitService.js';
+import { normalizeRoyaltyConfig, onChainRoyalties, validateRoyaltyConfig } from '../utils/royaltySplits.js';
+
+export const FORTE_WORKFLOW = 'forte_music';
+export const FORTE_TEMPLATE_WORKFLOW = 'forte_template';
+const FORTE_WORKFLOW_TYPES = [FORTE_WORKFLOW, FORTE_TEMPLATE_WORKFLOW];
 
 class ForteActionsService {
+  constructor() {
+    // 工作流以持久化任务运行：每个步骤的状态都会保存，失败步骤按退避重试，
+    // 失败的工作流可以从失败的步骤恢复
+    workflowEngine.define(FORTE_WORKFLOW, {
+      steps: [
+        {
+          name: 'generate',
+          // 从生成历史提交的工作流直接使用已生成的音频
+          skip: ({ params }) => Boolean(params.generation),
+          run: ({ params }) => this.generateMusic({
+            prompt: params.prompt,
+            title: params.metadata.title,
+            artist: params.metadata.artist,
+            genre: params.metadata.genre,
+            mood: params.metadata.mood,
+            duration: params.metadata.duration || 30,
+            provider: params.provider,
+            coverStyle: params.metadata.coverStyle
+          })
+        },
+        {
+          name: 'upload',
+          run: ({ params, results }) => {
+            const generated = results.generate || params.generation;
+            return this.uploadToIPFS({
+              audioUrl: generated.audioUrl,
+              coverImageUrl: generated.coverImageUrl,
+              metadata: {
+                ...params.metadata,
+                prompt: params.prompt,
+                aiModel: generated.aiModel,
+                aiProvider: generated.aiProvider,
+                generatedAt: generated.generatedAt
+              },
+              royalties: params.royalties
+            });
+          }
+        },
+        {
+          name: 'mint',
+          skip: ({ params }) => !params.autoMint,
+          run: ({ userId, params, results }) => this.autoMintNFT({
+            userId,
+            ipfsMetadata: results.upload.nftMetadata,
+            royalties: params.royalties
+          })
+        }
+      ],
+      buildResult: ({ params, results }) => this.buildWorkflowResult(params, results)
+    });
+  }
+
   /**
-   * 执行完整的Forte Actions工作流
+   * 提交Forte Actions工作流任务，由后台工作进程执行
    * @param {Object} params - 工作流参数
    * @param {string} params.userId - 用户ID
    * @param {string} params.prompt - AI生成提示词
    * @param {Object} params.metadata - 音乐元数据
    * @param {Array} params.royalties - 版税配置
    * @param {boolean} params.autoMint - 是否自动铸造
-   * @returns {Object} 工作流执行结果
+   * @param {string} [params.provider] - AI音乐生成服务，未指定时按能力自动选择
+   * @param {Object} [params.generation] - 已生成的音乐 { generationId, audioUrl, coverImageUrl, aiModel, aiProvider, generatedAt }，提供时跳过生成步骤
+   * @param {string} [params.batchId] - 所属批次ID
+   * @returns {Object} 已排队的工作流
    */
   async executeWorkflow(params) {
     const {
@@ -27,95 +92,95 @@ class ForteActionsService {
       prompt,
       metadata,
       royalties = [],
-      autoMint = true
+      autoMint = true,
+      provider = null,
+      generation = null,
+      batchId = null
     } = params;
 
-    try {
-      console.log('🚀 Starting Forte Actions workflow for user:', userId);
-      
-      // 步骤1: 验证用户
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('User not found');
-      }
+    const user = await User.findById(userId);
+    if (!user) {
+      throw createWorkflowError('NOT_FOUND', 'USER_NOT_FOUND', 'User not found');
+    }
 
-      // 步骤2: AI音乐生成
-      console.log('🎵 Step 1: Generating AI music...');
-      const aiResult = await this.generateMusic({
-        prompt,
-        title: metadata.title,
-        artist: metadata.artist,
-        genre: metadata.genre,
-        mood: metadata.mood,
-        duration: metadata.duration || 30
-      });
+    // 版税拆分的收款人比例之和必须为100%
+    const royaltyCheck = validateRoyaltyConfig(royalties);
+    if (!royaltyCheck.isValid) {
+      throw createWorkflowError('VALIDATION_ERROR', 'INVALID_ROYALTY_SPLIT', royaltyCheck.errors.join('; '));
+    }
 
-      // 步骤3: 上传到IPFS
-      console.log('📁 Step 2: Uploading to IPFS...');
-      const ipfsResult = await this.uploadToIPFS({
-        audioUrl: aiResult.audioUrl,
-        coverImageUrl: aiResult.coverImageUrl,
-        metadata: {
-          ...metadata,
-          prompt,
-          aiModel: aiResult.aiModel,
-          generatedAt: new Date().toISOString()
-        },
-        royalties
-      });
+    // 指定的生成服务在排队前校验，避免任务在后台才失败
+    if (provider) {
+      aiService.providers.select({ provider, duration: metadata.duration || 30, genre: metadata.genre });
+    }
 
-      // 步骤4: 自动铸造NFT (如果启用)
-      let mintResult = null;
-      if (autoMint) {
-        console.log('⛏️ Step 3: Auto-minting NFT...');
-        mintResult = await this.autoMintNFT({
-          userId,
-          ipfsMetadata: ipfsResult.nftMetadata,
-          royalties
-        });
-      }
+    // 每日生成/铸造配额，排队失败时退回；已生成的音乐不再占用生成配额
+    const allowance = await quotaService.consume(userId, { generation: generation ? 0 : 1, mint: autoMint ? 1 : 0 });
 
-      // 步骤5: 保存工作流记录
-      const workflowRecord = await this.saveWorkflowRecord({
+    let job;
+    try {
+      job = await workflowEngine.enqueue(FORTE_WORKFLOW, {
         userId,
-        prompt,
-        aiResult,
-        ipfsResult,
-        mintResult,
-        status: autoMint ? 'completed' : 'pending_mint',
-        completedAt: new Date()
+        batchId,
+        params: { prompt, metadata, royalties, autoMint, provider, ...(generation ? { generation } : {}) }
       });
+    } catch (error) {
+      await quotaService.refund(userId, allowance);
+      throw error;
+    }
 
-      console.log('✅ Forte Actions workflow completed successfully');
+    console.log('🚀 Forte Actions workflow queued:', job.id);
 
-      return {
-        success: true,
-        workflowId: workflowRecord.id,
-        steps: {
-          aiGeneration: aiResult,
-          ipfsUpload: ipfsResult,
-          nftMinting: mintResult
-        },
-        status: autoMint ? 'completed' : 'pending_mint',
-        message: autoMint 
-          ? 'Workflow completed successfully with auto-minting'
-          : 'Workflow completed, ready for manual minting'
-      };
+    return {
+      success: true,
+      ...workflowEngine.describe(job),
+      message: autoMint
+        ? 'Workflow queued: generation, IPFS upload and auto-minting'
+        : 'Workflow queued: generation and IPFS upload, ready for manual minting when done'
+    };
+  }
 
-    } catch (error) {
-      console.error('❌ Forte Actions workflow failed:', error);
-      
-      // 保存失败记录
-      await this.saveWorkflowRecord({
-        userId,
-        prompt,
-        status: 'failed',
-        error: error.message,
-        failedAt: new Date()
-      });
+  /**
+   * 默认版税：艺术家80%，平台20%
+   */
+  defaultRoyalties(user) {
+    return [
+      {
+        recipient: user.flowWallet?.address || user.address || process.env.FLOW_ADDRESS,
+        percentage: 0.8,
+        description: '艺术家版税'
+      },
+      {
+        recipient: royaltySplitService.platformAddress,
+        percentage: 0.2,
+        description: '平台版税'
+      }
+    ];
+  }
 
-      throw error;
-    }
+  /**
+   * 组装工作流最终结果（前端展示所需字段）
+   */
+  buildWorkflowResult(params, results) {
+    const upload = results.upload;
+    const mint = results.mint || null;
+
+    return {
+      tokenId: mint ? mint.tokenId : null,
+      transactionHash: mint ? mint.transactionHash : null,
+      nftId: mint ? mint.nftId : null,
+      ipfsHash: upload.metadata.hash,
+      audioUrl: upload.nftMetadata.audioURL,
+      coverImageUrl: upload.nftMetadata.coverImageURL,
+      metadataUrl: upload.nftMetadata.metadataURL,
+      metadata: {
+        title: params.metadata.title,
+        artist: params.metadata.artist,
+        genre: params.metadata.genre,
+        description: params.metadata.description
+      },
+      awaitingMint: !params.autoMint
+    };
   }
 
   /**
@@ -128,28 +193,31 @@ class ForteActionsService {
       artist,
       genre,
       mood,
-      duration
+      duration,
+      provider,
+      coverStyle
     } = params;
 
     try {
       // 使用AI服务生成音乐
-      const musicResult = await aiService.generateMusic({
-        prompt,
-        duration,
-        model: 'musicgen-stereo-large'
-      });
+      const musicResult = await aiService.generateMusicWithMusicGen(prompt, duration, { genre, mood, provider });
+      if (!musicResult.audioUrl) {
+        throw new Error('No audio returned by the music model');
+      }
 
-      // 生成封面图
-      const coverResult = await aiService.generateCoverImage({
-        prompt: `Album cover for "${title}" by ${artist}, ${genre} music, ${mood} mood`,
-        style: 'digital art'
-      });
+      // 生成封面图（未配置 DALL·E 时按流派、情绪和波形本地渲染）
+      const coverResult = await aiService.generateCoverArt(
+        `Album cover for "${title}" by ${artist}, ${genre} music, ${mood} mood`,
+        coverStyle || 'digital art',
+        { title, artist, genre, mood, audioUrl: musicResult.audioUrl }
+      );
 
       return {
         audioUrl: musicResult.audioUrl,
         coverImageUrl: coverResult.imageUrl,
-        aiModel: musicResult.model,
-        generationTime: musicResult.generationTime,
+        aiModel: musicResult.metadata?.model || 'musicgen',
+        aiProvider: musicResult.metadata?.provider || null,
+        generatedAt: musicResult.metadata?.generatedAt || new Date().toISOString(),
         metadata: {
           title,
           artist,
@@ -173,59 +241,84 @@ class ForteActionsService {
     const {
       audioUrl,
       coverImageUrl,
+      waveform,
       metadata,
       royalties
     } = params;
 
     try {
-      // 上传音频文件
-      const audioUpload = await ipfsService.uploadFromUrl(audioUrl, {
-        filename: `${metadata.title.replace(/\s+/g, '_')}.mp3`,
-        type: 'audio'
-      });
+      const baseName = metadata.title.replace(/[^a-zA-Z0-9]/g, '_');
 
-      // 上传封面图片
-      const coverUpload = await ipfsService.uploadFromUrl(coverImageUrl, {
-        filename: `${metadata.title.replace(/\s+/g, '_')}_cover.jpg`,
-        type: 'image'
+      // 上传音频文件（离线合成的音频为 wav）
+      const audioExtension = audioUrl.split(/[?#]/)[0].match(/\.(mp3|wav|flac|m4a)$/i)?.[1].toLowerCase() || 'mp3';
+      const audioUpload = await ipfsService.uploadAudioFromUrl(audioUrl, `${baseName}.${audioExtension}`);
+
+      // 上传封面图片；没有封面或下载失败时按流派、情绪和音频波形渲染一张
+      let coverUpload = { hash: '', url: coverImageUrl || '', thumbnails: [] };
+      try {
+        coverUpload = await coverArtService.uploadForMint({
+          coverImageUrl,
+          title: metadata.title,
+          artist: metadata.artist,
+          genre: metadata.genre,
+          mood: metadata.mood,
+          prompt: metadata.prompt,
+          style: metadata.coverStyle,
+          waveform,
+          audioUrl
+        }, baseName);
+      } catch (error) {
+        console.warn('Cover art upload failed, keeping generated URL:', error.message);
+      }
+
+      // 创建并上传NFT元数据
+      const metadataUpload = await ipfsService.createNFTMetadata({
+        title: metadata.title,
+        artist: metadata.artist,
+        description: metadata.description || `AI-generated ${metadata.genre} music`,
+        audioHash: audioUpload.hash,
+        audioUrl: audioUpload.url,
+        coverImageHash: coverUpload.hash,
+        coverImageUrl: coverUpload.url,
+        coverThumbnails: coverUpload.thumbnails,
+        genre: metadata.genre,
+        duration: metadata.duration,
+        aiModel: metadata.aiModel,
+        aiProvider: metadata.aiProvider,
+        prompt: metadata.prompt,
+        lineage: metadata.lineage,
+        royalties: normalizeRoyaltyConfig(royalties).recipients.map(r => ({
+          recipient: r.recipient,
+          percentage: r.percentage,
+          description: r.description
+        }))
       });
 
-      // 创建NFT元数据
+      // 铸造步骤所需的元数据
       const nftMetadata = {
         title: metadata.title,
         artist: metadata.artist,
         description: metadata.description || `AI-generated ${metadata.genre} music`,
-        audioURL: `ipfs://${audioUpload.hash}`,
-        coverImageURL: `ipfs://${coverUpload.hash}`,
         genre: metadata.genre,
         mood: metadata.mood,
         duration: metadata.duration,
         prompt: metadata.prompt,
         aiModel: metadata.aiModel,
+        aiProvider: metadata.aiProvider,
         generatedAt: metadata.generatedAt,
-        royalties: royalties.map(r => ({
-          recipient: r.recipient,
-          percentage: r.percentage,
-          description: r.description
-        })),
-        attributes: [
-          { trait_type: "Genre", value: metadata.genre },
-          { trait_type: "Mood", value: metadata.mood },
-          { trait_type: "Duration", value: `${metadata.duration}s` },
-          { trait_type: "AI Model", value: metadata.aiModel },
-          { trait_type: "Generation Type", value: "AI Generated" }
-        ]
+        lineage: metadata.lineage || null,
+        audioHash: audioUpload.hash,
+        audioURL: audioUpload.url,
+        coverImageHash: coverUpload.hash,
+        coverImageURL: coverUpload.url,
+        metadataHash: metadataUpload.metadataHash,
+        metadataURL: metadataUpload.metadataUrl
       };
 
-      // 上传元数据
-      const metadataUpload = await ipfsService.uploadJSON(nftMetadata, {
-        filename: `${metadata.title.replace(/\s+/g, '_')}_metadata.json`
-      });
-
       return {
-        audio: audioUpload,
-        cover: coverUpload,
-        metadata: metadataUpload,
+        audio: { hash: audioUpload.hash, url: audioUpload.url, size: audioUpload.size },
+        cover: { hash: coverUpload.hash, url: coverUpload.url },
+        metadata: { hash: metadataUpload.metadataHash, url: metadataUpload.metadataUrl },
         nftMetadata
       };
 
@@ -249,13 +342,13 @@ class ForteActionsService {
       // 获取用户信息
       const user = await User.findById(userId);
       if (!user) {
-        throw new Error('User not found');
+        throw createWorkflowError('NOT_FOUND', 'USER_NOT_FOUND', 'User not found', { retryable: false });
       }
 
       // 使用Flow钱包地址或默认地址
       const recipientAddress = user.flowWallet?.address || user.address || process.env.FLOW_ADDRESS;
       if (!recipientAddress) {
-        throw new Error('No Flow address found for user');
+        throw createWorkflowError('VALIDATION_ERROR', 'NO_FLOW_ADDRESS', 'No Flow address found for user', { retryable: false });
       }
 
       console.log(`🔗 Minting NFT for user ${user.username} at address ${recipientAddress}`);
@@ -263,6 +356,7 @@ class ForteActionsService {
       // 使用Flow服务进行真正的NFT铸造
       const flowService = (await import('./flowService.js')).default;
       
+      const royaltyConfig = normalizeRoyaltyConfig(royalties);
       const mintParams = {
         recipient: recipientAddress,
         title: ipfsMetadata.title || 'Untitled Music',
@@ -270,9 +364,9 @@ class ForteActionsService {
         audioHash: ipfsMetadata.audioHash || '',
         coverImageHash: ipfsMetadata.coverImageHash || '',
         metadataHash: ipfsMetadata.metadataHash || '',
-        royalties: royalties.map(r => ({
-          recipient: r.recipient || recipientAddress,
-          percentage: r.percentage || 0
+        royalties: onChainRoyalties(royaltyConfig).map(r => ({
+          recipient: r.recipient,
+          percentage: r.percentage
         }))
       };
 
@@ -292,6 +386,19 @@ class ForteActionsService {
           duration: ipfsMetadata.duration || 0,
           genre: ipfsMetadata.genre || 'AI Generated'
         },
+        // 记录生成信息与衍生关系（变奏、续写、重新生成）
+        aiGeneration: {
+          prompt: ipfsMetadata.prompt || '',
+          model: ipfsMetadata.aiModel || '',
+          provider: ipfsMetadata.aiProvider || '',
+          parameters: {},
+          parentId: ipfsMetadata.lineage?.parentId || null,
+          rootId: ipfsMetadata.lineage?.rootId || null,
+          operation: ipfsMetadata.lineage?.operation || 'generate',
+          generatedAt: ipfsMetadata.generatedAt || null,
+          processingTime: 0,
+          version: '1.0'
+        },
         files: {
           audio: {
             url: ipfsMetadata.audioURL,
@@ -314,7 +421,7 @@ class ForteActionsService {
           mintedAt: new Date(),
           network: 'flow'
         },
-        royalties: royalties,
+        royalties: royaltyConfig,
         status: 'minted'
       });
 
@@ -323,6 +430,10 @@ class ForteActionsService {
 
       console.log(`✅ NFT record saved: ${nftRecord.id}`);
 
+      // 后台打包 HLS 渲染版本并分析音频
+      hlsPackagingService.queuePackaging(nftRecord.id).catch(() => {});
+      audioAnalysisService.queueAnalysis(nftRecord.id).catch(() => {});
+
       return {
         tokenId: mintResult.tokenId,
         transactionHash: mintResult.transactionId,
@@ -337,108 +448,50 @@ class ForteActionsService {
 
     } catch (error) {
       console.error('Auto-minting failed:', error);
-      throw new Error(`Auto-minting failed: ${error.message}`);
+      error.message = `Auto-minting failed: ${error.message}`;
+      throw error;
     }
   }
 
   /**
-   * 保存工作流记录
+   * 读取工作流任务并校验所属用户
    */
-  async saveWorkflowRecord(params) {
-    const {
-      userId,
-      prompt,
-      aiResult,
-      ipfsResult,
-      mintResult,
-      status,
-      error,
-      completedAt,
-      failedAt
-    } = params;
-
-    try {
-      // 这里可以保存到数据库或日志系统
-      const workflowRecord = {
-        id: `workflow_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        userId,
-        prompt,
-        steps: {
-          aiGeneration: aiResult || null,
-          ipfsUpload: ipfsResult || null,
-          nftMinting: mintResult || null
-        },
-        status,
-        error: error || null,
-        createdAt: new Date(),
-        completedAt: completedAt || null,
-        failedAt: failedAt || null
-      };
-
-      // 保存到Redis或其他存储
-      console.log('💾 Saving workflow record:', workflowRecord.id);
-      
-      return workflowRecord;
-
-    } catch (error) {
-      console.error('Failed to save workflow record:', error);
-      throw error;
+  async getOwnedJob(workflowId, userId) {
+    const job = await workflowEngine.getJob(workflowId);
+    if (!job || !FORTE_WORKFLOW_TYPES.includes(job.type)) {
+      throw createWorkflowError('NOT_FOUND', 'WORKFLOW_NOT_FOUND', 'Workflow not found');
+    }
+    if (userId && job.userId !== userId) {
+      throw createWorkflowError('PERMISSION_ERROR', 'WORKFLOW_ACCESS_DENIED', 'Not authorized to access this workflow');
     }
+    return job;
   }
 
   /**
-   * 获取工作流状态
+   * 获取工作流状态（真实的步骤进度）
    */
-  async getWorkflowStatus(workflowId) {
-    try {
-      // 从存储中获取工作流记录
-      // 这里可以从Redis或数据库查询
-      console.log('📊 Getting workflow status for:', workflowId);
-      
-      return {
-        workflowId,
-        status: 'completed', // 示例状态
-        steps: {
-          aiGeneration: { status: 'completed', completedAt: new Date() },
-          ipfsUpload: { status: 'completed', completedAt: new Date() },
-          nftMinting: { status: 'completed', completedAt: new Date() }
-        }
-      };
-
-    } catch (error) {
-      console.error('Failed to get workflow status:', error);
-      throw error;
-    }
+  async getWorkflowStatus(workflowId, userId) {
+    const job = await this.getOwnedJob(workflowId, userId);
+    return workflowEngine.describe(job);
   }
 
   /**
-   * 批量执行工作流
+   * 从失败的步骤恢复工作流
    */
-  async executeBatchWorkflow(batchParams) {
-    const results = [];
-    
-    for (const params of batchParams) {
-      try {
-        const result = await this.executeWorkflow(params);
-        results.push({
-          success: true,
-          ...result
-        });
-      } catch (error) {
-        results.push({
-          success: false,
-          error: error.message,
-          params
-        });
-      }
-    }
+  async resumeWorkflow(workflowId, userId) {
+    await this.getOwnedJob(workflowId, userId);
+    const job = await workflowEngine.resume(workflowId);
+    return workflowEngine.describe(job);
+  }
 
-    return {
-      total: batchParams.length,
-      successful: results.filter(r => r.success).length,
-      failed: results.filter(r => !r.success).length,
-      results
-    };
+  /**
+   * 获取用户的工作流列表
+   */
+  async listWorkflows(userId, limit = 20, offset = 0) {
+    const jobs = await WorkflowJob.findByUser(userId, limit, offset);
+    return jobs
+      .filter(job => FORTE_WORKFLOW_TYPES.includes(job.type))
+      .map(job => workflowEngine.describe(job));
   }
 }
 
@@ -0,0 +1,385 @@
+/**
+ * Generation History Service
+ * Keeps every track a signed-in user generates, minted or not, with a
+ * personal prompt library. Past generations can be searched, filtered,
+ * favorited and promoted straight into the Forte mint workflow, which then
+ * reuses the stored audio instead of generating again.
+ */
+
+import Generation from '../models/Generation.js';
+import SavedPrompt from '../models/SavedPrompt.js';
+import { GENERATION_PARAMETERS } from './aiService.js';
+import forteActionsService from './forteActionsService.js';
+import workflowEngine from './workflowEngine.js';
+import { normalizeGenre, normalizeMood } from '../utils/promptParser.js';
+import logger from '../utils/logger.js';
+
+const SETTLED_EVENTS = ['job:completed', 'job:failed', 'job:cancelled'];
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_PROMPT_LENGTH = 1000;
+const MAX_TAGS = 20;
+
+/**
+ * History error carrying an errorHandler-compatible type
+ */
+export const createHistoryError = (type, code, message) => {
+  const error = new Error(message);
+  error.type = type;
+  error.code = code;
+  return error;
+};
+
+const pickParameters = (parameters = {}) => Object.fromEntries(
+  GENERATION_PARAMETERS
+    .filter(field => parameters[field] !== undefined && parameters[field] !== null && parameters[field] !== '')
+    .map(field => [field, parameters[field]])
+);
+
+const normalizeTags = (tags) => {
+  if (tags === undefined) return undefined;
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw createHistoryError('VALIDATION_ERROR', 'INVALID_TAGS', 'Tags must be an array of strings');
+  }
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))].slice(0, MAX_TAGS);
+};
+
+const normalizeTitle = (title) => {
+  if (title === undefined) return undefined;
+  if (typeof title !== 'string') {
+    throw createHistoryError('VALIDATION_ERROR', 'INVALID_TITLE', 'Title must be a string');
+  }
+  return title.trim().slice(0, MAX_TITLE_LENGTH);
+};
+
+/**
+ * Every whitespace-separated term must appear in one of the fields
+ */
+const matchesQuery = (fields, query) => {
+  const haystack = fields.flat().filter(Boolean).join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+};
+
+const paginate = (items, limit, offset) => ({
+  items: items.slice(offset, offset + limit),
+  total: items.length,
+  limit,
+  offset
+});
+
+class GenerationHistoryService {
+  constructor() {
+    this.maxSavedPrompts = parseInt(process.env.PROMPT_LIBRARY_MAX_SIZE) || 200;
+    this.locks = new Map();
+
+    // Promoted generations follow their mint workflow
+    for (const event of SETTLED_EVENTS) {
+      workflowEngine.on(event, job => {
+        const generationId = job.params?.generation?.generationId;
+        if (!generationId) return;
+        this.handleMintSettled(generationId, job)
+          .catch(error => logger.error(`Failed to update generation ${generationId}:`, error));
+      });
+    }
+  }
+
+  /**
+   * Serialize promotion and mint bookkeeping per generation
+   */
+  async withLock(generationId, task) {
+    const previous = this.locks.get(generationId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.locks.set(generationId, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(generationId) === current) {
+        this.locks.delete(generationId);
+      }
+    }
+  }
+
+  /**
+   * Store a generation in the user's history
+   * @param {string} userId
+   * @param {Object} entry - { title, prompt, parameters, provider, model, predictionId, source,
+   *   audioUrl, format, audioHash, coverImageUrl, coverImageHash, status, error }
+   */
+  async record(userId, entry) {
+    const generation = new Generation({
+      userId,
+      title: normalizeTitle(entry.title) || '',
+      prompt: entry.prompt,
+      parameters: pickParameters(entry.parameters),
+      provider: entry.provider || '',
+      model: entry.model || '',
+      predictionId: entry.predictionId || null,
+      source: entry.source || 'ai',
+      audio: { url: entry.audioUrl || '', format: entry.format || 'mp3', ipfsHash: entry.audioHash || '' },
+      cover: { url: entry.coverImageUrl || '', ipfsHash: entry.coverImageHash || '' },
+      status: entry.status || 'completed',
+      error: entry.error || null
+    });
+    return generation.save();
+  }
+
+  /**
+   * Record without failing the request that produced the generation
+   */
+  async recordSafely(userId, entry) {
+    try {
+      return await this.record(userId, entry);
+    } catch (error) {
+      logger.error(`Failed to record generation for user ${userId}:`, error);
+      return null;
+    }
+  }
+
+  async getOwned(userId, generationId) {
+    const generation = await Generation.findById(generationId);
+    // Other users' generations are reported as missing rather than forbidden
+    if (!generation || generation.userId !== userId) {
+      throw createHistoryError('NOT_FOUND', 'GENERATION_NOT_FOUND', 'Generation not found');
+    }
+    return generation;
+  }
+
+  /**
+   * A user's generations, newest first
+   * @param {Object} [filters] - { q, genre, mood, provider, status, tag, favorite, from, to, limit, offset }
+   * @returns {Promise<Object>} { items, total, limit, offset }
+   */
+  async list(userId, { q, genre, mood, provider, status, tag, favorite, from, to, limit = 20, offset = 0 } = {}) {
+    let generations = await Generation.findByUser(userId, { favoritesOnly: favorite === true });
+
+    if (q) {
+      generations = generations.filter(generation => matchesQuery([generation.title, generation.prompt, generation.tags], q));
+    }
+    if (genre) {
+      const canonical = normalizeGenre(genre) || genre;
+      generations = generations.filter(generation => generation.parameters.genre === canonical);
+    }
+    if (mood) {
+      const canonical = normalizeMood(mood) || mood;
+      generations = generations.filter(generation => generation.parameters.mood === canonical);
+    }
+    if (provider) {
+      generations = generations.filter(generation => generation.provider === provider);
+    }
+    if (status) {
+      generations = generations.filter(generation => generation.status === status);
+    }
+    if (tag) {
+      generations = generations.filter(generation => generation.tags.includes(tag.toLowerCase()));
+    }
+    if (from) {
+      generations = generations.filter(generation => generation.createdAt >= from);
+    }
+    if (to) {
+      generations = generations.filter(generation => generation.createdAt <= to);
+    }
+
+    return paginate(generations, limit, offset);
+  }
+
+  /**
+   * Change the user-editable fields of a generation
+   * @param {Object} changes - { title, tags, favorite }
+   */
+  async update(userId, generationId, { title, tags, favorite } = {}) {
+    const generation = await this.getOwned(userId, generationId);
+
+    if (title !== undefined) generation.title = normalizeTitle(title);
+    if (tags !== undefined) generation.tags = normalizeTags(tags);
+    if (favorite !== undefined) generation.favorite = Boolean(favorite);
+
+    return generation.save();
+  }
+
+  async remove(userId, generationId) {
+    const generation = await this.getOwned(userId, generationId);
+    if (generation.status === 'minting') {
+      throw createHistoryError('VALIDATION_ERROR', 'GENERATION_MINTING', 'Generation is being minted');
+    }
+    await Generation.deleteById(generation.id);
+    return true;
+  }
+
+  /**
+   * Submit a past generation to the Forte mint workflow; the generation step is
+   * skipped and the stored audio is uploaded and minted
+   * @param {Object} user - Authenticated user
+   * @param {string} generationId
+   * @param {Object} [options] - { metadata: { title, artist, description }, royalties, autoMint }
+   */
+  async promoteToMint(user, generationId, { metadata = {}, royalties, autoMint = true } = {}) {
+    return this.withLock(generationId, async () => {
+      const generation = await this.getOwned(user.id, generationId);
+
+      if (generation.status !== 'completed') {
+        throw createHistoryError('VALIDATION_ERROR', 'GENERATION_NOT_MINTABLE', `Generation is ${generation.status} and cannot be minted`);
+      }
+      if (!generation.audio.url) {
+        throw createHistoryError('VALIDATION_ERROR', 'NO_AUDIO', 'Generation has no audio to mint');
+      }
+
+      // Claimed before the workflow is queued, so a second request finds it minting
+      const previousError = generation.error;
+      generation.status = 'minting';
+      generation.error = null;
+      await generation.save();
+
+      const { genre, mood, duration } = generation.parameters;
+      let workflow;
+      try {
+        workflow = await forteActionsService.executeWorkflow({
+          userId: user.id,
+          prompt: generation.prompt,
+          metadata: {
+            title: metadata.title || generation.title || `AI Generated ${genre || 'Music'}`,
+            artist: metadata.artist || user.username || 'AI Composer',
+            description: metadata.description || `AI生成的${genre || '音乐'}作品`,
+            genre,
+            mood,
+            duration
+          },
+          royalties: royalties || forteActionsService.defaultRoyalties(user),
+          autoMint,
+          generation: {
+            generationId: generation.id,
+            audioUrl: generation.audio.url,
+            coverImageUrl: generation.cover.url || null,
+            aiModel: generation.model,
+            aiProvider: generation.provider || null,
+            generatedAt: generation.createdAt
+          }
+        });
+      } catch (error) {
+        // Nothing was queued: free the generation again
+        generation.status = 'completed';
+        generation.error = previousError;
+        await generation.save();
+        throw error;
+      }
+
+      generation.workflowId = workflow.workflowId;
+      await generation.save();
+
+      return { generation, workflow };
+    });
+  }
+
+  /**
+   * Record the outcome of a promoted generation's mint workflow
+   */
+  async handleMintSettled(generationId, job) {
+    // Waits for a promotion still saving its workflow id
+    return this.withLock(generationId, async () => {
+      const generation = await Generation.findById(generationId);
+      if (!generation || generation.workflowId !== job.id) return;
+
+      if (job.status === 'completed') {
+        generation.nftId = job.result?.nftId || null;
+        generation.status = generation.nftId ? 'minted' : 'completed';
+        generation.error = null;
+      } else {
+        // Failed or cancelled workflows leave the generation free to promote again
+        generation.status = 'completed';
+        generation.error = job.error || `Mint workflow ${job.status}`;
+      }
+      await generation.save();
+    });
+  }
+
+  validatePrompt(prompt) {
+    if (typeof prompt !== 'string' || prompt.trim().length < 3 || prompt.length > MAX_PROMPT_LENGTH) {
+      throw createHistoryError('VALIDATION_ERROR', 'INVALID_PROMPT', `Prompt must be between 3 and ${MAX_PROMPT_LENGTH} characters`);
+    }
+    return prompt.trim();
+  }
+
+  async getOwnedPrompt(userId, promptId) {
+    const saved = await SavedPrompt.findById(promptId);
+    if (!saved || saved.userId !== userId) {
+      throw createHistoryError('NOT_FOUND', 'PROMPT_NOT_FOUND', 'Saved prompt not found');
+    }
+    return saved;
+  }
+
+  /**
+   * Add a prompt to the user's library, given directly or copied from a generation
+   * @param {Object} entry - { title, prompt, parameters, tags, generationId }
+   */
+  async savePrompt(userId, { title, prompt, parameters, tags, generationId } = {}) {
+    if (generationId) {
+      const generation = await this.getOwned(userId, generationId);
+      prompt = prompt ?? generation.prompt;
+      parameters = parameters ?? generation.parameters;
+    }
+    prompt = this.validatePrompt(prompt);
+
+    const existing = await SavedPrompt.findByUser(userId);
+    if (existing.length >= this.maxSavedPrompts) {
+      throw createHistoryError('VALIDATION_ERROR', 'PROMPT_LIBRARY_FULL', `Prompt library is limited to ${this.maxSavedPrompts} prompts`);
+    }
+
+    const saved = new SavedPrompt({
+      userId,
+      title: normalizeTitle(title) || prompt.slice(0, 60),
+      prompt,
+      parameters: pickParameters(parameters),
+      tags: normalizeTags(tags) || []
+    });
+    return saved.save();
+  }
+
+  /**
+   * The user's saved prompts, most used first
+   * @param {Object} [filters] - { q, tag, limit, offset }
+   */
+  async listPrompts(userId, { q, tag, limit = 50, offset = 0 } = {}) {
+    let prompts = await SavedPrompt.findByUser(userId);
+
+    if (q) {
+      prompts = prompts.filter(saved => matchesQuery([saved.title, saved.prompt, saved.tags], q));
+    }
+    if (tag) {
+      prompts = prompts.filter(saved => saved.tags.includes(tag.toLowerCase()));
+    }
+
+    return paginate(prompts, limit, offset);
+  }
+
+  /**
+   * @param {Object} changes - { title, prompt, parameters, tags }
+   */
+  async updatePrompt(userId, promptId, { title, prompt, parameters, tags } = {}) {
+    const saved = await this.getOwnedPrompt(userId, promptId);
+
+    if (title !== undefined) saved.title = normalizeTitle(title);
+    if (prompt !== undefined) saved.prompt = this.validatePrompt(prompt);
+    if (parameters !== undefined) saved.parameters = pickParameters(parameters);
+    if (tags !== undefined) saved.tags = normalizeTags(tags);
+
+    return saved.save();
+  }
+
+  async deletePrompt(userId, promptId) {
+    await this.getOwnedPrompt(userId, promptId);
+    await SavedPrompt.deleteById(promptId);
+    return true;
+  }
+
+  /**
+   * Take a saved prompt for a generation, counting the use
+   */
+  async usePrompt(userId, promptId) {
+    const saved = await this.getOwnedPrompt(userId, promptId);
+    saved.useCount += 1;
+    saved.lastUsedAt = new Date().toISOString();
+    return saved.save();
+  }
+}
+
+export default new GenerationHistoryService();
@@ -0,0 +1,311 @@
+/**
+ * Generation Lineage Service
+ * Iterates on generated tracks: variations of a track, extensions that
+ * continue its audio, and regenerations that follow a reference melody.
+ * Every result is saved as a draft MusicNFT whose aiGeneration links it to
+ * the track it came from, so the creative history can be shown and minted.
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import MusicNFT from '../models/MusicNFT.js';
+import aiService from './aiService.js';
+import audioAnalysisService from './audioAnalysisService.js';
+import { isLocalUploadUrl, resolveLocalUpload } from '../utils/localUploads.js';
+
+export const LINEAGE_OPERATIONS = ['generate', 'variation', 'extension', 'regeneration'];
+
+const OPERATION_LABELS = {
+  variation: 'Variation',
+  extension: 'Extended',
+  regeneration: 'Reimagined'
+};
+
+const AUDIO_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  flac: 'audio/flac',
+  m4a: 'audio/mp4'
+};
+
+// Guards against cycles in corrupted lineage data
+const MAX_LINEAGE_DEPTH = 100;
+
+/**
+ * Lineage error carrying an errorHandler-compatible type
+ */
+export const createLineageError = (type, code, message) => {
+  const error = new Error(message);
+  error.type = type;
+  error.code = code;
+  return error;
+};
+
+const userAddress = (user) => user?.flowWallet?.address || user?.address || null;
+
+const randomSeed = () => Math.floor(Math.random() * 0x7fffffff);
+
+class GenerationLineageService {
+  constructor() {
+    this.maxVariations = parseInt(process.env.AI_MAX_VARIATIONS) || 4;
+    this.maxReferenceBytes = 20 * 1024 * 1024;
+  }
+
+  /**
+   * Owners, creators and admins may derive new tracks from a track
+   */
+  canDerive(nft, user) {
+    const address = userAddress(user);
+    return user?.role === 'admin' || Boolean(address && (nft.owner === address || nft.creator === address));
+  }
+
+  canView(nft, user) {
+    return nft.visibility !== 'private' || this.canDerive(nft, user);
+  }
+
+  async loadParent(parentId, user) {
+    const parent = await MusicNFT.findById(parentId);
+    if (!parent || !parent.isActive) {
+      throw createLineageError('NOT_FOUND', 'TRACK_NOT_FOUND', 'Track not found');
+    }
+    if (!this.canDerive(parent, user)) {
+      throw createLineageError('PERMISSION_ERROR', 'ACCESS_DENIED', 'Only the owner or creator can derive new versions of this track');
+    }
+    if (!parent.files?.audio?.url) {
+      throw createLineageError('VALIDATION_ERROR', 'NO_AUDIO', 'Track has no audio to work from');
+    }
+    return parent;
+  }
+
+  /**
+   * Generation parameters of a track, preferring analyzed values over requested ones
+   */
+  parentParameters(parent) {
+    const generation = parent.aiGeneration || {};
+    const parameters = generation.parameters || {};
+    const music = parent.music || {};
+
+    return {
+      prompt: generation.prompt || parameters.prompt || parent.title,
+      genre: parameters.genre || music.genre || undefined,
+      mood: parameters.mood || music.mood || undefined,
+      bpm: music.bpm || parameters.bpm || undefined,
+      key: music.key || parameters.key || undefined,
+      duration: music.duration || parameters.duration || 30,
+      seed: parameters.seed
+    };
+  }
+
+  /**
+   * Conditioning for a provider request; local uploads are passed as file
+   * contents since providers cannot reach them
+   */
+  async loadConditioning(mode, audioUrl, { bpm, key } = {}) {
+    const conditioning = { mode, audioUrl, bpm, key };
+
+    if (isLocalUploadUrl(audioUrl)) {
+      let filePath;
+      try {
+        filePath = resolveLocalUpload(audioUrl);
+        conditioning.audio = await fsp.readFile(filePath);
+      } catch (error) {
+        throw createLineageError('VALIDATION_ERROR', 'AUDIO_FETCH_FAILED', `Failed to read track audio: ${error.message}`);
+      }
+      const extension = path.extname(filePath).slice(1).toLowerCase();
+      conditioning.mimeType = AUDIO_MIME_TYPES[extension] || 'audio/mpeg';
+    }
+
+    return conditioning;
+  }
+
+  /**
+   * Generate N variations of a track with fresh seeds
+   * @param {string} parentId - MusicNFT id
+   * @param {Object} options - { count, prompt, provider, user }
+   */
+  async createVariations(parentId, { count = 2, prompt, provider, user } = {}) {
+    if (!Number.isInteger(count) || count < 1 || count > this.maxVariations) {
+      throw createLineageError('VALIDATION_ERROR', 'INVALID_COUNT', `Variation count must be between 1 and ${this.maxVariations}`);
+    }
+
+    const parent = await this.loadParent(parentId, user);
+    const base = { ...this.parentParameters(parent), ...(prompt ? { prompt } : {}) };
+
+    // One at a time so a request never holds several provider jobs at once
+    const variations = [];
+    for (let index = 0; index < count; index++) {
+      const parameters = { ...base, seed: randomSeed() };
+      variations.push(await this.generateDerivative(parent, 'variation', parameters, { provider, user }));
+    }
+    return variations;
+  }
+
+  /**
+   * Continue a track's audio for `duration` more seconds
+   * @param {string} parentId - MusicNFT id
+   * @param {Object} options - { duration, prompt, provider, user }
+   */
+  async extendTrack(parentId, { duration = 15, prompt, provider, user } = {}) {
+    if (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0) {
+      throw createLineageError('VALIDATION_ERROR', 'INVALID_DURATION', 'Extension duration must be a positive number of seconds');
+    }
+
+    const parent = await this.loadParent(parentId, user);
+    const base = this.parentParameters(parent);
+    const conditioning = await this.loadConditioning('continuation', parent.files.audio.url, base);
+
+    // Providers return the original audio followed by the continuation
+    const parameters = {
+      ...base,
+      ...(prompt ? { prompt } : {}),
+      duration: base.duration + duration,
+      extendedBy: duration
+    };
+    return this.generateDerivative(parent, 'extension', parameters, { provider, user, conditioning });
+  }
+
+  /**
+   * Regenerate a track following a reference melody: an uploaded file, or the track's own audio
+   * @param {string} parentId - MusicNFT id
+   * @param {Object} options - { prompt, reference: { audio, mimeType }, provider, user }
+   */
+  async regenerate(parentId, { prompt, reference, provider, user } = {}) {
+    const parent = await this.loadParent(parentId, user);
+    const base = this.parentParameters(parent);
+    const parameters = { ...base, ...(prompt ? { prompt } : {}), seed: randomSeed() };
+
+    let conditioning;
+    if (reference?.audio) {
+      if (!Buffer.isBuffer(reference.audio) || reference.audio.length === 0) {
+        throw createLineageError('VALIDATION_ERROR', 'INVALID_REFERENCE', 'Reference audio is empty');
+      }
+      if (reference.audio.length > this.maxReferenceBytes) {
+        throw createLineageError('VALIDATION_ERROR', 'INVALID_REFERENCE', 'Reference audio exceeds the maximum size');
+      }
+
+      // Tempo and key of the reference guide providers that cannot listen to it
+      let analysis = null;
+      try {
+        analysis = await audioAnalysisService.analyzeBuffer(reference.audio);
+      } catch (error) {
+        console.warn('Reference audio analysis failed:', error.message);
+      }
+
+      conditioning = {
+        mode: 'melody',
+        audio: reference.audio,
+        mimeType: reference.mimeType || 'audio/mpeg',
+        bpm: analysis?.tempo ? Math.round(analysis.tempo.bpm) : undefined,
+        key: analysis?.key?.name
+      };
+      parameters.bpm = conditioning.bpm ?? parameters.bpm;
+      parameters.key = conditioning.key || parameters.key;
+      parameters.reference = { source: 'upload', mimeType: conditioning.mimeType, size: reference.audio.length };
+    } else {
+      conditioning = await this.loadConditioning('melody', parent.files.audio.url, base);
+      parameters.reference = { source: 'parent' };
+    }
+
+    return this.generateDerivative(parent, 'regeneration', parameters, { provider, user, conditioning });
+  }
+
+  /**
+   * Run a generation and save the result as a draft linked to its parent
+   */
+  async generateDerivative(parent, operation, parameters, { provider, user, conditioning } = {}) {
+    const { prompt, genre, mood, bpm, key, duration, seed } = parameters;
+    const startedAt = Date.now();
+
+    const result = await aiService.generateMusic({
+      prompt,
+      duration,
+      genre,
+      mood,
+      bpm,
+      key,
+      seed,
+      conditioning,
+      provider
+    });
+
+    const address = userAddress(user) || parent.owner;
+    const format = result.metadata.format || result.audioUrl.split(/[?#]/)[0].match(/\.(mp3|wav|flac|m4a)$/i)?.[1].toLowerCase() || 'mp3';
+
+    const nft = new MusicNFT({
+      title: `${parent.title} (${OPERATION_LABELS[operation]})`,
+      description: parent.description,
+      creator: address,
+      owner: address,
+      music: {
+        duration,
+        genre: genre || result.metadata.genre || '',
+        bpm: result.metadata.bpm || bpm || 0,
+        key: result.metadata.key || key || '',
+        mood: mood || '',
+        instruments: parent.music?.instruments || [],
+        tags: parent.music?.tags || []
+      },
+      aiGeneration: {
+        prompt,
+        model: result.model,
+        provider: result.provider,
+        parameters: {
+          ...parameters,
+          conditioning: conditioning?.mode || null,
+          fallbackFrom: result.metadata.fallbackFrom || null
+        },
+        parentId: parent.id,
+        rootId: parent.aiGeneration?.rootId || parent.id,
+        operation,
+        generatedAt: result.metadata.generatedAt,
+        processingTime: Date.now() - startedAt,
+        version: '1.0'
+      },
+      files: {
+        audio: { ipfsHash: '', url: result.audioUrl, format, size: 0, quality: 'high' },
+        cover: { ...parent.files.cover },
+        metadata: { ipfsHash: '', url: '' }
+      },
+      status: 'draft',
+      visibility: 'private',
+      category: parent.category,
+      tags: [...parent.tags],
+      language: parent.language
+    });
+    await nft.save();
+
+    console.log(`🧬 ${operation} of ${parent.id} saved as draft ${nft.id}`);
+    return nft;
+  }
+
+  /**
+   * A track with its ancestors (root first) and the tracks derived from it
+   */
+  async getLineage(id, user) {
+    const track = await MusicNFT.findById(id);
+    if (!track || !track.isActive || !this.canView(track, user)) {
+      throw createLineageError('NOT_FOUND', 'TRACK_NOT_FOUND', 'Track not found');
+    }
+
+    const ancestors = [];
+    const seen = new Set([track.id]);
+    let parentId = track.aiGeneration?.parentId;
+    while (parentId && !seen.has(parentId) && ancestors.length < MAX_LINEAGE_DEPTH) {
+      seen.add(parentId);
+      const parent = await MusicNFT.findById(parentId);
+      if (!parent) break;
+      ancestors.unshift(parent);
+      parentId = parent.aiGeneration?.parentId;
+    }
+
+    const derivatives = await MusicNFT.findDerivatives(track.id);
+
+    return {
+      track,
+      ancestors: ancestors.filter(nft => this.canView(nft, user)),
+      derivatives: derivatives.filter(nft => nft.isActive && this.canView(nft, user))
+    };
+  }
+}
+
+export default new GenerationLineageService();
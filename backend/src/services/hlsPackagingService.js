@@ -0,0 +1,278 @@
+/**
+ * HLS 打包服务
+ * 将音轨转码为多码率 AAC 渲染版本并切分为 HLS 分片，按会话等级生成主播放列表
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import database from '../config/database.js';
+import AudioStreamingService, { createStreamError } from './audioStreamingService.js';
+import logger from '../utils/logger.js';
+
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+// 渲染版本按码率从低到高排列；播放列表中的顺序即为 ABR 的候选顺序
+export const HLS_RENDITIONS = {
+  aac_64: { bitrate: 64, sampleRate: 44100 },
+  aac_128: { bitrate: 128, sampleRate: 44100 },
+  aac_256: { bitrate: 256, sampleRate: 48000 },
+  aac_320: { bitrate: 320, sampleRate: 48000 }
+};
+
+const AAC_CODEC = 'mp4a.40.2';
+const SEGMENT_PATTERN = /^seg_\d{3,}\.ts$/;
+
+/**
+ * 解析 ffmpeg 生成的媒体播放列表，返回分片文件名与时长
+ */
+export const parseMediaPlaylist = (content) => {
+  const segments = [];
+  let pendingDuration = null;
+
+  for (const line of content.split(/\r?\n/).map(l => l.trim())) {
+    if (line.startsWith('#EXTINF:')) {
+      pendingDuration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line && !line.startsWith('#') && pendingDuration !== null) {
+      segments.push({ uri: line, duration: pendingDuration });
+      pendingDuration = null;
+    }
+  }
+
+  return segments;
+};
+
+class HlsPackagingService {
+  constructor() {
+    this.db = database;
+    this.audioService = new AudioStreamingService();
+    this.outputDir = path.join(process.cwd(), 'uploads', 'hls');
+    this.segmentDuration = parseInt(process.env.HLS_SEGMENT_DURATION) || 6;
+    this.queue = Promise.resolve();
+    this.pending = new Map();
+  }
+
+  manifestKey(trackId) {
+    return `hls:track:${trackId}`;
+  }
+
+  async getManifest(trackId) {
+    const data = await this.db.get(this.manifestKey(trackId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  async saveManifest(trackId, manifest) {
+    await this.db.set(this.manifestKey(trackId), JSON.stringify(manifest));
+    return manifest;
+  }
+
+  /**
+   * 加入打包队列（串行执行，避免多个 ffmpeg 进程同时占用CPU）；同一音轨重复入队时复用同一任务
+   */
+  queuePackaging(trackId) {
+    if (this.pending.has(trackId)) {
+      return this.pending.get(trackId);
+    }
+
+    const job = this.queue
+      .then(() => this.packageTrack(trackId))
+      .finally(() => this.pending.delete(trackId));
+
+    // 队列本身不因单个任务失败而中断
+    this.queue = job.catch(() => {});
+    this.pending.set(trackId, job);
+    return job;
+  }
+
+  /**
+   * 打包音轨的全部渲染版本并写入清单
+   */
+  async packageTrack(trackId) {
+    const startedAt = new Date().toISOString();
+    await this.saveManifest(trackId, { trackId, status: 'processing', startedAt });
+
+    try {
+      const source = await this.audioService.resolveAudioFile(trackId);
+      const trackDir = path.join(this.outputDir, trackId);
+      await fsp.rm(trackDir, { recursive: true, force: true });
+
+      const renditions = {};
+      for (const [id, rendition] of Object.entries(HLS_RENDITIONS)) {
+        const renditionDir = path.join(trackDir, id);
+        await fsp.mkdir(renditionDir, { recursive: true });
+        await this.transcodeRendition(source.path, renditionDir, rendition);
+
+        const playlist = await fsp.readFile(path.join(renditionDir, 'index.m3u8'), 'utf8');
+        const segments = parseMediaPlaylist(playlist);
+        if (segments.length === 0) {
+          throw createStreamError('VALIDATION_ERROR', 'HLS_EMPTY_RENDITION', `Rendition ${id} produced no segments`);
+        }
+
+        renditions[id] = {
+          bitrate: rendition.bitrate,
+          bandwidth: rendition.bitrate * 1000,
+          codecs: AAC_CODEC,
+          segments
+        };
+      }
+
+      const duration = renditions.aac_64.segments.reduce((total, segment) => total + segment.duration, 0);
+      const manifest = await this.saveManifest(trackId, {
+        trackId,
+        status: 'ready',
+        segmentDuration: this.segmentDuration,
+        duration,
+        renditions,
+        startedAt,
+        packagedAt: new Date().toISOString()
+      });
+
+      logger.info(`HLS packaging completed for track ${trackId}`);
+      return manifest;
+    } catch (error) {
+      logger.error(`HLS packaging failed for track ${trackId}:`, error.message);
+      await this.saveManifest(trackId, {
+        trackId,
+        status: 'failed',
+        error: error.message,
+        startedAt,
+        failedAt: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 转码单个渲染版本为 VOD HLS（MPEG-TS 分片）
+   */
+  transcodeRendition(inputPath, renditionDir, rendition) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noVideo()
+        .audioCodec('aac')
+        .audioBitrate(rendition.bitrate)
+        .audioChannels(2)
+        .audioFrequency(rendition.sampleRate)
+        .outputOptions([
+          '-f hls',
+          `-hls_time ${this.segmentDuration}`,
+          '-hls_playlist_type vod',
+          `-hls_segment_filename ${path.join(renditionDir, 'seg_%03d.ts')}`
+        ])
+        .output(path.join(renditionDir, 'index.m3u8'))
+        .on('end', () => resolve())
+        .on('error', reject)
+        .run();
+    });
+  }
+
+  /**
+   * 获取已就绪的清单，未就绪时抛出 HLS_NOT_READY
+   */
+  async getReadyManifest(trackId) {
+    const manifest = await this.getManifest(trackId);
+    if (!manifest || manifest.status !== 'ready') {
+      throw createStreamError('NOT_FOUND', 'HLS_NOT_READY', 'HLS renditions are not ready for this track');
+    }
+    return manifest;
+  }
+
+  /**
+   * 校验渲染版本存在且在会话等级允许范围内
+   */
+  getEntitledRendition(manifest, renditionId, config) {
+    const rendition = manifest.renditions[renditionId];
+    if (!rendition) {
+      throw createStreamError('NOT_FOUND', 'RENDITION_NOT_FOUND', `Unknown rendition: ${renditionId}`);
+    }
+    if (!config.renditions.includes(renditionId)) {
+      throw createStreamError('PERMISSION_ERROR', 'RENDITION_NOT_ALLOWED', `Rendition ${renditionId} requires a higher subscription tier`);
+    }
+    return rendition;
+  }
+
+  /**
+   * 预览限制内可播放的分片：起始时间早于 maxDuration 的分片
+   */
+  getPlayableSegments(rendition, config) {
+    if (!config.maxDuration) return rendition.segments;
+
+    const playable = [];
+    let start = 0;
+    for (const segment of rendition.segments) {
+      if (start >= config.maxDuration) break;
+      playable.push(segment);
+      start += segment.duration;
+    }
+    return playable;
+  }
+
+  /**
+   * 主播放列表：只列出会话等级可用的渲染版本
+   */
+  buildMasterPlaylist(manifest, config, query = '') {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+    for (const [id, rendition] of Object.entries(manifest.renditions)) {
+      if (!config.renditions.includes(id)) continue;
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},CODECS="${rendition.codecs}"`);
+      lines.push(`${id}/index.m3u8${query}`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * 媒体播放列表：分片URI附带会话参数，预览等级截断到预览时长
+   */
+  buildMediaPlaylist(manifest, renditionId, config, query = '') {
+    const rendition = this.getEntitledRendition(manifest, renditionId, config);
+    const segments = this.getPlayableSegments(rendition, config);
+    const targetDuration = Math.ceil(Math.max(...segments.map(segment => segment.duration)));
+
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${targetDuration}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD'
+    ];
+    for (const segment of segments) {
+      lines.push(`#EXTINF:${segment.duration.toFixed(6)},`);
+      lines.push(`${segment.uri}${query}`);
+    }
+    lines.push('#EXT-X-ENDLIST');
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * 解析分片文件路径；不在播放列表内（含超出预览）的分片一律拒绝
+   */
+  async resolveSegment(trackId, renditionId, segmentName, config) {
+    if (!SEGMENT_PATTERN.test(segmentName)) {
+      throw createStreamError('VALIDATION_ERROR', 'INVALID_SEGMENT', 'Invalid segment name');
+    }
+
+    const manifest = await this.getReadyManifest(trackId);
+    const rendition = this.getEntitledRendition(manifest, renditionId, config);
+
+    if (!rendition.segments.some(segment => segment.uri === segmentName)) {
+      throw createStreamError('NOT_FOUND', 'SEGMENT_NOT_FOUND', 'Segment not found');
+    }
+    if (!this.getPlayableSegments(rendition, config).some(segment => segment.uri === segmentName)) {
+      throw createStreamError('PERMISSION_ERROR', 'PREVIEW_LIMIT_EXCEEDED', 'Segment is beyond the preview duration');
+    }
+
+    const segmentPath = path.join(this.outputDir, trackId, renditionId, segmentName);
+    try {
+      await fsp.access(segmentPath);
+    } catch {
+      throw createStreamError('NOT_FOUND', 'SEGMENT_NOT_FOUND', 'Segment file not found');
+    }
+    return segmentPath;
+  }
+}
+
+export default new HlsPackagingService();
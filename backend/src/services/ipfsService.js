@@ -10,9 +10,12 @@ import axios from 'axios';
 import FormData from 'form-data';
 import fs from 'fs';
 import path from 'path';
+import { isLocalUploadUrl, resolveLocalUpload } from '../utils/localUploads.js';
 
 class IPFSService {
   constructor() {
+    this.uploadsDir = path.join(process.cwd(), 'uploads');
+
     // Initialize Pinata only if JWT is provided
     if (process.env.PINATA_JWT && process.env.PINATA_JWT !== 'your_pinata_jwt_here') {
       try {
@@ -161,6 +164,24 @@ class IPFSService {
     }
   }
 
+  /**
+   * Read audio from a URL; server-relative /uploads/ URLs (offline generations) are read from disk
+   */
+  async fetchAudio(audioUrl) {
+    if (isLocalUploadUrl(audioUrl)) {
+      return fs.promises.readFile(resolveLocalUpload(audioUrl, this.uploadsDir));
+    }
+
+    const response = await axios.get(audioUrl, {
+      responseType: 'arraybuffer',
+      timeout: 120000, // 2 minutes timeout
+      headers: {
+        'User-Agent': 'FlowTune-Bot/1.0'
+      }
+    });
+    return Buffer.from(response.data);
+  }
+
   /**
    * Upload audio file from URL to IPFS with retry mechanism
    */
@@ -172,15 +193,7 @@ class IPFSService {
         console.log(`📦 Downloading and uploading audio from: ${audioUrl} (Attempt ${attempt}/${maxRetries})`);
         
         // Download the audio file with extended timeout
-        const response = await axios.get(audioUrl, {
-          responseType: 'arraybuffer',
-          timeout: 120000, // 2 minutes timeout
-          headers: {
-            'User-Agent': 'FlowTune-Bot/1.0'
-          }
-        });
-        
-        const audioBuffer = Buffer.from(response.data);
+        const audioBuffer = await this.fetchAudio(audioUrl);
         console.log(`📊 Downloaded audio file: ${audioBuffer.length} bytes`);
         
         // Validate audio file size
@@ -254,10 +267,13 @@ class IPFSService {
         audioHash,
         coverImageUrl,
         coverImageHash,
+        coverThumbnails = [],
         genre,
         duration,
         aiModel,
+        aiProvider,
         prompt,
+        lineage,
         royalties = []
       } = params;
 
@@ -286,6 +302,10 @@ class IPFSService {
             trait_type: "AI Model",
             value: aiModel
           },
+          ...(aiProvider ? [{
+            trait_type: "AI Provider",
+            value: aiProvider
+          }] : []),
           {
             trait_type: "Generated",
             value: true
@@ -304,12 +324,23 @@ class IPFSService {
           },
           cover: {
             url: coverImageUrl || `https://gateway.pinata.cloud/ipfs/${coverImageHash}`,
-            hash: coverImageHash
+            hash: coverImageHash,
+            // Smaller renders of a generated cover: [{ size, hash, url }]
+            ...(coverThumbnails.length ? { thumbnails: coverThumbnails } : {})
           },
           generation: {
             aiModel: aiModel,
+            aiProvider: aiProvider || null,
             prompt: prompt,
-            generatedAt: new Date().toISOString()
+            generatedAt: new Date().toISOString(),
+            // Set when the track was derived from another (variation, extension, regeneration)
+            ...(lineage?.parentId ? {
+              lineage: {
+                parentId: lineage.parentId,
+                rootId: lineage.rootId || lineage.parentId,
+                operation: lineage.operation
+              }
+            } : {})
           },
           royalties: royalties,
           playCount: 0,
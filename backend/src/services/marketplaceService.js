@@ -0,0 +1,213 @@
+/**
+ * Marketplace Service
+ * Shared ownership-transfer path for fixed-price sales, auctions and offers.
+ * Secondary sales pay the creator and collaborators their royalty cuts out
+ * of the price, in the purchase transaction and in the royalty ledger.
+ */
+
+import Database from '../config/database.js';
+import MusicNFT from '../models/MusicNFT.js';
+import royaltySplitService, { describeSaleQuote } from './royaltySplitService.js';
+import royaltyLedgerService from './royaltyLedgerService.js';
+import { formatAmount, parseAmount } from '../utils/fixedPoint.js';
+import logger from '../utils/logger.js';
+
+// 动态导入flowService以避免在.env加载前初始化
+const getFlowService = async () => {
+  const { default: flowService } = await import('../services/flowService.js');
+  return flowService;
+};
+
+// Flow amounts carry 8 decimal places (UFix64); compare them as integers
+export const toUnits = (amount) => Math.round(parseFloat(amount || 0) * 1e8);
+export const fromUnits = (units) => (units / 1e8).toString();
+
+// NFTs with a sale whose royalty posting failed and waits to be posted again
+const PENDING_ROYALTIES_KEY = 'market:pending_royalties';
+
+/**
+ * Build a marketplace error carrying the error type understood by errorHandler
+ */
+export const createMarketError = (type, code, message) => {
+  const error = new Error(message);
+  error.type = type;
+  error.code = code;
+  return error;
+};
+
+class MarketplaceService {
+  constructor() {
+    this.locks = new Map();
+  }
+
+  /**
+   * Serialize market operations (bids, offers, settlements) per NFT
+   */
+  async withLock(nftId, task) {
+    const previous = this.locks.get(nftId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.locks.set(nftId, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(nftId) === current) {
+        this.locks.delete(nftId);
+      }
+    }
+  }
+
+  /**
+   * What a sale at this price pays in royalties, as shown to the buyer
+   */
+  async quotePurchase(nft, { price, currency } = {}) {
+    const quote = await royaltySplitService.quoteSale(nft, {
+      price: (price ?? nft.market.price).toString(),
+      currency: currency || nft.market.currency
+    });
+    return describeSaleQuote(quote);
+  }
+
+  /**
+   * Execute the on-chain purchase and move the NFT to its new owner
+   */
+  async transferOwnership(nft, { buyer, price, currency, saleType = 'fixed' }) {
+    const flowService = await getFlowService();
+    const salePrice = price.toString();
+    const saleCurrency = currency || nft.market.currency || 'FLOW';
+    const quote = await royaltySplitService.quoteSale(nft, { price: salePrice, currency: saleCurrency });
+    const fees = describeSaleQuote(quote);
+
+    const purchaseResult = await flowService.purchaseNFT({
+      tokenId: nft.blockchain.tokenId,
+      price: salePrice,
+      seller: nft.owner,
+      buyer,
+      currency: saleCurrency,
+      royalties: quote.cuts.map(cut => ({
+        recipient: cut.payTo,
+        amount: formatAmount(cut.amount),
+        role: cut.role,
+        description: cut.settled ? cut.recipient : `held for ${cut.account}`
+      })),
+      sellerProceeds: fees.sellerProceeds
+    });
+
+    if (!purchaseResult.success) {
+      throw createMarketError('FLOW_ERROR', 'PURCHASE_FAILED', purchaseResult.error || 'Purchase transaction failed');
+    }
+
+    // The sale is on chain now; a failed ledger post is kept on the sale as
+    // pending rather than failing the purchase, and retrySaleRoyalties posts it
+    let royaltyPosting = null;
+    if (quote.cuts.length > 0) {
+      try {
+        await royaltyLedgerService.recordSaleRoyalties({
+          saleId: purchaseResult.transactionHash,
+          trackId: nft.id,
+          cuts: quote.cuts,
+          buyer,
+          seller: nft.owner,
+          price: salePrice
+        });
+      } catch (error) {
+        logger.error(`Failed to post sale royalties for NFT ${nft.id} (${purchaseResult.transactionHash}):`, error);
+        royaltyPosting = { status: 'pending', cuts: quote.cuts, error: error.message };
+      }
+    }
+
+    // Update NFT ownership and market status
+    const previousOwner = nft.owner;
+    nft.owner = buyer;
+    nft.market.isForSale = false;
+    nft.market.lastSalePrice = salePrice;
+    nft.market.lastSaleDate = new Date();
+    nft.market.price = '0';
+    nft.market.listedAt = null;
+
+    // Add to sales history
+    if (!nft.market.salesHistory) {
+      nft.market.salesHistory = [];
+    }
+    nft.market.salesHistory.push({
+      price: salePrice,
+      currency: saleCurrency,
+      seller: previousOwner,
+      buyer,
+      saleType,
+      royaltyTotal: fees.royaltyTotal,
+      royaltyPosting,
+      date: new Date(),
+      transactionHash: purchaseResult.transactionHash
+    });
+
+    // Update analytics: the track earns its royalties, the seller keeps the rest
+    nft.analytics.totalEarnings = formatAmount(parseAmount(nft.analytics.totalEarnings || '0') + quote.royaltyTotal);
+    nft.analytics.totalSellerProceeds = formatAmount(parseAmount(nft.analytics.totalSellerProceeds || '0') + quote.sellerProceeds);
+
+    await nft.save();
+    if (royaltyPosting) {
+      await Database.sadd(PENDING_ROYALTIES_KEY, nft.id);
+    }
+
+    logger.info(`💰 NFT ${nft.blockchain.tokenId} sold to ${buyer} for ${salePrice} ${saleCurrency} (${saleType}), royalties ${fees.royaltyTotal}`);
+
+    return {
+      transactionHash: purchaseResult.transactionHash,
+      price: salePrice,
+      currency: saleCurrency,
+      previousOwner,
+      newOwner: buyer,
+      fees,
+      isMock: purchaseResult.isMock || false
+    };
+  }
+
+  /**
+   * Post the royalties of sales whose ledger posting failed. Each sale is
+   * posted once in the ledger, so posting one again is safe.
+   * @returns {Promise<Array<string>>} Transaction hashes of the sales posted
+   */
+  async retrySaleRoyalties() {
+    const posted = [];
+
+    for (const nftId of await Database.smembers(PENDING_ROYALTIES_KEY)) {
+      await this.withLock(nftId, async () => {
+        const nft = await MusicNFT.findById(nftId);
+        const pending = (nft?.market.salesHistory || []).filter(sale => sale.royaltyPosting?.status === 'pending');
+
+        for (const sale of pending) {
+          try {
+            await royaltyLedgerService.recordSaleRoyalties({
+              saleId: sale.transactionHash,
+              trackId: nft.id,
+              cuts: sale.royaltyPosting.cuts,
+              buyer: sale.buyer,
+              seller: sale.seller,
+              price: sale.price
+            });
+            sale.royaltyPosting = { status: 'posted', postedAt: new Date().toISOString() };
+            posted.push(sale.transactionHash);
+          } catch (error) {
+            sale.royaltyPosting.error = error.message;
+            logger.error(`Failed to repost sale royalties for NFT ${nftId} (${sale.transactionHash}):`, error);
+          }
+        }
+
+        if (pending.length > 0) {
+          await nft.save();
+        }
+        if (pending.every(sale => sale.royaltyPosting.status === 'posted')) {
+          await Database.srem(PENDING_ROYALTIES_KEY, nftId);
+        }
+      });
+    }
+
+    if (posted.length > 0) {
+      logger.info(`Sale royalties reposted for ${posted.length} sales`);
+    }
+    return posted;
+  }
+}
+
+export default new MarketplaceService();
@@ -0,0 +1,90 @@
+/**
+ * Fake Music Provider
+ * Deterministic in-process provider for tests and offline development.
+ * Generations finish after a configurable number of polls and can be made
+ * to fail; every request is recorded for assertions.
+ */
+
+import MusicProvider, { FINISHED_GENERATION_STATUSES } from './musicProvider.js';
+
+export default class FakeProvider extends MusicProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] - Registry name (several fakes can be registered)
+   * @param {string} [options.model]
+   * @param {Object} [options.capabilities]
+   * @param {number} [options.pollsUntilDone] - Polls before a generation finishes (0 = at once)
+   * @param {string|null} [options.failWith] - Error message to fail generations with
+   * @param {boolean} [options.available]
+   */
+  constructor({
+    name = 'fake',
+    model = 'fake-musicgen-v1',
+    capabilities = {},
+    pollsUntilDone = 0,
+    failWith = null,
+    available = true
+  } = {}) {
+    super(name, { model, capabilities: { maxDuration: 120, stereo: true, conditioning: ['continuation', 'melody'], ...capabilities } });
+    this.pollsUntilDone = pollsUntilDone;
+    this.failWith = failWith;
+    this.available = available;
+    this.generations = new Map();
+    this.requests = [];
+  }
+
+  isAvailable() {
+    return this.available;
+  }
+
+  toHandle(id) {
+    const generation = this.generations.get(id);
+    return {
+      id,
+      status: generation.status,
+      audioUrl: generation.status === 'succeeded' ? `https://fake-audio.flowtune.local/${id}.mp3` : null,
+      error: generation.error
+    };
+  }
+
+  settle(generation) {
+    generation.status = generation.failWith ? 'failed' : 'succeeded';
+    generation.error = generation.failWith;
+  }
+
+  async generate(request) {
+    const id = `${this.name}_${this.requests.length + 1}`;
+    this.requests.push(request);
+
+    const generation = { status: 'running', error: null, polls: 0, failWith: this.failWith };
+    if (this.pollsUntilDone === 0) this.settle(generation);
+    this.generations.set(id, generation);
+
+    return this.toHandle(id);
+  }
+
+  async poll(id) {
+    const generation = this.generations.get(id);
+    if (!generation) {
+      throw new Error(`Unknown generation ${id}`);
+    }
+
+    if (!FINISHED_GENERATION_STATUSES.includes(generation.status)) {
+      generation.polls += 1;
+      if (generation.polls >= this.pollsUntilDone) this.settle(generation);
+    }
+    return this.toHandle(id);
+  }
+
+  async cancel(id) {
+    const generation = this.generations.get(id);
+    if (!generation) {
+      throw new Error(`Unknown generation ${id}`);
+    }
+
+    if (!FINISHED_GENERATION_STATUSES.includes(generation.status)) {
+      generation.status = 'cancelled';
+    }
+    return this.toHandle(id);
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Music provider registry
+ * AI_MUSIC_PROVIDERS lists the enabled providers in order of preference
+ * (default: replicate). AI_MOCK_FALLBACK=true keeps the mock provider as a
+ * fallback for when the enabled providers fail; it is never used otherwise.
+ */
+
+import MusicProvider, { createProviderError } from './musicProvider.js';
+import ReplicateProvider from './replicateProvider.js';
+import MockProvider from './mockProvider.js';
+import FakeProvider from './fakeProvider.js';
+
+export const MUSIC_PROVIDERS = ['replicate', 'mock', 'fake'];
+
+export const createMusicProvider = (name, options = {}) => {
+  switch (name) {
+    case 'replicate':
+      return new ReplicateProvider(options);
+    case 'mock':
+      return new MockProvider(options);
+    case 'fake':
+      return new FakeProvider(options);
+    default:
+      throw new Error(`Unknown music provider "${name}" (expected one of: ${MUSIC_PROVIDERS.join(', ')})`);
+  }
+};
+
+export class MusicProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.fallback = null;
+  }
+
+  /**
+   * Add a provider; registration order is selection order
+   */
+  register(provider) {
+    if (!(provider instanceof MusicProvider)) {
+      throw new Error('Music providers must extend MusicProvider');
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  /**
+   * Provider used when generation with the selected provider fails
+   */
+  setFallback(provider) {
+    this.fallback = provider;
+  }
+
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Pick the provider for a request: the one it names, otherwise the first
+   * available provider whose capabilities fit
+   * @param {Object} request - { provider, duration, genre, stereo, format }
+   */
+  select({ provider: name, ...request } = {}) {
+    if (name) {
+      const provider = this.get(name);
+      if (!provider) {
+        throw createProviderError('UNKNOWN_PROVIDER', `Unknown music provider "${name}" (enabled: ${this.list().map(p => p.name).join(', ') || 'none'})`, { type: 'VALIDATION_ERROR' });
+      }
+      if (!provider.isAvailable()) {
+        throw createProviderError('PROVIDER_UNAVAILABLE', `Music provider ${name} is not configured`, { provider: name });
+      }
+      const problems = provider.checkRequest(request);
+      if (problems.length > 0) {
+        throw createProviderError('UNSUPPORTED_REQUEST', `Music provider ${name} cannot serve this request: ${problems.join('; ')}`, {
+          type: 'VALIDATION_ERROR',
+          provider: name,
+          details: problems
+        });
+      }
+      return provider;
+    }
+
+    const candidates = this.list();
+    const match = candidates.find(provider => provider.isAvailable() && provider.supports(request));
+    if (match) return match;
+
+    const details = candidates.map(provider => (
+      provider.isAvailable()
+        ? `${provider.name}: ${provider.checkRequest(request).join('; ')}`
+        : `${provider.name}: not configured`
+    ));
+    throw createProviderError('NO_PROVIDER_AVAILABLE', 'No enabled music provider can serve this request', { details });
+  }
+}
+
+/**
+ * Registry with the providers enabled by configuration
+ */
+export const createMusicProviderRegistry = ({
+  providers = (process.env.AI_MUSIC_PROVIDERS || 'replicate').split(','),
+  mockFallback = process.env.AI_MOCK_FALLBACK === 'true'
+} = {}) => {
+  const registry = new MusicProviderRegistry();
+
+  for (const name of providers.map(value => value.trim().toLowerCase()).filter(Boolean)) {
+    registry.register(createMusicProvider(name));
+  }
+  if (mockFallback) {
+    registry.setFallback(registry.get('mock') || createMusicProvider('mock'));
+  }
+
+  return registry;
+};
+
+export { MusicProvider, ReplicateProvider, MockProvider, FakeProvider };
+export { createProviderError, CONDITIONING_MODES, GENERATION_STATUSES, FINISHED_GENERATION_STATUSES } from './musicProvider.js';
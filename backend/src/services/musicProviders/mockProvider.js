@@ -0,0 +1,71 @@
+/**
+ * Mock Music Provider
+ * Renders audio offline with the procedural synthesizer; the same prompt
+ * always yields the same track. Only used when listed in AI_MUSIC_PROVIDERS
+ * or enabled as the fallback with AI_MOCK_FALLBACK=true.
+ *
+ * The synth cannot listen to conditioning audio; it matches the tempo and key
+ * known for it instead. Continuing a track with its own prompt and seed plays
+ * the same arrangement for longer.
+ */
+
+import MusicProvider from './musicProvider.js';
+import musicSynthService from '../musicSynthService.js';
+
+const MAX_TRACKED_GENERATIONS = 1000;
+
+export default class MockProvider extends MusicProvider {
+  constructor() {
+    super('mock', {
+      model: 'flowtune-synth-v1',
+      capabilities: { minDuration: 1, maxDuration: 300, stereo: true, formats: ['wav', 'mp3'], conditioning: ['continuation', 'melody'] }
+    });
+    this.generations = new Map();
+  }
+
+  async generate({ prompt, duration, genre, mood, bpm, key, format, seed, conditioning }) {
+    const rendered = await musicSynthService.renderToFile({
+      prompt,
+      duration,
+      genre,
+      mood,
+      bpm: bpm ?? conditioning?.bpm,
+      key: key || conditioning?.key,
+      format: format || 'wav',
+      seed
+    });
+    const { arrangement } = rendered;
+
+    const handle = {
+      id: rendered.id,
+      status: 'succeeded',
+      audioUrl: rendered.url,
+      error: null,
+      metadata: {
+        format: rendered.format,
+        bpm: arrangement.bpm,
+        key: arrangement.key.name,
+        genre: arrangement.genre,
+        progression: arrangement.progression
+      }
+    };
+    this.generations.delete(handle.id);
+    this.generations.set(handle.id, handle);
+    if (this.generations.size > MAX_TRACKED_GENERATIONS) {
+      this.generations.delete(this.generations.keys().next().value);
+    }
+    return handle;
+  }
+
+  async poll(id) {
+    const handle = this.generations.get(id);
+    if (!handle) {
+      throw new Error(`Unknown generation ${id}`);
+    }
+    return handle;
+  }
+
+  async cancel(id) {
+    return this.poll(id);
+  }
+}
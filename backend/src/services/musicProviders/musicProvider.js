@@ -0,0 +1,122 @@
+/**
+ * Music Provider Interface
+ * Contract shared by the AI music generation backends behind aiService
+ *
+ * Generation is asynchronous: generate() starts a job and returns a handle,
+ * poll() reports on it and cancel() stops it. Handles have the shape
+ *   { id, status, audioUrl, error, metadata? }
+ * where status is one of GENERATION_STATUSES and the optional metadata
+ * (e.g. bpm, key) is recorded with the generation.
+ *
+ * Requests can be conditioned on existing audio:
+ *   { mode: 'continuation' | 'melody', audioUrl, audio?, mimeType?, bpm?, key? }
+ * 'continuation' extends the audio, 'melody' follows its melody. audio is the
+ * file contents when audioUrl is not publicly reachable; bpm and key are what
+ * is known about the audio, for providers that cannot listen to it.
+ */
+
+export const CONDITIONING_MODES = ['continuation', 'melody'];
+
+export const GENERATION_STATUSES = ['pending', 'running', 'succeeded', 'failed', 'cancelled'];
+export const FINISHED_GENERATION_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * Build an errorHandler-compatible AI error
+ */
+export const createProviderError = (code, message, { type = 'AI_ERROR', provider = null, details } = {}) => {
+  const error = new Error(message);
+  error.type = type;
+  error.code = code;
+  error.provider = provider;
+  if (details) error.details = details;
+  return error;
+};
+
+export default class MusicProvider {
+  /**
+   * @param {string} name - Registry name, e.g. 'replicate'
+   * @param {Object} options
+   * @param {string} options.model - Model identifier recorded with each generation
+   * @param {Object} [options.capabilities]
+   * @param {number} [options.capabilities.minDuration] - Shortest clip in seconds
+   * @param {number} [options.capabilities.maxDuration] - Longest clip in seconds
+   * @param {Array|null} [options.capabilities.genres] - Supported genres, null for any
+   * @param {boolean} [options.capabilities.stereo] - Whether stereo output is available
+   * @param {Array} [options.capabilities.formats] - Output audio formats
+   * @param {Array} [options.capabilities.conditioning] - Supported CONDITIONING_MODES
+   */
+  constructor(name, { model, capabilities = {} } = {}) {
+    this.name = name;
+    this.model = model || name;
+    this.capabilities = {
+      minDuration: 1,
+      maxDuration: 30,
+      genres: null,
+      stereo: false,
+      formats: ['mp3'],
+      conditioning: [],
+      ...capabilities
+    };
+  }
+
+  /**
+   * Whether the provider is configured (credentials present, enabled)
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Reasons the provider cannot serve a request; empty when it can
+   */
+  checkRequest({ duration, genre, stereo, format, conditioning } = {}) {
+    const { minDuration, maxDuration, genres, formats } = this.capabilities;
+    const problems = [];
+
+    if (duration !== undefined && (duration < minDuration || duration > maxDuration)) {
+      problems.push(`duration must be between ${minDuration} and ${maxDuration} seconds`);
+    }
+    if (genre && genres && !genres.includes(genre.toLowerCase())) {
+      problems.push(`genre ${genre} is not supported`);
+    }
+    if (stereo && !this.capabilities.stereo) {
+      problems.push('stereo output is not supported');
+    }
+    if (format && !formats.includes(format)) {
+      problems.push(`format ${format} is not supported`);
+    }
+    if (conditioning && !this.capabilities.conditioning.includes(conditioning.mode)) {
+      problems.push(`${conditioning.mode} conditioning is not supported`);
+    }
+
+    return problems;
+  }
+
+  supports(request) {
+    return this.checkRequest(request).length === 0;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      model: this.model,
+      available: this.isAvailable(),
+      capabilities: this.capabilities
+    };
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.name} music provider does not implement ${method}()`);
+  }
+
+  /**
+   * Start a generation
+   * @param {Object} request - { prompt, duration, genre, mood, bpm, key, stereo, format, seed, conditioning }
+   * @returns {Promise<Object>} Generation handle
+   */
+  async generate(request) { this.notImplemented('generate'); }
+
+  async poll(id) { this.notImplemented('poll'); }
+
+  async cancel(id) { this.notImplemented('cancel'); }
+}
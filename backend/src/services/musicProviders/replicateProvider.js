@@ -0,0 +1,107 @@
+/**
+ * Replicate Music Provider
+ * Meta MusicGen hosted on Replicate; the model version and variant come from configuration
+ */
+
+import axios from 'axios';
+import MusicProvider from './musicProvider.js';
+
+const DEFAULT_VERSION = '7a76a8258b23fae65c5a22debb8841d1d7e816b75c2f24218cd2bd8573787906';
+
+// Replicate prediction status -> generation status
+const STATUS_MAP = {
+  starting: 'pending',
+  processing: 'running',
+  succeeded: 'succeeded',
+  failed: 'failed',
+  canceled: 'cancelled'
+};
+
+export default class ReplicateProvider extends MusicProvider {
+  constructor(options = {}) {
+    const variant = options.variant || process.env.REPLICATE_MUSICGEN_VARIANT || 'stereo-large';
+
+    super('replicate', {
+      model: `musicgen-${variant}`,
+      capabilities: {
+        minDuration: 1,
+        maxDuration: parseInt(process.env.MAX_GENERATION_DURATION) || 60,
+        stereo: variant.startsWith('stereo'),
+        formats: ['mp3', 'wav'],
+        // Only the melody variants can follow a reference melody
+        conditioning: variant.includes('melody') ? ['continuation', 'melody'] : ['continuation']
+      }
+    });
+
+    this.variant = variant;
+    this.version = options.version || process.env.REPLICATE_MUSICGEN_VERSION || DEFAULT_VERSION;
+    this.token = options.token ?? process.env.REPLICATE_API_TOKEN;
+    this.baseUrl = options.baseUrl || 'https://api.replicate.com/v1';
+  }
+
+  isAvailable() {
+    // .env.example ships placeholder tokens starting with "your_"
+    return Boolean(this.token) && !this.token.startsWith('your_');
+  }
+
+  get headers() {
+    return {
+      'Authorization': `Token ${this.token}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  toHandle(prediction) {
+    const output = Array.isArray(prediction.output) ? prediction.output[0] : prediction.output;
+    return {
+      id: prediction.id,
+      status: STATUS_MAP[prediction.status] || 'running',
+      audioUrl: output || null,
+      error: prediction.error || null
+    };
+  }
+
+  /**
+   * Replicate fetches file inputs by URL, or takes them inline as data URIs
+   */
+  toInputAudio({ audioUrl, audio, mimeType = 'audio/wav' }) {
+    return audio ? `data:${mimeType};base64,${audio.toString('base64')}` : audioUrl;
+  }
+
+  async generate({ prompt, duration = 30, format = 'mp3', seed, conditioning }) {
+    const input = {
+      prompt,
+      model_version: this.variant,
+      output_format: format,
+      normalization_strategy: 'peak',
+      duration
+    };
+    if (seed !== undefined) {
+      input.seed = seed;
+    }
+    if (conditioning) {
+      input.input_audio = this.toInputAudio(conditioning);
+      input.continuation = conditioning.mode === 'continuation';
+    }
+
+    const response = await axios.post(
+      `${this.baseUrl}/predictions`,
+      {
+        version: this.version,
+        input
+      },
+      { headers: this.headers }
+    );
+    return this.toHandle(response.data);
+  }
+
+  async poll(id) {
+    const response = await axios.get(`${this.baseUrl}/predictions/${id}`, { headers: this.headers });
+    return this.toHandle(response.data);
+  }
+
+  async cancel(id) {
+    const response = await axios.post(`${this.baseUrl}/predictions/${id}/cancel`, {}, { headers: this.headers });
+    return this.toHandle(response.data);
+  }
+}
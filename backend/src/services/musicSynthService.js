@@ -0,0 +1,127 @@
+/**
+ * Music Synth Service
+ * Offline procedural generation: renders prompts to WAV or MP3 files under
+ * uploads/generated so the upload/mint pipeline gets real audio without any
+ * network access. Output is deterministic, so renders are cached by request.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { Readable } from 'stream';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import { arrangeTrack, synthesizeTrack, encodeWav, hashSeed } from '../utils/musicSynth.js';
+
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+export const SYNTH_FORMATS = {
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg'
+};
+
+class MusicSynthService {
+  constructor() {
+    this.outputDir = path.join(process.cwd(), 'uploads', 'generated');
+    this.sampleRate = parseInt(process.env.SYNTH_SAMPLE_RATE) || 44100;
+    this.pending = new Map();
+  }
+
+  /**
+   * Stable id for a request; equal requests render identical audio
+   */
+  getGenerationId({ prompt = '', genre, mood, bpm, key, duration = 30, format = 'wav', seed } = {}) {
+    const cacheKey = JSON.stringify([prompt.trim().toLowerCase(), genre || null, mood || null, bpm || null, key || null, duration, format, this.sampleRate, seed ?? null]);
+    return `synth_${hashSeed(cacheKey).toString(16).padStart(8, '0')}`;
+  }
+
+  /**
+   * Render a request to an in-memory audio file
+   * @param {Object} request - { prompt, genre, mood, bpm, key, duration, format, seed }
+   * @returns {Promise<Object>} { id, buffer, format, mimeType, arrangement }
+   */
+  async render(request = {}) {
+    const format = request.format || 'wav';
+    if (!SYNTH_FORMATS[format]) {
+      throw new Error(`Unsupported synth format ${format} (expected one of: ${Object.keys(SYNTH_FORMATS).join(', ')})`);
+    }
+
+    const { arrangement, samples, sampleRate, channels } = synthesizeTrack(request, { sampleRate: this.sampleRate });
+    const wav = encodeWav(samples, { sampleRate, channels });
+
+    return {
+      id: this.getGenerationId({ ...request, format }),
+      buffer: format === 'mp3' ? await this.encodeMp3(wav) : wav,
+      format,
+      mimeType: SYNTH_FORMATS[format],
+      arrangement
+    };
+  }
+
+  /**
+   * Render a request into uploads/generated, reusing an earlier render of the same request
+   * @returns {Promise<Object>} { id, path, url, format, size, arrangement }
+   */
+  async renderToFile(request = {}) {
+    const format = request.format || 'wav';
+    const id = this.getGenerationId({ ...request, format });
+
+    if (!this.pending.has(id)) {
+      const task = this.writeRender(id, { ...request, format })
+        .finally(() => this.pending.delete(id));
+      this.pending.set(id, task);
+    }
+    return this.pending.get(id);
+  }
+
+  async writeRender(id, request) {
+    const filename = `${id}.${request.format}`;
+    const filePath = path.join(this.outputDir, filename);
+    const url = `/uploads/generated/${filename}`;
+
+    try {
+      const stat = await fsp.stat(filePath);
+      if (stat.size > 0) {
+        return { id, path: filePath, url, format: request.format, size: stat.size, arrangement: arrangeTrack(request) };
+      }
+    } catch (error) {
+      // Not rendered yet
+    }
+
+    const rendered = await this.render(request);
+    await fsp.mkdir(this.outputDir, { recursive: true });
+    // Write then rename so readers never see a partial file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fsp.writeFile(tempPath, rendered.buffer);
+    await fsp.rename(tempPath, filePath);
+
+    return { id, path: filePath, url, format: request.format, size: rendered.buffer.length, arrangement: rendered.arrangement };
+  }
+
+  /**
+   * Transcode a WAV buffer to MP3 through ffmpeg
+   */
+  encodeMp3(wavBuffer) {
+    return new Promise((resolve, reject) => {
+      if (!ffmpegStatic || !fs.existsSync(ffmpegStatic)) {
+        reject(new Error('MP3 encoding requires ffmpeg, which is not installed'));
+        return;
+      }
+
+      const chunks = [];
+      const output = ffmpeg(Readable.from([wavBuffer]))
+        .inputFormat('wav')
+        .audioCodec('libmp3lame')
+        .audioBitrate(192)
+        .format('mp3')
+        .on('error', (err) => reject(new Error(`MP3 encoding failed: ${err.message}`)))
+        .pipe();
+
+      output.on('data', chunk => chunks.push(chunk));
+      output.on('end', () => resolve(Buffer.concat(chunks)));
+      output.on('error', reject);
+    });
+  }
+}
+
+export default new MusicSynthService();
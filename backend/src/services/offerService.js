@@ -0,0 +1,382 @@
+/**
+ * Offer Service
+ * Expiring offers and counter-offers on any MusicNFT, listed or not
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import MusicNFT from '../models/MusicNFT.js';
+import User from '../models/User.js';
+import marketplaceService, { createMarketError, toUnits } from './marketplaceService.js';
+import websocketService from './websocketService.js';
+import logger from '../utils/logger.js';
+
+// 动态导入flowService以避免在.env加载前初始化
+const getFlowService = async () => {
+  const { default: flowService } = await import('../services/flowService.js');
+  return flowService;
+};
+
+const OPEN_STATUSES = ['pending', 'countered'];
+
+class OfferService {
+  constructor() {
+    this.defaultExpiry = parseInt(process.env.OFFER_DEFAULT_EXPIRY) || 3 * 24 * 3600; // seconds
+    this.maxExpiry = parseInt(process.env.OFFER_MAX_EXPIRY) || 30 * 24 * 3600;
+  }
+
+  /**
+   * Load an NFT or fail with NOT_FOUND
+   */
+  async loadNFT(nftId) {
+    const nft = await MusicNFT.findById(nftId);
+    if (!nft) {
+      throw createMarketError('NOT_FOUND', 'NFT_NOT_FOUND', 'NFT not found');
+    }
+    if (!nft.market.offers) {
+      nft.market.offers = [];
+    }
+    return nft;
+  }
+
+  /**
+   * Find an offer on the NFT or fail with NOT_FOUND
+   */
+  findOffer(nft, offerId) {
+    const offer = nft.market.offers.find(o => o.id === offerId);
+    if (!offer) {
+      throw createMarketError('NOT_FOUND', 'OFFER_NOT_FOUND', 'Offer not found');
+    }
+    return offer;
+  }
+
+  /**
+   * Record a state change on an offer
+   */
+  transition(offer, status, by, amount = null) {
+    const now = new Date().toISOString();
+    offer.status = status;
+    offer.updatedAt = now;
+    offer.history.push({ action: status, by, amount, at: now });
+  }
+
+  /**
+   * Mark open offers whose deadline has passed as expired
+   */
+  expireOffers(nft) {
+    const now = Date.now();
+    let changed = false;
+
+    for (const offer of nft.market.offers) {
+      if (!OPEN_STATUSES.includes(offer.status)) continue;
+
+      const deadline = offer.status === 'countered' ? offer.counterExpiresAt : offer.expiresAt;
+      if (new Date(deadline).getTime() <= now) {
+        this.transition(offer, 'expired', 'system');
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Resolve an expiry request (seconds from now) into an ISO timestamp
+   */
+  resolveExpiry(expiresIn) {
+    const seconds = expiresIn ? parseInt(expiresIn) : this.defaultExpiry;
+    if (!seconds || seconds <= 0 || seconds > this.maxExpiry) {
+      throw createMarketError('VALIDATION_ERROR', 'INVALID_EXPIRY', `Offer expiry must be between 1 and ${this.maxExpiry} seconds`);
+    }
+    return new Date(Date.now() + seconds * 1000).toISOString();
+  }
+
+  /**
+   * Make sure the buyer can cover the amount
+   */
+  async assertBalance(buyer, amount) {
+    const flowService = await getFlowService();
+    const accountInfo = await flowService.getAccountBalance(buyer);
+    if (toUnits(accountInfo.balance) < toUnits(amount)) {
+      throw createMarketError('VALIDATION_ERROR', 'INSUFFICIENT_BALANCE', 'Insufficient balance for this offer');
+    }
+  }
+
+  /**
+   * Notify the NFT owner by looking up the account behind their Flow address
+   */
+  async notifyOwner(nft, notification) {
+    const owner = await User.findByFlowAddress(nft.owner);
+    if (owner) {
+      websocketService.sendToUser(owner.id, notification);
+    }
+  }
+
+  /**
+   * Public view of an offer
+   */
+  formatOffer(offer) {
+    return {
+      id: offer.id,
+      buyer: offer.buyer,
+      amount: offer.amount,
+      currency: offer.currency,
+      status: offer.status,
+      expiresAt: offer.expiresAt,
+      counterAmount: offer.counterAmount,
+      counterExpiresAt: offer.counterExpiresAt,
+      createdAt: offer.createdAt,
+      updatedAt: offer.updatedAt,
+      history: offer.history
+    };
+  }
+
+  /**
+   * List offer history for an NFT, newest first
+   */
+  async getOffers(nftId) {
+    return marketplaceService.withLock(nftId, async () => {
+      const nft = await this.loadNFT(nftId);
+      if (this.expireOffers(nft)) {
+        await nft.save();
+      }
+
+      return {
+        nftId: nft.id,
+        tokenId: nft.blockchain.tokenId,
+        owner: nft.owner,
+        offers: [...nft.market.offers].reverse().map(offer => this.formatOffer(offer)),
+        salesHistory: nft.market.salesHistory || []
+      };
+    });
+  }
+
+  /**
+   * Make an offer; a buyer's newer offer supersedes their previous open one
+   */
+  async makeOffer(nftId, { buyer, userId = null, amount, currency, expiresIn }) {
+    return marketplaceService.withLock(nftId, async () => {
+      const nft = await this.loadNFT(nftId);
+      this.expireOffers(nft);
+
+      if (buyer === nft.owner) {
+        throw createMarketError('VALIDATION_ERROR', 'OWNER_OFFER', 'You cannot make an offer on your own NFT');
+      }
+      if (nft.market.saleType === 'auction' && nft.market.auctionStatus === 'active') {
+        throw createMarketError('VALIDATION_ERROR', 'AUCTION_ACTIVE', 'NFT is on auction, place a bid instead');
+      }
+      if (toUnits(amount) <= 0) {
+        throw createMarketError('VALIDATION_ERROR', 'INVALID_AMOUNT', 'Offer amount must be greater than 0');
+      }
+
+      const expiresAt = this.resolveExpiry(expiresIn);
+      await this.assertBalance(buyer, amount);
+
+      for (const previous of nft.market.offers) {
+        if (previous.buyer === buyer && OPEN_STATUSES.includes(previous.status)) {
+          this.transition(previous, 'withdrawn', buyer);
+        }
+      }
+
+      const now = new Date().toISOString();
+      const offer = {
+        id: uuidv4(),
+        buyer,
+        buyerUserId: userId,
+        amount: amount.toString(),
+        currency: currency || nft.market.currency || 'FLOW',
+        status: 'pending',
+        expiresAt,
+        counterAmount: null,
+        counterExpiresAt: null,
+        createdAt: now,
+        updatedAt: now,
+        history: [{ action: 'pending', by: buyer, amount: amount.toString(), at: now }]
+      };
+      nft.market.offers.push(offer);
+      await nft.save();
+
+      await this.notifyOwner(nft, {
+        type: 'offer_received',
+        data: { nftId: nft.id, title: nft.title, offer: this.formatOffer(offer) },
+        message: `New offer of ${offer.amount} ${offer.currency} on "${nft.title}"`
+      });
+
+      logger.info(`🤝 Offer ${offer.id} of ${offer.amount} made on NFT ${nft.id} by ${buyer}`);
+      return this.formatOffer(offer);
+    });
+  }
+
+  /**
+   * Accept an offer (owner) or a counter-offer (buyer) and transfer the NFT
+   */
+  async acceptOffer(nftId, offerId, actor) {
+    return marketplaceService.withLock(nftId, async () => {
+      const nft = await this.loadNFT(nftId);
+      const expired = this.expireOffers(nft);
+      const offer = this.findOffer(nft, offerId);
+
+      let price;
+      if (actor === nft.owner && offer.status === 'pending') {
+        price = offer.amount;
+      } else if (actor === offer.buyer && offer.status === 'countered') {
+        price = offer.counterAmount;
+      } else if (actor !== nft.owner && actor !== offer.buyer) {
+        throw createMarketError('PERMISSION_ERROR', 'NOT_PARTICIPANT', 'You are not part of this offer');
+      } else {
+        if (expired) await nft.save();
+        throw createMarketError('VALIDATION_ERROR', 'OFFER_NOT_ACCEPTABLE', `Offer is ${offer.status} and cannot be accepted by you`);
+      }
+
+      if (nft.market.saleType === 'auction' && nft.market.auctionStatus === 'active') {
+        throw createMarketError('VALIDATION_ERROR', 'AUCTION_ACTIVE', 'NFT is on auction');
+      }
+
+      await this.assertBalance(offer.buyer, price);
+
+      // Close every other open offer before ownership changes hands
+      this.transition(offer, 'accepted', actor, price);
+      for (const other of nft.market.offers) {
+        if (other.id !== offer.id && OPEN_STATUSES.includes(other.status)) {
+          this.transition(other, 'cancelled', 'system');
+        }
+      }
+
+      // A fixed-price listing goes off chain with the sale, as an auction's does
+      if (nft.market.isForSale) {
+        const flowService = await getFlowService();
+        await flowService.removeNFTFromSale({
+          tokenId: nft.blockchain.tokenId,
+          owner: nft.owner
+        });
+      }
+
+      const seller = nft.owner;
+      const sale = await marketplaceService.transferOwnership(nft, {
+        buyer: offer.buyer,
+        price,
+        currency: offer.currency,
+        saleType: 'offer'
+      });
+
+      if (offer.buyerUserId) {
+        websocketService.sendToUser(offer.buyerUserId, {
+          type: 'offer_accepted',
+          data: { nftId: nft.id, title: nft.title, price, transactionHash: sale.transactionHash },
+          message: `Your offer on "${nft.title}" was accepted`
+        });
+      }
+      websocketService.sendMarketUpdate({
+        event: 'offer_accepted',
+        nftId: nft.id,
+        tokenId: nft.blockchain.tokenId,
+        price,
+        currency: offer.currency,
+        seller,
+        buyer: offer.buyer
+      });
+
+      return { offer: this.formatOffer(offer), sale };
+    });
+  }
+
+  /**
+   * Reject an offer (owner) or a counter-offer (buyer)
+   */
+  async rejectOffer(nftId, offerId, actor) {
+    return marketplaceService.withLock(nftId, async () => {
+      const nft = await this.loadNFT(nftId);
+      this.expireOffers(nft);
+      const offer = this.findOffer(nft, offerId);
+
+      const ownerRejects = actor === nft.owner && OPEN_STATUSES.includes(offer.status);
+      const buyerRejects = actor === offer.buyer && offer.status === 'countered';
+
+      if (actor !== nft.owner && actor !== offer.buyer) {
+        throw createMarketError('PERMISSION_ERROR', 'NOT_PARTICIPANT', 'You are not part of this offer');
+      }
+      if (!ownerRejects && !buyerRejects) {
+        throw createMarketError('VALIDATION_ERROR', 'OFFER_NOT_OPEN', `Offer is ${offer.status} and cannot be rejected by you`);
+      }
+
+      this.transition(offer, 'rejected', actor);
+      await nft.save();
+
+      if (ownerRejects && offer.buyerUserId) {
+        websocketService.sendToUser(offer.buyerUserId, {
+          type: 'offer_rejected',
+          data: { nftId: nft.id, title: nft.title, offerId: offer.id },
+          message: `Your offer on "${nft.title}" was rejected`
+        });
+      } else if (buyerRejects) {
+        await this.notifyOwner(nft, {
+          type: 'counter_rejected',
+          data: { nftId: nft.id, title: nft.title, offerId: offer.id },
+          message: `Your counter-offer on "${nft.title}" was rejected`
+        });
+      }
+
+      return this.formatOffer(offer);
+    });
+  }
+
+  /**
+   * Counter an open offer with a new price (owner only)
+   */
+  async counterOffer(nftId, offerId, actor, { amount, expiresIn }) {
+    return marketplaceService.withLock(nftId, async () => {
+      const nft = await this.loadNFT(nftId);
+      this.expireOffers(nft);
+      const offer = this.findOffer(nft, offerId);
+
+      if (actor !== nft.owner) {
+        throw createMarketError('PERMISSION_ERROR', 'NOT_OWNER', 'Only the owner can counter an offer');
+      }
+      if (!OPEN_STATUSES.includes(offer.status)) {
+        throw createMarketError('VALIDATION_ERROR', 'OFFER_NOT_OPEN', `Offer is ${offer.status} and cannot be countered`);
+      }
+      if (toUnits(amount) <= 0) {
+        throw createMarketError('VALIDATION_ERROR', 'INVALID_AMOUNT', 'Counter amount must be greater than 0');
+      }
+
+      offer.counterAmount = amount.toString();
+      offer.counterExpiresAt = this.resolveExpiry(expiresIn);
+      this.transition(offer, 'countered', actor, offer.counterAmount);
+      await nft.save();
+
+      if (offer.buyerUserId) {
+        websocketService.sendToUser(offer.buyerUserId, {
+          type: 'offer_countered',
+          data: { nftId: nft.id, title: nft.title, offer: this.formatOffer(offer) },
+          message: `The owner of "${nft.title}" countered with ${offer.counterAmount} ${offer.currency}`
+        });
+      }
+
+      return this.formatOffer(offer);
+    });
+  }
+
+  /**
+   * Withdraw an open offer (buyer only)
+   */
+  async withdrawOffer(nftId, offerId, actor) {
+    return marketplaceService.withLock(nftId, async () => {
+      const nft = await this.loadNFT(nftId);
+      this.expireOffers(nft);
+      const offer = this.findOffer(nft, offerId);
+
+      if (actor !== offer.buyer) {
+        throw createMarketError('PERMISSION_ERROR', 'NOT_BUYER', 'Only the buyer can withdraw an offer');
+      }
+      if (!OPEN_STATUSES.includes(offer.status)) {
+        throw createMarketError('VALIDATION_ERROR', 'OFFER_NOT_OPEN', `Offer is ${offer.status} and cannot be withdrawn`);
+      }
+
+      this.transition(offer, 'withdrawn', actor);
+      await nft.save();
+
+      return this.formatOffer(offer);
+    });
+  }
+}
+
+export default new OfferService();
@@ -0,0 +1,243 @@
+/**
+ * Play Fraud Service
+ * Scores a play when it crosses the valid-play threshold, before it is counted
+ * or paid. Each check that trips adds its weight to the score:
+ *
+ * - velocity: valid plays per listener and per IP address in the current hour
+ * - repeated loops: plays of the same track by the same listener today
+ * - clock consistency: listened time running ahead of the time since the
+ *   session started, or reported progress past the end of the track
+ * - artist concentration: the share of a listener's plays today going to
+ *   one artist, once they have played enough to tell
+ *
+ * A play scoring at least the void score is voided; one scoring at least the
+ * flag score is held for an admin to approve or reject. Both are kept as
+ * PlayReview records; neither is counted nor paid unless approved.
+ */
+
+import Database from '../config/database.js';
+import PlayReview, { PLAY_REVIEW_STATUSES } from '../models/PlayReview.js';
+import logger from '../utils/logger.js';
+
+export const FRAUD_DECISIONS = ['allow', 'flag', 'void'];
+
+// Weight of each signal; the second weight applies from twice the limit
+export const FRAUD_SIGNAL_SCORES = {
+  progress_ahead_of_clock: 50,
+  progress_beyond_duration: 50,
+  user_velocity: [50, 80],
+  ip_velocity: [40, 70],
+  repeated_loop: [40, 70],
+  artist_concentration: 30
+};
+
+const HOUR_SECONDS = 3600;
+const DAY_SECONDS = 24 * HOUR_SECONDS;
+
+// Review actions and the status they close a review with
+const REVIEW_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected'
+};
+
+export const createFraudError = (type, code, message) => {
+  const error = new Error(message);
+  error.type = type;
+  error.code = code;
+  return error;
+};
+
+class PlayFraudService {
+  constructor() {
+    this.flagScore = parseInt(process.env.PLAY_FRAUD_FLAG_SCORE) || 40;
+    this.voidScore = parseInt(process.env.PLAY_FRAUD_VOID_SCORE) || 80;
+    this.userHourlyLimit = parseInt(process.env.PLAY_FRAUD_USER_HOURLY_LIMIT) || 30;
+    this.ipHourlyLimit = parseInt(process.env.PLAY_FRAUD_IP_HOURLY_LIMIT) || 120;
+    this.trackDailyLimit = parseInt(process.env.PLAY_FRAUD_TRACK_DAILY_LIMIT) || 10;
+    this.artistShareLimit = parseFloat(process.env.PLAY_FRAUD_ARTIST_SHARE) || 0.9;
+    this.artistMinimumPlays = parseInt(process.env.PLAY_FRAUD_ARTIST_MIN_PLAYS) || 20;
+    this.clockTolerance = parseInt(process.env.PLAY_FRAUD_CLOCK_TOLERANCE) || 5; // seconds
+  }
+
+  /**
+   * Advance a session's listened time with a progress report. Progress counts
+   * as listened only when it moved forward no faster than the clock since the
+   * previous report allows; seeks move the position without adding to it.
+   * @returns {number} Seconds listened so far
+   */
+  trackProgress(session, currentTime, now = Date.now()) {
+    const advanced = currentTime - (session.lastPosition ?? 0);
+    const wallClock = Math.max(0, (now - (session.lastReportAt ?? session.startTime)) / 1000);
+    if (advanced > 0 && advanced <= wallClock + this.clockTolerance) {
+      session.listened = (session.listened || 0) + advanced;
+    }
+
+    session.lastPosition = currentTime;
+    session.lastReportAt = now;
+    return session.listened || 0;
+  }
+
+  /**
+   * Bump a windowed counter, setting its expiry when the window opens
+   */
+  async count(key, ttl) {
+    const value = await Database.incr(key);
+    if (value === 1) {
+      await Database.expire(key, ttl);
+    }
+    return value;
+  }
+
+  /**
+   * Weight of a count against its limit: none up to the limit, the higher
+   * weight from twice the limit
+   */
+  velocityScore(signal, value, limit) {
+    if (value <= limit) return 0;
+    const [score, severeScore] = FRAUD_SIGNAL_SCORES[signal];
+    return value > limit * 2 ? severeScore : score;
+  }
+
+  /**
+   * Score a play once its listened time reaches the valid-play threshold.
+   * Every assessed play counts toward the velocity, loop and concentration
+   * windows, held or not.
+   * @param {Object} session - The play session, with the progress just reported
+   * @param {Object} options - { artistId, now (ms) }
+   * @returns {Promise<Object>} { score, decision, signals: [{ signal, score, detail }] }
+   */
+  async assessPlay(session, { artistId = null, now = Date.now() } = {}) {
+    const { userId, trackId, ipAddress } = session;
+    const signals = [];
+    const addSignal = (signal, score, detail) => {
+      if (score > 0) signals.push({ signal, score, detail });
+    };
+
+    // Listened time against wall-clock time since the session started; each
+    // report may run ahead by the tolerance, so only a stream of reports can
+    // push the total past the clock
+    const elapsed = Math.max(0, (now - session.startTime) / 1000);
+    const listened = session.listened || 0;
+    if (listened > elapsed + this.clockTolerance) {
+      addSignal('progress_ahead_of_clock', FRAUD_SIGNAL_SCORES.progress_ahead_of_clock,
+        { listened, elapsed: Math.round(elapsed) });
+    }
+    if (session.totalDuration > 0 && session.duration > session.totalDuration + this.clockTolerance) {
+      addSignal('progress_beyond_duration', FRAUD_SIGNAL_SCORES.progress_beyond_duration,
+        { reported: session.duration, totalDuration: session.totalDuration });
+    }
+
+    const hour = Math.floor(now / (HOUR_SECONDS * 1000));
+    const today = new Date(now).toISOString().split('T')[0];
+
+    const userPlays = await this.count(`fraud:velocity:user:${userId}:${hour}`, 2 * HOUR_SECONDS);
+    addSignal('user_velocity', this.velocityScore('user_velocity', userPlays, this.userHourlyLimit),
+      { plays: userPlays, limit: this.userHourlyLimit });
+
+    if (ipAddress) {
+      const ipPlays = await this.count(`fraud:velocity:ip:${ipAddress}:${hour}`, 2 * HOUR_SECONDS);
+      addSignal('ip_velocity', this.velocityScore('ip_velocity', ipPlays, this.ipHourlyLimit),
+        { plays: ipPlays, limit: this.ipHourlyLimit });
+    }
+
+    const trackPlays = await this.count(`fraud:loop:${userId}:${trackId}:${today}`, 2 * DAY_SECONDS);
+    addSignal('repeated_loop', this.velocityScore('repeated_loop', trackPlays, this.trackDailyLimit),
+      { plays: trackPlays, limit: this.trackDailyLimit });
+
+    if (artistId) {
+      const totalPlays = await this.count(`fraud:listen:${userId}:${today}`, 2 * DAY_SECONDS);
+      const artistPlays = await this.count(`fraud:listen:${userId}:${today}:artist:${artistId}`, 2 * DAY_SECONDS);
+      const share = artistPlays / totalPlays;
+      if (totalPlays >= this.artistMinimumPlays && share >= this.artistShareLimit) {
+        addSignal('artist_concentration', FRAUD_SIGNAL_SCORES.artist_concentration,
+          { artistId, plays: artistPlays, totalPlays, share: Math.round(share * 100) / 100 });
+      }
+    }
+
+    const score = Math.min(100, signals.reduce((sum, { score: weight }) => sum + weight, 0));
+    const decision = score >= this.voidScore ? 'void' : score >= this.flagScore ? 'flag' : 'allow';
+    return { score, decision, signals };
+  }
+
+  /**
+   * Keep a flagged or voided play for review
+   * @returns {Promise<PlayReview>}
+   */
+  async holdPlay(session, assessment, { artistId = null } = {}) {
+    const review = await new PlayReview({
+      status: assessment.decision === 'void' ? 'voided' : 'pending',
+      session: {
+        sessionId: session.sessionId,
+        userId: session.userId,
+        trackId: session.trackId,
+        playlistId: session.playlistId || null,
+        tier: session.tier,
+        ipAddress: session.ipAddress || null,
+        userAgent: session.userAgent || null,
+        startTime: session.startTime,
+        duration: session.duration,
+        listened: session.listened || 0,
+        totalDuration: session.totalDuration
+      },
+      artistId,
+      score: assessment.score,
+      signals: assessment.signals
+    }).save();
+
+    logger.warn(`Play ${session.sessionId} ${review.status} for review ${review.id} (fraud score ${assessment.score})`);
+    return review;
+  }
+
+  /**
+   * Reviews in a status, oldest first
+   */
+  async listReviews(status = 'pending') {
+    if (!PLAY_REVIEW_STATUSES.includes(status)) {
+      throw createFraudError('VALIDATION_ERROR', 'INVALID_REVIEW_STATUS', `Unknown review status: ${status}`);
+    }
+    return PlayReview.findByStatus(status);
+  }
+
+  async getReview(reviewId) {
+    const review = await PlayReview.findById(reviewId);
+    if (!review) {
+      throw createFraudError('NOT_FOUND', 'PLAY_REVIEW_NOT_FOUND', 'Play review not found');
+    }
+    return review;
+  }
+
+  /**
+   * Check a review can take an action: pending plays can be approved or
+   * rejected, voided plays can still be approved
+   * @returns {Promise<PlayReview>}
+   */
+  async getReviewForAction(reviewId, action) {
+    if (!REVIEW_ACTIONS[action]) {
+      throw createFraudError('VALIDATION_ERROR', 'INVALID_REVIEW_ACTION', 'Action must be approve or reject');
+    }
+
+    const review = await this.getReview(reviewId);
+    const open = review.status === 'pending' || (review.status === 'voided' && action === 'approve');
+    if (!open) {
+      throw createFraudError('VALIDATION_ERROR', 'REVIEW_CLOSED', `Play review is already ${review.status}`);
+    }
+    return review;
+  }
+
+  /**
+   * Close a review with an action
+   * @returns {Promise<PlayReview>}
+   */
+  async closeReview(review, action, { reviewedBy, note = '' } = {}) {
+    review.status = REVIEW_ACTIONS[action];
+    review.reviewedBy = reviewedBy;
+    review.reviewedAt = new Date().toISOString();
+    review.note = note;
+    await review.save();
+
+    logger.info(`Play review ${review.id} ${review.status} by ${reviewedBy}`);
+    return review;
+  }
+}
+
+export default new PlayFraudService();
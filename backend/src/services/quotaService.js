@@ -0,0 +1,107 @@
+/**
+ * Quota Service
+ * Per-user daily limits on AI generations and NFT mints.
+ * Counters live in Database under quota:<userId>:<kind>:<YYYY-MM-DD> (UTC)
+ * and expire once the day is over.
+ */
+
+import Database from '../config/database.js';
+import logger from '../utils/logger.js';
+import { createWorkflowError } from './workflowEngine.js';
+
+export const QUOTA_KINDS = ['generation', 'mint'];
+
+// Counters outlive their day slightly so usage can still be read around midnight
+const COUNTER_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+class QuotaService {
+  constructor() {
+    this.limits = {
+      generation: parseInt(process.env.FORTE_DAILY_GENERATION_QUOTA) || 50,
+      mint: parseInt(process.env.FORTE_DAILY_MINT_QUOTA) || 20
+    };
+  }
+
+  today() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  key(userId, kind, day = this.today()) {
+    return `quota:${userId}:${kind}:${day}`;
+  }
+
+  /**
+   * Today's usage, limit and remaining allowance per kind
+   */
+  async getUsage(userId) {
+    const day = this.today();
+    const usage = { date: day, resetsAt: `${day}T23:59:59.999Z` };
+
+    for (const kind of QUOTA_KINDS) {
+      const used = parseInt(await Database.get(this.key(userId, kind, day))) || 0;
+      usage[kind] = {
+        used,
+        limit: this.limits[kind],
+        remaining: Math.max(0, this.limits[kind] - used)
+      };
+    }
+
+    return usage;
+  }
+
+  /**
+   * Take an allowance, e.g. { generation: 1, mint: 1 }. All or nothing:
+   * if any kind would go over its limit nothing is consumed and a
+   * RATE_LIMIT error (QUOTA_EXCEEDED) is thrown.
+   */
+  async consume(userId, amounts) {
+    const day = this.today();
+    const taken = [];
+
+    for (const kind of QUOTA_KINDS) {
+      const amount = amounts[kind] || 0;
+      if (amount <= 0) continue;
+
+      const key = this.key(userId, kind, day);
+      const used = await Database.incr(key, amount);
+      taken.push([key, amount]);
+      if (used === amount) {
+        await Database.expire(key, COUNTER_TTL_SECONDS);
+      }
+
+      if (used > this.limits[kind]) {
+        await this.refundKeys(taken);
+        logger.warn(`Daily ${kind} quota exceeded for user ${userId}`);
+        const error = createWorkflowError(
+          'RATE_LIMIT',
+          'QUOTA_EXCEEDED',
+          `Daily ${kind} quota of ${this.limits[kind]} reached; it resets at midnight UTC`,
+          { retryable: false }
+        );
+        error.details = { kind, limit: this.limits[kind] };
+        throw error;
+      }
+    }
+
+    return { day, amounts };
+  }
+
+  /**
+   * Give back an allowance taken by consume(), e.g. when queueing failed
+   */
+  async refund(userId, { day, amounts }) {
+    await this.refundKeys(
+      QUOTA_KINDS
+        .filter(kind => amounts[kind] > 0)
+        .map(kind => [this.key(userId, kind, day), amounts[kind]])
+    );
+  }
+
+  async refundKeys(taken) {
+    for (const [key, amount] of taken) {
+      await Database.incr(key, -amount);
+    }
+  }
+}
+
+export default new QuotaService();
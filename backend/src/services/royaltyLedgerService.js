@@ -0,0 +1,475 @@
+/**
+ * Royalty Ledger Service
+ * Double-entry ledger behind stream royalties. Every valid play posts one
+ * transaction that debits the streaming revenue pool and credits the artist,
+ * platform and curator accounts in fixed-point units; the artist share is
+ * split further between the track's rights holders (royaltySplitService).
+ * Balances are summed from the posted entries; the per-account counters kept
+ * alongside them are a cache that reconcile() checks against the ledger.
+ *
+ * Balances are credits minus debits, so the revenue pool runs negative by
+ * exactly what it has paid out and all balances together sum to zero.
+ *
+ * Royalties on secondary sales are paid out of the buyer's payment: the sales
+ * pool pays each rights holder's cut, and cuts the purchase transaction paid
+ * on chain are settled in the same posting.
+ *
+ * Paying a balance out on chain takes two postings: collecting it into a
+ * payout batch moves it to the pending payouts account, and the confirmed
+ * on-chain transfer moves it on to the settled payouts account.
+ */
+
+import Database from '../config/database.js';
+import LedgerTransaction, { ENTRY_DIRECTIONS } from '../models/LedgerTransaction.js';
+import { allocateUnits, assertUnits, parseAmount } from '../utils/fixedPoint.js';
+import logger from '../utils/logger.js';
+
+export const STREAMING_POOL_ACCOUNT = 'pool:streaming';
+export const SALES_POOL_ACCOUNT = 'pool:sales';
+export const PLATFORM_ACCOUNT = 'platform';
+export const PAYOUTS_PENDING_ACCOUNT = 'payouts:pending';
+export const PAYOUTS_SETTLED_ACCOUNT = 'payouts:settled';
+export const artistAccount = (userId) => `artist:${userId}`;
+export const curatorAccount = (userId) => `curator:${userId}`;
+
+export const LEDGER_TRANSACTION_TYPES = {
+  STREAM_PLAY: 'stream_play',
+  SECONDARY_SALE: 'secondary_sale',
+  PAYOUT: 'payout',
+  PAYOUT_SETTLED: 'payout_settled',
+  PAYOUT_REVERSED: 'payout_reversed'
+};
+
+/**
+ * Whether an entry is money earned: a credit that is not a given-up payout
+ * returning to its account
+ */
+export const isEarningEntry = (entry) =>
+  entry.direction === 'credit' && entry.type !== LEDGER_TRANSACTION_TYPES.PAYOUT_REVERSED;
+
+// Stream revenue split in basis points; the artist share goes to the track's rights holders
+export const STREAM_ROYALTY_SPLIT = {
+  artist: 7000,
+  platform: 2000,
+  curator: 1000
+};
+
+// Reporting windows accepted by the earnings and analytics routes
+export const LEDGER_TIMEFRAMES = {
+  '24h': 1,
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '1y': 365,
+  all: null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ledger accounts a user's earnings may be credited to: by user id and, for
+ * tracks minted to a wallet, by address
+ */
+export const accountsForUser = (user) => [...new Set([
+  artistAccount(user.id),
+  ...[user.flowWallet?.address, user.address].filter(Boolean).map(artistAccount)
+])];
+
+export const createLedgerError = (type, code, message) => {
+  const error = new Error(message);
+  error.type = type;
+  error.code = code;
+  return error;
+};
+
+class RoyaltyLedgerService {
+  constructor() {
+    // Revenue one valid play releases from the pool, in FLOW
+    this.revenuePerPlay = parseAmount(process.env.STREAM_REVENUE_PER_PLAY || '0.001');
+    this.pending = new Map();
+  }
+
+  /**
+   * Check that a transaction is well formed and balanced
+   */
+  validateTransaction({ type, entries }) {
+    if (!type || typeof type !== 'string') {
+      throw createLedgerError('VALIDATION_ERROR', 'INVALID_TRANSACTION_TYPE', 'Ledger transactions need a type');
+    }
+    if (!Array.isArray(entries) || entries.length < 2) {
+      throw createLedgerError('VALIDATION_ERROR', 'INVALID_LEDGER_ENTRIES', 'Ledger transactions need at least one debit and one credit');
+    }
+
+    let debits = 0;
+    let credits = 0;
+    for (const entry of entries) {
+      if (!entry.account || typeof entry.account !== 'string') {
+        throw createLedgerError('VALIDATION_ERROR', 'INVALID_LEDGER_ENTRIES', 'Every ledger entry needs an account');
+      }
+      if (!ENTRY_DIRECTIONS.includes(entry.direction)) {
+        throw createLedgerError('VALIDATION_ERROR', 'INVALID_LEDGER_ENTRIES', `Entry direction must be one of: ${ENTRY_DIRECTIONS.join(', ')}`);
+      }
+      if (!Number.isSafeInteger(entry.amount) || entry.amount <= 0) {
+        throw createLedgerError('VALIDATION_ERROR', 'INVALID_LEDGER_ENTRIES', 'Entry amounts must be positive whole units');
+      }
+      if (entry.direction === 'debit') debits += entry.amount;
+      else credits += entry.amount;
+    }
+
+    if (debits !== credits) {
+      throw createLedgerError('VALIDATION_ERROR', 'LEDGER_UNBALANCED', `Debits (${debits}) and credits (${credits}) must be equal`);
+    }
+  }
+
+  /**
+   * Post a balanced transaction. A transaction with an idempotency key is
+   * posted once; posting the same key again returns the first transaction.
+   * @param {Object} transaction - { type, entries: [{ account, direction, amount, role }], trackId, reference, idempotencyKey, metadata }
+   * @returns {Promise<LedgerTransaction>}
+   */
+  async post(transaction) {
+    this.validateTransaction(transaction);
+
+    const { idempotencyKey } = transaction;
+    if (!idempotencyKey) {
+      return new LedgerTransaction(transaction).save();
+    }
+
+    // Concurrent posts of one key share a single write
+    if (!this.pending.has(idempotencyKey)) {
+      const task = (async () => {
+        const existing = await LedgerTransaction.findByIdempotencyKey(idempotencyKey);
+        return existing || new LedgerTransaction(transaction).save();
+      })().finally(() => this.pending.delete(idempotencyKey));
+      this.pending.set(idempotencyKey, task);
+    }
+    return this.pending.get(idempotencyKey);
+  }
+
+  /**
+   * Credits paying out stream revenue: the platform and curator shares, and
+   * the artist share split between the rights holders. Without a curator the
+   * curator share is credited to the platform. Credits to the same account in
+   * the same role are merged; zero credits are dropped.
+   * @param {number} revenue - Units to pay out
+   * @param {Object} options - { artistShares: [{ account, role, bps }] summing to 10000, curatorId }
+   * @returns {Array} [{ account, role, amount }]
+   */
+  allocateStreamRevenue(revenue, { artistShares, curatorId = null }) {
+    const shares = allocateUnits(revenue, STREAM_ROYALTY_SPLIT);
+    const artistParts = allocateUnits(shares.artist, Object.fromEntries(artistShares.map((share, index) => [index, share.bps])));
+
+    const credits = [
+      ...artistShares.map((share, index) => ({ account: share.account, role: share.role, amount: artistParts[index] })),
+      { account: PLATFORM_ACCOUNT, role: 'platform', amount: shares.platform },
+      { account: curatorId ? curatorAccount(curatorId) : PLATFORM_ACCOUNT, role: 'curator', amount: shares.curator }
+    ];
+
+    const merged = [];
+    for (const credit of credits) {
+      const existing = merged.find(entry => entry.account === credit.account && entry.role === credit.role);
+      if (existing) existing.amount += credit.amount;
+      else merged.push({ ...credit });
+    }
+    return merged.filter(entry => entry.amount > 0);
+  }
+
+  /**
+   * Post the royalties of one valid play: the pool pays the play's revenue out
+   * as allocateStreamRevenue() splits it. Each play session is posted once.
+   * @param {Object} play - { sessionId, trackId, artistId, artistShares, curatorId, listenerId, revenue (units) }
+   *   artistShares defaults to the whole artist share for artistId
+   * @returns {Promise<LedgerTransaction>}
+   */
+  async recordStreamPlay({ sessionId, trackId, artistId, artistShares = null, curatorId = null, listenerId = null, revenue = this.revenuePerPlay }) {
+    if (!sessionId || !trackId || (!artistId && !artistShares?.length)) {
+      throw createLedgerError('VALIDATION_ERROR', 'INVALID_PLAY', 'Stream royalties need a session, track and artist');
+    }
+    assertUnits(revenue, 'Play revenue');
+
+    const credits = this.allocateStreamRevenue(revenue, {
+      artistShares: artistShares?.length ? artistShares : [{ account: artistAccount(artistId), role: 'artist', bps: 10000 }],
+      curatorId
+    });
+
+    const transaction = await this.post({
+      type: LEDGER_TRANSACTION_TYPES.STREAM_PLAY,
+      entries: [
+        { account: STREAMING_POOL_ACCOUNT, direction: 'debit', amount: revenue, role: 'pool' },
+        ...credits.map(entry => ({ ...entry, direction: 'credit' }))
+      ],
+      trackId,
+      reference: sessionId,
+      idempotencyKey: `stream:${sessionId}`,
+      metadata: { listenerId, curatorId }
+    });
+
+    logger.info(`Stream royalties posted for track ${trackId}: ${transaction.id}`);
+    return transaction;
+  }
+
+  /**
+   * Post the royalties of a secondary sale. Cuts paid on chain by the
+   * purchase transaction are credited and settled at once; the rest stay in
+   * their accounts until a payout batch pays them. Each sale is posted once.
+   * @param {Object} sale - { saleId, trackId, cuts: [{ account, role, amount (units), settled }], buyer, seller, price }
+   * @returns {Promise<LedgerTransaction>}
+   */
+  async recordSaleRoyalties({ saleId, trackId, cuts, buyer = null, seller = null, price = null }) {
+    if (!saleId || !trackId || !cuts?.length) {
+      throw createLedgerError('VALIDATION_ERROR', 'INVALID_SALE', 'Sale royalties need a sale, track and royalty cuts');
+    }
+    cuts.forEach(cut => assertUnits(cut.amount, 'Royalty cut'));
+
+    const paid = cuts.filter(cut => cut.amount > 0);
+    const total = paid.reduce((sum, cut) => sum + cut.amount, 0);
+    const settledTotal = paid.filter(cut => cut.settled).reduce((sum, cut) => sum + cut.amount, 0);
+
+    const transaction = await this.post({
+      type: LEDGER_TRANSACTION_TYPES.SECONDARY_SALE,
+      entries: [
+        { account: SALES_POOL_ACCOUNT, direction: 'debit', amount: total, role: 'pool' },
+        ...paid.map(({ account, role, amount }) => ({ account, direction: 'credit', amount, role })),
+        ...paid.filter(cut => cut.settled).map(({ account, amount }) => ({ account, direction: 'debit', amount, role: 'payee' })),
+        ...(settledTotal > 0 ? [{ account: PAYOUTS_SETTLED_ACCOUNT, direction: 'credit', amount: settledTotal, role: 'payout' }] : [])
+      ],
+      trackId,
+      reference: saleId,
+      idempotencyKey: `sale:${saleId}`,
+      metadata: { buyer, seller, price }
+    });
+
+    logger.info(`Sale royalties posted for track ${trackId}: ${transaction.id}`);
+    return transaction;
+  }
+
+  /**
+   * Move an account's balance into a payout: debits the account and holds the
+   * amount as pending until the transfer is confirmed. Each payout is posted once.
+   * @param {Object} payout - { payoutId, batchId, account, recipient, amount (units) }
+   * @returns {Promise<LedgerTransaction>}
+   */
+  async recordPayout({ payoutId, batchId, account, recipient, amount }) {
+    if (!payoutId || !account) {
+      throw createLedgerError('VALIDATION_ERROR', 'INVALID_PAYOUT', 'Payouts need an id and an account');
+    }
+    assertUnits(amount, 'Payout amount');
+
+    return this.post({
+      type: LEDGER_TRANSACTION_TYPES.PAYOUT,
+      entries: [
+        { account, direction: 'debit', amount, role: 'payee' },
+        { account: PAYOUTS_PENDING_ACCOUNT, direction: 'credit', amount, role: 'payout' }
+      ],
+      reference: batchId,
+      idempotencyKey: `payout:${payoutId}`,
+      metadata: { payoutId, recipient }
+    });
+  }
+
+  /**
+   * Settle a payout once its on-chain transfer is confirmed. Posted once per payout.
+   * @param {Object} payout - { payoutId, batchId, amount (units), transactionId }
+   * @returns {Promise<LedgerTransaction>}
+   */
+  async settlePayout({ payoutId, batchId, amount, transactionId }) {
+    assertUnits(amount, 'Payout amount');
+
+    return this.post({
+      type: LEDGER_TRANSACTION_TYPES.PAYOUT_SETTLED,
+      entries: [
+        { account: PAYOUTS_PENDING_ACCOUNT, direction: 'debit', amount, role: 'payout' },
+        { account: PAYOUTS_SETTLED_ACCOUNT, direction: 'credit', amount, role: 'payout' }
+      ],
+      reference: batchId,
+      idempotencyKey: `payout:${payoutId}:settled`,
+      metadata: { payoutId, transactionId }
+    });
+  }
+
+  /**
+   * Return a payout that was given up to the account it was paid from. Posted
+   * once per payout; the amount is collected again by a later batch.
+   * @param {Object} payout - { payoutId, batchId, account, amount (units), reason }
+   * @returns {Promise<LedgerTransaction>}
+   */
+  async reversePayout({ payoutId, batchId, account, amount, reason = null }) {
+    if (!payoutId || !account) {
+      throw createLedgerError('VALIDATION_ERROR', 'INVALID_PAYOUT', 'Payouts need an id and an account');
+    }
+    assertUnits(amount, 'Payout amount');
+
+    return this.post({
+      type: LEDGER_TRANSACTION_TYPES.PAYOUT_REVERSED,
+      entries: [
+        { account: PAYOUTS_PENDING_ACCOUNT, direction: 'debit', amount, role: 'payout' },
+        { account, direction: 'credit', amount, role: 'payout' }
+      ],
+      reference: batchId,
+      idempotencyKey: `payout:${payoutId}:reversed`,
+      metadata: { payoutId, reason }
+    });
+  }
+
+  /**
+   * Account balance summed from its ledger entries
+   */
+  async getBalance(account) {
+    const transactions = await LedgerTransaction.findByAccount(account);
+    return transactions.reduce((balance, transaction) => balance + (transaction.getBalanceChanges().get(account) || 0), 0);
+  }
+
+  /**
+   * Cached balance counter of an account
+   */
+  async getCachedBalance(account) {
+    return parseInt(await Database.get(`ledger:balance:${account}`)) || 0;
+  }
+
+  /**
+   * Start of a reporting window as an ISO date, or null for all time
+   */
+  resolveTimeframe(timeframe = '30d', now = Date.now()) {
+    if (!Object.prototype.hasOwnProperty.call(LEDGER_TIMEFRAMES, timeframe)) {
+      throw createLedgerError('VALIDATION_ERROR', 'INVALID_TIMEFRAME', `Timeframe must be one of: ${Object.keys(LEDGER_TIMEFRAMES).join(', ')}`);
+    }
+    const days = LEDGER_TIMEFRAMES[timeframe];
+    return days === null ? null : new Date(now - days * DAY_MS).toISOString();
+  }
+
+  /**
+   * Entries of one or more accounts, newest first, each with its transaction's details
+   * @param {string|string[]} accounts
+   * @param {Object} options - { since: ISO date }
+   */
+  async getAccountEntries(accounts, { since = null } = {}) {
+    const accountList = [].concat(accounts);
+    const byId = new Map();
+    for (const account of accountList) {
+      for (const transaction of await LedgerTransaction.findByAccount(account)) {
+        byId.set(transaction.id, transaction);
+      }
+    }
+    const transactions = [...byId.values()]
+      .sort((a, b) => a.postedAt.localeCompare(b.postedAt) || a.id.localeCompare(b.id));
+    const entries = [];
+
+    for (const transaction of transactions) {
+      if (since && transaction.postedAt < since) continue;
+      for (const entry of transaction.entries) {
+        if (!accountList.includes(entry.account)) continue;
+        entries.push({
+          account: entry.account,
+          transactionId: transaction.id,
+          type: transaction.type,
+          trackId: transaction.trackId,
+          reference: transaction.reference,
+          postedAt: transaction.postedAt,
+          direction: entry.direction,
+          role: entry.role,
+          amount: entry.amount
+        });
+      }
+    }
+
+    return entries.reverse();
+  }
+
+  /**
+   * Totals of the credits to one or more accounts within a window
+   * @returns {Promise<Object>} { balance, earned, debited, entries, byType, byTrack, byRole, daily }
+   *   byType/byTrack/byRole map to { amount, count }; daily maps YYYY-MM-DD to units
+   */
+  async summarizeAccount(accounts, { since = null } = {}) {
+    const balances = await Promise.all([].concat(accounts).map(account => this.getBalance(account)));
+    const balance = balances.reduce((sum, accountBalance) => sum + accountBalance, 0);
+    const entries = await this.getAccountEntries(accounts, { since });
+
+    const summary = { balance, earned: 0, debited: 0, entries, byType: {}, byTrack: {}, byRole: {}, daily: {} };
+    const add = (group, key, amount) => {
+      const total = group[key] || (group[key] = { amount: 0, count: 0 });
+      total.amount += amount;
+      total.count++;
+    };
+
+    for (const entry of entries) {
+      if (entry.direction === 'debit') {
+        summary.debited += entry.amount;
+        continue;
+      }
+      // A reversed payout undoes its debit rather than earning anything
+      if (!isEarningEntry(entry)) {
+        summary.debited -= entry.amount;
+        continue;
+      }
+      summary.earned += entry.amount;
+      add(summary.byType, entry.type, entry.amount);
+      add(summary.byRole, entry.role || 'other', entry.amount);
+      if (entry.trackId) add(summary.byTrack, entry.trackId, entry.amount);
+
+      const date = entry.postedAt.slice(0, 10);
+      summary.daily[date] = (summary.daily[date] || 0) + entry.amount;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Transactions posted for a track, newest first
+   */
+  async getTrackTransactions(trackId) {
+    return (await LedgerTransaction.findByTrack(trackId)).reverse();
+  }
+
+  /**
+   * Check the ledger: every transaction balances, the balances summed from
+   * the entries match the cached counters, and all balances net to zero.
+   * @returns {Promise<Object>} { reconciled, transactionCount, accountCount, trialBalance, unbalancedTransactions, discrepancies: [{ account, derived, cached }], checkedAt }
+   */
+  async reconcile() {
+    const transactions = await LedgerTransaction.findAll();
+    const derived = new Map();
+    const unbalancedTransactions = [];
+
+    for (const transaction of transactions) {
+      if (!transaction.isBalanced()) {
+        unbalancedTransactions.push(transaction.id);
+      }
+      for (const [account, change] of transaction.getBalanceChanges()) {
+        derived.set(account, (derived.get(account) || 0) + change);
+      }
+    }
+
+    // Counters without entries are discrepancies too
+    const cachedAccounts = (await Database.keys('ledger:balance:*')).map(key => key.slice('ledger:balance:'.length));
+    const accounts = [...new Set([...derived.keys(), ...cachedAccounts])].sort();
+
+    const discrepancies = [];
+    let trialBalance = 0;
+    for (const account of accounts) {
+      const balance = derived.get(account) || 0;
+      const cached = await this.getCachedBalance(account);
+      trialBalance += balance;
+      if (balance !== cached) {
+        discrepancies.push({ account, derived: balance, cached });
+      }
+    }
+
+    const reconciled = unbalancedTransactions.length === 0 && discrepancies.length === 0 && trialBalance === 0;
+    if (!reconciled) {
+      logger.warn(`Royalty ledger does not reconcile: ${unbalancedTransactions.length} unbalanced transactions, ${discrepancies.length} balance discrepancies, trial balance ${trialBalance}`);
+    }
+
+    return {
+      reconciled,
+      transactionCount: transactions.length,
+      accountCount: accounts.length,
+      trialBalance,
+      unbalancedTransactions,
+      discrepancies,
+      checkedAt: new Date().toISOString()
+    };
+  }
+}
+
+export default new RoyaltyLedgerService();
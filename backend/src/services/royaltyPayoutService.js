@@ -0,0 +1,381 @@
+/**
+ * Royalty Payout Service
+ * Pays accrued ledger balances out on chain in periodic batches. Each run
+ * collects the artist and curator balances at or above the payout minimum
+ * into a batch, moves them out of the accounts in the ledger and submits the
+ * batch through flowService to the RoyaltyDistributor contract. Payouts are
+ * tracked one by one as pending, confirmed or failed; failed payouts are
+ * resubmitted under their original ids, which both the ledger and the
+ * contract settle only once. A payout still failing after its last attempt is
+ * reversed once the contract confirms it was never paid: its amount goes back
+ * to the account for a later batch. A payout whose transaction was never seen
+ * sealed is left unknown instead, its amount held for manual review.
+ */
+
+import Database from '../config/database.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import User from '../models/User.js';
+import royaltyLedgerService, { createLedgerError } from './royaltyLedgerService.js';
+import { formatAmount, parseAmount } from '../utils/fixedPoint.js';
+import { validateFlowAddress } from '../utils/validation.js';
+import logger from '../utils/logger.js';
+
+// 动态导入flowService以避免在.env加载前初始化
+const getFlowService = async () => {
+  const { default: flowService } = await import('./flowService.js');
+  return flowService;
+};
+
+// Ledger accounts owned by someone who can be paid
+const PAYABLE_ACCOUNT_PREFIXES = ['artist:', 'curator:'];
+
+class RoyaltyPayoutService {
+  constructor() {
+    this.minimumPayout = parseAmount(process.env.ROYALTY_PAYOUT_MINIMUM || '1');
+    this.batchSize = parseInt(process.env.ROYALTY_PAYOUT_BATCH_SIZE) || 50;
+    this.maxAttempts = parseInt(process.env.ROYALTY_PAYOUT_MAX_ATTEMPTS) || 3;
+    this.payoutInterval = parseInt(process.env.ROYALTY_PAYOUT_INTERVAL) || 24 * 3600; // seconds
+    this.payoutTimer = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run batch work one job at a time, so a balance is never collected twice
+   * and a batch is never submitted twice at once
+   */
+  serialize(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Flow address an account is paid to: the account's own id when it is an
+   * address, otherwise the wallet of the user it belongs to
+   */
+  async resolveRecipient(account) {
+    const ownerId = account.slice(account.indexOf(':') + 1);
+    if (validateFlowAddress(ownerId).isValid) {
+      return ownerId;
+    }
+
+    const user = await User.findById(ownerId);
+    const address = user?.flowWallet?.address || user?.address;
+    return address && validateFlowAddress(address).isValid ? address : null;
+  }
+
+  /**
+   * Payable accounts holding at least the minimum, largest balance first
+   */
+  async collectBalances(minimum = this.minimumPayout) {
+    const keys = await Database.keys('ledger:balance:*');
+    const accounts = keys
+      .map(key => key.slice('ledger:balance:'.length))
+      .filter(account => PAYABLE_ACCOUNT_PREFIXES.some(prefix => account.startsWith(prefix)));
+
+    const balances = [];
+    for (const account of accounts) {
+      const amount = await royaltyLedgerService.getBalance(account);
+      if (amount > 0 && amount >= minimum) {
+        balances.push({ account, amount });
+      }
+    }
+    return balances.sort((a, b) => b.amount - a.amount || a.account.localeCompare(b.account));
+  }
+
+  /**
+   * Collect balances into a new batch and move them into pending payouts
+   * @param {Object} options - { minimum (units), createdBy }
+   * @returns {Promise<Object>} { batch, skipped: [{ account, amount, reason }] }; batch is null when nothing is due
+   */
+  async createBatch({ minimum = this.minimumPayout, createdBy = 'scheduler' } = {}) {
+    const payouts = [];
+    const skipped = [];
+
+    for (const { account, amount } of await this.collectBalances(minimum)) {
+      if (payouts.length >= this.batchSize) {
+        skipped.push({ account, amount, reason: 'BATCH_FULL' });
+        continue;
+      }
+      const recipient = await this.resolveRecipient(account);
+      if (!recipient) {
+        skipped.push({ account, amount, reason: 'NO_PAYOUT_ADDRESS' });
+        continue;
+      }
+      payouts.push({ account, recipient, amount });
+    }
+
+    if (skipped.length > 0) {
+      logger.warn(`Royalty payouts deferred for ${skipped.length} accounts`);
+    }
+    if (payouts.length === 0) {
+      return { batch: null, skipped };
+    }
+
+    // The batch is saved before its balances are moved, so a run cut short
+    // between the two is finished by the next one
+    const batch = await new PayoutBatch({ createdBy, threshold: minimum, payouts }).save();
+    await this.reservePayouts(batch, batch.payouts);
+
+    logger.info(`Royalty payout batch ${batch.id} created: ${payouts.length} payouts, ${formatAmount(batch.getTotal())} FLOW`);
+    return { batch, skipped };
+  }
+
+  /**
+   * Post the ledger side of the payouts; posting a payout again is a no-op
+   */
+  async reservePayouts(batch, payouts) {
+    for (const payout of payouts) {
+      await royaltyLedgerService.recordPayout({
+        payoutId: payout.id,
+        batchId: batch.id,
+        account: payout.account,
+        recipient: payout.recipient,
+        amount: payout.amount
+      });
+    }
+  }
+
+  /**
+   * Submit payouts of a batch on chain and record what happened to each
+   * @returns {Promise<PayoutBatch>}
+   */
+  async submitPayouts(batch, payouts) {
+    if (payouts.length === 0) return batch;
+
+    await this.reservePayouts(batch, payouts);
+
+    const submittedAt = new Date().toISOString();
+    for (const payout of payouts) {
+      payout.status = 'pending';
+      payout.attempts++;
+      payout.error = null;
+    }
+
+    const flowService = await getFlowService();
+    let result;
+    try {
+      result = await flowService.submitRoyaltyPayouts({
+        batchId: batch.id,
+        payouts: payouts.map(payout => ({
+          id: payout.id,
+          recipient: payout.recipient,
+          amount: formatAmount(payout.amount)
+        }))
+      });
+    } catch (error) {
+      // The transaction may have been sent before the error: its outcome is unknown
+      logger.error(`Royalty payout batch ${batch.id} submission failed:`, error);
+      result = { success: false, transactionId: error.transactionId || null, error: error.message, unknown: true };
+    }
+
+    batch.submissions.push({
+      transactionId: result.transactionId || null,
+      payoutIds: payouts.map(payout => payout.id),
+      success: result.success,
+      error: result.success ? null : result.error,
+      isMock: Boolean(result.isMock),
+      submittedAt
+    });
+
+    const outcomes = new Map((result.results || []).map(outcome => [outcome.payoutId, outcome]));
+    const outcomeOf = (payout) => {
+      if (result.success) {
+        return outcomes.get(payout.id) || { status: 'failed', error: 'Payout missing from transaction result' };
+      }
+      return { status: result.unknown ? 'unknown' : 'failed', error: result.error || 'Payout transaction failed' };
+    };
+
+    // Payouts whose outcome was not seen, or that are about to be reversed,
+    // are first looked up on chain
+    const toCheck = payouts.filter(payout => {
+      const { status } = outcomeOf(payout);
+      return status === 'unknown' || (status === 'failed' && payout.attempts >= this.maxAttempts);
+    });
+    const settledOnChain = toCheck.length > 0
+      ? await this.findSettledOnChain(flowService, toCheck)
+      : new Set();
+
+    for (const payout of payouts) {
+      const outcome = outcomeOf(payout);
+
+      payout.transactionId = result.transactionId || payout.transactionId;
+      if (outcome.status === 'confirmed' || settledOnChain?.has(payout.id)) {
+        await royaltyLedgerService.settlePayout({
+          payoutId: payout.id,
+          batchId: batch.id,
+          amount: payout.amount,
+          transactionId: payout.transactionId
+        });
+        payout.status = 'confirmed';
+        payout.error = null;
+        payout.confirmedAt = new Date().toISOString();
+      } else {
+        payout.status = 'failed';
+        payout.error = outcome.error;
+        if (payout.attempts < this.maxAttempts) continue;
+
+        // Only a payout known to be unpaid is reversed: one whose transaction
+        // may still seal, or that could not be looked up, is left for review
+        if (outcome.status === 'failed' && settledOnChain) {
+          await this.reversePayout(batch, payout);
+        } else {
+          payout.status = 'unknown';
+          logger.warn(`Royalty payout ${payout.id} outcome unknown after ${payout.attempts} attempts, left for review: ${payout.error}`);
+        }
+      }
+    }
+
+    batch.status = batch.getOutcome();
+    if (batch.status !== 'pending') {
+      batch.settledAt = new Date().toISOString();
+    }
+    await batch.save();
+
+    logger.info(`Royalty payout batch ${batch.id} ${batch.status}`);
+    return batch;
+  }
+
+  /**
+   * Ids of payouts the contract has already paid, or null when it could not be asked
+   * @returns {Promise<Set<string>|null>}
+   */
+  async findSettledOnChain(flowService, payouts) {
+    try {
+      return new Set(await flowService.getSettledRoyaltyPayouts(payouts.map(payout => payout.id)));
+    } catch (error) {
+      logger.error('Royalty payout lookup failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Give up a payout: return its amount from pending payouts to the account
+   */
+  async reversePayout(batch, payout) {
+    await royaltyLedgerService.reversePayout({
+      payoutId: payout.id,
+      batchId: batch.id,
+      account: payout.account,
+      amount: payout.amount,
+      reason: payout.error
+    });
+    payout.status = 'reversed';
+    payout.reversedAt = new Date().toISOString();
+
+    logger.warn(`Royalty payout ${payout.id} reversed to ${payout.account} after ${payout.attempts} attempts: ${payout.error}`);
+  }
+
+  /**
+   * Collect due balances into a batch and pay it
+   * @returns {Promise<Object>} { batch, skipped }
+   */
+  async runPayouts(options = {}) {
+    return this.serialize(async () => {
+      const { batch, skipped } = await this.createBatch(options);
+      if (!batch) return { batch, skipped };
+      return { batch: await this.submitPayouts(batch, batch.payouts), skipped };
+    });
+  }
+
+  /**
+   * Resubmit a batch's failed payouts. Without force, payouts that used up
+   * their attempts are left failed; with it, payouts left unknown are
+   * resubmitted too, which the contract settles at most once.
+   * @returns {Promise<PayoutBatch>}
+   */
+  async retryBatch(batchId, { force = false } = {}) {
+    return this.serialize(async () => {
+      const batch = await PayoutBatch.findById(batchId);
+      if (!batch) {
+        throw createLedgerError('NOT_FOUND', 'PAYOUT_BATCH_NOT_FOUND', 'Payout batch not found');
+      }
+
+      const retryable = batch.payouts.filter(payout =>
+        (payout.status === 'failed' && (force || payout.attempts < this.maxAttempts))
+        || (payout.status === 'unknown' && force));
+      if (retryable.length === 0) {
+        throw createLedgerError('VALIDATION_ERROR', 'NOTHING_TO_RETRY', 'Payout batch has no failed payouts to retry');
+      }
+
+      return this.submitPayouts(batch, retryable);
+    });
+  }
+
+  /**
+   * Finish batches a previous run left pending, retry failed payouts that
+   * have attempts left, then pay out newly due balances
+   * @returns {Promise<Object>} { resumed, retried, batch, skipped }
+   */
+  async runScheduledPayouts() {
+    const resumed = [];
+    for (const { id } of await PayoutBatch.findByStatus('pending')) {
+      await this.serialize(async () => {
+        // Reloaded in turn: the batch may have been paid while this run waited
+        const batch = await PayoutBatch.findById(id);
+        if (batch?.status !== 'pending') return;
+        await this.submitPayouts(batch, batch.payouts.filter(payout => payout.status === 'pending'));
+        resumed.push(id);
+      });
+    }
+
+    const retried = [];
+    for (const status of ['partially_failed', 'failed']) {
+      for (const batch of await PayoutBatch.findByStatus(status)) {
+        if (!batch.payouts.some(payout => payout.status === 'failed' && payout.attempts < this.maxAttempts)) continue;
+        await this.retryBatch(batch.id);
+        retried.push(batch.id);
+      }
+    }
+
+    const { batch, skipped } = await this.runPayouts();
+    return { resumed, retried, batch, skipped };
+  }
+
+  /**
+   * A user's payouts, newest first
+   * @param {Array<string>} accounts - The user's ledger accounts
+   */
+  async getPayoutsForAccounts(accounts) {
+    const byId = new Map();
+    for (const account of accounts) {
+      for (const batch of await PayoutBatch.findByAccount(account)) {
+        byId.set(batch.id, batch);
+      }
+    }
+
+    return [...byId.values()]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .flatMap(batch => batch.payouts
+        .filter(payout => accounts.includes(payout.account))
+        .map(payout => ({ ...payout, batchId: batch.id, createdAt: batch.createdAt })));
+  }
+
+  /**
+   * Periodically pay out due balances
+   */
+  startPayoutLoop() {
+    if (this.payoutTimer) return;
+
+    this.payoutTimer = setInterval(() => {
+      this.runScheduledPayouts().catch(error => {
+        logger.error('Royalty payout run failed:', error);
+      });
+    }, this.payoutInterval * 1000);
+    this.payoutTimer.unref();
+
+    logger.info(`Royalty payout loop started (every ${this.payoutInterval}s)`);
+  }
+
+  /**
+   * Stop the payout loop
+   */
+  stopPayoutLoop() {
+    if (this.payoutTimer) {
+      clearInterval(this.payoutTimer);
+      this.payoutTimer = null;
+    }
+  }
+}
+
+export default new RoyaltyPayoutService();
@@ -0,0 +1,265 @@
+/**
+ * Royalty Split Service
+ * Resolves who shares a track's earnings. The split comes from the NFT's
+ * configured royalty recipients; failing that from its collaborators'
+ * percentages, with the creator keeping the rest; failing that the creator
+ * takes the whole artist share, as in the platform default.
+ *
+ * The same split shares out the royalty charged on secondary sales: the
+ * NFT's royalty percentage of the price, taken out of the seller's proceeds.
+ */
+
+import MusicNFT from '../models/MusicNFT.js';
+import Playlist from '../models/Playlist.js';
+import royaltyLedgerService, { PLATFORM_ACCOUNT, artistAccount } from './royaltyLedgerService.js';
+import royaltyPayoutService from './royaltyPayoutService.js';
+import { BPS_DENOMINATOR, allocateUnits, formatAmount, parseAmount, percentageOf } from '../utils/fixedPoint.js';
+import {
+  normalizeRoyaltyConfig,
+  validateCollaboratorShares,
+  validateRoyaltyConfig
+} from '../utils/royaltySplits.js';
+import logger from '../utils/logger.js';
+
+export const SPLIT_SOURCES = ['recipients', 'collaborators', 'default'];
+
+/**
+ * A sale quote as shown to the buyer, amounts in FLOW
+ */
+export const describeSaleQuote = (quote) => ({
+  secondary: quote.secondary,
+  currency: quote.currency,
+  price: formatAmount(quote.price),
+  royaltyPercentage: quote.percentage,
+  royaltyTotal: formatAmount(quote.royaltyTotal),
+  sellerProceeds: formatAmount(quote.sellerProceeds),
+  royalties: quote.cuts.map(cut => ({
+    recipient: cut.recipient,
+    role: cut.role,
+    amount: formatAmount(cut.amount),
+    percentage: cut.percentage,
+    payTo: cut.payTo
+  }))
+});
+
+export const createSplitError = (type, code, message, details = null) => {
+  const error = new Error(message);
+  error.type = type;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+class RoyaltySplitService {
+  /**
+   * Address the platform's royalties are paid to (read late, after .env is loaded)
+   */
+  get platformAddress() {
+    return process.env.PLATFORM_ADDRESS || '0x1234567890abcdef';
+  }
+
+  /**
+   * Ledger account and role of a split recipient
+   */
+  accountFor(recipient, nft) {
+    if (recipient === this.platformAddress) {
+      return { account: PLATFORM_ACCOUNT, role: 'platform' };
+    }
+    return { account: artistAccount(recipient), role: recipient === nft.creator ? 'artist' : 'collaborator' };
+  }
+
+  /**
+   * Split of a track's artist share
+   * @param {Object} nft - MusicNFT, or { creator, royalties, collaborators } for a track not yet minted
+   * @returns {Object} { source, percentage, shares: [{ recipient, account, role, bps, description }] }
+   */
+  resolveSplit(nft) {
+    const config = normalizeRoyaltyConfig(nft.royalties);
+
+    if (config.recipients.length > 0) {
+      return {
+        source: 'recipients',
+        percentage: config.percentage,
+        shares: config.recipients.map(({ recipient, bps, description }) => ({
+          recipient,
+          ...this.accountFor(recipient, nft),
+          bps,
+          description
+        }))
+      };
+    }
+
+    const collaborators = (nft.collaborators || []).filter(collaborator => collaborator.percentage > 0);
+    if (collaborators.length > 0 && validateCollaboratorShares(collaborators).isValid) {
+      const shares = collaborators.map(collaborator => ({
+        recipient: collaborator.userId,
+        account: artistAccount(collaborator.userId),
+        role: 'collaborator',
+        bps: Math.round(collaborator.percentage * 100),
+        description: collaborator.role || ''
+      }));
+      const creatorBps = BPS_DENOMINATOR - shares.reduce((sum, share) => sum + share.bps, 0);
+      if (creatorBps > 0) {
+        shares.unshift({ recipient: nft.creator, account: artistAccount(nft.creator), role: 'artist', bps: creatorBps, description: '' });
+      }
+      return { source: 'collaborators', percentage: config.percentage, shares };
+    }
+
+    return {
+      source: 'default',
+      percentage: config.percentage,
+      shares: [{ recipient: nft.creator, account: artistAccount(nft.creator), role: 'artist', bps: BPS_DENOMINATOR, description: '' }]
+    };
+  }
+
+  /**
+   * Split of a stored track
+   */
+  async getTrackSplit(trackId) {
+    const nft = await MusicNFT.findById(trackId);
+    if (!nft) {
+      throw createSplitError('NOT_FOUND', 'NFT_NOT_FOUND', 'NFT not found');
+    }
+    return { nft, split: this.resolveSplit(nft) };
+  }
+
+  /**
+   * Who a play's revenue pays, and how much
+   * @param {Object} nft - As for resolveSplit()
+   * @param {number} amount - Units of play revenue
+   * @param {Object} options - { playlistId } the play came from, whose owner is paid as curator
+   * @returns {Promise<Object>} { source, amount, recipients: [{ recipient, account, role, amount, percentage }] }
+   */
+  async previewStream(nft, amount, { playlistId = null } = {}) {
+    const split = this.resolveSplit(nft);
+    const playlist = playlistId ? await Playlist.findById(playlistId) : null;
+    const curatorId = playlist?.owner || null;
+
+    const credits = royaltyLedgerService.allocateStreamRevenue(amount, { artistShares: split.shares, curatorId });
+    const recipientOf = (credit) => {
+      if (credit.role === 'curator' && curatorId) return curatorId;
+      if (credit.account === PLATFORM_ACCOUNT) return 'platform';
+      return split.shares.find(share => share.account === credit.account)?.recipient || credit.account;
+    };
+
+    return {
+      source: split.source,
+      amount: formatAmount(amount),
+      recipients: credits.map(credit => ({
+        recipient: recipientOf(credit),
+        account: credit.account,
+        role: credit.role,
+        amount: formatAmount(credit.amount),
+        percentage: percentageOf(credit.amount, amount)
+      }))
+    };
+  }
+
+  /**
+   * Royalty cuts of a sale. Only secondary sales, where someone other than
+   * the creator sells, pay royalties. Each cut says where the purchase
+   * transaction pays it: the recipient's Flow address, or the platform's when
+   * the recipient has none, in which case the platform holds the cut until a
+   * payout batch pays it.
+   * @param {Object} nft - MusicNFT being sold
+   * @param {Object} sale - { price, currency, seller } seller defaults to the owner
+   * @returns {Promise<Object>} { secondary, source, percentage, currency, price, royaltyTotal, sellerProceeds (units),
+   *   cuts: [{ recipient, account, role, amount (units), percentage (of price), payTo, settled }] }
+   */
+  async quoteSale(nft, { price, currency = null, seller = nft.owner }) {
+    const priceUnits = parseAmount(price);
+    const split = this.resolveSplit(nft);
+    const secondary = seller !== nft.creator;
+    const rateBps = secondary ? Math.round(split.percentage * 100) : 0;
+
+    const { royalty } = allocateUnits(priceUnits, { royalty: rateBps, seller: BPS_DENOMINATOR - rateBps });
+    const parts = royalty > 0
+      ? allocateUnits(royalty, Object.fromEntries(split.shares.map((share, index) => [index, share.bps])))
+      : {};
+
+    const cuts = [];
+    for (const [index, share] of split.shares.entries()) {
+      const amount = parts[index] || 0;
+      if (amount === 0) continue;
+
+      const address = share.account === PLATFORM_ACCOUNT
+        ? this.platformAddress
+        : await royaltyPayoutService.resolveRecipient(share.account);
+      cuts.push({
+        recipient: share.recipient,
+        account: share.account,
+        role: share.role,
+        amount,
+        percentage: percentageOf(amount, priceUnits),
+        payTo: address || this.platformAddress,
+        settled: Boolean(address)
+      });
+    }
+
+    return {
+      secondary,
+      source: split.source,
+      percentage: secondary ? split.percentage : 0,
+      currency: currency || nft.market?.currency || 'FLOW',
+      price: priceUnits,
+      royaltyTotal: royalty,
+      sellerProceeds: priceUnits - royalty,
+      cuts
+    };
+  }
+
+  /**
+   * The creator is the only one who may change a track's split
+   */
+  isCreator(user, nft) {
+    return [user.id, user.flowWallet?.address, user.address].filter(Boolean).includes(nft.creator);
+  }
+
+  /**
+   * Change a track's royalty config and collaborator shares
+   * @param {Object} user - Requesting user, must be the creator
+   * @param {string} trackId
+   * @param {Object} changes - { percentage, recipients, collaborators: [{ userId, role, percentage }] }
+   * @returns {Promise<Object>} { nft, split }
+   */
+  async updateSplit(user, trackId, { percentage, recipients, collaborators } = {}) {
+    const nft = await MusicNFT.findById(trackId);
+    if (!nft) {
+      throw createSplitError('NOT_FOUND', 'NFT_NOT_FOUND', 'NFT not found');
+    }
+    if (!this.isCreator(user, nft)) {
+      throw createSplitError('PERMISSION_ERROR', 'SPLIT_FORBIDDEN', 'Only the creator can change the royalty split');
+    }
+
+    if (percentage !== undefined || recipients !== undefined) {
+      const current = normalizeRoyaltyConfig(nft.royalties);
+      const validation = validateRoyaltyConfig({
+        percentage: percentage ?? current.percentage,
+        recipients: recipients ?? current.recipients
+      });
+      if (!validation.isValid) {
+        throw createSplitError('VALIDATION_ERROR', 'INVALID_ROYALTY_SPLIT', 'Invalid royalty split', validation.errors);
+      }
+      nft.royalties = validation.config;
+    }
+
+    if (collaborators !== undefined) {
+      const validation = validateCollaboratorShares(collaborators);
+      if (!validation.isValid) {
+        throw createSplitError('VALIDATION_ERROR', 'INVALID_ROYALTY_SPLIT', 'Invalid collaborator shares', validation.errors);
+      }
+      nft.collaborators = collaborators.map(({ userId, role, percentage: share }) => ({
+        userId,
+        role: role || 'contributor',
+        percentage: share || 0,
+        addedAt: nft.collaborators.find(existing => existing.userId === userId)?.addedAt || new Date().toISOString()
+      }));
+    }
+
+    await nft.save();
+    logger.info(`Royalty split updated for NFT ${trackId}`);
+    return { nft, split: this.resolveSplit(nft) };
+  }
+}
+
+export default new RoyaltySplitService();
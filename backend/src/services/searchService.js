@@ -0,0 +1,473 @@
+/**
+ * Search Service
+ * Tokenized inverted indexes over Database with prefix/fuzzy matching,
+ * weighted relevance ranking and facets
+ *
+ * Keys per document type:
+ *   search:<type>:docs                  set of indexed document ids
+ *   search:<type>:terms                 vocabulary (set of all indexed terms)
+ *   search:<type>:terms:prefix:<p>      terms starting with p (first 1-3 characters)
+ *   search:<type>:terms:length:<n>      terms n characters long, the fuzzy candidates
+ *   search:<type>:term:<term>           postings (set of document ids containing the term)
+ *   search:<type>:facets:<name>         values a facet takes
+ *   search:<type>:facet:<name>:<value>  set of document ids with that facet value
+ *   search:<type>:doc:<id>              { terms: { term: weight }, facets: {...} }
+ *
+ * Indexes written before the prefix, length and facet sets existed are
+ * rebuilt with scripts/rebuildSearchIndex.js.
+ */
+
+import Database from '../config/database.js';
+import logger from '../utils/logger.js';
+
+// Relevance multipliers by match kind
+const MATCH_FACTORS = {
+  exact: 1,
+  prefix: 0.6,
+  fuzzy: 0.35
+};
+
+// Price facet buckets (FLOW)
+const PRICE_BUCKETS = [
+  { key: '0-1', min: 0, max: 1 },
+  { key: '1-10', min: 1, max: 10 },
+  { key: '10-100', min: 10, max: 100 },
+  { key: '100+', min: 100, max: Infinity }
+];
+
+// Longest prefix a term is filed under
+const PREFIX_LENGTH = 3;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'to', 'for', 'with', 'is']);
+
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/;
+
+/**
+ * Split text into normalized search terms.
+ * Latin words are lowercased and accent-stripped; CJK runs are split into bigrams.
+ */
+export const tokenize = (text) => {
+  if (text === undefined || text === null) return [];
+  const values = Array.isArray(text) ? text : [text];
+  const tokens = [];
+
+  for (const value of values) {
+    const normalized = String(value)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+
+    for (const word of normalized.split(/[^\p{L}\p{N}]+/u)) {
+      if (!word) continue;
+
+      if (CJK_PATTERN.test(word)) {
+        const chars = Array.from(word);
+        if (chars.length === 1) {
+          tokens.push(word);
+        }
+        for (let i = 0; i < chars.length - 1; i++) {
+          tokens.push(chars[i] + chars[i + 1]);
+        }
+      } else if (!STOP_WORDS.has(word)) {
+        tokens.push(word);
+      }
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Levenshtein distance with an early exit once maxDistance is exceeded
+ */
+export const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Allowed typos grow with term length
+const fuzzyDistanceFor = (term) => {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+};
+
+export const priceBucketFor = (price) => {
+  const value = parseFloat(price);
+  if (!Number.isFinite(value)) return null;
+  const bucket = PRICE_BUCKETS.find(b => value >= b.min && value < b.max);
+  return bucket ? bucket.key : null;
+};
+
+const termPrefixes = (term) => Array.from(
+  { length: Math.min(term.length, PREFIX_LENGTH) },
+  (_, i) => term.slice(0, i + 1)
+);
+
+// Vocabulary sets a term is filed in
+const termSetKeys = (type, term) => [
+  `search:${type}:terms`,
+  `search:${type}:terms:length:${term.length}`,
+  ...termPrefixes(term).map(prefix => `search:${type}:terms:prefix:${prefix}`)
+];
+
+// Facet values the filters and facet counts can look up: genre and mood
+// lowercased, price by bucket, other strings and booleans as they are
+const facetEntries = (facets = {}) => {
+  const entries = [];
+  for (const [name, value] of Object.entries(facets)) {
+    if (name === 'price') {
+      const bucket = priceBucketFor(value);
+      if (bucket) entries.push(['price', bucket]);
+    } else if (name === 'genre' || name === 'mood') {
+      if (value) entries.push([name, String(value).toLowerCase()]);
+    } else if (typeof value === 'string' || typeof value === 'boolean') {
+      entries.push([name, String(value)]);
+    }
+  }
+  return entries;
+};
+
+const intersect = (ids, other) => {
+  const members = new Set(other);
+  return ids.filter(id => members.has(id));
+};
+
+class SearchService {
+  constructor() {
+    this.maxExpansions = parseInt(process.env.SEARCH_MAX_EXPANSIONS) || 20;
+  }
+
+  /**
+   * Index (or re-index) a document.
+   * fields: [{ value: string|string[], weight: number }]
+   * facets: { genre, mood, price, ... } stored for filtering and facet counts
+   */
+  async indexDocument(type, id, { fields = [], facets = {} }) {
+    try {
+      const terms = {};
+      for (const { value, weight } of fields) {
+        for (const term of new Set(tokenize(value))) {
+          terms[term] = (terms[term] || 0) + weight;
+        }
+      }
+
+      const previous = await Database.get(`search:${type}:doc:${id}`);
+      if (previous) {
+        const staleTerms = Object.keys(previous.terms || {}).filter(term => !(term in terms));
+        await this.removePostings(type, id, staleTerms);
+
+        const current = new Set(facetEntries(facets).map(entry => entry.join(':')));
+        const staleFacets = facetEntries(previous.facets).filter(entry => !current.has(entry.join(':')));
+        await this.removeFacets(type, id, staleFacets);
+      }
+
+      for (const term of Object.keys(terms)) {
+        await Database.sadd(`search:${type}:term:${term}`, id);
+        for (const key of termSetKeys(type, term)) {
+          await Database.sadd(key, term);
+        }
+      }
+
+      for (const [name, value] of facetEntries(facets)) {
+        await Database.sadd(`search:${type}:facet:${name}:${value}`, id);
+        await Database.sadd(`search:${type}:facets:${name}`, value);
+      }
+
+      await Database.set(`search:${type}:doc:${id}`, { terms, facets });
+      await Database.sadd(`search:${type}:docs`, id);
+    } catch (error) {
+      logger.error(`Error indexing ${type} ${id} for search:`, error);
+    }
+  }
+
+  /**
+   * Remove a document from the index
+   */
+  async removeDocument(type, id) {
+    try {
+      const previous = await Database.get(`search:${type}:doc:${id}`);
+      if (previous) {
+        await this.removePostings(type, id, Object.keys(previous.terms || {}));
+        await this.removeFacets(type, id, facetEntries(previous.facets));
+      }
+      await Database.del(`search:${type}:doc:${id}`);
+      await Database.srem(`search:${type}:docs`, id);
+    } catch (error) {
+      logger.error(`Error removing ${type} ${id} from search index:`, error);
+    }
+  }
+
+  async removePostings(type, id, terms) {
+    for (const term of terms) {
+      await Database.srem(`search:${type}:term:${term}`, id);
+      if (await Database.scard(`search:${type}:term:${term}`) === 0) {
+        await Database.del(`search:${type}:term:${term}`);
+        for (const key of termSetKeys(type, term)) {
+          await Database.srem(key, term);
+        }
+      }
+    }
+  }
+
+  async removeFacets(type, id, entries) {
+    for (const [name, value] of entries) {
+      await Database.srem(`search:${type}:facet:${name}:${value}`, id);
+      if (await Database.scard(`search:${type}:facet:${name}:${value}`) === 0) {
+        await Database.del(`search:${type}:facet:${name}:${value}`);
+        await Database.srem(`search:${type}:facets:${name}`, value);
+      }
+    }
+  }
+
+  /**
+   * Expand a query term into indexed terms: exact, prefix and fuzzy matches.
+   * Candidates come from the term's prefix set and the length sets within
+   * its typo allowance, never from the whole vocabulary.
+   */
+  async expandTerm(type, term) {
+    const matches = [];
+    const maxDistance = fuzzyDistanceFor(term);
+
+    const candidates = new Set(await Database.smembers(`search:${type}:terms:prefix:${term.slice(0, PREFIX_LENGTH)}`));
+    if (maxDistance > 0) {
+      for (let length = term.length - maxDistance; length <= term.length + maxDistance; length++) {
+        for (const candidate of await Database.smembers(`search:${type}:terms:length:${length}`)) {
+          candidates.add(candidate);
+        }
+      }
+    }
+
+    for (const candidate of candidates) {
+      if (candidate === term) {
+        matches.push({ term: candidate, factor: MATCH_FACTORS.exact });
+      } else if (candidate.startsWith(term)) {
+        matches.push({ term: candidate, factor: MATCH_FACTORS.prefix });
+      } else if (maxDistance > 0 && editDistance(term, candidate, maxDistance) <= maxDistance) {
+        matches.push({ term: candidate, factor: MATCH_FACTORS.fuzzy });
+      }
+    }
+
+    // Keep the best expansions; exact first, then shorter (closer) terms
+    matches.sort((a, b) => b.factor - a.factor || a.term.length - b.term.length);
+    return matches.slice(0, this.maxExpansions);
+  }
+
+  /**
+   * Check a document's facets against filters
+   */
+  matchesFilters(facets = {}, filters = {}) {
+    const { genre, mood, minPrice, maxPrice, ...rest } = filters;
+
+    if (genre && String(facets.genre || '').toLowerCase() !== String(genre).toLowerCase()) return false;
+    if (mood && String(facets.mood || '').toLowerCase() !== String(mood).toLowerCase()) return false;
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      const price = parseFloat(facets.price);
+      if (!Number.isFinite(price)) return false;
+      if (minPrice !== undefined && price < parseFloat(minPrice)) return false;
+      if (maxPrice !== undefined && price > parseFloat(maxPrice)) return false;
+    }
+
+    return Object.entries(rest).every(([key, expected]) => (
+      expected === undefined || facets[key] === expected
+    ));
+  }
+
+  /**
+   * Whether a filter can only be checked against the stored document:
+   * price ranges, and values the facet sets do not hold
+   */
+  needsDocumentCheck(filters = {}) {
+    const { genre, mood, minPrice, maxPrice, ...rest } = filters;
+    if (minPrice !== undefined || maxPrice !== undefined) return true;
+    return Object.values(rest).some(expected => (
+      expected !== undefined && typeof expected !== 'string' && typeof expected !== 'boolean'
+    ));
+  }
+
+  /**
+   * Ids of documents that can pass the filters, narrowed through the facet
+   * sets; null when no filter narrows them
+   */
+  async filterCandidates(type, filters = {}) {
+    const { minPrice, maxPrice, ...equality } = filters;
+    let ids = null;
+    const narrow = (members) => {
+      ids = ids === null ? members : intersect(ids, members);
+    };
+
+    for (const [name, value] of facetEntries(equality)) {
+      narrow(await Database.smembers(`search:${type}:facet:${name}:${value}`));
+    }
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      const min = Number.isFinite(parseFloat(minPrice)) ? parseFloat(minPrice) : -Infinity;
+      const max = Number.isFinite(parseFloat(maxPrice)) ? parseFloat(maxPrice) : Infinity;
+      const priced = [];
+      for (const bucket of PRICE_BUCKETS.filter(b => b.min <= max && b.max > min)) {
+        priced.push(...await Database.smembers(`search:${type}:facet:price:${bucket.key}`));
+      }
+      narrow(priced);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Facet counts over documents from the facet sets, without loading them
+   * @param {Array<string>|null} ids - Matched document ids; null for every document
+   */
+  async countFacets(type, ids) {
+    const facets = { genre: {}, mood: {}, price: {} };
+    const members = ids && new Set(ids);
+
+    for (const name of Object.keys(facets)) {
+      for (const value of await Database.smembers(`search:${type}:facets:${name}`)) {
+        const key = `search:${type}:facet:${name}:${value}`;
+        const count = members
+          ? (await Database.smembers(key)).filter(id => members.has(id)).length
+          : await Database.scard(key);
+        if (count > 0) facets[name][value] = count;
+      }
+    }
+    return facets;
+  }
+
+  /**
+   * Browse without a query: a page of the documents passing the filters,
+   * read from the docs and facet sets
+   */
+  async browse(type, { filters = {}, limit = 20, offset = 0 } = {}) {
+    const narrowed = await this.filterCandidates(type, filters);
+    const checkDocuments = this.needsDocumentCheck(filters);
+    let ids = narrowed ?? await Database.smembers(`search:${type}:docs`);
+
+    if (checkDocuments) {
+      const passing = [];
+      for (const id of ids) {
+        const doc = await Database.get(`search:${type}:doc:${id}`);
+        if (doc && this.matchesFilters(doc.facets, filters)) passing.push(id);
+      }
+      ids = passing;
+    }
+
+    return {
+      hits: ids.slice(offset, offset + limit).map(id => ({ id, score: 0 })),
+      total: ids.length,
+      facets: await this.countFacets(type, narrowed === null && !checkDocuments ? null : ids)
+    };
+  }
+
+  /**
+   * Aggregate facet counts over matched documents
+   */
+  buildFacets(docs) {
+    const facets = { genre: {}, mood: {}, price: {} };
+    for (const { facets: docFacets = {} } of docs) {
+      if (docFacets.genre) {
+        const genre = String(docFacets.genre).toLowerCase();
+        facets.genre[genre] = (facets.genre[genre] || 0) + 1;
+      }
+      if (docFacets.mood) {
+        const mood = String(docFacets.mood).toLowerCase();
+        facets.mood[mood] = (facets.mood[mood] || 0) + 1;
+      }
+      const bucket = priceBucketFor(docFacets.price);
+      if (bucket) {
+        facets.price[bucket] = (facets.price[bucket] || 0) + 1;
+      }
+    }
+    return facets;
+  }
+
+  /**
+   * Search a document type; an empty query browses it instead.
+   * Returns ranked { hits: [{ id, score }], total, facets }
+   */
+  async search(type, query = '', { filters = {}, limit = 20, offset = 0 } = {}) {
+    try {
+      const queryTerms = Array.from(new Set(tokenize(query)));
+      if (queryTerms.length === 0) {
+        return await this.browse(type, { filters, limit, offset });
+      }
+
+      const totalDocs = await Database.scard(`search:${type}:docs`);
+      const scores = new Map();
+      const docCache = new Map();
+      const loadDoc = async (id) => {
+        if (!docCache.has(id)) {
+          docCache.set(id, await Database.get(`search:${type}:doc:${id}`));
+        }
+        return docCache.get(id);
+      };
+
+      const postingsCache = new Map();
+      let matchedAny = null;
+
+      for (const queryTerm of queryTerms) {
+        const termScores = new Map();
+
+        for (const { term, factor } of await this.expandTerm(type, queryTerm)) {
+          if (!postingsCache.has(term)) {
+            postingsCache.set(term, await Database.smembers(`search:${type}:term:${term}`));
+          }
+          const postings = postingsCache.get(term);
+          const idf = Math.log(1 + totalDocs / (postings.length || 1));
+
+          for (const id of postings) {
+            const weight = (await loadDoc(id))?.terms?.[term] || 0;
+            const score = weight * factor * idf;
+            termScores.set(id, Math.max(termScores.get(id) || 0, score));
+          }
+        }
+
+        // Every query term must match something (AND semantics)
+        matchedAny = matchedAny === null
+          ? new Set(termScores.keys())
+          : new Set([...matchedAny].filter(id => termScores.has(id)));
+
+        for (const [id, score] of termScores) {
+          scores.set(id, (scores.get(id) || 0) + score);
+        }
+      }
+
+      for (const id of scores.keys()) {
+        if (!matchedAny.has(id)) scores.delete(id);
+      }
+
+      const matched = [];
+      for (const [id, score] of scores) {
+        const doc = await loadDoc(id);
+        if (!doc || !this.matchesFilters(doc.facets, filters)) continue;
+        matched.push({ id, score, facets: doc.facets });
+      }
+
+      matched.sort((a, b) => b.score - a.score);
+
+      return {
+        hits: matched.slice(offset, offset + limit).map(({ id, score }) => ({ id, score: Number(score.toFixed(4)) })),
+        total: matched.length,
+        facets: this.buildFacets(matched)
+      };
+    } catch (error) {
+      logger.error(`Error searching ${type}:`, error);
+      return { hits: [], total: 0, facets: { genre: {}, mood: {}, price: {} } };
+    }
+  }
+}
+
+export default new SearchService();
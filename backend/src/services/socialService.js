@@ -11,7 +11,7 @@ class SocialService {
   }
 
   // 生成分享链接
-  generateShareLink(trackId, userId) {
+  async generateShareLink(trackId, userId) {
     const shareId = crypto.randomUUID();
     const shareLink = `${this.baseUrl}/share/${shareId}`;
     
@@ -26,14 +26,14 @@ class SocialService {
       platform: 'direct'
     };
     
-    database.setData(`share:${shareId}`, shareData);
+    await database.set(`share:${shareId}`, shareData);
     return shareData;
   }
 
   // 分享到 Twitter/X
   async shareToTwitter(trackData, userId) {
     try {
-      const shareData = this.generateShareLink(trackData.id, userId);
+      const shareData = await this.generateShareLink(trackData.id, userId);
       
       // 构建推文内容
       const tweetText = this.buildTweetText(trackData, shareData.shareLink);
@@ -65,7 +65,7 @@ class SocialService {
   // 分享到 Discord
   async shareToDiscord(trackData, userId, channelInfo = null) {
     try {
-      const shareData = this.generateShareLink(trackData.id, userId);
+      const shareData = await this.generateShareLink(trackData.id, userId);
       
       // 构建 Discord 嵌入消息
       const discordEmbed = this.buildDiscordEmbed(trackData, shareData.shareLink);
@@ -196,20 +196,20 @@ ${hashtags.join(' ')}`;
     };
     
     // 存储到数据库
-    database.setData(`activity:${activity.id}`, activity);
+    await database.set(`activity:${activity.id}`, activity);
     
     // 更新用户分享统计
-    const userStats = database.getData(`user_stats:${userId}`) || { shares: 0 };
+    const userStats = (await database.get(`user_stats:${userId}`)) || { shares: 0 };
     userStats.shares = (userStats.shares || 0) + 1;
     userStats[`${platform}_shares`] = (userStats[`${platform}_shares`] || 0) + 1;
-    database.setData(`user_stats:${userId}`, userStats);
+    await database.set(`user_stats:${userId}`, userStats);
     
     return activity;
   }
 
   // 获取分享统计
   async getShareStats(userId, timeRange = '7d') {
-    const userStats = database.getData(`user_stats:${userId}`) || {};
+    const userStats = (await database.get(`user_stats:${userId}`)) || {};
     
     return {
       totalShares: userStats.shares || 0,
@@ -225,7 +225,7 @@ ${hashtags.join(' ')}`;
 
   // 获取分享链接点击统计
   async getShareLinkStats(shareId) {
-    const shareData = database.getData(`share:${shareId}`);
+    const shareData = await database.get(`share:${shareId}`);
     if (!shareData) {
       throw new Error('Share link not found');
     }
@@ -241,7 +241,7 @@ ${hashtags.join(' ')}`;
 
   // 处理分享链接点击
   async handleShareLinkClick(shareId, referrer = null) {
-    const shareData = database.getData(`share:${shareId}`);
+    const shareData = await database.get(`share:${shareId}`);
     if (!shareData) {
       throw new Error('Share link not found');
     }
@@ -253,7 +253,7 @@ ${hashtags.join(' ')}`;
       shareData.referrer = referrer;
     }
     
-    database.setData(`share:${shareId}`, shareData);
+    await database.set(`share:${shareId}`, shareData);
     
     return shareData;
   }
@@ -290,7 +290,7 @@ ${hashtags.join(' ')}`;
 
   // 获取社交平台连接状态
   async getSocialConnections(userId) {
-    const connections = database.getData(`social_connections:${userId}`) || {};
+    const connections = (await database.get(`social_connections:${userId}`)) || {};
     
     return {
       twitter: {
@@ -309,7 +309,7 @@ ${hashtags.join(' ')}`;
 
   // 连接社交平台账户
   async connectSocialAccount(userId, platform, accountData) {
-    const connections = database.getData(`social_connections:${userId}`) || {};
+    const connections = (await database.get(`social_connections:${userId}`)) || {};
     
     connections[platform] = {
       ...accountData,
@@ -317,7 +317,7 @@ ${hashtags.join(' ')}`;
       lastSync: new Date().toISOString()
     };
     
-    database.setData(`social_connections:${userId}`, connections);
+    await database.set(`social_connections:${userId}`, connections);
     
     return {
       success: true,
@@ -0,0 +1,217 @@
+/**
+ * Wallet Authentication Service
+ * Issues account-proof nonces and verifies FCL account-proof signatures
+ * against the signing account's on-chain keys
+ */
+
+import crypto from 'crypto';
+import * as fcl from '@onflow/fcl';
+import Database from '../config/database.js';
+import logger from '../utils/logger.js';
+
+// Flow account key algorithm identifiers, as returned by the access API
+const SIGNATURE_CURVES = {
+  1: 'P-256',
+  2: 'secp256k1',
+  ECDSA_P256: 'P-256',
+  ECDSA_secp256k1: 'secp256k1'
+};
+
+const HASH_ALGORITHMS = {
+  1: 'sha256',
+  3: 'sha3-256',
+  SHA2_256: 'sha256',
+  SHA3_256: 'sha3-256'
+};
+
+// Combined key weight required to act on behalf of a Flow account
+const FULL_KEY_WEIGHT = 1000;
+
+/**
+ * Build an authentication error carrying a machine-readable code
+ */
+const createAuthError = (code, message) => {
+  const error = new Error(message);
+  error.type = 'AUTH_ERROR';
+  error.code = code;
+  return error;
+};
+
+/**
+ * Normalize a Flow address to lowercase with a 0x prefix
+ */
+const normalizeAddress = (address = '') => {
+  const hex = String(address).toLowerCase().replace(/^0x/, '');
+  return `0x${hex}`;
+};
+
+/**
+ * Default key lookup: read the account's keys from the configured access node
+ */
+const fetchAccountKeys = async (address) => {
+  const account = await fcl.account(address);
+  return account.keys || [];
+};
+
+class WalletAuthService {
+  constructor() {
+    this.appIdentifier = process.env.FLOW_APP_IDENTIFIER || 'FlowTune';
+    this.nonceTTL = parseInt(process.env.WALLET_NONCE_TTL) || 300; // 5 minutes
+    this.keyLookup = fetchAccountKeys;
+  }
+
+  /**
+   * Replace the on-chain key lookup (used by tests and local emulators)
+   */
+  setKeyLookup(keyLookup) {
+    this.keyLookup = keyLookup || fetchAccountKeys;
+  }
+
+  /**
+   * Issue a single-use account-proof nonce
+   */
+  async issueNonce() {
+    const nonce = crypto.randomBytes(32).toString('hex');
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + this.nonceTTL * 1000;
+
+    await Database.set(`auth:nonce:${nonce}`, {
+      nonce,
+      issuedAt: new Date(issuedAt).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString()
+    }, this.nonceTTL);
+
+    return {
+      appIdentifier: this.appIdentifier,
+      nonce,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Consume a nonce so it can never be replayed, whatever the verification outcome.
+   * Only the caller whose delete removed the key consumes it, so concurrent
+   * proofs with the same nonce cannot both pass.
+   */
+  async consumeNonce(nonce) {
+    const key = `auth:nonce:${nonce}`;
+    const record = await Database.get(key);
+
+    if (!record || await Database.del(key) !== 1) {
+      throw createAuthError('NONCE_NOT_FOUND', 'Unknown or already used nonce');
+    }
+
+    if (new Date(record.expiresAt).getTime() <= Date.now()) {
+      throw createAuthError('NONCE_EXPIRED', 'Nonce has expired, request a new one');
+    }
+
+    return record;
+  }
+
+  /**
+   * Encode the message the wallet signed for an account proof
+   */
+  encodeMessage(address, nonce) {
+    const encoded = fcl.WalletUtils.encodeAccountProof({
+      address: normalizeAddress(address),
+      nonce,
+      appIdentifier: this.appIdentifier
+    }, true);
+
+    return Buffer.from(encoded, 'hex');
+  }
+
+  /**
+   * Verify one signature against a raw 64-byte Flow public key
+   */
+  verifySignature(accountKey, message, signature) {
+    const curve = SIGNATURE_CURVES[accountKey.signAlgo];
+    const hash = HASH_ALGORITHMS[accountKey.hashAlgo];
+
+    if (!curve || !hash) {
+      logger.warn(`Unsupported key algorithm on key ${accountKey.index}`);
+      return false;
+    }
+
+    try {
+      const raw = Buffer.from(accountKey.publicKey.replace(/^0x/, ''), 'hex');
+      const publicKey = crypto.createPublicKey({
+        key: {
+          kty: 'EC',
+          crv: curve,
+          x: raw.subarray(0, 32).toString('base64url'),
+          y: raw.subarray(32, 64).toString('base64url')
+        },
+        format: 'jwk'
+      });
+
+      return crypto.verify(
+        hash,
+        message,
+        { key: publicKey, dsaEncoding: 'ieee-p1363' },
+        Buffer.from(signature.replace(/^0x/, ''), 'hex')
+      );
+    } catch (error) {
+      logger.warn(`Signature check failed on key ${accountKey.index}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Verify an FCL account proof ({ address, nonce, signatures }) for the given address
+   */
+  async verifyAccountProof(flowAddress, accountProof) {
+    if (!accountProof || !accountProof.nonce || !Array.isArray(accountProof.signatures) ||
+        accountProof.signatures.length === 0) {
+      throw createAuthError('ACCOUNT_PROOF_REQUIRED', 'A signed account proof is required');
+    }
+
+    const address = normalizeAddress(flowAddress);
+    if (normalizeAddress(accountProof.address) !== address) {
+      throw createAuthError('ADDRESS_MISMATCH', 'Account proof was signed for a different address');
+    }
+
+    await this.consumeNonce(accountProof.nonce);
+
+    let accountKeys;
+    try {
+      accountKeys = await this.keyLookup(address);
+    } catch (error) {
+      logger.error(`Account key lookup failed for ${address}:`, error);
+      throw createAuthError('ACCOUNT_LOOKUP_FAILED', 'Could not load account keys from Flow');
+    }
+
+    const message = this.encodeMessage(address, accountProof.nonce);
+    const countedKeys = new Set();
+    let totalWeight = 0;
+
+    for (const sig of accountProof.signatures) {
+      if (normalizeAddress(sig.addr) !== address) {
+        throw createAuthError('ADDRESS_MISMATCH', 'Signature was produced by a different account');
+      }
+
+      const keyId = Number(sig.keyId);
+      const accountKey = accountKeys.find(key => Number(key.index) === keyId);
+
+      if (!accountKey || accountKey.revoked || countedKeys.has(keyId)) {
+        continue;
+      }
+
+      if (!this.verifySignature(accountKey, message, sig.signature)) {
+        throw createAuthError('INVALID_SIGNATURE', `Signature for key ${keyId} is invalid`);
+      }
+
+      countedKeys.add(keyId);
+      totalWeight += Number(accountKey.weight) || 0;
+    }
+
+    if (totalWeight < FULL_KEY_WEIGHT) {
+      throw createAuthError('INSUFFICIENT_KEY_WEIGHT', 'Account proof is not signed with full key weight');
+    }
+
+    logger.info(`Account proof verified for ${address}`);
+    return { address, keyIds: Array.from(countedKeys) };
+  }
+}
+
+export default new WalletAuthService();
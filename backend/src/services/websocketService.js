@@ -7,6 +7,23 @@ class WebSocketService {
     this.wss = null;
     this.clients = new Map(); // Map of userId -> Set of WebSocket connections
     this.rooms = new Map(); // Map of roomId -> Set of userIds
+    this.roomHandlers = new Map(); // Map of roomId prefix -> { authorize, onJoin }
+  }
+
+  /**
+   * Guard rooms whose id starts with prefix. authorize(userId, roomId) decides
+   * whether the user may join; onJoin(ws, userId, roomId) runs after a join,
+   * e.g. to replay current state to a reconnecting client.
+   */
+  registerRoom(prefix, { authorize, onJoin } = {}) {
+    this.roomHandlers.set(prefix, { authorize, onJoin });
+  }
+
+  getRoomHandler(roomId) {
+    for (const [prefix, handler] of this.roomHandlers.entries()) {
+      if (roomId.startsWith(prefix)) return handler;
+    }
+    return null;
   }
 
   initialize(server) {
@@ -86,8 +103,7 @@ class WebSocketService {
   handleMessage(ws, userId, message) {
     switch (message.type) {
       case 'join_room':
-        this.joinRoom(userId, message.roomId);
-        break;
+        return this.handleJoinRoom(ws, userId, message.roomId);
       case 'leave_room':
         this.leaveRoom(userId, message.roomId);
         break;
@@ -99,6 +115,32 @@ class WebSocketService {
     }
   }
 
+  async handleJoinRoom(ws, userId, roomId) {
+    if (typeof roomId !== 'string' || !roomId) {
+      this.sendToClient(ws, { type: 'room_error', roomId, message: 'roomId is required' });
+      return;
+    }
+
+    const handler = this.getRoomHandler(roomId);
+    try {
+      if (handler?.authorize && !(await handler.authorize(userId, roomId))) {
+        logger.warn('WebSocket room join denied', { userId, roomId });
+        this.sendToClient(ws, { type: 'room_error', roomId, message: 'Not allowed to join this room' });
+        return;
+      }
+
+      this.joinRoom(userId, roomId);
+      this.sendToClient(ws, { type: 'room_joined', roomId, timestamp: new Date().toISOString() });
+
+      if (handler?.onJoin) {
+        await handler.onJoin(ws, userId, roomId);
+      }
+    } catch (error) {
+      logger.error('Error joining WebSocket room', { userId, roomId, error: error.message });
+      this.sendToClient(ws, { type: 'room_error', roomId, message: 'Failed to join room' });
+    }
+  }
+
   handleDisconnect(userId, ws) {
     logger.info('WebSocket client disconnected', { userId });
     
@@ -0,0 +1,328 @@
+/**
+ * 批量工作流服务
+ * 批次中的工作流通过并发池提交：同时在途的工作流不超过批次并发数，
+ * 一个结束后再提交下一个。每个工作流都受每日生成/铸造配额约束，
+ * 批次可以按ID查询汇总状态，也可以取消剩余的工作流
+ */
+
+import WorkflowBatch, { FINISHED_ITEM_STATUSES } from '../models/WorkflowBatch.js';
+import WorkflowJob from '../models/WorkflowJob.js';
+import forteActionsService from './forteActionsService.js';
+import workflowEngine, { createWorkflowError } from './workflowEngine.js';
+import quotaService from './quotaService.js';
+import logger from '../utils/logger.js';
+
+const SETTLED_EVENTS = ['job:completed', 'job:failed', 'job:cancelled'];
+
+class WorkflowBatchService {
+  constructor() {
+    this.concurrency = parseInt(process.env.FORTE_BATCH_CONCURRENCY) || 3;
+    this.maxBatchSize = parseInt(process.env.FORTE_BATCH_MAX_SIZE) || 10;
+    this.locks = new Map();
+
+    // 批次中的工作流结束后记录结果并提交下一个
+    for (const event of SETTLED_EVENTS) {
+      workflowEngine.on(event, job => {
+        if (!job.batchId) return;
+        this.handleJobSettled(job)
+          .catch(error => logger.error(`Failed to advance batch ${job.batchId}:`, error));
+      });
+    }
+  }
+
+  /**
+   * 同一批次的更新串行执行，避免同时结束的工作流互相覆盖批次状态
+   */
+  withLock(batchId, fn) {
+    const previous = this.locks.get(batchId) || Promise.resolve();
+    const run = previous.then(fn);
+    const tail = run.catch(() => {});
+    this.locks.set(batchId, tail);
+    tail.then(() => {
+      if (this.locks.get(batchId) === tail) this.locks.delete(batchId);
+    });
+    return run;
+  }
+
+  /**
+   * 校验并规范化单个批次项，缺少必需字段的项直接记为失败
+   */
+  normalizeItem(workflow = {}) {
+    const { prompt, metadata, royalties = [], autoMint = true, provider = null } = workflow || {};
+    const title = metadata?.title || null;
+
+    if (!prompt || !metadata || !metadata.title || !metadata.artist) {
+      return {
+        title,
+        params: null,
+        status: 'failed',
+        code: 'INVALID_WORKFLOW',
+        error: 'Missing required fields: prompt, metadata.title, metadata.artist'
+      };
+    }
+
+    return {
+      title,
+      params: {
+        prompt,
+        metadata: {
+          ...metadata,
+          description: metadata.description || `AI生成的${metadata.genre || '音乐'}作品`
+        },
+        royalties,
+        autoMint: autoMint !== false,
+        provider
+      }
+    };
+  }
+
+  /**
+   * 创建批次并立即提交并发数以内的工作流
+   * @param {string} userId - 用户ID
+   * @param {Array} workflows - [{ prompt, metadata, royalties, autoMint, provider }]
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - 批次并发数，不超过服务端上限
+   * @returns {Object} 批次汇总状态
+   */
+  async createBatch(userId, workflows, { concurrency } = {}) {
+    if (!Array.isArray(workflows) || workflows.length === 0) {
+      throw createWorkflowError('VALIDATION_ERROR', 'INVALID_BATCH', 'workflows must be a non-empty array');
+    }
+    if (workflows.length > this.maxBatchSize) {
+      throw createWorkflowError('VALIDATION_ERROR', 'BATCH_TOO_LARGE', `A batch can hold at most ${this.maxBatchSize} workflows`);
+    }
+
+    // 当天配额已用完时整个批次都无法执行，直接拒绝
+    const usage = await quotaService.getUsage(userId);
+    if (usage.generation.remaining === 0) {
+      throw createWorkflowError('RATE_LIMIT', 'QUOTA_EXCEEDED', `Daily generation quota of ${usage.generation.limit} reached; it resets at midnight UTC`);
+    }
+
+    const batch = new WorkflowBatch({
+      userId,
+      concurrency: Math.min(Math.max(parseInt(concurrency) || this.concurrency, 1), this.concurrency),
+      items: workflows.map(workflow => this.normalizeItem(workflow))
+    });
+    await batch.save();
+
+    logger.info(`Workflow batch ${batch.id} created with ${batch.items.length} workflows (concurrency ${batch.concurrency})`);
+
+    await this.withLock(batch.id, async () => {
+      const current = await WorkflowBatch.findById(batch.id);
+      await this.advance(current);
+      await current.save();
+    });
+
+    return this.getBatchStatus(batch.id, userId);
+  }
+
+  /**
+   * 填满空闲的并发槽位；所有项都结束后确定批次最终状态
+   */
+  async advance(batch) {
+    if (batch.status === 'running') {
+      let slots = batch.concurrency - batch.getInFlight().length;
+
+      for (const item of batch.getPending()) {
+        if (slots <= 0) break;
+
+        try {
+          const queued = await forteActionsService.executeWorkflow({
+            ...item.params,
+            userId: batch.userId,
+            batchId: batch.id
+          });
+          item.status = 'submitted';
+          item.workflowId = queued.workflowId;
+          slots -= 1;
+        } catch (error) {
+          item.status = 'failed';
+          item.code = error.code || 'SUBMIT_FAILED';
+          item.error = error.message;
+          logger.warn(`Batch ${batch.id} item ${item.index} was not submitted: ${error.message}`);
+        }
+      }
+    }
+
+    // 失败项恢复后重新成功时结果会随之更新
+    if (batch.isSettled()) {
+      batch.status = batch.getOutcome();
+      if (!batch.completedAt) {
+        batch.completedAt = new Date().toISOString();
+        logger.info(`Workflow batch ${batch.id} finished: ${batch.status}`);
+      }
+    }
+  }
+
+  /**
+   * 记录结束的工作流并提交下一个
+   */
+  handleJobSettled(job) {
+    return this.withLock(job.batchId, async () => {
+      const batch = await WorkflowBatch.findById(job.batchId);
+      const item = batch?.getItemByWorkflow(job.id);
+      if (!item) return;
+
+      item.status = job.status;
+      item.error = job.error;
+      item.code = job.status === 'failed' ? 'WORKFLOW_FAILED' : null;
+
+      await this.advance(batch);
+      await batch.save();
+    });
+  }
+
+  /**
+   * 服务重启后继续未完成的批次：补记重启期间结束的工作流并填满槽位
+   */
+  async recover() {
+    const batches = await WorkflowBatch.findByStatus('running');
+
+    for (const { id } of batches) {
+      await this.withLock(id, async () => {
+        const batch = await WorkflowBatch.findById(id);
+        const jobs = await this.loadJobs(batch);
+
+        for (const item of batch.getInFlight()) {
+          const job = jobs.get(item.workflowId);
+          if (!job) {
+            item.status = 'failed';
+            item.code = 'WORKFLOW_NOT_FOUND';
+            item.error = 'Workflow not found';
+          } else if (FINISHED_ITEM_STATUSES.includes(job.status)) {
+            item.status = job.status;
+            item.error = job.error;
+            item.code = job.status === 'failed' ? 'WORKFLOW_FAILED' : null;
+          }
+        }
+
+        await this.advance(batch);
+        await batch.save();
+      });
+    }
+
+    if (batches.length > 0) {
+      logger.info(`Resumed ${batches.length} unfinished workflow batches`);
+    }
+  }
+
+  /**
+   * 读取批次并校验所属用户
+   */
+  async getOwnedBatch(batchId, userId) {
+    const batch = await WorkflowBatch.findById(batchId);
+    if (!batch) {
+      throw createWorkflowError('NOT_FOUND', 'BATCH_NOT_FOUND', 'Batch not found');
+    }
+    if (userId && batch.userId !== userId) {
+      throw createWorkflowError('PERMISSION_ERROR', 'BATCH_ACCESS_DENIED', 'Not authorized to access this batch');
+    }
+    return batch;
+  }
+
+  async loadJobs(batch) {
+    const ids = batch.items.map(item => item.workflowId).filter(Boolean);
+    const jobs = await WorkflowJob.findByIds(ids);
+    return new Map(jobs.map(job => [job.id, job]));
+  }
+
+  /**
+   * 批次汇总：每项的实时状态、各状态计数、总体进度与失败明细
+   */
+  describe(batch, jobs) {
+    const items = batch.items.map(item => {
+      const job = item.workflowId ? jobs.get(item.workflowId) : null;
+      // 在途的项显示工作流的实时状态（queued/running/retrying）
+      const status = item.status === 'submitted' && job ? job.status : item.status;
+      const finished = FINISHED_ITEM_STATUSES.includes(status);
+
+      return {
+        index: item.index,
+        title: item.title,
+        workflowId: item.workflowId,
+        status,
+        currentStep: job && !finished ? job.currentStep : null,
+        progress: finished ? 100 : (job ? job.getProgress() : 0),
+        result: status === 'completed' && job ? job.result : null,
+        error: item.error || (job && job.status === 'retrying' ? job.error : null),
+        code: item.code
+      };
+    });
+
+    const counts = items.reduce((totals, item) => {
+      totals[item.status] = (totals[item.status] || 0) + 1;
+      return totals;
+    }, {});
+
+    return {
+      batchId: batch.id,
+      status: batch.status,
+      concurrency: batch.concurrency,
+      total: items.length,
+      counts,
+      progress: Math.round(items.reduce((sum, item) => sum + item.progress, 0) / items.length),
+      items,
+      failures: items
+        .filter(item => item.status === 'failed')
+        .map(({ index, title, workflowId, code, error }) => ({ index, title, workflowId, code, error })),
+      createdAt: batch.createdAt,
+      updatedAt: batch.updatedAt,
+      completedAt: batch.completedAt,
+      cancelledAt: batch.cancelledAt
+    };
+  }
+
+  /**
+   * 获取批次汇总状态
+   */
+  async getBatchStatus(batchId, userId) {
+    const batch = await this.getOwnedBatch(batchId, userId);
+    return this.describe(batch, await this.loadJobs(batch));
+  }
+
+  /**
+   * 取消批次中剩余的工作流：未提交的项直接取消，排队中的工作流立即取消，
+   * 运行中的工作流在当前步骤完成后停止
+   */
+  async cancelBatch(batchId, userId) {
+    await this.getOwnedBatch(batchId, userId);
+
+    await this.withLock(batchId, async () => {
+      const batch = await WorkflowBatch.findById(batchId);
+      if (batch.status !== 'running') {
+        throw createWorkflowError('VALIDATION_ERROR', 'BATCH_NOT_CANCELLABLE', `Batch is ${batch.status} and cannot be cancelled`);
+      }
+
+      for (const item of batch.getPending()) {
+        item.status = 'cancelled';
+      }
+      batch.status = 'cancelled';
+      batch.cancelledAt = new Date().toISOString();
+      await this.advance(batch);
+      await batch.save();
+
+      for (const item of batch.getInFlight()) {
+        try {
+          await workflowEngine.cancel(item.workflowId);
+        } catch (error) {
+          // 已经结束的工作流保持原结果
+          if (error.code !== 'WORKFLOW_NOT_CANCELLABLE') throw error;
+        }
+      }
+
+      logger.info(`Workflow batch ${batch.id} cancelled`);
+    });
+
+    return this.getBatchStatus(batchId, userId);
+  }
+
+  /**
+   * 获取用户的批次列表
+   */
+  async listBatches(userId, limit = 20, offset = 0) {
+    const batches = await WorkflowBatch.findByUser(userId, limit, offset);
+    return Promise.all(batches.map(async batch => this.describe(batch, await this.loadJobs(batch))));
+  }
+}
+
+export default new WorkflowBatchService();
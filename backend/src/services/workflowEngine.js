@@ -0,0 +1,440 @@
+/**
+ * Workflow Engine
+ * Runs multi-step workflows as durable jobs on a background worker.
+ * Each step's state is persisted as it runs, failed steps retry with exponential
+ * backoff, and a failed workflow resumes from the step that failed.
+ *
+ * Events: job:queued, job:updated, job:completed, job:failed, job:cancelled, step:updated
+ */
+
+import { EventEmitter } from 'events';
+import WorkflowJob, { TERMINAL_STATUSES } from '../models/WorkflowJob.js';
+import logger from '../utils/logger.js';
+
+const RUNNABLE_STATUSES = ['queued', 'retrying'];
+
+/**
+ * Workflow error carrying an errorHandler-compatible type.
+ * Errors with retryable === false fail the step without further attempts.
+ */
+export const createWorkflowError = (type, code, message, { retryable = true } = {}) => {
+  const error = new Error(message);
+  error.type = type;
+  error.code = code;
+  error.retryable = retryable;
+  return error;
+};
+
+class WorkflowEngine extends EventEmitter {
+  constructor() {
+    super();
+    this.definitions = new Map();
+    this.active = new Map();
+    this.cancelRequests = new Set();
+    this.timer = null;
+    this.ticking = null;
+
+    this.pollInterval = parseInt(process.env.WORKFLOW_POLL_INTERVAL_MS) || 2000;
+    this.concurrency = parseInt(process.env.WORKFLOW_CONCURRENCY) || 1;
+    this.defaultMaxAttempts = parseInt(process.env.WORKFLOW_MAX_ATTEMPTS) || 3;
+    this.retryBaseDelay = parseInt(process.env.WORKFLOW_RETRY_BASE_MS) || 5000;
+    this.maxRetryDelay = 5 * 60 * 1000;
+    this.leaseDuration = 10 * 60 * 1000;
+  }
+
+  /**
+   * Register a workflow type
+   * @param {string} type - Workflow type name
+   * @param {Object} definition
+   * @param {Array|Function} definition.steps - [{ name, run(context), skip?(context) }] in execution order,
+   *   or a function of the job params returning them (for workflows whose steps are data-driven)
+   * @param {Function} [definition.buildResult] - Final job result from the step context
+   * @param {number} [definition.maxAttempts] - Attempts per step before the job fails
+   */
+  define(type, definition) {
+    if (typeof definition.steps !== 'function' && (!Array.isArray(definition.steps) || definition.steps.length === 0)) {
+      throw new Error(`Workflow ${type} must define at least one step`);
+    }
+    this.definitions.set(type, definition);
+  }
+
+  /**
+   * Step definitions for a job of the given definition
+   */
+  resolveSteps(definition, params) {
+    return typeof definition.steps === 'function' ? definition.steps(params) : definition.steps;
+  }
+
+  /**
+   * Persist a new job and wake the worker
+   */
+  async enqueue(type, { userId = null, params = {}, maxAttempts, batchId = null } = {}) {
+    const definition = this.definitions.get(type);
+    if (!definition) {
+      throw createWorkflowError('VALIDATION_ERROR', 'UNKNOWN_WORKFLOW', `Unknown workflow type: ${type}`);
+    }
+
+    const steps = this.resolveSteps(definition, params);
+    if (steps.length === 0) {
+      throw createWorkflowError('VALIDATION_ERROR', 'EMPTY_WORKFLOW', 'Workflow has no steps');
+    }
+
+    const job = new WorkflowJob({
+      type,
+      userId,
+      params,
+      batchId,
+      maxAttempts: maxAttempts || definition.maxAttempts || this.defaultMaxAttempts,
+      steps: steps.map(step => ({ name: step.name }))
+    });
+    await job.save();
+
+    logger.info(`Workflow ${job.id} queued (${type})`);
+    this.emit('job:queued', job);
+    this.schedule();
+    return job;
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.timer.unref?.();
+    this.schedule();
+    logger.info(`Workflow worker started (concurrency ${this.concurrency})`);
+  }
+
+  /**
+   * Stop polling and wait for running jobs to reach a persisted state
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.drain();
+  }
+
+  /**
+   * Wait for the current tick and every active job to settle
+   */
+  async drain() {
+    await this.ticking;
+    await Promise.allSettled([...this.active.values()]);
+  }
+
+  schedule() {
+    if (this.timer) {
+      setImmediate(() => this.tick());
+    }
+  }
+
+  /**
+   * Claim due jobs up to the concurrency limit
+   */
+  tick() {
+    if (!this.ticking) {
+      this.ticking = this.claimDueJobs()
+        .catch(error => logger.error('Workflow worker tick failed:', error))
+        .finally(() => {
+          this.ticking = null;
+        });
+    }
+    return this.ticking;
+  }
+
+  async claimDueJobs() {
+    await this.recoverExpiredLeases();
+
+    const slots = this.concurrency - this.active.size;
+    if (slots <= 0) return;
+
+    const now = new Date().toISOString();
+    const candidates = [];
+    for (const status of RUNNABLE_STATUSES) {
+      candidates.push(...await WorkflowJob.findByStatus(status));
+    }
+
+    const due = candidates
+      .filter(job => !this.active.has(job.id) && job.nextRunAt <= now)
+      .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt))
+      .slice(0, slots);
+
+    for (const job of due) {
+      const run = this.runJob(job)
+        .catch(error => this.failCrashedJob(job, error))
+        .finally(() => {
+          this.active.delete(job.id);
+          this.cancelRequests.delete(job.id);
+          this.schedule();
+        });
+      this.active.set(job.id, run);
+    }
+  }
+
+  /**
+   * Fail a job whose run threw outside its steps, so lease recovery does not
+   * requeue it over and over
+   */
+  async failCrashedJob(job, error) {
+    logger.error(`Workflow ${job.id} crashed:`, error);
+    try {
+      const now = new Date().toISOString();
+      for (const step of job.steps) {
+        if (step.status !== 'running') continue;
+        step.status = 'failed';
+        step.error = error.message;
+        step.failedAt = now;
+      }
+      job.status = 'failed';
+      job.error = error.message;
+      job.failedAt = now;
+      job.lockedUntil = null;
+      await this.update(job, 'job:failed');
+    } catch (saveError) {
+      logger.error(`Failed to mark crashed workflow ${job.id} as failed:`, saveError);
+    }
+  }
+
+  /**
+   * Requeue jobs whose worker died mid-step (lease expired); the interrupted step runs again
+   */
+  async recoverExpiredLeases() {
+    const now = new Date().toISOString();
+    const running = await WorkflowJob.findByStatus('running');
+
+    for (const job of running) {
+      if (this.active.has(job.id) || (job.lockedUntil && job.lockedUntil > now)) continue;
+
+      for (const step of job.steps) {
+        if (step.status === 'running') step.status = 'pending';
+      }
+      job.status = 'queued';
+      job.lockedUntil = null;
+      job.nextRunAt = now;
+      await job.save();
+      logger.warn(`Workflow ${job.id} recovered after an interrupted run`);
+    }
+  }
+
+  /**
+   * Persist a job change and notify listeners
+   */
+  async update(job, event = 'job:updated') {
+    if (job.status === 'running') {
+      job.lockedUntil = new Date(Date.now() + this.leaseDuration).toISOString();
+    }
+    await job.save();
+    this.emit(event, job);
+  }
+
+  /**
+   * Run a job's remaining steps in order
+   */
+  async runJob(job) {
+    const definition = this.definitions.get(job.type);
+    if (!definition) {
+      job.status = 'failed';
+      job.error = `Unknown workflow type: ${job.type}`;
+      job.failedAt = new Date().toISOString();
+      await this.update(job, 'job:failed');
+      return job;
+    }
+
+    job.status = 'running';
+    job.error = null;
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await this.update(job);
+
+    const context = {
+      job,
+      userId: job.userId,
+      params: job.params,
+      results: job.getStepResults()
+    };
+    const stepDefinitions = this.resolveSteps(definition, job.params);
+
+    for (const step of job.steps) {
+      if (step.status === 'completed' || step.status === 'skipped') continue;
+      if (this.cancelRequests.has(job.id)) {
+        return this.markCancelled(job);
+      }
+
+      const stepDefinition = stepDefinitions.find(candidate => candidate.name === step.name);
+      if (!stepDefinition) {
+        return this.handleStepFailure(job, step, createWorkflowError(
+          'VALIDATION_ERROR',
+          'UNKNOWN_STEP',
+          `Unknown step ${step.name} for workflow type ${job.type}`,
+          { retryable: false }
+        ));
+      }
+      if (stepDefinition.skip && stepDefinition.skip(context)) {
+        step.status = 'skipped';
+        await this.update(job);
+        this.emit('step:updated', job, step);
+        continue;
+      }
+
+      job.currentStep = step.name;
+      step.status = 'running';
+      step.attempts += 1;
+      step.error = null;
+      step.startedAt = new Date().toISOString();
+      await this.update(job);
+      this.emit('step:updated', job, step);
+
+      try {
+        step.result = await stepDefinition.run(context);
+        step.status = 'completed';
+        step.completedAt = new Date().toISOString();
+        context.results[step.name] = step.result;
+        await this.update(job);
+        this.emit('step:updated', job, step);
+      } catch (error) {
+        return this.handleStepFailure(job, step, error);
+      }
+    }
+
+    job.status = 'completed';
+    job.currentStep = null;
+    job.lockedUntil = null;
+    job.result = definition.buildResult ? definition.buildResult(context) : context.results;
+    job.completedAt = new Date().toISOString();
+    await this.update(job, 'job:completed');
+
+    logger.info(`Workflow ${job.id} completed`);
+    return job;
+  }
+
+  /**
+   * Schedule a retry with backoff, or fail the job once attempts are exhausted
+   */
+  async handleStepFailure(job, step, error) {
+    const now = Date.now();
+    step.error = error.message;
+    step.failedAt = new Date(now).toISOString();
+    job.error = error.message;
+    job.lockedUntil = null;
+
+    if (this.cancelRequests.has(job.id)) {
+      step.status = 'pending';
+      await this.markCancelled(job);
+    } else if (error.retryable !== false && step.attempts < job.maxAttempts) {
+      step.status = 'pending';
+      job.status = 'retrying';
+      job.nextRunAt = new Date(now + this.getRetryDelay(step.attempts)).toISOString();
+      logger.warn(`Workflow ${job.id} step ${step.name} failed (attempt ${step.attempts}/${job.maxAttempts}), retrying at ${job.nextRunAt}: ${error.message}`);
+      await this.update(job);
+    } else {
+      step.status = 'failed';
+      job.status = 'failed';
+      job.failedAt = step.failedAt;
+      logger.error(`Workflow ${job.id} failed at step ${step.name}: ${error.message}`);
+      await this.update(job, 'job:failed');
+    }
+
+    this.emit('step:updated', job, step);
+    return job;
+  }
+
+  getRetryDelay(attempt) {
+    return Math.min(this.maxRetryDelay, this.retryBaseDelay * 2 ** (attempt - 1));
+  }
+
+  /**
+   * Requeue a failed job from its failed step; completed steps are kept
+   */
+  async resume(jobId) {
+    const job = await WorkflowJob.findById(jobId);
+    if (!job) {
+      throw createWorkflowError('NOT_FOUND', 'WORKFLOW_NOT_FOUND', 'Workflow not found');
+    }
+    if (job.status !== 'failed') {
+      throw createWorkflowError('VALIDATION_ERROR', 'WORKFLOW_NOT_RESUMABLE', `Workflow is ${job.status}; only failed workflows can be resumed`);
+    }
+
+    for (const step of job.steps) {
+      if (step.status === 'failed') {
+        step.status = 'pending';
+        step.attempts = 0;
+        step.error = null;
+      }
+    }
+    job.status = 'queued';
+    job.error = null;
+    job.failedAt = null;
+    job.nextRunAt = new Date().toISOString();
+    await this.update(job, 'job:queued');
+
+    logger.info(`Workflow ${job.id} resumed`);
+    this.schedule();
+    return job;
+  }
+
+  /**
+   * Cancel a job that has not finished. A queued or retrying job is cancelled
+   * at once; a running job stops before its next step (the step in flight finishes).
+   */
+  async cancel(jobId) {
+    const job = await WorkflowJob.findById(jobId);
+    if (!job) {
+      throw createWorkflowError('NOT_FOUND', 'WORKFLOW_NOT_FOUND', 'Workflow not found');
+    }
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      throw createWorkflowError('VALIDATION_ERROR', 'WORKFLOW_NOT_CANCELLABLE', `Workflow is ${job.status} and cannot be cancelled`);
+    }
+
+    if (this.active.has(job.id)) {
+      this.cancelRequests.add(job.id);
+      logger.info(`Workflow ${job.id} will be cancelled after its current step`);
+      return job;
+    }
+    return this.markCancelled(job);
+  }
+
+  async markCancelled(job) {
+    job.status = 'cancelled';
+    job.currentStep = null;
+    job.lockedUntil = null;
+    job.cancelledAt = new Date().toISOString();
+    await this.update(job, 'job:cancelled');
+
+    logger.info(`Workflow ${job.id} cancelled`);
+    return job;
+  }
+
+  async getJob(jobId) {
+    return WorkflowJob.findById(jobId);
+  }
+
+  /**
+   * Public progress view of a job
+   */
+  describe(job) {
+    return {
+      workflowId: job.id,
+      type: job.type,
+      batchId: job.batchId,
+      status: job.status,
+      currentStep: job.currentStep,
+      progress: job.getProgress(),
+      steps: job.steps.map(({ name, status, attempts, error, startedAt, completedAt, failedAt }) => ({
+        name, status, attempts, error, startedAt, completedAt, failedAt
+      })),
+      result: job.result,
+      error: job.error,
+      maxAttempts: job.maxAttempts,
+      nextRunAt: job.status === 'retrying' ? job.nextRunAt : null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt,
+      failedAt: job.failedAt,
+      cancelledAt: job.cancelledAt
+    };
+  }
+}
+
+export default new WorkflowEngine();
@@ -0,0 +1,110 @@
+/**
+ * Workflow Progress Service
+ * Pushes workflow engine transitions to the workflow owner over WebSocket.
+ * Clients join the room `workflow:<id>`; joining (or rejoining after a
+ * reconnect) replays the current state so no transition is missed.
+ */
+
+import workflowEngine from './workflowEngine.js';
+import websocketService from './websocketService.js';
+import logger from '../utils/logger.js';
+
+export const WORKFLOW_ROOM_PREFIX = 'workflow:';
+
+export const workflowRoom = (workflowId) => `${WORKFLOW_ROOM_PREFIX}${workflowId}`;
+
+// job:updated is not forwarded: every step transition already follows it with step:updated
+const JOB_EVENTS = ['job:queued', 'job:completed', 'job:failed', 'job:cancelled'];
+
+class WorkflowProgressService {
+  constructor() {
+    this.attached = false;
+  }
+
+  /**
+   * Register the workflow room and start forwarding engine events
+   */
+  attach() {
+    if (this.attached) return;
+    this.attached = true;
+
+    websocketService.registerRoom(WORKFLOW_ROOM_PREFIX, {
+      authorize: (userId, roomId) => this.authorize(userId, roomId),
+      onJoin: (ws, userId, roomId) => this.replay(ws, roomId)
+    });
+
+    workflowEngine.on('step:updated', (job, step) => this.publish('step:updated', job, step));
+    for (const event of JOB_EVENTS) {
+      workflowEngine.on(event, job => this.publish(event, job));
+    }
+
+    logger.info('Workflow progress events attached to WebSocket');
+  }
+
+  /**
+   * Only the workflow owner may watch it
+   */
+  async authorize(userId, roomId) {
+    const job = await workflowEngine.getJob(roomId.slice(WORKFLOW_ROOM_PREFIX.length));
+    return Boolean(job && job.userId === userId);
+  }
+
+  /**
+   * Progress message for one transition; step transitions carry the step's
+   * partial output once it has completed
+   */
+  buildEvent(event, job, step = null) {
+    const message = {
+      type: 'workflow_progress',
+      event,
+      room: workflowRoom(job.id),
+      workflowId: job.id,
+      workflowType: job.type,
+      status: job.status,
+      currentStep: job.currentStep,
+      progress: job.getProgress(),
+      error: job.error,
+      nextRunAt: job.status === 'retrying' ? job.nextRunAt : null
+    };
+
+    if (step) {
+      const { name, status, attempts, error, startedAt, completedAt, failedAt } = step;
+      message.step = { name, status, attempts, error, startedAt, completedAt, failedAt };
+      message.output = step.status === 'completed' ? step.result : null;
+    }
+    if (job.status === 'completed') {
+      message.result = job.result;
+    }
+
+    return message;
+  }
+
+  publish(event, job, step = null) {
+    try {
+      websocketService.sendToRoom(workflowRoom(job.id), this.buildEvent(event, job, step));
+    } catch (error) {
+      // Delivery is best effort; the job itself must never fail because of it
+      logger.error(`Failed to publish progress for workflow ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Send the full current state to a client that just joined
+   */
+  async replay(ws, roomId) {
+    const job = await workflowEngine.getJob(roomId.slice(WORKFLOW_ROOM_PREFIX.length));
+    if (!job) return;
+
+    const { type: workflowType, ...state } = workflowEngine.describe(job);
+    websocketService.sendToClient(ws, {
+      type: 'workflow_state',
+      room: roomId,
+      workflowType,
+      ...state,
+      outputs: job.getStepResults(),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default new WorkflowProgressService();
@@ -0,0 +1,543 @@
+/**
+ * 工作流模板服务
+ * 用户自定义的 Forte Actions 模板：按 DSL 校验、版本化保存，
+ * 并作为持久化任务在工作流引擎中逐步执行
+ */
+
+import aiService from './aiService.js';
+import audioAnalysisService from './audioAnalysisService.js';
+import auctionService from './auctionService.js';
+import socialService from './socialService.js';
+import forteActionsService, { FORTE_TEMPLATE_WORKFLOW } from './forteActionsService.js';
+import workflowEngine, { createWorkflowError } from './workflowEngine.js';
+import quotaService from './quotaService.js';
+import { validateRoyaltyConfig } from '../utils/royaltySplits.js';
+import WorkflowTemplate from '../models/WorkflowTemplate.js';
+import MusicNFT from '../models/MusicNFT.js';
+import Playlist from '../models/Playlist.js';
+import { BUILTIN_TEMPLATES } from '../config/workflowTemplates.js';
+import {
+  TEMPLATE_ACTIONS,
+  PARAMETER_TYPES,
+  CONDITION_OPERATORS,
+  validateTemplateDefinition,
+  resolveParameters,
+  interpolate,
+  evaluateCondition,
+  dependsOnSteps,
+  checkValue
+} from '../utils/workflowTemplate.js';
+import logger from '../utils/logger.js';
+
+const VISIBILITIES = ['private', 'public'];
+
+const validationError = (code, message, details = []) => {
+  const error = createWorkflowError('VALIDATION_ERROR', code, message, { retryable: false });
+  error.details = details;
+  return error;
+};
+
+class WorkflowTemplateService {
+  constructor() {
+    this.builtins = new Map(BUILTIN_TEMPLATES.map(template => [template.id, new WorkflowTemplate(template)]));
+
+    this.actions = {
+      generate: (options) => this.generate(options),
+      generate_cover: (options) => this.generateCover(options),
+      analyze: (options, context) => this.analyze(options, context),
+      upload: (options, context) => this.upload(options, context),
+      mint: (options, context) => this.mint(options, context),
+      list: (options, context) => this.listForSale(options, context),
+      add_to_playlist: (options, context) => this.addToPlaylist(options, context),
+      share: (options, context) => this.share(options, context)
+    };
+
+    // 每个任务保存模板定义快照，编辑模板不会影响已提交或待恢复的任务
+    workflowEngine.define(FORTE_TEMPLATE_WORKFLOW, {
+      steps: (params) => params.definition.steps.map((step, index) => ({
+        name: step.id,
+        skip: step.when ? (context) => !evaluateCondition(step.when, this.scope(context)) : undefined,
+        run: (context) => this.runStep(step, index, context)
+      })),
+      buildResult: (context) => this.buildResult(context)
+    });
+  }
+
+  /**
+   * DSL 描述：可用动作、参数类型与条件运算符
+   */
+  getSchema() {
+    return {
+      actions: Object.entries(TEMPLATE_ACTIONS).map(([name, action]) => ({
+        name,
+        description: action.description,
+        requires: action.requires,
+        options: action.options
+      })),
+      parameterTypes: PARAMETER_TYPES,
+      conditionOperators: CONDITION_OPERATORS
+    };
+  }
+
+  /**
+   * 模板摘要；prompt/metadata 字段保持与旧版模板列表兼容
+   */
+  summarize(template) {
+    const { parameters = [], steps = [] } = template.definition;
+    const generate = steps.find(step => step.action === 'generate');
+    const options = generate?.options || {};
+    const promptParameter = parameters.find(parameter => parameter.name === 'prompt');
+    const literal = value => (typeof value === 'string' && value.includes('{{') ? undefined : value);
+
+    return {
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      version: template.version,
+      visibility: template.visibility,
+      builtin: template.builtin,
+      ownerId: template.ownerId,
+      prompt: promptParameter?.default ?? literal(options.prompt) ?? '',
+      metadata: {
+        genre: literal(options.genre) || '',
+        mood: literal(options.mood) || '',
+        duration: literal(options.duration) || 30
+      },
+      parameters,
+      steps: steps.map(({ id, action, when }) => ({ id, action, conditional: Boolean(when) })),
+      updatedAt: template.updatedAt
+    };
+  }
+
+  /**
+   * 内置模板、用户自己的模板与公开模板
+   */
+  async listTemplates(userId = null) {
+    const own = userId ? await WorkflowTemplate.findByOwner(userId) : [];
+    const shared = (await WorkflowTemplate.findPublic()).filter(template => template.ownerId !== userId);
+
+    return [...this.builtins.values(), ...own, ...shared].map(template => this.summarize(template));
+  }
+
+  /**
+   * 读取模板（可指定版本）并校验访问权限
+   */
+  async getTemplate(templateId, userId = null, version = null) {
+    let template = this.builtins.get(templateId) || await WorkflowTemplate.findById(templateId);
+    if (!template || !template.canAccess(userId)) {
+      throw createWorkflowError('NOT_FOUND', 'TEMPLATE_NOT_FOUND', 'Template not found');
+    }
+
+    if (version && parseInt(version) !== template.version) {
+      const snapshot = template.builtin ? null : await WorkflowTemplate.findVersion(templateId, parseInt(version));
+      if (!snapshot) {
+        throw createWorkflowError('NOT_FOUND', 'TEMPLATE_VERSION_NOT_FOUND', `Template version ${version} not found`);
+      }
+      template = snapshot;
+    }
+
+    return template;
+  }
+
+  /**
+   * 模板的全部版本
+   */
+  async listVersions(templateId, userId = null) {
+    const template = await this.getTemplate(templateId, userId);
+    if (template.builtin) return [this.summarize(template)];
+
+    const versions = [];
+    for (let version = template.version; version >= 1; version--) {
+      const snapshot = await WorkflowTemplate.findVersion(templateId, version);
+      if (snapshot) versions.push(this.summarize(snapshot));
+    }
+    return versions;
+  }
+
+  /**
+   * 校验模板字段与 DSL 定义
+   */
+  validateTemplate({ name, description, visibility, definition }, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length === 0 || name.length > 80) {
+        errors.push('name must be 1-80 characters');
+      }
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+      errors.push('description must be at most 500 characters');
+    }
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+      errors.push(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+    if (!partial || definition !== undefined) {
+      errors.push(...validateTemplateDefinition(definition).errors);
+    }
+
+    if (errors.length > 0) {
+      throw validationError('INVALID_TEMPLATE', 'Template is invalid', errors);
+    }
+  }
+
+  async createTemplate(userId, data) {
+    this.validateTemplate(data);
+
+    const template = new WorkflowTemplate({
+      ownerId: userId,
+      name: data.name.trim(),
+      description: data.description || '',
+      visibility: data.visibility || 'private',
+      definition: { parameters: data.definition.parameters || [], steps: data.definition.steps }
+    });
+    await template.save();
+
+    logger.info(`Workflow template ${template.id} created by ${userId}`);
+    return this.summarize(template);
+  }
+
+  /**
+   * 修改模板并生成新版本
+   */
+  async updateTemplate(templateId, userId, data) {
+    const template = await this.getOwnedTemplate(templateId, userId);
+    this.validateTemplate(data, { partial: true });
+
+    template.revise({
+      name: data.name?.trim(),
+      description: data.description,
+      visibility: data.visibility,
+      definition: data.definition
+        ? { parameters: data.definition.parameters || [], steps: data.definition.steps }
+        : undefined
+    });
+    await template.save();
+
+    logger.info(`Workflow template ${template.id} updated to v${template.version}`);
+    return this.summarize(template);
+  }
+
+  async deleteTemplate(templateId, userId) {
+    await this.getOwnedTemplate(templateId, userId);
+    await WorkflowTemplate.deleteById(templateId);
+  }
+
+  async getOwnedTemplate(templateId, userId) {
+    if (this.builtins.has(templateId)) {
+      throw createWorkflowError('PERMISSION_ERROR', 'TEMPLATE_READ_ONLY', 'Built-in templates cannot be modified');
+    }
+    const template = await WorkflowTemplate.findById(templateId);
+    if (!template || !template.canAccess(userId)) {
+      throw createWorkflowError('NOT_FOUND', 'TEMPLATE_NOT_FOUND', 'Template not found');
+    }
+    if (template.ownerId !== userId) {
+      throw createWorkflowError('PERMISSION_ERROR', 'TEMPLATE_ACCESS_DENIED', 'Only the template owner can modify it');
+    }
+    return template;
+  }
+
+  /**
+   * 按模板提交工作流任务
+   */
+  async runTemplate(templateId, { userId, version = null, params = {}, royalties = [] }) {
+    const template = await this.getTemplate(templateId, userId, version);
+
+    const resolved = resolveParameters(template.definition.parameters, params);
+    if (!resolved.isValid) {
+      throw validationError('INVALID_PARAMETERS', 'Template parameters are invalid', resolved.errors);
+    }
+
+    // 版税拆分在排队前校验，铸造时不再悄悄换成默认拆分
+    const royaltyCheck = validateRoyaltyConfig(royalties);
+    if (!royaltyCheck.isValid) {
+      throw createWorkflowError('VALIDATION_ERROR', 'INVALID_ROYALTY_SPLIT', royaltyCheck.errors.join('; '));
+    }
+
+    const allowance = await quotaService.consume(userId, this.countQuotaUsage(template.definition, resolved.values));
+
+    let job;
+    try {
+      job = await workflowEngine.enqueue(FORTE_TEMPLATE_WORKFLOW, {
+        userId,
+        params: {
+          templateId: template.id,
+          templateVersion: template.version,
+          templateName: template.name,
+          definition: template.definition,
+          values: resolved.values,
+          royalties
+        }
+      });
+    } catch (error) {
+      await quotaService.refund(userId, allowance);
+      throw error;
+    }
+
+    logger.info(`Workflow ${job.id} queued from template ${template.id} v${template.version}`);
+
+    return {
+      success: true,
+      ...workflowEngine.describe(job),
+      templateId: template.id,
+      templateVersion: template.version
+    };
+  }
+
+  /**
+   * 一次运行消耗的生成/铸造配额；条件按参数求值，引用步骤结果的条件在排队时无法求值，按会执行计入
+   */
+  countQuotaUsage(definition, values) {
+    const scope = { params: values, steps: {} };
+    const runs = definition.steps.filter(step => !step.when || dependsOnSteps(step.when) || evaluateCondition(step.when, scope));
+    return {
+      generation: runs.filter(step => step.action === 'generate').length,
+      mint: runs.filter(step => step.action === 'mint').length
+    };
+  }
+
+  /**
+   * 引用解析的作用域：模板参数与已完成步骤的结果
+   */
+  scope(context) {
+    return { params: context.params.values, steps: context.results };
+  }
+
+  /**
+   * 当前步骤之前、指定动作最近一次完成的结果
+   */
+  findResult(context, index, action) {
+    const steps = context.params.definition.steps.slice(0, index).reverse();
+    const step = steps.find(candidate => candidate.action === action && context.results[candidate.id] !== undefined);
+    return step ? context.results[step.id] : null;
+  }
+
+  async runStep(step, index, context) {
+    const action = TEMPLATE_ACTIONS[step.action];
+    const scope = this.scope(context);
+
+    const options = {};
+    for (const [key, schema] of Object.entries(action.options)) {
+      const value = interpolate(step.options?.[key], scope);
+      if (value === undefined || value === null || value === '') {
+        if (schema.required) {
+          throw validationError('INVALID_STEP_OPTIONS', `Step ${step.id}: option ${key} resolved to an empty value`);
+        }
+        continue;
+      }
+      const error = checkValue(value, schema, `Step ${step.id}: option ${key}`);
+      if (error) throw validationError('INVALID_STEP_OPTIONS', error);
+      options[key] = value;
+    }
+
+    const requirements = {};
+    for (const required of action.requires) {
+      requirements[required] = this.findResult(context, index, required);
+      if (!requirements[required]) {
+        throw validationError('STEP_DEPENDENCY_SKIPPED', `Step ${step.id} needs a completed ${required} step`);
+      }
+    }
+
+    return this.actions[step.action](options, {
+      ...context,
+      requirements,
+      find: (required) => this.findResult(context, index, required)
+    });
+  }
+
+  async generate({ prompt, duration = 30, genre = '', mood = '', bpm, provider }) {
+    const result = await aiService.generateMusicWithMusicGen(prompt, duration, { genre: genre || undefined, mood: mood || undefined, bpm, provider });
+    if (!result.audioUrl) {
+      throw new Error('No audio returned by the music model');
+    }
+
+    return {
+      audioUrl: result.audioUrl,
+      aiModel: result.metadata?.model || 'musicgen',
+      aiProvider: result.metadata?.provider || null,
+      generatedAt: result.metadata?.generatedAt || new Date().toISOString(),
+      prompt,
+      duration,
+      genre,
+      mood
+    };
+  }
+
+  async generateCover({ prompt, style = 'abstract' }) {
+    const result = await aiService.generateCoverArt(prompt, style);
+    return {
+      imageUrl: result.imageUrl,
+      model: result.metadata?.model || null
+    };
+  }
+
+  async analyze({ resolution }, { requirements }) {
+    const analysis = await audioAnalysisService.analyzeUrl(requirements.generate.audioUrl, { resolution });
+    return {
+      duration: analysis.duration,
+      bpm: analysis.tempo ? Math.round(analysis.tempo.bpm) : null,
+      key: analysis.key ? analysis.key.name : null,
+      loudness: analysis.loudness,
+      tempo: analysis.tempo,
+      tonality: analysis.key,
+      waveform: analysis.waveform
+    };
+  }
+
+  async upload(options, { requirements, find, params }) {
+    const generated = requirements.generate;
+    const cover = find('generate_cover');
+    const analysis = find('analyze');
+
+    return forteActionsService.uploadToIPFS({
+      audioUrl: generated.audioUrl,
+      coverImageUrl: cover?.imageUrl,
+      waveform: analysis?.waveform,
+      metadata: {
+        title: options.title,
+        artist: options.artist,
+        description: options.description,
+        genre: options.genre || generated.genre,
+        mood: options.mood || generated.mood,
+        duration: analysis?.duration || generated.duration,
+        prompt: generated.prompt,
+        aiModel: generated.aiModel,
+        aiProvider: generated.aiProvider,
+        generatedAt: generated.generatedAt
+      },
+      royalties: params.royalties
+    });
+  }
+
+  async mint(options, { requirements, userId, params }) {
+    return forteActionsService.autoMintNFT({
+      userId,
+      ipfsMetadata: requirements.upload.nftMetadata,
+      royalties: params.royalties
+    });
+  }
+
+  async getMintedTrack(minted) {
+    const nft = await MusicNFT.findById(minted.nftId);
+    if (!nft) {
+      throw createWorkflowError('NOT_FOUND', 'TRACK_NOT_FOUND', 'Minted track not found', { retryable: false });
+    }
+    return nft;
+  }
+
+  async listForSale({ price, currency = 'FLOW' }, { requirements }) {
+    const nft = await this.getMintedTrack(requirements.mint);
+    if (nft.market.isForSale) {
+      return { price: nft.market.price, currency: nft.market.currency, alreadyListed: true };
+    }
+    if (auctionService.isAuctionActive(nft)) {
+      throw createWorkflowError('VALIDATION_ERROR', 'NFT_ON_AUCTION', 'NFT is currently on auction', { retryable: false });
+    }
+
+    const flowService = (await import('./flowService.js')).default;
+    const listResult = await flowService.listNFTForSale({
+      tokenId: nft.blockchain.tokenId,
+      price,
+      currency,
+      seller: nft.owner
+    });
+
+    nft.market.isForSale = true;
+    nft.market.saleType = 'fixed';
+    nft.market.price = price.toString();
+    nft.market.currency = currency;
+    nft.market.listedAt = new Date();
+    await nft.save();
+
+    return {
+      listingId: listResult.listingId,
+      price,
+      currency,
+      isMock: listResult.isMock || false
+    };
+  }
+
+  async addToPlaylist({ playlistId, position = null }, { requirements, userId }) {
+    const playlist = await Playlist.findById(playlistId);
+    if (!playlist) {
+      throw createWorkflowError('NOT_FOUND', 'PLAYLIST_NOT_FOUND', 'Playlist not found', { retryable: false });
+    }
+    if (!playlist.hasPermission(userId, 'add')) {
+      throw createWorkflowError('PERMISSION_ERROR', 'PLAYLIST_ACCESS_DENIED', 'Permission denied for playlist', { retryable: false });
+    }
+
+    const trackId = requirements.mint.nftId;
+    if (!playlist.tracks.some(track => track.id === trackId)) {
+      playlist.addTrack(trackId, position);
+      await playlist.save();
+    }
+
+    return {
+      playlistId,
+      trackId,
+      position: playlist.tracks.findIndex(track => track.id === trackId)
+    };
+  }
+
+  async share({ platform }, { requirements, userId }) {
+    const nft = await this.getMintedTrack(requirements.mint);
+
+    if (platform === 'link') {
+      const shareData = await socialService.generateShareLink(nft.id, userId);
+      return { platform, shareId: shareData.shareId, shareLink: shareData.shareLink };
+    }
+
+    const trackData = {
+      id: nft.id,
+      title: nft.title,
+      genre: nft.music.genre,
+      duration: Math.round(nft.music.duration || 0),
+      coverImage: nft.files.cover.url
+    };
+    const result = platform === 'twitter'
+      ? await socialService.shareToTwitter(trackData, userId)
+      : await socialService.shareToDiscord(trackData, userId);
+    if (!result.success) {
+      throw new Error(`Sharing to ${platform} failed: ${result.error}`);
+    }
+
+    return { platform, shareId: result.shareId, shareLink: result.shareLink };
+  }
+
+  /**
+   * 任务最终结果（前端展示所需字段）
+   */
+  buildResult(context) {
+    const { definition, values } = context.params;
+    const last = (action) => this.findResult(context, definition.steps.length, action);
+
+    const upload = last('upload');
+    const mint = last('mint');
+    const analysis = last('analyze');
+
+    return {
+      tokenId: mint ? mint.tokenId : null,
+      transactionHash: mint ? mint.transactionHash : null,
+      nftId: mint ? mint.nftId : null,
+      ipfsHash: upload ? upload.metadata.hash : null,
+      audioUrl: upload ? upload.nftMetadata.audioURL : last('generate')?.audioUrl || null,
+      coverImageUrl: upload ? upload.nftMetadata.coverImageURL : last('generate_cover')?.imageUrl || null,
+      metadata: upload
+        ? {
+            title: upload.nftMetadata.title,
+            artist: upload.nftMetadata.artist,
+            genre: upload.nftMetadata.genre,
+            description: upload.nftMetadata.description
+          }
+        : { title: values.title, artist: values.artist },
+      analysis: analysis ? { bpm: analysis.bpm, key: analysis.key, duration: analysis.duration } : null,
+      listing: last('list'),
+      playlist: last('add_to_playlist'),
+      share: last('share'),
+      awaitingMint: Boolean(upload) && !mint,
+      templateId: context.params.templateId,
+      templateVersion: context.params.templateVersion
+    };
+  }
+}
+
+export default new WorkflowTemplateService();
@@ -0,0 +1,387 @@
+/**
+ * Audio Feature Utilities
+ * Streaming extraction of peak waveform, loudness (ITU-R BS.1770 / EBU R128),
+ * tempo and key from decoded PCM samples
+ */
+
+export const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Krumhansl-Kessler key profiles, indexed from the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+const KEY_FFT_SIZE = 4096;
+const KEY_MIN_FREQUENCY = 65;
+const KEY_MAX_FREQUENCY = 2100;
+
+const round = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const powerToLoudness = (power) => -0.691 + 10 * Math.log10(power);
+
+/**
+ * K-weighting pre-filter coefficients (shelf + high-pass) for any sample rate
+ */
+export function createKWeighting(sampleRate) {
+  const shelfK = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  const shelfQ = 0.7071752369554196;
+  const vh = 10 ** (3.999843853973347 / 20);
+  const vb = vh ** 0.4996667741545416;
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+  const passK = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  const passQ = 0.5003270373238773;
+  const passA0 = 1 + passK / passQ + passK * passK;
+
+  return [
+    {
+      b0: (vh + vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+      b1: 2 * (shelfK * shelfK - vh) / shelfA0,
+      b2: (vh - vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+      a1: 2 * (shelfK * shelfK - 1) / shelfA0,
+      a2: (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0
+    },
+    {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: 2 * (passK * passK - 1) / passA0,
+      a2: (1 - passK / passQ + passK * passK) / passA0
+    }
+  ];
+}
+
+/**
+ * Integrated loudness from 100ms sub-block powers (400ms blocks, 75% overlap, two-stage gating)
+ */
+export function integratedLoudness(subblockPowers) {
+  const blocks = [];
+  for (let i = 0; i + 4 <= subblockPowers.length; i++) {
+    blocks.push((subblockPowers[i] + subblockPowers[i + 1] + subblockPowers[i + 2] + subblockPowers[i + 3]) / 4);
+  }
+
+  const aboveAbsolute = blocks.filter(power => power > 0 && powerToLoudness(power) > ABSOLUTE_GATE_LUFS);
+  if (aboveAbsolute.length === 0) return null;
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const relativeGate = powerToLoudness(mean(aboveAbsolute)) + RELATIVE_GATE_LU;
+  const gated = aboveAbsolute.filter(power => powerToLoudness(power) > relativeGate);
+
+  return round(powerToLoudness(mean(gated)), 1);
+}
+
+/**
+ * Reduce fine-grained peaks to a fixed number of points (max per bucket)
+ */
+export function resampleWaveform(peaks, points) {
+  if (peaks.length === 0 || points <= 0) return [];
+  if (peaks.length <= points) return peaks.map(peak => round(peak, 3));
+
+  const waveform = new Array(points);
+  for (let i = 0; i < points; i++) {
+    const start = Math.floor(i * peaks.length / points);
+    const end = Math.max(start + 1, Math.floor((i + 1) * peaks.length / points));
+    let max = 0;
+    for (let j = start; j < end; j++) {
+      if (peaks[j] > max) max = peaks[j];
+    }
+    waveform[i] = round(Math.min(1, max), 3);
+  }
+  return waveform;
+}
+
+/**
+ * Tempo from an energy envelope via onset-strength autocorrelation
+ * A log-normal prior centred on 120 BPM resolves octave ambiguity
+ */
+export function estimateTempo(envelope, frameRate, { minBpm = 60, maxBpm = 200 } = {}) {
+  const minLag = Math.floor(60 * frameRate / maxBpm);
+  const maxLag = Math.ceil(60 * frameRate / minBpm);
+  if (envelope.length < maxLag * 3) return null;
+
+  const onsets = new Float64Array(envelope.length);
+  for (let i = 1; i < envelope.length; i++) {
+    onsets[i] = Math.max(0, envelope[i] - envelope[i - 1]);
+  }
+  const mean = onsets.reduce((sum, value) => sum + value, 0) / onsets.length;
+  for (let i = 0; i < onsets.length; i++) onsets[i] -= mean;
+
+  const autocorrelation = (lag) => {
+    let sum = 0;
+    for (let i = 0; i + lag < onsets.length; i++) sum += onsets[i] * onsets[i + lag];
+    return sum / (onsets.length - lag);
+  };
+
+  const energy = autocorrelation(0);
+  if (energy <= 0) return null;
+
+  const acf = new Float64Array(maxLag + 2);
+  let bestLag = -1;
+  let bestScore = -Infinity;
+  for (let lag = Math.max(1, minLag - 1); lag <= maxLag + 1; lag++) {
+    acf[lag] = autocorrelation(lag);
+    if (lag < minLag || lag > maxLag) continue;
+
+    const prior = Math.exp(-0.5 * Math.log2(60 * frameRate / lag / 120) ** 2);
+    if (acf[lag] * prior > bestScore) {
+      bestScore = acf[lag] * prior;
+      bestLag = lag;
+    }
+  }
+  if (bestLag < 0 || acf[bestLag] <= 0) return null;
+
+  // Parabolic interpolation around the peak for sub-frame lag precision
+  const [left, centre, right] = [acf[bestLag - 1], acf[bestLag], acf[bestLag + 1]];
+  const curvature = left - 2 * centre + right;
+  const offset = curvature < 0 ? 0.5 * (left - right) / curvature : 0;
+
+  return {
+    bpm: round(60 * frameRate / (bestLag + offset), 1),
+    confidence: round(Math.min(1, centre / energy), 2)
+  };
+}
+
+const pearson = (a, b) => {
+  const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+  const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+  let numerator = 0;
+  let denomA = 0;
+  let denomB = 0;
+  for (let i = 0; i < a.length; i++) {
+    numerator += (a[i] - meanA) * (b[i] - meanB);
+    denomA += (a[i] - meanA) ** 2;
+    denomB += (b[i] - meanB) ** 2;
+  }
+  return denomA > 0 && denomB > 0 ? numerator / Math.sqrt(denomA * denomB) : 0;
+};
+
+/**
+ * Key from a 12-bin chroma vector by correlation with the 24 major/minor profiles
+ */
+export function estimateKey(chroma) {
+  if (!chroma.some(value => value > 0)) return null;
+
+  const candidates = [];
+  for (let tonic = 0; tonic < 12; tonic++) {
+    for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+      const rotated = PITCH_CLASSES.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+      candidates.push({ tonic: PITCH_CLASSES[tonic], mode, score: pearson(chroma, rotated) });
+    }
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = candidates;
+  return {
+    tonic: best.tonic,
+    mode: best.mode,
+    name: `${best.tonic} ${best.mode}`,
+    confidence: round(Math.max(0, best.score - runnerUp.score), 3)
+  };
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ */
+export function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+/**
+ * Streaming feature extractor fed with interleaved float PCM
+ */
+export class AudioFeatureExtractor {
+  constructor({ sampleRate, channels = 1, waveformPoints = 800 }) {
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.waveformPoints = waveformPoints;
+    this.frames = 0;
+    this.samplePeak = 0;
+
+    // 10ms hops for waveform peaks and the tempo envelope
+    this.hopSize = Math.max(1, Math.round(sampleRate / 100));
+    this.hopFrames = 0;
+    this.hopPeak = 0;
+    this.hopEnergy = 0;
+    this.peaks = [];
+    this.envelope = [];
+
+    // 100ms loudness sub-blocks through per-channel K-weighting
+    this.filters = createKWeighting(sampleRate);
+    this.filterState = Array.from({ length: channels }, () => this.filters.map(() => [0, 0, 0, 0]));
+    this.subblockSize = Math.max(1, Math.round(sampleRate / 10));
+    this.subblockFrames = 0;
+    this.subblockSums = new Float64Array(channels);
+    this.subblockPowers = [];
+
+    // Chroma from FFT frames of the decimated mono mix
+    this.decimation = Math.max(1, Math.floor(sampleRate / 11025));
+    this.decimatedRate = sampleRate / this.decimation;
+    this.decimationSum = 0;
+    this.decimationCount = 0;
+    this.fftBuffer = new Float64Array(KEY_FFT_SIZE);
+    this.fftPosition = 0;
+    this.window = Float64Array.from({ length: KEY_FFT_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (KEY_FFT_SIZE - 1)));
+    this.chroma = new Float64Array(12);
+    this.binPitchClasses = this.buildPitchClassMap();
+  }
+
+  buildPitchClassMap() {
+    const map = new Int8Array(KEY_FFT_SIZE / 2).fill(-1);
+    const maxFrequency = Math.min(KEY_MAX_FREQUENCY, this.decimatedRate / 2);
+    for (let bin = 1; bin < map.length; bin++) {
+      const frequency = bin * this.decimatedRate / KEY_FFT_SIZE;
+      if (frequency < KEY_MIN_FREQUENCY || frequency > maxFrequency) continue;
+      const midi = Math.round(69 + 12 * Math.log2(frequency / 440));
+      map[bin] = ((midi % 12) + 12) % 12;
+    }
+    return map;
+  }
+
+  kWeight(channel, sample) {
+    let value = sample;
+    this.filters.forEach((f, stage) => {
+      const state = this.filterState[channel][stage];
+      const output = f.b0 * value + f.b1 * state[0] + f.b2 * state[1] - f.a1 * state[2] - f.a2 * state[3];
+      state[1] = state[0];
+      state[0] = value;
+      state[3] = state[2];
+      state[2] = output;
+      value = output;
+    });
+    return value;
+  }
+
+  /**
+   * Consume whole interleaved frames
+   */
+  push(samples) {
+    const frameCount = Math.floor(samples.length / this.channels);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      let mono = 0;
+      let peak = 0;
+
+      for (let channel = 0; channel < this.channels; channel++) {
+        const sample = samples[frame * this.channels + channel];
+        const magnitude = Math.abs(sample);
+        if (magnitude > peak) peak = magnitude;
+        mono += sample;
+
+        const weighted = this.kWeight(channel, sample);
+        this.subblockSums[channel] += weighted * weighted;
+      }
+      mono /= this.channels;
+
+      if (peak > this.samplePeak) this.samplePeak = peak;
+      if (peak > this.hopPeak) this.hopPeak = peak;
+      this.hopEnergy += mono * mono;
+
+      if (++this.hopFrames === this.hopSize) {
+        this.flushHop();
+      }
+
+      if (++this.subblockFrames === this.subblockSize) {
+        let power = 0;
+        for (let channel = 0; channel < this.channels; channel++) {
+          power += this.subblockSums[channel] / this.subblockSize;
+          this.subblockSums[channel] = 0;
+        }
+        this.subblockPowers.push(power);
+        this.subblockFrames = 0;
+      }
+
+      this.decimationSum += mono;
+      if (++this.decimationCount === this.decimation) {
+        this.fftBuffer[this.fftPosition++] = this.decimationSum / this.decimation;
+        this.decimationSum = 0;
+        this.decimationCount = 0;
+        if (this.fftPosition === KEY_FFT_SIZE) {
+          this.accumulateChroma();
+        }
+      }
+    }
+
+    this.frames += frameCount;
+  }
+
+  flushHop() {
+    this.peaks.push(this.hopPeak);
+    this.envelope.push(Math.log1p(1000 * this.hopEnergy / this.hopFrames));
+    this.hopFrames = 0;
+    this.hopPeak = 0;
+    this.hopEnergy = 0;
+  }
+
+  accumulateChroma() {
+    const re = new Float64Array(KEY_FFT_SIZE);
+    const im = new Float64Array(KEY_FFT_SIZE);
+    for (let i = 0; i < KEY_FFT_SIZE; i++) {
+      re[i] = this.fftBuffer[i] * this.window[i];
+    }
+    fft(re, im);
+
+    for (let bin = 1; bin < KEY_FFT_SIZE / 2; bin++) {
+      const pitchClass = this.binPitchClasses[bin];
+      if (pitchClass >= 0) {
+        this.chroma[pitchClass] += Math.sqrt(re[bin] * re[bin] + im[bin] * im[bin]);
+      }
+    }
+    this.fftPosition = 0;
+  }
+
+  /**
+   * Finalise features once all samples have been pushed
+   */
+  finish() {
+    if (this.hopFrames > 0) {
+      this.flushHop();
+    }
+
+    const frameRate = this.sampleRate / this.hopSize;
+    return {
+      frames: this.frames,
+      duration: round(this.frames / this.sampleRate, 3),
+      waveform: {
+        points: Math.min(this.waveformPoints, this.peaks.length),
+        peaks: resampleWaveform(this.peaks, this.waveformPoints)
+      },
+      loudness: {
+        integrated: integratedLoudness(this.subblockPowers),
+        samplePeak: this.samplePeak > 0 ? round(20 * Math.log10(this.samplePeak), 1) : null
+      },
+      tempo: estimateTempo(this.envelope, frameRate),
+      key: estimateKey(Array.from(this.chroma))
+    };
+  }
+}
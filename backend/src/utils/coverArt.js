@@ -0,0 +1,352 @@
+/**
+ * Procedural Cover Art
+ * Turns a track's genre, mood and waveform into square SVG cover art in one
+ * of several style presets. Colours come from the genre and are shifted by the
+ * mood; every other choice is drawn from a generator seeded by the request,
+ * so equal inputs always produce the same cover.
+ */
+
+import { hashSeed, createRandom } from './musicSynth.js';
+import { parsePrompt, normalizeGenre, normalizeMood } from './promptParser.js';
+
+// Artwork is drawn on a fixed canvas and scaled to the requested size
+const CANVAS = 1000;
+const MARGIN = 80;
+const WAVEFORM_BARS = 96;
+const FONT_FAMILY = "'Helvetica Neue', Helvetica, Arial, 'Noto Sans CJK SC', sans-serif";
+
+// Base colours per genre: two background stops, an accent and a highlight
+const GENRE_PALETTES = {
+  electronic: ['#1e1b4b', '#6366f1', '#a855f7', '#22d3ee'],
+  ambient: ['#042f2e', '#0f766e', '#06b6d4', '#a7f3d0'],
+  classical: ['#292524', '#78350f', '#f59e0b', '#fde68a'],
+  jazz: ['#1e1b4b', '#581c87', '#ec4899', '#f59e0b'],
+  rock: ['#1c1917', '#7f1d1d', '#ef4444', '#f97316'],
+  pop: ['#831843', '#ec4899', '#f97316', '#fef08a'],
+  'hip-hop': ['#18181b', '#3f3f46', '#eab308', '#f43f5e'],
+  techno: ['#020617', '#1e293b', '#22c55e', '#e2e8f0'],
+  house: ['#2e1065', '#7c3aed', '#f472b6', '#fde047'],
+  experimental: ['#0c0a09', '#365314', '#a3e635', '#f0abfc'],
+  default: ['#1e1b4b', '#4338ca', '#a855f7', '#3b82f6']
+};
+
+// Mood shifts applied to every palette colour
+const MOOD_TONES = {
+  happy: { hue: 10, saturation: 1.15, lightness: 0.12 },
+  upbeat: { hue: 5, saturation: 1.1, lightness: 0.08 },
+  energetic: { hue: 0, saturation: 1.25, lightness: 0.04 },
+  calm: { hue: -10, saturation: 0.7, lightness: 0.1 },
+  dreamy: { hue: 20, saturation: 0.8, lightness: 0.12 },
+  romantic: { hue: 25, saturation: 0.95, lightness: 0.08 },
+  sad: { hue: -25, saturation: 0.5, lightness: -0.06 },
+  melancholic: { hue: -20, saturation: 0.6, lightness: -0.08 },
+  nostalgic: { hue: 15, saturation: 0.65, lightness: 0.02 },
+  dark: { hue: 0, saturation: 0.85, lightness: -0.16 },
+  mysterious: { hue: -15, saturation: 0.9, lightness: -0.1 },
+  epic: { hue: 0, saturation: 1.1, lightness: -0.04 },
+  tense: { hue: -5, saturation: 1.2, lightness: -0.08 }
+};
+
+/**
+ * Style presets; `style` names outside the presets are matched through COVER_STYLE_ALIASES
+ */
+export const COVER_STYLES = {
+  waveform: { label: 'Waveform', description: 'Mirrored waveform bars over a diagonal gradient' },
+  vinyl: { label: 'Vinyl', description: 'Record grooves with the waveform wrapped around the label' },
+  geometric: { label: 'Geometric', description: 'Seeded shapes over a gradient with a waveform trace' },
+  gradient: { label: 'Gradient', description: 'Soft colour fields with a large title' },
+  minimal: { label: 'Minimal', description: 'Flat colour and a single waveform line' }
+};
+
+export const DEFAULT_COVER_STYLE = 'waveform';
+
+// Style names used by the DALL·E prompts and workflow templates
+export const COVER_STYLE_ALIASES = {
+  abstract: 'geometric',
+  'digital art': 'waveform',
+  retro: 'vinyl',
+  vintage: 'vinyl',
+  soft: 'gradient',
+  clean: 'minimal'
+};
+
+export function resolveCoverStyle(style) {
+  const name = typeof style === 'string' ? style.trim().toLowerCase() : '';
+  if (COVER_STYLES[name]) return name;
+  return COVER_STYLE_ALIASES[name] || DEFAULT_COVER_STYLE;
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value) => Math.round(value * 10) / 10;
+
+function hexToHsl(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  const r = ((value >> 16) & 255) / 255;
+  const g = ((value >> 8) & 255) / 255;
+  const b = (value & 255) / 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  if (max === min) return [0, 0, lightness];
+
+  const delta = max - min;
+  const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  let hue;
+  if (max === r) hue = (g - b) / delta + (g < b ? 6 : 0);
+  else if (max === g) hue = (b - r) / delta + 2;
+  else hue = (r - g) / delta + 4;
+  return [hue * 60, saturation, lightness];
+}
+
+function hslToHex([hue, saturation, lightness]) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const section = (((hue % 360) + 360) % 360) / 60;
+  const x = chroma * (1 - Math.abs((section % 2) - 1));
+  const [r, g, b] = section < 1 ? [chroma, x, 0]
+    : section < 2 ? [x, chroma, 0]
+      : section < 3 ? [0, chroma, x]
+        : section < 4 ? [0, x, chroma]
+          : section < 5 ? [x, 0, chroma]
+            : [chroma, 0, x];
+  const offset = lightness - chroma / 2;
+  return `#${[r, g, b].map(channel => Math.round((channel + offset) * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+const relativeLuminance = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return (0.2126 * ((value >> 16) & 255) + 0.7152 * ((value >> 8) & 255) + 0.0722 * (value & 255)) / 255;
+};
+
+/**
+ * Genre colours shifted by the mood, with a small seeded hue drift
+ * @returns {Object} { background: [from, to], accent, highlight, text }
+ */
+export function coverPalette({ genre, mood } = {}, random = Math.random) {
+  const base = GENRE_PALETTES[normalizeGenre(genre)] || GENRE_PALETTES.default;
+  const tone = MOOD_TONES[normalizeMood(mood)] || { hue: 0, saturation: 1, lightness: 0 };
+  const drift = (random() - 0.5) * 16;
+
+  const [from, to, accent, highlight] = base.map(hex => {
+    const [hue, saturation, lightness] = hexToHsl(hex);
+    return hslToHex([
+      hue + tone.hue + drift,
+      clamp(saturation * tone.saturation, 0, 1),
+      clamp(lightness + tone.lightness, 0.04, 0.92)
+    ]);
+  });
+
+  const averageLuminance = (relativeLuminance(from) + relativeLuminance(to)) / 2;
+  return {
+    background: [from, to],
+    accent,
+    highlight,
+    text: averageLuminance > 0.55 ? '#111827' : '#f8fafc'
+  };
+}
+
+/**
+ * Resample peak values (0-1) to a fixed number of bars, keeping the loudest peak of each span
+ */
+export function resampleWaveform(peaks, bars = WAVEFORM_BARS) {
+  if (!Array.isArray(peaks) || peaks.length === 0) return null;
+
+  return Array.from({ length: bars }, (_, i) => {
+    const start = Math.floor((i * peaks.length) / bars);
+    const end = Math.max(start + 1, Math.floor(((i + 1) * peaks.length) / bars));
+    let max = 0;
+    for (let j = start; j < end && j < peaks.length; j++) {
+      max = Math.max(max, Number(peaks[j]) || 0);
+    }
+    return clamp(max, 0, 1);
+  });
+}
+
+/**
+ * Plausible loudness contour for covers rendered without analyzed audio:
+ * a fade in and out around a slowly wandering level
+ */
+export function seededWaveform(random, bars = WAVEFORM_BARS) {
+  let level = 0.5 + random() * 0.3;
+  return Array.from({ length: bars }, (_, i) => {
+    level = clamp(level + (random() - 0.5) * 0.12, 0.3, 0.95);
+    const position = i / (bars - 1);
+    const envelope = Math.min(1, position * 8, (1 - position) * 6);
+    return clamp(level * envelope * (0.75 + random() * 0.25), 0.04, 1);
+  });
+}
+
+export const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Split a title into at most two lines of roughly `width` characters
+ */
+function wrapTitle(title, width) {
+  const characters = [...title];
+  if (characters.length <= width) return [title];
+
+  const words = title.split(/\s+/);
+  if (words.length === 1) {
+    // Unspaced (e.g. Chinese) titles break by character
+    const second = characters.slice(width, width * 2).join('');
+    return [characters.slice(0, width).join(''), characters.length > width * 2 ? `${second.slice(0, -1)}…` : second];
+  }
+
+  const lines = [''];
+  for (const word of words) {
+    const line = lines[lines.length - 1];
+    if (line && [...`${line} ${word}`].length > width) {
+      if (lines.length === 2) {
+        lines[1] = `${[...line].slice(0, width - 1).join('')}…`;
+        return lines;
+      }
+      lines.push(word);
+    } else {
+      lines[lines.length - 1] = line ? `${line} ${word}` : word;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Title and artist text; `y` is the first baseline, or the last title baseline with align 'bottom'
+ */
+function titleBlock({ title, artist, palette }, { x, y, anchor = 'start', align = 'top', fontSize = 72, width = 22 }) {
+  const lines = title ? wrapTitle(title, width) : [];
+  if (align === 'bottom') y -= Math.max(lines.length - 1, 0) * fontSize * 1.1;
+  const text = lines.map((line, i) => (
+    `<text x="${x}" y="${y + i * fontSize * 1.1}" text-anchor="${anchor}" font-family="${FONT_FAMILY}" font-size="${fontSize}" font-weight="700" fill="${palette.text}">${escapeXml(line)}</text>`
+  ));
+  if (artist) {
+    const artistY = y + Math.max(lines.length, 1) * fontSize * 1.1 - fontSize * 0.25;
+    text.push(`<text x="${x}" y="${round(artistY)}" text-anchor="${anchor}" font-family="${FONT_FAMILY}" font-size="${round(fontSize * 0.5)}" fill="${palette.text}" fill-opacity="0.75">${escapeXml(artist)}</text>`);
+  }
+  return text.join('');
+}
+
+const linearBackground = (palette, id = 'bg') => (
+  `<defs><linearGradient id="${id}" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${palette.background[0]}"/><stop offset="1" stop-color="${palette.background[1]}"/></linearGradient></defs>` +
+  `<rect width="${CANVAS}" height="${CANVAS}" fill="url(#${id})"/>`
+);
+
+const waveformPath = (bars, { x, y, width, height }) => {
+  const step = width / (bars.length - 1);
+  return bars.map((peak, i) => `${i === 0 ? 'M' : 'L'}${round(x + i * step)} ${round(y - peak * height)}`).join(' ');
+};
+
+const STYLE_RENDERERS = {
+  waveform(ctx) {
+    const { palette, bars } = ctx;
+    const width = CANVAS - MARGIN * 2;
+    const slot = width / bars.length;
+    const center = 430;
+    const rects = bars.map((peak, i) => {
+      const height = Math.max(4, peak * 300);
+      return `<rect x="${round(MARGIN + i * slot + slot * 0.2)}" y="${round(center - height)}" width="${round(slot * 0.6)}" height="${round(height * 2)}" rx="${round(slot * 0.3)}" fill="${i % 2 ? palette.accent : palette.highlight}"/>`;
+    });
+    return linearBackground(palette) +
+      `<g opacity="0.9">${rects.join('')}</g>` +
+      titleBlock(ctx, { x: MARGIN, y: 860, align: 'bottom' });
+  },
+
+  vinyl(ctx) {
+    const { palette, bars } = ctx;
+    const c = CANVAS / 2;
+    const grooves = Array.from({ length: 14 }, (_, i) => (
+      `<circle cx="${c}" cy="${c}" r="${190 + i * 18}" fill="none" stroke="${palette.highlight}" stroke-opacity="${round(0.06 + (i % 3) * 0.03)}" stroke-width="2"/>`
+    ));
+    const spokes = bars.map((peak, i) => {
+      const angle = (i / bars.length) * Math.PI * 2 - Math.PI / 2;
+      const inner = 150;
+      const outer = inner + 20 + peak * 280;
+      return `<line x1="${round(c + Math.cos(angle) * inner)}" y1="${round(c + Math.sin(angle) * inner)}" x2="${round(c + Math.cos(angle) * outer)}" y2="${round(c + Math.sin(angle) * outer)}" stroke="${palette.accent}" stroke-width="9" stroke-linecap="round"/>`;
+    });
+    return `<rect width="${CANVAS}" height="${CANVAS}" fill="${palette.background[0]}"/>` +
+      grooves.join('') +
+      `<g opacity="0.85">${spokes.join('')}</g>` +
+      `<circle cx="${c}" cy="${c}" r="130" fill="${palette.background[1]}"/>` +
+      `<circle cx="${c}" cy="${c}" r="10" fill="${palette.background[0]}"/>` +
+      titleBlock(ctx, { x: c, y: c - 40, anchor: 'middle', fontSize: 30, width: 14 });
+  },
+
+  geometric(ctx) {
+    const { palette, bars, random } = ctx;
+    const colors = [palette.accent, palette.highlight, palette.background[1]];
+    const shapes = Array.from({ length: 9 }, () => {
+      const fill = colors[Math.floor(random() * colors.length)];
+      const opacity = round(0.25 + random() * 0.45);
+      const x = round(random() * CANVAS);
+      const y = round(random() * CANVAS * 0.75);
+      const size = round(60 + random() * 260);
+      const kind = random();
+      if (kind < 0.4) {
+        return `<circle cx="${x}" cy="${y}" r="${size / 2}" fill="${fill}" fill-opacity="${opacity}"/>`;
+      }
+      if (kind < 0.75) {
+        return `<rect x="${round(x - size / 2)}" y="${round(y - size / 2)}" width="${size}" height="${size}" fill="${fill}" fill-opacity="${opacity}" transform="rotate(${Math.round(random() * 90)} ${x} ${y})"/>`;
+      }
+      return `<polygon points="${x},${round(y - size / 2)} ${round(x + size / 2)},${round(y + size / 2)} ${round(x - size / 2)},${round(y + size / 2)}" fill="${fill}" fill-opacity="${opacity}"/>`;
+    });
+    return linearBackground(palette) +
+      shapes.join('') +
+      `<path d="${waveformPath(bars, { x: MARGIN, y: 720, width: CANVAS - MARGIN * 2, height: 120 })}" fill="none" stroke="${palette.highlight}" stroke-width="5" stroke-linejoin="round"/>` +
+      titleBlock(ctx, { x: MARGIN, y: 870, align: 'bottom', fontSize: 64 });
+  },
+
+  gradient(ctx) {
+    const { palette, bars, random } = ctx;
+    const fields = [palette.accent, palette.highlight, palette.background[1]].map((color, i) => {
+      const x = round(200 + random() * 600);
+      const y = round(200 + random() * 600);
+      return `<radialGradient id="field${i}"><stop offset="0" stop-color="${color}" stop-opacity="0.85"/><stop offset="1" stop-color="${color}" stop-opacity="0"/></radialGradient>` +
+        `<circle cx="${x}" cy="${y}" r="${round(380 + random() * 200)}" fill="url(#field${i})"/>`;
+    });
+    return `<rect width="${CANVAS}" height="${CANVAS}" fill="${palette.background[0]}"/>` +
+      fields.join('') +
+      `<path d="${waveformPath(bars, { x: MARGIN, y: 930, width: CANVAS - MARGIN * 2, height: 60 })}" fill="none" stroke="${palette.text}" stroke-opacity="0.5" stroke-width="3"/>` +
+      titleBlock(ctx, { x: CANVAS / 2, y: 470, anchor: 'middle', fontSize: 96, width: 14 });
+  },
+
+  minimal(ctx) {
+    const { palette, bars } = ctx;
+    return `<rect width="${CANVAS}" height="${CANVAS}" fill="${palette.background[1]}"/>` +
+      `<path d="${waveformPath(bars, { x: MARGIN, y: 560, width: CANVAS - MARGIN * 2, height: 160 })}" fill="none" stroke="${palette.highlight}" stroke-width="4" stroke-linejoin="round"/>` +
+      titleBlock(ctx, { x: MARGIN, y: 140, fontSize: 44, width: 30 });
+  }
+};
+
+/**
+ * Render cover art as an SVG document
+ * @param {Object} request
+ * @param {string} [request.title]
+ * @param {string} [request.artist]
+ * @param {string} [request.prompt] - Seeds the cover; genre and mood are read from it when not given
+ * @param {string} [request.genre]
+ * @param {string} [request.mood]
+ * @param {number[]} [request.waveform] - Peak values 0-1, e.g. audio analysis waveform.peaks; seeded otherwise
+ * @param {string} [request.style] - One of COVER_STYLES (or an alias)
+ * @param {number} [request.seed] - Variation seed; different seeds give different covers for one track
+ * @param {Object} [options] - { size } in pixels
+ * @returns {Object} { svg, style, palette }
+ */
+export function renderCoverSvg(request = {}, { size = CANVAS } = {}) {
+  const { title = '', artist = '', prompt = '', waveform, seed } = request;
+  const interpreted = parsePrompt(prompt);
+  const genre = normalizeGenre(request.genre) || interpreted.genre;
+  const mood = normalizeMood(request.mood) || interpreted.mood;
+  const style = resolveCoverStyle(request.style);
+
+  const seedText = [prompt, title, artist, genre, mood, style].join('|');
+  const random = createRandom(hashSeed(seed === undefined || seed === null ? seedText : `${seedText}#${seed}`));
+  const palette = coverPalette({ genre, mood }, random);
+  const bars = resampleWaveform(waveform) || seededWaveform(random);
+
+  const body = STYLE_RENDERERS[style]({ title: title.trim(), artist: artist.trim(), palette, bars, random });
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${CANVAS} ${CANVAS}">${body}</svg>`;
+
+  return { svg, style, palette };
+}
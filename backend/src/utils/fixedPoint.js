@@ -0,0 +1,96 @@
+/**
+ * Fixed-point money amounts
+ * Amounts are held as integer units with 8 decimal places, the precision of
+ * Flow's UFix64, so sums and splits never pick up floating point error.
+ * Decimal amounts are parsed from and formatted to strings digit by digit.
+ */
+
+export const AMOUNT_DECIMALS = 8;
+export const UNITS_PER_TOKEN = 10 ** AMOUNT_DECIMALS;
+
+// Basis points in a whole; shares and rates are expressed in basis points
+export const BPS_DENOMINATOR = 10000;
+
+const DECIMAL_PATTERN = /^(-)?(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Throw unless value is a whole number of units that a Number holds exactly
+ */
+export const assertUnits = (value, label = 'amount') => {
+  if (!Number.isSafeInteger(value)) {
+    throw new RangeError(`${label} must be a whole number of units, got ${value}`);
+  }
+  return value;
+};
+
+/**
+ * Parse a decimal amount ("0.001", 12, "-3.5") into integer units
+ * Numbers are read through their shortest string form, not multiplied as floats.
+ */
+export const parseAmount = (value) => {
+  const text = typeof value === 'number' ? String(value) : String(value ?? '').trim();
+  const match = text.match(DECIMAL_PATTERN);
+  if (!match) {
+    throw new RangeError(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  if (fraction.length > AMOUNT_DECIMALS) {
+    throw new RangeError(`Amount ${value} has more than ${AMOUNT_DECIMALS} decimal places`);
+  }
+
+  const units = Number(whole) * UNITS_PER_TOKEN + Number(fraction.padEnd(AMOUNT_DECIMALS, '0'));
+  assertUnits(units, 'Amount');
+  return sign && units !== 0 ? -units : units;
+};
+
+/**
+ * Format integer units as a decimal string with all 8 places ("0.00070000")
+ */
+export const formatAmount = (units) => {
+  assertUnits(units);
+  const sign = units < 0 ? '-' : '';
+  const digits = String(Math.abs(units)).padStart(AMOUNT_DECIMALS + 1, '0');
+  return `${sign}${digits.slice(0, -AMOUNT_DECIMALS)}.${digits.slice(-AMOUNT_DECIMALS)}`;
+};
+
+/**
+ * Split total units by basis-point shares using the largest remainder method:
+ * every share is rounded down, then the leftover units go one at a time to the
+ * shares with the largest remainders (ties to the earlier share), so the parts
+ * always add up to the total exactly.
+ * @param {number} total - Units to split
+ * @param {Object<string, number>} shares - Share name -> basis points, summing to 10000
+ * @returns {Object<string, number>} Share name -> units
+ */
+export const allocateUnits = (total, shares) => {
+  assertUnits(total, 'Total');
+  if (total < 0) {
+    throw new RangeError('Total must not be negative');
+  }
+  const names = Object.keys(shares);
+  const totalBps = names.reduce((sum, name) => sum + shares[name], 0);
+  if (names.some(name => !Number.isInteger(shares[name]) || shares[name] < 0) || totalBps !== BPS_DENOMINATOR) {
+    throw new RangeError(`Shares must be whole basis points summing to ${BPS_DENOMINATOR}`);
+  }
+
+  // total * bps can pass Number.MAX_SAFE_INTEGER, so the products are taken as BigInt
+  const denominator = BigInt(BPS_DENOMINATOR);
+  const parts = names.map((name, index) => {
+    const exact = BigInt(total) * BigInt(shares[name]);
+    return { name, index, units: Number(exact / denominator), remainder: Number(exact % denominator) };
+  });
+
+  let leftover = total - parts.reduce((sum, part) => sum + part.units, 0);
+  const byRemainder = [...parts].sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (let i = 0; leftover > 0; i = (i + 1) % byRemainder.length, leftover--) {
+    byRemainder[i].units++;
+  }
+
+  return Object.fromEntries(parts.map(part => [part.name, part.units]));
+};
+
+/**
+ * Percentage of part in whole, rounded to two places (0 when whole is 0)
+ */
+export const percentageOf = (part, whole) => (whole === 0 ? 0 : Math.round((part / whole) * 10000) / 100);
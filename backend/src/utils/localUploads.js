@@ -0,0 +1,23 @@
+/**
+ * Local Upload Paths
+ * Resolves server-relative /uploads/... URLs (e.g. offline synthesized audio)
+ * to files inside the uploads directory
+ */
+
+import path from 'path';
+
+export const UPLOADS_URL_PREFIX = '/uploads/';
+
+export const isLocalUploadUrl = (url) => typeof url === 'string' && url.startsWith(UPLOADS_URL_PREFIX);
+
+/**
+ * Absolute path for a /uploads/... URL; rejects paths escaping the uploads directory
+ */
+export function resolveLocalUpload(url, uploadsDir = path.join(process.cwd(), 'uploads')) {
+  const pathname = decodeURIComponent(url.split(/[?#]/)[0]);
+  const filePath = path.resolve(uploadsDir, `.${pathname.slice(UPLOADS_URL_PREFIX.length - 1)}`);
+  if (!filePath.startsWith(path.resolve(uploadsDir) + path.sep)) {
+    throw new Error('Invalid upload path');
+  }
+  return filePath;
+}
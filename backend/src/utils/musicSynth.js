@@ -0,0 +1,398 @@
+/**
+ * Procedural Music Synthesizer
+ * Turns a prompt, genre, mood, BPM and duration into an arrangement
+ * (chord progression, drums, bass, pad, arpeggio) and renders it to PCM.
+ * Every random choice is drawn from a generator seeded by the prompt (and
+ * an optional variation seed), so equal inputs always produce identical audio.
+ */
+
+import { PITCH_CLASSES } from './audioFeatures.js';
+import { parsePrompt, parseKey, normalizeGenre, normalizeMood } from './promptParser.js';
+
+const STEPS_PER_BAR = 16;
+const PEAK_LEVEL = 0.89; // -1 dBFS
+const FADE_SECONDS = 1.5;
+
+const SCALES = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10]
+};
+
+// Chord progressions as scale degrees (0 = tonic)
+const PROGRESSIONS = {
+  major: [[0, 4, 5, 3], [0, 5, 3, 4], [0, 3, 4, 4], [3, 4, 0, 0], [0, 3, 0, 4]],
+  minor: [[0, 5, 2, 6], [0, 3, 4, 0], [0, 6, 5, 4], [0, 3, 6, 2], [0, 5, 3, 4]]
+};
+
+// Drum patterns as 16th-note step indexes within a bar
+const KICK_PATTERNS = {
+  four: [0, 4, 8, 12],
+  backbeat: [0, 8, 10],
+  broken: [0, 7, 10],
+  half: [0, 10]
+};
+
+export const GENRE_PRESETS = {
+  electronic: { bpm: [118, 128], mode: 'minor', kick: 'four', snare: [4, 12], hats: 2, pad: 'saw', arp: 2 },
+  techno: { bpm: [125, 135], mode: 'minor', kick: 'four', snare: [], hats: 1, pad: 'saw', arp: 1 },
+  house: { bpm: [118, 126], mode: 'major', kick: 'four', snare: [4, 12], hats: 2, pad: 'saw', arp: 2 },
+  ambient: { bpm: [60, 80], mode: null, kick: null, snare: [], hats: 0, pad: 'sine', arp: 4 },
+  classical: { bpm: [72, 100], mode: 'major', kick: null, snare: [], hats: 0, pad: 'triangle', arp: 2 },
+  jazz: { bpm: [90, 140], mode: 'minor', kick: 'half', snare: [], hats: 4, pad: 'triangle', arp: 2, swing: 0.3 },
+  rock: { bpm: [100, 140], mode: 'major', kick: 'backbeat', snare: [4, 12], hats: 2, pad: 'saw', arp: 4 },
+  pop: { bpm: [96, 124], mode: 'major', kick: 'backbeat', snare: [4, 12], hats: 2, pad: 'triangle', arp: 2 },
+  'hip-hop': { bpm: [80, 96], mode: 'minor', kick: 'broken', snare: [4, 12], hats: 1, pad: 'sine', arp: 4, swing: 0.15 },
+  experimental: { bpm: [70, 160], mode: null, kick: 'broken', snare: [6, 14], hats: 1, pad: 'saw', arp: 1 }
+};
+
+// Canonical moods (see promptParser): preferred mode and arpeggio energy (0..1)
+const MOOD_PROFILES = {
+  happy: { mode: 'major', energy: 0.9 },
+  upbeat: { mode: 'major', energy: 0.9 },
+  energetic: { mode: 'major', energy: 0.9 },
+  calm: { mode: 'major', energy: 0.3 },
+  dreamy: { mode: 'major', energy: 0.3 },
+  romantic: { mode: 'major', energy: 0.4 },
+  sad: { mode: 'minor', energy: 0.3 },
+  melancholic: { mode: 'minor', energy: 0.3 },
+  nostalgic: { mode: 'minor', energy: 0.4 },
+  dark: { mode: 'minor', energy: 0.8 },
+  mysterious: { mode: 'minor', energy: 0.5 },
+  epic: { mode: 'minor', energy: 0.8 },
+  tense: { mode: 'minor', energy: 0.8 }
+};
+
+/**
+ * 32-bit FNV-1a hash
+ */
+export function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mulberry32 generator returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const pick = (random, values) => values[Math.floor(random() * values.length)];
+
+const midiToFrequency = (midi) => 440 * 2 ** ((midi - 69) / 12);
+
+/**
+ * Build the arrangement for a request
+ * @param {Object} request
+ * @param {string} request.prompt - Seeds every random choice
+ * @param {string} [request.genre] - One of GENRE_PRESETS
+ * @param {string} [request.mood] - Shapes mode and energy
+ * @param {number} [request.bpm] - Defaults to a seeded tempo within the genre's range
+ * @param {string} [request.key] - e.g. "A minor"; seeded otherwise
+ * @param {number} [request.duration] - Seconds
+ * @param {number} [request.seed] - Variation seed; different seeds give different takes on one prompt
+ * Genre, mood, BPM and key the request leaves out are read from the prompt
+ * (English or Chinese) before falling back to seeded choices.
+ */
+export function arrangeTrack({ prompt = '', genre, mood, bpm, key, duration = 30, seed: variation } = {}) {
+  const interpreted = parsePrompt(prompt);
+  const normalizedPrompt = prompt.trim().toLowerCase();
+  const seed = hashSeed(variation === undefined || variation === null ? normalizedPrompt : `${normalizedPrompt}#${variation}`);
+  const random = createRandom(seed);
+
+  const genreName = [normalizeGenre(genre), interpreted.genre].find(name => GENRE_PRESETS[name]) || 'pop';
+  const preset = GENRE_PRESETS[genreName];
+  const moodName = normalizeMood(mood) || interpreted.mood;
+  const moodProfile = MOOD_PROFILES[moodName] || { mode: null, energy: 0.6 };
+  const requestedKey = parseKey(key) || interpreted.key;
+
+  // Seeded draws happen unconditionally so explicit values do not shift later choices
+  const seededMode = pick(random, ['major', 'minor']);
+  const seededTonic = Math.floor(random() * 12);
+  const mode = requestedKey?.mode || moodProfile.mode || preset.mode || seededMode;
+  const tonic = requestedKey ? PITCH_CLASSES.indexOf(requestedKey.tonic) : seededTonic;
+  const [minBpm, maxBpm] = preset.bpm;
+  const seededBpm = Math.round(minBpm + random() * (maxBpm - minBpm));
+  const tempo = Math.min(240, Math.max(40, Math.round(bpm || interpreted.bpm) || seededBpm));
+  const progression = pick(random, PROGRESSIONS[mode]);
+
+  const scale = SCALES[mode];
+  const chords = progression.map((degree) => {
+    // Stack thirds within the scale: root, third, fifth
+    const notes = [0, 2, 4].map((offset) => {
+      const index = degree + offset;
+      return tonic + scale[index % 7] + 12 * Math.floor(index / 7);
+    });
+    const quality = (notes[1] - notes[0] + 12) % 12 === 3 ? 'm' : '';
+    const diminished = (notes[2] - notes[0] + 12) % 12 === 6 ? 'dim' : '';
+    return {
+      degree,
+      notes,
+      name: `${PITCH_CLASSES[notes[0] % 12]}${diminished || quality}`
+    };
+  });
+
+  // Arpeggio rhythm: which 16th steps play, denser for energetic moods
+  const arpStep = preset.arp;
+  const arpPattern = [];
+  for (let step = 0; step < STEPS_PER_BAR; step += arpStep) {
+    if (step === 0 || random() < 0.35 + moodProfile.energy * 0.6) {
+      arpPattern.push({ step, chordTone: Math.floor(random() * 3), octave: random() < 0.3 ? 1 : 0 });
+    }
+  }
+
+  const hatPattern = [];
+  if (preset.hats > 0) {
+    for (let step = 0; step < STEPS_PER_BAR; step += preset.hats) {
+      hatPattern.push({ step, velocity: step % 4 === 0 ? 0.9 : 0.45 + random() * 0.35 });
+    }
+  }
+
+  const barSeconds = STEPS_PER_BAR / 4 * 60 / tempo;
+
+  return {
+    seed,
+    genre: genreName,
+    mood: moodName || mood || null,
+    energy: moodProfile.energy,
+    bpm: tempo,
+    key: { tonic: PITCH_CLASSES[tonic], mode, name: `${PITCH_CLASSES[tonic]} ${mode}` },
+    progression: chords.map(chord => chord.name),
+    chords,
+    duration,
+    bars: Math.ceil(duration / barSeconds),
+    drums: {
+      kick: preset.kick ? KICK_PATTERNS[preset.kick] : [],
+      snare: preset.snare,
+      hats: hatPattern
+    },
+    arpeggio: arpPattern,
+    pad: preset.pad,
+    swing: preset.swing || 0,
+    tonic
+  };
+}
+
+const oscillators = {
+  sine: (phase) => Math.sin(2 * Math.PI * phase),
+  triangle: (phase) => 1 - 4 * Math.abs((phase % 1) - 0.5),
+  // Band-limited enough for pads: first four harmonics of a sawtooth
+  saw: (phase) => {
+    const x = 2 * Math.PI * phase;
+    return (Math.sin(x) + Math.sin(2 * x) / 2 + Math.sin(3 * x) / 3 + Math.sin(4 * x) / 4) * 0.6;
+  }
+};
+
+/**
+ * Stereo mix bus; voices are written at a start frame with a constant pan
+ */
+class MixBus {
+  constructor(frames, sampleRate) {
+    this.frames = frames;
+    this.sampleRate = sampleRate;
+    this.left = new Float32Array(frames);
+    this.right = new Float32Array(frames);
+  }
+
+  add(startFrame, length, pan, voice) {
+    const leftGain = Math.cos((pan + 1) * Math.PI / 4);
+    const rightGain = Math.sin((pan + 1) * Math.PI / 4);
+    const end = Math.min(this.frames, startFrame + length);
+    for (let frame = Math.max(0, startFrame); frame < end; frame++) {
+      const value = voice(frame - startFrame);
+      this.left[frame] += value * leftGain;
+      this.right[frame] += value * rightGain;
+    }
+  }
+}
+
+const renderKick = (bus, start, gain) => {
+  const rate = bus.sampleRate;
+  let phase = 0;
+  bus.add(start, Math.round(0.35 * rate), 0, (i) => {
+    const t = i / rate;
+    phase += (45 + 110 * Math.exp(-t * 30)) / rate;
+    return Math.sin(2 * Math.PI * phase) * Math.exp(-t * 9) * gain;
+  });
+};
+
+const renderSnare = (bus, start, gain, random) => {
+  const rate = bus.sampleRate;
+  bus.add(start, Math.round(0.2 * rate), 0.1, (i) => {
+    const t = i / rate;
+    const noise = (random() * 2 - 1) * Math.exp(-t * 22);
+    const body = Math.sin(2 * Math.PI * 185 * t) * Math.exp(-t * 30);
+    return (noise * 0.7 + body * 0.5) * gain;
+  });
+};
+
+const renderHat = (bus, start, gain, random) => {
+  const rate = bus.sampleRate;
+  let previous = 0;
+  bus.add(start, Math.round(0.05 * rate), -0.3, (i) => {
+    // First difference of white noise as a cheap high-pass
+    const noise = random() * 2 - 1;
+    const value = noise - previous;
+    previous = noise;
+    return value * Math.exp(-i / rate * 90) * gain;
+  });
+};
+
+const renderTone = (bus, start, length, { frequency, gain, pan, shape, attack, release, detune = 0 }) => {
+  const rate = bus.sampleRate;
+  const oscillator = oscillators[shape];
+  const attackFrames = Math.max(1, Math.round(attack * rate));
+  const releaseFrames = Math.max(1, Math.round(release * rate));
+  const ratio = 2 ** (detune / 1200);
+
+  bus.add(start, length + releaseFrames, pan, (i) => {
+    let envelope = Math.min(1, i / attackFrames);
+    if (i > length) envelope *= Math.max(0, 1 - (i - length) / releaseFrames);
+    const phase = frequency * i / rate;
+    const value = detune ? (oscillator(phase) + oscillator(phase * ratio)) / 2 : oscillator(phase);
+    return value * envelope * gain;
+  });
+};
+
+/**
+ * Render an arrangement to interleaved float PCM, peak-normalized to -1 dBFS
+ * @returns {Float32Array}
+ */
+export function renderTrack(arrangement, { sampleRate = 44100, channels = 2 } = {}) {
+  const frames = Math.round(arrangement.duration * sampleRate);
+  const bus = new MixBus(frames, sampleRate);
+  // Separate generator so drum noise does not shift the arrangement's choices
+  const random = createRandom(arrangement.seed ^ 0x9e3779b9);
+
+  const stepFrames = 60 / arrangement.bpm / 4 * sampleRate;
+  const swingFrames = arrangement.swing * stepFrames;
+  const stepStart = (bar, step) => Math.round((bar * STEPS_PER_BAR + step) * stepFrames + (step % 2 === 1 ? swingFrames : 0));
+  const barFrames = Math.round(STEPS_PER_BAR * stepFrames);
+  const root = 48 + arrangement.tonic;
+
+  for (let bar = 0; bar < arrangement.bars; bar++) {
+    const chord = arrangement.chords[bar % arrangement.chords.length];
+    const barStart = stepStart(bar, 0);
+    // Drums enter after the first bar unless the track is very short
+    const drumsIn = bar > 0 || arrangement.bars <= 2;
+
+    chord.notes.forEach((note, index) => {
+      renderTone(bus, barStart, barFrames, {
+        frequency: midiToFrequency(root + 12 + (note - arrangement.tonic)),
+        gain: 0.09,
+        pan: (index - 1) * 0.5,
+        shape: arrangement.pad,
+        attack: 0.3,
+        release: 0.4,
+        detune: arrangement.pad === 'saw' ? 7 : 0
+      });
+    });
+
+    const bassNote = root - 12 + (chord.notes[0] - arrangement.tonic);
+    for (let beat = 0; beat < 4; beat++) {
+      renderTone(bus, stepStart(bar, beat * 4), Math.round(stepFrames * 3), {
+        frequency: midiToFrequency(bassNote),
+        gain: 0.22,
+        pan: 0,
+        shape: 'triangle',
+        attack: 0.005,
+        release: 0.05
+      });
+    }
+
+    for (const { step, chordTone, octave } of arrangement.arpeggio) {
+      const note = chord.notes[chordTone] - arrangement.tonic;
+      renderTone(bus, stepStart(bar, step), Math.round(stepFrames * 0.9), {
+        frequency: midiToFrequency(root + 24 + note + 12 * octave),
+        gain: 0.06 + arrangement.energy * 0.04,
+        pan: 0.35,
+        shape: 'triangle',
+        attack: 0.005,
+        release: 0.12
+      });
+    }
+
+    if (drumsIn) {
+      arrangement.drums.kick.forEach(step => renderKick(bus, stepStart(bar, step), 0.8));
+      arrangement.drums.snare.forEach(step => renderSnare(bus, stepStart(bar, step), 0.35, random));
+      arrangement.drums.hats.forEach(({ step, velocity }) => renderHat(bus, stepStart(bar, step), 0.12 * velocity, random));
+    }
+  }
+
+  // Fade out and normalize
+  const fadeFrames = Math.min(frames, Math.round(Math.min(FADE_SECONDS, arrangement.duration / 4) * sampleRate));
+  let peak = 0;
+  for (let frame = 0; frame < frames; frame++) {
+    if (frame >= frames - fadeFrames) {
+      const gain = (frames - frame) / fadeFrames;
+      bus.left[frame] *= gain;
+      bus.right[frame] *= gain;
+    }
+    peak = Math.max(peak, Math.abs(bus.left[frame]), Math.abs(bus.right[frame]));
+  }
+  const scale = peak > 0 ? PEAK_LEVEL / peak : 0;
+
+  const samples = new Float32Array(frames * channels);
+  for (let frame = 0; frame < frames; frame++) {
+    if (channels === 1) {
+      samples[frame] = (bus.left[frame] + bus.right[frame]) / 2 * scale;
+    } else {
+      samples[frame * channels] = bus.left[frame] * scale;
+      samples[frame * channels + 1] = bus.right[frame] * scale;
+    }
+  }
+  return samples;
+}
+
+/**
+ * Encode interleaved float PCM as a 16-bit PCM WAV file
+ * @returns {Buffer}
+ */
+export function encodeWav(samples, { sampleRate, channels }) {
+  const dataBytes = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataBytes);
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataBytes, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(channels, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * channels * 2, 28);
+  buffer.writeUInt16LE(channels * 2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataBytes, 40);
+
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(value < 0 ? value * 0x8000 : value * 0x7fff), 44 + i * 2);
+  }
+  return buffer;
+}
+
+/**
+ * Arrange and render a request in one call
+ */
+export function synthesizeTrack(request, { sampleRate = 44100, channels = 2 } = {}) {
+  const arrangement = arrangeTrack(request);
+  return {
+    arrangement,
+    sampleRate,
+    channels,
+    samples: renderTrack(arrangement, { sampleRate, channels })
+  };
+}
@@ -0,0 +1,243 @@
+/**
+ * Prompt Parser
+ * Extracts structured generation parameters (genre, mood, tempo, instruments,
+ * key, duration) from free-text prompts written in English or Chinese
+ */
+
+import { PITCH_CLASSES } from './audioFeatures.js';
+
+// Canonical genre -> English and Chinese terms
+export const GENRES = {
+  electronic: { en: ['electronic', 'edm', 'electro', 'synthwave', 'electronica'], zh: ['电子', '电音'] },
+  ambient: { en: ['ambient', 'atmospheric'], zh: ['氛围', '环境音乐'] },
+  classical: { en: ['classical', 'orchestral', 'symphonic', 'baroque'], zh: ['古典', '交响', '管弦'] },
+  jazz: { en: ['jazz', 'jazzy', 'bebop', 'swing'], zh: ['爵士'] },
+  rock: { en: ['rock', 'punk', 'metal', 'grunge'], zh: ['摇滚', '朋克', '金属'] },
+  pop: { en: ['pop', 'k-pop', 'j-pop', 'c-pop'], zh: ['流行'] },
+  'hip-hop': { en: ['hip-hop', 'hip hop', 'hiphop', 'rap', 'trap', 'boom bap', 'lo-fi', 'lofi'], zh: ['嘻哈', '说唱', '饶舌'] },
+  techno: { en: ['techno'], zh: ['科技舞曲', '铁克诺'] },
+  house: { en: ['house', 'deep house'], zh: ['浩室'] },
+  experimental: { en: ['experimental', 'avant-garde', 'glitch', 'noise'], zh: ['实验'] }
+};
+
+export const ALLOWED_GENRES = Object.keys(GENRES);
+
+export const MOODS = {
+  happy: { en: ['happy', 'joyful', 'cheerful', 'bright'], zh: ['快乐', '开心', '欢快', '愉快', '喜悦', '欢乐'] },
+  upbeat: { en: ['upbeat', 'playful', 'bouncy', 'groovy'], zh: ['轻快', '活泼', '明快'] },
+  energetic: { en: ['energetic', 'powerful', 'intense', 'uplifting'], zh: ['激昂', '热血', '动感', '活力', '激情'] },
+  calm: { en: ['calm', 'peaceful', 'relaxing', 'relaxed', 'chill', 'serene', 'soothing', 'gentle'], zh: ['平静', '宁静', '放松', '安静', '舒缓', '轻松', '治愈'] },
+  dreamy: { en: ['dreamy', 'ethereal'], zh: ['梦幻', '空灵'] },
+  romantic: { en: ['romantic', 'tender', 'sweet'], zh: ['浪漫', '温柔', '甜蜜'] },
+  sad: { en: ['sad', 'sorrowful', 'heartbroken'], zh: ['悲伤', '伤心', '哀伤', '难过'] },
+  melancholic: { en: ['melancholic', 'melancholy', 'somber', 'gloomy'], zh: ['忧郁', '惆怅', '伤感', '忧伤'] },
+  nostalgic: { en: ['nostalgic', 'retro'], zh: ['怀旧', '复古'] },
+  dark: { en: ['dark', 'sinister', 'ominous'], zh: ['黑暗', '阴暗', '暗黑'] },
+  mysterious: { en: ['mysterious', 'mystical'], zh: ['神秘'] },
+  epic: { en: ['epic', 'cinematic', 'majestic'], zh: ['史诗', '壮阔', '宏大', '磅礴'] },
+  tense: { en: ['tense', 'suspenseful', 'aggressive', 'angry'], zh: ['紧张', '悬疑', '愤怒'] }
+};
+
+export const INSTRUMENTS = {
+  piano: { en: ['piano', 'keys'], zh: ['钢琴'] },
+  guitar: { en: ['guitar', 'guitars'], zh: ['吉他'] },
+  violin: { en: ['violin', 'violins'], zh: ['小提琴'] },
+  cello: { en: ['cello'], zh: ['大提琴'] },
+  strings: { en: ['strings', 'string section'], zh: ['弦乐'] },
+  bass: { en: ['bass', 'bassline'], zh: ['贝斯', '低音'] },
+  drums: { en: ['drums', 'drum', 'percussion', 'beat', 'beats'], zh: ['架子鼓', '鼓点', '打击乐', '鼓声'] },
+  synth: { en: ['synth', 'synths', 'synthesizer'], zh: ['合成器'] },
+  flute: { en: ['flute'], zh: ['长笛'] },
+  saxophone: { en: ['saxophone', 'sax'], zh: ['萨克斯'] },
+  trumpet: { en: ['trumpet', 'brass'], zh: ['小号', '铜管'] },
+  harp: { en: ['harp'], zh: ['竖琴'] },
+  organ: { en: ['organ'], zh: ['管风琴', '风琴'] },
+  choir: { en: ['choir', 'vocals', 'vocal'], zh: ['合唱', '人声'] },
+  erhu: { en: ['erhu'], zh: ['二胡'] },
+  guzheng: { en: ['guzheng'], zh: ['古筝'] },
+  pipa: { en: ['pipa'], zh: ['琵琶'] },
+  dizi: { en: ['dizi'], zh: ['笛子', '竹笛'] }
+};
+
+// Tempo words and the BPM they stand for
+const TEMPOS = {
+  slow: { bpm: 72, en: ['slow', 'downtempo', 'slow-paced'], zh: ['慢速', '慢节奏', '缓慢', '慢板'] },
+  moderate: { bpm: 100, en: ['mid-tempo', 'midtempo', 'moderate'], zh: ['中速', '中板', '中等速度'] },
+  fast: { bpm: 140, en: ['fast', 'uptempo', 'up-tempo', 'fast-paced'], zh: ['快速', '快节奏', '快板', '急速'] }
+};
+
+export const MIN_BPM = 40;
+export const MAX_BPM = 240;
+
+const ZH_DIGITS = { 零: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const ZH_NUMBER = '[零一二两三四五六七八九十百]+';
+const NUMBER = `(\\d+(?:\\.\\d+)?|${ZH_NUMBER})`;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Chinese numerals up to 999 (e.g. 三十, 两, 一百二十)
+ */
+export function parseChineseNumber(text) {
+  let total = 0;
+  let current = 0;
+  for (const char of text) {
+    if (char in ZH_DIGITS) {
+      current = ZH_DIGITS[char];
+    } else if (char === '十') {
+      total += (current || 1) * 10;
+      current = 0;
+    } else if (char === '百') {
+      total += (current || 1) * 100;
+      current = 0;
+    } else {
+      return null;
+    }
+  }
+  return total + current;
+}
+
+const toNumber = (value) => (value === undefined ? null : /^\d/.test(value) ? parseFloat(value) : parseChineseNumber(value));
+
+/**
+ * Occurrences of a vocabulary's terms, ordered by position in the text.
+ * English terms match whole words; Chinese terms match anywhere.
+ */
+const findTerms = (text, vocabulary) => {
+  const lower = text.toLowerCase();
+  const matches = [];
+
+  for (const [name, { en = [], zh = [] }] of Object.entries(vocabulary)) {
+    let index = -1;
+    for (const term of en) {
+      const match = new RegExp(`(?<![a-z0-9])${escapeRegExp(term)}(?![a-z0-9])`).exec(lower);
+      if (match && (index === -1 || match.index < index)) index = match.index;
+    }
+    for (const term of zh) {
+      const position = text.indexOf(term);
+      if (position !== -1 && (index === -1 || position < index)) index = position;
+    }
+    if (index !== -1) matches.push({ name, index });
+  }
+
+  return matches.sort((a, b) => a.index - b.index).map(match => match.name);
+};
+
+const lookupTerm = (value, vocabulary) => {
+  if (!value) return null;
+  const term = String(value).trim().toLowerCase();
+  if (vocabulary[term]) return term;
+  return Object.keys(vocabulary).find(name => (
+    vocabulary[name].en.includes(term) || vocabulary[name].zh.includes(String(value).trim())
+  )) || null;
+};
+
+/**
+ * Canonical genre for a genre name in English or Chinese, null when unknown
+ */
+export const normalizeGenre = (genre) => lookupTerm(genre, GENRES);
+
+/**
+ * Canonical mood for a mood word in English or Chinese, null when unknown
+ */
+export const normalizeMood = (mood) => lookupTerm(mood, MOODS);
+
+const pitchClass = (letter, accidental) => {
+  let index = PITCH_CLASSES.indexOf(letter.toUpperCase());
+  if (['#', '♯', '升', 'sharp'].includes(accidental)) index += 1;
+  if (['b', '♭', '降', 'flat'].includes(accidental)) index -= 1;
+  return PITCH_CLASSES[(index + 12) % 12];
+};
+
+/**
+ * Musical key such as "C# minor", "Bb major", "A小调" or "降E大调"
+ * @returns {Object|null} { tonic, mode, name }
+ */
+export function parseKey(text) {
+  if (!text) return null;
+
+  // Note letters must be upper case in English so "a minor change" is not a key
+  const english = [...text.matchAll(/(?<![A-Za-z])([A-G])(#|♯|b|♭|\s*-?\s*sharp|\s*-?\s*flat)?\s*(major|minor|maj|min)(?![a-z])/gi)]
+    .find(match => /^[A-G]$/.test(match[1]));
+  const chinese = /(升|降)?\s*([A-Ga-g])\s*(#|♯|b|♭)?\s*(大调|小调)/.exec(text);
+
+  let tonic;
+  let mode;
+  if (chinese) {
+    tonic = pitchClass(chinese[2], chinese[1] || chinese[3]);
+    mode = chinese[4] === '大调' ? 'major' : 'minor';
+  } else if (english) {
+    const accidental = english[2] ? english[2].replace(/[\s-]/g, '').toLowerCase() : null;
+    tonic = pitchClass(english[1], accidental);
+    mode = english[3].toLowerCase().startsWith('maj') ? 'major' : 'minor';
+  } else {
+    return null;
+  }
+
+  return { tonic, mode, name: `${tonic} ${mode}` };
+}
+
+const parseBpm = (text) => {
+  const patterns = [
+    /(\d{2,3})\s*(?:bpm|拍每分钟|拍\/分钟?)/i,
+    /(?:bpm|每分钟|速度|节拍)\s*[:：为是]?\s*(\d{2,3})/i,
+    /(?:tempo(?:\s+of)?)\s*[:：]?\s*(\d{2,3})/i
+  ];
+  for (const pattern of patterns) {
+    const match = pattern.exec(text);
+    if (match) return parseInt(match[1], 10);
+  }
+  return null;
+};
+
+const parseDuration = (text) => {
+  const englishMinutes = new RegExp(`${NUMBER}\\s*-?\\s*(?:minutes?|mins?)(?![a-z])(?:\\s*(?:and\\s*)?(\\d+)\\s*-?\\s*(?:seconds?|secs?)(?![a-z]))?`, 'i').exec(text);
+  if (englishMinutes) return toNumber(englishMinutes[1]) * 60 + (toNumber(englishMinutes[2]) || 0);
+
+  const englishSeconds = /(\d+(?:\.\d+)?)\s*-?\s*(?:seconds?|secs?)(?![a-z])/i.exec(text);
+  if (englishSeconds) return parseFloat(englishSeconds[1]);
+
+  // "分" alone also means "very" (十分), so minutes need 分钟 or a following seconds count
+  const chineseMinutes = new RegExp(`${NUMBER}\\s*(?:分钟(?:\\s*${NUMBER}\\s*秒)?|分\\s*${NUMBER}\\s*秒)`).exec(text);
+  if (chineseMinutes) {
+    return toNumber(chineseMinutes[1]) * 60 + (toNumber(chineseMinutes[2] ?? chineseMinutes[3]) || 0);
+  }
+
+  const chineseSeconds = new RegExp(`${NUMBER}\\s*秒`).exec(text);
+  if (chineseSeconds) return toNumber(chineseSeconds[1]);
+
+  return null;
+};
+
+const detectLanguage = (text) => {
+  const chinese = /[一-鿿]/.test(text);
+  const english = /[a-z]{2,}/i.test(text);
+  if (chinese && english) return 'mixed';
+  return chinese ? 'zh' : 'en';
+};
+
+/**
+ * Interpret a prompt; fields are null (or empty) when the prompt does not mention them
+ * @param {string} prompt
+ * @returns {Object} { language, genre, genres, mood, moods, tempo, bpm, instruments, key, duration }
+ */
+export function parsePrompt(prompt = '') {
+  const text = String(prompt);
+  const genres = findTerms(text, GENRES);
+  const moods = findTerms(text, MOODS);
+  const [tempo = null] = findTerms(text, TEMPOS);
+  const bpm = parseBpm(text);
+
+  return {
+    language: detectLanguage(text),
+    genre: genres[0] || null,
+    genres,
+    mood: moods[0] || null,
+    moods,
+    tempo,
+    bpm: bpm ?? (tempo ? TEMPOS[tempo].bpm : null),
+    instruments: findTerms(text, INSTRUMENTS),
+    key: parseKey(text),
+    duration: parseDuration(text)
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Royalty split validation
+ * A track's royalty config is { percentage, recipients }: percentage is the
+ * royalty rate charged on secondary sales, recipients share what the track
+ * earns and must add up to 100%. Recipient percentages may be given as
+ * fractions of 1 (0.8, 0.2 - as on chain) or as percents (80, 20): a list
+ * totalling 1 is read as fractions, anything else as percents. A share of
+ * exactly 1 reads as both 100% and 1%, so it is rejected; a recipient taking
+ * the whole split is given as 100. Shares are kept in basis points so amounts
+ * can be split with allocateUnits.
+ */
+
+import { BPS_DENOMINATOR } from './fixedPoint.js';
+
+export const DEFAULT_ROYALTY_PERCENTAGE = 10;
+export const MAX_ROYALTY_PERCENTAGE = 50;
+export const MAX_SPLIT_RECIPIENTS = 20;
+
+// Totals within this of 1 are read as fractions
+const FRACTION_TOLERANCE = 1e-9;
+
+const isPercentage = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Whether split values are fractions of 1 rather than percents
+ */
+export const isFractionSplit = (values) => {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return Math.abs(total - 1) <= FRACTION_TOLERANCE;
+};
+
+/**
+ * Basis points of each value, read as fractions when they total 1
+ */
+export const toBasisPoints = (values) => {
+  const scale = isFractionSplit(values) ? BPS_DENOMINATOR : BPS_DENOMINATOR / 100;
+  return values.map(value => Math.round(value * scale));
+};
+
+/**
+ * Validate split recipients [{ recipient, percentage, description }]
+ * An empty list is valid and means no split is configured.
+ * @returns {Object} { isValid, errors, recipients: [{ recipient, percentage (percent), bps, description }] }
+ */
+export function validateRoyaltySplit(recipients = []) {
+  const errors = [];
+
+  if (!Array.isArray(recipients)) {
+    return { isValid: false, errors: ['Royalties must be an array'], recipients: [] };
+  }
+  if (recipients.length > MAX_SPLIT_RECIPIENTS) {
+    errors.push(`Royalties can have at most ${MAX_SPLIT_RECIPIENTS} recipients`);
+  }
+
+  const seen = new Set();
+  recipients.forEach((royalty, index) => {
+    if (!royalty?.recipient || typeof royalty.recipient !== 'string') {
+      errors.push(`Royalty ${index + 1}: recipient is required and must be a string`);
+    } else if (seen.has(royalty.recipient)) {
+      errors.push(`Royalty ${index + 1}: ${royalty.recipient} is listed more than once`);
+    } else {
+      seen.add(royalty.recipient);
+    }
+
+    if (!isPercentage(royalty?.percentage)) {
+      errors.push(`Royalty ${index + 1}: percentage is required and must be a number`);
+    } else if (royalty.percentage < 0 || royalty.percentage > 100) {
+      errors.push(`Royalty ${index + 1}: percentage must be between 0 and 100`);
+    }
+  });
+
+  if (errors.length > 0 || recipients.length === 0) {
+    return { isValid: errors.length === 0, errors, recipients: [] };
+  }
+
+  const values = recipients.map(royalty => royalty.percentage);
+  if (isFractionSplit(values) && values.includes(1)) {
+    return {
+      isValid: false,
+      errors: ['Royalty percentage 1 is ambiguous: give a recipient taking the whole split 100'],
+      recipients: []
+    };
+  }
+
+  const shares = toBasisPoints(values);
+  const totalBps = shares.reduce((sum, bps) => sum + bps, 0);
+  if (totalBps > BPS_DENOMINATOR) {
+    errors.push('Total royalty percentage cannot exceed 100%');
+  } else if (totalBps < BPS_DENOMINATOR) {
+    errors.push('Royalty percentages must add up to 100%');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    recipients: errors.length > 0 ? [] : recipients.map((royalty, index) => ({
+      recipient: royalty.recipient,
+      percentage: shares[index] / 100,
+      bps: shares[index],
+      description: typeof royalty.description === 'string' ? royalty.description : ''
+    }))
+  };
+}
+
+/**
+ * Validate collaborator shares [{ userId, role, percentage }]; percentages
+ * are percents of the creator's share and may total at most 100, the rest
+ * staying with the creator
+ * @returns {Object} { isValid, errors }
+ */
+export function validateCollaboratorShares(collaborators = []) {
+  const errors = [];
+
+  if (!Array.isArray(collaborators)) {
+    return { isValid: false, errors: ['Collaborators must be an array'] };
+  }
+
+  let total = 0;
+  const seen = new Set();
+  collaborators.forEach((collaborator, index) => {
+    if (!collaborator?.userId || typeof collaborator.userId !== 'string') {
+      errors.push(`Collaborator ${index + 1}: userId is required and must be a string`);
+    } else if (seen.has(collaborator.userId)) {
+      errors.push(`Collaborator ${index + 1}: ${collaborator.userId} is listed more than once`);
+    } else {
+      seen.add(collaborator.userId);
+    }
+
+    const percentage = collaborator?.percentage ?? 0;
+    if (!isPercentage(percentage) || percentage < 0 || percentage > 100) {
+      errors.push(`Collaborator ${index + 1}: percentage must be a number between 0 and 100`);
+    } else {
+      total += Math.round(percentage * 100);
+    }
+  });
+
+  if (total > BPS_DENOMINATOR) {
+    errors.push('Collaborator percentages cannot exceed 100%');
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a royalty config given at mint or edit time: a recipient list, or
+ * { percentage, recipients }. Nothing given is valid and yields the default.
+ * @returns {Object} { isValid, errors, config: { percentage, recipients } }
+ */
+export function validateRoyaltyConfig(royalties) {
+  if (royalties === undefined || royalties === null) {
+    return { isValid: true, errors: [], config: { percentage: DEFAULT_ROYALTY_PERCENTAGE, recipients: [] } };
+  }
+
+  const isList = Array.isArray(royalties);
+  if (!isList && typeof royalties !== 'object') {
+    return { isValid: false, errors: ['Royalties must be an array'], config: null };
+  }
+
+  const errors = [];
+  const percentage = isList ? DEFAULT_ROYALTY_PERCENTAGE : (royalties.percentage ?? DEFAULT_ROYALTY_PERCENTAGE);
+  if (!isPercentage(percentage) || percentage < 0 || percentage > MAX_ROYALTY_PERCENTAGE) {
+    errors.push(`Royalty percentage must be between 0 and ${MAX_ROYALTY_PERCENTAGE}`);
+  }
+
+  const split = validateRoyaltySplit(isList ? royalties : (royalties.recipients ?? []));
+  errors.push(...split.errors);
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config: errors.length === 0 ? { percentage, recipients: split.recipients } : null
+  };
+}
+
+/**
+ * Stored royalty config in its current shape; records minted before splits
+ * were validated may hold a bare recipient list
+ */
+export const normalizeRoyaltyConfig = (royalties) => {
+  const { config } = validateRoyaltyConfig(royalties);
+  if (config) return config;
+  return {
+    percentage: Array.isArray(royalties) ? DEFAULT_ROYALTY_PERCENTAGE : (royalties?.percentage ?? DEFAULT_ROYALTY_PERCENTAGE),
+    recipients: []
+  };
+};
+
+/**
+ * Royalties as the chain takes them: each recipient's cut of a sale price as
+ * a fraction of 1, i.e. the royalty rate times the recipient's share
+ */
+export const onChainRoyalties = ({ percentage, recipients }) => {
+  const rateBps = Math.round(percentage * 100);
+  return recipients.map(({ recipient, bps, description }) => ({
+    recipient,
+    percentage: (rateBps * bps) / (BPS_DENOMINATOR * BPS_DENOMINATOR),
+    description
+  }));
+};
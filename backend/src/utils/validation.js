@@ -3,6 +3,8 @@
  * Common validation functions for API requests
  */
 
+import { validateRoyaltyConfig } from './royaltySplits.js';
+
 /**
  * Validate music generation parameters
  */
@@ -55,29 +57,9 @@ export function validateMusicGeneration(data) {
     errors.push('Artist must be a string with maximum 100 characters');
   }
 
-  // Validate royalties
+  // Validate royalties: the split recipients must add up to 100%
   if (data.royalties) {
-    if (!Array.isArray(data.royalties)) {
-      errors.push('Royalties must be an array');
-    } else {
-      let totalPercentage = 0;
-      data.royalties.forEach((royalty, index) => {
-        if (!royalty.recipient || typeof royalty.recipient !== 'string') {
-          errors.push(`Royalty ${index + 1}: recipient is required and must be a string`);
-        }
-        if (!royalty.percentage || typeof royalty.percentage !== 'number') {
-          errors.push(`Royalty ${index + 1}: percentage is required and must be a number`);
-        } else if (royalty.percentage < 0 || royalty.percentage > 100) {
-          errors.push(`Royalty ${index + 1}: percentage must be between 0 and 100`);
-        } else {
-          totalPercentage += royalty.percentage;
-        }
-      });
-      
-      if (totalPercentage > 100) {
-        errors.push('Total royalty percentage cannot exceed 100%');
-      }
-    }
+    errors.push(...validateRoyaltyConfig(data.royalties).errors);
   }
 
   return {
@@ -120,27 +102,7 @@ export function validateMusicUpload(data) {
 
   // Validate royalties (same as music generation)
   if (data.royalties) {
-    if (!Array.isArray(data.royalties)) {
-      errors.push('Royalties must be an array');
-    } else {
-      let totalPercentage = 0;
-      data.royalties.forEach((royalty, index) => {
-        if (!royalty.recipient || typeof royalty.recipient !== 'string') {
-          errors.push(`Royalty ${index + 1}: recipient is required and must be a string`);
-        }
-        if (!royalty.percentage || typeof royalty.percentage !== 'number') {
-          errors.push(`Royalty ${index + 1}: percentage is required and must be a number`);
-        } else if (royalty.percentage < 0 || royalty.percentage > 100) {
-          errors.push(`Royalty ${index + 1}: percentage must be between 0 and 100`);
-        } else {
-          totalPercentage += royalty.percentage;
-        }
-      });
-      
-      if (totalPercentage > 100) {
-        errors.push('Total royalty percentage cannot exceed 100%');
-      }
-    }
+    errors.push(...validateRoyaltyConfig(data.royalties).errors);
   }
 
   return {
@@ -0,0 +1,403 @@
+/**
+ * Workflow Template DSL
+ * Schema validation, parameter resolution, conditions and value interpolation
+ * for user-defined Forte Actions templates.
+ *
+ * A template definition is declarative data:
+ *   {
+ *     parameters: [{ name, type, required?, default?, values?, min?, max?, maxLength?, description? }],
+ *     steps: [{ id, action, when?, options? }]
+ *   }
+ * Option values may reference parameters and earlier step results with
+ * "{{params.title}}" or "{{steps.music.audioUrl}}". A value that is exactly one
+ * reference keeps the referenced type; otherwise references are joined as text.
+ * Conditions compare a reference with a value ({ ref, op, value }) and combine
+ * with { all: [...] }, { any: [...] } and { not: {...} }.
+ */
+
+export const MAX_TEMPLATE_STEPS = 20;
+export const MAX_TEMPLATE_PARAMETERS = 20;
+const MAX_CONDITION_DEPTH = 5;
+const MAX_STRING_LENGTH = 1000;
+
+const IDENTIFIER = /^[a-zA-Z_][a-zA-Z0-9_]{0,39}$/;
+const REFERENCE = /\{\{\s*([a-zA-Z0-9_.]+)\s*\}\}/g;
+const SINGLE_REFERENCE = /^\{\{\s*([a-zA-Z0-9_.]+)\s*\}\}$/;
+
+export const PARAMETER_TYPES = ['string', 'number', 'boolean', 'enum'];
+export const CONDITION_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'exists', 'truthy'];
+
+/**
+ * Step actions, their options and the actions that must run before them
+ */
+export const TEMPLATE_ACTIONS = {
+  generate: {
+    description: 'Generate music from a prompt',
+    requires: [],
+    options: {
+      prompt: { type: 'string', required: true, maxLength: 500 },
+      duration: { type: 'number', min: 5, max: 120 },
+      genre: { type: 'string', maxLength: 50 },
+      mood: { type: 'string', maxLength: 50 },
+      bpm: { type: 'number', min: 40, max: 240 },
+      provider: { type: 'string', maxLength: 50 }
+    }
+  },
+  generate_cover: {
+    description: 'Generate cover art',
+    requires: [],
+    options: {
+      prompt: { type: 'string', required: true, maxLength: 500 },
+      style: { type: 'string', maxLength: 50 }
+    }
+  },
+  analyze: {
+    description: 'Analyze the generated audio (tempo, key, loudness, waveform)',
+    requires: ['generate'],
+    options: {
+      resolution: { type: 'number', min: 1, max: 10000 }
+    }
+  },
+  upload: {
+    description: 'Upload audio, cover art and NFT metadata to IPFS',
+    requires: ['generate'],
+    options: {
+      title: { type: 'string', required: true, maxLength: 100 },
+      artist: { type: 'string', required: true, maxLength: 100 },
+      description: { type: 'string', maxLength: 500 },
+      genre: { type: 'string', maxLength: 50 },
+      mood: { type: 'string', maxLength: 50 }
+    }
+  },
+  mint: {
+    description: 'Mint the uploaded track as an NFT',
+    requires: ['upload'],
+    options: {}
+  },
+  list: {
+    description: 'List the minted NFT for sale',
+    requires: ['mint'],
+    options: {
+      price: { type: 'number', required: true, min: 0 },
+      currency: { type: 'enum', values: ['FLOW', 'USDC'] }
+    }
+  },
+  add_to_playlist: {
+    description: 'Add the minted track to a playlist',
+    requires: ['mint'],
+    options: {
+      playlistId: { type: 'string', required: true, maxLength: 100 },
+      position: { type: 'number', min: 0 }
+    }
+  },
+  share: {
+    description: 'Share the minted track',
+    requires: ['mint'],
+    options: {
+      platform: { type: 'enum', required: true, values: ['link', 'twitter', 'discord'] }
+    }
+  }
+};
+
+const isReference = (value) => typeof value === 'string' && value.includes('{{');
+
+/**
+ * Check one value against a field schema; returns an error message or null
+ */
+export function checkValue(value, schema, label) {
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${label} must be a string`;
+      if (value.length > (schema.maxLength || MAX_STRING_LENGTH)) {
+        return `${label} must be at most ${schema.maxLength || MAX_STRING_LENGTH} characters`;
+      }
+      return null;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number`;
+      if (schema.min !== undefined && value < schema.min) return `${label} must be at least ${schema.min}`;
+      if (schema.max !== undefined && value > schema.max) return `${label} must be at most ${schema.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${label} must be a boolean`;
+    case 'enum':
+      return schema.values.includes(value) ? null : `${label} must be one of: ${schema.values.join(', ')}`;
+    default:
+      return `${label} has unknown type ${schema.type}`;
+  }
+}
+
+/**
+ * Validate the references inside a value: parameters must be declared and
+ * steps must appear earlier in the template
+ */
+const checkReferences = (value, scope, label, errors) => {
+  const paths = typeof value === 'string' ? [...value.matchAll(REFERENCE)].map(match => match[1]) : [];
+  for (const path of paths) {
+    checkPath(path, scope, label, errors);
+  }
+};
+
+const checkPath = (path, scope, label, errors) => {
+  const [root, name] = path.split('.');
+  if (root === 'params') {
+    if (!scope.parameters.has(name)) errors.push(`${label} references unknown parameter "${name}"`);
+  } else if (root === 'steps') {
+    if (!scope.steps.has(name)) errors.push(`${label} references step "${name}" which does not run earlier`);
+  } else {
+    errors.push(`${label} has invalid reference "${path}"; use params.<name> or steps.<id>`);
+  }
+};
+
+const validateParameter = (parameter, index, errors) => {
+  const label = `parameters[${index}]`;
+  if (!parameter || typeof parameter !== 'object') {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  if (!IDENTIFIER.test(parameter.name || '')) {
+    errors.push(`${label}.name must be an identifier (letters, digits and underscores)`);
+  }
+  if (!PARAMETER_TYPES.includes(parameter.type)) {
+    errors.push(`${label}.type must be one of: ${PARAMETER_TYPES.join(', ')}`);
+    return;
+  }
+  if (parameter.type === 'enum' && (!Array.isArray(parameter.values) || parameter.values.length === 0)) {
+    errors.push(`${label}.values must list the allowed values`);
+    return;
+  }
+  if (parameter.default !== undefined) {
+    const error = checkValue(parameter.default, parameter, `${label}.default`);
+    if (error) errors.push(error);
+  }
+};
+
+const validateCondition = (condition, scope, label, errors, depth = 0) => {
+  if (depth > MAX_CONDITION_DEPTH) {
+    errors.push(`${label} is nested too deeply`);
+    return;
+  }
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+
+  if (condition.all || condition.any) {
+    const list = condition.all || condition.any;
+    if (!Array.isArray(list) || list.length === 0) {
+      errors.push(`${label}.${condition.all ? 'all' : 'any'} must be a non-empty array`);
+      return;
+    }
+    list.forEach((item, index) => validateCondition(item, scope, `${label}[${index}]`, errors, depth + 1));
+    return;
+  }
+  if (condition.not) {
+    validateCondition(condition.not, scope, `${label}.not`, errors, depth + 1);
+    return;
+  }
+
+  if (typeof condition.ref !== 'string' || !/^[a-zA-Z0-9_.]+$/.test(condition.ref)) {
+    errors.push(`${label}.ref must be a reference such as params.autoMint`);
+    return;
+  }
+  checkPath(condition.ref, scope, label, errors);
+
+  const op = condition.op || 'truthy';
+  if (!CONDITION_OPERATORS.includes(op)) {
+    errors.push(`${label}.op must be one of: ${CONDITION_OPERATORS.join(', ')}`);
+  } else if (op === 'in' && !Array.isArray(condition.value)) {
+    errors.push(`${label}.value must be an array for "in"`);
+  } else if (!['exists', 'truthy'].includes(op) && condition.value === undefined) {
+    errors.push(`${label}.value is required for "${op}"`);
+  }
+};
+
+const validateStep = (step, index, scope, errors) => {
+  const label = `steps[${index}]`;
+  if (!step || typeof step !== 'object') {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+
+  if (!IDENTIFIER.test(step.id || '')) {
+    errors.push(`${label}.id must be an identifier (letters, digits and underscores)`);
+  } else if (scope.steps.has(step.id)) {
+    errors.push(`${label}.id "${step.id}" is used by an earlier step`);
+  }
+
+  const action = TEMPLATE_ACTIONS[step.action];
+  if (!action) {
+    errors.push(`${label}.action must be one of: ${Object.keys(TEMPLATE_ACTIONS).join(', ')}`);
+  } else {
+    for (const required of action.requires) {
+      if (!scope.actions.has(required)) {
+        errors.push(`${label} (${step.action}) needs a ${required} step before it`);
+      }
+    }
+
+    const options = step.options || {};
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      errors.push(`${label}.options must be an object`);
+    } else {
+      for (const key of Object.keys(options)) {
+        if (!action.options[key]) errors.push(`${label}.options.${key} is not an option of ${step.action}`);
+      }
+      for (const [key, schema] of Object.entries(action.options)) {
+        const value = options[key];
+        const optionLabel = `${label}.options.${key}`;
+        if (value === undefined) {
+          if (schema.required) errors.push(`${optionLabel} is required`);
+        } else if (isReference(value)) {
+          checkReferences(value, scope, optionLabel, errors);
+        } else {
+          const error = checkValue(value, schema, optionLabel);
+          if (error) errors.push(error);
+        }
+      }
+    }
+  }
+
+  if (step.when !== undefined) {
+    validateCondition(step.when, scope, `${label}.when`, errors);
+  }
+
+  if (IDENTIFIER.test(step.id || '')) scope.steps.add(step.id);
+  if (action) scope.actions.add(step.action);
+};
+
+/**
+ * Validate a template definition against the DSL schema
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+export function validateTemplateDefinition(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return { isValid: false, errors: ['Template definition must be an object'] };
+  }
+
+  const parameters = definition.parameters || [];
+  const steps = definition.steps;
+
+  if (!Array.isArray(parameters)) {
+    errors.push('parameters must be an array');
+  } else if (parameters.length > MAX_TEMPLATE_PARAMETERS) {
+    errors.push(`Templates can declare at most ${MAX_TEMPLATE_PARAMETERS} parameters`);
+  }
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push('steps must be a non-empty array');
+  } else if (steps.length > MAX_TEMPLATE_STEPS) {
+    errors.push(`Templates can have at most ${MAX_TEMPLATE_STEPS} steps`);
+  }
+
+  if (errors.length > 0) return { isValid: false, errors };
+
+  const scope = { parameters: new Set(), steps: new Set(), actions: new Set() };
+  parameters.forEach((parameter, index) => {
+    validateParameter(parameter, index, errors);
+    if (parameter && parameter.name) {
+      if (scope.parameters.has(parameter.name)) errors.push(`parameters[${index}].name "${parameter.name}" is declared twice`);
+      scope.parameters.add(parameter.name);
+    }
+  });
+  steps.forEach((step, index) => validateStep(step, index, scope, errors));
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Apply defaults and check supplied values against the declared parameters.
+ * Undeclared values are dropped; numeric and boolean strings are coerced.
+ * @returns {{isValid: boolean, errors: string[], values: Object}}
+ */
+export function resolveParameters(parameters = [], input = {}) {
+  const errors = [];
+  const values = {};
+
+  for (const parameter of parameters) {
+    let value = input[parameter.name];
+    if (value === undefined || value === null || value === '') {
+      value = parameter.default;
+    } else if (parameter.type === 'number' && typeof value === 'string') {
+      value = Number(value);
+    } else if (parameter.type === 'boolean' && (value === 'true' || value === 'false')) {
+      value = value === 'true';
+    }
+
+    if (value === undefined) {
+      if (parameter.required) errors.push(`Parameter ${parameter.name} is required`);
+      continue;
+    }
+
+    const error = checkValue(value, parameter, `Parameter ${parameter.name}`);
+    if (error) errors.push(error);
+    values[parameter.name] = value;
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values
+  };
+}
+
+/**
+ * Read a dotted path (params.x, steps.id.field.sub) from the runtime scope
+ */
+export function resolvePath(path, scope) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope);
+}
+
+/**
+ * Replace references in a value; a lone reference keeps the referenced type
+ */
+export function interpolate(value, scope) {
+  if (typeof value !== 'string' || !value.includes('{{')) return value;
+
+  const single = value.match(SINGLE_REFERENCE);
+  if (single) return resolvePath(single[1], scope);
+
+  return value.replace(REFERENCE, (match, path) => {
+    const resolved = resolvePath(path, scope);
+    return resolved === undefined || resolved === null ? '' : String(resolved);
+  });
+}
+
+/**
+ * Whether a condition reads the results of earlier steps, so it can only be
+ * evaluated once they have run
+ */
+export function dependsOnSteps(condition) {
+  if (condition.all) return condition.all.some(dependsOnSteps);
+  if (condition.any) return condition.any.some(dependsOnSteps);
+  if (condition.not) return dependsOnSteps(condition.not);
+  return condition.ref.startsWith('steps.');
+}
+
+/**
+ * Evaluate a step condition against the runtime scope
+ */
+export function evaluateCondition(condition, scope) {
+  if (condition.all) return condition.all.every(item => evaluateCondition(item, scope));
+  if (condition.any) return condition.any.some(item => evaluateCondition(item, scope));
+  if (condition.not) return !evaluateCondition(condition.not, scope);
+
+  const actual = resolvePath(condition.ref, scope);
+  const expected = condition.value;
+
+  switch (condition.op || 'truthy') {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    case 'in': return expected.includes(actual);
+    case 'exists': return actual !== undefined && actual !== null;
+    case 'truthy': return Boolean(actual);
+    default: return false;
+  }
+}
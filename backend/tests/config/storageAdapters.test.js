@@ -0,0 +1,186 @@
+/**
+ * Storage Adapter Conformance Tests
+ * The same suite runs against every backend so models behave identically
+ * in local demo mode and production. Set TEST_REDIS_HOST to include Redis.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createStorageAdapter, FileAdapter } from '../../src/config/storage/index.js';
+
+const backends = [
+  ['memory', async () => createStorageAdapter('memory')],
+  ['file', async () => createStorageAdapter('file', {
+    dataDir: await fs.mkdtemp(path.join(os.tmpdir(), 'flowtune-storage-'))
+  })]
+];
+
+if (process.env.TEST_REDIS_HOST) {
+  backends.push(['redis', async () => createStorageAdapter('redis', {
+    redis: {
+      host: process.env.TEST_REDIS_HOST,
+      port: process.env.TEST_REDIS_PORT || 6379,
+      db: process.env.TEST_REDIS_DB || 15
+    }
+  })]);
+}
+
+describe.each(backends)('%s storage adapter', (name, createAdapter) => {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = await createAdapter();
+    await adapter.connect();
+    await adapter.flush();
+  });
+
+  afterEach(async () => {
+    await adapter.flush();
+    await adapter.disconnect();
+    if (adapter.dataDir) {
+      await fs.rm(adapter.dataDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should round-trip JSON values', async () => {
+    await adapter.set('nft:1', { title: 'Track', tags: ['a'], price: '1.5' });
+    await adapter.set('counter:label', 'plain');
+
+    expect(await adapter.get('nft:1')).toEqual({ title: 'Track', tags: ['a'], price: '1.5' });
+    expect(await adapter.get('counter:label')).toBe('plain');
+    expect(await adapter.get('missing')).toBeNull();
+    expect(await adapter.exists('nft:1')).toBe(true);
+  });
+
+  test('should delete keys and report how many were removed', async () => {
+    await adapter.set('a', 1);
+
+    expect(await adapter.del('a')).toBe(1);
+    expect(await adapter.del('a')).toBe(0);
+    expect(await adapter.exists('a')).toBe(false);
+  });
+
+  test('should keep set semantics with string members', async () => {
+    expect(await adapter.sadd('nfts', 'x', 'y')).toBe(2);
+    expect(await adapter.sadd('nfts', 'y', 'z')).toBe(1);
+    expect(await adapter.sadd('numbers', 7)).toBe(1);
+
+    expect((await adapter.smembers('nfts')).sort()).toEqual(['x', 'y', 'z']);
+    expect(await adapter.sismember('nfts', 'y')).toBe(true);
+    expect(await adapter.sismember('numbers', 7)).toBe(true);
+    expect(await adapter.smembers('numbers')).toEqual(['7']);
+    expect(await adapter.scard('nfts')).toBe(3);
+
+    expect(await adapter.srem('nfts', 'x', 'missing')).toBe(1);
+    await adapter.srem('nfts', 'y', 'z');
+    expect(await adapter.smembers('nfts')).toEqual([]);
+    expect(await adapter.exists('nfts')).toBe(false);
+  });
+
+  test('should reject type mismatches', async () => {
+    await adapter.sadd('tags', 'a');
+    await adapter.set('doc', { a: 1 });
+
+    await expect(adapter.get('tags')).rejects.toThrow(/WRONGTYPE/);
+    await expect(adapter.sadd('doc', 'x')).rejects.toThrow(/WRONGTYPE/);
+  });
+
+  test('should increment integers and preserve expiry', async () => {
+    expect(await adapter.incr('plays')).toBe(1);
+    expect(await adapter.incr('plays', 4)).toBe(5);
+
+    await adapter.expire('plays', 100);
+    await adapter.incr('plays');
+    expect(await adapter.ttl('plays')).toBeGreaterThan(90);
+    expect(await adapter.get('plays')).toBe(6);
+  });
+
+  test('should expire keys and report ttl like Redis', async () => {
+    await adapter.set('persistent', 1);
+    await adapter.set('session', 1, 60);
+
+    expect(await adapter.ttl('persistent')).toBe(-1);
+    expect(await adapter.ttl('missing')).toBe(-2);
+    expect(await adapter.ttl('session')).toBeGreaterThan(55);
+    expect(await adapter.expire('missing', 10)).toBe(false);
+
+    await adapter.set('short', 1, 1);
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    expect(await adapter.get('short')).toBeNull();
+    expect(await adapter.exists('short')).toBe(false);
+  });
+
+  test('should match keys by glob pattern', async () => {
+    await adapter.set('nft:1', {});
+    await adapter.set('nft:2', {});
+    await adapter.sadd('nft:1:likes', 'u');
+    await adapter.set('user:1', {});
+
+    expect((await adapter.keys('nft:?')).sort()).toEqual(['nft:1', 'nft:2']);
+    expect((await adapter.keys('nft:*')).sort()).toEqual(['nft:1', 'nft:1:likes', 'nft:2']);
+  });
+
+  test('should apply transactions as a unit', async () => {
+    const results = await adapter.multi()
+      .set('nft:9', { title: 'Nine' })
+      .sadd('nfts', 'nft-9')
+      .incr('nfts:count')
+      .srem('nfts:featured', 'nft-9')
+      .exec();
+
+    expect(results).toEqual([expect.anything(), 1, 1, 0]);
+    expect(await adapter.get('nft:9')).toEqual({ title: 'Nine' });
+    expect(await adapter.smembers('nfts')).toEqual(['nft-9']);
+  });
+
+  test('should surface transaction command errors', async () => {
+    await adapter.set('doc', { a: 1 });
+
+    await expect(adapter.multi().set('fresh', 1).sadd('doc', 'x').exec()).rejects.toThrow(/WRONGTYPE/);
+    if (name !== 'redis') {
+      // Local adapters roll back; Redis has no rollback once EXEC runs
+      expect(await adapter.exists('fresh')).toBe(false);
+    }
+  });
+});
+
+describe('file storage adapter persistence', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'flowtune-storage-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should reload values, sets and expiry from disk', async () => {
+    const writer = new FileAdapter({ dataDir });
+    await writer.set('nft:1', { title: 'Saved' });
+    await writer.sadd('nfts', 'nft-1');
+    await writer.set('session', 'x', 60);
+    await writer.disconnect();
+
+    const reader = new FileAdapter({ dataDir });
+    expect(await reader.get('nft:1')).toEqual({ title: 'Saved' });
+    expect(await reader.smembers('nfts')).toEqual(['nft-1']);
+    expect(await reader.ttl('session')).toBeGreaterThan(55);
+  });
+
+  test('should read legacy bare-value files and promote arrays to sets', async () => {
+    await fs.writeFile(path.join(dataDir, 'nft:legacy.json'), JSON.stringify({ title: 'Old' }));
+    await fs.writeFile(path.join(dataDir, 'nfts.json'), JSON.stringify(['nft-a', 'nft-b']));
+
+    const adapter = new FileAdapter({ dataDir });
+
+    expect(await adapter.get('nft:legacy')).toEqual({ title: 'Old' });
+    expect(await adapter.sismember('nfts', 'nft-b')).toBe(true);
+    await adapter.sadd('nfts', 'nft-c');
+    await adapter.disconnect();
+
+    const stored = JSON.parse(await fs.readFile(path.join(dataDir, 'nfts.json'), 'utf8'));
+    expect(stored).toMatchObject({ type: 'set', value: ['nft-a', 'nft-b', 'nft-c'] });
+  });
+});
@@ -128,7 +128,8 @@ describe('MusicController', () => {
 
       expect(mockAIService.generateMusicWithMusicGen).toHaveBeenCalledWith(
         mockGenerationData.prompt, 
-        30
+        30,
+        expect.objectContaining({ genre: mockGenerationData.genre })
       );
 
       // Restore original environment variable
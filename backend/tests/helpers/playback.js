@@ -0,0 +1,16 @@
+/**
+ * Playback test helpers
+ */
+
+/**
+ * Report playback progress once the seconds have actually passed, so the
+ * play counts as listened time rather than a seek
+ */
+export const listen = async (streaming, sessionId, seconds, totalDuration = 180) => {
+  const clock = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + seconds * 1000);
+  try {
+    return await streaming.updatePlaybackProgress(sessionId, seconds, totalDuration);
+  } finally {
+    clock.mockRestore();
+  }
+};
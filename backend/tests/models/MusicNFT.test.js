@@ -0,0 +1,83 @@
+/**
+ * MusicNFT Model Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+import Database from '../../src/config/database.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+
+const CONTRACT_A = '0xaaaaaaaaaaaaaaaa';
+const CONTRACT_B = '0xbbbbbbbbbbbbbbbb';
+
+const createNFT = async (tokenId, contractAddress, overrides = {}) => {
+  const nft = new MusicNFT({
+    title: `Track ${tokenId}`,
+    creator: '0x1111111111111111',
+    owner: '0x1111111111111111',
+    blockchain: { tokenId, contractAddress },
+    ...overrides
+  });
+  await nft.save();
+  return nft;
+};
+
+describe('MusicNFT token index', () => {
+  beforeEach(async () => {
+    await Database.flush();
+  });
+
+  test('should find an NFT by tokenId with string or numeric input', async () => {
+    const nft = await createNFT(3500, CONTRACT_A);
+
+    expect((await MusicNFT.findOne({ 'blockchain.tokenId': '3500' })).id).toBe(nft.id);
+    expect((await MusicNFT.findByTokenId(3500)).id).toBe(nft.id);
+    expect(await MusicNFT.findOne({ 'blockchain.tokenId': '3501' })).toBeNull();
+  });
+
+  test('should disambiguate the same tokenId across contracts', async () => {
+    const first = await createNFT(7, CONTRACT_A);
+    const second = await createNFT(7, CONTRACT_B);
+
+    expect((await MusicNFT.findByTokenId(7, CONTRACT_B)).id).toBe(second.id);
+    expect((await MusicNFT.findOne({ 'blockchain.tokenId': 7, 'blockchain.contractAddress': CONTRACT_A })).id).toBe(first.id);
+    expect(await MusicNFT.find({ 'blockchain.tokenId': 7 })).toHaveLength(2);
+  });
+
+  test('should drop index entries when an NFT is deleted', async () => {
+    const nft = await createNFT(12, CONTRACT_A);
+
+    await MusicNFT.deleteById(nft.id);
+
+    expect(await MusicNFT.findByTokenId(12)).toBeNull();
+    expect(await Database.get(`nft:token:${CONTRACT_A}:12`)).toBeNull();
+  });
+
+  test('should filter on multiple fields and $or conditions', async () => {
+    const owned = await createNFT(1, CONTRACT_A, { owner: '0x2222222222222222' });
+    await createNFT(2, CONTRACT_A);
+
+    const byOwner = await MusicNFT.find({ owner: '0x2222222222222222', 'blockchain.contractAddress': CONTRACT_A });
+    const either = await MusicNFT.find({ $or: [{ 'blockchain.tokenId': 1 }, { 'blockchain.tokenId': 2 }] });
+
+    expect(byOwner.map(nft => nft.id)).toEqual([owned.id]);
+    expect(either).toHaveLength(2);
+  });
+
+  test('should backfill indexes for records saved before the index existed', async () => {
+    const nft = await createNFT(99, CONTRACT_A);
+    await createNFT(undefined, CONTRACT_A);
+    await Database.del('nfts:token:99');
+    await Database.del(`nft:token:${CONTRACT_A}:99`);
+
+    expect(await MusicNFT.findByTokenId(99)).toBeNull();
+
+    const result = await MusicNFT.backfillTokenIndex();
+
+    expect(result).toEqual({ scanned: 2, indexed: 1, skipped: 1 });
+    expect((await MusicNFT.findByTokenId(99, CONTRACT_A)).id).toBe(nft.id);
+  });
+});
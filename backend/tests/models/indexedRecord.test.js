@@ -0,0 +1,109 @@
+/**
+ * Indexed Record Persistence Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+import Database from '../../src/config/database.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+import Playlist from '../../src/models/Playlist.js';
+import User from '../../src/models/User.js';
+import { diffIndexEntries } from '../../src/models/indexedRecord.js';
+
+describe('Indexed record persistence', () => {
+  beforeEach(async () => {
+    await Database.flush();
+  });
+
+  test('should diff index membership', () => {
+    const diff = diffIndexEntries(
+      { sets: ['nfts', 'nfts:category:music'], lookups: ['user:email:a@x.io'] },
+      { sets: ['nfts', 'nfts:category:podcast'], lookups: [] }
+    );
+
+    expect(diff).toEqual({ staleSets: ['nfts:category:music'], staleLookups: ['user:email:a@x.io'] });
+  });
+
+  test('should move an NFT between owner, category and tag indexes on save', async () => {
+    const nft = new MusicNFT({ title: 'Track', creator: 'alice', owner: 'alice', category: 'music', tags: ['lofi'], isFeatured: true });
+    await nft.save();
+
+    nft.owner = 'bob';
+    nft.category = 'podcast';
+    nft.tags = ['ambient'];
+    nft.isFeatured = false;
+    await nft.save();
+
+    expect(await Database.smembers('user:alice:nfts:owned')).toEqual([]);
+    expect(await Database.smembers('user:bob:nfts:owned')).toEqual([nft.id]);
+    expect(await Database.smembers('user:alice:nfts:created')).toEqual([nft.id]);
+    expect(await Database.smembers('nfts:category:music')).toEqual([]);
+    expect(await Database.smembers('nfts:category:podcast')).toEqual([nft.id]);
+    expect(await Database.smembers('nfts:tag:lofi')).toEqual([]);
+    expect(await Database.smembers('nfts:featured')).toEqual([]);
+  });
+
+  test('should re-point the token lookup when an NFT is minted on a new contract', async () => {
+    const nft = new MusicNFT({ title: 'Track', blockchain: { tokenId: 5, contractAddress: '0xaaa' } });
+    await nft.save();
+
+    nft.blockchain.contractAddress = '0xbbb';
+    await nft.save();
+
+    expect(await Database.get('nft:token:0xaaa:5')).toBeNull();
+    expect(await Database.get('nft:token:0xbbb:5')).toBe(nft.id);
+  });
+
+  test('should release old lookup keys when a user renames', async () => {
+    const user = new User({ username: 'Alice', email: 'alice@example.com' });
+    await user.save();
+
+    user.username = 'alice2';
+    await user.save();
+
+    expect(await User.findByUsername('alice')).toBeNull();
+    expect((await User.findByUsername('alice2')).id).toBe(user.id);
+    expect((await User.findByEmail('alice@example.com')).id).toBe(user.id);
+  });
+
+  test('should not drop a lookup key another record has claimed', async () => {
+    const first = new User({ username: 'shared' });
+    await first.save();
+    const second = new User({ username: 'shared' });
+    await second.save();
+
+    first.username = 'renamed';
+    await first.save();
+
+    expect(await Database.get('user:username:shared')).toBe(second.id);
+  });
+
+  test('should leave nothing behind when the save transaction fails', async () => {
+    await Database.set('nfts:category:broken', 'not a set');
+    const nft = new MusicNFT({ title: 'Track', category: 'broken', creator: 'alice', owner: 'alice' });
+
+    await expect(nft.save()).rejects.toThrow(/WRONGTYPE/);
+
+    expect(await Database.get(`nft:${nft.id}`)).toBeNull();
+    expect(await Database.smembers('nfts')).toEqual([]);
+    expect(await Database.smembers('user:alice:nfts:owned')).toEqual([]);
+  });
+
+  test('should remove a playlist with its indexes and related keys', async () => {
+    const playlist = new Playlist({ name: 'Mix', owner: 'alice', tags: ['chill'], isFeatured: true });
+    await playlist.save();
+    await Database.sadd(`playlist:${playlist.id}:likes`, 'bob');
+
+    expect(await Playlist.deleteById(playlist.id)).toBe(true);
+
+    expect(await Database.exists(`playlist:${playlist.id}`)).toBe(false);
+    expect(await Database.exists(`playlist:${playlist.id}:likes`)).toBe(false);
+    expect(await Database.smembers('playlists')).toEqual([]);
+    expect(await Database.smembers('user:alice:playlists')).toEqual([]);
+    expect(await Database.smembers('playlists:tag:chill')).toEqual([]);
+    expect(await Database.smembers('playlists:featured')).toEqual([]);
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * Audio Streaming Routes Tests
+ */
+
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import axios from 'axios';
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+import audioRoutes from '../../src/routes/audio.js';
+import AudioStreamingService from '../../src/services/audioStreamingService.js';
+import hlsPackagingService from '../../src/services/hlsPackagingService.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+import User from '../../src/models/User.js';
+
+const AUDIO_BYTES = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+
+const authHeader = (user) => `Bearer ${jwt.sign({ userId: user.id }, process.env.JWT_SECRET || 'your-secret-key')}`;
+
+// Collect the raw response body for audio content types
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Audio Streaming Routes', () => {
+  let app;
+  let uploadsDir;
+  let track;
+  let listener;
+
+  beforeAll(async () => {
+    uploadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'flowtune-uploads-'));
+    await fs.mkdir(path.join(uploadsDir, 'audio'));
+    await fs.writeFile(path.join(uploadsDir, 'audio', 'track.mp3'), AUDIO_BYTES);
+  });
+
+  afterAll(async () => {
+    await fs.rm(uploadsDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/audio', audioRoutes);
+
+    track = new MusicNFT({
+      title: 'Streamed',
+      music: { duration: 100, genre: '', mood: '', tags: [], instruments: [] },
+      files: { audio: { url: '/uploads/audio/track.mp3', format: 'mp3' } }
+    });
+    await track.save();
+
+    listener = new User({ username: `listener_${track.id}`, email: `${track.id}@example.com` });
+    await listener.save();
+
+    // Serve uploads from the temp directory
+    const resolve = AudioStreamingService.prototype.resolveAudioFile;
+    jest.spyOn(AudioStreamingService.prototype, 'resolveAudioFile').mockImplementation(function (trackId) {
+      this.uploadsDir = uploadsDir;
+      return resolve.call(this, trackId);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const startSession = async (user = listener) => {
+    const response = await request(app)
+      .post('/api/audio/play/start')
+      .set('Authorization', authHeader(user))
+      .send({ trackId: track.id });
+    expect(response.status).toBe(200);
+    return response.body;
+  };
+
+  test('should stream the session track limited to the free preview', async () => {
+    const { streamUrl, sessionId } = await startSession();
+
+    expect(streamUrl).toContain(`session=${encodeURIComponent(sessionId)}`);
+
+    const response = await request(app).get(streamUrl).buffer(true).parse(binaryParser);
+
+    // 30s preview of a 100s, 1000-byte file
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('audio/mpeg');
+    expect(response.headers['accept-ranges']).toBe('bytes');
+    expect(response.headers['content-length']).toBe('300');
+    expect(response.headers['x-preview-duration']).toBe('30');
+    expect(response.body.equals(AUDIO_BYTES.subarray(0, 300))).toBe(true);
+  });
+
+  test('should answer range requests with 206 partial content', async () => {
+    const { streamUrl } = await startSession();
+
+    const response = await request(app)
+      .get(streamUrl)
+      .set('Range', 'bytes=100-199')
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(response.status).toBe(206);
+    expect(response.headers['content-range']).toBe('bytes 100-199/300');
+    expect(response.body.equals(AUDIO_BYTES.subarray(100, 200))).toBe(true);
+
+    const suffix = await request(app).get(streamUrl).set('Range', 'bytes=-50').buffer(true).parse(binaryParser);
+    expect(suffix.headers['content-range']).toBe('bytes 250-299/300');
+  });
+
+  test('should reject ranges beyond the playable bytes', async () => {
+    const { streamUrl } = await startSession();
+
+    const response = await request(app).get(streamUrl).set('Range', 'bytes=500-600');
+
+    expect(response.status).toBe(416);
+    expect(response.headers['content-range']).toBe('bytes */300');
+  });
+
+  test('should require a live session owned by the caller', async () => {
+    const { streamUrl, sessionId } = await startSession();
+    const intruder = new User({ username: `intruder_${track.id}`, email: `i_${track.id}@example.com` });
+    await intruder.save();
+
+    const withoutToken = await request(app).get(`/api/audio/stream/${track.id}?session=${encodeURIComponent(sessionId)}`);
+    expect(withoutToken.status).toBe(401);
+
+    const otherUser = await request(app)
+      .get(`/api/audio/stream/${track.id}?session=${encodeURIComponent(sessionId)}`)
+      .set('Authorization', authHeader(intruder));
+    expect(otherUser.status).toBe(403);
+
+    await request(app).post('/api/audio/play/end').set('Authorization', authHeader(listener)).send({ sessionId });
+    const ended = await request(app).get(streamUrl);
+    expect(ended.status).toBe(404);
+  });
+
+  test('should not let a session stream above its quality tier', async () => {
+    const { streamUrl } = await startSession();
+
+    const response = await request(app).get(streamUrl.replace('quality=free', 'quality=hifi'));
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('QUALITY_NOT_ALLOWED');
+  });
+
+  test('should stream the full file for premium sessions', async () => {
+    const service = new AudioStreamingService();
+    const sessionId = `${listener.id}_${track.id}_premium`;
+    await service.startPlayback(listener.id, track.id, sessionId, 'premium');
+    const { streamUrl } = service.generateStreamUrl(track.id, listener.id, 'premium', sessionId);
+
+    const response = await request(app).get(streamUrl).buffer(true).parse(binaryParser);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-length']).toBe('1000');
+    expect(response.headers['x-preview-duration']).toBeUndefined();
+  });
+
+  test('should refuse upload paths outside the uploads directory', async () => {
+    const service = new AudioStreamingService();
+    service.uploadsDir = uploadsDir;
+    track.files.audio.url = '/uploads/../../etc/passwd';
+    await track.save();
+
+    await expect(service.resolveAudioFile(track.id)).rejects.toMatchObject({ code: 'INVALID_AUDIO_PATH' });
+  });
+
+  test('should only fetch remote audio from allowed hosts', async () => {
+    const service = new AudioStreamingService();
+    const get = jest.spyOn(axios, 'get');
+    track.files.audio = { url: 'http://169.254.169.254/latest/meta-data', format: 'mp3' };
+    await track.save();
+
+    await expect(service.resolveAudioFile(track.id)).rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'AUDIO_HOST_NOT_ALLOWED' });
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  test('should stop caching remote audio past the size limit', async () => {
+    const service = new AudioStreamingService();
+    service.cacheDir = path.join(uploadsDir, 'ipfs-cache');
+    service.maxDownloadBytes = 1000;
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: Readable.from([Buffer.alloc(600), Buffer.alloc(600)]) });
+    track.files.audio = { ipfsHash: 'QmTooLarge', format: 'mp3' };
+    await track.save();
+
+    await expect(service.resolveAudioFile(track.id)).rejects.toMatchObject({ code: 'AUDIO_FETCH_FAILED' });
+    expect(await fs.readdir(service.cacheDir)).toEqual([]);
+  });
+
+  describe('HLS', () => {
+    const segments = [
+      { uri: 'seg_000.ts', duration: 20 },
+      { uri: 'seg_001.ts', duration: 20 },
+      { uri: 'seg_002.ts', duration: 20 }
+    ];
+
+    const packageTrack = async () => {
+      const renditions = {};
+      for (const [id, { bitrate }] of Object.entries({ aac_64: { bitrate: 64 }, aac_320: { bitrate: 320 } })) {
+        renditions[id] = { bitrate, bandwidth: bitrate * 1000, codecs: 'mp4a.40.2', segments };
+        await fs.mkdir(path.join(uploadsDir, 'hls', track.id, id), { recursive: true });
+        for (const segment of segments) {
+          await fs.writeFile(path.join(uploadsDir, 'hls', track.id, id, segment.uri), segment.uri);
+        }
+      }
+      await hlsPackagingService.saveManifest(track.id, { trackId: track.id, status: 'ready', duration: 60, renditions });
+    };
+
+    beforeEach(() => {
+      hlsPackagingService.outputDir = path.join(uploadsDir, 'hls');
+    });
+
+    test('should queue packaging and answer 202 until renditions are ready', async () => {
+      const queue = jest.spyOn(hlsPackagingService, 'queuePackaging').mockResolvedValue(null);
+      const { hlsUrl } = await startSession();
+
+      const response = await request(app).get(hlsUrl);
+
+      expect(response.status).toBe(202);
+      expect(response.body.status).toBe('processing');
+      expect(queue).toHaveBeenCalledWith(track.id);
+    });
+
+    test('should serve free sessions a preview of the free renditions only', async () => {
+      await packageTrack();
+      const { hlsUrl, sessionId } = await startSession();
+
+      const master = await request(app).get(hlsUrl);
+      expect(master.status).toBe(200);
+      expect(master.headers['content-type']).toContain('application/vnd.apple.mpegurl');
+      expect(master.text).toContain('aac_64/index.m3u8?session=');
+      expect(master.text).not.toContain('aac_320');
+
+      const query = hlsUrl.slice(hlsUrl.indexOf('?'));
+      const media = await request(app).get(`/api/audio/hls/${track.id}/aac_64/index.m3u8${query}`);
+      expect(media.status).toBe(200);
+      expect(media.text).toContain(`seg_001.ts?session=${encodeURIComponent(sessionId)}`);
+      expect(media.text).not.toContain('seg_002.ts');
+
+      const segment = await request(app).get(`/api/audio/hls/${track.id}/aac_64/seg_001.ts${query}`);
+      expect(segment.status).toBe(200);
+      expect(segment.headers['content-type']).toBe('video/mp2t');
+
+      const beyondPreview = await request(app).get(`/api/audio/hls/${track.id}/aac_64/seg_002.ts${query}`);
+      expect(beyondPreview.status).toBe(403);
+      expect(beyondPreview.body.code).toBe('PREVIEW_LIMIT_EXCEEDED');
+
+      const premiumRendition = await request(app).get(`/api/audio/hls/${track.id}/aac_320/index.m3u8${query}`);
+      expect(premiumRendition.status).toBe(403);
+      expect(premiumRendition.body.code).toBe('RENDITION_NOT_ALLOWED');
+    });
+
+    test('should serve premium sessions every rendition in full', async () => {
+      await packageTrack();
+      const service = new AudioStreamingService();
+      const sessionId = `${listener.id}_${track.id}_premium`;
+      await service.startPlayback(listener.id, track.id, sessionId, 'premium');
+      const { hlsUrl } = service.generateStreamUrl(track.id, listener.id, 'premium', sessionId);
+      const query = hlsUrl.slice(hlsUrl.indexOf('?'));
+
+      const master = await request(app).get(hlsUrl);
+      expect(master.text).toContain('aac_320/index.m3u8');
+
+      const segment = await request(app).get(`/api/audio/hls/${track.id}/aac_320/seg_002.ts${query}`);
+      expect(segment.status).toBe(200);
+    });
+
+    test('should require the session token for HLS requests', async () => {
+      await packageTrack();
+      const { sessionId } = await startSession();
+
+      const response = await request(app).get(`/api/audio/hls/${track.id}/master.m3u8?session=${encodeURIComponent(sessionId)}`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
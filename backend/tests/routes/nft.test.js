@@ -0,0 +1,173 @@
+/**
+ * NFT Routes Tests
+ */
+
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+jest.mock('../../src/services/flowService.js', () => ({
+  __esModule: true,
+  default: {
+    getAccountBalance: jest.fn(),
+    mintMusicNFT: jest.fn(),
+    purchaseNFT: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/coverArtService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadForMint: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/hlsPackagingService.js', () => ({
+  __esModule: true,
+  default: { queuePackaging: jest.fn() }
+}));
+
+jest.mock('../../src/services/audioAnalysisService.js', () => ({
+  __esModule: true,
+  default: { queueAnalysis: jest.fn() }
+}));
+
+jest.mock('../../src/services/ipfsService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadJSON: jest.fn(),
+    uploadImage: jest.fn()
+  }
+}));
+
+// Mock rate limiters
+jest.mock('../../src/middleware/security.js', () => ({
+  __esModule: true,
+  default: {
+    rateLimiters: { blockchain: (req, res, next) => next() }
+  }
+}));
+
+import Database from '../../src/config/database.js';
+import nftRoutes from '../../src/routes/nft.js';
+import flowService from '../../src/services/flowService.js';
+import coverArtService from '../../src/services/coverArtService.js';
+import hlsPackagingService from '../../src/services/hlsPackagingService.js';
+import audioAnalysisService from '../../src/services/audioAnalysisService.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+import User from '../../src/models/User.js';
+
+const CREATOR = '0x1111111111111111';
+const ALICE = '0x2222222222222222';
+const BOB = '0x3333333333333333';
+
+const authHeader = (user) => `Bearer ${jwt.sign({ userId: user.id }, process.env.JWT_SECRET || 'your-secret-key')}`;
+
+const createUser = (username, address) => new User({
+  username,
+  email: `${username}@example.com`,
+  flowWallet: { address, isConnected: true }
+}).save();
+
+describe('NFT Routes', () => {
+  let app;
+
+  beforeEach(async () => {
+    await Database.flush();
+    app = express();
+    app.use(express.json());
+    app.use('/api/nft', nftRoutes);
+
+    flowService.getAccountBalance.mockResolvedValue({ balance: '1000.0', currency: 'FLOW' });
+    flowService.purchaseNFT.mockResolvedValue({ success: true, transactionHash: '0xsale', isMock: true });
+    flowService.mintMusicNFT.mockResolvedValue({ success: true, tokenId: '42', transactionId: '0xmint', isMock: true });
+    coverArtService.uploadForMint.mockResolvedValue({ hash: 'QmCover', url: 'https://gateway/QmCover', rendered: true, thumbnails: [] });
+    hlsPackagingService.queuePackaging.mockResolvedValue();
+    audioAnalysisService.queueAnalysis.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/nft/mint', () => {
+    const mint = (user, body) => request(app)
+      .post('/api/nft/mint')
+      .set('Authorization', authHeader(user))
+      .send({ title: 'Night Drive', audioHash: 'QmAudio', metadataHash: 'QmMetadata', ...body });
+
+    test('should upload a cover for a mint without one', async () => {
+      const creator = await createUser('creator', CREATOR);
+
+      const response = await mint(creator, { genre: 'electronic', mood: 'calm' });
+
+      expect(response.status).toBe(200);
+      expect(coverArtService.uploadForMint).toHaveBeenCalledWith(expect.objectContaining({
+        title: 'Night Drive',
+        genre: 'electronic',
+        mood: 'calm',
+        audioUrl: 'https://gateway.pinata.cloud/ipfs/QmAudio'
+      }), expect.stringMatching(/^Night_Drive_/));
+      expect(flowService.mintMusicNFT).toHaveBeenCalledWith(expect.objectContaining({ coverImageHash: 'QmCover' }));
+
+      const nft = await MusicNFT.findById(response.body.data.nftId);
+      expect(nft.files.cover).toMatchObject({ ipfsHash: 'QmCover', url: 'https://gateway.pinata.cloud/ipfs/QmCover' });
+    });
+
+    test('should keep a cover hash it was given', async () => {
+      const creator = await createUser('creator', CREATOR);
+
+      const response = await mint(creator, { coverImageHash: 'QmGiven' });
+
+      expect(response.status).toBe(200);
+      expect(coverArtService.uploadForMint).not.toHaveBeenCalled();
+      expect(flowService.mintMusicNFT).toHaveBeenCalledWith(expect.objectContaining({ coverImageHash: 'QmGiven' }));
+    });
+
+    test('should still mint when the cover upload fails', async () => {
+      const creator = await createUser('creator', CREATOR);
+      coverArtService.uploadForMint.mockRejectedValue(new Error('IPFS unavailable'));
+
+      const response = await mint(creator, {});
+
+      expect(response.status).toBe(200);
+      expect(flowService.mintMusicNFT).toHaveBeenCalledWith(expect.objectContaining({ coverImageHash: '' }));
+    });
+  });
+
+  describe('POST /api/nft/:tokenId/purchase', () => {
+    test('should sell a listed NFT only once to concurrent buyers', async () => {
+      const nft = await new MusicNFT({
+        title: 'Listed Track',
+        creator: CREATOR,
+        owner: CREATOR,
+        blockchain: { tokenId: '7' },
+        market: { isForSale: true, price: '10', currency: 'FLOW', saleType: 'fixed' }
+      }).save();
+      const alice = await createUser('alice', ALICE);
+      const bob = await createUser('bob', BOB);
+      // Keep the first purchase in flight while the second one arrives
+      flowService.purchaseNFT.mockImplementation(() => new Promise(resolve => {
+        setTimeout(() => resolve({ success: true, transactionHash: '0xsale', isMock: true }), 50);
+      }));
+
+      const responses = await Promise.all([alice, bob].map(buyer => request(app)
+        .post('/api/nft/7/purchase')
+        .set('Authorization', authHeader(buyer))
+        .send({})));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+      expect(responses.find(response => response.status === 400).body.message).toBe('NFT is not for sale');
+      expect(flowService.purchaseNFT).toHaveBeenCalledTimes(1);
+
+      const sold = await MusicNFT.findById(nft.id);
+      expect(sold.market.salesHistory).toHaveLength(1);
+      expect([ALICE, BOB]).toContain(sold.owner);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Royalties Routes Tests
+ */
+
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+import Database from '../../src/config/database.js';
+import royaltiesRoutes from '../../src/routes/royalties.js';
+import royaltyLedgerService, { artistAccount } from '../../src/services/royaltyLedgerService.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+import User from '../../src/models/User.js';
+
+const CREATOR = '0x1111111111111111';
+const OWNER = '0x2222222222222222';
+
+const authHeader = (user) => `Bearer ${jwt.sign({ userId: user.id }, process.env.JWT_SECRET || 'your-secret-key')}`;
+
+describe('Royalties Routes', () => {
+  let app;
+
+  beforeEach(async () => {
+    await Database.flush();
+    app = express();
+    app.use(express.json());
+    app.use('/api/royalties', royaltiesRoutes);
+  });
+
+  describe('GET /api/royalties/distributions/:nftId', () => {
+    test('should let the owner and creator read distributions by wallet address', async () => {
+      const nft = await new MusicNFT({ title: 'Minted Track', creator: CREATOR, owner: OWNER }).save();
+      await royaltyLedgerService.recordStreamPlay({
+        sessionId: 'session-1',
+        trackId: nft.id,
+        artistShares: [{ account: artistAccount(CREATOR), role: 'artist', bps: 10000 }],
+        revenue: 100000000
+      });
+
+      const owner = await new User({ username: 'owner', email: 'owner@example.com', flowWallet: { address: OWNER, isConnected: true } }).save();
+      const creator = await new User({ username: 'creator', email: 'creator@example.com', flowWallet: { address: CREATOR, isConnected: true } }).save();
+      const stranger = await new User({ username: 'stranger', email: 'stranger@example.com' }).save();
+
+      const asOwner = await request(app).get(`/api/royalties/distributions/${nft.id}`).set('Authorization', authHeader(owner));
+      expect(asOwner.status).toBe(200);
+      expect(asOwner.body.data).toMatchObject({ nft_id: nft.id, total_distributions: 1 });
+
+      const asCreator = await request(app).get(`/api/royalties/distributions/${nft.id}`).set('Authorization', authHeader(creator));
+      expect(asCreator.status).toBe(200);
+
+      const asStranger = await request(app).get(`/api/royalties/distributions/${nft.id}`).set('Authorization', authHeader(stranger));
+      expect(asStranger.status).toBe(403);
+      expect(asStranger.body.error).toBe('ACCESS_DENIED');
+    });
+  });
+});
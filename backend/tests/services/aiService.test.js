@@ -4,6 +4,18 @@
 
 import { jest } from '@jest/globals';
 import aiService from '../../src/services/aiService.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import audioAnalysisService from '../../src/services/audioAnalysisService.js';
+import musicSynthService from '../../src/services/musicSynthService.js';
+import coverArtService from '../../src/services/coverArtService.js';
+import {
+  MusicProviderRegistry,
+  FakeProvider,
+  MockProvider,
+  ReplicateProvider
+} from '../../src/services/musicProviders/index.js';
 
 // Mock axios for HTTP requests
 jest.mock('axios', () => ({
@@ -13,6 +25,14 @@ jest.mock('axios', () => ({
   }
 }));
 
+// Cover art uploads are not exercised here
+jest.mock('../../src/services/ipfsService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadImage: jest.fn()
+  }
+}));
+
 // Import axios after mocking
 import axios from 'axios';
 
@@ -69,53 +89,215 @@ describe('AIService', () => {
 
       expect(() => aiService.validateGenerationParams(params)).toThrow('Genre must be one of:');
     });
+
+    test('should accept Chinese genre names and return canonical parameters', () => {
+      const params = aiService.validateGenerationParams({
+        prompt: '一首宁静的古典钢琴曲',
+        duration: 30,
+        genre: '古典',
+        mood: '宁静',
+        key: 'A小调',
+        bpm: 80
+      });
+
+      expect(params).toMatchObject({ genre: 'classical', mood: 'calm', key: 'A minor', bpm: 80 });
+    });
+
+    test('should reject out-of-range tempos and unreadable keys as validation errors', () => {
+      expect(() => aiService.validateGenerationParams({ prompt: 'electronic music', bpm: 400 }))
+        .toThrow(expect.objectContaining({ type: 'VALIDATION_ERROR', code: 'INVALID_BPM' }));
+      expect(() => aiService.validateGenerationParams({ prompt: 'electronic music', key: 'H major' }))
+        .toThrow(expect.objectContaining({ type: 'VALIDATION_ERROR', code: 'INVALID_KEY' }));
+    });
   });
 
-  describe('generateMusicWithMusicGen', () => {
-    test('should generate music successfully', async () => {
-      const result = await aiService.generateMusicWithMusicGen('electronic music', 30);
+  describe('interpretPrompt', () => {
+    test('should fill parameters from the prompt and let explicit values win', () => {
+      const { interpreted, parameters } = aiService.interpretPrompt('忧伤的爵士乐，萨克斯，90 BPM，四十秒', { mood: 'romantic' });
+
+      expect(interpreted).toMatchObject({ genre: 'jazz', mood: 'melancholic', bpm: 90, duration: 40, instruments: ['saxophone'] });
+      expect(parameters).toEqual({
+        genre: 'jazz',
+        mood: 'romantic',
+        duration: 40,
+        bpm: 90,
+        key: null,
+        instruments: ['saxophone']
+      });
+    });
 
-      expect(result.success).toBe(true);
-      expect(result.audioUrl).toContain('soundjay.com'); // Mock audio URL
-      expect(result.metadata.mockGeneration).toBe(true);
-      expect(result.metadata.prompt).toBe('electronic music');
-      expect(result.metadata.duration).toBe(30);
+    test('should fall back to the default genre, mood and duration', () => {
+      const { parameters } = aiService.interpretPrompt('something nice');
+      expect(parameters).toMatchObject({ genre: 'electronic', mood: 'upbeat', duration: 30, bpm: null });
     });
+  });
 
-    test('should handle API errors by falling back to mock generation', async () => {
-      
-      mockedAxios.post.mockRejectedValueOnce(new Error('API Error'));
+  describe('generateMusic', () => {
+    let originalProviders;
+
+    beforeEach(() => {
+      originalProviders = aiService.providers;
+      aiService.providers = new MusicProviderRegistry();
+      aiService.pollInterval = 1;
+    });
+
+    afterEach(() => {
+      aiService.providers = originalProviders;
+      aiService.pollInterval = 2000;
+      aiService.generationTimeout = 120000;
+    });
+
+    test('should record the provider and model that produced the track', async () => {
+      aiService.providers.register(new FakeProvider({ pollsUntilDone: 2 }));
 
       const result = await aiService.generateMusicWithMusicGen('electronic music', 30);
-      
-      // Should fallback to mock generation
+
       expect(result.success).toBe(true);
-      expect(result.metadata.mockGeneration).toBe(true);
+      expect(result.audioUrl).toBe('https://fake-audio.flowtune.local/fake_1.mp3');
+      expect(result.metadata).toMatchObject({
+        predictionId: 'fake_1',
+        provider: 'fake',
+        model: 'fake-musicgen-v1',
+        prompt: 'electronic music',
+        duration: 30,
+        mockGeneration: false
+      });
     });
 
-    test.skip('should handle failed predictions', async () => {
-      // This test is skipped due to complex polling logic that's difficult to mock
-      // In a real scenario, this would be tested with integration tests
-      
-      // Mock the post request to create prediction
+    test('should use the provider named in the request', async () => {
+      const first = aiService.providers.register(new FakeProvider({ name: 'first' }));
+      const second = aiService.providers.register(new FakeProvider({ name: 'second', model: 'second-model' }));
+
+      const result = await aiService.generateMusic({ prompt: 'ambient pads', provider: 'second' });
+
+      expect(result.metadata.provider).toBe('second');
+      expect(result.metadata.model).toBe('second-model');
+      expect(first.requests).toHaveLength(0);
+      expect(second.requests).toHaveLength(1);
+    });
+
+    test('should pick the first provider whose capabilities fit the request', async () => {
+      aiService.providers.register(new FakeProvider({ name: 'short', capabilities: { maxDuration: 30, stereo: false } }));
+      aiService.providers.register(new FakeProvider({ name: 'long', capabilities: { maxDuration: 120 } }));
+
+      const short = await aiService.generateMusic({ prompt: 'piano', duration: 20 });
+      const long = await aiService.generateMusic({ prompt: 'piano', duration: 90 });
+      const stereo = await aiService.generateMusic({ prompt: 'piano', duration: 20, stereo: true });
+
+      expect(short.metadata.provider).toBe('short');
+      expect(long.metadata.provider).toBe('long');
+      expect(stereo.metadata.provider).toBe('long');
+    });
+
+    test('should reject unknown providers and requests they cannot serve', async () => {
+      aiService.providers.register(new FakeProvider({ capabilities: { genres: ['ambient'] } }));
+
+      await expect(aiService.generateMusic({ prompt: 'test', provider: 'suno' }))
+        .rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'UNKNOWN_PROVIDER' });
+      await expect(aiService.generateMusic({ prompt: 'test', provider: 'fake', genre: 'rock' }))
+        .rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'UNSUPPORTED_REQUEST' });
+      await expect(aiService.generateMusic({ prompt: 'test', genre: 'rock' }))
+        .rejects.toMatchObject({ type: 'AI_ERROR', code: 'NO_PROVIDER_AVAILABLE' });
+    });
+
+    test('should fail instead of silently returning mock audio', async () => {
+      aiService.providers.register(new FakeProvider({ failWith: 'model crashed' }));
+
+      await expect(aiService.generateMusicWithMusicGen('electronic music', 30))
+        .rejects.toMatchObject({
+          type: 'AI_ERROR',
+          code: 'GENERATION_FAILED',
+          provider: 'fake',
+          message: 'AI generation failed: model crashed'
+        });
+    });
+
+    test('should fall back to synthesized audio only when enabled', async () => {
+      const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowtune-synth-'));
+      const originalOutputDir = musicSynthService.outputDir;
+      musicSynthService.outputDir = outputDir;
+      aiService.providers.register(new FakeProvider({ failWith: 'model crashed' }));
+      aiService.providers.setFallback(new MockProvider());
+
+      try {
+        const result = await aiService.generateMusicWithMusicGen('electronic music', 3, { mood: 'dark' });
+
+        expect(result.audioUrl).toMatch(/^\/uploads\/generated\/synth_[0-9a-f]{8}\.wav$/);
+        expect(result.metadata).toMatchObject({
+          provider: 'mock',
+          model: 'flowtune-synth-v1',
+          mockGeneration: true,
+          genre: 'electronic',
+          fallbackFrom: 'fake',
+          fallbackReason: 'AI generation failed: model crashed'
+        });
+        expect(result.metadata.key).toMatch(/ minor$/);
+        expect(fs.existsSync(path.join(outputDir, path.basename(result.audioUrl)))).toBe(true);
+      } finally {
+        musicSynthService.outputDir = originalOutputDir;
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should cancel generations that exceed the timeout', async () => {
+      const provider = aiService.providers.register(new FakeProvider({ pollsUntilDone: 1000 }));
+      aiService.generationTimeout = 20;
+
+      await expect(aiService.generateMusicWithMusicGen('electronic music', 30))
+        .rejects.toMatchObject({ code: 'GENERATION_TIMEOUT' });
+      expect(provider.generations.get('fake_1').status).toBe('cancelled');
+    });
+
+    test('should map Replicate predictions onto generation handles', async () => {
+      const provider = new ReplicateProvider({ token: 'r8_test', variant: 'melody-large', version: 'abc123' });
+      mockedAxios.post.mockResolvedValueOnce({ data: { id: 'pred-1', status: 'starting' } });
+      mockedAxios.get.mockResolvedValueOnce({
+        data: { id: 'pred-1', status: 'succeeded', output: 'https://replicate.delivery/out.mp3' }
+      });
+      aiService.providers.register(provider);
+
+      const result = await aiService.generateMusic({ prompt: 'jazz trio', duration: 15 });
+
+      expect(mockedAxios.post).toHaveBeenCalledWith(
+        'https://api.replicate.com/v1/predictions',
+        expect.objectContaining({
+          version: 'abc123',
+          input: expect.objectContaining({ prompt: 'jazz trio', model_version: 'melody-large', duration: 15 })
+        }),
+        expect.any(Object)
+      );
+      expect(result.audioUrl).toBe('https://replicate.delivery/out.mp3');
+      expect(result.metadata).toMatchObject({ provider: 'replicate', model: 'musicgen-melody-large', predictionId: 'pred-1' });
+      expect(provider.capabilities.stereo).toBe(false);
+    });
+
+    test('should send seed and conditioning audio to Replicate', async () => {
+      const provider = new ReplicateProvider({ token: 'r8_test', variant: 'stereo-large', version: 'abc123' });
       mockedAxios.post.mockResolvedValueOnce({
-        data: {
-          id: 'test-prediction-id',
-          status: 'starting'
-        }
+        data: { id: 'pred-2', status: 'succeeded', output: 'https://replicate.delivery/long.mp3' }
+      });
+      aiService.providers.register(provider);
+
+      await aiService.generateMusic({
+        prompt: 'jazz trio',
+        duration: 45,
+        seed: 7,
+        conditioning: { mode: 'continuation', audioUrl: '/uploads/generated/a.wav', audio: Buffer.from('RIFF'), mimeType: 'audio/wav' },
+        provider: 'replicate'
       });
 
-      // Mock the get request to poll prediction status - return failed immediately
-      mockedAxios.get.mockResolvedValue({
-        data: {
-          id: 'test-prediction-id',
-          status: 'failed',
-          error: 'Generation failed'
-        }
+      expect(mockedAxios.post.mock.calls[0][1].input).toMatchObject({
+        seed: 7,
+        continuation: true,
+        input_audio: `data:audio/wav;base64,${Buffer.from('RIFF').toString('base64')}`
       });
 
-      await expect(aiService.generateMusicWithMusicGen('electronic music', 30))
-        .rejects.toThrow('AI generation failed: Generation failed');
+      // Following a melody needs one of the melody variants
+      await expect(aiService.generateMusic({
+        prompt: 'jazz trio',
+        conditioning: { mode: 'melody', audioUrl: 'https://example.com/ref.mp3' },
+        provider: 'replicate'
+      })).rejects.toMatchObject({ code: 'UNSUPPORTED_REQUEST', type: 'VALIDATION_ERROR' });
     });
   });
 
@@ -148,36 +330,63 @@ describe('AIService', () => {
   });
 
   describe('generateCoverArt', () => {
-    test('should return placeholder for now', async () => {
-      const result = await aiService.generateCoverArt('electronic music', 'abstract');
+    test('should render cover art locally without an image API', async () => {
+      const render = jest.spyOn(coverArtService, 'renderToFile').mockResolvedValue({
+        id: 'cover_0000abcd',
+        url: '/uploads/covers/cover_0000abcd.png',
+        format: 'png',
+        style: 'geometric',
+        palette: { background: ['#000000', '#111111'] },
+        thumbnails: [{ size: 600, url: '/uploads/covers/cover_0000abcd_600.png' }]
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.imageUrl).toContain('placeholder.com');
+      const result = await aiService.generateCoverArt('electronic music', 'abstract', { title: 'Night Drive', mood: 'dark' });
+
+      expect(render).toHaveBeenCalledWith({ prompt: 'electronic music', style: 'abstract', title: 'Night Drive', mood: 'dark' });
+      expect(result).toMatchObject({
+        success: true,
+        imageUrl: '/uploads/covers/cover_0000abcd.png',
+        thumbnails: [{ size: 600 }],
+        metadata: { model: 'local-renderer', style: 'geometric', format: 'png' }
+      });
+      render.mockRestore();
+    });
+
+    test('should report a cover that cannot be rendered without failing', async () => {
+      const render = jest.spyOn(coverArtService, 'renderToFile').mockRejectedValue(new Error('disk full'));
+
+      const result = await aiService.generateCoverArt('electronic music');
+
+      expect(result).toMatchObject({ success: false, imageUrl: null, error: 'disk full' });
+      render.mockRestore();
     });
   });
 
   describe('analyzeAudio', () => {
     test('should analyze audio buffer', async () => {
-      // Create a mock audio buffer
       const audioBuffer = Buffer.from('mock audio data');
-      
-      const result = await aiService.analyzeAudio(audioBuffer);
+      const analysis = {
+        duration: 12.5,
+        format: 'mp3',
+        size: audioBuffer.length,
+        waveform: { points: 100, peaks: [] },
+        tempo: { bpm: 120, confidence: 0.8 },
+        key: { tonic: 'A', mode: 'minor', name: 'A minor', confidence: 0.2 }
+      };
+      const analyze = jest.spyOn(audioAnalysisService, 'analyzeBuffer').mockResolvedValue(analysis);
 
-      expect(result).toHaveProperty('duration');
-      expect(result).toHaveProperty('format');
-      expect(result).toHaveProperty('size');
+      const result = await aiService.analyzeAudio(audioBuffer, { resolution: 100 });
+
+      expect(analyze).toHaveBeenCalledWith(audioBuffer, { resolution: 100 });
+      expect(result).toEqual(analysis);
     });
 
-    test('should handle invalid audio data', async () => {
+    test('should reject invalid audio data', async () => {
       const invalidBuffer = Buffer.from('invalid-audio-data');
-      
-      const result = await aiService.analyzeAudio(invalidBuffer);
+      const invalid = Object.assign(new Error('Unreadable audio file'), { type: 'VALIDATION_ERROR', code: 'INVALID_AUDIO' });
+      jest.spyOn(audioAnalysisService, 'analyzeBuffer').mockRejectedValue(invalid);
 
-      // Since analyzeAudio currently returns placeholder data for any buffer,
-      // we expect it to return analysis results even for invalid data
-      expect(result).toHaveProperty('duration');
-      expect(result).toHaveProperty('format');
-      expect(result).toHaveProperty('size');
+      await expect(aiService.analyzeAudio(invalidBuffer)).rejects.toMatchObject({ code: 'INVALID_AUDIO' });
     });
   });
-});
\ No newline at end of file
+});
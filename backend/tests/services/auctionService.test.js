@@ -0,0 +1,192 @@
+/**
+ * Auction Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+jest.mock('../../src/services/flowService.js', () => ({
+  __esModule: true,
+  default: {
+    listNFTForSale: jest.fn(async ({ tokenId }) => ({ success: true, listingId: `listing_${tokenId}`, isMock: true })),
+    removeNFTFromSale: jest.fn(async ({ tokenId }) => ({ success: true, tokenId, isMock: true })),
+    getAccountBalance: jest.fn(async () => ({ balance: '1000.0', currency: 'FLOW', isMock: true })),
+    purchaseNFT: jest.fn(async () => ({ success: true, transactionHash: '0xabc', isMock: true }))
+  }
+}));
+
+jest.mock('../../src/services/websocketService.js', () => ({
+  __esModule: true,
+  default: {
+    sendMarketUpdate: jest.fn(),
+    sendToUser: jest.fn()
+  }
+}));
+
+import auctionService from '../../src/services/auctionService.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+import flowService from '../../src/services/flowService.js';
+import websocketService from '../../src/services/websocketService.js';
+
+const SELLER = '0x1111111111111111';
+const ALICE = '0x2222222222222222';
+const BOB = '0x3333333333333333';
+
+const createNFT = async () => {
+  const nft = new MusicNFT({
+    title: 'Auction Track',
+    creator: SELLER,
+    owner: SELLER,
+    blockchain: { tokenId: '42' }
+  });
+  await nft.save();
+  return nft;
+};
+
+// Move the auction end time relative to now
+const setEndTime = async (nftId, offsetMs) => {
+  const nft = await MusicNFT.findById(nftId);
+  nft.market.auctionEndTime = new Date(Date.now() + offsetMs).toISOString();
+  await nft.save();
+};
+
+describe('AuctionService', () => {
+  let nft;
+
+  beforeEach(async () => {
+    nft = await createNFT();
+    flowService.getAccountBalance.mockResolvedValue({ balance: '1000.0', currency: 'FLOW' });
+    flowService.purchaseNFT.mockResolvedValue({ success: true, transactionHash: '0xabc', isMock: true });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should start an auction and broadcast it', async () => {
+    const state = await auctionService.startAuction(nft.id, SELLER, {
+      startingPrice: '10',
+      reservePrice: '20',
+      minIncrement: '2'
+    });
+
+    expect(state.status).toBe('active');
+    expect(state.minimumNextBid).toBe('10');
+    expect(state.reserveMet).toBe(false);
+    expect(websocketService.sendMarketUpdate).toHaveBeenCalledWith(expect.objectContaining({ event: 'auction_started' }));
+  });
+
+  test('should only let the owner start an auction', async () => {
+    await expect(auctionService.startAuction(nft.id, ALICE, { startingPrice: '10' }))
+      .rejects.toMatchObject({ type: 'PERMISSION_ERROR', code: 'NOT_OWNER' });
+  });
+
+  test('should enforce the minimum increment and release outbid bids', async () => {
+    await auctionService.startAuction(nft.id, SELLER, { startingPrice: '10', minIncrement: '2' });
+
+    await auctionService.placeBid(nft.id, { bidder: ALICE, userId: 'alice', amount: '10' });
+    await expect(auctionService.placeBid(nft.id, { bidder: BOB, userId: 'bob', amount: '11' }))
+      .rejects.toMatchObject({ code: 'BID_TOO_LOW' });
+
+    const { auction } = await auctionService.placeBid(nft.id, { bidder: BOB, userId: 'bob', amount: '12' });
+
+    expect(auction.highestBidder).toBe(BOB);
+    expect(auction.bids.map(bid => bid.status)).toEqual(['released', 'active']);
+    expect(websocketService.sendToUser).toHaveBeenCalledWith('alice', expect.objectContaining({ type: 'auction_outbid' }));
+  });
+
+  test('should reject bids from the seller or without funds', async () => {
+    await auctionService.startAuction(nft.id, SELLER, { startingPrice: '10' });
+
+    await expect(auctionService.placeBid(nft.id, { bidder: SELLER, amount: '10' }))
+      .rejects.toMatchObject({ code: 'SELLER_BID' });
+
+    flowService.getAccountBalance.mockResolvedValueOnce({ balance: '5.0' });
+    await expect(auctionService.placeBid(nft.id, { bidder: ALICE, amount: '10' }))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+  });
+
+  test('should extend the auction when a bid lands in the closing window', async () => {
+    await auctionService.startAuction(nft.id, SELLER, { startingPrice: '10' });
+    await setEndTime(nft.id, 30 * 1000);
+
+    const { extended, auction } = await auctionService.placeBid(nft.id, { bidder: ALICE, amount: '10' });
+
+    expect(extended).toBe(true);
+    expect(auction.extensions).toBe(1);
+    expect(new Date(auction.endTime).getTime() - Date.now())
+      .toBeGreaterThan((auctionService.extensionSeconds - 5) * 1000);
+  });
+
+  test('should not settle before the end time', async () => {
+    await auctionService.startAuction(nft.id, SELLER, { startingPrice: '10' });
+
+    await expect(auctionService.settleAuction(nft.id)).rejects.toMatchObject({ code: 'AUCTION_NOT_ENDED' });
+  });
+
+  test('should settle to the highest bidder once the reserve is met', async () => {
+    await auctionService.startAuction(nft.id, SELLER, { startingPrice: '10', reservePrice: '15', minIncrement: '1' });
+    await auctionService.placeBid(nft.id, { bidder: ALICE, amount: '10' });
+    await auctionService.placeBid(nft.id, { bidder: BOB, amount: '16' });
+    await setEndTime(nft.id, -1000);
+
+    const results = await auctionService.settleEndedAuctions();
+    const settled = await MusicNFT.findById(nft.id);
+
+    expect(results).toHaveLength(1);
+    expect(results[0].sale.newOwner).toBe(BOB);
+    expect(settled.owner).toBe(BOB);
+    expect(settled.market.auctionStatus).toBe('settled');
+    expect(settled.market.salesHistory[0]).toMatchObject({ saleType: 'auction', price: '16', seller: SELLER });
+    expect(flowService.purchaseNFT).toHaveBeenCalledWith(expect.objectContaining({ buyer: BOB, price: '16', seller: SELLER }));
+    expect(websocketService.sendMarketUpdate).toHaveBeenCalledWith(expect.objectContaining({ event: 'auction_settled', sold: true }));
+  });
+
+  test('should close without a sale and release the bid when the reserve is not met', async () => {
+    await auctionService.startAuction(nft.id, SELLER, { startingPrice: '10', reservePrice: '50' });
+    await auctionService.placeBid(nft.id, { bidder: ALICE, amount: '10' });
+    await setEndTime(nft.id, -1000);
+
+    const result = await auctionService.settleAuction(nft.id);
+
+    expect(result.sale).toBeNull();
+    expect(result.status).toBe('ended');
+    expect(result.bids[0].status).toBe('released');
+    expect((await MusicNFT.findById(nft.id)).owner).toBe(SELLER);
+    expect(flowService.purchaseNFT).not.toHaveBeenCalled();
+    expect(flowService.removeNFTFromSale).toHaveBeenCalledWith({ tokenId: '42', owner: SELLER });
+  });
+
+  test('should keep a failed settlement active for retry', async () => {
+    await auctionService.startAuction(nft.id, SELLER, { startingPrice: '10' });
+    await auctionService.placeBid(nft.id, { bidder: ALICE, amount: '10' });
+    await setEndTime(nft.id, -1000);
+    flowService.purchaseNFT.mockResolvedValueOnce({ success: false, error: 'sealed with error' });
+
+    expect(await auctionService.settleEndedAuctions()).toHaveLength(0);
+    expect((await MusicNFT.findById(nft.id)).market.auctionStatus).toBe('active');
+
+    const results = await auctionService.settleEndedAuctions();
+    expect(results[0].sale.newOwner).toBe(ALICE);
+  });
+
+  test('should only cancel auctions without bids', async () => {
+    await auctionService.startAuction(nft.id, SELLER, { startingPrice: '10' });
+    await auctionService.placeBid(nft.id, { bidder: ALICE, amount: '10' });
+
+    await expect(auctionService.cancelAuction(nft.id, SELLER)).rejects.toMatchObject({ code: 'AUCTION_HAS_BIDS' });
+    expect(flowService.removeNFTFromSale).not.toHaveBeenCalled();
+  });
+
+  test('should remove the on-chain listing when an auction is cancelled', async () => {
+    await auctionService.startAuction(nft.id, SELLER, { startingPrice: '10' });
+
+    const state = await auctionService.cancelAuction(nft.id, SELLER);
+
+    expect(state.status).toBe('cancelled');
+    expect(flowService.removeNFTFromSale).toHaveBeenCalledWith({ tokenId: '42', owner: SELLER });
+    expect((await MusicNFT.findById(nft.id)).market.isForSale).toBe(false);
+  });
+});
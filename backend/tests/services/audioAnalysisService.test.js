@@ -0,0 +1,156 @@
+/**
+ * Audio Analysis Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+// Stand-in for ffmpeg: probes report a mono 44.1 kHz stream and decoding emits a 440 Hz tone
+// in deliberately unaligned chunks
+const mockProbe = { error: null };
+jest.mock('fluent-ffmpeg', () => {
+  const { PassThrough } = jest.requireActual('stream');
+  const ffmpeg = jest.fn(() => {
+    const handlers = {};
+    const command = {
+      noVideo: () => command,
+      audioChannels: () => command,
+      audioFrequency: () => command,
+      format: () => command,
+      on: (event, handler) => {
+        handlers[event] = handler;
+        return command;
+      },
+      pipe: () => {
+        const output = new PassThrough();
+        const samples = new Float32Array(44100 * 2);
+        for (let i = 0; i < samples.length; i++) {
+          samples[i] = 0.5 * Math.sin(2 * Math.PI * 440 * i / 44100);
+        }
+        const bytes = Buffer.from(samples.buffer);
+        setImmediate(() => {
+          for (let offset = 0; offset < bytes.length; offset += 1001) {
+            output.write(bytes.subarray(offset, offset + 1001));
+          }
+          output.end();
+          handlers.end();
+        });
+        return output;
+      }
+    };
+    return command;
+  });
+  ffmpeg.setFfmpegPath = jest.fn();
+  ffmpeg.ffprobe = jest.fn((filePath, callback) => {
+    if (mockProbe.error) {
+      callback(new Error(mockProbe.error));
+      return;
+    }
+    callback(null, {
+      format: { format_name: 'mp3', duration: '2.0', bit_rate: '128000', tags: { title: 'Probe' } },
+      streams: [{ codec_type: 'audio', codec_name: 'mp3', sample_rate: '44100', channels: 1 }]
+    });
+  });
+  return ffmpeg;
+});
+
+import Database from '../../src/config/database.js';
+import audioAnalysisService from '../../src/services/audioAnalysisService.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+
+describe('AudioAnalysisService', () => {
+  beforeEach(async () => {
+    await Database.flush();
+    mockProbe.error = null;
+  });
+
+  test('should combine container metadata with decoded features', async () => {
+    const analysis = await audioAnalysisService.analyzeBuffer(Buffer.from('fake mp3'), { resolution: 50 });
+
+    expect(analysis).toMatchObject({
+      duration: 2,
+      format: 'mp3',
+      codec: 'mp3',
+      sampleRate: 44100,
+      channels: 1,
+      bitrate: 128,
+      size: 8,
+      tags: { title: 'Probe' }
+    });
+    expect(analysis.waveform.points).toBe(50);
+    expect(analysis.waveform.peaks.every(peak => Math.abs(peak - 0.5) < 0.01)).toBe(true);
+    expect(analysis.key.tonic).toBe('A');
+    expect(analysis.loudness.samplePeak).toBeCloseTo(-6, 0);
+  });
+
+  test('should reject files ffprobe cannot read', async () => {
+    mockProbe.error = 'Invalid data found when processing input';
+
+    await expect(audioAnalysisService.analyzeBuffer(Buffer.from('not audio')))
+      .rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'INVALID_AUDIO' });
+    await expect(audioAnalysisService.analyzeBuffer(Buffer.alloc(0)))
+      .rejects.toMatchObject({ code: 'INVALID_AUDIO' });
+  });
+
+  test('should clamp the waveform resolution', () => {
+    expect(audioAnalysisService.resolveWaveformPoints('200')).toBe(200);
+    expect(audioAnalysisService.resolveWaveformPoints(1e9)).toBe(10000);
+    expect(audioAnalysisService.resolveWaveformPoints(undefined)).toBe(audioAnalysisService.waveformPoints);
+  });
+
+  test('should store track analysis in the NFT music metadata', async () => {
+    const track = new MusicNFT({
+      title: 'Analyzed',
+      music: { duration: 30, genre: 'ambient', bpm: 0, key: '', mood: '', instruments: [], tags: [] }
+    });
+    await track.save();
+    jest.spyOn(audioAnalysisService.audioService, 'resolveAudioFile')
+      .mockResolvedValue({ path: '/tmp/analyzed.mp3', size: 1000, format: 'mp3', duration: 30 });
+    jest.spyOn(audioAnalysisService, 'analyzeFile').mockResolvedValue({
+      duration: 184.2,
+      sampleRate: 48000,
+      channels: 2,
+      bitrate: 320,
+      loudness: { integrated: -9.4, samplePeak: -0.3 },
+      tempo: { bpm: 127.6, confidence: 0.7 },
+      key: { tonic: 'F#', mode: 'minor', name: 'F# minor', confidence: 0.12 },
+      waveform: { points: 2, peaks: [0.4, 0.9] },
+      analyzedAt: '2026-01-01T00:00:00.000Z'
+    });
+
+    await audioAnalysisService.queueAnalysis(track.id);
+
+    const stored = await MusicNFT.findById(track.id);
+    expect(stored.music).toMatchObject({
+      duration: 184.2,
+      genre: 'ambient',
+      bpm: 128,
+      key: 'F# minor',
+      sampleRate: 48000,
+      channels: 2,
+      loudness: { integrated: -9.4 },
+      waveform: { peaks: [0.4, 0.9] }
+    });
+  });
+
+  test('should only analyze a stored track for its owner or creator', async () => {
+    const track = new MusicNFT({ title: 'Guarded', creator: '0x1111111111111111', owner: '0x2222222222222222' });
+    await track.save();
+    const queue = jest.spyOn(audioAnalysisService, 'queueAnalysis').mockResolvedValue({ duration: 30 });
+
+    await expect(audioAnalysisService.requestTrackAnalysis(track.id, { id: 'stranger', address: '0x3333333333333333' }))
+      .rejects.toMatchObject({ type: 'PERMISSION_ERROR', code: 'ANALYSIS_FORBIDDEN' });
+    await expect(audioAnalysisService.requestTrackAnalysis('missing', { id: 'stranger' }))
+      .rejects.toMatchObject({ type: 'NOT_FOUND', code: 'TRACK_NOT_FOUND' });
+    expect(queue).not.toHaveBeenCalled();
+
+    await audioAnalysisService.requestTrackAnalysis(track.id, { id: 'collector', flowWallet: { address: '0x2222222222222222' } }, { resolution: 100 });
+    await audioAnalysisService.requestTrackAnalysis(track.id, { id: 'artist', address: '0x1111111111111111' });
+    await audioAnalysisService.requestTrackAnalysis(track.id, { id: 'staff', role: 'admin' });
+    expect(queue).toHaveBeenCalledTimes(3);
+    expect(queue).toHaveBeenCalledWith(track.id, { resolution: 100 });
+    queue.mockRestore();
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Cover Art Service Tests
+ */
+
+jest.mock('../../src/services/ipfsService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadImage: jest.fn()
+  }
+}));
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import coverArtService, { COVER_SIZE, THUMBNAIL_SIZES } from '../../src/services/coverArtService.js';
+import audioAnalysisService from '../../src/services/audioAnalysisService.js';
+import ipfsService from '../../src/services/ipfsService.js';
+
+// Stands in for sharp: records the rasterized size and returns a tagged buffer
+const fakeSharp = jest.fn(() => {
+  const pipeline = {
+    size: null,
+    resize(width) { pipeline.size = width; return pipeline; },
+    png() { return pipeline; },
+    toBuffer: async () => Buffer.from(`png:${pipeline.size}`)
+  };
+  return pipeline;
+});
+
+describe('CoverArtService', () => {
+  let outputDir;
+  const originalOutputDir = coverArtService.outputDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowtune-covers-'));
+    coverArtService.outputDir = outputDir;
+    coverArtService.sharp = fakeSharp;
+    ipfsService.uploadImage.mockImplementation(async (buffer, filename) => ({
+      hash: `Qm${filename}`,
+      url: `https://gateway/Qm${filename}`,
+      size: buffer.length
+    }));
+  });
+
+  afterEach(() => {
+    coverArtService.outputDir = originalOutputDir;
+    coverArtService.sharp = undefined;
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('should rasterize the cover and thumbnails at their own sizes', async () => {
+    const rendered = await coverArtService.render({ title: 'Night Drive', genre: 'electronic', mood: 'dark', style: 'vinyl' });
+
+    expect(rendered).toMatchObject({ format: 'png', mimeType: 'image/png', style: 'vinyl' });
+    expect(rendered.id).toMatch(/^cover_[0-9a-f]{8}$/);
+    expect(rendered.cover.buffer.toString()).toBe(`png:${COVER_SIZE}`);
+    expect(rendered.thumbnails.map(thumbnail => thumbnail.buffer.toString())).toEqual(THUMBNAIL_SIZES.map(size => `png:${size}`));
+
+    // Each size is rasterized from an SVG drawn at that size
+    const sources = fakeSharp.mock.calls.map(([svg]) => svg.toString().match(/width="(\d+)"/)[1]);
+    expect(sources).toEqual([COVER_SIZE, ...THUMBNAIL_SIZES].map(String));
+  });
+
+  test('should deliver SVG covers when sharp is unavailable', async () => {
+    coverArtService.sharp = null;
+
+    const cover = await coverArtService.renderToFile({ title: 'Night Drive', genre: 'ambient' });
+
+    expect(cover.format).toBe('svg');
+    expect(cover.url).toBe(`/uploads/covers/${cover.id}.svg`);
+    expect(cover.thumbnails.map(thumbnail => thumbnail.url)).toEqual(THUMBNAIL_SIZES.map(size => `/uploads/covers/${cover.id}_${size}.svg`));
+    expect(fs.readFileSync(path.join(outputDir, `${cover.id}.svg`), 'utf8')).toContain(`width="${COVER_SIZE}"`);
+  });
+
+  test('should draw the analyzed waveform of the track audio', async () => {
+    const analyze = jest.spyOn(audioAnalysisService, 'analyzeBuffer')
+      .mockResolvedValue({ waveform: { points: 4, peaks: [0.2, 0.8, 0.6, 0.1] } });
+
+    const withAudio = await coverArtService.render({ title: 'Night Drive', audio: Buffer.from('audio') });
+    const seeded = await coverArtService.render({ title: 'Night Drive' });
+
+    expect(analyze).toHaveBeenCalledWith(Buffer.from('audio'), { resolution: expect.any(Number) });
+    expect(withAudio.id).not.toBe(seeded.id);
+
+    analyze.mockRejectedValue(new Error('ffmpeg missing'));
+    const fallback = await coverArtService.render({ title: 'Night Drive', audio: Buffer.from('audio') });
+    expect(fallback.id).toBe(seeded.id);
+    analyze.mockRestore();
+  });
+
+  test('should render and upload a cover at mint time when none is given', async () => {
+    const upload = await coverArtService.uploadForMint({ title: 'Night Drive', genre: 'rock', waveform: [0.5, 0.7] }, 'Night_Drive');
+
+    expect(upload).toMatchObject({
+      hash: 'QmNight_Drive_cover.png',
+      url: 'https://gateway/QmNight_Drive_cover.png',
+      rendered: true,
+      format: 'png',
+      style: 'waveform'
+    });
+    expect(upload.thumbnails).toEqual(THUMBNAIL_SIZES.map(size => ({
+      size,
+      hash: `QmNight_Drive_cover_${size}.png`,
+      url: `https://gateway/QmNight_Drive_cover_${size}.png`
+    })));
+    expect(ipfsService.uploadImage).toHaveBeenCalledTimes(1 + THUMBNAIL_SIZES.length);
+  });
+
+  test('should upload a given cover as is', async () => {
+    const given = await coverArtService.uploadForMint({ coverImageBuffer: Buffer.from('jpeg'), title: 'Night Drive' }, 'Night_Drive');
+    expect(given).toMatchObject({ hash: 'QmNight_Drive_cover.jpg', rendered: false, thumbnails: [] });
+    expect(ipfsService.uploadImage).toHaveBeenCalledWith(Buffer.from('jpeg'), 'Night_Drive_cover.jpg');
+
+    // Local renders from generation are read from uploads/
+    const local = await coverArtService.renderToFile({ title: 'Night Drive' });
+    const read = jest.spyOn(coverArtService, 'fetchImage').mockResolvedValue(Buffer.from('local'));
+    const fromUrl = await coverArtService.uploadForMint({ coverImageUrl: local.url, title: 'Night Drive' }, 'Night_Drive');
+    expect(read).toHaveBeenCalledWith(local.url);
+    expect(fromUrl).toMatchObject({ hash: 'QmNight_Drive_cover.png', rendered: false });
+
+    // An image that cannot be fetched is replaced by a rendered cover
+    read.mockRejectedValue(new Error('404'));
+    const replaced = await coverArtService.uploadForMint({ coverImageUrl: 'https://example.com/gone.jpg', title: 'Night Drive' }, 'Night_Drive');
+    expect(replaced.rendered).toBe(true);
+    read.mockRestore();
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Forte Actions Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+jest.mock('../../src/services/aiService.js', () => ({
+  __esModule: true,
+  default: {
+    generateMusicWithMusicGen: jest.fn(),
+    generateCoverArt: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/ipfsService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadAudioFromUrl: jest.fn(),
+    uploadImage: jest.fn(),
+    createNFTMetadata: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/coverArtService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadForMint: jest.fn().mockResolvedValue({ hash: 'QmCover', url: 'https://gateway/QmCover', thumbnails: [] })
+  }
+}));
+
+import Database from '../../src/config/database.js';
+import forteActionsService from '../../src/services/forteActionsService.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import aiService from '../../src/services/aiService.js';
+import ipfsService from '../../src/services/ipfsService.js';
+import coverArtService from '../../src/services/coverArtService.js';
+import User from '../../src/models/User.js';
+
+const runWorker = async () => {
+  await workflowEngine.tick();
+  await workflowEngine.drain();
+};
+
+const queueWorkflow = (userId, overrides = {}) => forteActionsService.executeWorkflow({
+  userId,
+  prompt: 'calm ambient pads',
+  metadata: { title: 'Night Drive', artist: 'Tester', genre: 'ambient', mood: 'calm', duration: 30 },
+  royalties: [],
+  autoMint: false,
+  ...overrides
+});
+
+describe('ForteActionsService', () => {
+  let user;
+
+  beforeEach(async () => {
+    await Database.flush();
+    user = new User({ username: 'forte', address: '0x1111111111111111' });
+    await user.save();
+
+    aiService.generateMusicWithMusicGen.mockResolvedValue({
+      success: true,
+      audioUrl: 'https://example.com/track.mp3',
+      metadata: { model: 'musicgen-test', generatedAt: '2026-01-01T00:00:00.000Z' }
+    });
+    aiService.generateCoverArt.mockResolvedValue({ success: true, imageUrl: '' });
+    ipfsService.uploadAudioFromUrl.mockResolvedValue({ hash: 'QmAudio', url: 'https://gateway/QmAudio', size: 10 });
+    ipfsService.createNFTMetadata.mockResolvedValue({ metadataHash: 'QmMeta', metadataUrl: 'https://gateway/QmMeta' });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should queue the workflow and report real step progress', async () => {
+    const queued = await queueWorkflow(user.id);
+    expect(queued).toMatchObject({ status: 'queued', progress: 0 });
+    expect(aiService.generateMusicWithMusicGen).not.toHaveBeenCalled();
+
+    await runWorker();
+
+    const status = await forteActionsService.getWorkflowStatus(queued.workflowId, user.id);
+    expect(status.status).toBe('completed');
+    expect(status.steps.map(step => [step.name, step.status])).toEqual([
+      ['generate', 'completed'],
+      ['upload', 'completed'],
+      ['mint', 'skipped']
+    ]);
+    expect(status.result).toMatchObject({
+      ipfsHash: 'QmMeta',
+      audioUrl: 'https://gateway/QmAudio',
+      tokenId: null,
+      awaitingMint: true,
+      metadata: { title: 'Night Drive', artist: 'Tester' }
+    });
+  });
+
+  test('should upload a rendered cover when the generation has none', async () => {
+    const thumbnails = [{ size: 600, hash: 'QmThumb', url: 'https://gateway/QmThumb' }];
+    coverArtService.uploadForMint.mockResolvedValueOnce({ hash: 'QmCover', url: 'https://gateway/QmCover', rendered: true, thumbnails });
+
+    const queued = await queueWorkflow(user.id, {
+      metadata: { title: 'Night Drive', artist: 'Tester', genre: 'ambient', mood: 'calm', duration: 30, coverStyle: 'vinyl' }
+    });
+    await runWorker();
+
+    expect(aiService.generateCoverArt).toHaveBeenCalledWith(expect.any(String), 'vinyl', expect.objectContaining({
+      genre: 'ambient',
+      mood: 'calm',
+      audioUrl: 'https://example.com/track.mp3'
+    }));
+    expect(coverArtService.uploadForMint).toHaveBeenCalledWith(expect.objectContaining({
+      coverImageUrl: '',
+      title: 'Night Drive',
+      genre: 'ambient',
+      mood: 'calm',
+      style: 'vinyl',
+      audioUrl: 'https://example.com/track.mp3'
+    }), 'Night_Drive');
+    expect(ipfsService.createNFTMetadata).toHaveBeenCalledWith(expect.objectContaining({
+      coverImageHash: 'QmCover',
+      coverImageUrl: 'https://gateway/QmCover',
+      coverThumbnails: thumbnails
+    }));
+
+    const status = await forteActionsService.getWorkflowStatus(queued.workflowId, user.id);
+    expect(status.result.coverImageUrl).toBe('https://gateway/QmCover');
+  });
+
+  test('should resume from the upload step without regenerating music', async () => {
+    ipfsService.uploadAudioFromUrl.mockRejectedValue(new Error('gateway down'));
+    const queued = await queueWorkflow(user.id);
+    const job = await workflowEngine.getJob(queued.workflowId);
+    job.maxAttempts = 1;
+    await job.save();
+
+    await runWorker();
+
+    let status = await forteActionsService.getWorkflowStatus(queued.workflowId, user.id);
+    expect(status).toMatchObject({ status: 'failed', currentStep: 'upload' });
+    expect(status.error).toContain('gateway down');
+
+    ipfsService.uploadAudioFromUrl.mockResolvedValue({ hash: 'QmAudio', url: 'https://gateway/QmAudio', size: 10 });
+    await forteActionsService.resumeWorkflow(queued.workflowId, user.id);
+    await runWorker();
+
+    status = await forteActionsService.getWorkflowStatus(queued.workflowId, user.id);
+    expect(status.status).toBe('completed');
+    expect(aiService.generateMusicWithMusicGen).toHaveBeenCalledTimes(1);
+  });
+
+  test('should hide workflows from other users', async () => {
+    const queued = await queueWorkflow(user.id);
+
+    await expect(forteActionsService.getWorkflowStatus(queued.workflowId, 'someone_else'))
+      .rejects.toMatchObject({ type: 'PERMISSION_ERROR' });
+    await expect(forteActionsService.getWorkflowStatus('workflow_missing', user.id))
+      .rejects.toMatchObject({ type: 'NOT_FOUND' });
+    await expect(queueWorkflow('missing_user')).rejects.toMatchObject({ code: 'USER_NOT_FOUND' });
+
+    expect(await forteActionsService.listWorkflows(user.id)).toHaveLength(1);
+    expect(await forteActionsService.listWorkflows('someone_else')).toHaveLength(0);
+  });
+});
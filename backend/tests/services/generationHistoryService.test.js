@@ -0,0 +1,236 @@
+/**
+ * Generation History Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+jest.mock('../../src/services/aiService.js', () => ({
+  __esModule: true,
+  GENERATION_PARAMETERS: ['genre', 'mood', 'duration', 'bpm', 'key', 'instruments'],
+  default: {
+    generateMusicWithMusicGen: jest.fn(),
+    generateCoverArt: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/ipfsService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadAudioFromUrl: jest.fn(),
+    uploadImage: jest.fn(),
+    createNFTMetadata: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/coverArtService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadForMint: jest.fn().mockResolvedValue({ hash: 'QmCover', url: 'https://gateway/QmCover', thumbnails: [] })
+  }
+}));
+
+import Database from '../../src/config/database.js';
+import generationHistoryService from '../../src/services/generationHistoryService.js';
+import forteActionsService from '../../src/services/forteActionsService.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import aiService from '../../src/services/aiService.js';
+import ipfsService from '../../src/services/ipfsService.js';
+import quotaService from '../../src/services/quotaService.js';
+import User from '../../src/models/User.js';
+
+const runWorker = async () => {
+  await workflowEngine.tick();
+  await workflowEngine.drain();
+};
+
+const recordGeneration = (userId, overrides = {}) => generationHistoryService.record(userId, {
+  title: 'Night Drive',
+  prompt: 'dark synthwave for a night drive',
+  parameters: { genre: 'synthwave', mood: 'dark', duration: 30, bpm: 100, ignored: true },
+  provider: 'replicate',
+  model: 'musicgen-stereo-large',
+  audioUrl: 'https://example.com/night-drive.mp3',
+  ...overrides
+});
+
+describe('GenerationHistoryService', () => {
+  let user;
+
+  beforeEach(async () => {
+    await Database.flush();
+    jest.clearAllMocks();
+    user = new User({ username: 'composer', address: '0x1111111111111111' });
+    await user.save();
+
+    ipfsService.uploadAudioFromUrl.mockResolvedValue({ hash: 'QmAudio', url: 'https://gateway/QmAudio', size: 10 });
+    ipfsService.createNFTMetadata.mockResolvedValue({ metadataHash: 'QmMeta', metadataUrl: 'https://gateway/QmMeta' });
+  });
+
+  test('should keep generations per user and filter them', async () => {
+    const synthwave = await recordGeneration(user.id);
+    const ambient = await recordGeneration(user.id, {
+      title: 'Tide',
+      prompt: '平静的海浪 ambient',
+      parameters: { genre: 'ambient', mood: 'calm' },
+      provider: 'mock'
+    });
+    const failed = await recordGeneration(user.id, { status: 'failed', error: 'AI generation failed: timeout' });
+    await recordGeneration('someone_else');
+
+    expect(synthwave.parameters).toEqual({ genre: 'synthwave', mood: 'dark', duration: 30, bpm: 100 });
+
+    const all = await generationHistoryService.list(user.id);
+    expect(all.total).toBe(3);
+    const createdAt = all.items.map(g => g.createdAt);
+    expect(createdAt).toEqual([...createdAt].sort().reverse());
+
+    expect((await generationHistoryService.list(user.id, { q: 'NIGHT synthwave' })).items.map(g => g.id).sort())
+      .toEqual([synthwave.id, failed.id].sort());
+    expect((await generationHistoryService.list(user.id, { q: '海浪' })).items.map(g => g.id)).toEqual([ambient.id]);
+    expect((await generationHistoryService.list(user.id, { genre: '氛围' })).items.map(g => g.id)).toEqual([ambient.id]);
+    expect((await generationHistoryService.list(user.id, { provider: 'mock' })).total).toBe(1);
+    expect((await generationHistoryService.list(user.id, { status: 'failed' })).items.map(g => g.id)).toEqual([failed.id]);
+    expect((await generationHistoryService.list(user.id, { limit: 2, offset: 2 })).items).toHaveLength(1);
+  });
+
+  test('should favorite and tag generations only for their owner', async () => {
+    const generation = await recordGeneration(user.id);
+
+    await generationHistoryService.update(user.id, generation.id, { favorite: true, tags: ['Drive', 'drive', ' night '] });
+
+    const favorites = await generationHistoryService.list(user.id, { favorite: true });
+    expect(favorites.items.map(g => g.id)).toEqual([generation.id]);
+    expect(favorites.items[0].tags).toEqual(['drive', 'night']);
+    expect((await generationHistoryService.list(user.id, { tag: 'Night' })).total).toBe(1);
+
+    await generationHistoryService.update(user.id, generation.id, { favorite: false });
+    expect((await generationHistoryService.list(user.id, { favorite: true })).total).toBe(0);
+
+    await expect(generationHistoryService.update('someone_else', generation.id, { favorite: true }))
+      .rejects.toMatchObject({ type: 'NOT_FOUND', code: 'GENERATION_NOT_FOUND' });
+    await expect(generationHistoryService.update(user.id, generation.id, { tags: 'drive' }))
+      .rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'INVALID_TAGS' });
+  });
+
+  test('should promote a generation into the mint workflow without generating again', async () => {
+    const generation = await recordGeneration(user.id);
+    const consume = jest.spyOn(quotaService, 'consume');
+
+    const { workflow } = await generationHistoryService.promoteToMint(user, generation.id, {
+      metadata: { artist: 'Composer' },
+      royalties: [],
+      autoMint: false
+    });
+
+    expect(consume).toHaveBeenCalledWith(user.id, { generation: 0, mint: 0 });
+    expect((await generationHistoryService.getOwned(user.id, generation.id)).status).toBe('minting');
+    await expect(generationHistoryService.promoteToMint(user, generation.id))
+      .rejects.toMatchObject({ code: 'GENERATION_NOT_MINTABLE' });
+
+    await runWorker();
+
+    const status = await forteActionsService.getWorkflowStatus(workflow.workflowId, user.id);
+    expect(status.steps.map(step => [step.name, step.status])).toEqual([
+      ['generate', 'skipped'],
+      ['upload', 'completed'],
+      ['mint', 'skipped']
+    ]);
+    expect(aiService.generateMusicWithMusicGen).not.toHaveBeenCalled();
+    expect(ipfsService.uploadAudioFromUrl).toHaveBeenCalledWith('https://example.com/night-drive.mp3', 'Night_Drive.mp3');
+    expect(ipfsService.createNFTMetadata).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Night Drive',
+      artist: 'Composer',
+      genre: 'synthwave',
+      aiModel: 'musicgen-stereo-large',
+      aiProvider: 'replicate',
+      prompt: 'dark synthwave for a night drive'
+    }));
+
+    // Uploaded but not minted: the generation can be promoted again
+    const settled = await generationHistoryService.getOwned(user.id, generation.id);
+    expect(settled).toMatchObject({ status: 'completed', workflowId: workflow.workflowId, nftId: null });
+    consume.mockRestore();
+  });
+
+  test('should free a generation whose mint workflow failed', async () => {
+    ipfsService.uploadAudioFromUrl.mockRejectedValue(new Error('gateway down'));
+    const generation = await recordGeneration(user.id);
+
+    const { workflow } = await generationHistoryService.promoteToMint(user, generation.id, { royalties: [], autoMint: false });
+    const job = await workflowEngine.getJob(workflow.workflowId);
+    job.maxAttempts = 1;
+    await job.save();
+    await runWorker();
+
+    const settled = await generationHistoryService.getOwned(user.id, generation.id);
+    expect(settled.status).toBe('completed');
+    expect(settled.error).toContain('gateway down');
+
+    const failed = await recordGeneration(user.id, { status: 'failed', audioUrl: '' });
+    await expect(generationHistoryService.promoteToMint(user, failed.id))
+      .rejects.toMatchObject({ code: 'GENERATION_NOT_MINTABLE' });
+  });
+
+  test('should mint a generation only once for concurrent promotions', async () => {
+    const generation = await recordGeneration(user.id);
+    const execute = jest.spyOn(forteActionsService, 'executeWorkflow');
+
+    const results = await Promise.allSettled([1, 2].map(() =>
+      generationHistoryService.promoteToMint(user, generation.id, { royalties: [], autoMint: false })));
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ code: 'GENERATION_NOT_MINTABLE' });
+    expect(execute).toHaveBeenCalledTimes(1);
+    const { workflow } = results.find(result => result.status === 'fulfilled').value;
+    expect(await generationHistoryService.getOwned(user.id, generation.id))
+      .toMatchObject({ status: 'minting', workflowId: workflow.workflowId });
+    execute.mockRestore();
+  });
+
+  test('should free a generation whose mint workflow could not be queued', async () => {
+    const generation = await recordGeneration(user.id);
+    const execute = jest.spyOn(forteActionsService, 'executeWorkflow').mockRejectedValue(new Error('queue unavailable'));
+
+    await expect(generationHistoryService.promoteToMint(user, generation.id, { royalties: [], autoMint: false }))
+      .rejects.toThrow('queue unavailable');
+    expect(await generationHistoryService.getOwned(user.id, generation.id))
+      .toMatchObject({ status: 'completed', workflowId: null });
+    execute.mockRestore();
+  });
+
+  test('should keep a searchable prompt library ordered by use', async () => {
+    const generation = await recordGeneration(user.id);
+
+    const copied = await generationHistoryService.savePrompt(user.id, { generationId: generation.id, tags: ['Drive'] });
+    expect(copied).toMatchObject({
+      prompt: 'dark synthwave for a night drive',
+      title: 'dark synthwave for a night drive',
+      parameters: { genre: 'synthwave', mood: 'dark', duration: 30, bpm: 100 },
+      tags: ['drive']
+    });
+
+    const lofi = await generationHistoryService.savePrompt(user.id, {
+      title: 'Study beats',
+      prompt: 'lo-fi hip hop for studying',
+      parameters: { genre: 'lo-fi' }
+    });
+    await generationHistoryService.usePrompt(user.id, lofi.id);
+
+    const library = await generationHistoryService.listPrompts(user.id);
+    expect(library.items.map(saved => saved.id)).toEqual([lofi.id, copied.id]);
+    expect(library.items[0]).toMatchObject({ useCount: 1, lastUsedAt: expect.any(String) });
+    expect((await generationHistoryService.listPrompts(user.id, { q: 'study' })).items.map(saved => saved.id)).toEqual([lofi.id]);
+    expect((await generationHistoryService.listPrompts(user.id, { tag: 'drive' })).items.map(saved => saved.id)).toEqual([copied.id]);
+
+    await expect(generationHistoryService.savePrompt(user.id, { prompt: 'no' }))
+      .rejects.toMatchObject({ code: 'INVALID_PROMPT' });
+    await expect(generationHistoryService.usePrompt('someone_else', lofi.id))
+      .rejects.toMatchObject({ type: 'NOT_FOUND', code: 'PROMPT_NOT_FOUND' });
+
+    await generationHistoryService.deletePrompt(user.id, lofi.id);
+    expect((await generationHistoryService.listPrompts(user.id)).total).toBe(1);
+  });
+});
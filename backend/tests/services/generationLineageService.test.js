@@ -0,0 +1,170 @@
+/**
+ * Generation Lineage Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+jest.mock('../../src/services/ipfsService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadImage: jest.fn()
+  }
+}));
+
+import { jest } from '@jest/globals';
+import Database from '../../src/config/database.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+import aiService from '../../src/services/aiService.js';
+import audioAnalysisService from '../../src/services/audioAnalysisService.js';
+import generationLineageService from '../../src/services/generationLineageService.js';
+import { MusicProviderRegistry, FakeProvider } from '../../src/services/musicProviders/index.js';
+
+const OWNER = '0x1111111111111111';
+const owner = { id: 'user-1', flowWallet: { address: OWNER } };
+const stranger = { id: 'user-2', flowWallet: { address: '0x2222222222222222' } };
+
+const createTrack = async (overrides = {}) => {
+  const nft = new MusicNFT({
+    title: 'Night Drive',
+    creator: OWNER,
+    owner: OWNER,
+    music: { duration: 20, genre: 'synthwave', bpm: 100, key: 'A minor', mood: 'dark', instruments: [], tags: [] },
+    aiGeneration: {
+      prompt: 'dark synthwave night drive',
+      model: 'fake-musicgen-v1',
+      provider: 'fake',
+      parameters: { genre: 'synthwave', duration: 20 },
+      generatedAt: new Date().toISOString()
+    },
+    files: {
+      audio: { ipfsHash: '', url: 'https://cdn.example.com/night-drive.mp3', format: 'mp3', size: 0 },
+      cover: { ipfsHash: '', url: 'https://cdn.example.com/cover.jpg', format: 'jpg', size: 0 },
+      metadata: { ipfsHash: '', url: '' }
+    },
+    ...overrides
+  });
+  await nft.save();
+  return nft;
+};
+
+describe('GenerationLineageService', () => {
+  let provider;
+
+  beforeEach(async () => {
+    await Database.flush();
+    provider = new FakeProvider();
+    aiService.providers = new MusicProviderRegistry();
+    aiService.providers.register(provider);
+    aiService.pollInterval = 1;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should create seeded variations linked to their parent', async () => {
+    const parent = await createTrack();
+
+    const variations = await generationLineageService.createVariations(parent.id, { count: 3, user: owner });
+
+    expect(variations).toHaveLength(3);
+    expect(provider.requests.map(request => request.prompt)).toEqual(Array(3).fill('dark synthwave night drive'));
+    expect(new Set(provider.requests.map(request => request.seed)).size).toBe(3);
+
+    const [first] = variations;
+    expect(first.status).toBe('draft');
+    expect(first.owner).toBe(OWNER);
+    expect(first.aiGeneration).toMatchObject({
+      parentId: parent.id,
+      rootId: parent.id,
+      operation: 'variation',
+      provider: 'fake',
+      parameters: expect.objectContaining({ genre: 'synthwave', bpm: 100, key: 'A minor', seed: provider.requests[0].seed })
+    });
+
+    const derivatives = await MusicNFT.findDerivatives(parent.id);
+    expect(derivatives.map(nft => nft.id).sort()).toEqual(variations.map(nft => nft.id).sort());
+  });
+
+  test('should extend a track by continuing from its audio', async () => {
+    const parent = await createTrack();
+
+    const extension = await generationLineageService.extendTrack(parent.id, { duration: 10, user: owner });
+
+    expect(provider.requests[0]).toMatchObject({
+      duration: 30,
+      conditioning: { mode: 'continuation', audioUrl: 'https://cdn.example.com/night-drive.mp3', bpm: 100, key: 'A minor' }
+    });
+    expect(extension.music.duration).toBe(30);
+    expect(extension.aiGeneration).toMatchObject({
+      operation: 'extension',
+      parentId: parent.id,
+      parameters: expect.objectContaining({ extendedBy: 10, conditioning: 'continuation' })
+    });
+  });
+
+  test('should regenerate from an uploaded reference melody', async () => {
+    const parent = await createTrack();
+    jest.spyOn(audioAnalysisService, 'analyzeBuffer').mockResolvedValue({
+      tempo: { bpm: 91.6 },
+      key: { name: 'D minor' }
+    });
+    const reference = Buffer.from('reference audio');
+
+    const regeneration = await generationLineageService.regenerate(parent.id, {
+      prompt: 'the same melody as a string quartet',
+      reference: { audio: reference, mimeType: 'audio/mpeg' },
+      user: owner
+    });
+
+    expect(provider.requests[0]).toMatchObject({
+      prompt: 'the same melody as a string quartet',
+      bpm: 92,
+      key: 'D minor',
+      conditioning: { mode: 'melody', audio: reference, mimeType: 'audio/mpeg' }
+    });
+    expect(regeneration.aiGeneration.parameters.reference).toEqual({ source: 'upload', mimeType: 'audio/mpeg', size: reference.length });
+  });
+
+  test('should trace ancestors back to the root', async () => {
+    const root = await createTrack();
+    const [variation] = await generationLineageService.createVariations(root.id, { count: 1, user: owner });
+    const extension = await generationLineageService.extendTrack(variation.id, { duration: 5, user: owner });
+
+    expect(extension.aiGeneration.rootId).toBe(root.id);
+
+    const lineage = await generationLineageService.getLineage(extension.id, owner);
+    expect(lineage.ancestors.map(nft => nft.id)).toEqual([root.id, variation.id]);
+
+    const { derivatives } = await generationLineageService.getLineage(variation.id, owner);
+    expect(derivatives.map(nft => nft.id)).toEqual([extension.id]);
+
+    // Drafts are private to their owner
+    await expect(generationLineageService.getLineage(extension.id, stranger))
+      .rejects.toMatchObject({ type: 'NOT_FOUND' });
+  });
+
+  test('should reject other users and invalid requests before generating', async () => {
+    const parent = await createTrack();
+
+    await expect(generationLineageService.createVariations(parent.id, { count: 2, user: stranger }))
+      .rejects.toMatchObject({ type: 'PERMISSION_ERROR', code: 'ACCESS_DENIED' });
+    await expect(generationLineageService.createVariations(parent.id, { count: 99, user: owner }))
+      .rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'INVALID_COUNT' });
+    await expect(generationLineageService.extendTrack('missing', { duration: 5, user: owner }))
+      .rejects.toMatchObject({ type: 'NOT_FOUND' });
+    expect(provider.requests).toHaveLength(0);
+  });
+
+  test('should reject conditioning the provider cannot serve', async () => {
+    const parent = await createTrack();
+    aiService.providers = new MusicProviderRegistry();
+    aiService.providers.register(new FakeProvider({ capabilities: { conditioning: [] } }));
+
+    await expect(generationLineageService.extendTrack(parent.id, { duration: 5, user: owner }))
+      .rejects.toMatchObject({ code: 'NO_PROVIDER_AVAILABLE' });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * HLS Packaging Service Tests
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+// Stand-in for ffmpeg: writes a three-segment VOD playlist next to the requested output
+jest.mock('fluent-ffmpeg', () => {
+  const fsSync = jest.requireActual('fs');
+  const pathModule = jest.requireActual('path');
+
+  const ffmpeg = jest.fn(() => {
+    const handlers = {};
+    const command = {
+      noVideo: () => command,
+      audioCodec: () => command,
+      audioBitrate: () => command,
+      audioChannels: () => command,
+      audioFrequency: () => command,
+      outputOptions: () => command,
+      output: (outputPath) => {
+        command.outputPath = outputPath;
+        return command;
+      },
+      on: (event, handler) => {
+        handlers[event] = handler;
+        return command;
+      },
+      run: () => {
+        const dir = pathModule.dirname(command.outputPath);
+        const durations = [6, 6, 3.5];
+        const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:6', '#EXT-X-PLAYLIST-TYPE:VOD'];
+        durations.forEach((duration, index) => {
+          const name = `seg_${String(index).padStart(3, '0')}.ts`;
+          fsSync.writeFileSync(pathModule.join(dir, name), `segment ${index}`);
+          lines.push(`#EXTINF:${duration.toFixed(6)},`, name);
+        });
+        lines.push('#EXT-X-ENDLIST');
+        fsSync.writeFileSync(command.outputPath, lines.join('\n'));
+        setImmediate(() => handlers.end());
+      }
+    };
+    return command;
+  });
+  ffmpeg.setFfmpegPath = jest.fn();
+  return ffmpeg;
+});
+
+import Database from '../../src/config/database.js';
+import hlsPackagingService, { parseMediaPlaylist } from '../../src/services/hlsPackagingService.js';
+import AudioStreamingService from '../../src/services/audioStreamingService.js';
+
+describe('HlsPackagingService', () => {
+  const streaming = new AudioStreamingService();
+  const free = streaming.getStreamingQuality('free');
+  const premium = streaming.getStreamingQuality('premium');
+  let outputDir;
+
+  beforeEach(async () => {
+    await Database.flush();
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'flowtune-hls-'));
+    hlsPackagingService.outputDir = outputDir;
+    jest.spyOn(hlsPackagingService.audioService, 'resolveAudioFile')
+      .mockResolvedValue({ path: '/tmp/source.mp3', size: 1000, format: 'mp3', duration: 15.5 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  test('should parse segment names and durations from a media playlist', () => {
+    const segments = parseMediaPlaylist('#EXTM3U\n#EXTINF:6.000000,\nseg_000.ts\n#EXTINF:2.5,\nseg_001.ts\n#EXT-X-ENDLIST\n');
+
+    expect(segments).toEqual([
+      { uri: 'seg_000.ts', duration: 6 },
+      { uri: 'seg_001.ts', duration: 2.5 }
+    ]);
+  });
+
+  test('should package every rendition and store a ready manifest', async () => {
+    const manifest = await hlsPackagingService.packageTrack('track-1');
+
+    expect(manifest.status).toBe('ready');
+    expect(Object.keys(manifest.renditions)).toEqual(['aac_64', 'aac_128', 'aac_256', 'aac_320']);
+    expect(manifest.duration).toBeCloseTo(15.5);
+    expect(manifest.renditions.aac_256).toMatchObject({ bandwidth: 256000, codecs: 'mp4a.40.2' });
+    await expect(fs.access(path.join(outputDir, 'track-1', 'aac_320', 'seg_002.ts'))).resolves.toBeUndefined();
+    expect(await hlsPackagingService.getManifest('track-1')).toEqual(manifest);
+  });
+
+  test('should record failed packaging and let the queue continue', async () => {
+    hlsPackagingService.audioService.resolveAudioFile
+      .mockRejectedValueOnce(Object.assign(new Error('Track not found'), { code: 'TRACK_NOT_FOUND' }));
+
+    const failed = hlsPackagingService.queuePackaging('missing');
+    const next = hlsPackagingService.queuePackaging('track-2');
+
+    await expect(failed).rejects.toThrow('Track not found');
+    await expect(next).resolves.toMatchObject({ status: 'ready' });
+    expect(await hlsPackagingService.getManifest('missing')).toMatchObject({ status: 'failed', error: 'Track not found' });
+  });
+
+  test('should list only the renditions of the session tier in the master playlist', async () => {
+    const manifest = await hlsPackagingService.packageTrack('track-1');
+
+    const freeMaster = hlsPackagingService.buildMasterPlaylist(manifest, free, '?session=s1');
+    expect(freeMaster).toContain('aac_128/index.m3u8?session=s1');
+    expect(freeMaster).not.toContain('aac_256');
+
+    const premiumMaster = hlsPackagingService.buildMasterPlaylist(manifest, premium);
+    expect(premiumMaster).toContain('BANDWIDTH=320000,CODECS="mp4a.40.2"');
+  });
+
+  test('should truncate free media playlists to the preview and refuse later segments', async () => {
+    const manifest = await hlsPackagingService.packageTrack('track-1');
+    const preview = { ...free, maxDuration: 10 };
+
+    const playlist = hlsPackagingService.buildMediaPlaylist(manifest, 'aac_64', preview, '?session=s1');
+    expect(playlist).toContain('seg_001.ts?session=s1');
+    expect(playlist).not.toContain('seg_002.ts');
+    expect(playlist).toContain('#EXT-X-ENDLIST');
+
+    await expect(hlsPackagingService.resolveSegment('track-1', 'aac_64', 'seg_002.ts', preview))
+      .rejects.toMatchObject({ code: 'PREVIEW_LIMIT_EXCEEDED' });
+    await expect(hlsPackagingService.resolveSegment('track-1', 'aac_320', 'seg_000.ts', free))
+      .rejects.toMatchObject({ code: 'RENDITION_NOT_ALLOWED' });
+    await expect(hlsPackagingService.resolveSegment('track-1', 'aac_64', '../aac_320/seg_000.ts', free))
+      .rejects.toMatchObject({ code: 'INVALID_SEGMENT' });
+    await expect(hlsPackagingService.resolveSegment('track-1', 'aac_320', 'seg_002.ts', premium))
+      .resolves.toBe(path.join(outputDir, 'track-1', 'aac_320', 'seg_002.ts'));
+  });
+});
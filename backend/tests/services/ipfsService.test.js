@@ -49,6 +49,9 @@ jest.mock('form-data', () => {
   }));
 });
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import ipfsService from '../../src/services/ipfsService.js';
 
 describe('IPFSService', () => {
@@ -135,6 +138,27 @@ describe('IPFSService', () => {
       expect(result.url).toContain('ipfs');
     });
 
+    test('should read server-relative /uploads/ audio from disk', async () => {
+      const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowtune-uploads-'));
+      const originalUploadsDir = ipfsService.uploadsDir;
+      fs.mkdirSync(path.join(uploadsDir, 'generated'));
+      fs.writeFileSync(path.join(uploadsDir, 'generated', 'synth_test.wav'), 'RIFF synthesized audio');
+      ipfsService.uploadsDir = uploadsDir;
+      const upload = jest.spyOn(ipfsService, 'uploadFileToPinata');
+
+      try {
+        const result = await ipfsService.uploadAudioFromUrl('/uploads/generated/synth_test.wav', 'track.wav');
+
+        expect(result.success).toBe(true);
+        expect(mockedAxios.get).not.toHaveBeenCalled();
+        expect(upload.mock.calls[0][0].toString()).toBe('RIFF synthesized audio');
+        await expect(ipfsService.fetchAudio('/uploads/../package.json')).rejects.toThrow('Invalid upload path');
+      } finally {
+        ipfsService.uploadsDir = originalUploadsDir;
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+      }
+    });
+
     test('should handle download errors', async () => {
       // Mock all retry attempts to fail
       mockedAxios.get.mockRejectedValue(new Error('Download failed'));
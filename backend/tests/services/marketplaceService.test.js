@@ -0,0 +1,162 @@
+/**
+ * Marketplace Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+jest.mock('../../src/services/flowService.js', () => ({
+  __esModule: true,
+  default: {
+    purchaseNFT: jest.fn()
+  }
+}));
+
+import Database from '../../src/config/database.js';
+import flowService from '../../src/services/flowService.js';
+import marketplaceService from '../../src/services/marketplaceService.js';
+import royaltyLedgerService, {
+  PAYOUTS_SETTLED_ACCOUNT,
+  SALES_POOL_ACCOUNT,
+  artistAccount
+} from '../../src/services/royaltyLedgerService.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+
+const CREATOR = '0x1111111111111111';
+const PRODUCER = '0x2222222222222222';
+const COLLECTOR = '0x3333333333333333';
+const BUYER = '0x4444444444444444';
+
+const createNFT = (data = {}) => new MusicNFT({
+  title: 'Resale Track',
+  creator: CREATOR,
+  owner: COLLECTOR,
+  blockchain: { tokenId: '7' },
+  market: { isForSale: true, price: '50', currency: 'FLOW', saleType: 'fixed' },
+  royalties: {
+    percentage: 10,
+    recipients: [{ recipient: CREATOR, percentage: 80 }, { recipient: PRODUCER, percentage: 20 }]
+  },
+  ...data
+}).save();
+
+describe('MarketplaceService', () => {
+  beforeEach(async () => {
+    await Database.flush();
+    flowService.purchaseNFT.mockResolvedValue({ success: true, transactionHash: '0xsale', isMock: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should quote the royalty cuts of a resale for the buyer', async () => {
+    const nft = await createNFT();
+
+    expect(await marketplaceService.quotePurchase(nft)).toEqual({
+      secondary: true,
+      currency: 'FLOW',
+      price: '50.00000000',
+      royaltyPercentage: 10,
+      royaltyTotal: '5.00000000',
+      sellerProceeds: '45.00000000',
+      royalties: [
+        { recipient: CREATOR, role: 'artist', amount: '4.00000000', percentage: 8, payTo: CREATOR },
+        { recipient: PRODUCER, role: 'collaborator', amount: '1.00000000', percentage: 2, payTo: PRODUCER }
+      ]
+    });
+
+    // The creator selling their own NFT is a primary sale
+    nft.owner = CREATOR;
+    expect(await marketplaceService.quotePurchase(nft)).toMatchObject({
+      secondary: false,
+      royaltyTotal: '0.00000000',
+      sellerProceeds: '50.00000000',
+      royalties: []
+    });
+  });
+
+  test('should pay and record royalties on a resale', async () => {
+    const nft = await createNFT();
+
+    const sale = await marketplaceService.transferOwnership(nft, { buyer: BUYER, price: '50', currency: 'FLOW' });
+
+    expect(flowService.purchaseNFT).toHaveBeenCalledWith(expect.objectContaining({
+      price: '50',
+      seller: COLLECTOR,
+      buyer: BUYER,
+      royalties: [
+        { recipient: CREATOR, amount: '4.00000000', role: 'artist', description: CREATOR },
+        { recipient: PRODUCER, amount: '1.00000000', role: 'collaborator', description: PRODUCER }
+      ],
+      sellerProceeds: '45.00000000'
+    }));
+    expect(sale.fees).toMatchObject({ royaltyTotal: '5.00000000', sellerProceeds: '45.00000000' });
+    expect(sale.newOwner).toBe(BUYER);
+
+    // Earned and already paid on chain: credited, then settled in the same posting
+    const summary = await royaltyLedgerService.summarizeAccount(artistAccount(CREATOR));
+    expect(summary).toMatchObject({ earned: 400000000, debited: 400000000, balance: 0, byType: { secondary_sale: { amount: 400000000, count: 1 } } });
+    expect(await royaltyLedgerService.getBalance(SALES_POOL_ACCOUNT)).toBe(-500000000);
+    expect(await royaltyLedgerService.getBalance(PAYOUTS_SETTLED_ACCOUNT)).toBe(500000000);
+    expect((await royaltyLedgerService.reconcile()).reconciled).toBe(true);
+
+    const stored = await MusicNFT.findById(nft.id);
+    expect(stored.market.salesHistory).toEqual([expect.objectContaining({ buyer: BUYER, royaltyTotal: '5.00000000', royaltyPosting: null, transactionHash: '0xsale' })]);
+    expect(stored.analytics).toMatchObject({ totalEarnings: '5.00000000', totalSellerProceeds: '45.00000000' });
+  });
+
+  test('should keep a failed royalty posting pending on the sale and post it on retry', async () => {
+    const nft = await createNFT();
+    jest.spyOn(royaltyLedgerService, 'recordSaleRoyalties').mockRejectedValueOnce(new Error('ledger unavailable'));
+
+    const sale = await marketplaceService.transferOwnership(nft, { buyer: BUYER, price: '50', currency: 'FLOW' });
+
+    // The purchase stands; the royalties wait on the sale record
+    expect(sale.newOwner).toBe(BUYER);
+    expect(await royaltyLedgerService.getBalance(SALES_POOL_ACCOUNT)).toBe(0);
+    const [pending] = (await MusicNFT.findById(nft.id)).market.salesHistory;
+    expect(pending.royaltyPosting).toMatchObject({ status: 'pending', error: 'ledger unavailable' });
+    expect(pending.royaltyPosting.cuts).toHaveLength(2);
+
+    expect(await marketplaceService.retrySaleRoyalties()).toEqual(['0xsale']);
+    expect(await royaltyLedgerService.getBalance(PAYOUTS_SETTLED_ACCOUNT)).toBe(500000000);
+    expect((await royaltyLedgerService.reconcile()).reconciled).toBe(true);
+    const [posted] = (await MusicNFT.findById(nft.id)).market.salesHistory;
+    expect(posted.royaltyPosting).toEqual({ status: 'posted', postedAt: expect.any(String) });
+
+    // Nothing left to post
+    expect(await marketplaceService.retrySaleRoyalties()).toEqual([]);
+    expect(await royaltyLedgerService.getBalance(PAYOUTS_SETTLED_ACCOUNT)).toBe(500000000);
+  });
+
+  test('should hold the cut of a collaborator without a wallet for the next payout', async () => {
+    const nft = await createNFT({
+      royalties: { percentage: 5, recipients: [] },
+      collaborators: [{ userId: 'user-without-wallet', role: 'vocals', percentage: 40 }]
+    });
+
+    await marketplaceService.transferOwnership(nft, { buyer: BUYER, price: '20', currency: 'FLOW' });
+
+    const { royalties } = flowService.purchaseNFT.mock.calls[0][0];
+    expect(royalties).toEqual([
+      { recipient: CREATOR, amount: '0.60000000', role: 'artist', description: CREATOR },
+      { recipient: '0x1234567890abcdef', amount: '0.40000000', role: 'collaborator', description: 'held for artist:user-without-wallet' }
+    ]);
+
+    expect(await royaltyLedgerService.getBalance(artistAccount(CREATOR))).toBe(0);
+    expect(await royaltyLedgerService.getBalance(artistAccount('user-without-wallet'))).toBe(40000000);
+  });
+
+  test('should not record royalties when the purchase fails', async () => {
+    const nft = await createNFT();
+    flowService.purchaseNFT.mockResolvedValueOnce({ success: false, error: 'sealed with error' });
+
+    await expect(marketplaceService.transferOwnership(nft, { buyer: BUYER, price: '50' }))
+      .rejects.toMatchObject({ type: 'FLOW_ERROR', code: 'PURCHASE_FAILED' });
+    expect(await royaltyLedgerService.getBalance(SALES_POOL_ACCOUNT)).toBe(0);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Music Synth Service Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import musicSynthService from '../../src/services/musicSynthService.js';
+
+describe('MusicSynthService', () => {
+  let outputDir;
+  const originalOutputDir = musicSynthService.outputDir;
+  const originalSampleRate = musicSynthService.sampleRate;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowtune-synth-'));
+    musicSynthService.outputDir = outputDir;
+    musicSynthService.sampleRate = 22050;
+  });
+
+  afterEach(() => {
+    musicSynthService.outputDir = originalOutputDir;
+    musicSynthService.sampleRate = originalSampleRate;
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('should render a WAV file and reuse it for the same request', async () => {
+    const request = { prompt: 'lofi study beats', genre: 'hip-hop', mood: 'calm', duration: 3 };
+
+    const first = await musicSynthService.renderToFile(request);
+    const mtime = fs.statSync(first.path).mtimeMs;
+    const second = await musicSynthService.renderToFile(request);
+
+    expect(first.id).toMatch(/^synth_[0-9a-f]{8}$/);
+    expect(first.url).toBe(`/uploads/generated/${first.id}.wav`);
+    expect(first.arrangement.genre).toBe('hip-hop');
+    expect(fs.readFileSync(first.path).toString('ascii', 0, 4)).toBe('RIFF');
+    expect(second).toMatchObject({ id: first.id, path: first.path, size: first.size });
+    expect(fs.statSync(second.path).mtimeMs).toBe(mtime);
+    expect(musicSynthService.getGenerationId({ ...request, duration: 4 })).not.toBe(first.id);
+  });
+
+  test('should reject unsupported formats', async () => {
+    await expect(musicSynthService.render({ prompt: 'test', format: 'ogg' }))
+      .rejects.toThrow('Unsupported synth format ogg');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Offer Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+jest.mock('../../src/services/flowService.js', () => ({
+  __esModule: true,
+  default: {
+    getAccountBalance: jest.fn(async () => ({ balance: '1000.0', currency: 'FLOW' })),
+    purchaseNFT: jest.fn(async () => ({ success: true, transactionHash: '0xoffer', isMock: true })),
+    removeNFTFromSale: jest.fn(async ({ tokenId }) => ({ success: true, tokenId, isMock: true }))
+  }
+}));
+
+jest.mock('../../src/services/websocketService.js', () => ({
+  __esModule: true,
+  default: {
+    sendMarketUpdate: jest.fn(),
+    sendToUser: jest.fn()
+  }
+}));
+
+import offerService from '../../src/services/offerService.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+import flowService from '../../src/services/flowService.js';
+import websocketService from '../../src/services/websocketService.js';
+
+const OWNER = '0x1111111111111111';
+const ALICE = '0x2222222222222222';
+const BOB = '0x3333333333333333';
+
+describe('OfferService', () => {
+  let nft;
+
+  beforeEach(async () => {
+    nft = new MusicNFT({
+      title: 'Unlisted Track',
+      creator: OWNER,
+      owner: OWNER,
+      blockchain: { tokenId: '7' }
+    });
+    await nft.save();
+    flowService.getAccountBalance.mockResolvedValue({ balance: '1000.0', currency: 'FLOW' });
+    flowService.purchaseNFT.mockResolvedValue({ success: true, transactionHash: '0xoffer', isMock: true });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should accept an offer on an unlisted NFT through the purchase path', async () => {
+    const offer = await offerService.makeOffer(nft.id, { buyer: ALICE, userId: 'alice', amount: '25' });
+    const rival = await offerService.makeOffer(nft.id, { buyer: BOB, amount: '20' });
+
+    const { sale } = await offerService.acceptOffer(nft.id, offer.id, OWNER);
+    const history = await offerService.getOffers(nft.id);
+    const sold = await MusicNFT.findById(nft.id);
+
+    expect(sale.newOwner).toBe(ALICE);
+    expect(sold.owner).toBe(ALICE);
+    expect(flowService.purchaseNFT).toHaveBeenCalledWith(expect.objectContaining({ buyer: ALICE, seller: OWNER, price: '25' }));
+    expect(history.salesHistory[0]).toMatchObject({ saleType: 'offer', price: '25' });
+    expect(history.offers.find(o => o.id === rival.id).status).toBe('cancelled');
+    expect(websocketService.sendToUser).toHaveBeenCalledWith('alice', expect.objectContaining({ type: 'offer_accepted' }));
+    expect(flowService.removeNFTFromSale).not.toHaveBeenCalled();
+  });
+
+  test('should take a fixed-price listing off chain when an offer is accepted', async () => {
+    nft.market = { ...nft.market, isForSale: true, saleType: 'fixed', price: '30', currency: 'FLOW' };
+    await nft.save();
+    const offer = await offerService.makeOffer(nft.id, { buyer: ALICE, amount: '25' });
+
+    await offerService.acceptOffer(nft.id, offer.id, OWNER);
+
+    expect(flowService.removeNFTFromSale).toHaveBeenCalledWith({ tokenId: '7', owner: OWNER });
+    expect((await MusicNFT.findById(nft.id)).market).toMatchObject({ isForSale: false, listedAt: null });
+  });
+
+  test('should let the buyer accept a counter-offer at the countered price', async () => {
+    const offer = await offerService.makeOffer(nft.id, { buyer: ALICE, amount: '10' });
+    const countered = await offerService.counterOffer(nft.id, offer.id, OWNER, { amount: '15' });
+
+    expect(countered.status).toBe('countered');
+    await expect(offerService.acceptOffer(nft.id, offer.id, OWNER))
+      .rejects.toMatchObject({ code: 'OFFER_NOT_ACCEPTABLE' });
+
+    const { offer: accepted, sale } = await offerService.acceptOffer(nft.id, offer.id, ALICE);
+
+    expect(accepted.status).toBe('accepted');
+    expect(sale.price).toBe('15');
+    expect(accepted.history.map(h => h.action)).toEqual(['pending', 'countered', 'accepted']);
+  });
+
+  test('should expire offers past their deadline', async () => {
+    const offer = await offerService.makeOffer(nft.id, { buyer: ALICE, amount: '10', expiresIn: 60 });
+    const realNow = Date.now;
+    Date.now = () => realNow() + 61 * 1000;
+
+    try {
+      await expect(offerService.acceptOffer(nft.id, offer.id, OWNER))
+        .rejects.toMatchObject({ code: 'OFFER_NOT_ACCEPTABLE' });
+      const { offers } = await offerService.getOffers(nft.id);
+      expect(offers[0].status).toBe('expired');
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  test('should supersede a buyer\'s previous open offer', async () => {
+    const first = await offerService.makeOffer(nft.id, { buyer: ALICE, amount: '10' });
+    await offerService.makeOffer(nft.id, { buyer: ALICE, amount: '12' });
+
+    const { offers } = await offerService.getOffers(nft.id);
+    expect(offers.find(o => o.id === first.id).status).toBe('withdrawn');
+  });
+
+  test('should enforce who may act on an offer', async () => {
+    const offer = await offerService.makeOffer(nft.id, { buyer: ALICE, amount: '10' });
+
+    await expect(offerService.makeOffer(nft.id, { buyer: OWNER, amount: '10' }))
+      .rejects.toMatchObject({ code: 'OWNER_OFFER' });
+    await expect(offerService.acceptOffer(nft.id, offer.id, BOB))
+      .rejects.toMatchObject({ type: 'PERMISSION_ERROR' });
+    await expect(offerService.counterOffer(nft.id, offer.id, ALICE, { amount: '20' }))
+      .rejects.toMatchObject({ code: 'NOT_OWNER' });
+    await expect(offerService.withdrawOffer(nft.id, offer.id, OWNER))
+      .rejects.toMatchObject({ code: 'NOT_BUYER' });
+
+    const rejected = await offerService.rejectOffer(nft.id, offer.id, OWNER);
+    expect(rejected.status).toBe('rejected');
+  });
+
+  test('should reject offers the buyer cannot afford', async () => {
+    flowService.getAccountBalance.mockResolvedValueOnce({ balance: '1.0' });
+
+    await expect(offerService.makeOffer(nft.id, { buyer: ALICE, amount: '10' }))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+  });
+});
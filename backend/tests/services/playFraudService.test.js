@@ -0,0 +1,177 @@
+/**
+ * Play Fraud Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+import Database from '../../src/config/database.js';
+import playFraudService from '../../src/services/playFraudService.js';
+import royaltyLedgerService, { artistAccount } from '../../src/services/royaltyLedgerService.js';
+import AudioStreamingService from '../../src/services/audioStreamingService.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+import PlayReview from '../../src/models/PlayReview.js';
+
+const START = Date.now();
+
+const playSession = (data = {}) => ({
+  sessionId: 'session-1',
+  userId: 'listener-1',
+  trackId: 'track-1',
+  ipAddress: '203.0.113.7',
+  startTime: START,
+  duration: 45,
+  listened: 45,
+  totalDuration: 180,
+  ...data
+});
+
+describe('PlayFraudService', () => {
+  let streaming;
+  let track;
+
+  // Start a play and send progress reports: [seconds since start, position]
+  const play = async (sessionId, reports) => {
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(START);
+    try {
+      await streaming.startPlayback('listener-1', track.id, sessionId, 'premium', { ipAddress: '203.0.113.7' });
+      let result;
+      for (const [elapsed, position] of reports) {
+        clock.mockReturnValue(START + elapsed * 1000);
+        result = await streaming.updatePlaybackProgress(sessionId, position, 180);
+      }
+      return result;
+    } finally {
+      clock.mockRestore();
+    }
+  };
+
+  // Reports every five seconds of playback, as the player sends them
+  const listening = (from, to, offset = 0) => Array.from(
+    { length: Math.floor((to - from) / 5) },
+    (_, i) => [from + (i + 1) * 5, from + offset + (i + 1) * 5]
+  );
+
+  beforeEach(async () => {
+    await Database.flush();
+    streaming = new AudioStreamingService();
+    track = await new MusicNFT({ title: 'Night Drive', creator: 'artist-1', owner: 'artist-1' }).save();
+  });
+
+  test('should allow a play whose progress matches the clock', async () => {
+    expect(await playFraudService.assessPlay(playSession(), { artistId: 'artist-1', now: START + 46000 }))
+      .toEqual({ score: 0, decision: 'allow', signals: [] });
+  });
+
+  test('should score velocity, loops and progress ahead of the clock', async () => {
+    const now = START + 10000;
+    const clockSignal = expect.objectContaining({ signal: 'progress_ahead_of_clock', score: 50, detail: { listened: 45, elapsed: 10 } });
+
+    // Progress alone holds the play for review
+    const first = await playFraudService.assessPlay(playSession(), { now });
+    expect(first).toEqual({ score: 50, decision: 'flag', signals: [clockSignal] });
+
+    for (let i = 1; i < playFraudService.trackDailyLimit * 2; i++) {
+      await playFraudService.assessPlay(playSession(), { now });
+    }
+
+    // The same track on loop past twice the daily limit voids it
+    const looped = await playFraudService.assessPlay(playSession(), { now });
+    expect(looped.decision).toBe('void');
+    expect(looped.score).toBe(100);
+    expect(looped.signals).toContainEqual({
+      signal: 'repeated_loop',
+      score: 70,
+      detail: { plays: playFraudService.trackDailyLimit * 2 + 1, limit: playFraudService.trackDailyLimit }
+    });
+
+    // Other listeners behind the same address add up per IP
+    for (let i = 0; i < playFraudService.ipHourlyLimit; i++) {
+      await playFraudService.assessPlay(playSession({ userId: `listener-${i + 2}`, duration: 0, listened: 0 }), { now });
+    }
+    const shared = await playFraudService.assessPlay(playSession({ userId: 'listener-x', duration: 0, listened: 0 }), { now });
+    expect(shared).toMatchObject({ score: 40, decision: 'flag', signals: [expect.objectContaining({ signal: 'ip_velocity' })] });
+  });
+
+  test('should note plays concentrated on one artist', async () => {
+    const now = START + 60000;
+    for (let i = 1; i < playFraudService.artistMinimumPlays; i++) {
+      const { signals } = await playFraudService.assessPlay(playSession({ trackId: `track-${i}` }), { artistId: 'artist-1', now });
+      expect(signals).toEqual([]);
+    }
+
+    const { score, decision, signals } = await playFraudService.assessPlay(playSession({ trackId: 'track-0' }), { artistId: 'artist-1', now });
+    expect(signals).toEqual([{
+      signal: 'artist_concentration',
+      score: 30,
+      detail: { artistId: 'artist-1', plays: 20, totalPlays: 20, share: 1 }
+    }]);
+    // Not enough to hold the play on its own
+    expect({ score, decision }).toEqual({ score: 30, decision: 'allow' });
+  });
+
+  test('should count plays by time listened, not by seeking ahead', async () => {
+    // Seeking to 2:00 five seconds in counts none of the skipped part
+    expect(await play('session-seek', [[5, 5], [6, 120], ...listening(6, 26, 114)]))
+      .toEqual({ success: true, isValid: false });
+
+    const seeked = await play('session-seek-more', [[5, 5], [6, 120], ...listening(6, 36, 114)]);
+    expect(seeked).toEqual({ success: true, isValid: true });
+    expect((await streaming.getTrackStats(track.id)).totalPlays).toBe(1);
+    expect(await playFraudService.listReviews()).toEqual([]);
+  });
+
+  test('should hold flagged plays out of the counts and royalties until approved', async () => {
+    expect(await play('session-honest', listening(0, 45))).toEqual({ success: true, isValid: true });
+
+    // A second's worth of reports, each claiming five seconds played
+    const scripted = Array.from({ length: 9 }, (_, i) => [1, (i + 1) * 5]);
+    expect(await play('session-scripted', scripted)).toEqual({ success: true, isValid: false });
+    await streaming.endPlayback('session-honest');
+    await streaming.endPlayback('session-scripted');
+
+    expect((await streaming.getTrackStats(track.id)).totalPlays).toBe(1);
+    expect(await royaltyLedgerService.getBalance(artistAccount('artist-1'))).toBe(70000);
+
+    // Held at the threshold, and not assessed again on the later reports
+    const [review] = await playFraudService.listReviews();
+    expect(review).toMatchObject({
+      status: 'pending',
+      artistId: 'artist-1',
+      score: 50,
+      signals: [{ signal: 'progress_ahead_of_clock', score: 50, detail: { listened: 30, elapsed: 1 } }],
+      session: { sessionId: 'session-scripted', userId: 'listener-1', trackId: track.id, ipAddress: '203.0.113.7', duration: 30, listened: 30 }
+    });
+    expect((await PlayReview.findBySession('session-scripted')).id).toBe(review.id);
+
+    const approved = await streaming.reviewFlaggedPlay(review.id, 'admin-1', { action: 'approve', note: 'player bug' });
+    expect(approved).toMatchObject({ status: 'approved', reviewedBy: 'admin-1', note: 'player bug' });
+    expect(await playFraudService.listReviews()).toEqual([]);
+    expect((await streaming.getTrackStats(track.id)).totalPlays).toBe(2);
+    expect(await royaltyLedgerService.getBalance(artistAccount('artist-1'))).toBe(140000);
+    expect((await royaltyLedgerService.reconcile()).reconciled).toBe(true);
+
+    await expect(streaming.reviewFlaggedPlay(review.id, 'admin-1', { action: 'approve' }))
+      .rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'REVIEW_CLOSED' });
+  });
+
+  test('should keep voided plays for audit and only allow approving them', async () => {
+    const assessment = await playFraudService.assessPlay(playSession({ duration: 400 }), { now: START + 10000 });
+    expect(assessment).toMatchObject({ score: 100, decision: 'void' });
+
+    const review = await playFraudService.holdPlay(playSession({ duration: 400, trackId: track.id }), assessment, { artistId: 'artist-1' });
+    expect(review.status).toBe('voided');
+    expect(await playFraudService.listReviews('voided')).toEqual([expect.objectContaining({ id: review.id })]);
+
+    await expect(streaming.reviewFlaggedPlay(review.id, 'admin-1', { action: 'reject' }))
+      .rejects.toMatchObject({ code: 'REVIEW_CLOSED' });
+    await expect(streaming.reviewFlaggedPlay(review.id, 'admin-1', { action: 'ignore' }))
+      .rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'INVALID_REVIEW_ACTION' });
+    await expect(streaming.reviewFlaggedPlay('missing', 'admin-1', { action: 'approve' }))
+      .rejects.toMatchObject({ type: 'NOT_FOUND', code: 'PLAY_REVIEW_NOT_FOUND' });
+    await expect(playFraudService.listReviews('closed'))
+      .rejects.toMatchObject({ code: 'INVALID_REVIEW_STATUS' });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Royalty Ledger Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+import Database from '../../src/config/database.js';
+import royaltyLedgerService, {
+  PLATFORM_ACCOUNT,
+  STREAMING_POOL_ACCOUNT,
+  artistAccount,
+  curatorAccount
+} from '../../src/services/royaltyLedgerService.js';
+import AudioStreamingService from '../../src/services/audioStreamingService.js';
+import LedgerTransaction from '../../src/models/LedgerTransaction.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+import Playlist from '../../src/models/Playlist.js';
+import { listen } from '../helpers/playback.js';
+
+describe('RoyaltyLedgerService', () => {
+  const play = (sessionId, overrides = {}) => royaltyLedgerService.recordStreamPlay({
+    sessionId,
+    trackId: 'track-1',
+    artistId: 'artist-1',
+    listenerId: 'listener-1',
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    await Database.flush();
+  });
+
+  test('should post each play as a balanced transaction from the revenue pool', async () => {
+    const transaction = await play('session-1', { curatorId: 'curator-1' });
+
+    expect(transaction.type).toBe('stream_play');
+    expect(transaction.isBalanced()).toBe(true);
+    expect(transaction.entries).toEqual([
+      { account: STREAMING_POOL_ACCOUNT, direction: 'debit', amount: 100000, role: 'pool' },
+      { account: artistAccount('artist-1'), direction: 'credit', amount: 70000, role: 'artist' },
+      { account: PLATFORM_ACCOUNT, direction: 'credit', amount: 20000, role: 'platform' },
+      { account: curatorAccount('curator-1'), direction: 'credit', amount: 10000, role: 'curator' }
+    ]);
+
+    // Without a curator the curator share goes to the platform
+    await play('session-2');
+    expect(await royaltyLedgerService.getBalance(PLATFORM_ACCOUNT)).toBe(20000 + 30000);
+    expect(await royaltyLedgerService.getBalance(artistAccount('artist-1'))).toBe(140000);
+    expect(await royaltyLedgerService.getBalance(STREAMING_POOL_ACCOUNT)).toBe(-200000);
+  });
+
+  test('should post a play session only once', async () => {
+    const [first, concurrent] = await Promise.all([play('session-1'), play('session-1')]);
+    const again = await play('session-1');
+
+    expect(concurrent.id).toBe(first.id);
+    expect(again.id).toBe(first.id);
+    expect(await LedgerTransaction.findAll()).toHaveLength(1);
+    expect(await royaltyLedgerService.getCachedBalance(artistAccount('artist-1'))).toBe(70000);
+  });
+
+  test('should reject unbalanced or malformed transactions and never rewrite one', async () => {
+    const post = (entries) => royaltyLedgerService.post({ type: 'adjustment', entries });
+
+    await expect(post([
+      { account: 'a', direction: 'debit', amount: 100 },
+      { account: 'b', direction: 'credit', amount: 99 }
+    ])).rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'LEDGER_UNBALANCED' });
+    await expect(post([
+      { account: 'a', direction: 'debit', amount: 0.5 },
+      { account: 'b', direction: 'credit', amount: 0.5 }
+    ])).rejects.toMatchObject({ code: 'INVALID_LEDGER_ENTRIES' });
+    await expect(post([{ account: 'a', direction: 'debit', amount: 1 }])).rejects.toMatchObject({ code: 'INVALID_LEDGER_ENTRIES' });
+
+    const transaction = await play('session-1');
+    transaction.entries[1].amount = 1;
+    await expect(transaction.save()).rejects.toMatchObject({ code: 'LEDGER_IMMUTABLE' });
+    expect((await LedgerTransaction.findById(transaction.id)).entries[1].amount).toBe(70000);
+  });
+
+  test('should reconcile cached balances against the entries', async () => {
+    await play('session-1', { curatorId: 'curator-1' });
+    await play('session-2', { trackId: 'track-2', artistId: 'artist-2' });
+
+    const clean = await royaltyLedgerService.reconcile();
+    expect(clean).toMatchObject({
+      reconciled: true,
+      transactionCount: 2,
+      accountCount: 5,
+      trialBalance: 0,
+      unbalancedTransactions: [],
+      discrepancies: []
+    });
+
+    // A counter moved outside the ledger is reported
+    await Database.incr(`ledger:balance:${artistAccount('artist-2')}`, 5);
+    const drifted = await royaltyLedgerService.reconcile();
+    expect(drifted.reconciled).toBe(false);
+    expect(drifted.discrepancies).toEqual([{ account: artistAccount('artist-2'), derived: 70000, cached: 70005 }]);
+  });
+
+  test('should summarize an account by type, track and day within a timeframe', async () => {
+    // Posted a tick apart so the newest-first order is not decided by id
+    for (const [sessionId, overrides] of [['session-1'], ['session-2'], ['session-3', { trackId: 'track-2' }]]) {
+      await play(sessionId, overrides);
+      await new Promise(resolve => setTimeout(resolve, 2));
+    }
+
+    const summary = await royaltyLedgerService.summarizeAccount(artistAccount('artist-1'), {
+      since: royaltyLedgerService.resolveTimeframe('7d')
+    });
+    const today = new Date().toISOString().slice(0, 10);
+
+    expect(summary).toMatchObject({
+      balance: 210000,
+      earned: 210000,
+      debited: 0,
+      byType: { stream_play: { amount: 210000, count: 3 } },
+      byTrack: { 'track-1': { amount: 140000, count: 2 }, 'track-2': { amount: 70000, count: 1 } },
+      daily: { [today]: 210000 }
+    });
+    expect(summary.entries[0].reference).toBe('session-3');
+
+    const future = await royaltyLedgerService.summarizeAccount(artistAccount('artist-1'), {
+      since: new Date(Date.now() + 60000).toISOString()
+    });
+    expect(future.earned).toBe(0);
+    expect(future.balance).toBe(210000);
+
+    expect(() => royaltyLedgerService.resolveTimeframe('2w')).toThrow(expect.objectContaining({ code: 'INVALID_TIMEFRAME' }));
+    expect(royaltyLedgerService.resolveTimeframe('all')).toBeNull();
+  });
+
+  test('should post royalties when a valid play ends', async () => {
+    const streaming = new AudioStreamingService();
+    const nft = await new MusicNFT({ title: 'Night Drive', creator: 'artist-1', owner: 'artist-1' }).save();
+    const playlist = await new Playlist({ name: 'Late Night', owner: 'curator-1' }).save();
+
+    await streaming.startPlayback('listener-1', nft.id, 'session-1', 'premium', { playlistId: playlist.id });
+    await listen(streaming, 'session-1', 45);
+    await streaming.endPlayback('session-1');
+
+    // Playing your own playlist earns no curator share
+    await streaming.startPlayback('curator-1', nft.id, 'session-2', 'premium', { playlistId: playlist.id });
+    await listen(streaming, 'session-2', 45);
+    await streaming.endPlayback('session-2');
+
+    // Plays under the threshold earn nothing
+    await streaming.startPlayback('listener-1', nft.id, 'session-3');
+    await streaming.updatePlaybackProgress('session-3', 10, 180);
+    await streaming.endPlayback('session-3');
+
+    expect(await royaltyLedgerService.getBalance(curatorAccount('curator-1'))).toBe(10000);
+    expect(await royaltyLedgerService.getBalance(PLATFORM_ACCOUNT)).toBe(20000 + 30000);
+
+    const earnings = await streaming.getArtistEarnings('artist-1');
+    expect(earnings).toMatchObject({ totalEarnings: '0.00140000', todayEarnings: '0.00140000', balance: '0.00140000' });
+    expect(earnings.recentRecords.map(record => record.trackId)).toEqual([nft.id, nft.id]);
+    expect((await royaltyLedgerService.reconcile()).reconciled).toBe(true);
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Royalty Payout Service Tests
+ * flowService runs for real; FCL is replaced by a mock signer whose sealed
+ * transactions emit the events the RoyaltyDistributor contract would.
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+jest.mock('@onflow/fcl', () => ({
+  config: jest.fn(),
+  authz: jest.fn(),
+  mutate: jest.fn(),
+  query: jest.fn(),
+  tx: jest.fn()
+}));
+
+import * as fcl from '@onflow/fcl';
+import Database from '../../src/config/database.js';
+import flowService from '../../src/services/flowService.js';
+import royaltyPayoutService from '../../src/services/royaltyPayoutService.js';
+import royaltyLedgerService, {
+  PAYOUTS_PENDING_ACCOUNT,
+  PAYOUTS_SETTLED_ACCOUNT,
+  artistAccount
+} from '../../src/services/royaltyLedgerService.js';
+import PayoutBatch from '../../src/models/PayoutBatch.js';
+import User from '../../src/models/User.js';
+import { parseAmount } from '../../src/utils/fixedPoint.js';
+
+const ARTIST = '0x1111111111111111';
+const PRODUCER = '0x2222222222222222';
+const WALLET = '0x3333333333333333';
+
+describe('RoyaltyPayoutService', () => {
+  // What the contract has paid, by payout id, and recipients without a Flow receiver
+  let settled;
+  let noReceiver;
+  let failNext;
+  // Whether waiting for the next transaction to seal throws
+  let loseNext;
+
+  const play = (sessionId, artistShares, revenue = parseAmount('2')) => royaltyLedgerService.recordStreamPlay({
+    sessionId,
+    trackId: 'track-1',
+    artistShares: artistShares.map(([account, bps]) => ({ account, role: 'artist', bps })),
+    revenue
+  });
+
+  beforeEach(async () => {
+    await Database.flush();
+    settled = new Map();
+    noReceiver = new Set();
+    failNext = null;
+    loseNext = false;
+
+    flowService.isInitialized = true;
+    fcl.mutate.mockImplementation(async ({ args }) => {
+      const arg = (value) => value;
+      const [batchId, payoutIds, recipients, amounts] = args(arg, {
+        String: 'String', Address: 'Address', UFix64: 'UFix64', Array: () => 'Array'
+      });
+      const transactionId = `tx_${fcl.mutate.mock.calls.length}`;
+
+      const sealed = failNext
+        ? { status: 4, statusCode: 1, errorMessage: failNext, events: [] }
+        : {
+          status: 4,
+          statusCode: 0,
+          blockId: 'block-1',
+          events: payoutIds.map((payoutID, index) => {
+            const data = { batchID: batchId, payoutID, recipient: recipients[index] };
+            if (settled.has(payoutID)) {
+              return { type: 'A.f8d6e0586b0a20c7.RoyaltyDistributor.PayoutSkipped', data: { ...data, reason: 'already settled' } };
+            }
+            if (noReceiver.has(recipients[index])) {
+              return { type: 'A.f8d6e0586b0a20c7.RoyaltyDistributor.PayoutSkipped', data: { ...data, reason: 'no receiver' } };
+            }
+            settled.set(payoutID, amounts[index]);
+            return { type: 'A.f8d6e0586b0a20c7.RoyaltyDistributor.PayoutSettled', data: { ...data, amount: amounts[index] } };
+          })
+        };
+      const lost = loseNext;
+      failNext = null;
+      loseNext = false;
+
+      fcl.tx.mockReturnValueOnce({
+        onceSealed: async () => {
+          if (lost) throw new Error('Access node unavailable');
+          return sealed;
+        }
+      });
+      return transactionId;
+    });
+    fcl.query.mockImplementation(async ({ args }) => {
+      const [, payoutIds] = args((value) => value, { Address: 'Address', String: 'String', Array: () => 'Array' });
+      return payoutIds.filter(payoutID => settled.has(payoutID));
+    });
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  afterAll(() => {
+    flowService.isInitialized = false;
+  });
+
+  test('should pay balances above the minimum on chain and settle them in the ledger', async () => {
+    const user = await new User({ username: 'wallet-user', email: 'wallet@example.com', flowWallet: { address: WALLET, isConnected: true } }).save();
+
+    await play('session-1', [[artistAccount(ARTIST), 7500], [artistAccount(PRODUCER), 2500]]);
+    await play('session-2', [[artistAccount(user.id), 10000]], parseAmount('1'));
+    await play('session-3', [[artistAccount('user-without-wallet'), 10000]]);
+
+    const { batch, skipped } = await royaltyPayoutService.runPayouts({ minimum: parseAmount('0.5') });
+
+    // The producer's 0.35 FLOW stays below the minimum and keeps accruing
+    expect(skipped).toEqual([{ account: artistAccount('user-without-wallet'), amount: 140000000, reason: 'NO_PAYOUT_ADDRESS' }]);
+    expect(batch.status).toBe('confirmed');
+    expect(batch.payouts).toEqual([
+      expect.objectContaining({ account: artistAccount(ARTIST), recipient: ARTIST, amount: 105000000, status: 'confirmed', attempts: 1, transactionId: 'tx_1' }),
+      expect.objectContaining({ account: artistAccount(user.id), recipient: WALLET, amount: 70000000, status: 'confirmed' })
+    ]);
+    expect([...settled.values()]).toEqual(['1.05000000', '0.70000000']);
+    expect(fcl.mutate.mock.calls[0][0].cadence).toContain('distributePayouts');
+
+    expect(await royaltyLedgerService.getBalance(artistAccount(ARTIST))).toBe(0);
+    expect(await royaltyLedgerService.getBalance(artistAccount(PRODUCER))).toBe(35000000);
+    expect(await royaltyLedgerService.getBalance(PAYOUTS_PENDING_ACCOUNT)).toBe(0);
+    expect(await royaltyLedgerService.getBalance(PAYOUTS_SETTLED_ACCOUNT)).toBe(175000000);
+    expect((await royaltyLedgerService.reconcile()).reconciled).toBe(true);
+
+    // Paid balances are not collected again
+    expect((await royaltyPayoutService.runPayouts({ minimum: parseAmount('0.5') })).batch).toBeNull();
+  });
+
+  test('should retry failed payouts without paying anyone twice', async () => {
+    await play('session-1', [[artistAccount(ARTIST), 5000], [artistAccount(PRODUCER), 5000]]);
+    noReceiver.add(PRODUCER);
+
+    const { batch } = await royaltyPayoutService.runPayouts({ minimum: parseAmount('0.1') });
+    expect(batch.status).toBe('partially_failed');
+    const failed = batch.payouts.find(payout => payout.recipient === PRODUCER);
+    expect(failed).toMatchObject({ status: 'failed', error: 'no receiver', attempts: 1 });
+
+    // The failed payout stays held as pending, not back in the producer's balance
+    expect(await royaltyLedgerService.getBalance(artistAccount(PRODUCER))).toBe(0);
+    expect(await royaltyLedgerService.getBalance(PAYOUTS_PENDING_ACCOUNT)).toBe(70000000);
+
+    noReceiver.clear();
+    const retried = await royaltyPayoutService.retryBatch(batch.id);
+    expect(retried.status).toBe('confirmed');
+    expect(retried.getPayout(failed.id)).toMatchObject({ status: 'confirmed', attempts: 2, transactionId: 'tx_2', error: null });
+    expect(fcl.mutate.mock.calls[1][0].args(v => v, { Array: () => 'Array' })[1]).toEqual([failed.id]);
+
+    // Resubmitting settled payouts is a no-op on chain and in the ledger
+    const stored = await PayoutBatch.findById(batch.id);
+    await royaltyPayoutService.submitPayouts(stored, stored.payouts);
+    expect(settled.size).toBe(2);
+    expect(await royaltyLedgerService.getBalance(PAYOUTS_SETTLED_ACCOUNT)).toBe(140000000);
+    expect((await royaltyLedgerService.reconcile()).reconciled).toBe(true);
+
+    await expect(royaltyPayoutService.retryBatch(batch.id))
+      .rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'NOTHING_TO_RETRY' });
+    await expect(royaltyPayoutService.retryBatch('missing'))
+      .rejects.toMatchObject({ type: 'NOT_FOUND', code: 'PAYOUT_BATCH_NOT_FOUND' });
+  });
+
+  test('should retry failed transactions on schedule until attempts run out', async () => {
+    await play('session-1', [[artistAccount(ARTIST), 10000]]);
+
+    failNext = 'insufficient balance';
+    const { batch } = await royaltyPayoutService.runPayouts({ minimum: parseAmount('0.1') });
+    expect(batch).toMatchObject({ status: 'failed' });
+    expect(batch.payouts[0]).toMatchObject({ status: 'failed', error: 'insufficient balance', transactionId: 'tx_1' });
+    expect(batch.submissions).toEqual([expect.objectContaining({ transactionId: 'tx_1', success: false, error: 'insufficient balance' })]);
+
+    failNext = 'insufficient balance';
+    expect((await royaltyPayoutService.runScheduledPayouts()).retried).toEqual([batch.id]);
+
+    // Out of attempts: reversed back to the artist, whose balance the same run pays again
+    failNext = 'insufficient balance';
+    const { retried, batch: next } = await royaltyPayoutService.runScheduledPayouts();
+    expect(retried).toEqual([batch.id]);
+    const givenUp = (await PayoutBatch.findById(batch.id)).payouts[0];
+    expect(givenUp).toMatchObject({ status: 'reversed', attempts: royaltyPayoutService.maxAttempts });
+    expect(givenUp.reversedAt).toEqual(expect.any(String));
+    expect((await PayoutBatch.findById(batch.id)).status).toBe('failed');
+
+    expect(next.id).not.toBe(batch.id);
+    expect(next).toMatchObject({ status: 'confirmed', payouts: [expect.objectContaining({ account: artistAccount(ARTIST), amount: 140000000 })] });
+    expect(await royaltyLedgerService.getBalance(artistAccount(ARTIST))).toBe(0);
+    expect(await royaltyLedgerService.getBalance(PAYOUTS_PENDING_ACCOUNT)).toBe(0);
+    expect(await royaltyLedgerService.getBalance(PAYOUTS_SETTLED_ACCOUNT)).toBe(140000000);
+    expect((await royaltyLedgerService.summarizeAccount(artistAccount(ARTIST))).earned).toBe(140000000);
+    expect((await royaltyLedgerService.reconcile()).reconciled).toBe(true);
+
+    await expect(royaltyPayoutService.retryBatch(batch.id, { force: true }))
+      .rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'NOTHING_TO_RETRY' });
+  });
+
+  test('should confirm a payout found on chain when its transaction was never seen sealed', async () => {
+    await play('session-1', [[artistAccount(ARTIST), 10000]]);
+
+    loseNext = true;
+    const { batch } = await royaltyPayoutService.runPayouts({ minimum: parseAmount('0.1') });
+
+    expect(batch).toMatchObject({ status: 'confirmed' });
+    expect(batch.payouts[0]).toMatchObject({ status: 'confirmed', transactionId: 'tx_1', error: null });
+    expect(batch.submissions).toEqual([expect.objectContaining({ transactionId: 'tx_1', success: false, error: 'Access node unavailable' })]);
+    expect(await royaltyLedgerService.getBalance(PAYOUTS_SETTLED_ACCOUNT)).toBe(140000000);
+    expect((await royaltyLedgerService.reconcile()).reconciled).toBe(true);
+  });
+
+  test('should hold payouts of unknown outcome for review instead of reversing them', async () => {
+    await play('session-1', [[artistAccount(ARTIST), 10000]]);
+
+    for (let attempt = 0; attempt < royaltyPayoutService.maxAttempts; attempt++) {
+      failNext = 'insufficient balance';
+      loseNext = true;
+      if (attempt === 0) {
+        await royaltyPayoutService.runPayouts({ minimum: parseAmount('0.1') });
+      } else {
+        await royaltyPayoutService.runScheduledPayouts();
+      }
+    }
+
+    const [batch] = await PayoutBatch.findAll();
+    expect(batch.status).toBe('failed');
+    expect(batch.payouts[0]).toMatchObject({ status: 'unknown', attempts: royaltyPayoutService.maxAttempts, reversedAt: null });
+
+    // Held in pending payouts, so no later run collects the amount again
+    expect(await royaltyLedgerService.getBalance(artistAccount(ARTIST))).toBe(0);
+    expect(await royaltyLedgerService.getBalance(PAYOUTS_PENDING_ACCOUNT)).toBe(140000000);
+    const { retried, batch: next } = await royaltyPayoutService.runScheduledPayouts();
+    expect(retried).toEqual([]);
+    expect(next).toBeNull();
+
+    // Once reviewed it can be resubmitted by hand
+    const retriedBatch = await royaltyPayoutService.retryBatch(batch.id, { force: true });
+    expect(retriedBatch).toMatchObject({ status: 'confirmed' });
+    expect(await royaltyLedgerService.getBalance(PAYOUTS_SETTLED_ACCOUNT)).toBe(140000000);
+    expect(settled.size).toBe(1);
+  });
+
+  test('should not reverse a payout it cannot look up on chain', async () => {
+    await play('session-1', [[artistAccount(ARTIST), 10000]]);
+    royaltyPayoutService.maxAttempts = 1;
+    fcl.query.mockRejectedValue(new Error('Access node unavailable'));
+
+    try {
+      failNext = 'insufficient balance';
+      const { batch } = await royaltyPayoutService.runPayouts({ minimum: parseAmount('0.1') });
+
+      expect(batch.payouts[0]).toMatchObject({ status: 'unknown', error: 'insufficient balance', reversedAt: null });
+      expect(await royaltyLedgerService.getBalance(PAYOUTS_PENDING_ACCOUNT)).toBe(140000000);
+    } finally {
+      royaltyPayoutService.maxAttempts = 3;
+    }
+  });
+});
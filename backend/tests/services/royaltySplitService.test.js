@@ -0,0 +1,115 @@
+/**
+ * Royalty Split Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+import Database from '../../src/config/database.js';
+import royaltySplitService from '../../src/services/royaltySplitService.js';
+import royaltyLedgerService, { PLATFORM_ACCOUNT, artistAccount } from '../../src/services/royaltyLedgerService.js';
+import AudioStreamingService from '../../src/services/audioStreamingService.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+import { listen } from '../helpers/playback.js';
+
+describe('RoyaltySplitService', () => {
+  const creator = { id: 'user-1', address: '0xcreator' };
+
+  const createTrack = (data = {}) => new MusicNFT({ title: 'Night Drive', creator: '0xcreator', owner: '0xcreator', ...data }).save();
+
+  beforeEach(async () => {
+    await Database.flush();
+  });
+
+  test('should resolve configured recipients, then collaborators, then the default', async () => {
+    const configured = await createTrack({
+      royalties: { percentage: 10, recipients: [{ recipient: '0xcreator', percentage: 60 }, { recipient: '0xproducer', percentage: 40 }] },
+      collaborators: [{ userId: 'user-2', role: 'vocals', percentage: 50 }]
+    });
+    expect(royaltySplitService.resolveSplit(configured)).toMatchObject({
+      source: 'recipients',
+      shares: [
+        { recipient: '0xcreator', account: artistAccount('0xcreator'), role: 'artist', bps: 6000 },
+        { recipient: '0xproducer', account: artistAccount('0xproducer'), role: 'collaborator', bps: 4000 }
+      ]
+    });
+
+    const collaborative = await createTrack({ collaborators: [{ userId: 'user-2', role: 'vocals', percentage: 25 }] });
+    expect(royaltySplitService.resolveSplit(collaborative)).toMatchObject({
+      source: 'collaborators',
+      shares: [
+        { recipient: '0xcreator', role: 'artist', bps: 7500 },
+        { recipient: 'user-2', account: artistAccount('user-2'), role: 'collaborator', bps: 2500, description: 'vocals' }
+      ]
+    });
+
+    const solo = await createTrack();
+    expect(royaltySplitService.resolveSplit(solo)).toMatchObject({
+      source: 'default',
+      shares: [{ recipient: '0xcreator', role: 'artist', bps: 10000 }]
+    });
+
+    // Records minted with a bare recipient list are read as a split
+    const legacy = await createTrack({ royalties: [
+      { recipient: '0xcreator', percentage: 0.8 },
+      { recipient: royaltySplitService.platformAddress, percentage: 0.2 }
+    ] });
+    expect(royaltySplitService.resolveSplit(await MusicNFT.findById(legacy.id)).shares.map(share => share.account))
+      .toEqual([artistAccount('0xcreator'), PLATFORM_ACCOUNT]);
+  });
+
+  test('should let only the creator change a split, and only to one that adds up', async () => {
+    const track = await createTrack();
+
+    await expect(royaltySplitService.updateSplit({ id: 'user-9' }, track.id, { recipients: [] }))
+      .rejects.toMatchObject({ type: 'PERMISSION_ERROR', code: 'SPLIT_FORBIDDEN' });
+    await expect(royaltySplitService.updateSplit(creator, track.id, { recipients: [{ recipient: '0xcreator', percentage: 90 }] }))
+      .rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'INVALID_ROYALTY_SPLIT', details: ['Royalty percentages must add up to 100%'] });
+    await expect(royaltySplitService.updateSplit(creator, 'missing', {}))
+      .rejects.toMatchObject({ type: 'NOT_FOUND' });
+
+    const { split } = await royaltySplitService.updateSplit(creator, track.id, {
+      percentage: 7.5,
+      collaborators: [{ userId: 'user-2', role: 'mixing', percentage: 10 }]
+    });
+    expect(split).toMatchObject({ source: 'collaborators', percentage: 7.5 });
+
+    const stored = await MusicNFT.findById(track.id);
+    expect(stored.royalties).toEqual({ percentage: 7.5, recipients: [] });
+    expect(stored.collaborators).toEqual([expect.objectContaining({ userId: 'user-2', role: 'mixing', percentage: 10 })]);
+  });
+
+  test('should preview who a play pays', async () => {
+    const track = await createTrack({ collaborators: [{ userId: 'user-2', percentage: 50 }] });
+
+    const preview = await royaltySplitService.previewStream(track, 100000);
+    expect(preview).toEqual({
+      source: 'collaborators',
+      amount: '0.00100000',
+      recipients: [
+        { recipient: '0xcreator', account: artistAccount('0xcreator'), role: 'artist', amount: '0.00035000', percentage: 35 },
+        { recipient: 'user-2', account: artistAccount('user-2'), role: 'collaborator', amount: '0.00035000', percentage: 35 },
+        { recipient: 'platform', account: PLATFORM_ACCOUNT, role: 'platform', amount: '0.00020000', percentage: 20 },
+        { recipient: 'platform', account: PLATFORM_ACCOUNT, role: 'curator', amount: '0.00010000', percentage: 10 }
+      ]
+    });
+  });
+
+  test('should split play royalties between the rights holders', async () => {
+    const streaming = new AudioStreamingService();
+    const track = await createTrack({
+      royalties: { percentage: 10, recipients: [{ recipient: '0xcreator', percentage: 75 }, { recipient: '0xproducer', percentage: 25 }] }
+    });
+
+    await streaming.startPlayback('listener-1', track.id, 'session-1', 'premium');
+    await listen(streaming, 'session-1', 45);
+    await streaming.endPlayback('session-1');
+
+    expect(await royaltyLedgerService.getBalance(artistAccount('0xcreator'))).toBe(52500);
+    expect(await royaltyLedgerService.getBalance(artistAccount('0xproducer'))).toBe(17500);
+    expect(await royaltyLedgerService.getBalance(PLATFORM_ACCOUNT)).toBe(30000);
+    expect((await royaltyLedgerService.reconcile()).reconciled).toBe(true);
+  });
+});
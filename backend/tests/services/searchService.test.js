@@ -0,0 +1,154 @@
+/**
+ * Search Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+import Database from '../../src/config/database.js';
+import searchService, { tokenize, editDistance } from '../../src/services/searchService.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+import Playlist from '../../src/models/Playlist.js';
+
+const createNFT = async (data) => {
+  const nft = new MusicNFT({
+    creator: '0x1111111111111111',
+    owner: '0x1111111111111111',
+    ...data,
+    music: { genre: '', mood: '', tags: [], instruments: [], ...data.music },
+    market: { price: '0', currency: 'FLOW', isForSale: false, ...data.market }
+  });
+  await nft.save();
+  return nft;
+};
+
+describe('SearchService', () => {
+  beforeEach(async () => {
+    await Database.flush();
+  });
+
+  test('should tokenize latin text and CJK bigrams', () => {
+    expect(tokenize('The Café Sunset!')).toEqual(['cafe', 'sunset']);
+    expect(tokenize('夜晚钢琴')).toEqual(['夜晚', '晚钢', '钢琴']);
+    expect(editDistance('sunset', 'sunsat', 1)).toBe(1);
+  });
+
+  test('should rank title matches above tag and description matches', async () => {
+    const inDescription = await createNFT({ title: 'Night Drive', description: 'a sunset cruise' });
+    const inTitle = await createNFT({ title: 'Sunset Boulevard' });
+    const inTags = await createNFT({ title: 'Coastline', tags: ['sunset'] });
+
+    const results = await MusicNFT.search('sunset');
+
+    expect(results.map(nft => nft.id)).toEqual([inTitle.id, inTags.id, inDescription.id]);
+  });
+
+  test('should match prefixes and tolerate typos', async () => {
+    const nft = await createNFT({ title: 'Midnight Symphony' });
+
+    expect((await MusicNFT.search('midn')).map(n => n.id)).toEqual([nft.id]);
+    expect((await MusicNFT.search('symphoni')).map(n => n.id)).toEqual([nft.id]);
+    expect(await MusicNFT.search('polka')).toHaveLength(0);
+  });
+
+  test('should filter and facet by genre, mood and price', async () => {
+    await createNFT({ title: 'Lofi Rain', music: { genre: 'Lofi', mood: 'calm' }, market: { price: '5', isForSale: true } });
+    await createNFT({ title: 'Lofi Study', music: { genre: 'Lofi', mood: 'focus' }, market: { price: '50', isForSale: true } });
+    await createNFT({ title: 'Lofi Drums', music: { genre: 'Hip-Hop', mood: 'calm' } });
+
+    const all = await MusicNFT.searchIndex('lofi');
+    const cheap = await MusicNFT.searchIndex('lofi', { filters: { genre: 'lofi', maxPrice: '10' } });
+
+    expect(all.total).toBe(3);
+    expect(all.facets.genre).toEqual({ lofi: 2, 'hip-hop': 1 });
+    expect(all.facets.mood).toEqual({ calm: 2, focus: 1 });
+    expect(all.facets.price).toEqual({ '1-10': 1, '10-100': 1 });
+    expect(cheap.hits.map(nft => nft.title)).toEqual(['Lofi Rain']);
+  });
+
+  test('should keep the index in sync on update and delete', async () => {
+    const playlist = new Playlist({ name: 'Morning Coffee', owner: 'user-1' });
+    await playlist.save();
+    expect(await Playlist.search('coffee')).toHaveLength(1);
+
+    playlist.name = 'Evening Tea';
+    await playlist.save();
+    expect(await Playlist.search('coffee')).toHaveLength(0);
+    expect(await Playlist.search('tea')).toHaveLength(1);
+    expect(await Database.smembers('search:playlist:terms')).not.toContain('coffee');
+
+    await Playlist.deleteById(playlist.id);
+    expect(await Playlist.search('tea')).toHaveLength(0);
+    expect(await Database.get(`search:playlist:doc:${playlist.id}`)).toBeNull();
+  });
+
+  test('should look up fuzzy candidates by prefix and length, not the whole vocabulary', async () => {
+    const nft = await createNFT({ title: 'Midnight Symphony', description: 'an extraordinarily long atmospheric piece' });
+    const smembers = jest.spyOn(Database, 'smembers');
+
+    try {
+      expect((await MusicNFT.search('symphoni')).map(n => n.id)).toEqual([nft.id]);
+
+      const keys = smembers.mock.calls.map(([key]) => key);
+      expect(keys).not.toContain('search:nft:terms');
+      expect(keys).toEqual(expect.arrayContaining(['search:nft:terms:prefix:sym', 'search:nft:terms:length:8']));
+      expect(keys.filter(key => key.startsWith('search:nft:terms:length:')).sort())
+        .toEqual([6, 7, 8, 9, 10].map(length => `search:nft:terms:length:${length}`).sort());
+    } finally {
+      smembers.mockRestore();
+    }
+  });
+
+  test('should page an empty query from the index without loading every document', async () => {
+    await createNFT({ title: 'Lofi Rain', music: { genre: 'Lofi', mood: 'calm' }, market: { price: '5', isForSale: true } });
+    await createNFT({ title: 'Lofi Study', music: { genre: 'Lofi', mood: 'focus' }, market: { price: '50', isForSale: true } });
+    await createNFT({ title: 'Lofi Drums', music: { genre: 'Hip-Hop', mood: 'calm' } });
+    const get = jest.spyOn(Database, 'get');
+
+    try {
+      const page = await searchService.search('nft', '', { limit: 2, offset: 1 });
+      expect(page.hits).toHaveLength(2);
+      expect(page.total).toBe(3);
+      expect(page.facets).toEqual({ genre: { lofi: 2, 'hip-hop': 1 }, mood: { calm: 2, focus: 1 }, price: { '1-10': 1, '10-100': 1 } });
+
+      const lofi = await searchService.search('nft', '', { filters: { genre: 'LOFI', visibility: 'public', isForSale: true } });
+      expect(lofi.total).toBe(2);
+      expect(lofi.facets.mood).toEqual({ calm: 1, focus: 1 });
+      expect(get.mock.calls.filter(([key]) => key.startsWith('search:nft:doc:'))).toHaveLength(0);
+
+      // Price ranges are checked on the documents in the overlapping buckets only
+      const cheap = await searchService.search('nft', '', { filters: { maxPrice: '6' } });
+      expect(cheap.total).toBe(1);
+      expect(cheap.facets.price).toEqual({ '1-10': 1 });
+      expect(get.mock.calls.filter(([key]) => key.startsWith('search:nft:doc:'))).toHaveLength(1);
+    } finally {
+      get.mockRestore();
+    }
+  });
+
+  test('should move documents between facet sets on update and delete', async () => {
+    const nft = await createNFT({ title: 'Lofi Rain', music: { genre: 'Lofi' }, market: { price: '5', isForSale: true } });
+
+    nft.music.genre = 'Ambient';
+    nft.market.price = '20';
+    await nft.save();
+    expect((await searchService.search('nft', '', { filters: { genre: 'lofi' } })).total).toBe(0);
+    expect((await searchService.search('nft', '')).facets).toMatchObject({ genre: { ambient: 1 }, price: { '10-100': 1 } });
+    expect(await Database.smembers('search:nft:facets:genre')).toEqual(['ambient']);
+
+    await MusicNFT.deleteById(nft.id);
+    expect(await searchService.search('nft', '')).toMatchObject({ total: 0, facets: { genre: {}, mood: {}, price: {} } });
+    expect(await Database.smembers('search:nft:facets:genre')).toEqual([]);
+  });
+
+  test('should require every query term to match', async () => {
+    await createNFT({ title: 'Ocean Waves' });
+    await createNFT({ title: 'Ocean Drive' });
+
+    const result = await searchService.search('nft', 'ocean waves');
+
+    expect(result.total).toBe(1);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Wallet Auth Service Tests
+ */
+
+import crypto from 'crypto';
+
+jest.mock('../../src/config/database.js', () => {
+  const mockStore = new Map();
+  return {
+    __esModule: true,
+    default: {
+      set: jest.fn(async (key, value) => { mockStore.set(key, value); }),
+      get: jest.fn(async (key) => (mockStore.has(key) ? mockStore.get(key) : null)),
+      del: jest.fn(async (key) => (mockStore.delete(key) ? 1 : 0))
+    }
+  };
+});
+
+import walletAuthService from '../../src/services/walletAuthService.js';
+
+const ADDRESS = '0x01cf0e2f2f715450';
+
+// Create a Flow-style account key (raw 64-byte public key) and its signer
+const createAccountKey = (index, { curve = 'prime256v1', hash = 'sha3-256', weight = 1000, revoked = false } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: curve });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const raw = Buffer.concat([Buffer.from(jwk.x, 'base64url'), Buffer.from(jwk.y, 'base64url')]);
+
+  return {
+    accountKey: {
+      index,
+      publicKey: raw.toString('hex'),
+      signAlgo: curve === 'prime256v1' ? 1 : 2,
+      hashAlgo: hash === 'sha3-256' ? 3 : 1,
+      weight,
+      revoked
+    },
+    sign: (message) => crypto.sign(hash, message, { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('hex')
+  };
+};
+
+const buildProof = (nonce, keys, address = ADDRESS) => {
+  const message = walletAuthService.encodeMessage(address, nonce);
+  return {
+    address,
+    nonce,
+    signatures: keys.map(key => ({
+      addr: address,
+      keyId: key.accountKey.index,
+      signature: key.sign(message)
+    }))
+  };
+};
+
+describe('WalletAuthService', () => {
+  afterEach(() => {
+    walletAuthService.setKeyLookup(null);
+  });
+
+  test('should issue a 32-byte nonce with expiry', async () => {
+    const challenge = await walletAuthService.issueNonce();
+
+    expect(challenge.nonce).toMatch(/^[a-f0-9]{64}$/);
+    expect(challenge.appIdentifier).toBe('FlowTune');
+    expect(new Date(challenge.expiresAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('should verify a proof signed with full key weight', async () => {
+    const key = createAccountKey(0);
+    walletAuthService.setKeyLookup(async () => [key.accountKey]);
+
+    const { nonce } = await walletAuthService.issueNonce();
+    const result = await walletAuthService.verifyAccountProof(ADDRESS, buildProof(nonce, [key]));
+
+    expect(result.address).toBe(ADDRESS);
+    expect(result.keyIds).toEqual([0]);
+  });
+
+  test('should accept secp256k1 / SHA2 keys whose weights add up', async () => {
+    const keys = [
+      createAccountKey(0, { curve: 'secp256k1', hash: 'sha256', weight: 500 }),
+      createAccountKey(1, { weight: 500 })
+    ];
+    walletAuthService.setKeyLookup(async () => keys.map(k => k.accountKey));
+
+    const { nonce } = await walletAuthService.issueNonce();
+    await expect(walletAuthService.verifyAccountProof(ADDRESS, buildProof(nonce, keys)))
+      .resolves.toMatchObject({ keyIds: [0, 1] });
+  });
+
+  test('should reject a replayed nonce', async () => {
+    const key = createAccountKey(0);
+    walletAuthService.setKeyLookup(async () => [key.accountKey]);
+
+    const { nonce } = await walletAuthService.issueNonce();
+    const proof = buildProof(nonce, [key]);
+    await walletAuthService.verifyAccountProof(ADDRESS, proof);
+
+    await expect(walletAuthService.verifyAccountProof(ADDRESS, proof))
+      .rejects.toMatchObject({ code: 'NONCE_NOT_FOUND' });
+  });
+
+  test('should accept only one of concurrent proofs with the same nonce', async () => {
+    const key = createAccountKey(0);
+    walletAuthService.setKeyLookup(async () => [key.accountKey]);
+
+    const { nonce } = await walletAuthService.issueNonce();
+    const proof = buildProof(nonce, [key]);
+    const results = await Promise.allSettled([
+      walletAuthService.verifyAccountProof(ADDRESS, proof),
+      walletAuthService.verifyAccountProof(ADDRESS, proof)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ code: 'NONCE_NOT_FOUND' });
+  });
+
+  test('should reject an expired nonce', async () => {
+    const key = createAccountKey(0);
+    walletAuthService.setKeyLookup(async () => [key.accountKey]);
+
+    const { nonce } = await walletAuthService.issueNonce();
+    const realNow = Date.now;
+    Date.now = () => realNow() + (walletAuthService.nonceTTL + 1) * 1000;
+
+    try {
+      await expect(walletAuthService.verifyAccountProof(ADDRESS, buildProof(nonce, [key])))
+        .rejects.toMatchObject({ code: 'NONCE_EXPIRED' });
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  test('should reject a signature from a key the account does not hold', async () => {
+    const onChain = createAccountKey(0);
+    const attacker = createAccountKey(0);
+    walletAuthService.setKeyLookup(async () => [onChain.accountKey]);
+
+    const { nonce } = await walletAuthService.issueNonce();
+    await expect(walletAuthService.verifyAccountProof(ADDRESS, buildProof(nonce, [attacker])))
+      .rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+  });
+
+  test('should ignore revoked keys when summing weight', async () => {
+    const key = createAccountKey(0, { revoked: true });
+    walletAuthService.setKeyLookup(async () => [key.accountKey]);
+
+    const { nonce } = await walletAuthService.issueNonce();
+    await expect(walletAuthService.verifyAccountProof(ADDRESS, buildProof(nonce, [key])))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_KEY_WEIGHT' });
+  });
+
+  test('should reject a proof made for another address', async () => {
+    const key = createAccountKey(0);
+    const { nonce } = await walletAuthService.issueNonce();
+
+    await expect(walletAuthService.verifyAccountProof('0x0000000000000001', buildProof(nonce, [key])))
+      .rejects.toMatchObject({ code: 'ADDRESS_MISMATCH' });
+  });
+
+  test('should require an account proof', async () => {
+    await expect(walletAuthService.verifyAccountProof(ADDRESS, undefined))
+      .rejects.toMatchObject({ code: 'ACCOUNT_PROOF_REQUIRED' });
+  });
+
+  test('should surface key lookup failures', async () => {
+    walletAuthService.setKeyLookup(async () => { throw new Error('access node down'); });
+
+    const key = createAccountKey(0);
+    const { nonce } = await walletAuthService.issueNonce();
+    await expect(walletAuthService.verifyAccountProof(ADDRESS, buildProof(nonce, [key])))
+      .rejects.toMatchObject({ code: 'ACCOUNT_LOOKUP_FAILED' });
+  });
+});
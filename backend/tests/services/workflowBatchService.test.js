@@ -0,0 +1,168 @@
+/**
+ * Workflow Batch Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+jest.mock('../../src/services/aiService.js', () => ({
+  __esModule: true,
+  default: {
+    generateMusicWithMusicGen: jest.fn(),
+    generateCoverArt: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/ipfsService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadAudioFromUrl: jest.fn(),
+    uploadImage: jest.fn(),
+    createNFTMetadata: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/coverArtService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadForMint: jest.fn().mockResolvedValue({ hash: 'QmCover', url: 'https://gateway/QmCover', thumbnails: [] })
+  }
+}));
+
+import Database from '../../src/config/database.js';
+import workflowBatchService from '../../src/services/workflowBatchService.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import quotaService from '../../src/services/quotaService.js';
+import aiService from '../../src/services/aiService.js';
+import ipfsService from '../../src/services/ipfsService.js';
+import User from '../../src/models/User.js';
+
+// Run the worker until every batch has caught up with its finished workflows
+const runBatches = async () => {
+  for (let round = 0; round < 10; round++) {
+    await workflowEngine.tick();
+    await workflowEngine.drain();
+    await Promise.all(workflowBatchService.locks.values());
+  }
+};
+
+const track = (title, overrides = {}) => ({
+  prompt: `${title} prompt`,
+  metadata: { title, artist: 'Tester', genre: 'ambient', duration: 30 },
+  autoMint: false,
+  ...overrides
+});
+
+describe('WorkflowBatchService', () => {
+  let user;
+
+  beforeAll(() => {
+    workflowEngine.concurrency = 4;
+    workflowEngine.defaultMaxAttempts = 1;
+    workflowBatchService.concurrency = 4;
+  });
+
+  beforeEach(async () => {
+    await Database.flush();
+    quotaService.limits = { generation: 50, mint: 20 };
+    user = new User({ username: 'batcher' });
+    await user.save();
+
+    aiService.generateMusicWithMusicGen.mockImplementation(async (prompt) => {
+      if (prompt.startsWith('Broken')) throw new Error('model crashed');
+      return { audioUrl: 'https://example.com/track.mp3', metadata: { model: 'musicgen-test' } };
+    });
+    aiService.generateCoverArt.mockResolvedValue({ imageUrl: '' });
+    ipfsService.uploadAudioFromUrl.mockResolvedValue({ hash: 'QmAudio', url: 'https://gateway/QmAudio', size: 10 });
+    ipfsService.createNFTMetadata.mockResolvedValue({ metadataHash: 'QmMeta', metadataUrl: 'https://gateway/QmMeta' });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should keep at most the batch concurrency in flight and run the rest as slots free', async () => {
+    const created = await workflowBatchService.createBatch(user.id, [track('A'), track('B'), track('C'), track('D')], { concurrency: 2 });
+
+    expect(created).toMatchObject({ status: 'running', concurrency: 2, total: 4, counts: { queued: 2, pending: 2 } });
+
+    await runBatches();
+
+    const status = await workflowBatchService.getBatchStatus(created.batchId, user.id);
+    expect(status).toMatchObject({ status: 'completed', progress: 100, counts: { completed: 4 }, failures: [] });
+    expect(status.items.map(item => item.title)).toEqual(['A', 'B', 'C', 'D']);
+    expect(status.items[0].result).toMatchObject({ ipfsHash: 'QmMeta', awaitingMint: true });
+    expect(aiService.generateMusicWithMusicGen).toHaveBeenCalledTimes(4);
+  });
+
+  test('should summarize partial failures', async () => {
+    const created = await workflowBatchService.createBatch(user.id, [
+      track('Good'),
+      track('Broken'),
+      { prompt: 'no metadata' }
+    ]);
+
+    await runBatches();
+
+    const status = await workflowBatchService.getBatchStatus(created.batchId, user.id);
+    expect(status).toMatchObject({ status: 'partially_failed', counts: { completed: 1, failed: 2 } });
+    expect(status.failures).toEqual([
+      expect.objectContaining({ index: 1, title: 'Broken', code: 'WORKFLOW_FAILED', error: 'AI music generation failed: model crashed' }),
+      expect.objectContaining({ index: 2, title: null, code: 'INVALID_WORKFLOW', workflowId: null })
+    ]);
+  });
+
+  test('should enforce the daily generation and mint quotas', async () => {
+    quotaService.limits = { generation: 2, mint: 1 };
+
+    const created = await workflowBatchService.createBatch(user.id, [
+      track('One', { autoMint: true }),
+      track('Two', { autoMint: true }),
+      track('Three'),
+      track('Four')
+    ], { concurrency: 4 });
+
+    expect(created.failures).toEqual([
+      expect.objectContaining({ index: 1, code: 'QUOTA_EXCEEDED' }),
+      expect.objectContaining({ index: 3, code: 'QUOTA_EXCEEDED' })
+    ]);
+
+    // The item refused for its mint does not keep the generation it took
+    const usage = await quotaService.getUsage(user.id);
+    expect(usage).toMatchObject({ generation: { used: 2, remaining: 0 }, mint: { used: 1, remaining: 0 } });
+
+    await expect(workflowBatchService.createBatch(user.id, [track('Five')]))
+      .rejects.toMatchObject({ type: 'RATE_LIMIT', code: 'QUOTA_EXCEEDED' });
+  });
+
+  test('should cancel the remaining items of a batch', async () => {
+    const created = await workflowBatchService.createBatch(user.id, [track('A'), track('B'), track('C')], { concurrency: 1 });
+
+    const cancelled = await workflowBatchService.cancelBatch(created.batchId, user.id);
+    expect(cancelled).toMatchObject({ status: 'cancelled', counts: { cancelled: 3 } });
+
+    await runBatches();
+
+    const status = await workflowBatchService.getBatchStatus(created.batchId, user.id);
+    expect(status).toMatchObject({ status: 'cancelled', completedAt: expect.any(String) });
+    expect(aiService.generateMusicWithMusicGen).not.toHaveBeenCalled();
+    await expect(workflowBatchService.cancelBatch(created.batchId, user.id))
+      .rejects.toMatchObject({ code: 'BATCH_NOT_CANCELLABLE' });
+  });
+
+  test('should validate batches and hide them from other users', async () => {
+    await expect(workflowBatchService.createBatch(user.id, []))
+      .rejects.toMatchObject({ code: 'INVALID_BATCH' });
+    await expect(workflowBatchService.createBatch(user.id, Array.from({ length: 11 }, (_, i) => track(`T${i}`))))
+      .rejects.toMatchObject({ code: 'BATCH_TOO_LARGE' });
+
+    const created = await workflowBatchService.createBatch(user.id, [track('Mine')]);
+    await expect(workflowBatchService.getBatchStatus(created.batchId, 'someone_else'))
+      .rejects.toMatchObject({ type: 'PERMISSION_ERROR' });
+    await expect(workflowBatchService.getBatchStatus('batch_missing', user.id))
+      .rejects.toMatchObject({ type: 'NOT_FOUND' });
+    expect((await workflowBatchService.listBatches(user.id)).map(batch => batch.batchId)).toEqual([created.batchId]);
+  });
+});
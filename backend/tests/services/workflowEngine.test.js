@@ -0,0 +1,257 @@
+/**
+ * Workflow Engine Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+import Database from '../../src/config/database.js';
+import workflowEngine, { createWorkflowError } from '../../src/services/workflowEngine.js';
+import WorkflowJob from '../../src/models/WorkflowJob.js';
+
+const steps = {
+  prepare: jest.fn(),
+  process: jest.fn(),
+  publish: jest.fn()
+};
+
+// Claim due jobs and wait for them to finish
+const runWorker = async () => {
+  await workflowEngine.tick();
+  await workflowEngine.drain();
+};
+
+// Make a retrying job due now instead of waiting out its backoff
+const makeDue = async (jobId) => {
+  const job = await WorkflowJob.findById(jobId);
+  job.nextRunAt = new Date().toISOString();
+  await job.save();
+};
+
+describe('WorkflowEngine', () => {
+  beforeAll(() => {
+    workflowEngine.define('test_pipeline', {
+      maxAttempts: 3,
+      steps: [
+        { name: 'prepare', run: (context) => steps.prepare(context) },
+        { name: 'process', run: (context) => steps.process(context) },
+        { name: 'publish', skip: ({ params }) => params.draft, run: (context) => steps.publish(context) }
+      ],
+      buildResult: ({ results }) => ({ published: results.publish || null, output: results.process })
+    });
+    workflowEngine.define('crashing_pipeline', {
+      steps: [{ name: 'prepare', run: (context) => steps.prepare(context) }],
+      buildResult: () => {
+        throw new Error('result builder crashed');
+      }
+    });
+  });
+
+  beforeEach(async () => {
+    await Database.flush();
+    steps.prepare.mockResolvedValue({ input: 'prepared' });
+    steps.process.mockImplementation(async ({ results }) => `${results.prepare.input}+processed`);
+    steps.publish.mockResolvedValue({ url: 'https://example.com/out' });
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('should run every step in order and pass earlier results forward', async () => {
+    const job = await workflowEngine.enqueue('test_pipeline', { userId: 'user_1', params: { draft: false } });
+    expect(job.status).toBe('queued');
+
+    await runWorker();
+
+    const stored = await WorkflowJob.findById(job.id);
+    const status = workflowEngine.describe(stored);
+    expect(status).toMatchObject({
+      workflowId: job.id,
+      status: 'completed',
+      currentStep: null,
+      progress: 100,
+      result: { output: 'prepared+processed', published: { url: 'https://example.com/out' } }
+    });
+    expect(status.steps.map(step => step.status)).toEqual(['completed', 'completed', 'completed']);
+    expect(await WorkflowJob.findByStatus('completed')).toHaveLength(1);
+  });
+
+  test('should skip steps whose skip condition holds', async () => {
+    const job = await workflowEngine.enqueue('test_pipeline', { params: { draft: true } });
+
+    await runWorker();
+
+    const stored = await WorkflowJob.findById(job.id);
+    expect(stored.status).toBe('completed');
+    expect(stored.getStep('publish').status).toBe('skipped');
+    expect(steps.publish).not.toHaveBeenCalled();
+    expect(stored.result.published).toBeNull();
+  });
+
+  test('should retry a failed step with exponential backoff without repeating finished steps', async () => {
+    steps.process
+      .mockRejectedValueOnce(new Error('model timeout'))
+      .mockRejectedValueOnce(new Error('model timeout'));
+    const job = await workflowEngine.enqueue('test_pipeline', { params: {} });
+
+    const before = Date.now();
+    await runWorker();
+
+    let stored = await WorkflowJob.findById(job.id);
+    expect(stored.status).toBe('retrying');
+    expect(stored.error).toBe('model timeout');
+    expect(stored.getStep('process')).toMatchObject({ status: 'pending', attempts: 1, error: 'model timeout' });
+    expect(Date.parse(stored.nextRunAt) - before).toBeGreaterThanOrEqual(workflowEngine.retryBaseDelay);
+
+    // Not due yet: the backoff holds the job back
+    await runWorker();
+    expect(steps.process).toHaveBeenCalledTimes(1);
+
+    await makeDue(job.id);
+    await runWorker();
+    stored = await WorkflowJob.findById(job.id);
+    expect(stored.getStep('process').attempts).toBe(2);
+    expect(Date.parse(stored.nextRunAt) - Date.now()).toBeGreaterThan(workflowEngine.retryBaseDelay);
+
+    await makeDue(job.id);
+    await runWorker();
+    stored = await WorkflowJob.findById(job.id);
+    expect(stored.status).toBe('completed');
+    expect(steps.prepare).toHaveBeenCalledTimes(1);
+    expect(steps.process).toHaveBeenCalledTimes(3);
+  });
+
+  test('should cap the retry delay', () => {
+    expect(workflowEngine.getRetryDelay(1)).toBe(workflowEngine.retryBaseDelay);
+    expect(workflowEngine.getRetryDelay(2)).toBe(workflowEngine.retryBaseDelay * 2);
+    expect(workflowEngine.getRetryDelay(50)).toBe(workflowEngine.maxRetryDelay);
+  });
+
+  test('should fail at once on non-retryable errors and resume from the failed step', async () => {
+    steps.process.mockRejectedValueOnce(
+      createWorkflowError('VALIDATION_ERROR', 'BAD_INPUT', 'Input rejected', { retryable: false })
+    );
+    const job = await workflowEngine.enqueue('test_pipeline', { params: {} });
+
+    await runWorker();
+
+    let status = workflowEngine.describe(await WorkflowJob.findById(job.id));
+    expect(status).toMatchObject({ status: 'failed', currentStep: 'process', progress: 33, error: 'Input rejected' });
+    expect(status.steps.map(step => step.status)).toEqual(['completed', 'failed', 'pending']);
+
+    const resumed = await workflowEngine.resume(job.id);
+    expect(resumed.status).toBe('queued');
+    expect(resumed.getStep('process')).toMatchObject({ status: 'pending', attempts: 0, error: null });
+
+    await runWorker();
+
+    status = workflowEngine.describe(await WorkflowJob.findById(job.id));
+    expect(status.status).toBe('completed');
+    expect(steps.prepare).toHaveBeenCalledTimes(1);
+    expect(steps.process).toHaveBeenCalledTimes(2);
+  });
+
+  test('should fail once attempts are exhausted', async () => {
+    steps.process.mockRejectedValue(new Error('still down'));
+    const job = await workflowEngine.enqueue('test_pipeline', { params: {}, maxAttempts: 2 });
+
+    await runWorker();
+    await makeDue(job.id);
+    await runWorker();
+
+    const stored = await WorkflowJob.findById(job.id);
+    expect(stored.status).toBe('failed');
+    expect(stored.getStep('process')).toMatchObject({ status: 'failed', attempts: 2 });
+  });
+
+  test('should fail without retrying when a step has no definition', async () => {
+    const job = await workflowEngine.enqueue('test_pipeline', { params: {} });
+    const stored = await WorkflowJob.findById(job.id);
+    stored.steps[1].name = 'retired_step';
+    await stored.save();
+
+    await runWorker();
+
+    const failed = await WorkflowJob.findById(job.id);
+    expect(failed).toMatchObject({ status: 'failed', error: 'Unknown step retired_step for workflow type test_pipeline' });
+    expect(failed.getStep('retired_step')).toMatchObject({ status: 'failed', attempts: 0 });
+    expect(steps.publish).not.toHaveBeenCalled();
+  });
+
+  test('should fail a job whose run crashes instead of leaving it running', async () => {
+    const job = await workflowEngine.enqueue('crashing_pipeline', { params: {} });
+
+    await runWorker();
+
+    const failed = await WorkflowJob.findById(job.id);
+    expect(failed).toMatchObject({ status: 'failed', error: 'result builder crashed', lockedUntil: null });
+
+    // Lease recovery leaves it alone
+    await runWorker();
+    expect((await WorkflowJob.findById(job.id)).status).toBe('failed');
+    expect(steps.prepare).toHaveBeenCalledTimes(1);
+  });
+
+  test('should only resume failed workflows', async () => {
+    const job = await workflowEngine.enqueue('test_pipeline', { params: {} });
+
+    await expect(workflowEngine.resume(job.id)).rejects.toMatchObject({ code: 'WORKFLOW_NOT_RESUMABLE' });
+    await expect(workflowEngine.resume('workflow_missing')).rejects.toMatchObject({ type: 'NOT_FOUND' });
+    await expect(workflowEngine.enqueue('unknown_pipeline')).rejects.toMatchObject({ code: 'UNKNOWN_WORKFLOW' });
+  });
+
+  test('should cancel queued jobs at once and running jobs before their next step', async () => {
+    const queued = await workflowEngine.enqueue('test_pipeline', { params: {} });
+    const cancelled = await workflowEngine.cancel(queued.id);
+    expect(cancelled).toMatchObject({ status: 'cancelled', cancelledAt: expect.any(String) });
+
+    let release;
+    steps.prepare.mockImplementation(() => new Promise(resolve => { release = () => resolve({ input: 'late' }); }));
+    const running = await workflowEngine.enqueue('test_pipeline', { params: {} });
+    workflowEngine.tick();
+    while (!release) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    await workflowEngine.cancel(running.id);
+    release();
+    await workflowEngine.drain();
+
+    const stored = await WorkflowJob.findById(running.id);
+    expect(stored.status).toBe('cancelled');
+    expect(stored.steps.map(step => step.status)).toEqual(['completed', 'pending', 'pending']);
+    expect(steps.process).not.toHaveBeenCalled();
+
+    await expect(workflowEngine.cancel(running.id)).rejects.toMatchObject({ code: 'WORKFLOW_NOT_CANCELLABLE' });
+  });
+
+  test('should requeue jobs left running by a worker whose lease expired', async () => {
+    const job = await workflowEngine.enqueue('test_pipeline', { params: {} });
+    const stored = await WorkflowJob.findById(job.id);
+    stored.status = 'running';
+    stored.currentStep = 'prepare';
+    stored.steps[0].status = 'running';
+    stored.steps[0].attempts = 1;
+    stored.lockedUntil = new Date(Date.now() - 1000).toISOString();
+    await stored.save();
+
+    await runWorker();
+
+    const recovered = await WorkflowJob.findById(job.id);
+    expect(recovered.status).toBe('completed');
+    expect(recovered.getStep('prepare').attempts).toBe(2);
+  });
+
+  test('should list a user\'s jobs newest first', async () => {
+    const first = await workflowEngine.enqueue('test_pipeline', { userId: 'user_2', params: {} });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await workflowEngine.enqueue('test_pipeline', { userId: 'user_2', params: {} });
+    await workflowEngine.enqueue('test_pipeline', { userId: 'user_3', params: {} });
+
+    const jobs = await WorkflowJob.findByUser('user_2');
+    expect(jobs.map(job => job.id)).toEqual([second.id, first.id]);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Workflow Progress Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+import Database from '../../src/config/database.js';
+import workflowEngine, { createWorkflowError } from '../../src/services/workflowEngine.js';
+import websocketService from '../../src/services/websocketService.js';
+import workflowProgressService, { workflowRoom } from '../../src/services/workflowProgressService.js';
+
+const render = jest.fn();
+
+const runWorker = async () => {
+  await workflowEngine.tick();
+  await workflowEngine.drain();
+};
+
+// Minimal stand-in for a ws connection registered under a user
+const connect = (userId) => {
+  const ws = { OPEN: 1, readyState: 1, send: jest.fn() };
+  if (!websocketService.clients.has(userId)) {
+    websocketService.clients.set(userId, new Set());
+  }
+  websocketService.clients.get(userId).add(ws);
+  return ws;
+};
+
+const received = (ws) => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+
+describe('WorkflowProgressService', () => {
+  beforeAll(() => {
+    workflowEngine.define('progress_pipeline', {
+      maxAttempts: 1,
+      steps: [
+        { name: 'draft', run: async () => ({ sketch: 'v1' }) },
+        { name: 'render', run: () => render() }
+      ],
+      buildResult: ({ results }) => ({ file: results.render.file })
+    });
+    workflowProgressService.attach();
+  });
+
+  beforeEach(async () => {
+    await Database.flush();
+    websocketService.clients.clear();
+    websocketService.rooms.clear();
+    render.mockResolvedValue({ file: 'mix.wav' });
+  });
+
+  test('should push every step transition with progress and partial output', async () => {
+    const job = await workflowEngine.enqueue('progress_pipeline', { userId: 'owner' });
+    const ws = connect('owner');
+    await websocketService.handleMessage(ws, 'owner', { type: 'join_room', roomId: workflowRoom(job.id) });
+
+    await runWorker();
+
+    const events = received(ws).filter(message => message.type === 'workflow_progress');
+    expect(events.map(event => [event.event, event.step?.name, event.step?.status, event.progress])).toEqual([
+      ['step:updated', 'draft', 'running', 0],
+      ['step:updated', 'draft', 'completed', 50],
+      ['step:updated', 'render', 'running', 50],
+      ['step:updated', 'render', 'completed', 100],
+      ['job:completed', undefined, undefined, 100]
+    ]);
+    expect(events[1]).toMatchObject({ room: workflowRoom(job.id), workflowId: job.id, output: { sketch: 'v1' } });
+    expect(events[4]).toMatchObject({ status: 'completed', result: { file: 'mix.wav' } });
+  });
+
+  test('should report step errors and the failed job', async () => {
+    render.mockRejectedValue(createWorkflowError('VALIDATION_ERROR', 'BAD_MIX', 'Mix is clipping', { retryable: false }));
+    const job = await workflowEngine.enqueue('progress_pipeline', { userId: 'owner' });
+    const ws = connect('owner');
+    await websocketService.handleMessage(ws, 'owner', { type: 'join_room', roomId: workflowRoom(job.id) });
+
+    await runWorker();
+
+    const events = received(ws).filter(message => message.type === 'workflow_progress');
+    expect(events.slice(-2)).toEqual([
+      expect.objectContaining({ event: 'job:failed', status: 'failed', error: 'Mix is clipping' }),
+      expect.objectContaining({
+        event: 'step:updated',
+        step: expect.objectContaining({ name: 'render', status: 'failed', error: 'Mix is clipping' }),
+        output: null
+      })
+    ]);
+  });
+
+  test('should replay the current state to a client that rejoins mid-run', async () => {
+    let finishRender;
+    let renderStarted;
+    const started = new Promise(resolve => { renderStarted = resolve; });
+    render.mockImplementation(() => {
+      renderStarted();
+      return new Promise(resolve => { finishRender = () => resolve({ file: 'mix.wav' }); });
+    });
+    const job = await workflowEngine.enqueue('progress_pipeline', { userId: 'owner' });
+    await workflowEngine.tick();
+    await started;
+
+    const ws = connect('owner');
+    await websocketService.handleMessage(ws, 'owner', { type: 'join_room', roomId: workflowRoom(job.id) });
+
+    const [joined, state] = received(ws);
+    expect(joined).toMatchObject({ type: 'room_joined', roomId: workflowRoom(job.id) });
+    expect(state).toMatchObject({
+      type: 'workflow_state',
+      workflowId: job.id,
+      status: 'running',
+      currentStep: 'render',
+      progress: 50,
+      outputs: { draft: { sketch: 'v1' } }
+    });
+
+    finishRender();
+    await workflowEngine.drain();
+    expect(received(ws).pop()).toMatchObject({ event: 'job:completed', progress: 100 });
+  });
+
+  test('should only let the owner join a workflow room', async () => {
+    const job = await workflowEngine.enqueue('progress_pipeline', { userId: 'owner' });
+    const intruder = connect('intruder');
+
+    await websocketService.handleMessage(intruder, 'intruder', { type: 'join_room', roomId: workflowRoom(job.id) });
+    await websocketService.handleMessage(intruder, 'intruder', { type: 'join_room', roomId: workflowRoom('workflow_missing') });
+    await runWorker();
+
+    expect(received(intruder).map(message => message.type)).toEqual(['room_error', 'room_error']);
+    expect(websocketService.rooms.has(workflowRoom(job.id))).toBe(false);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Workflow Template Service Tests
+ */
+
+jest.mock('../../src/config/database.js', () => {
+  const { default: MemoryAdapter } = jest.requireActual('../../src/config/storage/memoryAdapter.js');
+  return { __esModule: true, default: new MemoryAdapter() };
+});
+
+jest.mock('../../src/services/aiService.js', () => ({
+  __esModule: true,
+  default: {
+    generateMusicWithMusicGen: jest.fn(),
+    generateCoverArt: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/ipfsService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadAudioFromUrl: jest.fn(),
+    uploadImage: jest.fn(),
+    createNFTMetadata: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/coverArtService.js', () => ({
+  __esModule: true,
+  default: {
+    uploadForMint: jest.fn().mockResolvedValue({ hash: 'QmCover', url: 'https://gateway/QmCover', thumbnails: [] })
+  }
+}));
+
+jest.mock('../../src/services/flowService.js', () => ({
+  __esModule: true,
+  default: {
+    mintMusicNFT: jest.fn(),
+    listNFTForSale: jest.fn()
+  }
+}));
+
+import Database from '../../src/config/database.js';
+import workflowTemplateService from '../../src/services/workflowTemplateService.js';
+import workflowEngine from '../../src/services/workflowEngine.js';
+import quotaService from '../../src/services/quotaService.js';
+import aiService from '../../src/services/aiService.js';
+import ipfsService from '../../src/services/ipfsService.js';
+import flowService from '../../src/services/flowService.js';
+import User from '../../src/models/User.js';
+import Playlist from '../../src/models/Playlist.js';
+import MusicNFT from '../../src/models/MusicNFT.js';
+
+const runWorker = async () => {
+  await workflowEngine.tick();
+  await workflowEngine.drain();
+};
+
+const releaseTemplate = (playlistId) => ({
+  name: 'Release pipeline',
+  definition: {
+    parameters: [
+      { name: 'title', type: 'string', required: true },
+      { name: 'price', type: 'number', default: 10 },
+      { name: 'sell', type: 'boolean', default: false }
+    ],
+    steps: [
+      { id: 'music', action: 'generate', options: { prompt: 'warm synthwave', duration: 20, genre: 'synthwave' } },
+      { id: 'art', action: 'generate_cover', options: { prompt: 'Cover for {{params.title}}' } },
+      { id: 'ipfs', action: 'upload', options: { title: '{{params.title}}', artist: 'Tester' } },
+      { id: 'nft', action: 'mint' },
+      { id: 'sale', action: 'list', when: { ref: 'params.sell', op: 'eq', value: true }, options: { price: '{{params.price}}' } },
+      { id: 'collect', action: 'add_to_playlist', options: { playlistId } },
+      { id: 'link', action: 'share', options: { platform: 'link' } }
+    ]
+  }
+});
+
+describe('WorkflowTemplateService', () => {
+  let user;
+  let playlist;
+
+  beforeEach(async () => {
+    await Database.flush();
+    user = new User({ username: 'composer', flowWallet: { address: '0x1111111111111111', isConnected: true } });
+    await user.save();
+    playlist = new Playlist({ name: 'Releases', owner: user.id });
+    await playlist.save();
+
+    aiService.generateMusicWithMusicGen.mockResolvedValue({
+      audioUrl: 'https://example.com/track.mp3',
+      metadata: { model: 'musicgen-test', generatedAt: '2026-01-01T00:00:00.000Z' }
+    });
+    aiService.generateCoverArt.mockResolvedValue({ imageUrl: '' });
+    ipfsService.uploadAudioFromUrl.mockResolvedValue({ hash: 'QmAudio', url: 'https://gateway/QmAudio', size: 10 });
+    ipfsService.createNFTMetadata.mockResolvedValue({ metadataHash: 'QmMeta', metadataUrl: 'https://gateway/QmMeta' });
+    flowService.mintMusicNFT.mockResolvedValue({ success: true, tokenId: 7, transactionId: '0xmint', blockHeight: 1 });
+    flowService.listNFTForSale.mockResolvedValue({ success: true, listingId: 'listing_7', isMock: true });
+  });
+
+  test('should list the built-in templates in the legacy shape', async () => {
+    const templates = await workflowTemplateService.listTemplates();
+
+    expect(templates.map(template => template.id)).toContain('electronic-ambient');
+    expect(templates[0]).toMatchObject({
+      builtin: true,
+      prompt: expect.any(String),
+      metadata: { genre: expect.any(String), mood: expect.any(String), duration: expect.any(Number) }
+    });
+  });
+
+  test('should reject invalid templates with every schema error', async () => {
+    await expect(workflowTemplateService.createTemplate(user.id, {
+      name: '',
+      definition: { steps: [{ id: 'nft', action: 'mint' }] }
+    })).rejects.toMatchObject({
+      type: 'VALIDATION_ERROR',
+      code: 'INVALID_TEMPLATE',
+      details: ['name must be 1-80 characters', 'steps[0] (mint) needs a upload step before it']
+    });
+  });
+
+  test('should version templates and keep earlier versions readable', async () => {
+    const created = await workflowTemplateService.createTemplate(user.id, releaseTemplate(playlist.id));
+    expect(created.version).toBe(1);
+
+    const updated = await workflowTemplateService.updateTemplate(created.id, user.id, { name: 'Release v2', visibility: 'public' });
+    expect(updated).toMatchObject({ version: 2, name: 'Release v2', visibility: 'public' });
+
+    const first = await workflowTemplateService.getTemplate(created.id, user.id, 1);
+    expect(first.name).toBe('Release pipeline');
+    expect((await workflowTemplateService.listVersions(created.id, user.id)).map(v => v.version)).toEqual([2, 1]);
+
+    // Public templates are readable but not editable by others
+    expect((await workflowTemplateService.getTemplate(created.id, 'other_user')).version).toBe(2);
+    await expect(workflowTemplateService.updateTemplate(created.id, 'other_user', { name: 'Mine' }))
+      .rejects.toMatchObject({ type: 'PERMISSION_ERROR' });
+    await expect(workflowTemplateService.updateTemplate('electronic-ambient', user.id, { name: 'Mine' }))
+      .rejects.toMatchObject({ code: 'TEMPLATE_READ_ONLY' });
+  });
+
+  test('should hide private templates from other users', async () => {
+    const created = await workflowTemplateService.createTemplate(user.id, releaseTemplate(playlist.id));
+
+    await expect(workflowTemplateService.getTemplate(created.id, 'other_user'))
+      .rejects.toMatchObject({ type: 'NOT_FOUND' });
+    expect((await workflowTemplateService.listTemplates('other_user')).some(t => t.id === created.id)).toBe(false);
+  });
+
+  test('should run every template step with parameters, conditions and options', async () => {
+    const created = await workflowTemplateService.createTemplate(user.id, releaseTemplate(playlist.id));
+
+    const queued = await workflowTemplateService.runTemplate(created.id, {
+      userId: user.id,
+      params: { title: 'Night Drive' }
+    });
+    expect(queued).toMatchObject({ status: 'queued', templateId: created.id, templateVersion: 1 });
+
+    await runWorker();
+
+    const job = await workflowEngine.getJob(queued.workflowId);
+    const status = workflowEngine.describe(job);
+    expect(status.status).toBe('completed');
+    expect(status.steps.map(step => [step.name, step.status])).toEqual([
+      ['music', 'completed'],
+      ['art', 'completed'],
+      ['ipfs', 'completed'],
+      ['nft', 'completed'],
+      ['sale', 'skipped'],
+      ['collect', 'completed'],
+      ['link', 'completed']
+    ]);
+    expect(aiService.generateCoverArt).toHaveBeenCalledWith('Cover for Night Drive', 'abstract');
+    expect(flowService.listNFTForSale).not.toHaveBeenCalled();
+
+    expect(status.result).toMatchObject({
+      tokenId: 7,
+      ipfsHash: 'QmMeta',
+      metadata: { title: 'Night Drive', genre: 'synthwave' },
+      playlist: { playlistId: playlist.id, position: 0 },
+      share: { shareLink: expect.stringContaining('/share/') },
+      listing: null
+    });
+    const stored = await Playlist.findById(playlist.id);
+    expect(stored.tracks.map(track => track.id)).toEqual([status.result.nftId]);
+  });
+
+  test('should list for sale when the condition holds', async () => {
+    const created = await workflowTemplateService.createTemplate(user.id, releaseTemplate(playlist.id));
+
+    const queued = await workflowTemplateService.runTemplate(created.id, {
+      userId: user.id,
+      params: { title: 'For Sale', sell: 'true', price: '25' }
+    });
+    await runWorker();
+
+    const job = await workflowEngine.getJob(queued.workflowId);
+    expect(job.result.listing).toMatchObject({ listingId: 'listing_7', price: 25, currency: 'FLOW' });
+    const nft = await MusicNFT.findById(job.result.nftId);
+    expect(nft.market).toMatchObject({ isForSale: true, price: '25' });
+  });
+
+  test('should fail without retrying when a step cannot succeed', async () => {
+    const created = await workflowTemplateService.createTemplate(user.id, releaseTemplate('missing_playlist'));
+
+    const queued = await workflowTemplateService.runTemplate(created.id, { userId: user.id, params: { title: 'Lost' } });
+    await runWorker();
+
+    const job = await workflowEngine.getJob(queued.workflowId);
+    expect(job.status).toBe('failed');
+    expect(job.getStep('collect')).toMatchObject({ status: 'failed', attempts: 1, error: 'Playlist not found' });
+  });
+
+  test('should charge the quota for steps whose condition reads step results', async () => {
+    const definition = {
+      steps: [
+        { id: 'music', action: 'generate', options: { prompt: 'warm synthwave' } },
+        { id: 'ipfs', action: 'upload', options: { title: 'Generated', artist: 'Tester' } },
+        { id: 'm', action: 'mint', when: { ref: 'steps.music.audioUrl', op: 'exists' } }
+      ]
+    };
+    const created = await workflowTemplateService.createTemplate(user.id, { name: 'Mint when generated', definition });
+
+    expect(workflowTemplateService.countQuotaUsage(definition, {})).toEqual({ generation: 1, mint: 1 });
+
+    const limits = quotaService.limits;
+    quotaService.limits = { generation: 5, mint: 0 };
+    try {
+      await expect(workflowTemplateService.runTemplate(created.id, { userId: user.id }))
+        .rejects.toMatchObject({ type: 'RATE_LIMIT', code: 'QUOTA_EXCEEDED', details: { kind: 'mint', limit: 0 } });
+    } finally {
+      quotaService.limits = limits;
+    }
+  });
+
+  test('should validate parameters before queueing', async () => {
+    await expect(workflowTemplateService.runTemplate('classical-piano', { userId: user.id, params: { title: 'Only title' } }))
+      .rejects.toMatchObject({ code: 'INVALID_PARAMETERS', details: ['Parameter artist is required'] });
+    await expect(workflowTemplateService.runTemplate('classical-piano', {
+      userId: user.id,
+      params: { title: 'Split', artist: 'Someone' },
+      royalties: [{ recipient: '0x1111111111111111', percentage: 10 }]
+    })).rejects.toMatchObject({ type: 'VALIDATION_ERROR', code: 'INVALID_ROYALTY_SPLIT' });
+    await expect(workflowTemplateService.runTemplate('missing', { userId: user.id }))
+      .rejects.toMatchObject({ type: 'NOT_FOUND' });
+  });
+});
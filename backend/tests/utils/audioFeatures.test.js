@@ -0,0 +1,105 @@
+/**
+ * Audio Feature Utilities Tests
+ */
+
+import {
+  AudioFeatureExtractor,
+  estimateKey,
+  integratedLoudness,
+  resampleWaveform
+} from '../../src/utils/audioFeatures.js';
+
+const SAMPLE_RATE = 22050;
+
+const tone = (seconds, partials, channels = 1) => {
+  const frames = Math.round(seconds * SAMPLE_RATE);
+  const samples = new Float32Array(frames * channels);
+  for (let i = 0; i < frames; i++) {
+    const value = partials.reduce((sum, [frequency, amplitude]) => sum + amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE), 0);
+    for (let channel = 0; channel < channels; channel++) {
+      samples[i * channels + channel] = value;
+    }
+  }
+  return samples;
+};
+
+const analyze = (samples, options = {}) => {
+  const extractor = new AudioFeatureExtractor({ sampleRate: SAMPLE_RATE, ...options });
+  extractor.push(samples);
+  return extractor.finish();
+};
+
+describe('Audio Feature Utils', () => {
+  describe('loudness', () => {
+    test('should measure a -20 dBFS 1 kHz tone at -23 LUFS mono and -20 LUFS stereo', () => {
+      const mono = analyze(tone(5, [[997, 0.1]]));
+      const stereo = analyze(tone(5, [[997, 0.1]], 2), { channels: 2 });
+
+      expect(mono.loudness.integrated).toBeCloseTo(-23, 0);
+      expect(mono.loudness.samplePeak).toBeCloseTo(-20, 0);
+      expect(stereo.loudness.integrated).toBeCloseTo(-20, 0);
+    });
+
+    test('should gate out silence', () => {
+      expect(integratedLoudness(new Array(20).fill(0))).toBeNull();
+
+      const withSilence = analyze(Float32Array.from([...tone(3, [[997, 0.1]]), ...new Float32Array(SAMPLE_RATE * 3)]));
+      expect(withSilence.loudness.integrated).toBeCloseTo(-23, 0);
+    });
+  });
+
+  describe('waveform', () => {
+    test('should report peaks at the requested resolution', () => {
+      const samples = Float32Array.from([...tone(1, [[440, 0.25]]), ...tone(1, [[440, 0.75]])]);
+
+      const result = analyze(samples, { waveformPoints: 4 });
+
+      expect(result.duration).toBeCloseTo(2, 2);
+      expect(result.waveform.points).toBe(4);
+      expect(result.waveform.peaks[0]).toBeCloseTo(0.25, 2);
+      expect(result.waveform.peaks[3]).toBeCloseTo(0.75, 2);
+    });
+
+    test('should keep every peak when fewer than the requested points exist', () => {
+      expect(resampleWaveform([0.1, 0.5], 10)).toEqual([0.1, 0.5]);
+      expect(resampleWaveform([0.1, 0.5, 0.2, 0.9], 2)).toEqual([0.5, 0.9]);
+    });
+  });
+
+  describe('tempo', () => {
+    test('should detect the tempo of a click track', () => {
+      const seconds = 12;
+      const samples = new Float32Array(seconds * SAMPLE_RATE);
+      const clickLength = Math.round(0.02 * SAMPLE_RATE);
+      for (let beat = 0; beat < seconds * 2; beat++) {
+        const start = Math.round(beat * SAMPLE_RATE / 2);
+        for (let i = 0; i < clickLength; i++) {
+          samples[start + i] = 0.8 * Math.sin(2 * Math.PI * 1000 * i / SAMPLE_RATE) * (1 - i / clickLength);
+        }
+      }
+
+      const { tempo } = analyze(samples);
+
+      expect(tempo.bpm).toBeCloseTo(120, 0);
+      expect(tempo.confidence).toBeGreaterThan(0.5);
+    });
+
+    test('should not guess a tempo for short audio', () => {
+      expect(analyze(tone(1, [[440, 0.5]])).tempo).toBeNull();
+    });
+  });
+
+  describe('key', () => {
+    test('should distinguish major and minor triads', () => {
+      const aMajor = analyze(tone(6, [[220, 0.3], [277.18, 0.2], [329.63, 0.25]]));
+      const aMinor = analyze(tone(6, [[220, 0.3], [261.63, 0.2], [329.63, 0.25]]));
+
+      expect(aMajor.key).toMatchObject({ tonic: 'A', mode: 'major', name: 'A major' });
+      expect(aMinor.key).toMatchObject({ tonic: 'A', mode: 'minor', name: 'A minor' });
+    });
+
+    test('should return no key for silence', () => {
+      expect(estimateKey(new Array(12).fill(0))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Procedural Cover Art Tests
+ */
+
+import {
+  COVER_STYLES,
+  coverPalette,
+  renderCoverSvg,
+  resampleWaveform,
+  resolveCoverStyle
+} from '../../src/utils/coverArt.js';
+import { createRandom } from '../../src/utils/musicSynth.js';
+
+describe('Cover Art Utils', () => {
+  const request = { title: 'Night Drive', artist: 'Composer', prompt: 'dark synthwave for a night drive' };
+
+  test('should render the same cover for the same request', () => {
+    const first = renderCoverSvg(request);
+    const second = renderCoverSvg({ ...request });
+    const variation = renderCoverSvg({ ...request, seed: 7 });
+
+    expect(first.svg).toBe(second.svg);
+    expect(variation.svg).not.toBe(first.svg);
+    expect(first.svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="1000" height="1000" viewBox="0 0 1000 1000">/);
+    expect(renderCoverSvg(request, { size: 3000 }).svg).toContain('width="3000" height="3000"');
+  });
+
+  test('should render every style preset and resolve aliases', () => {
+    for (const style of Object.keys(COVER_STYLES)) {
+      const cover = renderCoverSvg({ ...request, style });
+      expect(cover.style).toBe(style);
+      expect(cover.svg).toContain('Night Drive');
+      expect(cover.svg.endsWith('</svg>')).toBe(true);
+    }
+
+    expect(resolveCoverStyle('abstract')).toBe('geometric');
+    expect(resolveCoverStyle('Digital Art')).toBe('waveform');
+    expect(resolveCoverStyle('oil painting')).toBe('waveform');
+    expect(resolveCoverStyle(undefined)).toBe('waveform');
+  });
+
+  test('should colour covers by genre and mood', () => {
+    const palette = (genre, mood) => coverPalette({ genre, mood }, createRandom(1));
+
+    expect(palette('rock', 'energetic')).not.toEqual(palette('ambient', 'energetic'));
+    expect(palette('ambient', 'happy')).not.toEqual(palette('ambient', 'dark'));
+    // Genres and moods are accepted in Chinese
+    expect(palette('摇滚', '激昂')).toEqual(palette('rock', 'energetic'));
+
+    // Genre and mood are read from the prompt when not given
+    expect(renderCoverSvg({ prompt: 'calm ambient pads' }).palette)
+      .toEqual(renderCoverSvg({ prompt: 'calm ambient pads', genre: 'ambient', mood: 'calm' }).palette);
+  });
+
+  test('should draw the waveform it is given', () => {
+    const quiet = renderCoverSvg({ ...request, waveform: new Array(400).fill(0.1) });
+    const loud = renderCoverSvg({ ...request, waveform: new Array(400).fill(0.9) });
+    expect(quiet.svg).not.toBe(loud.svg);
+
+    expect(resampleWaveform([0.1, 0.9, 0.2, 0.4], 2)).toEqual([0.9, 0.4]);
+    expect(resampleWaveform([0.5], 3)).toEqual([0.5, 0.5, 0.5]);
+    expect(resampleWaveform([])).toBeNull();
+  });
+
+  test('should escape and wrap titles', () => {
+    const { svg } = renderCoverSvg({ title: 'Rock & <Roll> "Now"', artist: "D'Angelo" });
+    expect(svg).toContain('Rock &amp; &lt;Roll&gt; &quot;Now&quot;');
+    expect(svg).toContain('D&apos;Angelo');
+    expect(svg).not.toContain('<Roll>');
+
+    const long = renderCoverSvg({ title: 'A very long title that keeps going well past the width of one line and then some more', style: 'waveform' });
+    const lines = long.svg.match(/font-weight="700"[^>]*>[^<]*</g);
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain('…');
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Fixed-point Amount Tests
+ */
+
+import {
+  UNITS_PER_TOKEN,
+  allocateUnits,
+  formatAmount,
+  parseAmount,
+  percentageOf
+} from '../../src/utils/fixedPoint.js';
+
+describe('Fixed-point Amounts', () => {
+  test('should parse and format decimal amounts without float error', () => {
+    expect(parseAmount('0.001')).toBe(100000);
+    expect(parseAmount(0.1)).toBe(10000000);
+    expect(parseAmount('12')).toBe(12 * UNITS_PER_TOKEN);
+    expect(parseAmount('-3.5')).toBe(-350000000);
+
+    expect(formatAmount(70000)).toBe('0.00070000');
+    expect(formatAmount(12 * UNITS_PER_TOKEN)).toBe('12.00000000');
+    expect(formatAmount(-350000000)).toBe('-3.50000000');
+
+    // 0.1 + 0.2 in units is exact
+    expect(formatAmount(parseAmount('0.1') + parseAmount('0.2'))).toBe('0.30000000');
+
+    expect(() => parseAmount('0.000000001')).toThrow(RangeError);
+    expect(() => parseAmount('abc')).toThrow(RangeError);
+    expect(() => formatAmount(0.5)).toThrow(RangeError);
+  });
+
+  test('should split totals so the parts always add up', () => {
+    const split = { artist: 7000, platform: 2000, curator: 1000 };
+
+    expect(allocateUnits(100000, split)).toEqual({ artist: 70000, platform: 20000, curator: 10000 });
+
+    // Leftover units go to the largest remainders
+    expect(allocateUnits(7, split)).toEqual({ artist: 5, platform: 1, curator: 1 });
+    expect(allocateUnits(1, { a: 5000, b: 5000 })).toEqual({ a: 1, b: 0 });
+
+    for (const total of [1, 3, 99, 12345, 999999937]) {
+      const parts = allocateUnits(total, { a: 3333, b: 3333, c: 3334 });
+      expect(parts.a + parts.b + parts.c).toBe(total);
+    }
+
+    // Products past Number.MAX_SAFE_INTEGER stay exact
+    const large = Number.MAX_SAFE_INTEGER - 1;
+    const parts = allocateUnits(large, split);
+    expect(parts.artist + parts.platform + parts.curator).toBe(large);
+
+    expect(() => allocateUnits(100, { a: 6000, b: 3000 })).toThrow(RangeError);
+    expect(() => allocateUnits(-1, split)).toThrow(RangeError);
+  });
+
+  test('should compute percentages to two places', () => {
+    expect(percentageOf(70000, 100000)).toBe(70);
+    expect(percentageOf(1, 3)).toBe(33.33);
+    expect(percentageOf(5, 0)).toBe(0);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Procedural Music Synthesizer Tests
+ */
+
+import {
+  arrangeTrack,
+  encodeWav,
+  hashSeed,
+  synthesizeTrack
+} from '../../src/utils/musicSynth.js';
+import { AudioFeatureExtractor } from '../../src/utils/audioFeatures.js';
+
+const SAMPLE_RATE = 22050;
+
+const analyze = ({ samples, channels }) => {
+  const extractor = new AudioFeatureExtractor({ sampleRate: SAMPLE_RATE, channels });
+  extractor.push(samples);
+  return extractor.finish();
+};
+
+describe('Music Synth Utils', () => {
+  test('should render identical audio for the same prompt', () => {
+    const request = { prompt: 'Neon city at night', genre: 'electronic', duration: 4 };
+    const first = synthesizeTrack(request, { sampleRate: SAMPLE_RATE });
+    const second = synthesizeTrack({ ...request, prompt: '  neon city at night ' }, { sampleRate: SAMPLE_RATE });
+    const other = synthesizeTrack({ ...request, prompt: 'Sunrise over the sea' }, { sampleRate: SAMPLE_RATE });
+
+    expect(Buffer.from(first.samples.buffer).equals(Buffer.from(second.samples.buffer))).toBe(true);
+    expect(Buffer.from(first.samples.buffer).equals(Buffer.from(other.samples.buffer))).toBe(false);
+    expect(first.arrangement.seed).toBe(hashSeed('neon city at night'));
+  });
+
+  test('should vary the arrangement with the variation seed', () => {
+    const request = { prompt: 'Neon city at night', genre: 'electronic', duration: 4 };
+
+    expect(arrangeTrack({ ...request, seed: 3 }).seed).toBe(arrangeTrack({ ...request, seed: 3 }).seed);
+    expect(arrangeTrack({ ...request, seed: 3 }).seed).not.toBe(arrangeTrack({ ...request, seed: 4 }).seed);
+    expect(arrangeTrack({ ...request, seed: 3 }).seed).not.toBe(arrangeTrack(request).seed);
+  });
+
+  test('should follow the requested genre, mood, bpm and duration', () => {
+    const arrangement = arrangeTrack({ prompt: 'rainy window', genre: 'jazz', mood: 'happy', bpm: 132, duration: 12 });
+
+    expect(arrangement.genre).toBe('jazz');
+    expect(arrangement.key.mode).toBe('major');
+    expect(arrangement.bpm).toBe(132);
+    expect(arrangement.progression).toHaveLength(4);
+    expect(arrangement.bars).toBe(Math.ceil(12 / (4 * 60 / 132)));
+
+    expect(arrangeTrack({ prompt: 'rainy window', mood: 'melancholic' }).key.mode).toBe('minor');
+    expect(arrangeTrack({ prompt: 'slow ambient drift' }).genre).toBe('ambient');
+  });
+
+  test('should pick a seeded tempo within the genre range when none is given', () => {
+    const { bpm } = arrangeTrack({ prompt: 'warehouse rave', genre: 'techno' });
+    expect(bpm).toBeGreaterThanOrEqual(125);
+    expect(bpm).toBeLessThanOrEqual(135);
+  });
+
+  test('should produce audio whose analyzed tempo and length match the arrangement', () => {
+    const track = synthesizeTrack(
+      { prompt: 'driving electronic night drive', genre: 'electronic', bpm: 124, duration: 12 },
+      { sampleRate: SAMPLE_RATE }
+    );
+    const features = analyze(track);
+
+    expect(features.duration).toBeCloseTo(12, 2);
+    expect(features.tempo.bpm).toBeCloseTo(124, -1);
+    expect(features.loudness.samplePeak).toBeCloseTo(-1, 0);
+  });
+
+  test('should encode 16-bit PCM WAV', () => {
+    const samples = Float32Array.from([0, 1, -1, 0.5]);
+    const wav = encodeWav(samples, { sampleRate: SAMPLE_RATE, channels: 2 });
+
+    expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(wav.toString('ascii', 8, 12)).toBe('WAVE');
+    expect(wav.readUInt16LE(22)).toBe(2);
+    expect(wav.readUInt32LE(24)).toBe(SAMPLE_RATE);
+    expect(wav.readUInt32LE(40)).toBe(8);
+    expect([0, 1, 2, 3].map(i => wav.readInt16LE(44 + i * 2))).toEqual([0, 32767, -32768, 16384]);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Prompt Parser Tests
+ */
+
+import {
+  normalizeGenre,
+  normalizeMood,
+  parseChineseNumber,
+  parseKey,
+  parsePrompt
+} from '../../src/utils/promptParser.js';
+
+describe('Prompt Parser', () => {
+  test('should extract parameters from an English prompt', () => {
+    const result = parsePrompt('Upbeat electronic track with synth arpeggios and punchy drums, 128 BPM in A minor, 45 seconds');
+
+    expect(result).toMatchObject({
+      language: 'en',
+      genre: 'electronic',
+      mood: 'upbeat',
+      bpm: 128,
+      instruments: ['synth', 'drums'],
+      key: { tonic: 'A', mode: 'minor', name: 'A minor' },
+      duration: 45
+    });
+  });
+
+  test('should extract parameters from a Chinese prompt', () => {
+    const result = parsePrompt('一首欢快的电子音乐，钢琴和合成器，每分钟120拍，C大调，三十秒');
+
+    expect(result).toMatchObject({
+      language: 'zh',
+      genre: 'electronic',
+      mood: 'happy',
+      bpm: 120,
+      instruments: ['piano', 'synth'],
+      key: { name: 'C major' },
+      duration: 30
+    });
+  });
+
+  test('should read tempo words, flat keys and compound durations in Chinese', () => {
+    const result = parsePrompt('忧伤的古典钢琴曲，慢节奏，降E大调，1分30秒');
+
+    expect(result).toMatchObject({
+      genre: 'classical',
+      mood: 'melancholic',
+      tempo: 'slow',
+      bpm: 72,
+      key: { name: 'D# major' },
+      duration: 90
+    });
+  });
+
+  test('should not mistake 十分 ("very") for minutes or lowercase "a minor" for a key', () => {
+    expect(parsePrompt('十分轻快的流行歌曲，吉他伴奏，两分钟')).toMatchObject({
+      genre: 'pop',
+      mood: 'upbeat',
+      instruments: ['guitar'],
+      duration: 120
+    });
+    expect(parsePrompt('十分轻快的流行歌曲').duration).toBeNull();
+    expect(parsePrompt('lofi beats with a minor twist').key).toBeNull();
+  });
+
+  test('should handle mixed-language prompts and order matches by position', () => {
+    const result = parsePrompt('calm ambient soundscape with 古筝 and 二胡, then a jazz outro, 2 minutes and 15 seconds');
+
+    expect(result.language).toBe('mixed');
+    expect(result.genres).toEqual(['ambient', 'jazz']);
+    expect(result.instruments).toEqual(['guzheng', 'erhu']);
+    expect(result.duration).toBe(135);
+  });
+
+  test('should match English terms as whole words only', () => {
+    const result = parsePrompt('a trapped bird in the underground');
+
+    expect(result.genre).toBeNull();
+    expect(result.genres).toEqual([]);
+  });
+
+  test('should normalize genre and mood names in either language', () => {
+    expect(normalizeGenre('说唱')).toBe('hip-hop');
+    expect(normalizeGenre('Lo-Fi')).toBe('hip-hop');
+    expect(normalizeGenre('Jazz')).toBe('jazz');
+    expect(normalizeGenre('polka')).toBeNull();
+    expect(normalizeMood('平静')).toBe('calm');
+  });
+
+  test('should parse keys and Chinese numerals', () => {
+    expect(parseKey('Bb major')).toEqual({ tonic: 'A#', mode: 'major', name: 'A# major' });
+    expect(parseKey('F sharp minor').name).toBe('F# minor');
+    expect(parseKey('升c小调').name).toBe('C# minor');
+    expect(parseKey('no key here')).toBeNull();
+    expect(parseChineseNumber('两')).toBe(2);
+    expect(parseChineseNumber('三十五')).toBe(35);
+    expect(parseChineseNumber('一百二十')).toBe(120);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Royalty Split Validation Tests
+ */
+
+import {
+  normalizeRoyaltyConfig,
+  onChainRoyalties,
+  validateCollaboratorShares,
+  validateRoyaltyConfig
+} from '../../src/utils/royaltySplits.js';
+
+describe('Royalty Splits', () => {
+  test('should accept splits as percents or fractions that add up to 100%', () => {
+    const percents = validateRoyaltyConfig({ percentage: 5, recipients: [
+      { recipient: '0xa', percentage: 66.67, description: 'Artist' },
+      { recipient: '0xb', percentage: 33.33 }
+    ] });
+    expect(percents.config).toEqual({
+      percentage: 5,
+      recipients: [
+        { recipient: '0xa', percentage: 66.67, bps: 6667, description: 'Artist' },
+        { recipient: '0xb', percentage: 33.33, bps: 3333, description: '' }
+      ]
+    });
+
+    const fractions = validateRoyaltyConfig([{ recipient: '0xa', percentage: 0.8 }, { recipient: '0xb', percentage: 0.2 }]);
+    expect(fractions.config.percentage).toBe(10);
+    expect(fractions.config.recipients.map(recipient => recipient.bps)).toEqual([8000, 2000]);
+
+    // A stored config validates to itself
+    expect(validateRoyaltyConfig(percents.config).config).toEqual(percents.config);
+    expect(validateRoyaltyConfig(undefined).config).toEqual({ percentage: 10, recipients: [] });
+  });
+
+  test('should accept a recipient with a zero share', () => {
+    const { config } = validateRoyaltyConfig([
+      { recipient: '0xa', percentage: 100 },
+      { recipient: '0xb', percentage: 0 }
+    ]);
+    expect(config.recipients.map(recipient => recipient.bps)).toEqual([10000, 0]);
+
+    expect(validateRoyaltyConfig([{ recipient: '0xa', percentage: 0.75 }, { recipient: '0xb', percentage: 0.25 }, { recipient: '0xc', percentage: 0 }])
+      .config.recipients.map(recipient => recipient.bps)).toEqual([7500, 2500, 0]);
+  });
+
+  test('should reject a share of 1, which reads as both 100% and 1%', () => {
+    expect(validateRoyaltyConfig([{ recipient: '0xa', percentage: 1 }]).errors)
+      .toEqual(['Royalty percentage 1 is ambiguous: give a recipient taking the whole split 100']);
+    expect(validateRoyaltyConfig([{ recipient: '0xa', percentage: 1 }, { recipient: '0xb', percentage: 0 }]).isValid).toBe(false);
+    expect(validateRoyaltyConfig([{ recipient: '0xa', percentage: 100 }]).isValid).toBe(true);
+    // Percents that merely include a 1 are not ambiguous
+    expect(validateRoyaltyConfig([{ recipient: '0xa', percentage: 99 }, { recipient: '0xb', percentage: 1 }]).isValid).toBe(true);
+  });
+
+  test('should reject splits that do not add up or rates out of range', () => {
+    expect(validateRoyaltyConfig([{ recipient: '0xa', percentage: 60 }]).errors)
+      .toEqual(['Royalty percentages must add up to 100%']);
+    expect(validateRoyaltyConfig({ percentage: 60, recipients: [] }).errors)
+      .toEqual(['Royalty percentage must be between 0 and 50']);
+    expect(validateRoyaltyConfig('all to me').isValid).toBe(false);
+
+    expect(validateCollaboratorShares([{ userId: 'u1', percentage: 70 }, { userId: 'u2', percentage: 40 }]).errors)
+      .toEqual(['Collaborator percentages cannot exceed 100%']);
+    expect(validateCollaboratorShares([{ userId: 'u1', percentage: 30 }]).isValid).toBe(true);
+  });
+
+  test('should read legacy recipient lists and give on-chain cuts', () => {
+    const config = normalizeRoyaltyConfig([{ recipient: '0xa', percentage: 0.8 }, { recipient: '0xb', percentage: 0.2 }]);
+    expect(onChainRoyalties(config)).toEqual([
+      { recipient: '0xa', percentage: 0.08, description: '' },
+      { recipient: '0xb', percentage: 0.02, description: '' }
+    ]);
+
+    // Invalid stored lists resolve to no recipients rather than failing
+    expect(normalizeRoyaltyConfig([{ recipient: '0xa', percentage: 10 }])).toEqual({ percentage: 10, recipients: [] });
+  });
+});
@@ -25,7 +25,8 @@ describe('Validation Utils', () => {
         title: 'Test Song',
         artist: 'Test Artist',
         royalties: [
-          { recipient: '0x1234567890123456', percentage: 10 }
+          { recipient: '0x1234567890123456', percentage: 90 },
+          { recipient: '0x6789012345678901', percentage: 10 }
         ]
       };
 
@@ -90,6 +91,22 @@ describe('Validation Utils', () => {
       expect(result.isValid).toBe(false);
       expect(result.errors).toContain('Total royalty percentage cannot exceed 100%');
     });
+
+    test('should require royalty splits to add up to 100%', () => {
+      const split = (royalties) => validateMusicGeneration({ prompt: 'electronic music', royalties });
+
+      expect(split([{ recipient: '0x1234567890123456', percentage: 10 }]).errors)
+        .toContain('Royalty percentages must add up to 100%');
+      // Fractions of 1, as stored on chain, are accepted too
+      expect(split([
+        { recipient: '0x1234567890123456', percentage: 0.8 },
+        { recipient: '0x6789012345678901', percentage: 0.2 }
+      ]).isValid).toBe(true);
+      expect(split([
+        { recipient: '0x1234567890123456', percentage: 50 },
+        { recipient: '0x1234567890123456', percentage: 50 }
+      ]).errors).toContain('Royalty 2: 0x1234567890123456 is listed more than once');
+    });
   });
 
   describe('validateMusicUpload', () => {
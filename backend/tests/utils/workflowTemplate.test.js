@@ -0,0 +1,149 @@
+/**
+ * Workflow Template DSL Tests
+ */
+
+import {
+  validateTemplateDefinition,
+  resolveParameters,
+  interpolate,
+  evaluateCondition
+} from '../../src/utils/workflowTemplate.js';
+
+const definition = (overrides = {}) => ({
+  parameters: [
+    { name: 'title', type: 'string', required: true },
+    { name: 'price', type: 'number', min: 0, default: 5 },
+    { name: 'autoMint', type: 'boolean', default: true }
+  ],
+  steps: [
+    { id: 'music', action: 'generate', options: { prompt: 'lofi beats', duration: 30 } },
+    { id: 'ipfs', action: 'upload', options: { title: '{{params.title}}', artist: 'Tester' } },
+    { id: 'nft', action: 'mint', when: { ref: 'params.autoMint', op: 'eq', value: true } },
+    { id: 'sale', action: 'list', when: { ref: 'steps.nft.tokenId', op: 'exists' }, options: { price: '{{params.price}}' } }
+  ],
+  ...overrides
+});
+
+describe('Workflow Template DSL', () => {
+  describe('validateTemplateDefinition', () => {
+    test('should accept a well-formed template', () => {
+      expect(validateTemplateDefinition(definition())).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('should require steps and known actions', () => {
+      expect(validateTemplateDefinition({ steps: [] }).errors).toContain('steps must be a non-empty array');
+
+      const { errors } = validateTemplateDefinition({ steps: [{ id: 'x', action: 'teleport' }] });
+      expect(errors[0]).toMatch(/steps\[0\]\.action must be one of/);
+    });
+
+    test('should reject steps whose prerequisite action has not run earlier', () => {
+      const { isValid, errors } = validateTemplateDefinition({
+        steps: [
+          { id: 'nft', action: 'mint' },
+          { id: 'ipfs', action: 'upload', options: { title: 'a', artist: 'b' } }
+        ]
+      });
+
+      expect(isValid).toBe(false);
+      expect(errors).toContain('steps[0] (mint) needs a upload step before it');
+      expect(errors).toContain('steps[1] (upload) needs a generate step before it');
+    });
+
+    test('should check option names, literal types and required options', () => {
+      const { errors } = validateTemplateDefinition({
+        steps: [{ id: 'music', action: 'generate', options: { duration: 500, tempo: 120 } }]
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'steps[0].options.tempo is not an option of generate',
+        'steps[0].options.prompt is required',
+        'steps[0].options.duration must be at most 120'
+      ]));
+    });
+
+    test('should only allow references to declared parameters and earlier steps', () => {
+      const { errors } = validateTemplateDefinition({
+        steps: [
+          { id: 'music', action: 'generate', options: { prompt: '{{params.missing}} {{steps.later.audioUrl}}' } },
+          { id: 'later', action: 'generate', options: { prompt: 'x' }, when: { ref: 'env.HOME' } }
+        ]
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'steps[0].options.prompt references unknown parameter "missing"',
+        'steps[0].options.prompt references step "later" which does not run earlier',
+        'steps[1].when has invalid reference "env.HOME"; use params.<name> or steps.<id>'
+      ]));
+    });
+
+    test('should reject duplicate ids and malformed parameters', () => {
+      const { errors } = validateTemplateDefinition({
+        parameters: [
+          { name: 'mood', type: 'enum' },
+          { name: 'count', type: 'number', max: 3, default: 10 },
+          { name: 'count', type: 'number' }
+        ],
+        steps: [
+          { id: 'music', action: 'generate', options: { prompt: 'a' } },
+          { id: 'music', action: 'generate', options: { prompt: 'b' } }
+        ]
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'parameters[0].values must list the allowed values',
+        'parameters[1].default must be at most 3',
+        'parameters[2].name "count" is declared twice',
+        'steps[1].id "music" is used by an earlier step'
+      ]));
+    });
+  });
+
+  describe('resolveParameters', () => {
+    test('should apply defaults, coerce strings and drop undeclared values', () => {
+      const result = resolveParameters(definition().parameters, { title: 'Song', price: '12.5', autoMint: 'false', extra: 1 });
+
+      expect(result).toEqual({
+        isValid: true,
+        errors: [],
+        values: { title: 'Song', price: 12.5, autoMint: false }
+      });
+    });
+
+    test('should report missing and out-of-range values', () => {
+      const result = resolveParameters(definition().parameters, { price: -1 });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual(['Parameter title is required', 'Parameter price must be at least 0']);
+    });
+  });
+
+  describe('runtime', () => {
+    const scope = {
+      params: { title: 'Night Drive', price: 7 },
+      steps: { nft: { tokenId: 42 }, analysis: { bpm: 128 } }
+    };
+
+    test('should keep the type of a lone reference and join embedded references as text', () => {
+      expect(interpolate('{{params.price}}', scope)).toBe(7);
+      expect(interpolate('{{ steps.nft.tokenId }}', scope)).toBe(42);
+      expect(interpolate('"{{params.title}}" #{{steps.nft.tokenId}}{{params.none}}', scope)).toBe('"Night Drive" #42');
+      expect(interpolate(30, scope)).toBe(30);
+    });
+
+    test('should evaluate comparisons and combinators', () => {
+      expect(evaluateCondition({ ref: 'steps.analysis.bpm', op: 'gte', value: 120 }, scope)).toBe(true);
+      expect(evaluateCondition({ ref: 'steps.sale.listingId', op: 'exists' }, scope)).toBe(false);
+      expect(evaluateCondition({ ref: 'params.title' }, scope)).toBe(true);
+      expect(evaluateCondition({
+        all: [
+          { ref: 'params.price', op: 'in', value: [5, 7] },
+          { not: { ref: 'params.title', op: 'eq', value: 'Other' } }
+        ]
+      }, scope)).toBe(true);
+      expect(evaluateCondition({
+        any: [{ ref: 'params.price', op: 'lt', value: 1 }, { ref: 'steps.missing.id', op: 'exists' }]
+      }, scope)).toBe(false);
+    });
+  });
+});
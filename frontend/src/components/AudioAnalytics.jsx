@@ -248,11 +248,11 @@ const AudioAnalytics = ({ artistId, className = '' }) => {
           </h3>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div className="text-center">
-              <p className="text-2xl font-bold text-blue-600">${(earnings.totalEarnings || 0).toFixed(4)}</p>
+              <p className="text-2xl font-bold text-blue-600">${Number(earnings.totalEarnings || 0).toFixed(4)}</p>
               <p className="text-sm text-gray-600">Total Earnings</p>
             </div>
             <div className="text-center">
-              <p className="text-2xl font-bold text-green-600">${(earnings.todayEarnings || 0).toFixed(4)}</p>
+              <p className="text-2xl font-bold text-green-600">${Number(earnings.todayEarnings || 0).toFixed(4)}</p>
               <p className="text-sm text-gray-600">Today's Earnings</p>
             </div>
             <div className="text-center">
@@ -266,9 +266,9 @@ const AudioAnalytics = ({ artistId, className = '' }) => {
               <h4 className="text-sm font-medium text-gray-700 mb-2">Recent Royalty Records</h4>
               <div className="space-y-2">
                 {earnings.recentRecords.slice(0, 3).map((record, index) => (
-                  <div key={index} className="flex justify-between items-center p-2 bg-white rounded text-sm">
-                    <span className="text-gray-600">{new Date(record.timestamp).toLocaleDateString()}</span>
-                    <span className="font-medium text-green-600">+${record.royalties?.artist?.toFixed(4) || '0.0000'}</span>
+                  <div key={record.transactionId || index} className="flex justify-between items-center p-2 bg-white rounded text-sm">
+                    <span className="text-gray-600">{new Date(record.postedAt).toLocaleDateString()}</span>
+                    <span className="font-medium text-green-600">+${Number(record.amount || 0).toFixed(4)}</span>
                   </div>
                 ))}
               </div>
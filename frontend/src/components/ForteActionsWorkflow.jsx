@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   PlayIcon, 
@@ -12,6 +12,8 @@ import {
   CubeIcon
 } from '@heroicons/react/24/outline';
 import api from '../services/api';
+import { useWebSocket, withAuthToken } from '../hooks/useWebSocket';
+import { wsConfig } from '../config/environment';
 
 const ForteActionsWorkflow = ({ onWorkflowComplete }) => {
   const [isExecuting, setIsExecuting] = useState(false);
@@ -27,6 +29,10 @@ const ForteActionsWorkflow = ({ onWorkflowComplete }) => {
     customPrompt: '',
     autoMint: true
   });
+  const pollIntervalRef = useRef(null);
+
+  // 实时进度：重连后服务端会回放当前状态，轮询只作为兜底
+  const { subscribeWorkflow, isConnected } = useWebSocket(withAuthToken(wsConfig.url));
 
   const workflowSteps = [
     { 
@@ -120,51 +126,78 @@ const ForteActionsWorkflow = ({ onWorkflowComplete }) => {
     }
   };
 
+  const stopPolling = () => {
+    if (pollIntervalRef.current) {
+      clearInterval(pollIntervalRef.current);
+      pollIntervalRef.current = null;
+    }
+  };
+
+  // 同时处理轮询结果、实时进度事件和重连后的状态回放
+  const applyWorkflowStatus = useCallback((status) => {
+    // 后端任务步骤为 generate/upload/mint，模板步骤为 music/cover/ipfs/nft，本地模拟为 generating/uploading/minting
+    if (status.status === 'completed') setCurrentStep(3);
+    else if (['generate', 'generating', 'music', 'cover'].includes(status.currentStep)) setCurrentStep(0);
+    else if (['upload', 'uploading', 'ipfs'].includes(status.currentStep)) setCurrentStep(1);
+    else if (['mint', 'minting', 'nft'].includes(status.currentStep)) setCurrentStep(2);
+
+    if (status.status === 'completed') {
+      setResult(status.result);
+      setIsExecuting(false);
+      stopPolling();
+      if (onWorkflowComplete) {
+        onWorkflowComplete(status.result);
+      }
+    } else if (status.status === 'failed') {
+      setError(status.error || '工作流执行失败');
+      setIsExecuting(false);
+      stopPolling();
+    } else if (status.status === 'cancelled') {
+      setError('工作流已取消');
+      setIsExecuting(false);
+      stopPolling();
+    } else if (status.status === 'retrying' && status.error) {
+      setError(`步骤失败，正在重试：${status.error}`);
+    } else if (status.status === 'running') {
+      setError(null);
+    }
+  }, [onWorkflowComplete]);
+
+  useEffect(() => {
+    if (!workflowId || !isExecuting) return undefined;
+    return subscribeWorkflow(workflowId, applyWorkflowStatus);
+  }, [workflowId, isExecuting, subscribeWorkflow, applyWorkflowStatus]);
+
   const pollWorkflowStatus = async (id) => {
-    const pollInterval = setInterval(async () => {
+    stopPolling();
+    pollIntervalRef.current = setInterval(async () => {
       try {
         const response = await api.getForteActionsWorkflowStatus(id);
         if (response.success) {
-          const status = response.data;
-          
-          // 更新当前步骤
-          if (status.currentStep === 'generating') setCurrentStep(0);
-          else if (status.currentStep === 'uploading') setCurrentStep(1);
-          else if (status.currentStep === 'minting') setCurrentStep(2);
-          else if (status.status === 'completed') setCurrentStep(3);
-
-          if (status.status === 'completed') {
-            setResult(status.result);
-            setIsExecuting(false);
-            clearInterval(pollInterval);
-            if (onWorkflowComplete) {
-              onWorkflowComplete(status.result);
-            }
-          } else if (status.status === 'failed') {
-            setError(status.error || '工作流执行失败');
-            setIsExecuting(false);
-            clearInterval(pollInterval);
-          }
+          applyWorkflowStatus(response.data);
         }
       } catch (error) {
         console.error('Failed to poll workflow status:', error);
         setError('获取工作流状态失败');
         setIsExecuting(false);
-        clearInterval(pollInterval);
+        stopPolling();
       }
-    }, 2000);
+    }, isConnected ? 10000 : 2000);
 
     // 设置超时
     setTimeout(() => {
-      clearInterval(pollInterval);
-      if (isExecuting) {
+      if (pollIntervalRef.current) {
+        stopPolling();
         setError('工作流执行超时');
         setIsExecuting(false);
       }
     }, 300000); // 5分钟超时
   };
 
+  useEffect(() => stopPolling, []);
+
   const resetWorkflow = () => {
+    stopPolling();
     setIsExecuting(false);
     setCurrentStep(0);
     setWorkflowId(null);
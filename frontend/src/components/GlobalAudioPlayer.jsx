@@ -20,6 +20,7 @@ const GlobalAudioPlayer = () => {
     duration,
     volume,
     isMuted,
+    streamQuality,
     togglePlayback,
     playNext,
     playPrevious,
@@ -72,6 +73,11 @@ const GlobalAudioPlayer = () => {
               <p className="text-sm text-gray-500 truncate">
                 {currentTrack.artist}
               </p>
+              {streamQuality?.adaptive && (
+                <span className="text-xs text-indigo-600" title="Adaptive bitrate streaming">
+                  HLS{streamQuality.bitrate ? ` · ${streamQuality.bitrate} kbps` : ''}
+                </span>
+              )}
             </div>
           </div>
 
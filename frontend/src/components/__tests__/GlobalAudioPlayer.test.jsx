@@ -11,6 +11,7 @@ const mockAudioContext = {
   duration: 0,
   volume: 0.5,
   isMuted: false,
+  streamQuality: null,
   togglePlayback: vi.fn(),
   playNext: vi.fn(),
   playPrevious: vi.fn(),
@@ -51,6 +52,7 @@ describe('GlobalAudioPlayer', () => {
     mockAudioContext.duration = 0
     mockAudioContext.volume = 0.5
     mockAudioContext.isMuted = false
+    mockAudioContext.streamQuality = null
   })
 
   it('renders nothing when no current track', () => {
@@ -258,6 +260,21 @@ describe('GlobalAudioPlayer', () => {
     expect(screen.getByTestId('share-icon')).toBeInTheDocument()
   })
 
+  it('shows the current adaptive bitrate for HLS streams', () => {
+    mockAudioContext.currentTrack = mockTrack
+    mockAudioContext.streamQuality = { adaptive: true, bitrate: 128, levels: 2 }
+    render(<GlobalAudioPlayer />)
+
+    expect(screen.getByText('HLS · 128 kbps')).toBeInTheDocument()
+  })
+
+  it('hides the bitrate indicator for progressive streams', () => {
+    mockAudioContext.currentTrack = mockTrack
+    render(<GlobalAudioPlayer />)
+
+    expect(screen.queryByText(/HLS/)).not.toBeInTheDocument()
+  })
+
   it('applies correct styling classes', () => {
     mockAudioContext.currentTrack = mockTrack
     const { container } = render(<GlobalAudioPlayer />)
@@ -1,5 +1,7 @@
 import React, { createContext, useContext, useState, useRef, useEffect } from 'react'
 import useAudioPreloader from '../hooks/useAudioPreloader'
+import useHlsSource, { getHlsUrl } from '../hooks/useHlsSource'
+import { startPlayback } from '../services/api'
 
 const AudioContext = createContext()
 
@@ -21,6 +23,8 @@ export const AudioProvider = ({ children }) => {
   const [playlist, setPlaylist] = useState([])
   const [currentIndex, setCurrentIndex] = useState(-1)
   const audioRef = useRef(null)
+  const playRequestRef = useRef(0)
+  const { attachSource, detach, streamQuality } = useHlsSource(audioRef)
 
   // 音频预加载功能
   const playlistUrls = playlist.map(track => track.audioSrc).filter(Boolean)
@@ -64,16 +68,26 @@ export const AudioProvider = ({ children }) => {
     }
   }, [])
 
-  // Update audio source when track changes
   useEffect(() => {
-    if (currentTrack && audioRef.current) {
-      audioRef.current.src = currentTrack.audioUrl
+    if (audioRef.current) {
       audioRef.current.volume = isMuted ? 0 : volume
     }
-  }, [currentTrack, volume, isMuted])
+  }, [volume, isMuted])
+
+  // 已登录时为音轨开启播放会话，取得 HLS 主播放列表；未登录或请求失败时沿用原音源
+  const withPlaySession = async (track) => {
+    if (getHlsUrl(track) || !track.id || !localStorage.getItem('authToken')) return track
+    try {
+      const { sessionId, hlsUrl } = await startPlayback(track.id)
+      return hlsUrl ? { ...track, hlsUrl, sessionId } : track
+    } catch (error) {
+      return track
+    }
+  }
 
   const playTrack = async (track, trackList = null) => {
     try {
+      const request = ++playRequestRef.current
       setCurrentTrack(track)
       
       if (trackList) {
@@ -82,16 +96,24 @@ export const AudioProvider = ({ children }) => {
         setCurrentIndex(index)
         
         // 预加载播放列表中的音频
-        const urls = trackList.map(t => t.audioSrc || t.audioUrl).filter(Boolean)
+        const urls = trackList.filter(t => !getHlsUrl(t)).map(t => t.audioSrc || t.audioUrl).filter(Boolean)
         preloadAudios(urls)
       }
 
-      // 尝试使用预加载的音频
-      const preloadedAudio = getPreloadedAudio(track.audioSrc || track.audioUrl)
+      const sessionTrack = await withPlaySession(track)
+      // 等待期间已切换到其他音轨
+      if (request !== playRequestRef.current) return
+      if (sessionTrack !== track) setCurrentTrack(sessionTrack)
+
+      // 尝试使用预加载的音频（HLS 音轨由 hls.js 按需加载分片）
+      const preloadedAudio = getHlsUrl(sessionTrack) ? null : getPreloadedAudio(track.audioSrc || track.audioUrl)
       if (preloadedAudio && audioRef.current) {
         // 如果有预加载的音频，复制其状态到主播放器
+        detach()
         audioRef.current.src = preloadedAudio.src
         audioRef.current.currentTime = 0
+      } else {
+        attachSource(sessionTrack)
       }
 
       if (audioRef.current) {
@@ -156,6 +178,7 @@ export const AudioProvider = ({ children }) => {
       audioRef.current.pause()
       audioRef.current.currentTime = 0
     }
+    detach()
     setCurrentTrack(null)
     setIsPlaying(false)
     setCurrentTime(0)
@@ -171,6 +194,7 @@ export const AudioProvider = ({ children }) => {
     isMuted,
     playlist,
     currentIndex,
+    streamQuality,
     
     // Preloader state
     loadingProgress,
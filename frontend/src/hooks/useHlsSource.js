@@ -0,0 +1,85 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import Hls from 'hls.js'
+
+const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl'
+
+export const getHlsUrl = (track) => {
+  if (!track) return null
+  if (track.hlsUrl) return track.hlsUrl
+  return track.audioUrl && track.audioUrl.split('?')[0].endsWith('.m3u8') ? track.audioUrl : null
+}
+
+// 为 <audio> 元素挂载音源：HLS 音轨使用 hls.js 自适应码率，Safari 使用原生 HLS，其余直接播放
+const useHlsSource = (audioRef) => {
+  const [streamQuality, setStreamQuality] = useState(null)
+  const hlsRef = useRef(null)
+
+  const detach = useCallback(() => {
+    if (hlsRef.current) {
+      hlsRef.current.destroy()
+      hlsRef.current = null
+    }
+    setStreamQuality(null)
+  }, [])
+
+  const attachSource = useCallback((track) => {
+    const audio = audioRef.current
+    if (!audio || !track) return
+
+    detach()
+    const hlsUrl = getHlsUrl(track)
+    const fallbackUrl = track.audioUrl && track.audioUrl !== hlsUrl ? track.audioUrl : null
+
+    if (!hlsUrl) {
+      audio.src = track.audioUrl
+      return
+    }
+
+    if (Hls.isSupported()) {
+      // 播放列表与分片请求附带登录令牌
+      const token = localStorage.getItem('authToken')
+      const hls = new Hls({
+        xhrSetup: (xhr) => {
+          if (token) xhr.setRequestHeader('Authorization', `Bearer ${token}`)
+        }
+      })
+      hlsRef.current = hls
+
+      hls.on(Hls.Events.LEVEL_SWITCHED, (event, data) => {
+        const level = hls.levels[data.level]
+        if (level) {
+          setStreamQuality({
+            adaptive: true,
+            bitrate: Math.round(level.bitrate / 1000),
+            levels: hls.levels.length
+          })
+        }
+      })
+
+      // 渲染版本尚未打包（服务端返回 202）或加载失败时回退到渐进式音源
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        if (!data.fatal) return
+        detach()
+        if (fallbackUrl) {
+          audio.src = fallbackUrl
+          audio.play().catch(() => {})
+        }
+      })
+
+      hls.loadSource(hlsUrl)
+      hls.attachMedia(audio)
+    } else if (audio.canPlayType(HLS_MIME_TYPE)) {
+      // 原生 HLS 自行根据带宽切换码率
+      audio.src = hlsUrl
+      setStreamQuality({ adaptive: true, bitrate: null, levels: null })
+    } else {
+      audio.src = fallbackUrl || hlsUrl
+    }
+  }, [audioRef, detach])
+
+  useEffect(() => detach, [detach])
+
+  return { attachSource, detach, streamQuality }
+}
+
+export default useHlsSource
@@ -1,6 +1,13 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import websocketService from '../services/websocket';
 
+// 工作流房间只对所有者开放，连接时需要带上登录令牌
+export const withAuthToken = (url) => {
+  const token = localStorage.getItem('authToken');
+  if (!token) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+};
+
 export const useWebSocket = (url, options = {}) => {
   const [connectionState, setConnectionState] = useState('CLOSED');
   const [lastMessage, setLastMessage] = useState(null);
@@ -46,6 +53,38 @@ export const useWebSocket = (url, options = {}) => {
     return unsubscribe;
   }, []);
 
+  // 订阅单个工作流的进度事件（workflow_progress）和状态回放（workflow_state）
+  // 每次（重新）连接都会重新加入房间，服务端随即回放当前状态
+  const subscribeWorkflow = useCallback((workflowId, callback) => {
+    const roomId = `workflow:${workflowId}`;
+    const isOpen = () => websocketService.getConnectionState() === 'OPEN';
+    const joinRoom = () => websocketService.send({ type: 'join_room', roomId });
+    const forward = (data) => {
+      if (data?.workflowId === workflowId) {
+        callback(data);
+      }
+    };
+
+    const unsubscribers = [
+      websocketService.subscribe('connected', joinRoom),
+      websocketService.subscribe('workflowProgress', forward),
+      websocketService.subscribe('workflowState', forward)
+    ];
+    if (isOpen()) {
+      joinRoom();
+    }
+
+    const unsubscribe = () => {
+      unsubscribers.forEach(fn => fn());
+      if (isOpen()) {
+        websocketService.send({ type: 'leave_room', roomId });
+      }
+      subscriptionsRef.current.delete(unsubscribe);
+    };
+    subscriptionsRef.current.add(unsubscribe);
+    return unsubscribe;
+  }, []);
+
   useEffect(() => {
     // 订阅连接状态变化
     const unsubscribeConnected = websocketService.subscribe('connected', () => {
@@ -87,6 +126,7 @@ export const useWebSocket = (url, options = {}) => {
     disconnect,
     sendMessage,
     subscribe,
+    subscribeWorkflow,
     isConnected: connectionState === 'OPEN',
     isConnecting: connectionState === 'CONNECTING'
   };
@@ -153,12 +153,16 @@ const Create = () => {
         audioHash: audioHash.ipfsHash || audioHash,
         coverImageHash: coverImageHash?.ipfsHash || coverImageHash,
         metadataHash: '', // Will be generated by backend
-        royalties: [
-          {
-            recipient: user.flowWallet?.address || user.address,
-            percentage: 10 // 10% royalty to creator
-          }
-        ]
+        // 10% royalty on resales, all of it to the creator
+        royalties: {
+          percentage: 10,
+          recipients: [
+            {
+              recipient: user.flowWallet?.address || user.address,
+              percentage: 100
+            }
+          ]
+        }
       }
 
       setUploadProgress(90)
@@ -148,14 +148,31 @@ const Marketplace = () => {
     }
     
     try {
+      const tokenId = nft.blockchain?.tokenId || nft.tokenId
       logger.info('Initiating NFT purchase', { nftId: nft.id, price: nft.market?.price })
-      // Actual purchase logic should be integrated here
-      console.log('Purchase NFT:', nft)
+
+      // Show the buyer where the price goes before they confirm
+      const { data: quote } = await apiService.getPurchaseQuote(tokenId)
+      const royaltyLines = quote.royalties.map(royalty =>
+        t('marketplace.royaltyLine', { recipient: royalty.recipient, role: royalty.role, amount: royalty.amount, currency: quote.currency })
+      )
+      const summary = [
+        t('marketplace.confirmPurchase', { title: nft.title, price: quote.price, currency: quote.currency }),
+        ...(quote.royalties.length > 0
+          ? [t('marketplace.royaltyFees', { percentage: quote.royaltyPercentage, amount: quote.royaltyTotal, currency: quote.currency }), ...royaltyLines]
+          : []),
+        t('marketplace.sellerProceeds', { amount: quote.sellerProceeds, currency: quote.currency })
+      ].join('\n')
+      if (!window.confirm(summary)) return
+
+      await apiService.purchaseNFT(tokenId, quote)
+      logger.info('NFT purchased', { nftId: nft.id, tokenId })
+      setNfts(prev => prev.filter(item => item.id !== nft.id))
     } catch (error) {
       logger.error('Failed to purchase NFT', error)
       console.error('Purchase failed:', error)
     }
-  }, [isAuthenticated])
+  }, [isAuthenticated, t])
 
   // Price formatting function
   const formatPrice = useCallback((price) => {
@@ -13,6 +13,11 @@ import logger from './logger.jsx'
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3002/api'
 
+// Query string from the filters that are set
+const toQueryString = (filters = {}) => new URLSearchParams(
+  Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+).toString()
+
 class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL
@@ -251,12 +256,188 @@ class ApiService {
       ...options
     }
 
+    // Signed-in generations are kept in the user's history
     return this.request('/ai/generate', {
       method: 'POST',
+      headers: this.authHeaders(),
       body: JSON.stringify(payload)
     })
   }
 
+  // Preview the parameters (genre, mood, BPM, key, duration...) read from a prompt
+  async interpretPrompt(prompt, overrides = {}) {
+    return this.request('/ai/interpret', {
+      method: 'POST',
+      body: JSON.stringify({ prompt, ...overrides })
+    })
+  }
+
+  // JSON headers with the stored session token, for endpoints that require sign-in
+  authHeaders() {
+    const token = localStorage.getItem('authToken')
+    return {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    }
+  }
+
+  // Iterate on a saved track: variations, extensions and melody-guided regeneration
+  async createVariations(trackId, { count = 2, prompt, provider } = {}) {
+    return this.request(`/ai/tracks/${trackId}/variations`, {
+      method: 'POST',
+      headers: this.authHeaders(),
+      body: JSON.stringify({ count, prompt, provider })
+    })
+  }
+
+  async extendTrack(trackId, { duration = 15, prompt, provider } = {}) {
+    return this.request(`/ai/tracks/${trackId}/extend`, {
+      method: 'POST',
+      headers: this.authHeaders(),
+      body: JSON.stringify({ duration, prompt, provider })
+    })
+  }
+
+  // audioData: optional base64 reference melody; the track's own audio is used otherwise
+  async regenerateTrack(trackId, { prompt, audioData, mimeType, provider } = {}) {
+    return this.request(`/ai/tracks/${trackId}/regenerate`, {
+      method: 'POST',
+      headers: this.authHeaders(),
+      body: JSON.stringify({ prompt, audioData, mimeType, provider })
+    })
+  }
+
+  async getTrackLineage(trackId) {
+    return this.request(`/ai/tracks/${trackId}/lineage`, {
+      headers: this.authHeaders()
+    })
+  }
+
+  // Locally rendered cover art: style presets, and a render from title/genre/mood/waveform or a trackId
+  async getCoverStyles() {
+    return this.request('/ai/cover-styles')
+  }
+
+  async renderCoverArt(options = {}) {
+    return this.request('/ai/cover-art', {
+      method: 'POST',
+      headers: this.authHeaders(),
+      body: JSON.stringify(options)
+    })
+  }
+
+  // Generation history and prompt library
+  async getGenerationHistory(filters = {}) {
+    const query = toQueryString(filters)
+    return this.request(`/generations${query ? `?${query}` : ''}`, {
+      headers: this.authHeaders()
+    })
+  }
+
+  async updateGeneration(generationId, changes) {
+    return this.request(`/generations/${generationId}`, {
+      method: 'PATCH',
+      headers: this.authHeaders(),
+      body: JSON.stringify(changes)
+    })
+  }
+
+  async deleteGeneration(generationId) {
+    return this.request(`/generations/${generationId}`, {
+      method: 'DELETE',
+      headers: this.authHeaders()
+    })
+  }
+
+  // Mint a past generation without generating again; returns the workflow to poll
+  async mintGeneration(generationId, { metadata, royalties, autoMint = true } = {}) {
+    return this.request(`/generations/${generationId}/mint`, {
+      method: 'POST',
+      headers: this.authHeaders(),
+      body: JSON.stringify({ metadata, royalties, autoMint })
+    })
+  }
+
+  async getSavedPrompts(filters = {}) {
+    const query = toQueryString(filters)
+    return this.request(`/generations/prompts${query ? `?${query}` : ''}`, {
+      headers: this.authHeaders()
+    })
+  }
+
+  // entry: { prompt, title, parameters, tags } or { generationId } to copy a generation's prompt
+  async savePrompt(entry) {
+    return this.request('/generations/prompts', {
+      method: 'POST',
+      headers: this.authHeaders(),
+      body: JSON.stringify(entry)
+    })
+  }
+
+  async updateSavedPrompt(promptId, changes) {
+    return this.request(`/generations/prompts/${promptId}`, {
+      method: 'PATCH',
+      headers: this.authHeaders(),
+      body: JSON.stringify(changes)
+    })
+  }
+
+  async deleteSavedPrompt(promptId) {
+    return this.request(`/generations/prompts/${promptId}`, {
+      method: 'DELETE',
+      headers: this.authHeaders()
+    })
+  }
+
+  // Royalty splits: who shares a track's earnings, and a preview of who is paid what
+  async getRoyaltySplit(nftId) {
+    return this.request(`/royalties/splits/${nftId}`, {
+      headers: this.authHeaders()
+    })
+  }
+
+  async updateRoyaltySplit(nftId, changes) {
+    return this.request(`/royalties/splits/${nftId}`, {
+      method: 'PUT',
+      headers: this.authHeaders(),
+      body: JSON.stringify(changes)
+    })
+  }
+
+  async previewRoyaltySplit(options) {
+    return this.request('/royalties/splits/preview', {
+      method: 'POST',
+      headers: this.authHeaders(),
+      body: JSON.stringify(options)
+    })
+  }
+
+  // Royalty payouts: balances paid out on chain to the current user
+  async getMyRoyaltyPayouts() {
+    return this.request('/royalties/payouts/me', {
+      headers: this.authHeaders()
+    })
+  }
+
+  // Audio playback API: opens a play session, returning its stream and HLS master playlist URLs
+  async startPlayback(trackId, playlistId = null) {
+    const session = await this.request('/audio/play/start', {
+      method: 'POST',
+      headers: this.authHeaders(),
+      body: JSON.stringify({ trackId, playlistId })
+    })
+    return {
+      ...session,
+      streamUrl: session.streamUrl && this.resolveUrl(session.streamUrl),
+      hlsUrl: session.hlsUrl && this.resolveUrl(session.hlsUrl)
+    }
+  }
+
+  // Backend paths such as /api/audio/... resolved against the API host
+  resolveUrl(path) {
+    return new URL(path, new URL(this.baseURL, window.location.origin)).toString()
+  }
+
   // Music Upload API
   async uploadMusic(formData) {
     return this.request('/music/upload', {
@@ -344,12 +525,15 @@ class ApiService {
         coverImageFile: metadata.coverImage,
         genre: metadata.genre || 'AI Generated',
         duration: metadata.duration || 0,
-        royalties: metadata.royalties || [
-          {
-            recipient: flowServiceAPI.getCurrentUser()?.addr || '0xf8d6e0586b0a20c7',
-            percentage: 5
-          }
-        ]
+        royalties: metadata.royalties || {
+          percentage: 5,
+          recipients: [
+            {
+              recipient: flowServiceAPI.getCurrentUser()?.addr || '0xf8d6e0586b0a20c7',
+              percentage: 100
+            }
+          ]
+        }
       };
 
       const mintResult = await flowServiceAPI.mintNFT(nftData);
@@ -490,6 +674,24 @@ class ApiService {
     })
   }
 
+  // Fee breakdown of a purchase (royalty cuts, seller proceeds) to confirm before buying
+  async getPurchaseQuote(tokenId) {
+    return this.request(`/nft/${tokenId}/purchase-quote`, {
+      headers: this.authHeaders()
+    })
+  }
+
+  async purchaseNFT(tokenId, quote = {}) {
+    return this.request(`/nft/${tokenId}/purchase`, {
+      method: 'POST',
+      headers: this.authHeaders(),
+      body: JSON.stringify({
+        expectedPrice: quote.price,
+        expectedRoyaltyTotal: quote.royaltyTotal
+      })
+    })
+  }
+
   // Market APIs
   async getMarketNFTs(page = 1, limit = 20, filters = {}) {
     try {
@@ -636,6 +838,28 @@ const apiService = new ApiService()
 
 // Export individual methods for convenience
 export const generateMusic = (prompt, options) => apiService.generateMusic(prompt, options)
+export const interpretPrompt = (prompt, overrides) => apiService.interpretPrompt(prompt, overrides)
+export const createVariations = (trackId, options) => apiService.createVariations(trackId, options)
+export const extendTrack = (trackId, options) => apiService.extendTrack(trackId, options)
+export const regenerateTrack = (trackId, options) => apiService.regenerateTrack(trackId, options)
+export const getTrackLineage = (trackId) => apiService.getTrackLineage(trackId)
+export const getCoverStyles = () => apiService.getCoverStyles()
+export const renderCoverArt = (options) => apiService.renderCoverArt(options)
+export const getGenerationHistory = (filters) => apiService.getGenerationHistory(filters)
+export const updateGeneration = (generationId, changes) => apiService.updateGeneration(generationId, changes)
+export const deleteGeneration = (generationId) => apiService.deleteGeneration(generationId)
+export const mintGeneration = (generationId, options) => apiService.mintGeneration(generationId, options)
+export const getSavedPrompts = (filters) => apiService.getSavedPrompts(filters)
+export const savePrompt = (entry) => apiService.savePrompt(entry)
+export const updateSavedPrompt = (promptId, changes) => apiService.updateSavedPrompt(promptId, changes)
+export const deleteSavedPrompt = (promptId) => apiService.deleteSavedPrompt(promptId)
+export const getRoyaltySplit = (nftId) => apiService.getRoyaltySplit(nftId)
+export const updateRoyaltySplit = (nftId, changes) => apiService.updateRoyaltySplit(nftId, changes)
+export const previewRoyaltySplit = (options) => apiService.previewRoyaltySplit(options)
+export const getMyRoyaltyPayouts = () => apiService.getMyRoyaltyPayouts()
+export const startPlayback = (trackId, playlistId) => apiService.startPlayback(trackId, playlistId)
+export const getPurchaseQuote = (tokenId) => apiService.getPurchaseQuote(tokenId)
+export const purchaseNFT = (tokenId, quote) => apiService.purchaseNFT(tokenId, quote)
 export const uploadMusic = (formData) => apiService.uploadMusic(formData)
 export const getMusicMetadata = (hash) => apiService.getMusicMetadata(hash)
 export const validateMusicData = (data) => apiService.validateMusicData(data)
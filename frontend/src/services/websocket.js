@@ -164,6 +164,18 @@ class WebSocketService {
       case 'market_data_updated':
         this.emit('marketDataUpdated', payload);
         break;
+      case 'workflow_progress':
+        this.emit('workflowProgress', data);
+        break;
+      case 'workflow_state':
+        this.emit('workflowState', data);
+        break;
+      case 'room_joined':
+        this.emit('roomJoined', data);
+        break;
+      case 'room_error':
+        this.emit('roomError', data);
+        break;
       case 'pong':
         this.handlePong();
         break;